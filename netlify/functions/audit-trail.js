@@ -0,0 +1,80 @@
+import { neon } from '@neondatabase/serverless';
+
+import { listAuditEvents } from '../lib/audit-trail.js';
+import { resolveTenant } from '../lib/organization-scope.js';
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+// Initialize Neon connection
+const getDatabaseConnection = () => {
+  const connectionString = process.env.NEON_DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('NEON_DATABASE_URL environment variable is not set');
+  }
+  return neon(connectionString);
+};
+
+// Extract user ID from request
+const extractUserId = (event, context) => {
+  if (event.headers['x-user-id']) {
+    return event.headers['x-user-id'];
+  }
+  if (event.headers['X-User-ID']) {
+    return event.headers['X-User-ID'];
+  }
+  if (context.clientContext?.user?.sub) {
+    return context.clientContext.user.sub;
+  }
+  return null;
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers,
+  body: JSON.stringify(body),
+});
+
+// Read-only view of the audit trail. Platform admins see every entry; organization admins see
+// their organization's entries only.
+export const handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return jsonResponse(200, { message: 'CORS preflight' });
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = extractUserId(event, context);
+    if (!userId) {
+      return jsonResponse(401, { error: 'User authentication required' });
+    }
+
+    const tenant = resolveTenant(event, context);
+    if (!tenant.isAdmin && !tenant.isOrganizationAdmin) {
+      return jsonResponse(403, { error: 'Administrator access is required to view the audit trail' });
+    }
+
+    const filters = event.queryStringParameters || {};
+    const scope = tenant.isAdmin && !filters.organizationId
+      ? { allOrganizations: true }
+      : { organizationId: tenant.isAdmin ? filters.organizationId : tenant.organizationId };
+
+    const sql = getDatabaseConnection();
+    const result = await listAuditEvents(sql, filters, scope);
+
+    return jsonResponse(200, result);
+  } catch (error) {
+    console.error('Audit trail error:', error);
+    if (error.statusCode && error.statusCode < 500) {
+      return jsonResponse(error.statusCode, { error: error.message });
+    }
+    return jsonResponse(500, { error: 'Internal server error', message: error.message });
+  }
+};
@@ -0,0 +1,90 @@
+import { resolveAuthConfig, verifyBearerToken } from '../lib/auth-token.js';
+import { createChatCompletion, parseChatCompletionRequest } from '../lib/chat-completions.js';
+import { createEventStreamResponse } from '../lib/server-sent-events.js';
+
+// OpenAI-compatible chat completions for providers the browser may not call directly. The request
+// names the provider; the server supplies its endpoint and key. Streaming uses the
+// Request/Response signature so Netlify flushes chunks as they arrive.
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+// Errors use the OpenAI shape so the browser's provider client reports them like any other API error
+const errorResponse = (statusCode, message) =>
+  new Response(JSON.stringify({ error: { message } }), {
+    status: statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+// Relaying spends the server's provider keys, so callers need a verified Auth0 session; the
+// x-user-id header is not proof of identity. `netlify dev` without an Auth0 domain skips the check.
+const authenticate = async (request) => {
+  const isLocalDev = process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true';
+  if (isLocalDev && !resolveAuthConfig().domain) {
+    return { sub: 'dev-user' };
+  }
+  return verifyBearerToken(request.headers.get('authorization'));
+};
+
+// Our own errors carry statusCode; SDK errors carry the upstream status, which is reported as a
+// bad gateway unless the provider is rate limiting
+const toStatusCode = (error) => {
+  if (error.statusCode) return error.statusCode;
+  return error.status === 429 ? 429 : 502;
+};
+
+const handler = async (request) => {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (request.method !== 'POST') {
+    return errorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    await authenticate(request);
+  } catch (error) {
+    return errorResponse(error.statusCode || 401, error.message);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return errorResponse(400, 'Invalid JSON in request body');
+  }
+
+  let completionRequest;
+  try {
+    completionRequest = parseChatCompletionRequest(body);
+  } catch (error) {
+    return errorResponse(error.statusCode || 400, error.message);
+  }
+
+  if (body.stream !== true) {
+    try {
+      const completion = await createChatCompletion(completionRequest, { signal: request.signal });
+      return new Response(JSON.stringify(completion), {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      console.error('Chat completion failed:', error);
+      return errorResponse(toStatusCode(error), error.message || 'Chat completion failed');
+    }
+  }
+
+  return createEventStreamResponse(async (send) => {
+    await createChatCompletion(completionRequest, {
+      signal: request.signal,
+      onChunk: (chunk) => send(null, chunk),
+    });
+    send(null, '[DONE]');
+  }, { headers: corsHeaders, signal: request.signal });
+};
+
+export default handler;
@@ -0,0 +1,146 @@
+import { neon } from '@neondatabase/serverless';
+
+import {
+  buildDocumentContext,
+  getDocumentSummaries,
+  searchRelevantDocuments,
+  streamAIResponse,
+} from '../lib/document-chat.js';
+import { resolveDocumentAccess } from '../lib/document-permissions.js';
+import { ensureVersionLineageSchema } from '../lib/document-versions.js';
+import { resolveTenant } from '../lib/organization-scope.js';
+import { createEventStreamResponse } from '../lib/server-sent-events.js';
+
+// Streaming counterpart of chat-with-documents. It uses the Request/Response function signature
+// because only that form lets Netlify flush the body while the completion is still running.
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+const jsonResponse = (statusCode, body) =>
+  new Response(JSON.stringify(body), {
+    status: statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+// Initialize Neon connection
+const getDatabaseConnection = () => {
+  const connectionString = process.env.NEON_DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('NEON_DATABASE_URL environment variable is not set');
+  }
+  return neon(connectionString);
+};
+
+// Extract user ID from request
+const extractUserId = (request) => {
+  const headerUserId = request.headers.get('x-user-id');
+  if (headerUserId) {
+    return headerUserId;
+  }
+
+  const authHeader = request.headers.get('authorization');
+  if (authHeader?.startsWith('Bearer ')) {
+    try {
+      const parts = authHeader.replace('Bearer ', '').split('.');
+      if (parts.length === 3) {
+        const parsed = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+        if (parsed.sub) {
+          return parsed.sub;
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to extract user ID from JWT:', error.message);
+    }
+  }
+
+  if (process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true') {
+    return 'dev-user-' + Date.now();
+  }
+
+  return null;
+};
+
+const handler = async (request) => {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (request.method !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  const userId = extractUserId(request);
+  if (!userId) {
+    return jsonResponse(401, {
+      error: 'User authentication required',
+      message: 'No user ID could be extracted from the request'
+    });
+  }
+
+  let requestData;
+  try {
+    requestData = await request.json();
+  } catch (parseError) {
+    return jsonResponse(400, { error: 'Invalid JSON in request body' });
+  }
+
+  const {
+    message,
+    documentIds,
+    conversationHistory = [],
+    provider = 'openai',
+    model,
+    includeSuperseded = false,
+  } = requestData || {};
+
+  if (!message || typeof message !== 'string' || !message.trim()) {
+    return jsonResponse(400, { error: 'Message is required' });
+  }
+
+  let sql;
+  try {
+    sql = getDatabaseConnection();
+  } catch (error) {
+    return jsonResponse(500, { error: 'Internal server error', message: error.message });
+  }
+
+  const question = message.trim();
+  const tenant = resolveTenant({ headers: request.headers });
+
+  return createEventStreamResponse(async (send) => {
+    await ensureVersionLineageSchema(sql);
+    const access = await resolveDocumentAccess(sql, 'document_index', userId, tenant);
+
+    const searchResults = await searchRelevantDocuments(sql, userId, question, documentIds, {
+      includeSuperseded: includeSuperseded === true,
+      access,
+    });
+    const documentIdsFromSearch = [...new Set(searchResults.map(r => r.document_id))];
+    const documentSummaries = await getDocumentSummaries(sql, userId, documentIdsFromSearch, { access });
+    const documentContext = buildDocumentContext(searchResults, documentSummaries);
+
+    const aiResponse = await streamAIResponse(question, documentContext, conversationHistory, provider, {
+      signal: request.signal,
+      model,
+      onToken: (delta) => send('token', { delta }),
+    });
+
+    // Sources are attached once the answer is complete so the client can render them with the final text
+    send('done', {
+      response: aiResponse.response,
+      documentsUsed: aiResponse.documentsUsed,
+      sources: aiResponse.sources,
+      conversationHistory: [
+        ...conversationHistory,
+        { role: 'user', content: question },
+        { role: 'assistant', content: aiResponse.response }
+      ]
+    });
+  }, { headers: corsHeaders, signal: request.signal });
+};
+
+export default handler;
@@ -0,0 +1,241 @@
+import { neon } from '@neondatabase/serverless';
+
+import {
+  buildChangeReferences,
+  buildChangeSummaryPrompt,
+  buildFallbackChangeSummary,
+  diffDocumentVersions,
+} from '../lib/document-diff.js';
+import {
+  compareVersions,
+  ensureVersionLineageSchema,
+  formatVersionLabel,
+  hasDocumentNumber,
+} from '../lib/document-versions.js';
+import { PERSONAL_ACCESS, resolveDocumentAccess } from '../lib/document-permissions.js';
+import { DEFAULT_CHAT_PROVIDER, getChatClient, getChatProviderConfig } from '../lib/llm-providers.js';
+import { documentScopePredicate, resolveTenant, withSqlFragments } from '../lib/organization-scope.js';
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+const CHANGE_SUMMARY_SYSTEM_PROMPT =
+  'You are a pharmaceutical quality and compliance reviewer. You explain what changed between two revisions of a controlled document and why it matters for GMP/GxP compliance. You only describe changes that appear in the supplied redline and cite them with the given reference ids.';
+
+// Initialize Neon connection
+const getDatabaseConnection = () => {
+  const connectionString = process.env.NEON_DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('NEON_DATABASE_URL environment variable is not set');
+  }
+  return neon(connectionString);
+};
+
+// Extract user ID from request
+const extractUserId = (event, context) => {
+  if (event.headers['x-user-id']) {
+    return event.headers['x-user-id'];
+  }
+  if (event.headers['X-User-ID']) {
+    return event.headers['X-User-ID'];
+  }
+  if (context.clientContext?.user?.sub) {
+    return context.clientContext.user.sub;
+  }
+  if (process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true') {
+    return 'dev-user-' + Date.now();
+  }
+  return null;
+};
+
+// Load both revisions and order them oldest first so the redline always reads forward in time
+async function loadRevisions(sql, userId, baseDocumentId, targetDocumentId, access = PERSONAL_ACCESS) {
+  const rows = await withSqlFragments(sql)`
+    SELECT document_id, document_number, document_name, major_version, minor_version,
+           status, text_content, title, version, is_current, organization_id
+    FROM document_index
+    WHERE ${documentScopePredicate(access, userId)}
+      AND document_id = ANY(${[baseDocumentId, targetDocumentId]})
+  `;
+
+  const base = rows.find(row => row.document_id === baseDocumentId);
+  const target = rows.find(row => row.document_id === targetDocumentId);
+
+  if (!base || !target) {
+    const error = new Error('Document not found or access denied');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (
+    !hasDocumentNumber(base.document_number) ||
+    base.document_number !== target.document_number ||
+    (base.organization_id || null) !== (target.organization_id || null)
+  ) {
+    const error = new Error('Only revisions of the same document number can be compared');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return compareVersions(base, target) > 0 ? [target, base] : [base, target];
+}
+
+const describeRevision = (row) => ({
+  documentId: row.document_id,
+  documentNumber: row.document_number,
+  title: row.title || row.document_name,
+  status: row.status,
+  versionLabel: formatVersionLabel(row),
+  isCurrent: row.is_current !== false,
+});
+
+// Without a configured chat provider the redline's own summary is returned
+async function generateChangeSummary(diff, references, context, { provider = DEFAULT_CHAT_PROVIDER, model: requestedModel } = {}) {
+  const config = getChatProviderConfig(provider) || getChatProviderConfig(DEFAULT_CHAT_PROVIDER);
+  if (references.length === 0 || !config.configured) {
+    return { text: buildFallbackChangeSummary(diff, references), generatedBy: 'redline' };
+  }
+
+  try {
+    const { client, model, provider: resolvedProvider } = getChatClient(config.id, { model: requestedModel });
+    const completion = await client.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: CHANGE_SUMMARY_SYSTEM_PROMPT },
+        { role: 'user', content: buildChangeSummaryPrompt(diff, references, context) },
+      ],
+      max_tokens: 700,
+      temperature: 0.2,
+    });
+
+    const text = completion.choices[0]?.message?.content?.trim();
+    if (text) {
+      return { text, generatedBy: resolvedProvider, model };
+    }
+  } catch (error) {
+    console.error('Error generating change summary:', error);
+  }
+
+  return { text: buildFallbackChangeSummary(diff, references), generatedBy: 'redline' };
+}
+
+export async function compareDocumentVersions(
+  sql,
+  userId,
+  { baseDocumentId, targetDocumentId, includeSummary = true, access = PERSONAL_ACCESS, provider, model }
+) {
+  await ensureVersionLineageSchema(sql);
+
+  const [base, target] = await loadRevisions(sql, userId, baseDocumentId, targetDocumentId, access);
+  const baseRevision = describeRevision(base);
+  const targetRevision = describeRevision(target);
+
+  const diff = diffDocumentVersions(base.text_content || '', target.text_content || '');
+  const references = buildChangeReferences(diff, {
+    baseLabel: baseRevision.versionLabel,
+    targetLabel: targetRevision.versionLabel,
+  });
+
+  const summary = includeSummary
+    ? await generateChangeSummary(diff, references, {
+      documentNumber: target.document_number,
+      documentName: targetRevision.title,
+      baseLabel: baseRevision.versionLabel,
+      targetLabel: targetRevision.versionLabel,
+    }, { provider, model })
+    : null;
+
+  return {
+    documentNumber: target.document_number,
+    base: baseRevision,
+    target: targetRevision,
+    stats: diff.stats,
+    sections: diff.sections,
+    references,
+    summary,
+  };
+}
+
+export const handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight' }),
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  try {
+    // Extract user ID
+    const userId = extractUserId(event, context);
+    if (!userId) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          error: 'User authentication required',
+          message: 'No user ID could be extracted from the request'
+        }),
+      };
+    }
+
+    const { baseDocumentId, targetDocumentId, summary = 'true', provider, model } = event.queryStringParameters || {};
+
+    if (!baseDocumentId || !targetDocumentId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'baseDocumentId and targetDocumentId are required' }),
+      };
+    }
+
+    if (baseDocumentId === targetDocumentId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Select two different revisions to compare' }),
+      };
+    }
+
+    // Initialize database connection
+    const sql = getDatabaseConnection();
+
+    const comparison = await compareDocumentVersions(sql, userId, {
+      baseDocumentId,
+      targetDocumentId,
+      includeSummary: summary !== 'false',
+      provider,
+      model,
+      access: await resolveDocumentAccess(sql, 'document_index', userId, resolveTenant(event, context)),
+    });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(comparison),
+    };
+  } catch (error) {
+    console.error('Compare document versions error:', error);
+    return {
+      statusCode: error.statusCode || 500,
+      headers,
+      body: JSON.stringify({
+        error: error.statusCode ? error.message : 'Internal server error',
+        message: error.message
+      }),
+    };
+  }
+};
@@ -0,0 +1,137 @@
+import { neon } from '@neondatabase/serverless';
+
+import {
+  assertResourceType,
+  canShareDocument,
+  findDocumentOwner,
+  grantDocumentPermissions,
+  listDocumentPermissions,
+  revokeDocumentPermission,
+  SHAREABLE_ROLES,
+} from '../lib/document-permissions.js';
+import { ensureOrganizationColumn, resolveTenant } from '../lib/organization-scope.js';
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+// Initialize Neon connection
+const getDatabaseConnection = () => {
+  const connectionString = process.env.NEON_DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('NEON_DATABASE_URL environment variable is not set');
+  }
+  return neon(connectionString);
+};
+
+// Extract user ID from request
+const extractUserId = (event, context) => {
+  if (event.headers['x-user-id']) {
+    return event.headers['x-user-id'];
+  }
+  if (event.headers['X-User-ID']) {
+    return event.headers['X-User-ID'];
+  }
+  if (context.clientContext?.user?.sub) {
+    return context.clientContext.user.sub;
+  }
+  if (process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true') {
+    return 'dev-user-' + Date.now();
+  }
+  return null;
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers,
+  body: JSON.stringify(body),
+});
+
+// Load the document and make sure the caller may change who it is shared with. Documents the caller
+// cannot see are reported as missing rather than forbidden.
+async function loadShareableDocument(sql, userId, tenant, resourceType, resourceId) {
+  await ensureOrganizationColumn(sql, resourceType);
+  const owner = await findDocumentOwner(sql, resourceType, resourceId);
+
+  if (!owner || !canShareDocument(tenant, userId, owner)) {
+    const error = new Error('Document not found or access denied');
+    error.statusCode = owner ? 403 : 404;
+    throw error;
+  }
+
+  return owner;
+}
+
+export const handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return jsonResponse(200, { message: 'CORS preflight' });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = extractUserId(event, context);
+    if (!userId) {
+      return jsonResponse(401, {
+        error: 'User authentication required',
+        message: 'No user ID could be extracted from the request',
+      });
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return jsonResponse(400, { error: 'Invalid JSON in request body' });
+    }
+
+    const { action, resourceType = 'document_index', resourceId, grants, grant } = requestData;
+    if (!resourceId) {
+      return jsonResponse(400, { error: 'resourceId is required' });
+    }
+    assertResourceType(resourceType);
+
+    const tenant = resolveTenant(event, context);
+    const sql = getDatabaseConnection();
+    const owner = await loadShareableDocument(sql, userId, tenant, resourceType, resourceId);
+
+    switch (action) {
+      case 'list': {
+        const permissions = await listDocumentPermissions(sql, resourceType, resourceId);
+        return jsonResponse(200, { resourceType, resourceId, permissions, shareableRoles: SHAREABLE_ROLES });
+      }
+
+      case 'grant': {
+        // Role and group entries follow the document's organization, or the sharer's for personal documents
+        const permissions = await grantDocumentPermissions(sql, resourceType, resourceId, grants || grant, {
+          grantedBy: userId,
+          organizationId: owner.organization_id || tenant.organizationId || null,
+        });
+        return jsonResponse(200, { success: true, resourceType, resourceId, permissions });
+      }
+
+      case 'revoke': {
+        const permissions = await revokeDocumentPermission(sql, resourceType, resourceId, grant);
+        return jsonResponse(200, { success: true, resourceType, resourceId, permissions });
+      }
+
+      default:
+        return jsonResponse(400, { error: `Invalid action: ${action}` });
+    }
+  } catch (error) {
+    console.error('Document permissions error:', error);
+    if (error.statusCode && error.statusCode < 500) {
+      return jsonResponse(error.statusCode, { error: error.message });
+    }
+    return jsonResponse(500, {
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
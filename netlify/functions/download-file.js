@@ -1,8 +1,17 @@
 import { neon } from '@neondatabase/serverless';
 
+import { renderDocument } from '../lib/document-renderer.js';
+import { resolveDocumentAccess } from '../lib/document-permissions.js';
+import {
+  documentScopePredicate,
+  ensureOrganizationColumn,
+  resolveTenant,
+  withSqlFragments,
+} from '../lib/organization-scope.js';
+
 const headers = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
   'Access-Control-Allow-Methods': 'GET, OPTIONS',
   'Content-Type': 'application/json',
 };
@@ -34,12 +43,16 @@ const extractUserId = (event, context) => {
 };
 
 // Get document file for download
-async function getDocumentFile(sql, userId, documentId) {
-  const [doc] = await sql`
+async function getDocumentFile(sql, userId, documentId, tenant = {}) {
+  await ensureOrganizationColumn(sql, 'document_index');
+  const access = await resolveDocumentAccess(sql, 'document_index', userId, tenant);
+
+  const [doc] = await withSqlFragments(sql)`
     SELECT id, document_id, document_name, filename, original_filename, 
            file_type, file_size, text_content, metadata, title, version
     FROM document_index
-    WHERE document_id = ${documentId} AND user_id = ${userId}
+    WHERE document_id = ${documentId}
+      AND ${documentScopePredicate(access, userId)}
   `;
 
   if (!doc) {
@@ -60,80 +73,18 @@ async function getDocumentFile(sql, userId, documentId) {
   };
 }
 
-// Convert text content to PDF (basic implementation)
-function convertTextToPDF(text, filename) {
-  // This is a basic implementation - in production, you'd want to use a proper PDF library
-  const pdfContent = `%PDF-1.4
-1 0 obj
-<<
-/Type /Catalog
-/Pages 2 0 R
->>
-endobj
-
-2 0 obj
-<<
-/Type /Pages
-/Kids [3 0 R]
-/Count 1
->>
-endobj
-
-3 0 obj
-<<
-/Type /Page
-/Parent 2 0 R
-/MediaBox [0 0 612 792]
-/Contents 4 0 R
-/Resources <<
-/Font <<
-/F1 5 0 R
->>
->>
->>
-endobj
-
-4 0 obj
-<<
-/Length ${text.length + 100}
->>
-stream
-BT
-/F1 12 Tf
-72 720 Td
-(${filename}) Tj
-0 -20 Td
-(${text.substring(0, 1000).replace(/[()\\]/g, '\\$&')}) Tj
-ET
-endstream
-endobj
-
-5 0 obj
-<<
-/Type /Font
-/Subtype /Type1
-/BaseFont /Helvetica
->>
-endobj
-
-xref
-0 6
-0000000000 65535 f 
-0000000009 00000 n 
-0000000058 00000 n 
-0000000115 00000 n 
-0000000274 00000 n 
-0000000500 00000 n 
-trailer
-<<
-/Size 6
-/Root 1 0 R
->>
-startxref
-${600 + text.length}
-%%EOF`;
-
-  return Buffer.from(pdfContent, 'utf8');
+// Render the stored text as a paginated document with a control block identifying the source
+async function renderStoredDocument(document, userId, format) {
+  return renderDocument({
+    title: document.title || document.originalFilename || document.filename,
+    version: document.version,
+    generatedBy: userId,
+    control: [
+      { label: 'Source file', value: document.originalFilename || document.filename },
+      { label: 'Document ID', value: document.documentId },
+    ],
+    markdown: document.textContent,
+  }, format);
 }
 
 export const handler = async (event, context) => {
@@ -183,30 +134,27 @@ export const handler = async (event, context) => {
     const sql = getDatabaseConnection();
 
     // Get document file
-    const document = await getDocumentFile(sql, userId, documentId);
+    const document = await getDocumentFile(sql, userId, documentId, resolveTenant(event, context));
 
     // Determine content type and file content
     let contentType = 'application/octet-stream';
     let fileContent;
     let filename = document.originalFilename || document.filename;
+    const renderFormat = format === 'docx' ? 'docx' : 'pdf';
 
-    if (format === 'pdf' || document.fileType === 'text') {
-      // Convert to PDF
-      contentType = 'application/pdf';
-      filename = filename.replace(/\.[^/.]+$/, '') + '.pdf';
-      fileContent = convertTextToPDF(document.textContent, document.title);
-    } else if (document.fileType === 'pdf') {
-      // Return original PDF content (if stored as text, convert to PDF)
-      contentType = 'application/pdf';
-      if (document.textContent) {
-        fileContent = convertTextToPDF(document.textContent, document.title);
-      } else {
+    if (format === 'pdf' || format === 'docx' || document.fileType === 'text' || document.fileType === 'pdf') {
+      // Only the extracted text is stored, so PDFs and other renderings are regenerated from it
+      if (!document.textContent) {
         return {
           statusCode: 404,
           headers,
-          body: JSON.stringify({ error: 'PDF content not available' }),
+          body: JSON.stringify({ error: 'Document content not available' }),
         };
       }
+      const rendered = await renderStoredDocument(document, userId, renderFormat);
+      contentType = rendered.contentType;
+      filename = filename.replace(/\.[^/.]+$/, '') + `.${renderFormat}`;
+      fileContent = rendered.buffer;
     } else {
       // Return as text
       contentType = 'text/plain';
@@ -221,7 +169,7 @@ export const handler = async (event, context) => {
         'Content-Disposition': `attachment; filename="${filename}"`,
         'Content-Length': fileContent.length.toString(),
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
         'Access-Control-Allow-Methods': 'GET, OPTIONS',
       },
       body: fileContent.toString('base64'),
@@ -1,8 +1,18 @@
 import { neon } from '@neondatabase/serverless';
 
+import { resolveDocumentAccess } from '../lib/document-permissions.js';
+import { ensureVersionLineageSchema, listVersionHistory } from '../lib/document-versions.js';
+import {
+  describeScope,
+  documentScopePredicate,
+  renderSqlFragment,
+  resolveTenant,
+  withSqlFragments,
+} from '../lib/organization-scope.js';
+
 const headers = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
   'Content-Type': 'application/json',
 };
@@ -34,18 +44,22 @@ const extractUserId = (event, context) => {
 };
 
 // Get indexed documents with search and filter
-async function getIndexedDocuments(sql, userId, options = {}) {
+async function getIndexedDocuments(sql, userId, options = {}, access) {
   const {
     search = '',
     documentType = '',
     status = '',
     hasManualSummary = null,
+    currentOnly = false,
     limit = 50,
     offset = 0,
     sortBy = 'created_at',
     sortOrder = 'desc'
   } = options;
 
+  // The access predicate takes the first parameters; the filters below are numbered after it
+  const scope = renderSqlFragment(documentScopePredicate(access, userId, { alias: 'd' }), 1);
+
   let query = `
     SELECT d.id,
            d.document_id,
@@ -64,6 +78,12 @@ async function getIndexedDocuments(sql, userId, options = {}) {
            d.metadata,
            d.title,
            d.version,
+           d.supersedes_document_id,
+           d.superseded_by_document_id,
+           d.superseded_at,
+           d.effective_date,
+           d.is_current,
+           d.organization_id,
            d.created_at,
            d.updated_at,
            CASE 
@@ -77,11 +97,11 @@ async function getIndexedDocuments(sql, userId, options = {}) {
              ELSE false
            END AS has_manual_summary
     FROM document_index d
-    WHERE d.user_id = $1
+    WHERE ${scope.text}
   `;
 
-  const params = [userId];
-  let paramIndex = 2;
+  const params = [...scope.values];
+  let paramIndex = params.length + 1;
 
   // Add search filter
   if (search.trim()) {
@@ -119,6 +139,11 @@ async function getIndexedDocuments(sql, userId, options = {}) {
     }
   }
 
+  // Only show the current effective revision of each document number
+  if (currentOnly) {
+    query += ` AND d.is_current IS DISTINCT FROM false`;
+  }
+
   // Add sorting
   const validSortFields = ['created_at', 'updated_at', 'document_name', 'filename', 'document_number', 'major_version'];
   const sortField = validSortFields.includes(sortBy) ? sortBy : 'created_at';
@@ -135,10 +160,10 @@ async function getIndexedDocuments(sql, userId, options = {}) {
   let countQuery = `
     SELECT COUNT(*) as total
     FROM document_index d
-    WHERE d.user_id = $1
+    WHERE ${scope.text}
   `;
-  const countParams = [userId];
-  let countParamIndex = 2;
+  const countParams = [...scope.values];
+  let countParamIndex = countParams.length + 1;
 
   if (search.trim()) {
     countQuery += ` AND (
@@ -172,6 +197,10 @@ async function getIndexedDocuments(sql, userId, options = {}) {
     }
   }
 
+  if (currentOnly) {
+    countQuery += ` AND d.is_current IS DISTINCT FROM false`;
+  }
+
   const [countResult] = await sql.unsafe(countQuery, countParams);
   const total = parseInt(countResult.total) || 0;
 
@@ -195,6 +224,13 @@ async function getIndexedDocuments(sql, userId, options = {}) {
       manualSummary: row.manual_summary,
       version: row.version,
       metadata: row.metadata,
+      supersedesDocumentId: row.supersedes_document_id || null,
+      supersededByDocumentId: row.superseded_by_document_id || null,
+      supersededAt: row.superseded_at || null,
+      effectiveDate: row.effective_date || null,
+      isCurrent: row.is_current !== false,
+      scope: describeScope(row),
+      organizationId: row.organization_id || null,
       createdAt: row.created_at,
       updatedAt: row.updated_at,
       hasManualSummary: row.has_manual_summary
@@ -207,11 +243,12 @@ async function getIndexedDocuments(sql, userId, options = {}) {
 }
 
 // Get document types for filter dropdown
-async function getDocumentTypes(sql, userId) {
-  const rows = await sql`
+async function getDocumentTypes(sql, userId, access) {
+  const rows = await withSqlFragments(sql)`
     SELECT DISTINCT document_type, COUNT(*) as count
     FROM document_index
-    WHERE user_id = ${userId} AND document_type IS NOT NULL
+    WHERE ${documentScopePredicate(access, userId)}
+      AND document_type IS NOT NULL
     GROUP BY document_type
     ORDER BY count DESC, document_type ASC
   `;
@@ -223,8 +260,8 @@ async function getDocumentTypes(sql, userId) {
 }
 
 // Get document statistics
-async function getDocumentStats(sql, userId) {
-  const [stats] = await sql`
+async function getDocumentStats(sql, userId, access) {
+  const [stats] = await withSqlFragments(sql)`
     SELECT 
       COUNT(*) as total_documents,
       COUNT(*) FILTER (WHERE manual_summary IS NOT NULL) as documents_with_manual_summary,
@@ -233,14 +270,14 @@ async function getDocumentStats(sql, userId) {
       SUM(file_size) as total_size,
       AVG(file_size) as avg_size
     FROM document_index
-    WHERE user_id = ${userId}
+    WHERE ${documentScopePredicate(access, userId)}
   `;
 
   const [chunkStats] = await sql`
     SELECT COUNT(*) as total_chunks
     FROM rag_document_chunks c
     JOIN rag_documents d ON d.id = c.document_id
-    WHERE d.user_id = ${userId}
+    WHERE (d.user_id = ${userId} AND d.organization_id IS NULL) OR d.organization_id = ${access.organizationId}
   `;
 
   return {
@@ -299,6 +336,8 @@ export const handler = async (event, context) => {
       };
     }
 
+    const tenant = resolveTenant(event, context);
+
     // Initialize database connection
     console.log('Initializing database connection...');
     const sql = getDatabaseConnection();
@@ -358,6 +397,7 @@ export const handler = async (event, context) => {
       } else {
         console.log('document_index table exists');
       }
+      await ensureVersionLineageSchema(sql);
     } catch (schemaError) {
       console.error('Error checking/creating document_index table:', schemaError);
       // Continue anyway, the error might be in the actual query
@@ -375,6 +415,8 @@ export const handler = async (event, context) => {
         status: queryParams.get('status') || '',
         hasManualSummary: queryParams.get('hasManualSummary') === 'true' ? true : 
                           queryParams.get('hasManualSummary') === 'false' ? false : null,
+        currentOnly: queryParams.get('currentOnly') === 'true',
+        documentNumber: queryParams.get('documentNumber') || '',
         limit: parseInt(queryParams.get('limit')) || 50,
         offset: parseInt(queryParams.get('offset')) || 0,
         sortBy: queryParams.get('sortBy') || 'created_at',
@@ -394,6 +436,8 @@ export const handler = async (event, context) => {
       }
     }
 
+    const access = await resolveDocumentAccess(sql, 'document_index', userId, tenant);
+
     // Get the requested data
     const action = event.queryStringParameters?.action || 'list';
     console.log('Processing action:', action, 'with options:', options);
@@ -401,7 +445,7 @@ export const handler = async (event, context) => {
     switch (action) {
       case 'list':
         console.log('Getting indexed documents...');
-        const result = await getIndexedDocuments(sql, userId, options);
+        const result = await getIndexedDocuments(sql, userId, options, access);
         console.log('Retrieved documents:', result.documents.length, 'total:', result.total);
         return {
           statusCode: 200,
@@ -411,7 +455,7 @@ export const handler = async (event, context) => {
 
       case 'types':
         console.log('Getting document types...');
-        const documentTypes = await getDocumentTypes(sql, userId);
+        const documentTypes = await getDocumentTypes(sql, userId, access);
         console.log('Retrieved document types:', documentTypes.length);
         return {
           statusCode: 200,
@@ -421,7 +465,7 @@ export const handler = async (event, context) => {
 
       case 'stats':
         console.log('Getting document stats...');
-        const stats = await getDocumentStats(sql, userId);
+        const stats = await getDocumentStats(sql, userId, access);
         console.log('Retrieved stats:', stats);
         return {
           statusCode: 200,
@@ -429,6 +473,29 @@ export const handler = async (event, context) => {
           body: JSON.stringify({ stats }),
         };
 
+      case 'history': {
+        const documentNumber = typeof options.documentNumber === 'string' ? options.documentNumber.trim() : '';
+        if (!documentNumber) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'documentNumber is required to load version history' }),
+          };
+        }
+
+        console.log('Getting version history for:', documentNumber);
+        const versions = await listVersionHistory(sql, userId, documentNumber, { access });
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            documentNumber,
+            versions,
+            currentVersion: versions.find(version => version.isCurrent) || null,
+          }),
+        };
+      }
+
       default:
         console.log('Invalid action:', action);
         return {
@@ -1,9 +1,18 @@
 import { neon } from '@neondatabase/serverless';
 import OpenAI from 'openai';
 
+import { AUDIT_ACTIONS, recordAuditEvent, resolveChangeReason } from '../lib/audit-trail.js';
+import { applyVersionLineage } from '../lib/document-versions.js';
+import {
+  ensureOrganizationColumn,
+  getManageableOrganization,
+  resolveOwnerOrganization,
+  resolveTenant,
+} from '../lib/organization-scope.js';
+
 const headers = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
   'Access-Control-Allow-Methods': 'POST, OPTIONS',
   'Content-Type': 'application/json',
 };
@@ -106,8 +115,15 @@ Summary:`;
   }
 }
 
-// Process and index a single document
-async function processDocument(sql, userId, document) {
+const createLibraryConflictError = (filename) => {
+  const error = new Error(`${filename} is already indexed in another library; rename the file to index it here`);
+  error.statusCode = 409;
+  return error;
+};
+
+// Process and index a single document. Also used by the Veeva Vault sync, which indexes
+// under its service identity.
+export async function processDocument(sql, userId, document, tenant = {}) {
   const {
     filename,
     text,
@@ -122,6 +138,22 @@ async function processDocument(sql, userId, document) {
     throw new Error('Document filename and text are required');
   }
 
+  // Documents added to the organization library are shared with every member of it
+  const organizationId = resolveOwnerOrganization(tenant, document.scope || metadata.scope);
+  await ensureOrganizationColumn(sql, 'document_index');
+  await ensureOrganizationColumn(sql, 'rag_documents');
+
+  // Re-indexing a filename replaces the caller's rag_documents row for it; that must not move the
+  // row between their personal library and an organization's
+  const [existingRagDoc] = await sql`
+    SELECT organization_id
+    FROM rag_documents
+    WHERE filename = ${filename} AND user_id = ${userId}
+  `;
+  if (existingRagDoc && (existingRagDoc.organization_id || null) !== organizationId) {
+    throw createLibraryConflictError(filename);
+  }
+
   // Generate AI summary with document type context
   const aiSummary = await generateDocumentSummary(text, filename, documentType);
 
@@ -140,10 +172,13 @@ async function processDocument(sql, userId, document) {
     status: status || 'active',
     indexedAt: new Date().toISOString(),
     hasAISummary: !!aiSummary,
+    scope: organizationId ? 'organization' : 'personal',
     documentNumber: docNumber,
     majorVersion,
     minorVersion,
-    originalFilename: filename
+    originalFilename: filename,
+    // Links the rag_documents mirror row to this document_index revision
+    documentId
   };
 
   // Insert document into both document_index and rag_documents tables
@@ -166,7 +201,8 @@ async function processDocument(sql, userId, document) {
       metadata,
       title,
       version,
-      uploaded_by
+      uploaded_by,
+      organization_id
     ) VALUES (
       ${documentId},
       ${docNumber || 'UNKNOWN'},
@@ -185,7 +221,8 @@ async function processDocument(sql, userId, document) {
       ${JSON.stringify(documentMetadata)},
       ${title || filename},
       ${version || '1.0'},
-      ${metadata.uploadedBy || userId}
+      ${metadata.uploadedBy || userId},
+      ${organizationId}
     )
     ON CONFLICT (document_id) DO UPDATE SET
       document_name = EXCLUDED.document_name,
@@ -199,9 +236,17 @@ async function processDocument(sql, userId, document) {
       title = EXCLUDED.title,
       version = EXCLUDED.version,
       updated_at = CURRENT_TIMESTAMP
+    WHERE (document_index.user_id = ${userId} AND document_index.organization_id IS NULL)
+       OR document_index.organization_id = ${getManageableOrganization(tenant)}
     RETURNING id, document_id, document_name, summary, version, document_number, major_version, minor_version, document_type, status, created_at
   `;
 
+  if (!insertedDoc) {
+    const error = new Error('Document not found or access denied');
+    error.statusCode = 403;
+    throw error;
+  }
+
   // Also insert into rag_documents for backward compatibility
   const [ragDoc] = await sql`
     INSERT INTO rag_documents (
@@ -220,7 +265,8 @@ async function processDocument(sql, userId, document) {
       minor_version,
       document_type,
       status,
-      uploaded_by
+      uploaded_by,
+      organization_id
     ) VALUES (
       ${userId},
       ${filename},
@@ -237,7 +283,8 @@ async function processDocument(sql, userId, document) {
       ${minorVersion},
       ${documentType || 'unknown'},
       ${status || 'active'},
-      ${metadata.uploadedBy || userId}
+      ${metadata.uploadedBy || userId},
+      ${organizationId}
     )
     ON CONFLICT (filename, user_id) DO UPDATE SET
       text_content = EXCLUDED.text_content,
@@ -251,9 +298,14 @@ async function processDocument(sql, userId, document) {
       document_type = EXCLUDED.document_type,
       status = EXCLUDED.status,
       updated_at = CURRENT_TIMESTAMP
+    WHERE rag_documents.organization_id IS NOT DISTINCT FROM EXCLUDED.organization_id
     RETURNING id, filename, title, summary, version, document_number, major_version, minor_version, document_type, status, created_at
   `;
 
+  if (!ragDoc) {
+    throw createLibraryConflictError(filename);
+  }
+
   // Chunk the text for search
   const chunkSize = 800;
   const chunks = [];
@@ -269,6 +321,9 @@ async function processDocument(sql, userId, document) {
     });
   }
 
+  // Re-indexing replaces the previous chunks rather than adding a second copy
+  await sql`DELETE FROM rag_document_chunks WHERE document_id = ${ragDoc.id}`;
+
   // Insert chunks using the rag_documents ID for backward compatibility
   if (chunks.length > 0) {
     for (const chunk of chunks) {
@@ -290,6 +345,33 @@ async function processDocument(sql, userId, document) {
     }
   }
 
+  // Link this revision into its document number's version chain and supersede older effective versions
+  const lineage = await applyVersionLineage(sql, userId, {
+    documentId: insertedDoc.document_id,
+    documentNumber: insertedDoc.document_number,
+    majorVersion: insertedDoc.major_version,
+    minorVersion: insertedDoc.minor_version,
+    status: insertedDoc.status,
+    effectiveDate: metadata.effectiveDate || null,
+  }, { organizationId });
+
+  await recordAuditEvent(sql, {
+    action: AUDIT_ACTIONS.DOCUMENT_INDEXED,
+    resourceType: 'document_index',
+    resourceId: insertedDoc.document_id,
+    resourceName: insertedDoc.document_name,
+    userId,
+    organizationId,
+    before: null,
+    after: {
+      documentNumber: insertedDoc.document_number,
+      version: insertedDoc.version,
+      status: lineage.status,
+      summary: insertedDoc.summary,
+    },
+    metadata: { chunks: chunks.length, supersededDocumentIds: lineage.supersededDocumentIds },
+  });
+
   return {
     id: insertedDoc.id,
     documentId: insertedDoc.document_id,
@@ -301,7 +383,13 @@ async function processDocument(sql, userId, document) {
     majorVersion: insertedDoc.major_version,
     minorVersion: insertedDoc.minor_version,
     documentType: insertedDoc.document_type,
-    status: insertedDoc.status,
+    status: lineage.status,
+    isCurrent: lineage.isCurrent,
+    supersedesDocumentId: lineage.supersedesDocumentId,
+    supersededByDocumentId: lineage.supersededByDocumentId || null,
+    supersededDocumentIds: lineage.supersededDocumentIds,
+    scope: organizationId ? 'organization' : 'personal',
+    organizationId,
     createdAt: insertedDoc.created_at,
     chunkCount: chunks.length,
     hasAISummary: !!insertedDoc.summary
@@ -309,14 +397,28 @@ async function processDocument(sql, userId, document) {
 }
 
 // Update manual summary for a document
-async function updateManualSummary(sql, userId, documentId, manualSummary) {
-  // Update both document_index and rag_documents tables
+async function updateManualSummary(sql, userId, documentId, manualSummary, tenant = {}, reason = null) {
+  const manageableOrganization = getManageableOrganization(tenant);
+  await ensureOrganizationColumn(sql, 'document_index');
+  await ensureOrganizationColumn(sql, 'rag_documents');
+
+  // Update both document_index and rag_documents tables; the previous summary is kept for the audit trail
   const [updatedDoc] = await sql`
+    WITH previous AS (
+      SELECT document_id, manual_summary
+        FROM document_index
+       WHERE document_id = ${documentId}
+    )
     UPDATE document_index
     SET manual_summary = ${manualSummary},
         updated_at = CURRENT_TIMESTAMP
-    WHERE document_id = ${documentId} AND user_id = ${userId}
-    RETURNING id, document_id, document_name, summary, manual_summary, updated_at
+    FROM previous
+    WHERE document_index.document_id = previous.document_id
+      AND ((document_index.user_id = ${userId} AND document_index.organization_id IS NULL)
+        OR document_index.organization_id = ${manageableOrganization})
+    RETURNING document_index.id, document_index.document_id, document_index.document_name, document_index.summary,
+              document_index.manual_summary, document_index.filename, document_index.user_id,
+              document_index.organization_id, document_index.updated_at, previous.manual_summary AS previous_manual_summary
   `;
 
   if (!updatedDoc) {
@@ -332,10 +434,22 @@ async function updateManualSummary(sql, userId, documentId, manualSummary) {
       ${JSON.stringify(manualSummary)}
     ),
     updated_at = CURRENT_TIMESTAMP
-    WHERE filename = (SELECT filename FROM document_index WHERE document_id = ${documentId} AND user_id = ${userId})
-      AND user_id = ${userId}
+    WHERE filename = ${updatedDoc.filename}
+      AND user_id = ${updatedDoc.user_id}
   `;
 
+  await recordAuditEvent(sql, {
+    action: AUDIT_ACTIONS.MANUAL_SUMMARY_UPDATED,
+    resourceType: 'document_index',
+    resourceId: updatedDoc.document_id,
+    resourceName: updatedDoc.document_name,
+    userId,
+    organizationId: updatedDoc.organization_id,
+    before: updatedDoc.previous_manual_summary ?? null,
+    after: updatedDoc.manual_summary ?? null,
+    reason,
+  });
+
   return {
     id: updatedDoc.id,
     documentId: updatedDoc.document_id,
@@ -391,7 +505,7 @@ export const handler = async (event, context) => {
       };
     }
 
-    const { action, document, documentId, manualSummary } = requestData;
+    const { action, document, documentId, manualSummary, reason } = requestData;
 
     if (!action) {
       return {
@@ -401,6 +515,8 @@ export const handler = async (event, context) => {
       };
     }
 
+    const tenant = resolveTenant(event, context);
+
     // Initialize database connection
     const sql = getDatabaseConnection();
 
@@ -414,7 +530,7 @@ export const handler = async (event, context) => {
           };
         }
 
-        const indexedDocument = await processDocument(sql, userId, document);
+        const indexedDocument = await processDocument(sql, userId, document, tenant);
         
         return {
           statusCode: 200,
@@ -435,7 +551,14 @@ export const handler = async (event, context) => {
           };
         }
 
-        const updatedDocument = await updateManualSummary(sql, userId, documentId, manualSummary);
+        const updatedDocument = await updateManualSummary(
+          sql,
+          userId,
+          documentId,
+          manualSummary,
+          tenant,
+          resolveChangeReason(reason)
+        );
         
         return {
           statusCode: 200,
@@ -461,7 +584,7 @@ export const handler = async (event, context) => {
 
         for (const doc of document.documents) {
           try {
-            const result = await processDocument(sql, userId, doc);
+            const result = await processDocument(sql, userId, doc, tenant);
             results.push(result);
           } catch (error) {
             errors.push({
@@ -492,6 +615,13 @@ export const handler = async (event, context) => {
 
   } catch (error) {
     console.error('Document indexing error:', error);
+    if (error.statusCode && error.statusCode < 500) {
+      return {
+        statusCode: error.statusCode,
+        headers,
+        body: JSON.stringify({ error: error.message }),
+      };
+    }
     return {
       statusCode: 500,
       headers,
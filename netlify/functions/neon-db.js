@@ -1,9 +1,49 @@
 // netlify/functions/neon-db.js - FIXED VERSION
 import { neon } from '@neondatabase/serverless';
+import {
+  clearConversationThreads,
+  findMessageTreeError,
+  listConversationThreads,
+  saveConversationThread,
+  summarizeRagUsage,
+} from '../lib/conversation-sync.js';
+import {
+  describeScope,
+  ensureOrganizationColumn,
+  getManageableOrganization,
+  resolveOwnerOrganization,
+  resolveTenant,
+} from '../lib/organization-scope.js';
+import {
+  getSuggestionFeedback,
+  recordSuggestionFeedback,
+} from '../lib/learning-suggestion-feedback.js';
+import {
+  deleteQuiz,
+  getQuiz,
+  listDueReviewItems,
+  listQuizzes,
+  saveQuiz,
+  submitQuizAttempt,
+  submitReview,
+} from '../lib/study-quizzes.js';
+import {
+  assignCurriculum,
+  createCurriculum,
+  deleteCurriculum,
+  getAssignedQuiz,
+  getTrainingProgress,
+  listCurricula,
+  listMyAssignments,
+  recordResourceViewed,
+  submitAssignedQuiz,
+  unassignCurriculum,
+  updateCurriculum,
+} from '../lib/training-curricula.js';
 
 const headers = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
   'Content-Type': 'application/json',
 };
@@ -209,6 +249,8 @@ export const handler = async (event, context) => {
 
     console.log('Processing action:', action, 'for user:', userId);
 
+    const tenant = resolveTenant(event, context);
+
     // Initialize database connection
     const sql = getDatabaseConnection();
 
@@ -218,7 +260,7 @@ export const handler = async (event, context) => {
         return await handleSaveConversation(sql, userId, data);
       
       case 'get_conversations':
-        return await handleGetConversations(sql, userId);
+        return await handleGetConversations(sql, userId, data);
       
       case 'clear_conversations':
         return await handleClearConversations(sql, userId);
@@ -235,11 +277,147 @@ export const handler = async (event, context) => {
       case 'health_check':
         return await handleHealthCheck(sql, userId);
 
+      case 'record_suggestion_feedback':
+        return await handleJsonAction(
+          () => recordSuggestionFeedback(sql, userId, data),
+          'Failed to record suggestion feedback'
+        );
+
+      case 'get_suggestion_feedback':
+        return await handleJsonAction(
+          () => getSuggestionFeedback(sql, userId),
+          'Failed to load suggestion feedback'
+        );
+
       case 'add_training_resource':
-        return await handleAddTrainingResource(sql, userId, data);
+        return await handleAddTrainingResource(sql, userId, data, tenant);
 
       case 'get_training_resources':
-        return await handleGetTrainingResources(sql, userId);
+        return await handleGetTrainingResources(sql, userId, tenant);
+
+      case 'update_training_resource':
+        return await handleUpdateTrainingResource(sql, userId, data, tenant);
+
+      case 'delete_training_resource':
+        return await handleDeleteTrainingResource(sql, userId, data, tenant);
+
+      case 'save_quiz':
+        return await handleJsonAction(() => saveQuiz(sql, userId, data), 'Failed to save quiz', 201);
+
+      case 'get_quizzes':
+        return await handleJsonAction(async () => ({ quizzes: await listQuizzes(sql, userId) }), 'Failed to load quizzes');
+
+      case 'get_quiz':
+        return await handleJsonAction(() => getQuiz(sql, userId, requireField(data, 'quizId')), 'Failed to load quiz');
+
+      case 'submit_quiz_attempt':
+        return await handleJsonAction(
+          () => submitQuizAttempt(sql, userId, requireField(data, 'quizId'), data?.responses),
+          'Failed to grade quiz'
+        );
+
+      case 'delete_quiz':
+        return await handleJsonAction(
+          async () => ({ deleted: true, id: await deleteQuiz(sql, userId, requireField(data, 'quizId')) }),
+          'Failed to delete quiz'
+        );
+
+      case 'get_due_reviews':
+        return await handleJsonAction(
+          () => listDueReviewItems(sql, userId, { limit: Number(data?.limit) || 20 }),
+          'Failed to load review items'
+        );
+
+      case 'submit_review':
+        return await handleJsonAction(
+          () => submitReview(sql, userId, requireField(data, 'itemId'), data.response),
+          'Failed to record review'
+        );
+
+      case 'get_training_curricula':
+        return await handleTrainingCurriculumAction(
+          sql,
+          async () => ({ curricula: await listCurricula(sql, tenant) }),
+          'Failed to load training curricula'
+        );
+
+      case 'save_training_curriculum':
+        return data?.curriculumId
+          ? await handleTrainingCurriculumAction(
+              sql,
+              () => updateCurriculum(sql, tenant, data.curriculumId, data),
+              'Failed to update training curriculum'
+            )
+          : await handleTrainingCurriculumAction(
+              sql,
+              () => createCurriculum(sql, tenant, userId, data),
+              'Failed to create training curriculum',
+              201
+            );
+
+      case 'delete_training_curriculum':
+        return await handleTrainingCurriculumAction(
+          sql,
+          async () => ({ deleted: true, id: await deleteCurriculum(sql, tenant, requireField(data, 'curriculumId')) }),
+          'Failed to delete training curriculum'
+        );
+
+      case 'assign_training_curriculum':
+        return await handleTrainingCurriculumAction(
+          sql,
+          async () => ({ assignments: await assignCurriculum(sql, tenant, userId, { ...data, curriculumId: requireField(data, 'curriculumId') }) }),
+          'Failed to assign training curriculum'
+        );
+
+      case 'unassign_training_curriculum':
+        return await handleTrainingCurriculumAction(
+          sql,
+          async () => ({ deleted: true, id: await unassignCurriculum(sql, tenant, requireField(data, 'assignmentId')) }),
+          'Failed to remove training assignment'
+        );
+
+      case 'get_my_training':
+        return await handleTrainingCurriculumAction(
+          sql,
+          async () => ({ assignments: await listMyAssignments(sql, userId) }),
+          'Failed to load training assignments'
+        );
+
+      case 'record_training_view':
+        return await handleTrainingCurriculumAction(
+          sql,
+          () => recordResourceViewed(sql, userId, { assignmentId: requireField(data, 'assignmentId'), stepId: requireField(data, 'stepId') }),
+          'Failed to record training progress'
+        );
+
+      case 'get_training_quiz':
+        return await handleTrainingCurriculumAction(
+          sql,
+          () => getAssignedQuiz(sql, userId, { assignmentId: requireField(data, 'assignmentId'), stepId: requireField(data, 'stepId') }),
+          'Failed to load training quiz'
+        );
+
+      case 'submit_training_quiz':
+        return await handleTrainingCurriculumAction(
+          sql,
+          () => submitAssignedQuiz(sql, userId, {
+            assignmentId: requireField(data, 'assignmentId'),
+            stepId: requireField(data, 'stepId'),
+            responses: data.responses,
+          }),
+          'Failed to grade training quiz'
+        );
+
+      case 'get_training_progress':
+        return await handleTrainingCurriculumAction(
+          sql,
+          () => getTrainingProgress(sql, tenant, {
+            curriculumId: Number(data?.curriculumId) || null,
+            userId: data?.userId || null,
+            team: data?.team || null,
+          }),
+          'Failed to load training progress'
+        );
 
       default:
         return {
@@ -295,18 +473,14 @@ async function handleSaveConversation(sql, userId, data) {
 
     console.log(`Processing ${messages.length} messages...`);
 
+    if (data.threadId) {
+      return await saveThread(sql, userId, data);
+    }
+
     // Extract RAG information
-    const ragMessages = messages.filter(msg => 
-      msg.sources && msg.sources.length > 0
-    );
-    
-    const ragDocuments = [...new Set(
-      ragMessages.flatMap(msg => 
-        msg.sources?.map(source => source.documentId) || []
-      )
-    )];
+    const { usedRag, ragDocuments } = summarizeRagUsage(messages);
 
-    console.log(`Found ${ragMessages.length} RAG messages with ${ragDocuments.length} unique documents`);
+    console.log(`RAG used: ${usedRag} with ${ragDocuments.length} unique documents`);
 
     // Insert conversation record
     const [conversation] = await sql`
@@ -323,7 +497,7 @@ async function handleSaveConversation(sql, userId, data) {
         ${JSON.stringify(messages)},
         ${JSON.stringify(metadata)},
         ${messages.length},
-        ${ragMessages.length > 0},
+        ${usedRag},
         ${ragDocuments}
       )
       RETURNING id, created_at
@@ -339,7 +513,7 @@ async function handleSaveConversation(sql, userId, data) {
         created_at: conversation.created_at,
         message: 'Conversation saved successfully to Neon database',
         messageCount: messages.length,
-        ragUsed: ragMessages.length > 0,
+        ragUsed: usedRag,
         ragDocuments: ragDocuments.length,
         userId: userId,
         source: 'neon-postgresql'
@@ -352,27 +526,71 @@ async function handleSaveConversation(sql, userId, data) {
 }
 
 /**
- * Get conversations from Neon database
+ * Save one chat thread, replacing its previous copy. Clients send the version they last read as
+ * `expectedVersion`; a mismatch means another tab or device saved first and returns 409 with the
+ * stored copy so the client can merge and retry.
  */
-async function handleGetConversations(sql, userId) {
+async function saveThread(sql, userId, data) {
+  const { threadId, messages, metadata = {}, expectedVersion = 0 } = data;
+
+  // Edited and regenerated messages are stored as a tree; refuse links the client could not follow
+  const treeError = findMessageTreeError(messages);
+  if (treeError) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: treeError }),
+    };
+  }
+
+  const { conflict, conversation } = await saveConversationThread(sql, userId, {
+    threadId: String(threadId),
+    messages,
+    metadata,
+    expectedVersion,
+  });
+
+  if (conflict) {
+    console.log(`⚠️ Version conflict saving thread ${threadId} (expected ${expectedVersion})`);
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({
+        error: 'Conversation was updated in another session',
+        conflict: true,
+        conversation,
+      }),
+    };
+  }
+
+  console.log(`✅ Thread ${threadId} saved at version ${conversation.version}`);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      id: conversation.id,
+      threadId: conversation.threadId,
+      version: conversation.version,
+      updated_at: conversation.updated_at,
+      messageCount: conversation.messageCount,
+      userId: userId,
+      source: 'neon-postgresql'
+    }),
+  };
+}
+
+/**
+ * Get conversations from Neon database. `data.since` limits the result to rows changed after
+ * that timestamp for incremental sync, and adds the ids of threads deleted since then. The
+ * returned `serverTime` is the `since` to send next time.
+ */
+async function handleGetConversations(sql, userId, data = {}) {
   try {
-    console.log('📖 Loading conversations from Neon for user:', userId);
+    const since = data?.since || null;
+    console.log('📖 Loading conversations from Neon for user:', userId, since ? `(changed since ${since})` : '');
 
-    const conversations = await sql`
-      SELECT 
-        id,
-        messages,
-        metadata,
-        message_count,
-        used_rag,
-        rag_documents_referenced,
-        created_at,
-        updated_at
-      FROM conversations 
-      WHERE user_id = ${userId}
-      ORDER BY created_at DESC
-      LIMIT 100
-    `;
+    const { conversations, deletedThreadIds, serverTime } = await listConversationThreads(sql, userId, { since });
 
     console.log(`✅ Loaded ${conversations.length} conversations from Neon`);
 
@@ -380,17 +598,11 @@ async function handleGetConversations(sql, userId) {
       statusCode: 200,
       headers,
       body: JSON.stringify({
-        conversations: conversations.map(conv => ({
-          id: conv.id,
-          messages: conv.messages,
-          metadata: conv.metadata,
-          messageCount: conv.message_count,
-          used_rag: conv.used_rag,
-          rag_documents_referenced: conv.rag_documents_referenced,
-          created_at: conv.created_at,
-          updated_at: conv.updated_at
-        })),
+        conversations,
+        deletedThreadIds,
         total: conversations.length,
+        since,
+        serverTime,
         userId: userId,
         source: 'neon-postgresql'
       }),
@@ -418,10 +630,7 @@ async function handleClearConversations(sql, userId) {
   try {
     console.log('🗑️ Clearing conversations from Neon for user:', userId);
 
-    const result = await sql`
-      DELETE FROM conversations 
-      WHERE user_id = ${userId}
-    `;
+    const deletedCount = await clearConversationThreads(sql, userId);
 
     console.log('✅ Conversations cleared successfully from Neon');
 
@@ -430,7 +639,7 @@ async function handleClearConversations(sql, userId) {
       headers,
       body: JSON.stringify({ 
         message: 'All conversations deleted successfully from Neon database',
-        deletedCount: result.count || 0,
+        deletedCount,
         userId: userId,
         source: 'neon-postgresql'
       }),
@@ -721,9 +930,51 @@ async function ensureTrainingResourcesTable(sql) {
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
     )
   `;
+  await ensureOrganizationColumn(sql, 'training_resources');
 }
 
-export async function handleAddTrainingResource(sql, userId, data) {
+const formatTrainingResource = (row) => ({ ...row, scope: describeScope(row) });
+
+// Surfaces scope errors from resolveOwnerOrganization with their own status code
+const trainingResourceErrorResponse = (error, fallbackMessage) => {
+  if (error.statusCode && error.statusCode < 500) {
+    return {
+      statusCode: error.statusCode,
+      headers,
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+  if (error.code === '42P01') {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'training_resources table is missing',
+        message: error.message,
+      }),
+    };
+  }
+  if (error.code === '42703') {
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'A required column is missing',
+        message: error.message,
+      }),
+    };
+  }
+  return {
+    statusCode: 500,
+    headers,
+    body: JSON.stringify({
+      error: fallbackMessage,
+      message: error.message,
+    }),
+  };
+};
+
+export async function handleAddTrainingResource(sql, userId, data, tenant = {}) {
   try {
     if (!data || !data.name || !data.url) {
       return {
@@ -733,98 +984,173 @@ export async function handleAddTrainingResource(sql, userId, data) {
       };
     }
 
+    const organizationId = resolveOwnerOrganization(tenant, data.scope);
     await ensureTrainingResourcesTable(sql);
 
     const { name, description = '', url, tag = null } = data;
     const [resource] = await sql`
-      INSERT INTO training_resources (user_id, name, description, url, tag)
-      VALUES (${userId}, ${name}, ${description}, ${url}, ${tag})
-      RETURNING id, user_id, name, description, url, tag, created_at, updated_at
+      INSERT INTO training_resources (user_id, name, description, url, tag, organization_id)
+      VALUES (${userId}, ${name}, ${description}, ${url}, ${tag}, ${organizationId})
+      RETURNING id, user_id, name, description, url, tag, organization_id, created_at, updated_at
     `;
 
     return {
       statusCode: 201,
       headers,
-      body: JSON.stringify({ resource }),
+      body: JSON.stringify({ resource: formatTrainingResource(resource) }),
     };
   } catch (error) {
     console.error('❌ Error adding external resource:', error);
-    if (error.code === '42P01') {
+    return trainingResourceErrorResponse(error, 'Failed to add external resource');
+  }
+}
+
+export async function handleGetTrainingResources(sql, userId, tenant = {}) {
+  try {
+    await ensureTrainingResourcesTable(sql);
+    const resources = await sql`
+      SELECT id, user_id, name, description, url, tag, organization_id, created_at, updated_at
+      FROM training_resources
+      WHERE (user_id = ${userId} AND organization_id IS NULL)
+         OR organization_id = ${tenant.organizationId || null}
+      ORDER BY created_at DESC
+    `;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ resources: resources.map(formatTrainingResource) }),
+    };
+  } catch (error) {
+    console.error('❌ Error loading external resources:', error);
+    return trainingResourceErrorResponse(error, 'Failed to load external resources');
+  }
+}
+
+export async function handleUpdateTrainingResource(sql, userId, data, tenant = {}) {
+  try {
+    if (!data?.id) {
       return {
-        statusCode: 500,
+        statusCode: 400,
         headers,
-        body: JSON.stringify({
-          error: 'training_resources table is missing',
-          message: error.message,
-        }),
+        body: JSON.stringify({ error: 'Resource id is required' }),
       };
     }
-    if (error.code === '42703') {
+
+    await ensureTrainingResourcesTable(sql);
+
+    const { id, name = null, description = null, url = null, tag = null } = data;
+    const [resource] = await sql`
+      UPDATE training_resources
+         SET name = COALESCE(${name}, name),
+             description = COALESCE(${description}, description),
+             url = COALESCE(${url}, url),
+             tag = COALESCE(${tag}, tag),
+             updated_at = NOW()
+       WHERE id = ${id}
+         AND ((user_id = ${userId} AND organization_id IS NULL) OR organization_id = ${getManageableOrganization(tenant)})
+      RETURNING id, user_id, name, description, url, tag, organization_id, created_at, updated_at
+    `;
+
+    if (!resource) {
       return {
-        statusCode: 500,
+        statusCode: 404,
         headers,
-        body: JSON.stringify({
-          error: 'A required column is missing',
-          message: error.message,
-        }),
+        body: JSON.stringify({ error: 'Resource not found or access denied' }),
       };
     }
+
     return {
-      statusCode: 500,
+      statusCode: 200,
       headers,
-      body: JSON.stringify({
-        error: 'Failed to add external resource',
-        message: error.message,
-      }),
+      body: JSON.stringify({ resource: formatTrainingResource(resource) }),
     };
+  } catch (error) {
+    console.error('❌ Error updating external resource:', error);
+    return trainingResourceErrorResponse(error, 'Failed to update external resource');
   }
 }
 
-export async function handleGetTrainingResources(sql, userId) {
+export async function handleDeleteTrainingResource(sql, userId, data, tenant = {}) {
   try {
+    if (!data?.id) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Resource id is required' }),
+      };
+    }
+
     await ensureTrainingResourcesTable(sql);
-    const resources = await sql`
-      SELECT id, user_id, name, description, url, tag, created_at, updated_at
-      FROM training_resources
-      WHERE user_id = ${userId}
-      ORDER BY created_at DESC
+
+    const deleted = await sql`
+      DELETE FROM training_resources
+       WHERE id = ${data.id}
+         AND ((user_id = ${userId} AND organization_id IS NULL) OR organization_id = ${getManageableOrganization(tenant)})
+      RETURNING id
     `;
 
+    if (deleted.length === 0) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Resource not found or access denied' }),
+      };
+    }
+
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({ resources }),
+      body: JSON.stringify({ deleted: true, id: deleted[0].id }),
     };
   } catch (error) {
-    console.error('❌ Error loading external resources:', error);
-    if (error.code === '42P01') {
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({
-          error: 'training_resources table is missing',
-          message: error.message,
-        }),
-      };
-    }
-    if (error.code === '42703') {
+    console.error('❌ Error deleting external resource:', error);
+    return trainingResourceErrorResponse(error, 'Failed to delete external resource');
+  }
+}
+
+// Shared wrapper for quiz and training curriculum actions that delegate to netlify/lib
+const requireField = (data, field) => {
+  if (!data?.[field]) {
+    const error = new Error(`${field} is required`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return data[field];
+};
+
+async function handleJsonAction(run, fallbackMessage, successStatus = 200) {
+  try {
+    const result = await run();
+    return {
+      statusCode: successStatus,
+      headers,
+      body: JSON.stringify(result),
+    };
+  } catch (error) {
+    console.error(`❌ ${fallbackMessage}:`, error);
+    if (error.statusCode && error.statusCode < 500) {
       return {
-        statusCode: 500,
+        statusCode: error.statusCode,
         headers,
-        body: JSON.stringify({
-          error: 'A required column is missing',
-          message: error.message,
-        }),
+        body: JSON.stringify({ error: error.message }),
       };
     }
     return {
       statusCode: 500,
       headers,
       body: JSON.stringify({
-        error: 'Failed to load external resources',
+        error: fallbackMessage,
         message: error.message,
       }),
     };
   }
 }
 
+// Curriculum steps join training_resources, so make sure that table exists first
+async function handleTrainingCurriculumAction(sql, run, fallbackMessage, successStatus = 200) {
+  return handleJsonAction(async () => {
+    await ensureTrainingResourcesTable(sql);
+    return run();
+  }, fallbackMessage, successStatus);
+}
@@ -2,19 +2,38 @@
 import { neon, neonConfig } from '@neondatabase/serverless';
 
 import { uploadDocumentToBlobStore, __internal as blobInternal } from '../lib/blob-helper.js';
+import { getEmbeddingProvider, toVectorLiteral } from '../lib/embedding-provider.js';
+import { chunkStructuredText, formatChunkCitation } from '../lib/structured-chunker.js';
+import {
+  describeScope,
+  documentEditPredicate,
+  documentScopePredicate,
+  ensureOrganizationColumn,
+  getManageableOrganization,
+  resolveOwnerOrganization,
+  resolveTenant,
+  withSqlFragments,
+} from '../lib/organization-scope.js';
+import { AUDIT_ACTIONS, recordAuditedChange, recordAuditEvent, resolveChangeReason } from '../lib/audit-trail.js';
+import { clearDocumentPermissions, PERSONAL_ACCESS, resolveDocumentAccess } from '../lib/document-permissions.js';
+import { normalizeTable, queryDocumentTables, saveDocumentTables, summarizeTables } from '../lib/document-tables.js';
 
 export const config = {
   nodeRuntime: 'nodejs18.x',
 };
 
 const DEFAULT_CHUNK_SIZE = 800;
+const DEFAULT_CHUNK_OVERLAP = 120;
 const MAX_CHUNKS = 5000;
 const MAX_TEXT_LENGTH = DEFAULT_CHUNK_SIZE * MAX_CHUNKS;
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit
 const MAX_TEXT_CONTENT_LENGTH = 5 * 1024 * 1024; // 5MB text content limit
+const SEARCH_MODES = ['text', 'vector', 'hybrid'];
+const RRF_K = 60; // Reciprocal rank fusion damping constant
+const HYBRID_CANDIDATE_MULTIPLIER = 4;
 const headers = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
   'Access-Control-Allow-Methods': 'POST, OPTIONS',
   'Content-Type': 'application/json',
 };
@@ -83,6 +102,7 @@ const logBlobUploadFailure = (error) => {
 let sqlClientPromise = null;
 let ensuredSchemaPromise = null;
 let documentTypeOptionsPromise = null;
+let vectorSupportPromise = null;
 let loggedNeonConnectionKey = null;
 let loggedMissingNeonConnection = false;
 
@@ -389,11 +409,23 @@ async function ensureRagSchema(sql) {
         ADD COLUMN IF NOT EXISTS version TEXT
     `;
 
+    // Structural location of each chunk, used to cite "Section 5.2, p. 4"
+    await sql`
+      ALTER TABLE rag_document_chunks
+        ADD COLUMN IF NOT EXISTS section_number TEXT,
+        ADD COLUMN IF NOT EXISTS section_title TEXT,
+        ADD COLUMN IF NOT EXISTS section_path TEXT,
+        ADD COLUMN IF NOT EXISTS page_number INTEGER,
+        ADD COLUMN IF NOT EXISTS page_end INTEGER
+    `;
+
     // Ensure file_size column can handle NULL values
     await sql`
       ALTER TABLE rag_documents
         ALTER COLUMN file_size DROP NOT NULL
     `;
+
+    await ensureOrganizationColumn(sql, 'rag_documents');
   })().catch(error => {
     ensuredSchemaPromise = null;
     throw error;
@@ -429,6 +461,63 @@ async function getDocumentTypeOptions(sql) {
   return documentTypeOptionsPromise;
 }
 
+// pgvector is optional: when the extension cannot be enabled we keep serving full-text search only.
+async function ensureVectorSupport(sql) {
+  if (vectorSupportPromise) {
+    return vectorSupportPromise;
+  }
+
+  vectorSupportPromise = (async () => {
+    try {
+      await sql`CREATE EXTENSION IF NOT EXISTS vector`;
+
+      // The column is left dimensionless so switching embedding models does not require a migration;
+      // embedding_model keeps vectors from different models from being compared.
+      await sql`
+        ALTER TABLE rag_document_chunks
+          ADD COLUMN IF NOT EXISTS embedding vector
+      `;
+
+      await sql`
+        ALTER TABLE rag_document_chunks
+          ADD COLUMN IF NOT EXISTS embedding_model TEXT
+      `;
+
+      await sql`
+        CREATE INDEX IF NOT EXISTS idx_rag_document_chunks_embedding_model
+          ON rag_document_chunks(embedding_model)
+      `;
+
+      return true;
+    } catch (error) {
+      console.warn('pgvector is unavailable, semantic search disabled:', error.message);
+      return false;
+    }
+  })();
+
+  return vectorSupportPromise;
+}
+
+async function embedChunks(sql, chunks) {
+  const provider = getEmbeddingProvider();
+  if (!provider || chunks.length === 0) {
+    return { provider: null, vectors: [], status: provider ? 'empty' : 'disabled' };
+  }
+
+  const vectorSupported = await ensureVectorSupport(sql);
+  if (!vectorSupported) {
+    return { provider, vectors: [], status: 'unsupported' };
+  }
+
+  try {
+    const vectors = await provider.embed(chunks.map(chunk => chunk.text));
+    return { provider, vectors, status: 'complete' };
+  } catch (error) {
+    console.error('Failed to generate chunk embeddings, continuing with full-text indexing only:', error.message);
+    return { provider, vectors: [], status: 'failed', error: error.message };
+  }
+}
+
 function guessExtension(filename) {
   if (typeof filename !== 'string') {
     return '';
@@ -539,33 +628,6 @@ function sanitizeTextForPostgres(text) {
   return text.replace(/\u0000/g, '');
 }
 
-function chunkText(text, chunkSize = DEFAULT_CHUNK_SIZE) {
-  if (typeof text !== 'string') {
-    return [];
-  }
-
-  const safeText = sanitizeTextForPostgres(text);
-
-  const normalizedSize = Math.max(200, Math.min(chunkSize, 2000));
-  const chunks = [];
-  let index = 0;
-
-  for (let offset = 0; offset < safeText.length; offset += normalizedSize) {
-    const chunkTextValue = safeText.slice(offset, offset + normalizedSize);
-    chunks.push({
-      index: index++,
-      text: chunkTextValue,
-      wordCount: chunkTextValue.split(/\s+/).filter(Boolean).length,
-      characterCount: chunkTextValue.length,
-    });
-    if (chunks.length >= MAX_CHUNKS) {
-      break;
-    }
-  }
-
-  return chunks;
-}
-
 function parseMetadata(rawMetadata) {
   if (!rawMetadata) {
     return {};
@@ -668,6 +730,8 @@ function normalizeDocumentRow(row) {
     updatedAt: row.updated_at,
     metadata,
     chunkCount: row.chunk_count != null ? Number(row.chunk_count) : undefined,
+    scope: describeScope(row),
+    organizationId: row.organization_id || null,
     storage: storageLocation?.provider || 'neon-postgresql',
     storageLocation,
   };
@@ -721,16 +785,27 @@ function buildSearchResult(row) {
     metadata.description = metadata.description || resolvedSummary;
   }
 
+  const location = {
+    sectionNumber: row.section_number || null,
+    sectionTitle: row.section_title || null,
+    sectionPath: row.section_path || null,
+    pageNumber: row.page_number != null ? Number(row.page_number) : null,
+    pageEnd: row.page_end != null ? Number(row.page_end) : null,
+  };
+
   return {
     documentId: row.document_id,
     chunkId: row.id,
     chunkIndex: row.chunk_index,
+    ...location,
+    citation: formatChunkCitation(location),
     text: row.snippet || row.chunk_text,
     filename: row.filename,
     documentTitle: resolvedTitle || row.filename,
     summary: resolvedSummary || null,
     version: row.version || metadata.version || null,
     score: Number(row.rank || 0),
+    ...(row.component_scores ? { scores: row.component_scores } : {}),
     metadata,
   };
 }
@@ -747,9 +822,10 @@ async function handleTest(sql, userId) {
   };
 }
 
-async function handleList(sql, userId) {
+async function handleList(sql, userId, tenant = {}) {
   await ensureRagSchema(sql);
-  const rows = await sql`
+  const access = await resolveDocumentAccess(sql, 'rag_documents', userId, tenant);
+  const rows = await withSqlFragments(sql)`
     SELECT d.id,
            d.filename,
            d.original_filename,
@@ -759,12 +835,13 @@ async function handleList(sql, userId) {
            d.title,
            d.summary,
            d.version,
+           d.organization_id,
            d.created_at,
            d.updated_at,
            COUNT(c.id)::int AS chunk_count
       FROM rag_documents d
       LEFT JOIN rag_document_chunks c ON c.document_id = d.id
-     WHERE d.user_id = ${userId}
+     WHERE ${documentScopePredicate(access, userId, { alias: 'd', idColumn: 'id::text' })}
      GROUP BY d.id
      ORDER BY d.created_at DESC
   `;
@@ -777,7 +854,7 @@ async function handleList(sql, userId) {
   };
 }
 
-async function handleDelete(sql, userId, payload = {}) {
+async function handleDelete(sql, userId, payload = {}, tenant = {}) {
   await ensureRagSchema(sql);
   const documentId = payload.documentId;
 
@@ -787,19 +864,49 @@ async function handleDelete(sql, userId, payload = {}) {
     throw error;
   }
 
-  const result = await sql`
-    DELETE FROM rag_documents
-     WHERE id = ${documentId} AND user_id = ${userId}
-     RETURNING id
+  const reason = resolveChangeReason(payload.reason);
+
+  const manageableOrganization = getManageableOrganization(tenant);
+  // Read the row first so its audit entry can be written in the same transaction as the delete
+  const [deleted] = await sql`
+    SELECT id, filename, title, version, metadata, organization_id
+      FROM rag_documents
+     WHERE id = ${documentId}
+       AND ((user_id = ${userId} AND organization_id IS NULL) OR organization_id = ${manageableOrganization})
   `;
 
-  if (result.length === 0) {
+  if (!deleted) {
     return {
       statusCode: 404,
       body: JSON.stringify({ error: 'Document not found' }),
     };
   }
 
+  await recordAuditedChange(sql, [
+    sql`
+      DELETE FROM rag_documents
+       WHERE id = ${documentId}
+         AND ((user_id = ${userId} AND organization_id IS NULL) OR organization_id = ${manageableOrganization})
+    `,
+  ], [{
+    action: AUDIT_ACTIONS.DOCUMENT_DELETED,
+    resourceType: 'rag_documents',
+    resourceId: deleted.id,
+    resourceName: deleted.title || deleted.filename,
+    userId,
+    organizationId: deleted.organization_id,
+    before: {
+      filename: deleted.filename,
+      title: deleted.title,
+      version: deleted.version,
+      metadata: parseMetadata(deleted.metadata),
+    },
+    after: null,
+    reason,
+  }]);
+
+  await clearDocumentPermissions(sql, 'rag_documents', [deleted.id]);
+
   return {
     statusCode: 200,
     body: JSON.stringify({ success: true, documentId }),
@@ -972,7 +1079,7 @@ function applyMetadataUpdates({ metadata, updates, state }) {
   return nextState;
 }
 
-async function handleUpdateMetadata(sql, userId, payload = {}) {
+async function handleUpdateMetadata(sql, userId, payload = {}, tenant = {}) {
   await ensureRagSchema(sql);
 
   const documentId = payload.documentId;
@@ -988,8 +1095,11 @@ async function handleUpdateMetadata(sql, userId, payload = {}) {
       : {};
 
   const clearFields = normalizeClearFields(payload.clearFields);
+  const reason = resolveChangeReason(payload.reason);
+  // Owners, organization admins and users granted edit access may change a document's metadata
+  const access = await resolveDocumentAccess(sql, 'rag_documents', userId, tenant);
 
-  const [existing] = await sql`
+  const [existing] = await withSqlFragments(sql)`
     SELECT d.id,
            d.filename,
            d.original_filename,
@@ -999,12 +1109,13 @@ async function handleUpdateMetadata(sql, userId, payload = {}) {
            d.title,
            d.summary,
            d.version,
+           d.organization_id,
            d.created_at,
            d.updated_at,
            (SELECT COUNT(*)::int FROM rag_document_chunks WHERE document_id = d.id) AS chunk_count
       FROM rag_documents d
      WHERE d.id = ${documentId}
-       AND d.user_id = ${userId}
+       AND ${documentEditPredicate(access, userId, { alias: 'd', idColumn: 'id::text' })}
      LIMIT 1
   `;
 
@@ -1039,28 +1150,41 @@ async function handleUpdateMetadata(sql, userId, payload = {}) {
 
   const metadataJson = JSON.stringify(nextState.metadata);
 
-  const [updatedRow] = await sql`
-    UPDATE rag_documents
-       SET metadata = ${metadataJson}::jsonb,
-           title = ${nextState.nextTitle || null},
-           summary = ${nextState.nextSummary || null},
-           version = ${nextState.nextVersion || null},
-           updated_at = CURRENT_TIMESTAMP
-     WHERE id = ${documentId}
-       AND user_id = ${userId}
-   RETURNING id,
-             filename,
-             original_filename,
-             file_type,
-             file_size,
-             metadata,
-             title,
-             summary,
-             version,
-             created_at,
-             updated_at,
-             (SELECT COUNT(*)::int FROM rag_document_chunks WHERE document_id = rag_documents.id) AS chunk_count
-  `;
+  const [[updatedRow]] = await recordAuditedChange(sql, [
+    withSqlFragments(sql)`
+      UPDATE rag_documents
+         SET metadata = ${metadataJson}::jsonb,
+             title = ${nextState.nextTitle || null},
+             summary = ${nextState.nextSummary || null},
+             version = ${nextState.nextVersion || null},
+             updated_at = CURRENT_TIMESTAMP
+       WHERE id = ${documentId}
+         AND ${documentEditPredicate(access, userId, { alias: 'rag_documents', idColumn: 'id::text' })}
+     RETURNING id,
+               filename,
+               original_filename,
+               file_type,
+               file_size,
+               metadata,
+               title,
+               summary,
+               version,
+               organization_id,
+               created_at,
+               updated_at,
+               (SELECT COUNT(*)::int FROM rag_document_chunks WHERE document_id = rag_documents.id) AS chunk_count
+    `,
+  ], [{
+    action: AUDIT_ACTIONS.DOCUMENT_METADATA_UPDATED,
+    resourceType: 'rag_documents',
+    resourceId: existing.id,
+    resourceName: nextState.nextTitle || existing.filename,
+    userId,
+    organizationId: existing.organization_id,
+    before: currentMetadata,
+    after: nextState.metadata,
+    reason,
+  }]);
 
   if (!updatedRow) {
     const error = new Error('Failed to update document metadata');
@@ -1077,7 +1201,7 @@ async function handleUpdateMetadata(sql, userId, payload = {}) {
   };
 }
 
-async function handleUpload(sql, userId, payload = {}) {
+async function handleUpload(sql, userId, payload = {}, tenant = {}) {
   await ensureRagSchema(sql);
 
   const document = payload.document || {};
@@ -1123,7 +1247,9 @@ async function handleUpload(sql, userId, payload = {}) {
   }
 
   const metadata = parseMetadata(document.metadata);
+  const ownerOrganization = resolveOwnerOrganization(tenant, payload.scope || document.scope || metadata.scope);
   metadata.processingMode = 'neon-postgresql';
+  metadata.scope = ownerOrganization ? 'organization' : 'personal';
   if (mimeType) {
     metadata.mimeType = mimeType;
   }
@@ -1276,8 +1402,6 @@ async function handleUpload(sql, userId, payload = {}) {
   
   console.log('Resolved file size:', resolvedFileSize);
 
-  const metadataJson = JSON.stringify(metadata);
-
   // Optimize chunk size for large files to reduce memory usage
   let chunkSize = Number.isFinite(document.chunkSize) ? document.chunkSize : DEFAULT_CHUNK_SIZE;
   
@@ -1286,9 +1410,34 @@ async function handleUpload(sql, userId, payload = {}) {
     chunkSize = Math.min(chunkSize, 400); // Smaller chunks for large files
   }
   
-  console.log(`Chunking text (${text.length} chars) with chunk size: ${chunkSize}`);
-  const chunks = chunkText(text, chunkSize);
+  const chunkOverlap = Number.isFinite(document.chunkOverlap) ? document.chunkOverlap : DEFAULT_CHUNK_OVERLAP;
+
+  console.log(`Chunking text (${text.length} chars) with chunk size: ${chunkSize}, overlap: ${chunkOverlap}`);
+  const chunks = chunkStructuredText(text, { chunkSize, overlap: chunkOverlap, maxChunks: MAX_CHUNKS });
   console.log(`Created ${chunks.length} chunks`);
+
+  const embeddingResult = await embedChunks(sql, chunks);
+  if (embeddingResult.provider) {
+    metadata.embedding = {
+      provider: embeddingResult.provider.name,
+      model: embeddingResult.provider.id,
+      dimensions: embeddingResult.provider.dimensions,
+      status: embeddingResult.status,
+      ...(embeddingResult.error ? { error: embeddingResult.error } : {}),
+    };
+  }
+  const embeddingModel = embeddingResult.vectors.length > 0 ? embeddingResult.provider.id : null;
+
+  // Spreadsheets also arrive as raw cell grids; keep them as typed tables for row-level questions
+  const tables = (Array.isArray(document.tables) ? document.tables : [])
+    .map((table, index) => normalizeTable(table, index))
+    .filter(Boolean);
+  if (tables.length > 0) {
+    metadata.tables = summarizeTables(tables);
+  }
+
+  const metadataJson = JSON.stringify(metadata);
+
   const allowedDocumentTypes = await getDocumentTypeOptions(sql);
   const normalizedDocumentType = normalizeDocumentTypeValue({
     mimeType,
@@ -1311,7 +1460,8 @@ async function handleUpload(sql, userId, payload = {}) {
         metadata,
         title,
         summary,
-        version
+        version,
+        organization_id
       ) VALUES (
         ${userId},
         ${filename},
@@ -1322,7 +1472,8 @@ async function handleUpload(sql, userId, payload = {}) {
         ${metadataJson}::jsonb,
         ${normalizedTitle || null},
         ${normalizedSummary || null},
-        ${normalizedVersion || null}
+        ${normalizedVersion || null},
+        ${ownerOrganization}
       )
       RETURNING id,
                 filename,
@@ -1333,6 +1484,7 @@ async function handleUpload(sql, userId, payload = {}) {
                 title,
                 summary,
                 version,
+                organization_id,
                 created_at,
                 updated_at
     `;
@@ -1348,23 +1500,67 @@ async function handleUpload(sql, userId, payload = {}) {
       const batch = chunks.slice(i, i + BATCH_SIZE);
       
       // Insert batch using individual inserts but in parallel for better performance
-      const insertPromises = batch.map(chunk => 
-        sql`
+      const insertPromises = batch.map((chunk, offset) => {
+        const embeddingLiteral = embeddingModel ? toVectorLiteral(embeddingResult.vectors[i + offset]) : null;
+
+        if (embeddingLiteral) {
+          return sql`
+            INSERT INTO rag_document_chunks (
+              document_id,
+              chunk_index,
+              chunk_text,
+              word_count,
+              character_count,
+              section_number,
+              section_title,
+              section_path,
+              page_number,
+              page_end,
+              embedding,
+              embedding_model
+            ) VALUES (
+              ${row.id},
+              ${chunk.index},
+              ${chunk.text},
+              ${chunk.wordCount},
+              ${chunk.characterCount},
+              ${chunk.sectionNumber},
+              ${chunk.sectionTitle},
+              ${chunk.sectionPath},
+              ${chunk.pageNumber},
+              ${chunk.pageEnd},
+              ${embeddingLiteral}::vector,
+              ${embeddingModel}
+            )
+          `;
+        }
+
+        return sql`
           INSERT INTO rag_document_chunks (
             document_id,
             chunk_index,
             chunk_text,
             word_count,
-            character_count
+            character_count,
+            section_number,
+            section_title,
+            section_path,
+            page_number,
+            page_end
           ) VALUES (
             ${row.id},
             ${chunk.index},
             ${chunk.text},
             ${chunk.wordCount},
-            ${chunk.characterCount}
+            ${chunk.characterCount},
+            ${chunk.sectionNumber},
+            ${chunk.sectionTitle},
+            ${chunk.sectionPath},
+            ${chunk.pageNumber},
+            ${chunk.pageEnd}
           )
-        `
-      );
+        `;
+      });
       
       await Promise.all(insertPromises);
       
@@ -1372,6 +1568,11 @@ async function handleUpload(sql, userId, payload = {}) {
     }
     
     console.log('All document chunks inserted successfully');
+
+    if (tables.length > 0) {
+      await saveDocumentTables(sql, row.id, tables);
+      console.log(`Stored ${tables.length} structured tables`);
+    }
   } catch (error) {
     console.error('Database operation failed:', error);
     
@@ -1400,6 +1601,23 @@ async function handleUpload(sql, userId, payload = {}) {
     throw dbError;
   }
 
+  await recordAuditEvent(sql, {
+    action: AUDIT_ACTIONS.DOCUMENT_CREATED,
+    resourceType: 'rag_documents',
+    resourceId: insertedDocument.id,
+    resourceName: insertedDocument.title || insertedDocument.filename,
+    userId,
+    organizationId: insertedDocument.organization_id,
+    before: null,
+    after: {
+      filename: insertedDocument.filename,
+      title: insertedDocument.title,
+      version: insertedDocument.version,
+      metadata: parseMetadata(insertedDocument.metadata),
+    },
+    metadata: { chunks: chunks.length },
+  });
+
   const responseDocument = normalizeDocumentRow({
     ...insertedDocument,
     chunk_count: chunks.length,
@@ -1411,35 +1629,35 @@ async function handleUpload(sql, userId, payload = {}) {
       message: 'Document stored',
       document: responseDocument,
       chunks: chunks.length,
+      tables: tables.length,
       storageLocation: responseDocument.storageLocation || storageLocation,
     }),
   };
 }
 
-async function handleSearch(sql, userId, payload = {}) {
-  await ensureRagSchema(sql);
-  const query = typeof payload.query === 'string' ? payload.query.trim() : '';
+function normalizeSearchMode(mode, { vectorAvailable }) {
+  const requested = typeof mode === 'string' ? mode.trim().toLowerCase() : '';
+  const resolved = SEARCH_MODES.includes(requested) ? requested : 'hybrid';
 
-  if (!query) {
-    const error = new Error('Search query is required');
-    error.statusCode = 400;
-    throw error;
+  if (resolved !== 'text' && !vectorAvailable) {
+    return 'text';
   }
 
-  const limit = Math.max(1, Math.min(Number(payload.options?.limit) || 10, 50));
-  
-  console.log('Neon RAG Search:', {
-    query: query.substring(0, 100) + (query.length > 100 ? '...' : ''),
-    userId: userId?.substring(0, 8) + '...',
-    limit
-  });
+  return resolved;
+}
 
+async function runFullTextSearch(sql, userId, query, limit, { includeSuperseded = false, access = PERSONAL_ACCESS } = {}) {
   // Try strict full-text search first
-  let rows = await sql`
+  let rows = await withSqlFragments(sql)`
     SELECT c.id,
            c.document_id,
            c.chunk_index,
            c.chunk_text,
+           c.section_number,
+           c.section_title,
+           c.section_path,
+           c.page_number,
+           c.page_end,
            d.filename,
            d.metadata,
            d.title,
@@ -1457,7 +1675,8 @@ async function handleSearch(sql, userId, payload = {}) {
            ) AS snippet
       FROM rag_document_chunks c
       JOIN rag_documents d ON d.id = c.document_id
-     WHERE d.user_id = ${userId}
+     WHERE ${documentScopePredicate(access, userId, { alias: 'd', idColumn: 'id::text' })}
+       AND (${includeSuperseded} OR COALESCE((d.metadata->>'isCurrentVersion')::boolean, true))
        AND to_tsvector('english', c.chunk_text) @@ plainto_tsquery('english', ${query})
      ORDER BY rank DESC NULLS LAST, c.created_at DESC
      LIMIT ${limit}
@@ -1471,11 +1690,16 @@ async function handleSearch(sql, userId, payload = {}) {
     // Try simple ILIKE search for each word
     if (queryWords.length > 0) {
       for (const word of queryWords) {
-        const wordRows = await sql`
+        const wordRows = await withSqlFragments(sql)`
           SELECT c.id,
                  c.document_id,
                  c.chunk_index,
                  c.chunk_text,
+                 c.section_number,
+                 c.section_title,
+                 c.section_path,
+                 c.page_number,
+                 c.page_end,
                  d.filename,
                  d.metadata,
                  d.title,
@@ -1485,7 +1709,8 @@ async function handleSearch(sql, userId, payload = {}) {
                  c.chunk_text AS snippet
             FROM rag_document_chunks c
             JOIN rag_documents d ON d.id = c.document_id
-           WHERE d.user_id = ${userId}
+           WHERE ${documentScopePredicate(access, userId, { alias: 'd', idColumn: 'id::text' })}
+             AND (${includeSuperseded} OR COALESCE((d.metadata->>'isCurrentVersion')::boolean, true))
              AND c.chunk_text ILIKE ${'%' + word + '%'}
            ORDER BY c.created_at DESC
            LIMIT ${limit}
@@ -1500,12 +1725,141 @@ async function handleSearch(sql, userId, payload = {}) {
     }
   }
 
+  return rows;
+}
+
+async function runVectorSearch(sql, userId, queryVector, embeddingModel, limit, { includeSuperseded = false, access = PERSONAL_ACCESS } = {}) {
+  const vectorLiteral = toVectorLiteral(queryVector);
+  if (!vectorLiteral) {
+    return [];
+  }
+
+  return withSqlFragments(sql)`
+    SELECT c.id,
+           c.document_id,
+           c.chunk_index,
+           c.chunk_text,
+           c.section_number,
+           c.section_title,
+           c.section_path,
+           c.page_number,
+           c.page_end,
+           d.filename,
+           d.metadata,
+           d.title,
+           d.summary,
+           d.version,
+           1 - (c.embedding <=> ${vectorLiteral}::vector) AS rank,
+           c.chunk_text AS snippet
+      FROM rag_document_chunks c
+      JOIN rag_documents d ON d.id = c.document_id
+     WHERE ${documentScopePredicate(access, userId, { alias: 'd', idColumn: 'id::text' })}
+       AND (${includeSuperseded} OR COALESCE((d.metadata->>'isCurrentVersion')::boolean, true))
+       AND c.embedding IS NOT NULL
+       AND c.embedding_model = ${embeddingModel}
+     ORDER BY c.embedding <=> ${vectorLiteral}::vector
+     LIMIT ${limit}
+  `;
+}
+
+/**
+ * Merge ranked row lists with reciprocal rank fusion. Each list contributes 1 / (RRF_K + rank),
+ * which rewards chunks that appear near the top of both the lexical and semantic rankings
+ * without having to normalise ts_rank and cosine scores onto the same scale.
+ */
+function fuseRankedResults(rankedLists, limit, k = RRF_K) {
+  const fused = new Map();
+
+  for (const { source, rows } of rankedLists) {
+    rows.forEach((row, position) => {
+      const key = String(row.id);
+      const existing = fused.get(key) || { row, score: 0, scores: {} };
+      existing.score += 1 / (k + position + 1);
+      existing.scores[source] = Number(row.rank || 0);
+
+      // Prefer the highlighted full-text snippet when both lists returned the chunk
+      if (source === 'text') {
+        existing.row = { ...existing.row, snippet: row.snippet };
+      }
+
+      fused.set(key, existing);
+    });
+  }
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ row, score, scores }) => ({ ...row, rank: score, component_scores: scores }));
+}
+
+// Shared by the search action and the offline evaluation runner (scripts/evaluate-rag.js) so both
+// exercise the same ranking path
+export async function searchRagChunks(sql, userId, payload = {}, tenant = {}) {
+  await ensureRagSchema(sql);
+  const query = typeof payload.query === 'string' ? payload.query.trim() : '';
+
+  if (!query) {
+    const error = new Error('Search query is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const limit = Math.max(1, Math.min(Number(payload.options?.limit) || 10, 50));
+  const embeddingProvider = getEmbeddingProvider();
+  const vectorAvailable = Boolean(embeddingProvider) && (await ensureVectorSupport(sql));
+  let mode = normalizeSearchMode(payload.options?.mode, { vectorAvailable });
+  // Superseded revisions stay searchable on request but are excluded from default answers
+  // Chunks are filtered by library scope and document ACLs before ranking so restricted documents never reach an answer
+  const filterOptions = {
+    includeSuperseded: payload.options?.includeSuperseded === true,
+    access: await resolveDocumentAccess(sql, 'rag_documents', userId, tenant),
+  };
+  
+  console.log('Neon RAG Search:', {
+    query: query.substring(0, 100) + (query.length > 100 ? '...' : ''),
+    userId: userId?.substring(0, 8) + '...',
+    limit,
+    mode,
+  });
+
+  let queryVector = null;
+  if (mode !== 'text') {
+    try {
+      [queryVector] = await embeddingProvider.embed([query]);
+    } catch (error) {
+      console.warn('Failed to embed search query, falling back to full-text search:', error.message);
+      mode = 'text';
+    }
+  }
+
+  let rows;
+  if (mode === 'text') {
+    rows = await runFullTextSearch(sql, userId, query, limit, filterOptions);
+  } else if (mode === 'vector') {
+    rows = await runVectorSearch(sql, userId, queryVector, embeddingProvider.id, limit, filterOptions);
+  } else {
+    const candidateLimit = Math.min(limit * HYBRID_CANDIDATE_MULTIPLIER, 200);
+    const [textRows, vectorRows] = await Promise.all([
+      runFullTextSearch(sql, userId, query, candidateLimit, filterOptions),
+      runVectorSearch(sql, userId, queryVector, embeddingProvider.id, candidateLimit, filterOptions),
+    ]);
+    rows = fuseRankedResults(
+      [
+        { source: 'text', rows: textRows },
+        { source: 'vector', rows: vectorRows },
+      ],
+      limit
+    );
+  }
+
   const results = rows.map(buildSearchResult);
   
   console.log('Neon RAG Search completed:', {
     resultsFound: results.length,
     query: query.substring(0, 50) + '...',
-    searchStrategy: rows.length > 0 ? (rows[0].rank === 1.0 ? 'ILIKE' : rows[0].rank === 0.5 ? 'OR' : 'full-text') : 'none',
+    searchStrategy: mode === 'text'
+      ? (rows.length > 0 ? (rows[0].rank === 1.0 ? 'ILIKE' : 'full-text') : 'none')
+      : mode,
     sampleResults: results.slice(0, 2).map(r => ({
       filename: r.filename,
       chunkIndex: r.chunkIndex,
@@ -1513,30 +1867,57 @@ async function handleSearch(sql, userId, payload = {}) {
     }))
   });
 
+  return { query, mode, results };
+}
+
+async function handleSearch(sql, userId, payload = {}, tenant = {}) {
   return {
     statusCode: 200,
-    body: JSON.stringify({
-      query,
-      results,
-    }),
+    body: JSON.stringify(await searchRagChunks(sql, userId, payload, tenant)),
   };
 }
 
-async function handleStats(sql, userId) {
+async function handleQueryTables(sql, userId, payload = {}, tenant = {}) {
   await ensureRagSchema(sql);
+  const question = typeof payload.query === 'string' ? payload.query.trim() : '';
+  const plans = payload.plans && typeof payload.plans === 'object' ? payload.plans : {};
 
-  const [documentStats] = await sql`
+  if (!question && Object.keys(plans).length === 0) {
+    const error = new Error('A question or explicit table plans are required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const access = await resolveDocumentAccess(sql, 'rag_documents', userId, tenant);
+  const results = await queryDocumentTables(
+    sql,
+    userId,
+    { question, documentIds: payload.documentIds, plans },
+    { access }
+  );
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ query: question, results }),
+  };
+}
+
+async function handleStats(sql, userId, tenant = {}) {
+  await ensureRagSchema(sql);
+  const access = await resolveDocumentAccess(sql, 'rag_documents', userId, tenant);
+
+  const [documentStats] = await withSqlFragments(sql)`
     SELECT COUNT(*)::int AS total_documents,
            COALESCE(SUM(file_size), 0)::bigint AS total_size
       FROM rag_documents
-     WHERE user_id = ${userId}
+     WHERE ${documentScopePredicate(access, userId, { alias: 'rag_documents', idColumn: 'id::text' })}
   `;
 
-  const [chunkStats] = await sql`
+  const [chunkStats] = await withSqlFragments(sql)`
     SELECT COUNT(*)::int AS total_chunks
       FROM rag_document_chunks c
       JOIN rag_documents d ON d.id = c.document_id
-     WHERE d.user_id = ${userId}
+     WHERE ${documentScopePredicate(access, userId, { alias: 'd', idColumn: 'id::text' })}
   `;
 
   return {
@@ -1550,7 +1931,7 @@ async function handleStats(sql, userId) {
   };
 }
 
-export const handler = async (event) => {
+export const handler = async (event, context) => {
   // Ensure we always return JSON responses with proper headers
   const jsonResponse = (statusCode, body) => ({
     statusCode,
@@ -1586,6 +1967,8 @@ export const handler = async (event) => {
       return jsonResponse(error.statusCode || 401, { error: error.message });
     }
 
+    const tenant = resolveTenant(event, context);
+
     const action = requestBody.action;
     if (!action) {
       return jsonResponse(400, { error: 'Action is required' });
@@ -1611,20 +1994,22 @@ export const handler = async (event) => {
         case 'test':
           return { ...(await handleTest(sql, userId)), headers: { ...headers, 'Content-Type': 'application/json' } };
         case 'list':
-          return { ...(await handleList(sql, userId)), headers: { ...headers, 'Content-Type': 'application/json' } };
+          return { ...(await handleList(sql, userId, tenant)), headers: { ...headers, 'Content-Type': 'application/json' } };
         case 'upload':
           console.log('Starting document upload process...');
-          const uploadResult = await handleUpload(sql, userId, requestBody);
+          const uploadResult = await handleUpload(sql, userId, requestBody, tenant);
           console.log('Document upload completed successfully');
           return { ...uploadResult, headers: { ...headers, 'Content-Type': 'application/json' } };
         case 'delete':
-          return { ...(await handleDelete(sql, userId, requestBody)), headers: { ...headers, 'Content-Type': 'application/json' } };
+          return { ...(await handleDelete(sql, userId, requestBody, tenant)), headers: { ...headers, 'Content-Type': 'application/json' } };
         case 'update_metadata':
-          return { ...(await handleUpdateMetadata(sql, userId, requestBody)), headers: { ...headers, 'Content-Type': 'application/json' } };
+          return { ...(await handleUpdateMetadata(sql, userId, requestBody, tenant)), headers: { ...headers, 'Content-Type': 'application/json' } };
         case 'search':
-          return { ...(await handleSearch(sql, userId, requestBody)), headers: { ...headers, 'Content-Type': 'application/json' } };
+          return { ...(await handleSearch(sql, userId, requestBody, tenant)), headers: { ...headers, 'Content-Type': 'application/json' } };
+        case 'query_tables':
+          return { ...(await handleQueryTables(sql, userId, requestBody, tenant)), headers: { ...headers, 'Content-Type': 'application/json' } };
         case 'stats':
-          return { ...(await handleStats(sql, userId)), headers: { ...headers, 'Content-Type': 'application/json' } };
+          return { ...(await handleStats(sql, userId, tenant)), headers: { ...headers, 'Content-Type': 'application/json' } };
         default:
           return jsonResponse(400, { error: `Unknown action: ${action}` });
       }
@@ -1651,6 +2036,9 @@ export const handler = async (event) => {
 
 export const __testHelpers = {
   handleUpload,
+  handleSearch,
+  handleQueryTables,
+  fuseRankedResults,
   normalizeDocumentRow,
   buildNeonErrorDetails,
   parseDatabaseConnectionString,
@@ -2,10 +2,29 @@ import { neon } from '@neondatabase/serverless';
 import { randomUUID } from 'crypto';
 
 import { uploadDocumentToBlobStore, __internal as blobInternal } from '../lib/blob-helper.js';
+import {
+  describeScope,
+  documentEditPredicate,
+  documentScopePredicate,
+  documentUnrestrictedPredicate,
+  ensureOrganizationColumn,
+  getHeaderValue,
+  getManageableOrganization,
+  resolveOwnerOrganization,
+  resolveTenant,
+  withSqlFragments,
+} from '../lib/organization-scope.js';
+import { AUDIT_ACTIONS, recordAuditedChange, resolveChangeReason } from '../lib/audit-trail.js';
+import {
+  canReadDocument,
+  clearDocumentPermissions,
+  loadDocumentAcl,
+  resolveDocumentAccess,
+} from '../lib/document-permissions.js';
 
 const headers = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-role, x-user-organization',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-role, x-user-organization, x-user-groups',
   'Access-Control-Allow-Methods': 'POST, OPTIONS',
   'Content-Type': 'application/json',
 };
@@ -93,26 +112,18 @@ const ensureSchema = async (sql) => {
         ALTER TABLE rag_user_documents
         ADD COLUMN IF NOT EXISTS content_encoding TEXT
       `;
-    })();
+
+      await ensureOrganizationColumn(sql, 'rag_user_documents');
+      await ensureOrganizationColumn(sql, 'rag_documents');
+    })().catch(error => {
+      schemaPromise = null;
+      throw error;
+    });
   }
 
   return schemaPromise;
 };
 
-const getHeaderValue = (headersMap, key) => {
-  if (!headersMap) return null;
-  const direct = headersMap[key];
-  if (direct) return direct;
-
-  const lower = key.toLowerCase();
-  if (headersMap[lower]) return headersMap[lower];
-
-  const upper = key.toUpperCase();
-  if (headersMap[upper]) return headersMap[upper];
-
-  return null;
-};
-
 const extractUserId = (event, context) => {
   const headerUserId =
     getHeaderValue(event.headers, 'x-user-id') ||
@@ -135,66 +146,6 @@ const extractUserId = (event, context) => {
   return { userId: null, source: 'unknown' };
 };
 
-const parseRolesHeader = (rawValue) => {
-  if (!rawValue || typeof rawValue !== 'string') {
-    return [];
-  }
-
-  return rawValue
-    .split(/[;,]/)
-    .map(role => role.split(/\s+/))
-    .flat()
-    .map(role => (typeof role === 'string' ? role.trim() : ''))
-    .filter(Boolean);
-};
-
-const extractUserRoles = (event, context) => {
-  const headerRolesValue =
-    getHeaderValue(event.headers, 'x-user-roles') ||
-    getHeaderValue(event.headers, 'x-user-role') ||
-    getHeaderValue(event.headers, 'x_roles');
-
-  let roles = parseRolesHeader(headerRolesValue);
-
-  if (roles.length === 0) {
-    const metadataRoles = context?.clientContext?.user?.app_metadata?.roles;
-    if (Array.isArray(metadataRoles)) {
-      roles = metadataRoles.map(role => (typeof role === 'string' ? role.trim() : '')).filter(Boolean);
-    }
-  }
-
-  if (roles.length === 0) {
-    const directRoles = context?.clientContext?.user?.roles;
-    if (Array.isArray(directRoles)) {
-      roles = directRoles.map(role => (typeof role === 'string' ? role.trim() : '')).filter(Boolean);
-    }
-  }
-
-  return Array.from(new Set(roles.map(role => role.toLowerCase())));
-};
-
-const extractUserOrganization = (event, context) => {
-  const headerOrganization =
-    getHeaderValue(event.headers, 'x-user-organization') ||
-    getHeaderValue(event.headers, 'x-organization') ||
-    getHeaderValue(event.headers, 'x_org');
-
-  if (typeof headerOrganization === 'string' && headerOrganization.trim()) {
-    return headerOrganization.trim();
-  }
-
-  const contextOrganization =
-    context?.clientContext?.user?.app_metadata?.organization || context?.clientContext?.user?.organization;
-
-  if (typeof contextOrganization === 'string' && contextOrganization.trim()) {
-    return contextOrganization.trim();
-  }
-
-  return null;
-};
-
-const rolesIncludeAdmin = (roles = []) => roles.some(role => ADMIN_ROLE_KEYWORDS.has(role.trim().toLowerCase()));
-
 const metadataIndicatesSharedAccess = (metadata = {}) => {
   if (!metadata || typeof metadata !== 'object') {
     return false;
@@ -287,11 +238,9 @@ const stripGlobalSharingMetadata = (metadata = {}) => {
 
 const buildRequestContext = (event, context) => {
   const { userId, source } = extractUserId(event, context);
-  const roles = extractUserRoles(event, context);
-  const organization = extractUserOrganization(event, context);
-  const isAdmin = rolesIncludeAdmin(roles);
+  const tenant = resolveTenant(event, context);
 
-  return { userId, source, roles, organization, isAdmin };
+  return { userId, source, ...tenant, organization: tenant.organizationId };
 };
 
 const createResponse = (statusCode, body) => ({
@@ -336,6 +285,8 @@ const mapDocumentRow = (row) => {
     chunks: row.chunks == null ? 0 : Number(row.chunks),
     vectorStoreId: row.vector_store_id || null,
     storageLocation,
+    scope: describeScope(row),
+    organizationId: row.organization_id || null,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   };
@@ -604,16 +555,25 @@ const handleSetVectorStore = async (sql, userId, payload) => {
   });
 };
 
-const handleListDocuments = async (sql, userId) => {
-  const rows = await sql`
-    SELECT document_id, file_id, filename, content_type, size, metadata, chunks, vector_store_id, created_at, updated_at
+// Globally shared documents are platform content and never belong to an organization. Sharing a
+// document with specific users, groups or roles restricts it, including from global sharing.
+const handleListDocuments = async (sql, userId, requestContext = {}) => {
+  const access = await resolveDocumentAccess(sql, 'rag_user_documents', userId, requestContext);
+  const rows = await withSqlFragments(sql)`
+    SELECT document_id, file_id, filename, content_type, size, metadata, chunks, vector_store_id, organization_id, created_at, updated_at
     FROM rag_user_documents
-    WHERE user_id = ${userId}
-      OR metadata->>'sharedWithAllUsers' = 'true'
-      OR metadata->>'shared_with_all_users' = 'true'
-      OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
-      OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
-      OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+    WHERE ${documentScopePredicate(access, userId)}
+      OR (
+        organization_id IS NULL
+        AND ${documentUnrestrictedPredicate(access)}
+        AND (
+          metadata->>'sharedWithAllUsers' = 'true'
+          OR metadata->>'shared_with_all_users' = 'true'
+          OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
+          OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
+          OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+        )
+      )
     ORDER BY created_at DESC
   `;
 
@@ -637,8 +597,13 @@ const handleSaveDocument = async (sql, userId, payload, requestContext = {}) =>
   );
 
   const organization = typeof requestContext.organization === 'string' ? requestContext.organization.trim() : '';
+  const ownerOrganization = resolveOwnerOrganization(
+    requestContext,
+    payload?.scope || document.scope || normalizedMetadata.scope
+  );
 
-  if (requestContext.isAdmin) {
+  // Organization library documents are shared with members only, never globally
+  if (requestContext.isAdmin && !ownerOrganization) {
     applyAdminSharingMetadata(normalizedMetadata);
   } else {
     stripGlobalSharingMetadata(normalizedMetadata);
@@ -647,6 +612,7 @@ const handleSaveDocument = async (sql, userId, payload, requestContext = {}) =>
   if (organization && !normalizedMetadata.organization) {
     normalizedMetadata.organization = organization;
   }
+  normalizedMetadata.scope = ownerOrganization ? 'organization' : 'personal';
 
   let contentBuffer = null;
   let contentEncoding = null;
@@ -712,7 +678,8 @@ const handleSaveDocument = async (sql, userId, payload, requestContext = {}) =>
       chunks,
       vector_store_id,
       content_base64,
-      content_encoding
+      content_encoding,
+      organization_id
     ) VALUES (
       ${documentId},
       ${userId},
@@ -724,7 +691,8 @@ const handleSaveDocument = async (sql, userId, payload, requestContext = {}) =>
       ${document.chunks ?? 0},
       ${vectorStoreId},
       ${storageLocation ? null : contentBuffer ? contentBuffer.toString('base64') : null},
-      ${storageLocation ? null : contentEncoding}
+      ${storageLocation ? null : contentEncoding},
+      ${ownerOrganization}
     )
     ON CONFLICT (document_id) DO UPDATE
     SET user_id = EXCLUDED.user_id,
@@ -737,10 +705,17 @@ const handleSaveDocument = async (sql, userId, payload, requestContext = {}) =>
         vector_store_id = EXCLUDED.vector_store_id,
         content_base64 = COALESCE(EXCLUDED.content_base64, rag_user_documents.content_base64),
         content_encoding = COALESCE(EXCLUDED.content_encoding, rag_user_documents.content_encoding),
+        organization_id = EXCLUDED.organization_id,
         updated_at = CURRENT_TIMESTAMP
-    RETURNING document_id, file_id, filename, content_type, size, metadata, chunks, vector_store_id, created_at, updated_at
+    WHERE (rag_user_documents.user_id = ${userId} AND rag_user_documents.organization_id IS NULL)
+      OR rag_user_documents.organization_id = ${getManageableOrganization(requestContext)}
+    RETURNING document_id, file_id, filename, content_type, size, metadata, chunks, vector_store_id, organization_id, created_at, updated_at
   `;
 
+  if (rows.length === 0) {
+    return createResponse(403, { error: 'Document belongs to a library you cannot modify' });
+  }
+
   const mapped = mapDocumentRow(rows[0]);
   return createResponse(200, {
     document: mapped,
@@ -867,6 +842,22 @@ const downloadDocumentContentFromOpenAI = async ({ apiKey, fileId, vectorStoreId
   };
 };
 
+// Platform admins keep their access to unowned documents, but organization documents are only
+// ever readable by members of that organization, and documents with ACL entries only by the
+// principals they list
+const canAccessDocument = (requestContext, userId, row, metadata, access, acl) => {
+  if (canReadDocument(access, userId, row, acl)) {
+    return true;
+  }
+  if (row.organization_id || acl.restricted) {
+    return false;
+  }
+  if (!row.user_id || requestContext.isAdmin) {
+    return true;
+  }
+  return metadataIndicatesSharedAccess(metadata);
+};
+
 const handleDownloadDocument = async (sql, userId, payload, requestContext = {}) => {
   const documentId = payload?.documentId;
   const fileId = payload?.fileId;
@@ -875,16 +866,24 @@ const handleDownloadDocument = async (sql, userId, payload, requestContext = {})
     return createResponse(400, { error: 'documentId or fileId is required' });
   }
 
-  const rows = await sql`
-    SELECT user_id, document_id, file_id, filename, content_type, size, metadata, vector_store_id, content_base64, content_encoding
+  const access = await resolveDocumentAccess(sql, 'rag_user_documents', userId, requestContext);
+
+  const rows = await withSqlFragments(sql)`
+    SELECT user_id, organization_id, document_id, file_id, filename, content_type, size, metadata, vector_store_id, content_base64, content_encoding
     FROM rag_user_documents
     WHERE (
-        user_id = ${userId}
-        OR metadata->>'sharedWithAllUsers' = 'true'
-        OR metadata->>'shared_with_all_users' = 'true'
-        OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
-        OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
-        OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+        ${documentScopePredicate(access, userId)}
+        OR (
+          organization_id IS NULL
+          AND ${documentUnrestrictedPredicate(access)}
+          AND (
+            metadata->>'sharedWithAllUsers' = 'true'
+            OR metadata->>'shared_with_all_users' = 'true'
+            OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
+            OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
+            OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+          )
+        )
       )
       AND (document_id = ${documentId} OR file_id = ${fileId})
     LIMIT 1
@@ -892,19 +891,26 @@ const handleDownloadDocument = async (sql, userId, payload, requestContext = {})
 
   const record = rows[0];
   if (!record) {
+    const neonAccess = await resolveDocumentAccess(sql, 'rag_documents', userId, requestContext);
     let neonRow = null;
 
     if (documentId) {
-      const neonRowsByIdText = await sql`
-        SELECT id, user_id, filename, file_type, file_size, metadata
+      const neonRowsByIdText = await withSqlFragments(sql)`
+        SELECT id, user_id, organization_id, filename, file_type, file_size, metadata
         FROM rag_documents
         WHERE (
-            user_id = ${userId}
-            OR metadata->>'sharedWithAllUsers' = 'true'
-            OR metadata->>'shared_with_all_users' = 'true'
-            OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
-            OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
-            OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+            ${documentScopePredicate(neonAccess, userId, { alias: 'rag_documents', idColumn: 'id::text' })}
+            OR (
+              organization_id IS NULL
+              AND ${documentUnrestrictedPredicate(neonAccess, { alias: 'rag_documents', idColumn: 'id::text' })}
+              AND (
+                metadata->>'sharedWithAllUsers' = 'true'
+                OR metadata->>'shared_with_all_users' = 'true'
+                OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
+                OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
+                OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+              )
+            )
           )
           AND id::text = ${String(documentId)}
         LIMIT 1
@@ -912,16 +918,22 @@ const handleDownloadDocument = async (sql, userId, payload, requestContext = {})
       neonRow = neonRowsByIdText[0] || null;
 
       if (!neonRow) {
-        const neonRowsByDocId = await sql`
-          SELECT id, user_id, filename, file_type, file_size, metadata
+        const neonRowsByDocId = await withSqlFragments(sql)`
+          SELECT id, user_id, organization_id, filename, file_type, file_size, metadata
           FROM rag_documents
           WHERE (
-              user_id = ${userId}
-              OR metadata->>'sharedWithAllUsers' = 'true'
-              OR metadata->>'shared_with_all_users' = 'true'
-              OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
-              OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
-              OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+              ${documentScopePredicate(neonAccess, userId, { alias: 'rag_documents', idColumn: 'id::text' })}
+              OR (
+                organization_id IS NULL
+                AND ${documentUnrestrictedPredicate(neonAccess, { alias: 'rag_documents', idColumn: 'id::text' })}
+                AND (
+                  metadata->>'sharedWithAllUsers' = 'true'
+                  OR metadata->>'shared_with_all_users' = 'true'
+                  OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
+                  OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
+                  OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+                )
+              )
             )
             AND (metadata->>'documentId' = ${documentId} OR metadata->>'document_id' = ${documentId})
           LIMIT 1
@@ -931,16 +943,22 @@ const handleDownloadDocument = async (sql, userId, payload, requestContext = {})
     }
 
     if (!neonRow && fileId) {
-      const neonRowsByFileId = await sql`
-        SELECT id, user_id, filename, file_type, file_size, metadata
+      const neonRowsByFileId = await withSqlFragments(sql)`
+        SELECT id, user_id, organization_id, filename, file_type, file_size, metadata
         FROM rag_documents
         WHERE (
-            user_id = ${userId}
-            OR metadata->>'sharedWithAllUsers' = 'true'
-            OR metadata->>'shared_with_all_users' = 'true'
-            OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
-            OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
-            OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+            ${documentScopePredicate(neonAccess, userId, { alias: 'rag_documents', idColumn: 'id::text' })}
+            OR (
+              organization_id IS NULL
+              AND ${documentUnrestrictedPredicate(neonAccess, { alias: 'rag_documents', idColumn: 'id::text' })}
+              AND (
+                metadata->>'sharedWithAllUsers' = 'true'
+                OR metadata->>'shared_with_all_users' = 'true'
+                OR LOWER(COALESCE(metadata->>'visibility', '')) IN ('global', 'public', 'everyone', 'all')
+                OR LOWER(COALESCE(metadata->>'audience', '')) IN ('global', 'public', 'everyone', 'all')
+                OR LOWER(COALESCE(metadata->>'sharedAudience', '')) IN ('all-users', 'all', 'everyone')
+              )
+            )
           )
           AND (metadata->>'fileId' = ${fileId} OR metadata->>'file_id' = ${fileId})
         LIMIT 1
@@ -952,11 +970,9 @@ const handleDownloadDocument = async (sql, userId, payload, requestContext = {})
       return createResponse(404, { error: 'Document not found or access is restricted' });
     }
 
-    if (neonRow.user_id && neonRow.user_id !== userId && !requestContext.isAdmin) {
-      const neonMetadata = parseJson(neonRow.metadata, {});
-      if (!metadataIndicatesSharedAccess(neonMetadata)) {
-        return createResponse(403, { error: 'Document access is restricted' });
-      }
+    const neonAcl = await loadDocumentAcl(sql, neonAccess, userId, neonRow.id);
+    if (!canAccessDocument(requestContext, userId, neonRow, parseJson(neonRow.metadata, {}), neonAccess, neonAcl)) {
+      return createResponse(403, { error: 'Document access is restricted' });
     }
 
     const normalized = mapNeonDocumentRow(neonRow);
@@ -972,11 +988,10 @@ const handleDownloadDocument = async (sql, userId, payload, requestContext = {})
     });
   }
 
-  if (record.user_id && record.user_id !== userId && !requestContext.isAdmin) {
-    const recordMetadata = record.metadata && typeof record.metadata === 'object' ? record.metadata : {};
-    if (!metadataIndicatesSharedAccess(recordMetadata)) {
-      return createResponse(403, { error: 'Document access is restricted' });
-    }
+  const recordMetadata = record.metadata && typeof record.metadata === 'object' ? record.metadata : {};
+  const recordAcl = await loadDocumentAcl(sql, access, userId, record.document_id);
+  if (!canAccessDocument(requestContext, userId, record, recordMetadata, access, recordAcl)) {
+    return createResponse(403, { error: 'Document access is restricted' });
   }
 
   const metadata = record.metadata && typeof record.metadata === 'object' ? record.metadata : {};
@@ -1072,19 +1087,46 @@ const handleDownloadDocument = async (sql, userId, payload, requestContext = {})
   });
 };
 
-const handleDeleteDocument = async (sql, userId, payload) => {
+const handleDeleteDocument = async (sql, userId, payload, requestContext = {}) => {
   const { documentId } = payload || {};
 
   if (!documentId) {
     return createResponse(400, { error: 'documentId is required' });
   }
 
-  await sql`
-    DELETE FROM rag_user_documents
-    WHERE user_id = ${userId}
+  const reason = resolveChangeReason(payload.reason);
+
+  const manageableOrganization = getManageableOrganization(requestContext);
+  // Read the rows first so their audit entries can be written in the same transaction as the delete
+  const deletedRows = await sql`
+    SELECT document_id, filename, metadata, organization_id
+    FROM rag_user_documents
+    WHERE ((user_id = ${userId} AND organization_id IS NULL) OR organization_id = ${manageableOrganization})
       AND document_id = ${documentId}
   `;
 
+  if (deletedRows.length > 0) {
+    await recordAuditedChange(sql, [
+      sql`
+        DELETE FROM rag_user_documents
+        WHERE ((user_id = ${userId} AND organization_id IS NULL) OR organization_id = ${manageableOrganization})
+          AND document_id = ${documentId}
+      `,
+    ], deletedRows.map(row => ({
+      action: AUDIT_ACTIONS.DOCUMENT_DELETED,
+      resourceType: 'rag_user_documents',
+      resourceId: row.document_id,
+      resourceName: row.metadata?.title || row.filename,
+      userId,
+      organizationId: row.organization_id,
+      before: { filename: row.filename, metadata: row.metadata || {} },
+      after: null,
+      reason,
+    })));
+  }
+
+  await clearDocumentPermissions(sql, 'rag_user_documents', deletedRows.map(row => row.document_id));
+
   return createResponse(200, { success: true });
 };
 
@@ -1097,10 +1139,12 @@ const handleUpdateDocument = async (sql, userId, payload, requestContext = {}) =
     return createResponse(400, { error: 'documentId is required' });
   }
 
-  const existingRows = await sql`
-    SELECT document_id, file_id, filename, content_type, size, metadata, chunks, vector_store_id, created_at, updated_at
+  const reason = resolveChangeReason(payload?.reason);
+  const access = await resolveDocumentAccess(sql, 'rag_user_documents', userId, requestContext);
+  const existingRows = await withSqlFragments(sql)`
+    SELECT document_id, file_id, filename, content_type, size, metadata, chunks, vector_store_id, organization_id, created_at, updated_at
     FROM rag_user_documents
-    WHERE user_id = ${userId}
+    WHERE ${documentEditPredicate(access, userId)}
       AND document_id = ${documentId}
     LIMIT 1
   `;
@@ -1137,7 +1181,7 @@ const handleUpdateDocument = async (sql, userId, payload, requestContext = {}) =
 
   const organization = typeof requestContext.organization === 'string' ? requestContext.organization.trim() : '';
 
-  if (requestContext.isAdmin) {
+  if (requestContext.isAdmin && !existingRow.organization_id) {
     applyAdminSharingMetadata(mergedMetadata);
     if (organization && !mergedMetadata.organization) {
       mergedMetadata.organization = organization;
@@ -1146,16 +1190,29 @@ const handleUpdateDocument = async (sql, userId, payload, requestContext = {}) =
     stripGlobalSharingMetadata(mergedMetadata);
   }
 
-  const updatedRows = await sql`
-    UPDATE rag_user_documents
-    SET metadata = ${mergedMetadata},
-        updated_at = CURRENT_TIMESTAMP
-    WHERE user_id = ${userId}
-      AND document_id = ${documentId}
-    RETURNING document_id, file_id, filename, content_type, size, metadata, chunks, vector_store_id, created_at, updated_at
-  `;
+  const [updatedRows] = await recordAuditedChange(sql, [
+    withSqlFragments(sql)`
+      UPDATE rag_user_documents
+      SET metadata = ${mergedMetadata},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE ${documentEditPredicate(access, userId)}
+        AND document_id = ${documentId}
+      RETURNING document_id, file_id, filename, content_type, size, metadata, chunks, vector_store_id, organization_id, created_at, updated_at
+    `,
+  ], [{
+    action: AUDIT_ACTIONS.DOCUMENT_METADATA_UPDATED,
+    resourceType: 'rag_user_documents',
+    resourceId: existingRow.document_id,
+    resourceName: mergedMetadata.title || existingRow.filename,
+    userId,
+    organizationId: existingRow.organization_id,
+    before: existingRow.metadata || {},
+    after: mergedMetadata,
+    reason,
+  }]);
 
   const updatedRow = updatedRows[0];
+
   return createResponse(200, { document: mapDocumentRow(updatedRow) });
 };
 
@@ -1205,11 +1262,11 @@ export const handler = async (event, context) => {
       case 'set_vector_store':
         return await handleSetVectorStore(sql, userId, data);
       case 'list_documents':
-        return await handleListDocuments(sql, userId);
+        return await handleListDocuments(sql, userId, requestContext);
       case 'save_document':
         return await handleSaveDocument(sql, userId, data, requestContext);
       case 'delete_document':
-        return await handleDeleteDocument(sql, userId, data);
+        return await handleDeleteDocument(sql, userId, data, requestContext);
       case 'update_document':
         return await handleUpdateDocument(sql, userId, data, requestContext);
       case 'download_document':
@@ -1219,6 +1276,9 @@ export const handler = async (event, context) => {
     }
   } catch (error) {
     console.error('Document metadata handler error:', error);
+    if (error.statusCode && error.statusCode < 500) {
+      return createResponse(error.statusCode, { error: error.message });
+    }
     return createResponse(500, {
       error: 'Internal server error',
       message: error.message,
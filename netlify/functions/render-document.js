@@ -0,0 +1,115 @@
+import { DOCUMENT_FORMATS, renderDocument } from '../lib/document-renderer.js';
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+// Extract user ID from request
+const extractUserId = (event, context) => {
+  if (event.headers['x-user-id']) {
+    return event.headers['x-user-id'];
+  }
+  if (event.headers['X-User-ID']) {
+    return event.headers['X-User-ID'];
+  }
+  if (context.clientContext?.user?.sub) {
+    return context.clientContext.user.sub;
+  }
+  if (process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true') {
+    return 'dev-user-' + Date.now();
+  }
+  return null;
+};
+
+// Renders study notes, conversations and summaries assembled in the browser. The document
+// model is described in netlify/lib/document-renderer.js; nothing is read from or stored in
+// the database, so the caller only needs to be signed in.
+export const handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight' }),
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  try {
+    const userId = extractUserId(event, context);
+    if (!userId) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+          error: 'User authentication required',
+          message: 'No user ID could be extracted from the request'
+        }),
+      };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid JSON payload' }),
+      };
+    }
+
+    const { format = 'pdf', document } = payload;
+    if (!document || typeof document !== 'object') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'A document to render is required' }),
+      };
+    }
+
+    const { buffer, contentType, filename } = await renderDocument(
+      { ...document, generatedBy: document.generatedBy || userId },
+      format
+    );
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': buffer.length.toString(),
+      },
+      body: buffer.toString('base64'),
+      isBase64Encoded: true,
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      return {
+        statusCode: error.statusCode,
+        headers,
+        body: JSON.stringify({ error: error.message, formats: Object.keys(DOCUMENT_FORMATS) }),
+      };
+    }
+
+    console.error('Render document error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message
+      }),
+    };
+  }
+};
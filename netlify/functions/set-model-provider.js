@@ -1,3 +1,5 @@
+import { DEFAULT_CHAT_PROVIDER, getChatProviderConfig, listChatProviders } from '../lib/llm-providers.js';
+
 const headers = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
@@ -90,16 +92,15 @@ export const handler = async (event, context) => {
 
     if (event.httpMethod === 'GET') {
       // Return current model provider configuration
+      const providers = listChatProviders();
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
-          currentProvider: 'openai', // Default, will be updated when we add persistence
-          availableProviders: ['openai', 'groq'],
-          models: {
-            openai: 'gpt-4o',
-            groq: 'llama-3.3-70b-versatile'
-          }
+          currentProvider: DEFAULT_CHAT_PROVIDER, // Default, will be updated when we add persistence
+          availableProviders: providers.filter(provider => provider.configured).map(provider => provider.id),
+          providers,
+          models: Object.fromEntries(providers.map(provider => [provider.id, provider.defaultModel]))
         }),
       };
     }
@@ -117,13 +118,32 @@ export const handler = async (event, context) => {
         };
       }
 
-      const { provider } = requestData;
+      const { provider, model } = requestData;
+      const providerConfig = provider ? getChatProviderConfig(provider) : null;
       
-      if (!provider || !['openai', 'groq'].includes(provider)) {
+      if (!providerConfig) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: `Invalid provider. Must be one of: ${listChatProviders().map(candidate => candidate.id).join(', ')}`
+          }),
+        };
+      }
+
+      if (!providerConfig.configured) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `${providerConfig.name} is not configured on the server` }),
+        };
+      }
+
+      if (model && !providerConfig.models.includes(model)) {
         return {
           statusCode: 400,
           headers,
-          body: JSON.stringify({ error: 'Invalid provider. Must be "openai" or "groq"' }),
+          body: JSON.stringify({ error: `Model ${model} is not available for ${providerConfig.name}` }),
         };
       }
 
@@ -138,7 +158,7 @@ export const handler = async (event, context) => {
           success: true,
           message: `Model provider set to ${provider}`,
           provider,
-          model: provider === 'openai' ? 'gpt-4o' : 'llama-3.3-70b-versatile'
+          model: model || providerConfig.defaultModel
         }),
       };
     }
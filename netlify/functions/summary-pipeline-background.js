@@ -0,0 +1,27 @@
+// Netlify runs functions named *-background asynchronously: the caller gets a 202 straight away and
+// the handler may run for up to 15 minutes. summary-pipeline queues a job and calls this with its
+// id; progress and the result are written to the job row, which the client polls.
+import { runSummaryJob } from './summary-pipeline.js';
+
+export const handler = async (event) => {
+  let jobId = null;
+  try {
+    jobId = JSON.parse(event.body || '{}').jobId || null;
+  } catch (error) {
+    console.error('Failed to parse summary job payload', error);
+  }
+
+  if (typeof jobId !== 'string' || !jobId) {
+    console.error('summary-pipeline-background called without a jobId');
+    return { statusCode: 400 };
+  }
+
+  try {
+    await runSummaryJob(jobId);
+  } catch (error) {
+    // The job row already records the failure for the client
+    console.error(`Summary job ${jobId} failed:`, error);
+  }
+
+  return { statusCode: 200 };
+};
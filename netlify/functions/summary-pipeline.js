@@ -1,47 +1,12 @@
-const crypto = require('crypto');
+import crypto from 'crypto';
 
 const HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, X-Request-ID',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups, X-Request-ID',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
   'Content-Type': 'application/json',
 };
 
-const ROLE_PROFILES = {
-  Auditor: {
-    keywords: ['compliance', 'deviation', 'capa', 'audit', 'signature', 'approval', 'validation'],
-    tone: 'formal',
-    minCitationDensity: 0.7,
-    sections: ['Compliance Obligations', 'Deviations & CAPA', 'Approvals & Timelines'],
-  },
-  'QA Lead': {
-    keywords: ['risk', 'mitigation', 'owner', 'due date', 'change control', 'blocker'],
-    tone: 'pragmatic',
-    minCitationDensity: 0.5,
-    sections: ['Risk Posture', 'Mitigations & Owners', 'Open Actions'],
-  },
-  Engineer: {
-    keywords: ['test', 'defect', 'environment', 'configuration', 'log', 'pipeline'],
-    tone: 'technical',
-    minCitationDensity: 0.4,
-    sections: ['Testing Summary', 'Defects & Evidence', 'Environment Notes'],
-  },
-  'New Hire': {
-    keywords: ['overview', 'definition', 'context', 'role', 'training'],
-    tone: 'accessible',
-    minCitationDensity: 0.4,
-    sections: ['Purpose & Scope', 'Key Responsibilities', 'Training Pointers'],
-  },
-};
-
-const LENS_KEYWORDS = {
-  Regulatory: ['21 cfr 11', 'annex 11', 'part 820', 'inspection', 'submission'],
-  'Risk & CAPA': ['risk', 'severity', 'impact', 'capa', 'root cause'],
-  Training: ['training', 'curriculum', 'onboarding', 'lesson'],
-  'Timeline/Change log': ['timeline', 'change', 'revision', 'effective date'],
-  'Testing & Evidence': ['test', 'iq', 'oq', 'pq', 'evidence', 'protocol'],
-};
-
 const DETAIL_CONFIG = {
   BRIEF: { targetSentences: 4, maxChunks: 8 },
   STANDARD: { targetSentences: 6, maxChunks: 14 },
@@ -50,7 +15,30 @@ const DETAIL_CONFIG = {
 
 const summaryStore = new Map();
 
-exports.handler = async (event) => {
+// The organization scoping, audit trail, document set, profile and job helpers are loaded on first use
+const loadOrganizationScope = () => import('../lib/organization-scope.js');
+const loadAuditTrail = () => import('../lib/audit-trail.js');
+const loadDocumentSets = () => import('../lib/summary-document-sets.js');
+const loadSummaryGeneration = () => import('../lib/summary-generation.js');
+const loadSummaryProfiles = () => import('../lib/summary-profiles.js');
+const loadSummaryJobs = () => import('../lib/summary-jobs.js');
+
+const BACKGROUND_FUNCTION_PATH = '/.netlify/functions/summary-pipeline-background';
+
+// Recorded as the model of summaries produced by the extractive path
+const EXTRACTIVE_MODEL = 'acceleraqa-orchestrator-v1';
+const EXTRACTIVE_PROMPT_VERSION = 'summary-extractive-v1';
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Queued jobs are run by summary-pipeline-background
+export { runSummaryJob };
+
+export const handler = async (event, context) => {
   if (event.httpMethod === 'OPTIONS') {
     return {
       statusCode: 200,
@@ -60,8 +48,28 @@ exports.handler = async (event) => {
   }
 
   try {
+    const scope = await loadOrganizationScope();
+    const userId = scope.getHeaderValue(event.headers, 'x-user-id') || context?.clientContext?.user?.sub || null;
+    if (!userId) {
+      return {
+        statusCode: 401,
+        headers: HEADERS,
+        body: JSON.stringify({ error: 'User authentication required' }),
+      };
+    }
+    const tenant = scope.resolveTenant(event, context);
+
     if (event.httpMethod === 'GET') {
-      return await handleGet(event);
+      if (event.queryStringParameters?.resource === 'document_sets') {
+        return await handleDocumentSets({ action: 'list' }, { userId, tenant });
+      }
+      if (event.queryStringParameters?.resource === 'profiles') {
+        return await handleSummaryProfiles({ action: 'list' }, { userId, tenant });
+      }
+      if (event.queryStringParameters?.job_id) {
+        return await handleSummaryJob(event.queryStringParameters.job_id, { userId, tenant, canReadRecord: scope.canReadRecord });
+      }
+      return await handleGet(event, { userId, tenant, canReadRecord: scope.canReadRecord });
     }
 
     if (event.httpMethod !== 'POST') {
@@ -81,16 +89,45 @@ exports.handler = async (event) => {
       };
     }
 
+    if (body.action === 'save_document_set' || body.action === 'delete_document_set') {
+      return await handleDocumentSets(body, { userId, tenant });
+    }
+    if (body.action === 'save_summary_profile' || body.action === 'delete_summary_profile') {
+      return await handleSummaryProfiles(body, { userId, tenant });
+    }
+
     const requestId = getRequestId(event.headers);
-    const response = await processSummarizationRequest(body, requestId);
+    const owner = {
+      userId,
+      organizationId: scope.resolveOwnerOrganization(tenant, body.scope),
+    };
 
+    // Without a database there is nowhere to keep a job, so the summary is written within the request
+    const sql = await getSqlClient();
+    if (!sql) {
+      const response = await processSummarizationRequest(body, requestId, owner, tenant);
+      return {
+        statusCode: 202,
+        headers: HEADERS,
+        body: JSON.stringify(response),
+      };
+    }
+
+    const job = await submitSummaryJob(sql, body, { requestId, owner, tenant });
     return {
       statusCode: 202,
       headers: HEADERS,
-      body: JSON.stringify(response),
+      body: JSON.stringify({ job }),
     };
   } catch (error) {
     console.error('summary-pipeline error:', error);
+    if (error.statusCode && error.statusCode !== 500) {
+      return {
+        statusCode: error.statusCode,
+        headers: HEADERS,
+        body: JSON.stringify({ error: error.message }),
+      };
+    }
     return {
       statusCode: 500,
       headers: HEADERS,
@@ -102,7 +139,7 @@ exports.handler = async (event) => {
   }
 };
 
-async function handleGet(event) {
+async function handleGet(event, { userId, tenant, canReadRecord }) {
   const params = event.queryStringParameters || {};
   const summaryId = params.summary_id || params.id || params.summaryId;
 
@@ -118,7 +155,8 @@ async function handleGet(event) {
   if (!record) {
     record = await fetchSummaryFromDatabase(summaryId);
   }
-  if (!record) {
+  // Summaries from another user or organization are reported as missing rather than forbidden
+  if (!record || !canReadRecord(tenant, userId, record)) {
     return {
       statusCode: 404,
       headers: HEADERS,
@@ -133,6 +171,169 @@ async function handleGet(event) {
   };
 }
 
+/**
+ * Status of one of the caller's summary jobs; a finished job also carries its summary.
+ */
+async function handleSummaryJob(jobId, { userId, tenant, canReadRecord }) {
+  const sql = await getSqlClient();
+  if (!sql) {
+    throw createError('Summary jobs require the Neon database to be configured', 503);
+  }
+
+  const { JOB_STATUSES, getSummaryJob } = await loadSummaryJobs();
+  const job = await getSummaryJob(sql, userId, jobId);
+  const payload = { job };
+  if (job.status === JOB_STATUSES.SUCCEEDED && job.summaryId) {
+    const record = summaryStore.get(job.summaryId) || await fetchSummaryFromDatabase(job.summaryId);
+    if (record && canReadRecord(tenant, userId, record)) {
+      payload.summary = record;
+    }
+  }
+
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify(payload),
+  };
+}
+
+/**
+ * Queue the request as a summary job and hand it to the background function. The documents are
+ * validated first so a malformed request fails here rather than in the job.
+ */
+async function submitSummaryJob(sql, body, { requestId, owner, tenant }) {
+  const { MAX_SUMMARY_DOCUMENTS } = await loadDocumentSets();
+  normalizeDocuments(body, MAX_SUMMARY_DOCUMENTS);
+
+  const summaryJobs = await loadSummaryJobs();
+  const job = await summaryJobs.createSummaryJob(sql, {
+    userId: owner.userId,
+    organizationId: owner.organizationId,
+    tenantOrganizationId: tenant.organizationId || null,
+    requestId,
+    payload: body,
+  });
+
+  try {
+    const response = await fetch(`${resolveSiteUrl()}${BACKGROUND_FUNCTION_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobId: job.jobId }),
+    });
+    if (!response.ok) {
+      throw new Error(`Background function responded with status ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Failed to start summary job', error);
+    await summaryJobs.failSummaryJob(sql, job.jobId, 'The summary job could not be started');
+    throw createError('The summary job could not be started', 502);
+  }
+
+  return job;
+}
+
+/**
+ * Run a queued summary job to completion, recording progress after each stage. Called by the
+ * summary-pipeline-background function; returns null when the job was already claimed.
+ */
+async function runSummaryJob(jobId) {
+  const sql = await getSqlClient();
+  if (!sql) {
+    throw createError('Summary jobs require the Neon database to be configured', 503);
+  }
+
+  const summaryJobs = await loadSummaryJobs();
+  const job = await summaryJobs.claimSummaryJob(sql, jobId);
+  if (!job) {
+    console.warn(`Summary job ${jobId} is not queued; skipping`);
+    return null;
+  }
+
+  let diagnostics = [];
+  try {
+    const response = await processSummarizationRequest(job.payload, job.requestId, job.owner, job.tenant, {
+      requirePersistence: true,
+      onStage: async (stage, stageDiagnostics) => {
+        diagnostics = stageDiagnostics;
+        try {
+          await summaryJobs.recordSummaryJobStage(sql, jobId, stage, stageDiagnostics);
+        } catch (error) {
+          console.error(`Failed to record stage ${stage} of summary job ${jobId}`, error);
+        }
+      },
+    });
+    await summaryJobs.completeSummaryJob(sql, jobId, {
+      summaryId: response.summary.summary_id,
+      diagnostics: response.diagnostics,
+      metrics: response.metrics,
+    });
+    return response;
+  } catch (error) {
+    await summaryJobs.failSummaryJob(sql, jobId, error, diagnostics);
+    throw error;
+  }
+}
+
+// The background function is called on the site's own URL, which Netlify sets for every deploy
+// and `netlify dev`; request headers are not trusted to name the host
+function resolveSiteUrl() {
+  return process.env.URL || 'http://localhost:8888';
+}
+
+async function handleDocumentSets(body, { userId, tenant }) {
+  const sql = await getSqlClient();
+  if (!sql) {
+    throw createError('Saved document sets require the Neon database to be configured', 503);
+  }
+
+  const documentSets = await loadDocumentSets();
+  let payload;
+  if (body.action === 'save_document_set') {
+    payload = { documentSet: await documentSets.saveDocumentSet(sql, userId, tenant, body.documentSet || {}) };
+  } else if (body.action === 'delete_document_set') {
+    payload = await documentSets.deleteDocumentSet(sql, userId, tenant, body.id);
+  } else {
+    payload = { documentSets: await documentSets.listDocumentSets(sql, userId, tenant) };
+  }
+
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify(payload),
+  };
+}
+
+// Without a database the built-in profiles are listed read-only
+async function handleSummaryProfiles(body, { userId, tenant }) {
+  const summaryProfiles = await loadSummaryProfiles();
+  const sql = await getSqlClient();
+  if (!sql && body.action !== 'list') {
+    throw createError('Editing summary profiles requires the Neon database to be configured', 503);
+  }
+
+  let payload;
+  if (body.action === 'save_summary_profile') {
+    payload = { profile: await summaryProfiles.saveSummaryProfile(sql, userId, tenant, body.profile || {}) };
+  } else if (body.action === 'delete_summary_profile') {
+    payload = await summaryProfiles.deleteSummaryProfile(sql, userId, tenant, body.id);
+  } else if (sql) {
+    payload = await summaryProfiles.listSummaryProfiles(sql, tenant);
+  } else {
+    const { roles, lenses } = summaryProfiles.DEFAULT_PIPELINE_PROFILES;
+    payload = {
+      roles: Object.entries(roles).map(([name, profile]) => ({ kind: 'role', name, ...profile, scope: 'platform', canManage: false })),
+      lenses: Object.entries(lenses).map(([name, keywords]) => ({ kind: 'lens', name, keywords, scope: 'platform', canManage: false })),
+      overrides: [],
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: HEADERS,
+    body: JSON.stringify(payload),
+  };
+}
+
 function parseJson(payload) {
   if (!payload) {
     return null;
@@ -155,39 +356,79 @@ function getRequestId(headers = {}) {
   return `req_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
 }
 
-async function processSummarizationRequest(body, requestId) {
+/**
+ * Run the pipeline for one request. `onStage(stage, diagnostics)` is awaited after each of the
+ * chunk, retrieve, generate, guardrail and persist stages; with `requirePersistence` a summary that cannot
+ * be written to the database fails the request instead of living in memory only.
+ */
+async function processSummarizationRequest(body, requestId, owner = {}, tenant = {}, { onStage, requirePersistence = false } = {}) {
   const diagnostics = [];
   const startedAt = Date.now();
+  const reportStage = async (stage) => {
+    if (onStage) {
+      await onStage(stage, [...diagnostics]);
+    }
+  };
+
+  const { loadPipelineProfiles } = await loadSummaryProfiles();
+  const profiles = await loadPipelineProfiles(await getSqlClient(), tenant);
 
-  const document = normalizeDocument(body.document);
-  diagnostics.push({ stage: 'ingest', message: 'Document normalized', metadata: { docId: document.doc_id } });
+  const { MAX_SUMMARY_DOCUMENTS } = await loadDocumentSets();
+  const documents = normalizeDocuments(body, MAX_SUMMARY_DOCUMENTS);
+  diagnostics.push({
+    stage: 'ingest',
+    message: documents.length > 1 ? `${documents.length} documents normalized` : 'Document normalized',
+    metadata: { docIds: documents.map(document => document.doc_id) },
+  });
 
   const chunkConfig = {
     chunkSize: clampNumber(body?.chunkConfig?.chunkSize, 800, 2000, 1200),
     chunkOverlap: clampNumber(body?.chunkConfig?.chunkOverlap, 100, 400, 180),
   };
 
-  const chunks = preprocessAndChunk(document, chunkConfig);
+  const chunks = documents.flatMap(document => preprocessAndChunk(document, chunkConfig));
   diagnostics.push({ stage: 'preprocess', message: 'Chunks generated', metadata: { chunkCount: chunks.length } });
 
-  const index = buildSearchIndex(chunks);
+  const index = buildSearchIndex(chunks, documents);
   diagnostics.push({ stage: 'index', message: 'Index prepared', metadata: { tokenCount: index.totalTokens } });
+  await reportStage('chunk');
 
-  const mode = buildMode(body.mode);
+  const mode = buildMode(body.mode, profiles);
   const detailPlan = getDetailPlan(mode.detail);
-
-  const query = buildQuery(body.query, mode, body.filters);
-  const retrieved = retrieveChunks(index, query, detailPlan.maxChunks);
-  diagnostics.push({ stage: 'retrieve', message: 'Chunks retrieved', metadata: { retrieved: retrieved.length } });
-
-  const orchestration = runOrchestration(retrieved, mode, detailPlan);
+  const profile = profiles.roles[mode.role];
+  const lensKeywords = profiles.lenses[mode.lens];
+
+  const query = buildQuery(body.query, mode, { profile, lensKeywords }, body.filters);
+  // Leave room for at least one chunk from every document in a set
+  const retrieved = retrieveChunks(index, query, Math.max(detailPlan.maxChunks, documents.length));
+  diagnostics.push({
+    stage: 'retrieve',
+    message: 'Chunks retrieved',
+    metadata: { retrieved: retrieved.length, documentsCovered: new Set(retrieved.map(chunk => chunk.doc_id)).size },
+  });
+  await reportStage('retrieve');
+
+  const orchestration = await runOrchestration(retrieved, mode, detailPlan, documents, {
+    profile,
+    lensKeywords,
+    query: typeof body.query === 'string' ? body.query : '',
+    provider: body.provider,
+    model: body.model,
+    extractiveOnly: body.generation === 'extractive',
+  });
+  diagnostics.push(describeGeneration(orchestration.generation));
   diagnostics.push({ stage: 'orchestrate', message: 'Summary generated', metadata: { sentenceCount: orchestration.sentences.length } });
+  await reportStage('generate');
 
-  const guardrails = runGuardrails(orchestration.summaryText, orchestration.citations, mode);
+  const guardrails = runGuardrails(orchestration.summaryText, orchestration.citations, profile);
   diagnostics.push({ stage: 'guardrails', message: 'Guardrails evaluated', metadata: guardrails });
+  await reportStage('guardrail');
 
-  const record = await persistSummary(document, mode, orchestration, guardrails, requestId);
+  const record = await persistSummary(documents, mode, orchestration, guardrails, requestId, owner, body.documentSetName, {
+    requirePersistence,
+  });
   diagnostics.push({ stage: 'persist', message: 'Summary persisted', metadata: { summaryId: record.summary_id } });
+  await reportStage('persist');
 
   const latencyMs = Date.now() - startedAt;
 
@@ -196,18 +437,43 @@ async function processSummarizationRequest(body, requestId) {
     diagnostics,
     metrics: {
       latencyMs,
+      documentCount: documents.length,
       chunkCount: chunks.length,
       retrievedCount: retrieved.length,
       citationDensity: orchestration.citations.length / Math.max(1, orchestration.sentences.length),
       confidence: record.confidence,
+      generation: record.generation,
+      tokenUsage: record.token_usage,
     },
   };
 }
 
-function normalizeDocument(input = {}) {
-  const text = normalizeText(input.content || input.text || '');
+/**
+ * Normalize the request's documents: `documents` for a multi-document summary, or the single
+ * `document`. A document sent twice (same id) is only summarized once.
+ */
+function normalizeDocuments(body = {}, maxDocuments) {
+  const inputs = Array.isArray(body.documents) && body.documents.length > 0 ? body.documents : [body.document];
+  if (inputs.length > maxDocuments) {
+    throw createError(`A summary can cover at most ${maxDocuments} documents`, 400);
+  }
+
+  const documents = [];
+  const seenIds = new Set();
+  inputs.forEach((input, index) => {
+    const document = normalizeDocument(input, inputs.length > 1 ? index + 1 : null);
+    if (!seenIds.has(document.doc_id)) {
+      seenIds.add(document.doc_id);
+      documents.push(document);
+    }
+  });
+  return documents;
+}
+
+function normalizeDocument(input = {}, position = null) {
+  const text = normalizeText(input?.content || input?.text || '');
   if (!text) {
-    throw new Error('Document content is required');
+    throw createError(position ? `Document ${position} content is required` : 'Document content is required', 400);
   }
 
   const docId = input.doc_id || input.id || generateDeterministicId(text);
@@ -233,11 +499,14 @@ function normalizeText(value) {
     return '';
   }
 
+  // Paragraph breaks are kept for preprocessAndChunk, which splits sections on them
   return value
-    .replace(/\r\n/g, '\n')
-    .replace(/[\u0000-\u001f]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000b-\u001f]+/g, ' ')
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
 }
 
 function generateDeterministicId(text) {
@@ -319,8 +588,15 @@ function tokenize(text) {
   return text.split(/\s+/).filter(Boolean);
 }
 
-function buildSearchIndex(chunks) {
+/**
+ * Index the chunks of every document in the request together, so retrieval ranks them against
+ * each other. Terms are weighted by how few chunks in the whole set contain them, which keeps a
+ * long document's boilerplate from outranking the passages that distinguish each document.
+ */
+function buildSearchIndex(chunks, documents = []) {
   const vocabulary = new Map();
+  const chunkFrequency = new Map();
+  const documentsById = new Map(documents.map((document) => [document.doc_id, document]));
   let totalTokens = 0;
 
   chunks.forEach((chunk) => {
@@ -335,18 +611,40 @@ function buildSearchIndex(chunks) {
       totalTokens += 1;
       vocabulary.set(normalized, (vocabulary.get(normalized) || 0) + 1);
     });
+    chunk.termFrequency.forEach((_, term) => {
+      chunkFrequency.set(term, (chunkFrequency.get(term) || 0) + 1);
+    });
+
+    const document = documentsById.get(chunk.doc_id);
+    if (document) {
+      chunk.doc_title = document.title;
+      chunk.doc_version = document.version;
+    }
   });
 
+  const inverseChunkFrequency = (term) =>
+    Math.log(1 + (chunks.length + 1) / ((chunkFrequency.get(term) || 0) + 0.5));
+
   return {
     chunks,
     vocabulary,
+    inverseChunkFrequency,
+    documentCount: documentsById.size || new Set(chunks.map((chunk) => chunk.doc_id)).size,
     totalTokens,
   };
 }
 
-function buildMode(rawMode = {}) {
-  const role = ROLE_PROFILES[rawMode.role] ? rawMode.role : 'QA Lead';
-  const lens = LENS_KEYWORDS[rawMode.lens] ? rawMode.lens : 'Regulatory';
+// Unknown roles and lenses fall back to QA Lead and Regulatory, or to the first configured one
+// when an admin has removed those
+function buildMode(rawMode = {}, profiles) {
+  const pick = (options, requested, preferred) => {
+    if (options[requested]) {
+      return requested;
+    }
+    return options[preferred] ? preferred : Object.keys(options)[0];
+  };
+  const role = pick(profiles.roles, rawMode.role, 'QA Lead');
+  const lens = pick(profiles.lenses, rawMode.lens, 'Regulatory');
   const detail = normalizeDetail(rawMode.detail);
 
   return {
@@ -376,10 +674,10 @@ function getDetailPlan(detail) {
   return DETAIL_CONFIG[key] || DETAIL_CONFIG.STANDARD;
 }
 
-function buildQuery(userQuery = '', mode, filters = {}) {
+function buildQuery(userQuery = '', mode, { profile, lensKeywords = [] }, filters = {}) {
   const baseTerms = tokenize(userQuery.toLowerCase());
-  const roleTerms = ROLE_PROFILES[mode.role].keywords;
-  const lensTerms = LENS_KEYWORDS[mode.lens] || [];
+  const roleTerms = profile.keywords;
+  const lensTerms = lensKeywords;
   const filterTerms = [];
 
   if (filters?.tags && Array.isArray(filters.tags)) {
@@ -402,7 +700,7 @@ function buildQuery(userQuery = '', mode, filters = {}) {
 
 function retrieveChunks(index, query, maxChunks) {
   const scored = index.chunks.map((chunk) => {
-    const score = scoreChunk(chunk, query.terms);
+    const score = scoreChunk(chunk, query.terms, index.inverseChunkFrequency);
     return {
       ...chunk,
       score,
@@ -410,10 +708,31 @@ function retrieveChunks(index, query, maxChunks) {
   });
 
   scored.sort((a, b) => b.score - a.score);
-  return scored.slice(0, Math.max(maxChunks, 1));
+  const limit = Math.max(maxChunks, 1);
+  if (index.documentCount <= 1) {
+    return scored.slice(0, limit);
+  }
+
+  // Across a set, take each document's best chunk first so every document can be cited, then
+  // fill the remaining slots by rank regardless of document
+  const selected = new Set();
+  const coveredDocuments = new Set();
+  scored.forEach((chunk) => {
+    if (selected.size < limit && !coveredDocuments.has(chunk.doc_id)) {
+      coveredDocuments.add(chunk.doc_id);
+      selected.add(chunk);
+    }
+  });
+  scored.forEach((chunk) => {
+    if (selected.size < limit) {
+      selected.add(chunk);
+    }
+  });
+
+  return scored.filter((chunk) => selected.has(chunk));
 }
 
-function scoreChunk(chunk, terms) {
+function scoreChunk(chunk, terms, inverseChunkFrequency = () => 1) {
   if (!terms || terms.length === 0) {
     return chunk.tokenCount / Math.max(1, chunk.tokens.length);
   }
@@ -426,7 +745,7 @@ function scoreChunk(chunk, terms) {
     }
     const frequency = chunk.termFrequency.get(normalized) || 0;
     if (frequency > 0) {
-      score += Math.log(1 + frequency);
+      score += Math.log(1 + frequency) * inverseChunkFrequency(normalized);
     }
   });
 
@@ -434,16 +753,91 @@ function scoreChunk(chunk, terms) {
   return score + coverageBonus;
 }
 
-function runOrchestration(chunks, mode, detailPlan) {
-  const extractiveSentences = extractSentences(chunks, detailPlan.targetSentences * 2);
+/**
+ * Write the summary with the configured chat provider, or with the extractive path when the
+ * request asks for it or generation fails (provider not configured, call error or timeout, or an
+ * answer with no usable citations). `generation` records which path produced the summary.
+ */
+async function runOrchestration(chunks, mode, detailPlan, documents = [], options = {}) {
+  const isMultiDocument = documents.length > 1;
+  let fallbackReason = options.extractiveOnly ? 'Extractive summary requested' : null;
+
+  if (!options.extractiveOnly) {
+    try {
+      const { generateAbstractiveSummary } = await loadSummaryGeneration();
+      const generated = await generateAbstractiveSummary({
+        chunks,
+        mode,
+        profile: options.profile,
+        lensKeywords: options.lensKeywords,
+        detailPlan,
+        query: options.query,
+        isMultiDocument,
+        provider: options.provider,
+        model: options.model,
+      });
+      const sourceList = isMultiDocument ? renderSourceList(generated.citations) : '';
+
+      return {
+        sentences: generated.sentences,
+        citations: generated.citations,
+        summaryText: sourceList ? `${generated.summaryText}\n\n${sourceList}` : generated.summaryText,
+        generation: {
+          method: 'abstractive',
+          provider: generated.provider,
+          model: generated.model,
+          promptVersion: generated.promptVersion,
+          promptHash: generated.promptHash,
+          usage: generated.usage,
+          droppedStatements: generated.droppedCount,
+        },
+      };
+    } catch (error) {
+      console.warn('Abstractive summary unavailable, using extractive summary:', error.message);
+      fallbackReason = error.message;
+    }
+  }
+
+  // A set keeps every candidate so lower-ranked documents still have sentences to contribute
+  const candidateCount = isMultiDocument ? Number.POSITIVE_INFINITY : detailPlan.targetSentences * 2;
+  const extractiveSentences = extractSentences(chunks, candidateCount);
   const sentences = selectSentences(extractiveSentences, detailPlan.targetSentences);
   const citations = buildCitations(sentences);
-  const summaryText = renderSummary(sentences, citations, mode);
+  const summaryText = renderSummary(sentences, citations, options.profile, isMultiDocument);
 
   return {
     sentences,
     citations,
     summaryText,
+    generation: {
+      method: 'extractive',
+      provider: null,
+      model: EXTRACTIVE_MODEL,
+      promptVersion: EXTRACTIVE_PROMPT_VERSION,
+      promptHash: null,
+      usage: null,
+      fallbackReason,
+    },
+  };
+}
+
+function describeGeneration(generation) {
+  if (generation.method === 'abstractive') {
+    return {
+      stage: 'generate',
+      message: `Abstractive summary written by ${generation.provider}/${generation.model}`,
+      metadata: {
+        promptVersion: generation.promptVersion,
+        totalTokens: generation.usage.totalTokens,
+        costUsd: generation.usage.costUsd,
+        droppedStatements: generation.droppedStatements,
+      },
+    };
+  }
+  return {
+    stage: 'generate',
+    message: 'Extractive summary used',
+    metadata: { reason: generation.fallbackReason },
   };
 }
 
@@ -461,6 +855,9 @@ function extractSentences(chunks, targetCount) {
       sentences.push({
         text: normalized,
         chunkId: chunk.id,
+        docId: chunk.doc_id,
+        docTitle: chunk.doc_title,
+        docVersion: chunk.doc_version,
         section: chunk.section,
         page: chunk.page,
         weight,
@@ -478,6 +875,24 @@ function selectSentences(sentences, targetCount) {
   const result = [];
   const seenSections = new Set();
 
+  // With several documents, each one's strongest sentence goes in first so the brief covers the
+  // whole set; the rest are filled by weight and the original ranking is restored
+  const documentIds = new Set(sentences.map((sentence) => sentence.docId));
+  if (documentIds.size > 1) {
+    const leading = new Set();
+    sentences.forEach((sentence) => {
+      if (leading.size < targetCount && documentIds.delete(sentence.docId)) {
+        leading.add(sentence);
+      }
+    });
+    sentences.forEach((sentence) => {
+      if (leading.size < targetCount) {
+        leading.add(sentence);
+      }
+    });
+    return sentences.filter((sentence) => leading.has(sentence));
+  }
+
   sentences.forEach((sentence) => {
     if (result.length >= targetCount) {
       return;
@@ -505,6 +920,9 @@ function buildCitations(sentences) {
       const citation = {
         citationNumber,
         chunk_id: sentence.chunkId,
+        doc_id: sentence.docId,
+        doc_title: sentence.docTitle || null,
+        doc_version: sentence.docVersion || null,
         section: sentence.section,
         page: sentence.page,
         preview: sentence.text.slice(0, 180),
@@ -518,8 +936,7 @@ function buildCitations(sentences) {
   return citations;
 }
 
-function renderSummary(sentences, citations, mode) {
-  const profile = ROLE_PROFILES[mode.role];
+function renderSummary(sentences, citations, profile, isMultiDocument = false) {
   const citationLookup = new Map(citations.map((c) => [c.chunk_id, c.citationNumber]));
 
   const grouped = profile.sections.map((sectionTitle) => ({
@@ -551,9 +968,32 @@ function renderSummary(sentences, citations, mode) {
     lines.push('');
   });
 
+  if (isMultiDocument) {
+    lines.push(renderSourceList(citations));
+  }
+
   return lines.join('\n').trim();
 }
 
+// Name the document behind each citation number. Listed without brackets so the guardrail's
+// citation count only sees the markers in the summary itself.
+function renderSourceList(citations) {
+  if (citations.length === 0) {
+    return '';
+  }
+
+  const lines = ['### Sources'];
+  citations.forEach((citation) => {
+    const source = [
+      citation.doc_title ? `${citation.doc_title}${citation.doc_version ? ` v${citation.doc_version}` : ''}` : citation.doc_id,
+      citation.section ? `Sec ${citation.section}` : null,
+      citation.page ? `p.${citation.page}` : null,
+    ].filter(Boolean).join(' · ');
+    lines.push(`- ${citation.citationNumber}. ${source}`);
+  });
+  return lines.join('\n');
+}
+
 function formatSentence(text, citationNumber, tone) {
   let sentence = text;
   if (tone === 'accessible') {
@@ -567,7 +1007,7 @@ function formatSentence(text, citationNumber, tone) {
   return sentence;
 }
 
-function runGuardrails(summaryText, citations, mode) {
+function runGuardrails(summaryText, citations, profile) {
   const violations = [];
 
   if (!summaryText || typeof summaryText !== 'string' || summaryText.trim().length === 0) {
@@ -575,7 +1015,7 @@ function runGuardrails(summaryText, citations, mode) {
   }
 
   const citationDensity = citations.length / Math.max(1, (summaryText.match(/\[[0-9]+\]/g) || []).length);
-  const minDensity = ROLE_PROFILES[mode.role].minCitationDensity;
+  const minDensity = profile.minCitationDensity;
   if (citationDensity < minDensity) {
     violations.push({
       code: 'LOW_CITATION_DENSITY',
@@ -594,18 +1034,45 @@ function runGuardrails(summaryText, citations, mode) {
   };
 }
 
-async function persistSummary(document, mode, orchestration, guardrails, requestId) {
+// A multi-document summary is keyed by its set of documents rather than any one of them
+function describeSummarySource(documents, documentSetName) {
+  if (documents.length === 1) {
+    return { docId: documents[0].doc_id, title: documents[0].title };
+  }
+
+  const docIds = documents.map((document) => document.doc_id);
+  const name = typeof documentSetName === 'string' ? documentSetName.trim() : '';
+  return {
+    docId: `set_${crypto.createHash('sha1').update([...docIds].sort().join('\n')).digest('hex').slice(0, 16)}`,
+    title: name || `${documents[0].title} + ${documents.length - 1} more`,
+  };
+}
+
+async function persistSummary(documents, mode, orchestration, guardrails, requestId, owner = {}, documentSetName = null, { requirePersistence = false } = {}) {
   const summaryId = `sum_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
   const nowIso = new Date().toISOString();
   const confidence = calculateConfidence(orchestration.citations, guardrails.violations);
+  const source = describeSummarySource(documents, documentSetName);
+  const docIdsKey = documents.map((document) => document.doc_id).join(',');
+  const { generation } = orchestration;
 
   const record = {
     summary_id: summaryId,
-    doc_id: document.doc_id,
-    title: document.title,
+    doc_id: source.docId,
+    title: source.title,
+    documents: documents.map((document) => ({
+      doc_id: document.doc_id,
+      title: document.title,
+      version: document.version,
+      doc_type: document.doc_type,
+    })),
     mode,
-    model: 'acceleraqa-orchestrator-v1',
-    prompt_hash: crypto.createHash('sha256').update(`${document.doc_id}:${mode.role}:${mode.lens}`).digest('hex'),
+    model: generation.model,
+    provider: generation.provider,
+    generation: generation.method,
+    prompt_version: generation.promptVersion,
+    prompt_hash: generation.promptHash || crypto.createHash('sha256').update(`${docIdsKey}:${mode.role}:${mode.lens}`).digest('hex'),
+    token_usage: generation.usage,
     citations: orchestration.citations,
     confidence,
     created_at: nowIso,
@@ -613,6 +1080,8 @@ async function persistSummary(document, mode, orchestration, guardrails, request
     request_id: requestId,
     summary: orchestration.summaryText,
     guardrails,
+    user_id: owner.userId || null,
+    organization_id: owner.organizationId || null,
   };
 
   summaryStore.set(summaryId, record);
@@ -622,42 +1091,64 @@ async function persistSummary(document, mode, orchestration, guardrails, request
     return record;
   }
 
+  let isPersisted = false;
   try {
     await ensureSummariesTable(sql);
+    // JSONB values are bound as JSON text. The Neon HTTP driver has no `sql.json`; the calls this
+    // used to make threw, so summaries were silently kept in memory only.
     await sql`
       INSERT INTO summaries (
         summary_id,
         doc_id,
         title,
+        documents,
         mode,
         model,
+        provider,
+        generation,
+        prompt_version,
         prompt_hash,
+        token_usage,
         citations,
         confidence,
         created_at,
         request_id,
         summary,
-        guardrails
+        guardrails,
+        user_id,
+        organization_id
       ) VALUES (
         ${record.summary_id},
         ${record.doc_id},
         ${record.title},
-        ${sql.json(record.mode)},
+        ${JSON.stringify(record.documents)},
+        ${JSON.stringify(record.mode)},
         ${record.model},
+        ${record.provider},
+        ${record.generation},
+        ${record.prompt_version},
         ${record.prompt_hash},
-        ${sql.json(record.citations)},
+        ${record.token_usage ? JSON.stringify(record.token_usage) : null},
+        ${JSON.stringify(record.citations)},
         ${record.confidence},
         ${record.created_at},
         ${record.request_id},
         ${record.summary},
-        ${sql.json(record.guardrails)}
+        ${JSON.stringify(record.guardrails)},
+        ${record.user_id},
+        ${record.organization_id}
       )
       ON CONFLICT (summary_id) DO UPDATE SET
         doc_id = EXCLUDED.doc_id,
         title = EXCLUDED.title,
+        documents = EXCLUDED.documents,
         mode = EXCLUDED.mode,
         model = EXCLUDED.model,
+        provider = EXCLUDED.provider,
+        generation = EXCLUDED.generation,
+        prompt_version = EXCLUDED.prompt_version,
         prompt_hash = EXCLUDED.prompt_hash,
+        token_usage = EXCLUDED.token_usage,
         citations = EXCLUDED.citations,
         confidence = EXCLUDED.confidence,
         request_id = EXCLUDED.request_id,
@@ -666,8 +1157,36 @@ async function persistSummary(document, mode, orchestration, guardrails, request
         updated_at = NOW();
     `;
     record.updated_at = new Date().toISOString();
+    isPersisted = true;
+
+    if (record.user_id) {
+      const { AUDIT_ACTIONS, recordAuditEvent } = await loadAuditTrail();
+      await recordAuditEvent(sql, {
+        action: AUDIT_ACTIONS.SUMMARY_GENERATED,
+        resourceType: 'summaries',
+        resourceId: record.summary_id,
+        resourceName: record.title,
+        userId: record.user_id,
+        organizationId: record.organization_id,
+        before: null,
+        after: {
+          doc_id: record.doc_id,
+          doc_ids: record.documents.map((document) => document.doc_id),
+          mode: record.mode,
+          model: record.model,
+          provider: record.provider,
+          generation: record.generation,
+          prompt_version: record.prompt_version,
+          confidence: record.confidence,
+        },
+        metadata: { requestId, promptHash: record.prompt_hash, tokenUsage: record.token_usage },
+      });
+    }
   } catch (error) {
     console.error('Failed to persist summary to Neon database', error);
+    if (requirePersistence && !isPersisted) {
+      throw createError('The summary could not be saved', 500);
+    }
   }
 
   return record;
@@ -719,6 +1238,19 @@ async function ensureSummariesTable(sql) {
         guardrails JSONB NOT NULL
       );
     `;
+    // Source documents of the summary; one entry for single-document summaries
+    await sql`ALTER TABLE summaries ADD COLUMN IF NOT EXISTS documents JSONB`;
+    // How the summary was written: provider and prompt template version for abstractive summaries,
+    // and the completion's token counts and estimated cost
+    await sql`
+      ALTER TABLE summaries
+        ADD COLUMN IF NOT EXISTS provider TEXT,
+        ADD COLUMN IF NOT EXISTS generation TEXT,
+        ADD COLUMN IF NOT EXISTS prompt_version TEXT,
+        ADD COLUMN IF NOT EXISTS token_usage JSONB
+    `;
+    const { ensureOrganizationColumn } = await loadOrganizationScope();
+    await ensureOrganizationColumn(sql, 'summaries');
     hasEnsuredSummariesTable = true;
   } catch (error) {
     console.error('Failed to ensure summaries table exists', error);
@@ -732,20 +1264,28 @@ async function fetchSummaryFromDatabase(summaryId) {
   }
 
   try {
+    await ensureSummariesTable(sql);
     const rows = await sql`
       SELECT
         summary_id,
         doc_id,
         title,
+        documents,
         mode,
         model,
+        provider,
+        generation,
+        prompt_version,
         prompt_hash,
+        token_usage,
         citations,
         confidence,
         created_at,
         request_id,
         summary,
-        guardrails
+        guardrails,
+        user_id,
+        organization_id
       FROM summaries
       WHERE summary_id = ${summaryId}
       LIMIT 1;
@@ -760,9 +1300,14 @@ async function fetchSummaryFromDatabase(summaryId) {
       summary_id: row.summary_id,
       doc_id: row.doc_id,
       title: row.title,
+      documents: deserializeJsonColumn(row.documents) || [{ doc_id: row.doc_id, title: row.title }],
       mode: deserializeJsonColumn(row.mode),
       model: row.model,
+      provider: row.provider || null,
+      generation: row.generation || 'extractive',
+      prompt_version: row.prompt_version || null,
       prompt_hash: row.prompt_hash,
+      token_usage: deserializeJsonColumn(row.token_usage),
       citations: deserializeJsonColumn(row.citations),
       confidence: normalizeNumeric(row.confidence),
       created_at: normalizeTimestamp(row.created_at),
@@ -770,6 +1315,8 @@ async function fetchSummaryFromDatabase(summaryId) {
       request_id: row.request_id,
       summary: row.summary,
       guardrails: deserializeJsonColumn(row.guardrails),
+      user_id: row.user_id || null,
+      organization_id: row.organization_id || null,
     };
 
     summaryStore.set(summaryId, record);
@@ -1,8 +1,18 @@
 import { neon } from '@neondatabase/serverless';
 
+import { AUDIT_ACTIONS, recordAuditedChange, resolveChangeReason } from '../lib/audit-trail.js';
+import { PERSONAL_ACCESS, resolveDocumentAccess } from '../lib/document-permissions.js';
+import {
+  documentEditPredicate,
+  documentScopePredicate,
+  ensureOrganizationColumn,
+  resolveTenant,
+  withSqlFragments,
+} from '../lib/organization-scope.js';
+
 const headers = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
   'Access-Control-Allow-Methods': 'POST, OPTIONS',
   'Content-Type': 'application/json',
 };
@@ -34,38 +44,52 @@ const extractUserId = (event, context) => {
 };
 
 // Update manual summary for a document
-async function updateManualSummary(sql, userId, documentId, manualSummary) {
-  // First, verify the document exists and belongs to the user
-  const [existingDoc] = await sql`
-    SELECT id, document_id, document_name, filename, title, summary, manual_summary
+async function updateManualSummary(sql, userId, documentId, manualSummary, access = PERSONAL_ACCESS, reason = null) {
+  // Personal documents belong to their uploader, organization documents to the organization's
+  // admins; either can also be edited by principals granted edit access
+  const [existingDoc] = await withSqlFragments(sql)`
+    SELECT id, document_id, document_name, filename, title, summary, manual_summary, user_id, organization_id
     FROM document_index
-    WHERE document_id = ${documentId} AND user_id = ${userId}
+    WHERE document_id = ${documentId}
+      AND ${documentEditPredicate(access, userId)}
   `;
 
   if (!existingDoc) {
     throw new Error('Document not found or access denied');
   }
 
-  // Update the document with the new manual summary
-  const [updatedDoc] = await sql`
-    UPDATE document_index
-    SET manual_summary = ${manualSummary},
-        updated_at = CURRENT_TIMESTAMP
-    WHERE document_id = ${documentId} AND user_id = ${userId}
-    RETURNING id, document_id, document_name, filename, title, summary, manual_summary, updated_at
-  `;
-
-  // Also update rag_documents for backward compatibility
-  await sql`
-    UPDATE rag_documents
-    SET metadata = jsonb_set(
-      COALESCE(metadata, '{}'::jsonb),
-      '{manualSummary}',
-      ${JSON.stringify(manualSummary)}
-    ),
-    updated_at = CURRENT_TIMESTAMP
-    WHERE filename = ${existingDoc.filename} AND user_id = ${userId}
-  `;
+  // Update the document with the new manual summary, and rag_documents for backward
+  // compatibility, in the same transaction as the audit entry
+  const [[updatedDoc]] = await recordAuditedChange(sql, [
+    withSqlFragments(sql)`
+      UPDATE document_index
+      SET manual_summary = ${manualSummary},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE document_id = ${documentId}
+        AND ${documentEditPredicate(access, userId)}
+      RETURNING id, document_id, document_name, filename, title, summary, manual_summary, updated_at
+    `,
+    sql`
+      UPDATE rag_documents
+      SET metadata = jsonb_set(
+        COALESCE(metadata, '{}'::jsonb),
+        '{manualSummary}',
+        ${JSON.stringify(manualSummary)}
+      ),
+      updated_at = CURRENT_TIMESTAMP
+      WHERE filename = ${existingDoc.filename} AND user_id = ${existingDoc.user_id}
+    `,
+  ], [{
+    action: AUDIT_ACTIONS.MANUAL_SUMMARY_UPDATED,
+    resourceType: 'document_index',
+    resourceId: existingDoc.document_id,
+    resourceName: existingDoc.title || existingDoc.document_name || existingDoc.filename,
+    userId,
+    organizationId: existingDoc.organization_id,
+    before: existingDoc.manual_summary ?? null,
+    after: manualSummary ?? null,
+    reason,
+  }]);
 
   return {
     id: updatedDoc.id,
@@ -79,11 +103,12 @@ async function updateManualSummary(sql, userId, documentId, manualSummary) {
 }
 
 // Get manual summary for a document
-async function getManualSummary(sql, userId, documentId) {
-  const [doc] = await sql`
+async function getManualSummary(sql, userId, documentId, access = PERSONAL_ACCESS) {
+  const [doc] = await withSqlFragments(sql)`
     SELECT id, document_id, document_name, filename, title, summary, manual_summary
     FROM document_index
-    WHERE document_id = ${documentId} AND user_id = ${userId}
+    WHERE document_id = ${documentId}
+      AND ${documentScopePredicate(access, userId)}
   `;
 
   if (!doc) {
@@ -101,34 +126,46 @@ async function getManualSummary(sql, userId, documentId) {
 }
 
 // Delete manual summary for a document
-async function deleteManualSummary(sql, userId, documentId) {
-  // First, verify the document exists and belongs to the user
-  const [existingDoc] = await sql`
-    SELECT id, document_id, document_name, filename, title, summary, manual_summary
+async function deleteManualSummary(sql, userId, documentId, access = PERSONAL_ACCESS, reason = null) {
+  // Removing a manual summary is an edit, allowed to the same callers as updating it
+  const [existingDoc] = await withSqlFragments(sql)`
+    SELECT id, document_id, document_name, filename, title, summary, manual_summary, user_id, organization_id
     FROM document_index
-    WHERE document_id = ${documentId} AND user_id = ${userId}
+    WHERE document_id = ${documentId}
+      AND ${documentEditPredicate(access, userId)}
   `;
 
   if (!existingDoc) {
     throw new Error('Document not found or access denied');
   }
 
-  // Remove the manual summary
-  const [updatedDoc] = await sql`
-    UPDATE document_index
-    SET manual_summary = NULL,
-        updated_at = CURRENT_TIMESTAMP
-    WHERE document_id = ${documentId} AND user_id = ${userId}
-    RETURNING id, document_id, document_name, filename, title, summary, manual_summary, updated_at
-  `;
-
-  // Also update rag_documents for backward compatibility
-  await sql`
-    UPDATE rag_documents
-    SET metadata = metadata - 'manualSummary' - 'manual_summary',
-        updated_at = CURRENT_TIMESTAMP
-    WHERE filename = ${existingDoc.filename} AND user_id = ${userId}
-  `;
+  // Remove the manual summary, also from rag_documents for backward compatibility
+  const [[updatedDoc]] = await recordAuditedChange(sql, [
+    withSqlFragments(sql)`
+      UPDATE document_index
+      SET manual_summary = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE document_id = ${documentId}
+        AND ${documentEditPredicate(access, userId)}
+      RETURNING id, document_id, document_name, filename, title, summary, manual_summary, updated_at
+    `,
+    sql`
+      UPDATE rag_documents
+      SET metadata = metadata - 'manualSummary' - 'manual_summary',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE filename = ${existingDoc.filename} AND user_id = ${existingDoc.user_id}
+    `,
+  ], [{
+    action: AUDIT_ACTIONS.MANUAL_SUMMARY_DELETED,
+    resourceType: 'document_index',
+    resourceId: existingDoc.document_id,
+    resourceName: existingDoc.title || existingDoc.document_name || existingDoc.filename,
+    userId,
+    organizationId: existingDoc.organization_id,
+    before: existingDoc.manual_summary ?? null,
+    after: null,
+    reason,
+  }]);
 
   return {
     id: updatedDoc.id,
@@ -142,13 +179,15 @@ async function deleteManualSummary(sql, userId, documentId) {
 }
 
 // Bulk update manual summaries
-async function bulkUpdateManualSummaries(sql, userId, updates) {
+// Each update may carry its own reason; `reason` applies to the ones that do not
+async function bulkUpdateManualSummaries(sql, userId, updates, access = PERSONAL_ACCESS, reason = null) {
   const results = [];
   const errors = [];
 
   for (const update of updates) {
     try {
       const { documentId, manualSummary } = update;
+      const updateReason = resolveChangeReason(update.reason || reason);
       
       if (!documentId) {
         errors.push({
@@ -158,7 +197,7 @@ async function bulkUpdateManualSummaries(sql, userId, updates) {
         continue;
       }
 
-      const result = await updateManualSummary(sql, userId, documentId, manualSummary);
+      const result = await updateManualSummary(sql, userId, documentId, manualSummary, access, updateReason);
       results.push(result);
     } catch (error) {
       errors.push({
@@ -215,7 +254,7 @@ export const handler = async (event, context) => {
       };
     }
 
-    const { action, documentId, manualSummary, updates } = requestData;
+    const { action, documentId, manualSummary, updates, reason } = requestData;
 
     if (!action) {
       return {
@@ -225,8 +264,12 @@ export const handler = async (event, context) => {
       };
     }
 
+    const tenant = resolveTenant(event, context);
+
     // Initialize database connection
     const sql = getDatabaseConnection();
+    await ensureOrganizationColumn(sql, 'document_index');
+    const access = await resolveDocumentAccess(sql, 'document_index', userId, tenant);
 
     switch (action) {
       case 'update':
@@ -238,7 +281,7 @@ export const handler = async (event, context) => {
           };
         }
 
-        const updatedDocument = await updateManualSummary(sql, userId, documentId, manualSummary);
+        const updatedDocument = await updateManualSummary(sql, userId, documentId, manualSummary, access, resolveChangeReason(reason));
         
         return {
           statusCode: 200,
@@ -259,7 +302,7 @@ export const handler = async (event, context) => {
           };
         }
 
-        const document = await getManualSummary(sql, userId, documentId);
+        const document = await getManualSummary(sql, userId, documentId, access);
         
         return {
           statusCode: 200,
@@ -280,7 +323,7 @@ export const handler = async (event, context) => {
           };
         }
 
-        const deletedDocument = await deleteManualSummary(sql, userId, documentId);
+        const deletedDocument = await deleteManualSummary(sql, userId, documentId, access, resolveChangeReason(reason));
         
         return {
           statusCode: 200,
@@ -301,7 +344,7 @@ export const handler = async (event, context) => {
           };
         }
 
-        const bulkResult = await bulkUpdateManualSummaries(sql, userId, updates);
+        const bulkResult = await bulkUpdateManualSummaries(sql, userId, updates, access, reason);
         
         return {
           statusCode: 200,
@@ -324,6 +367,13 @@ export const handler = async (event, context) => {
 
   } catch (error) {
     console.error('Manual summary update error:', error);
+    if (error.statusCode && error.statusCode < 500) {
+      return {
+        statusCode: error.statusCode,
+        headers,
+        body: JSON.stringify({ error: error.message }),
+      };
+    }
     return {
       statusCode: 500,
       headers,
@@ -0,0 +1,39 @@
+import { neon } from '@neondatabase/serverless';
+
+import { runVaultSync } from '../lib/vault-sync.js';
+import { readVaultConfig } from '../lib/veeva-vault.js';
+import { processDocument } from './index-documents.js';
+
+// Initialize Neon connection
+const getDatabaseConnection = () => {
+  const connectionString = process.env.NEON_DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('NEON_DATABASE_URL environment variable is not set');
+  }
+  return neon(connectionString);
+};
+
+// Hourly pull of changed Veeva Vault documents. Does nothing on deployments without VEEVA_VAULT_URL.
+// Scheduled functions cannot be called over HTTP; use veeva-vault-sync to run a sync on demand.
+export const handler = async () => {
+  try {
+    const config = readVaultConfig();
+    if (!config) {
+      return { statusCode: 200, body: JSON.stringify({ skipped: true, reason: 'Veeva Vault is not configured' }) };
+    }
+
+    const summary = await runVaultSync(getDatabaseConnection(), config, processDocument);
+    console.log(
+      `Vault sync ${summary.connectorId}: ${summary.skippedRun ? 'skipped, another run is in progress' : `${summary.indexed.length} indexed, ${summary.unchanged} unchanged, ${summary.failed.length} failed${summary.hasMore ? ', more pending' : ''}`}`
+    );
+
+    return { statusCode: 200, body: JSON.stringify(summary) };
+  } catch (error) {
+    console.error('Scheduled Vault sync error:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+  }
+};
+
+export const config = {
+  schedule: '@hourly',
+};
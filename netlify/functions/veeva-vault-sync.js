@@ -0,0 +1,105 @@
+import { neon } from '@neondatabase/serverless';
+
+import { resolveTenant } from '../lib/organization-scope.js';
+import { getVaultSyncState, runVaultSync } from '../lib/vault-sync.js';
+import { readVaultConfig } from '../lib/veeva-vault.js';
+import { processDocument } from './index-documents.js';
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-user-id, x-user-roles, x-user-organization, x-user-groups',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Content-Type': 'application/json',
+};
+
+// Initialize Neon connection
+const getDatabaseConnection = () => {
+  const connectionString = process.env.NEON_DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('NEON_DATABASE_URL environment variable is not set');
+  }
+  return neon(connectionString);
+};
+
+// Extract user ID from request
+const extractUserId = (event, context) => {
+  if (event.headers['x-user-id']) {
+    return event.headers['x-user-id'];
+  }
+  if (event.headers['X-User-ID']) {
+    return event.headers['X-User-ID'];
+  }
+  if (context.clientContext?.user?.sub) {
+    return context.clientContext.user.sub;
+  }
+  return null;
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers,
+  body: JSON.stringify(body),
+});
+
+// Sync status and on-demand runs for the Veeva Vault connector. Synced documents go to the
+// configured organization's library, so only platform admins and that organization's admins
+// may use it.
+export const handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return jsonResponse(200, { message: 'CORS preflight' });
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  try {
+    const userId = extractUserId(event, context);
+    if (!userId) {
+      return jsonResponse(401, { error: 'User authentication required' });
+    }
+
+    const config = readVaultConfig();
+    if (!config) {
+      return jsonResponse(404, { error: 'Veeva Vault is not configured for this deployment' });
+    }
+
+    const tenant = resolveTenant(event, context);
+    const managesSyncTarget = tenant.isAdmin ||
+      (tenant.isOrganizationAdmin && config.organizationId && tenant.organizationId === config.organizationId);
+    if (!managesSyncTarget) {
+      return jsonResponse(403, { error: 'Administrator access is required to manage the Vault sync' });
+    }
+
+    const { action = 'status' } = JSON.parse(event.body || '{}');
+    const sql = getDatabaseConnection();
+
+    switch (action) {
+      case 'status': {
+        const state = await getVaultSyncState(sql, config.connectorId);
+        return jsonResponse(200, {
+          connectorId: config.connectorId,
+          documentTypes: config.documentTypes,
+          lifecycleStates: config.lifecycleStates,
+          state,
+        });
+      }
+
+      case 'sync': {
+        const summary = await runVaultSync(sql, config, processDocument);
+        return jsonResponse(summary.skippedRun ? 409 : 200, summary.skippedRun
+          ? { error: 'A Vault sync is already running', ...summary }
+          : summary);
+      }
+
+      default:
+        return jsonResponse(400, { error: `Unknown action: ${action}` });
+    }
+  } catch (error) {
+    console.error('Vault sync error:', error);
+    if (error.statusCode && error.statusCode < 500) {
+      return jsonResponse(error.statusCode, { error: error.message });
+    }
+    return jsonResponse(500, { error: 'Internal server error', message: error.message });
+  }
+};
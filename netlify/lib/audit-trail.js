@@ -0,0 +1,291 @@
+// Append-only audit trail for changes to controlled content (21 CFR Part 11 §11.10(e)).
+//
+// Every create, metadata edit, manual summary change, deletion and summary generation writes one
+// row to `audit_events` with who made the change, the server timestamp, the before/after values
+// and the reason for change. A trigger rejects UPDATE, DELETE and TRUNCATE on the table, so
+// recorded entries can never be altered or removed through the application's connection.
+
+export const AUDIT_ACTIONS = Object.freeze({
+  DOCUMENT_CREATED: 'document.created',
+  DOCUMENT_INDEXED: 'document.indexed',
+  DOCUMENT_METADATA_UPDATED: 'document.metadata_updated',
+  DOCUMENT_DELETED: 'document.deleted',
+  MANUAL_SUMMARY_UPDATED: 'summary.manual_updated',
+  MANUAL_SUMMARY_DELETED: 'summary.manual_deleted',
+  SUMMARY_GENERATED: 'summary.generated',
+});
+
+const MAX_REASON_LENGTH = 2000;
+const MAX_PAGE_SIZE = 5000;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let ensuredAuditSchemaPromise = null;
+
+export async function ensureAuditTrailSchema(sql) {
+  if (!ensuredAuditSchemaPromise) {
+    ensuredAuditSchemaPromise = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS audit_events (
+          id BIGSERIAL PRIMARY KEY,
+          occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          user_id TEXT NOT NULL,
+          organization_id TEXT,
+          action TEXT NOT NULL,
+          resource_type TEXT NOT NULL,
+          resource_id TEXT,
+          resource_name TEXT,
+          before_value JSONB,
+          after_value JSONB,
+          changed_fields TEXT[] NOT NULL DEFAULT '{}',
+          reason TEXT,
+          metadata JSONB NOT NULL DEFAULT '{}'::jsonb
+        )
+      `;
+
+      await sql`
+        CREATE INDEX IF NOT EXISTS idx_audit_events_organization_time
+          ON audit_events(organization_id, occurred_at DESC)
+      `;
+
+      await sql`
+        CREATE INDEX IF NOT EXISTS idx_audit_events_resource
+          ON audit_events(resource_type, resource_id)
+      `;
+
+      await sql`
+        CREATE OR REPLACE FUNCTION audit_events_reject_change() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_events is append-only';
+        END;
+        $$ LANGUAGE plpgsql
+      `;
+
+      // Create each trigger only when it is missing. Dropping and recreating would leave the table
+      // writable in between; a concurrent cold start that wins the race is not an error.
+      await sql`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (
+            SELECT 1 FROM pg_trigger
+             WHERE tgname = 'audit_events_append_only' AND tgrelid = 'audit_events'::regclass
+          ) THEN
+            CREATE TRIGGER audit_events_append_only
+              BEFORE UPDATE OR DELETE ON audit_events
+              FOR EACH ROW EXECUTE FUNCTION audit_events_reject_change();
+          END IF;
+        EXCEPTION WHEN duplicate_object THEN
+          NULL;
+        END;
+        $$
+      `;
+
+      await sql`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (
+            SELECT 1 FROM pg_trigger
+             WHERE tgname = 'audit_events_no_truncate' AND tgrelid = 'audit_events'::regclass
+          ) THEN
+            CREATE TRIGGER audit_events_no_truncate
+              BEFORE TRUNCATE ON audit_events
+              FOR EACH STATEMENT EXECUTE FUNCTION audit_events_reject_change();
+          END IF;
+        EXCEPTION WHEN duplicate_object THEN
+          NULL;
+        END;
+        $$
+      `;
+    })().catch(error => {
+      ensuredAuditSchemaPromise = null;
+      throw error;
+    });
+  }
+
+  return ensuredAuditSchemaPromise;
+}
+
+export const isReasonRequired = () => process.env.AUDIT_REQUIRE_REASON === 'true';
+
+/**
+ * Validate the reason for change sent with a mutating request. Call it before changing anything so
+ * a rejected request leaves no change without an audit entry. Set AUDIT_REQUIRE_REASON=true to make
+ * the reason mandatory.
+ */
+export const resolveChangeReason = (reason) => {
+  const value = typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+  if (!value && isReasonRequired()) {
+    throw createError('A reason for change is required', 400);
+  }
+  return value || null;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Top-level fields whose values differ between two snapshots. Scalars (a manual summary, say) are
+ * reported as a single `value` field.
+ */
+export const diffAuditValues = (before, after) => {
+  if (!isPlainObject(before) && !isPlainObject(after)) {
+    return JSON.stringify(before ?? null) === JSON.stringify(after ?? null) ? [] : ['value'];
+  }
+
+  const previous = isPlainObject(before) ? before : {};
+  const next = isPlainObject(after) ? after : {};
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return Array.from(keys)
+    .filter(key => JSON.stringify(previous[key] ?? null) !== JSON.stringify(next[key] ?? null))
+    .sort();
+};
+
+const toJsonValue = (value) => (value === undefined ? null : JSON.stringify(value));
+
+const assertAuditEvent = ({ action, resourceType, userId } = {}) => {
+  if (!action || !resourceType || !userId) {
+    throw new Error('Audit events require an action, a resource type and a user');
+  }
+};
+
+// The INSERT for one entry, not yet run; a Neon query only executes when awaited or sent in a transaction
+const auditEventStatement = (sql, event) => {
+  const {
+    action,
+    resourceType,
+    resourceId = null,
+    resourceName = null,
+    userId,
+    organizationId = null,
+    before,
+    after,
+    reason = null,
+    metadata = {},
+  } = event;
+
+  return sql`
+    INSERT INTO audit_events (
+      user_id, organization_id, action, resource_type, resource_id, resource_name,
+      before_value, after_value, changed_fields, reason, metadata
+    ) VALUES (
+      ${userId},
+      ${organizationId || null},
+      ${action},
+      ${resourceType},
+      ${resourceId == null ? null : String(resourceId)},
+      ${resourceName || null},
+      ${toJsonValue(before)}::jsonb,
+      ${toJsonValue(after)}::jsonb,
+      ${diffAuditValues(before, after)}::text[],
+      ${reason || null},
+      ${JSON.stringify(metadata || {})}::jsonb
+    )
+    RETURNING id, occurred_at
+  `;
+};
+
+/**
+ * Append one entry to the audit trail. Errors propagate: a change that cannot be audited should
+ * surface as a failed request rather than pass silently.
+ */
+export async function recordAuditEvent(sql, event = {}) {
+  assertAuditEvent(event);
+  await ensureAuditTrailSchema(sql);
+
+  const [row] = await auditEventStatement(sql, event);
+  return row || null;
+}
+
+/**
+ * Apply a change together with its audit entries in one `sql.transaction`, so neither commits
+ * without the other. Pass the change's statements unawaited; returns their rows, in order.
+ */
+export async function recordAuditedChange(sql, statements, events = []) {
+  events.forEach(assertAuditEvent);
+  await ensureAuditTrailSchema(sql);
+
+  const results = await sql.transaction([
+    ...statements,
+    ...events.map(event => auditEventStatement(sql, event)),
+  ]);
+  return results.slice(0, statements.length);
+}
+
+export const formatAuditEvent = (row) => ({
+  id: row.id == null ? null : String(row.id),
+  occurredAt: row.occurred_at,
+  userId: row.user_id,
+  organizationId: row.organization_id || null,
+  action: row.action,
+  resourceType: row.resource_type,
+  resourceId: row.resource_id || null,
+  resourceName: row.resource_name || null,
+  before: row.before_value ?? null,
+  after: row.after_value ?? null,
+  changedFields: Array.isArray(row.changed_fields) ? row.changed_fields : [],
+  reason: row.reason || null,
+  metadata: row.metadata || {},
+});
+
+const toOptionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const toOptionalTimestamp = (value) => {
+  const text = toOptionalText(value);
+  if (!text) return null;
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw createError(`Invalid date: ${text}`, 400);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Page through the trail newest first. `organizationId` limits the result to one organization's
+ * entries; pass `allOrganizations` for platform administrators.
+ */
+export async function listAuditEvents(sql, filters = {}, { organizationId = null, allOrganizations = false } = {}) {
+  await ensureAuditTrailSchema(sql);
+
+  const action = toOptionalText(filters.action);
+  const resourceType = toOptionalText(filters.resourceType);
+  const resourceId = toOptionalText(filters.resourceId);
+  const userId = toOptionalText(filters.userId);
+  const from = toOptionalTimestamp(filters.from);
+  const to = toOptionalTimestamp(filters.to);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  const rows = await sql`
+    SELECT id, occurred_at, user_id, organization_id, action, resource_type, resource_id, resource_name,
+           before_value, after_value, changed_fields, reason, metadata,
+           COUNT(*) OVER() AS total_count
+      FROM audit_events
+     WHERE (${allOrganizations} OR organization_id = ${organizationId})
+       AND (${action}::text IS NULL OR action = ${action})
+       AND (${resourceType}::text IS NULL OR resource_type = ${resourceType})
+       AND (${resourceId}::text IS NULL OR resource_id = ${resourceId})
+       AND (${userId}::text IS NULL OR user_id = ${userId})
+       AND (${from}::timestamptz IS NULL OR occurred_at >= ${from}::timestamptz)
+       AND (${to}::timestamptz IS NULL OR occurred_at <= ${to}::timestamptz)
+     ORDER BY occurred_at DESC, id DESC
+     LIMIT ${limit}
+    OFFSET ${offset}
+  `;
+
+  return {
+    events: rows.map(formatAuditEvent),
+    total: rows.length > 0 ? parseInt(rows[0].total_count, 10) || rows.length : 0,
+    limit,
+    offset,
+  };
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredAuditSchemaPromise = null;
+  },
+};
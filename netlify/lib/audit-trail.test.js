@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  AUDIT_ACTIONS,
+  diffAuditValues,
+  listAuditEvents,
+  recordAuditedChange,
+  recordAuditEvent,
+  resolveChangeReason,
+} from './audit-trail.js';
+
+const createSqlMock = (rows = []) =>
+  jest.fn(async (strings) => {
+    const text = strings.join('?');
+    if (text.includes('INSERT INTO audit_events')) {
+      return [{ id: 1, occurred_at: '2024-05-01T00:00:00.000Z' }];
+    }
+    if (/^\s*SELECT/i.test(text) && text.includes('FROM audit_events')) {
+      return rows;
+    }
+    return [];
+  });
+
+const findCall = (sql, fragment) => sql.mock.calls.find(([strings]) => strings.join('?').includes(fragment));
+
+const originalRequireReason = process.env.AUDIT_REQUIRE_REASON;
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+  delete process.env.AUDIT_REQUIRE_REASON;
+});
+
+afterAll(() => {
+  if (originalRequireReason === undefined) {
+    delete process.env.AUDIT_REQUIRE_REASON;
+  } else {
+    process.env.AUDIT_REQUIRE_REASON = originalRequireReason;
+  }
+});
+
+describe('diffAuditValues', () => {
+  test('lists top-level fields that changed', () => {
+    expect(
+      diffAuditValues(
+        { title: 'SOP 1', version: '1.0', tags: ['gmp'] },
+        { title: 'SOP 1', version: '2.0', tags: ['gmp', 'qa'], category: 'sop' }
+      )
+    ).toEqual(['category', 'tags', 'version']);
+  });
+
+  test('reports scalar changes, creations and deletions as a single value', () => {
+    expect(diffAuditValues('old summary', 'new summary')).toEqual(['value']);
+    expect(diffAuditValues('same', 'same')).toEqual([]);
+    expect(diffAuditValues(null, { title: 'New' })).toEqual(['title']);
+  });
+});
+
+describe('resolveChangeReason', () => {
+  test('trims the reason and treats blanks as missing', () => {
+    expect(resolveChangeReason('  Corrected version  ')).toBe('Corrected version');
+    expect(resolveChangeReason('   ')).toBeNull();
+    expect(resolveChangeReason(undefined)).toBeNull();
+  });
+
+  test('rejects a missing reason when reasons are required', () => {
+    process.env.AUDIT_REQUIRE_REASON = 'true';
+
+    expect(() => resolveChangeReason('')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(resolveChangeReason('Periodic review')).toBe('Periodic review');
+  });
+});
+
+describe('recordAuditEvent', () => {
+  test('makes the table append-only before the first write', async () => {
+    const sql = createSqlMock();
+
+    await recordAuditEvent(sql, {
+      action: AUDIT_ACTIONS.DOCUMENT_DELETED,
+      resourceType: 'rag_documents',
+      resourceId: 42,
+      userId: 'user-1',
+      before: { title: 'SOP 1' },
+      after: null,
+    });
+
+    const trigger = findCall(sql, 'CREATE TRIGGER audit_events_append_only');
+    expect(trigger[0].join('?')).toMatch(/BEFORE UPDATE OR DELETE ON audit_events/);
+    expect(findCall(sql, 'BEFORE TRUNCATE ON audit_events')).toBeDefined();
+
+    const statements = sql.mock.calls.map(([strings]) => strings.join('?'));
+    expect(statements.some(text => text.includes('CREATE OR REPLACE TRIGGER'))).toBe(false);
+    expect(statements.some(text => text.includes('DROP TRIGGER'))).toBe(false);
+    ['audit_events_append_only', 'audit_events_no_truncate'].forEach((name) => {
+      const creation = statements.find(text => text.includes(`CREATE TRIGGER ${name}`));
+      expect(creation).toMatch(new RegExp(`IF NOT EXISTS \\(\\s*SELECT 1 FROM pg_trigger\\s+WHERE tgname = '${name}'`));
+    });
+    expect(statements.findIndex(text => text.includes('audit_events_append_only'))).toBeLessThan(
+      statements.findIndex(text => text.includes('INSERT INTO audit_events'))
+    );
+  });
+
+  test('stores who, what, before/after, changed fields and the reason', async () => {
+    const sql = createSqlMock();
+
+    const row = await recordAuditEvent(sql, {
+      action: AUDIT_ACTIONS.DOCUMENT_METADATA_UPDATED,
+      resourceType: 'rag_documents',
+      resourceId: 42,
+      resourceName: 'SOP 1',
+      userId: 'user-1',
+      organizationId: 'org-a',
+      before: { version: '1.0' },
+      after: { version: '2.0' },
+      reason: 'Periodic review',
+    });
+
+    expect(row).toEqual({ id: 1, occurred_at: '2024-05-01T00:00:00.000Z' });
+    expect(findCall(sql, 'INSERT INTO audit_events').slice(1)).toEqual([
+      'user-1',
+      'org-a',
+      'document.metadata_updated',
+      'rag_documents',
+      '42',
+      'SOP 1',
+      '{"version":"1.0"}',
+      '{"version":"2.0"}',
+      ['version'],
+      'Periodic review',
+      '{}',
+    ]);
+  });
+
+  test('requires an action, resource type and user', async () => {
+    await expect(recordAuditEvent(createSqlMock(), { action: 'document.deleted' })).rejects.toThrow(
+      'Audit events require'
+    );
+  });
+});
+
+describe('recordAuditedChange', () => {
+  test('sends the change and its audit entry as one transaction', async () => {
+    const sql = createSqlMock();
+    sql.transaction = jest.fn(async (statements) => Promise.all(statements));
+    sql.mockImplementation(async (strings) => (
+      strings.join('?').includes('UPDATE document_index') ? [{ document_id: 'doc-1' }] : []
+    ));
+
+    const [updatedRows] = await recordAuditedChange(
+      sql,
+      [sql`UPDATE document_index SET manual_summary = ${'New'} WHERE document_id = ${'doc-1'} RETURNING document_id`],
+      [{
+        action: AUDIT_ACTIONS.MANUAL_SUMMARY_UPDATED,
+        resourceType: 'document_index',
+        resourceId: 'doc-1',
+        userId: 'user-1',
+        before: 'Old',
+        after: 'New',
+      }]
+    );
+
+    expect(updatedRows).toEqual([{ document_id: 'doc-1' }]);
+    expect(sql.transaction).toHaveBeenCalledTimes(1);
+    const [statements] = sql.transaction.mock.calls[0];
+    expect(statements).toHaveLength(2);
+    expect(findCall(sql, 'INSERT INTO audit_events')).toBeDefined();
+  });
+
+  test('rejects an incomplete audit entry before running anything', async () => {
+    const sql = createSqlMock();
+    sql.transaction = jest.fn();
+
+    await expect(recordAuditedChange(sql, [], [{ action: AUDIT_ACTIONS.DOCUMENT_DELETED }])).rejects.toThrow(
+      'Audit events require an action, a resource type and a user'
+    );
+    expect(sql.transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('listAuditEvents', () => {
+  test('limits organization admins to their organization and caps the page size', async () => {
+    const sql = createSqlMock([
+      {
+        id: 5,
+        occurred_at: '2024-05-01T00:00:00.000Z',
+        user_id: 'user-1',
+        organization_id: 'org-a',
+        action: 'summary.manual_updated',
+        resource_type: 'document_index',
+        resource_id: 'doc-1',
+        resource_name: 'SOP 1',
+        before_value: 'old',
+        after_value: 'new',
+        changed_fields: ['value'],
+        reason: null,
+        metadata: {},
+        total_count: '12',
+      },
+    ]);
+
+    const result = await listAuditEvents(sql, { limit: '100000', action: ' summary.manual_updated ' }, { organizationId: 'org-a' });
+
+    const select = findCall(sql, 'FROM audit_events');
+    expect(select.slice(1, 4)).toEqual([false, 'org-a', 'summary.manual_updated']);
+    expect(result).toMatchObject({ total: 12, limit: 5000, offset: 0 });
+    expect(result.events[0]).toMatchObject({ id: '5', before: 'old', after: 'new', changedFields: ['value'] });
+  });
+
+  test('rejects unparseable dates', async () => {
+    await expect(listAuditEvents(createSqlMock(), { from: 'yesterday' }, { allOrganizations: true })).rejects.toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+});
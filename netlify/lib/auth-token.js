@@ -0,0 +1,79 @@
+import jwt from 'jsonwebtoken';
+import jwksClient from 'jwks-rsa';
+
+// Verification of the Auth0 access token the browser sends as `Authorization: Bearer`. Unlike the
+// `x-user-id` header or an unverified token payload, a verified token is proof of who is calling.
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const resolveAuthConfig = (env = process.env) => {
+  const domain = (env.AUTH0_DOMAIN || env.REACT_APP_AUTH0_DOMAIN || '').replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  return {
+    domain: domain || null,
+    audience: env.AUTH0_AUDIENCE || env.REACT_APP_AUTH0_AUDIENCE || null,
+  };
+};
+
+// One JWKS client per tenant, so signing keys are cached across invocations of a warm function
+const signingKeyClients = new Map();
+
+const getSigningKeyClient = (domain) => {
+  if (!signingKeyClients.has(domain)) {
+    signingKeyClients.set(domain, jwksClient({
+      jwksUri: `https://${domain}/.well-known/jwks.json`,
+      cache: true,
+      rateLimit: true,
+    }));
+  }
+  return signingKeyClients.get(domain);
+};
+
+/**
+ * Verify the bearer token in an Authorization header against the Auth0 tenant's signing keys and
+ * return its claims. Throws a 401 error when the token is missing, invalid or expired, and a 503
+ * when the server has no Auth0 domain to verify against.
+ */
+export async function verifyBearerToken(authorizationHeader, { config = resolveAuthConfig() } = {}) {
+  if (!config.domain) {
+    throw createError('Authentication is not configured on the server', 503);
+  }
+
+  const token = typeof authorizationHeader === 'string' && authorizationHeader.startsWith('Bearer ')
+    ? authorizationHeader.slice('Bearer '.length).trim()
+    : '';
+  if (!token) {
+    throw createError('User authentication required', 401);
+  }
+
+  const client = getSigningKeyClient(config.domain);
+  const getKey = (header, callback) => {
+    client.getSigningKey(header.kid)
+      .then(key => callback(null, key.getPublicKey()))
+      .catch(error => callback(error));
+  };
+
+  const claims = await new Promise((resolve, reject) => {
+    jwt.verify(token, getKey, {
+      algorithms: ['RS256'],
+      issuer: `https://${config.domain}/`,
+      ...(config.audience ? { audience: config.audience } : {}),
+    }, (error, decoded) => (error ? reject(error) : resolve(decoded)));
+  }).catch(error => {
+    throw createError(`Invalid or expired session: ${error.message}`, 401);
+  });
+
+  if (!claims?.sub) {
+    throw createError('User authentication required', 401);
+  }
+  return claims;
+}
+
+export const __internal = {
+  resetSigningKeyClients: () => {
+    signingKeyClients.clear();
+  },
+};
@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import { generateKeyPairSync } from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const signingKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKeys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicKeyPem = signingKeys.publicKey.export({ type: 'spki', format: 'pem' });
+
+const jwksOptions = [];
+jest.unstable_mockModule('jwks-rsa', () => ({
+  default: (options) => {
+    jwksOptions.push(options);
+    return { getSigningKey: async () => ({ getPublicKey: () => publicKeyPem }) };
+  },
+}));
+
+const { __internal, resolveAuthConfig, verifyBearerToken } = await import('./auth-token.js');
+
+const config = { domain: 'tenant.auth0.test', audience: 'https://api.example.test' };
+
+const signToken = (claims = {}, { privateKey = signingKeys.privateKey, ...options } = {}) =>
+  jwt.sign({ sub: 'auth0|user-1', ...claims }, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'key-1',
+    issuer: 'https://tenant.auth0.test/',
+    audience: 'https://api.example.test',
+    expiresIn: '5m',
+    ...options,
+  });
+
+beforeEach(() => {
+  __internal.resetSigningKeyClients();
+  jwksOptions.length = 0;
+});
+
+describe('resolveAuthConfig', () => {
+  test('reads the Auth0 domain and audience, falling back to the browser build settings', () => {
+    expect(resolveAuthConfig({ REACT_APP_AUTH0_DOMAIN: 'https://tenant.auth0.test/', REACT_APP_AUTH0_AUDIENCE: 'api' }))
+      .toEqual({ domain: 'tenant.auth0.test', audience: 'api' });
+    expect(resolveAuthConfig({})).toEqual({ domain: null, audience: null });
+  });
+});
+
+describe('verifyBearerToken', () => {
+  test('returns the claims of a token signed by the tenant', async () => {
+    const claims = await verifyBearerToken(`Bearer ${signToken()}`, { config });
+
+    expect(claims.sub).toBe('auth0|user-1');
+    expect(jwksOptions[0].jwksUri).toBe('https://tenant.auth0.test/.well-known/jwks.json');
+  });
+
+  test('rejects tokens that are missing, forged, expired or for another audience', async () => {
+    const rejected = expect.objectContaining({ statusCode: 401 });
+
+    await expect(verifyBearerToken(undefined, { config })).rejects.toEqual(rejected);
+    await expect(verifyBearerToken(`Bearer ${signToken({}, { privateKey: otherKeys.privateKey })}`, { config })).rejects.toEqual(rejected);
+    await expect(verifyBearerToken(`Bearer ${signToken({}, { expiresIn: '-1m' })}`, { config })).rejects.toEqual(rejected);
+    await expect(verifyBearerToken(`Bearer ${signToken({}, { audience: 'https://other.test' })}`, { config })).rejects.toEqual(rejected);
+  });
+
+  test('reports a server without an Auth0 domain as unavailable', async () => {
+    await expect(verifyBearerToken(`Bearer ${signToken()}`, { config: { domain: null } }))
+      .rejects.toEqual(expect.objectContaining({ statusCode: 503 }));
+  });
+});
@@ -0,0 +1,72 @@
+import { getChatClient, getChatProviderConfig } from './llm-providers.js';
+
+// Chat completions relayed for the browser. Providers whose APIs the site's CSP does not allow
+// (Azure OpenAI, Anthropic, on-premises servers) are reached through the chat-completions
+// function, so their keys and endpoints stay on the server.
+
+const MESSAGE_ROLES = new Set(['system', 'user', 'assistant']);
+const MAX_COMPLETION_TOKENS = 8000;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate a chat-completions request body and return the provider id and the parameters to send.
+ * Only plain-text messages and the sampling options the app uses are passed through. Providers
+ * the server has no credentials for are rejected with a 503.
+ */
+export function parseChatCompletionRequest(body, env = process.env) {
+  const { provider, model, messages, max_tokens: maxTokens, temperature } = body || {};
+
+  const config = typeof provider === 'string' ? getChatProviderConfig(provider, env) : null;
+  if (!config) {
+    throw createError('Unknown chat provider', 400);
+  }
+  // Checked here rather than left to getChatClient so no stream is opened for an unusable provider
+  if (!config.configured) {
+    throw createError(`${config.name} is not configured on the server`, 503);
+  }
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw createError('messages must be a non-empty array', 400);
+  }
+  const invalid = messages.findIndex(message =>
+    !message || !MESSAGE_ROLES.has(message.role) || typeof message.content !== 'string'
+  );
+  if (invalid !== -1) {
+    throw createError(`messages[${invalid}] must have a system, user or assistant role and text content`, 400);
+  }
+
+  const params = { messages: messages.map(({ role, content }) => ({ role, content })) };
+  if (Number.isFinite(maxTokens) && maxTokens > 0) {
+    params.max_tokens = Math.min(Math.floor(maxTokens), MAX_COMPLETION_TOKENS);
+  }
+  if (Number.isFinite(temperature)) {
+    params.temperature = temperature;
+  }
+
+  return { provider, model: typeof model === 'string' ? model : undefined, params };
+}
+
+/**
+ * Run a completion for a parsed request. With `onChunk`, the completion is streamed and every
+ * OpenAI-format chunk is handed to it; otherwise the completion is returned. The provider's model
+ * list decides the model, as everywhere else on the server.
+ */
+export async function createChatCompletion(request, { env = process.env, signal, onChunk } = {}) {
+  const { client, model, provider } = getChatClient(request.provider, { model: request.model, env });
+
+  if (typeof onChunk !== 'function') {
+    const completion = await client.chat.completions.create({ ...request.params, model }, { signal });
+    return { provider, model, choices: completion.choices, usage: completion.usage || null };
+  }
+
+  const stream = await client.chat.completions.create({ ...request.params, model, stream: true }, { signal });
+  for await (const chunk of stream) {
+    onChunk(chunk);
+  }
+  return { provider, model };
+}
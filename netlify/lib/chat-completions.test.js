@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+
+const mockCreate = jest.fn();
+
+class MockOpenAI {
+  constructor(options) {
+    this.options = options;
+    this.chat = { completions: { create: mockCreate } };
+  }
+}
+
+jest.unstable_mockModule('openai', () => ({
+  default: MockOpenAI,
+  AzureOpenAI: MockOpenAI,
+}));
+
+const { createChatCompletion, parseChatCompletionRequest } = await import('./chat-completions.js');
+
+const env = { ANTHROPIC_API_KEY: 'anthropic-key', LOCAL_LLM_BASE_URL: 'http://llm.internal/v1' };
+const messages = [
+  { role: 'system', content: 'You are a QA assistant.' },
+  { role: 'user', content: 'What is CAPA?', resources: ['dropped'] },
+];
+
+beforeEach(() => {
+  mockCreate.mockReset();
+});
+
+describe('parseChatCompletionRequest', () => {
+  test('keeps plain-text messages and caps the completion length', () => {
+    expect(parseChatCompletionRequest({
+      provider: 'anthropic',
+      model: 'claude-3-5-haiku-latest',
+      messages,
+      max_tokens: 50000,
+      temperature: 0.2,
+      tools: [{ type: 'function' }],
+    }, env)).toEqual({
+      provider: 'anthropic',
+      model: 'claude-3-5-haiku-latest',
+      params: {
+        messages: [
+          { role: 'system', content: 'You are a QA assistant.' },
+          { role: 'user', content: 'What is CAPA?' },
+        ],
+        max_tokens: 8000,
+        temperature: 0.2,
+      },
+    });
+  });
+
+  test('rejects unknown or unconfigured providers and malformed messages', () => {
+    expect(() => parseChatCompletionRequest({ provider: 'mistral', messages }, env)).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'Unknown chat provider' })
+    );
+    // The on-premises server is reachable but has no model list
+    expect(() => parseChatCompletionRequest({ provider: 'local', messages }, env)).toThrow(
+      expect.objectContaining({ statusCode: 503 })
+    );
+    expect(() => parseChatCompletionRequest({ provider: 'anthropic', messages: [{ role: 'tool', content: 'x' }] }, env)).toThrow(
+      expect.objectContaining({ statusCode: 400, message: expect.stringContaining('messages[0]') })
+    );
+  });
+});
+
+describe('createChatCompletion', () => {
+  test('returns the completion from the provider with the server-side model choice', async () => {
+    mockCreate.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'Corrective and preventive action.' } }],
+      usage: { total_tokens: 9 },
+    });
+    const request = parseChatCompletionRequest({ provider: 'anthropic', model: 'not-listed', messages }, env);
+
+    await expect(createChatCompletion(request, { env })).resolves.toEqual({
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-latest',
+      choices: [{ message: { role: 'assistant', content: 'Corrective and preventive action.' } }],
+      usage: { total_tokens: 9 },
+    });
+    expect(mockCreate.mock.calls[0][0]).toEqual({ ...request.params, model: 'claude-3-5-sonnet-latest' });
+  });
+
+  test('hands every streamed chunk to onChunk', async () => {
+    const chunks = [
+      { choices: [{ delta: { content: 'Corrective' } }] },
+      { choices: [{ delta: { content: ' action' } }] },
+    ];
+    mockCreate.mockResolvedValue((async function* stream() {
+      yield* chunks;
+    })());
+    const onChunk = jest.fn();
+    const controller = new AbortController();
+
+    await createChatCompletion(
+      parseChatCompletionRequest({ provider: 'anthropic', messages }, env),
+      { env, onChunk, signal: controller.signal }
+    );
+
+    expect(onChunk.mock.calls.map(([chunk]) => chunk)).toEqual(chunks);
+    expect(mockCreate.mock.calls[0][0].stream).toBe(true);
+    expect(mockCreate.mock.calls[0][1]).toEqual({ signal: controller.signal });
+  });
+});
@@ -0,0 +1,293 @@
+// Per-thread conversation storage for neon-db. Each chat thread is one row keyed by
+// (user_id, thread_id) with a version counter, so a browser can save a thread incrementally and
+// learn when another tab or device has written it first. Deleted threads leave a tombstone so
+// incremental syncs on other devices can drop them too.
+
+// Rows per query when listing; listing pages until every matching row has been read
+const LIST_PAGE_SIZE = 100;
+// How far before the caller's `since` an incremental sync looks again; see listConversationThreads
+const SYNC_OVERLAP_MS = 30 * 1000;
+
+let ensuredConversationSyncSchemaPromise = null;
+
+export async function ensureConversationSyncSchema(sql) {
+  if (ensuredConversationSyncSchemaPromise) {
+    return ensuredConversationSyncSchemaPromise;
+  }
+
+  ensuredConversationSyncSchemaPromise = (async () => {
+    await sql`
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS thread_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1
+    `;
+
+    // Rows saved before threads existed have no thread_id and stay outside the constraint
+    await sql`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_user_thread
+        ON conversations(user_id, thread_id)
+        WHERE thread_id IS NOT NULL
+    `;
+
+    // thread_id is the key the browser caches threads under; legacy rows use legacy-<id>
+    await sql`
+      CREATE TABLE IF NOT EXISTS conversation_tombstones (
+        user_id VARCHAR(255) NOT NULL,
+        thread_id VARCHAR(255) NOT NULL,
+        deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, thread_id)
+      )
+    `;
+  })().catch(error => {
+    ensuredConversationSyncSchemaPromise = null;
+    throw error;
+  });
+
+  return ensuredConversationSyncSchemaPromise;
+}
+
+const parseJson = (value, fallback) => {
+  if (typeof value !== 'string') {
+    return value ?? fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Work out the RAG columns stored alongside a conversation.
+ */
+export const summarizeRagUsage = (messages = []) => {
+  const ragMessages = messages.filter(msg => Array.isArray(msg?.sources) && msg.sources.length > 0);
+  const ragDocuments = [...new Set(
+    ragMessages.flatMap(msg => msg.sources.map(source => source?.documentId).filter(Boolean))
+  )];
+  return { usedRag: ragMessages.length > 0, ragDocuments };
+};
+
+/**
+ * Check the branch fields of a thread's messages and describe the first problem, or return null.
+ * Editing a question or regenerating an answer adds a sibling message: `parentId` names the
+ * message it follows (null for the first message of a conversation), `branchRootId` names the
+ * first message an edited opening question replaces, and `branchSelectedAt` records when a sibling
+ * was last chosen. A parent may be stored in an earlier thread, so links need not resolve here.
+ */
+export const findMessageTreeError = (messages = []) => {
+  for (const message of messages) {
+    if (!message || typeof message !== 'object') {
+      continue;
+    }
+
+    const label = message.id ? `Message ${message.id}` : 'A message';
+    const { parentId, branchRootId, branchSelectedAt } = message;
+
+    if (parentId !== undefined && parentId !== null && typeof parentId !== 'string') {
+      return `${label} has an invalid parentId`;
+    }
+    if (parentId && parentId === message.id) {
+      return `${label} cannot be its own parent`;
+    }
+    if (branchRootId !== undefined && typeof branchRootId !== 'string') {
+      return `${label} has an invalid branchRootId`;
+    }
+    if (branchSelectedAt !== undefined && !Number.isFinite(branchSelectedAt)) {
+      return `${label} has an invalid branchSelectedAt`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Shape a `conversations` row the way neon-db has always returned it, plus thread and version.
+ */
+export const formatConversationRow = (row) => ({
+  id: row.id,
+  threadId: row.thread_id || null,
+  version: Number(row.version) || 1,
+  messages: parseJson(row.messages, []),
+  metadata: parseJson(row.metadata, {}),
+  messageCount: row.message_count,
+  used_rag: row.used_rag,
+  rag_documents_referenced: row.rag_documents_referenced,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+async function findThread(sql, userId, threadId) {
+  const [row] = await sql`
+    SELECT id, thread_id, version, messages, metadata, message_count, used_rag,
+           rag_documents_referenced, created_at, updated_at
+    FROM conversations
+    WHERE user_id = ${userId} AND thread_id = ${threadId}
+    LIMIT 1
+  `;
+  return row || null;
+}
+
+/**
+ * Create or replace the stored copy of one thread.
+ *
+ * `expectedVersion` is the version the caller last read (0 or missing for a thread it believes is
+ * new). When the stored version differs, nothing is written and `{ conflict: true, conversation }`
+ * carries the stored copy so the caller can merge and retry against its version.
+ *
+ * @returns {Promise<{conflict: boolean, conversation: Object}>}
+ */
+export async function saveConversationThread(sql, userId, { threadId, messages, metadata = {}, expectedVersion = 0 }) {
+  await ensureConversationSyncSchema(sql);
+
+  const { usedRag, ragDocuments } = summarizeRagUsage(messages);
+  const expected = Number(expectedVersion) || 0;
+  const existing = await findThread(sql, userId, threadId);
+
+  if (!existing) {
+    if (expected !== 0) {
+      // The caller read a version that has since been cleared; let it decide whether to recreate
+      return { conflict: true, conversation: null };
+    }
+
+    const [created] = await sql`
+      INSERT INTO conversations (
+        user_id, thread_id, version, messages, metadata, message_count, used_rag, rag_documents_referenced
+      )
+      VALUES (
+        ${userId}, ${threadId}, 1, ${JSON.stringify(messages)}, ${JSON.stringify(metadata)},
+        ${messages.length}, ${usedRag}, ${ragDocuments}
+      )
+      ON CONFLICT (user_id, thread_id) WHERE thread_id IS NOT NULL DO NOTHING
+      RETURNING id, thread_id, version, messages, metadata, message_count, used_rag,
+                rag_documents_referenced, created_at, updated_at
+    `;
+
+    if (!created) {
+      // Another tab created the thread between our read and insert
+      const current = await findThread(sql, userId, threadId);
+      return { conflict: true, conversation: current ? formatConversationRow(current) : null };
+    }
+
+    return { conflict: false, conversation: formatConversationRow(created) };
+  }
+
+  const currentVersion = Number(existing.version) || 1;
+  if (currentVersion !== expected) {
+    return { conflict: true, conversation: formatConversationRow(existing) };
+  }
+
+  const [updated] = await sql`
+    UPDATE conversations
+    SET messages = ${JSON.stringify(messages)},
+        metadata = ${JSON.stringify(metadata)},
+        message_count = ${messages.length},
+        used_rag = ${usedRag},
+        rag_documents_referenced = ${ragDocuments},
+        version = version + 1,
+        updated_at = NOW()
+    WHERE id = ${existing.id} AND version = ${currentVersion}
+    RETURNING id, thread_id, version, messages, metadata, message_count, used_rag,
+              rag_documents_referenced, created_at, updated_at
+  `;
+
+  if (!updated) {
+    const current = await findThread(sql, userId, threadId);
+    return { conflict: true, conversation: current ? formatConversationRow(current) : null };
+  }
+
+  return { conflict: false, conversation: formatConversationRow(updated) };
+}
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : new Date(value).toISOString());
+
+/**
+ * Read a user's stored conversations for sync, oldest change first. With `since`, only threads
+ * changed after that instant are returned, along with the ids of threads deleted since then.
+ *
+ * `serverTime` is the database clock read before the rows and is meant to be passed back as the
+ * next `since`. A write stamps its row with the time its transaction started, so one that started
+ * before that read but committed after it carries an older timestamp than the cursor. Each
+ * incremental read therefore reaches SYNC_OVERLAP_MS further back than `since`: threads and
+ * deletions in that window are returned again, and callers apply them by thread id, which makes
+ * the repeats harmless. A write whose transaction stays open longer than the window can still be
+ * missed until its thread changes again.
+ *
+ * @returns {Promise<{conversations: Object[], deletedThreadIds: string[], serverTime: string}>}
+ */
+export async function listConversationThreads(sql, userId, { since = null, pageSize = LIST_PAGE_SIZE } = {}) {
+  await ensureConversationSyncSchema(sql);
+
+  const sinceDate = since ? new Date(since) : null;
+  const sinceIso = sinceDate && !Number.isNaN(sinceDate.getTime())
+    ? new Date(sinceDate.getTime() - SYNC_OVERLAP_MS).toISOString()
+    : null;
+
+  const [{ server_time: serverTime }] = await sql`SELECT NOW() AS server_time`;
+
+  // Keyset pages on (change time, id); the change time is carried as text to keep its microseconds
+  const rows = [];
+  let cursor = null;
+  for (;;) {
+    const page = await sql`
+      SELECT id, thread_id, version, messages, metadata, message_count, used_rag,
+             rag_documents_referenced, created_at, updated_at,
+             COALESCE(updated_at, created_at)::text AS sync_cursor
+      FROM conversations
+      WHERE user_id = ${userId}
+        AND (${sinceIso}::timestamptz IS NULL OR COALESCE(updated_at, created_at) > ${sinceIso}::timestamptz)
+        AND (
+          ${cursor?.at ?? null}::timestamptz IS NULL
+          OR (COALESCE(updated_at, created_at), id) > (${cursor?.at ?? null}::timestamptz, ${cursor?.id ?? null})
+        )
+      ORDER BY COALESCE(updated_at, created_at) ASC, id ASC
+      LIMIT ${pageSize}
+    `;
+    rows.push(...page);
+    if (page.length < pageSize) {
+      break;
+    }
+    const last = page[page.length - 1];
+    cursor = { at: last.sync_cursor, id: last.id };
+  }
+
+  const tombstones = sinceIso
+    ? await sql`
+        SELECT thread_id
+        FROM conversation_tombstones
+        WHERE user_id = ${userId} AND deleted_at > ${sinceIso}::timestamptz
+      `
+    : [];
+
+  return {
+    conversations: rows.map(formatConversationRow),
+    deletedThreadIds: tombstones.map(row => row.thread_id),
+    serverTime: toIso(serverTime),
+  };
+}
+
+/**
+ * Delete every stored conversation for a user, leaving a tombstone for each thread.
+ * @returns {Promise<number>} - Number of conversations deleted
+ */
+export async function clearConversationThreads(sql, userId) {
+  await ensureConversationSyncSchema(sql);
+
+  const removed = await sql`
+    WITH removed AS (
+      DELETE FROM conversations
+      WHERE user_id = ${userId}
+      RETURNING COALESCE(thread_id, 'legacy-' || id) AS thread_id
+    )
+    INSERT INTO conversation_tombstones (user_id, thread_id, deleted_at)
+    SELECT ${userId}, thread_id, NOW() FROM removed
+    ON CONFLICT (user_id, thread_id) DO UPDATE SET deleted_at = EXCLUDED.deleted_at
+    RETURNING thread_id
+  `;
+  return removed.length;
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredConversationSyncSchemaPromise = null;
+  },
+};
@@ -0,0 +1,178 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  clearConversationThreads,
+  findMessageTreeError,
+  formatConversationRow,
+  listConversationThreads,
+  saveConversationThread,
+  summarizeRagUsage,
+} from './conversation-sync.js';
+
+const storedRow = (overrides = {}) => ({
+  id: 7,
+  thread_id: 'thread-1',
+  version: 2,
+  messages: JSON.stringify([{ id: 'm1', role: 'user', content: 'What is CAPA?' }]),
+  metadata: '{}',
+  message_count: 1,
+  used_rag: false,
+  rag_documents_referenced: [],
+  created_at: '2026-10-01T00:00:00.000Z',
+  updated_at: '2026-10-02T00:00:00.000Z',
+  ...overrides,
+});
+
+// Routes each statement by its leading keyword so the tests can script what the database returns
+const createSqlMock = ({ select = [], insert = [], update = [] } = {}) => {
+  const queues = { SELECT: [...select], INSERT: [...insert], UPDATE: [...update] };
+  return jest.fn(async (strings) => {
+    const keyword = strings.join('?').trim().split(/\s+/)[0].toUpperCase();
+    const queue = queues[keyword];
+    return queue && queue.length > 0 ? queue.shift() : [];
+  });
+};
+
+const statements = (sql, keyword) =>
+  sql.mock.calls.filter(([strings]) => strings.join('?').trim().toUpperCase().startsWith(keyword));
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+});
+
+describe('summarizeRagUsage', () => {
+  test('collects unique referenced documents', () => {
+    expect(summarizeRagUsage([
+      { sources: [{ documentId: 'a' }, { documentId: 'b' }] },
+      { sources: [{ documentId: 'a' }] },
+      { content: 'no sources' },
+    ])).toEqual({ usedRag: true, ragDocuments: ['a', 'b'] });
+  });
+});
+
+describe('findMessageTreeError', () => {
+  test('accepts edited and regenerated siblings, including parents stored in another thread', () => {
+    expect(findMessageTreeError([
+      { id: 'u1', role: 'user', parentId: 'a0-previous-thread' },
+      { id: 'a1', role: 'assistant', parentId: 'u1' },
+      { id: 'a1-retry', role: 'assistant', parentId: 'u1', branchSelectedAt: 1760000000000 },
+      { id: 'u0-edit', role: 'user', parentId: null, branchRootId: 'u0' },
+      { id: 'legacy', role: 'user' },
+    ])).toBeNull();
+  });
+
+  test('rejects malformed links', () => {
+    expect(findMessageTreeError([{ id: 'm1', parentId: 42 }])).toBe('Message m1 has an invalid parentId');
+    expect(findMessageTreeError([{ id: 'm1', parentId: 'm1' }])).toBe('Message m1 cannot be its own parent');
+    expect(findMessageTreeError([{ id: 'm1', branchSelectedAt: 'yesterday' }])).toBe('Message m1 has an invalid branchSelectedAt');
+  });
+});
+
+describe('formatConversationRow', () => {
+  test('parses JSON columns and exposes thread and version', () => {
+    const formatted = formatConversationRow(storedRow());
+    expect(formatted.threadId).toBe('thread-1');
+    expect(formatted.version).toBe(2);
+    expect(formatted.messages).toEqual([{ id: 'm1', role: 'user', content: 'What is CAPA?' }]);
+    expect(formatted.metadata).toEqual({});
+  });
+});
+
+describe('saveConversationThread', () => {
+  const messages = [{ id: 'm1', role: 'user', content: 'What is CAPA?' }];
+
+  test('inserts a new thread at version 1', async () => {
+    const sql = createSqlMock({ insert: [[storedRow({ version: 1 })]] });
+
+    const result = await saveConversationThread(sql, 'user-1', { threadId: 'thread-1', messages });
+
+    expect(result.conflict).toBe(false);
+    expect(result.conversation.version).toBe(1);
+    expect(statements(sql, 'INSERT')).toHaveLength(1);
+  });
+
+  test('updates the thread when the expected version matches', async () => {
+    const sql = createSqlMock({
+      select: [[storedRow({ version: 2 })]],
+      update: [[storedRow({ version: 3 })]],
+    });
+
+    const result = await saveConversationThread(sql, 'user-1', { threadId: 'thread-1', messages, expectedVersion: 2 });
+
+    expect(result).toMatchObject({ conflict: false, conversation: { version: 3 } });
+    expect(statements(sql, 'UPDATE')).toHaveLength(1);
+  });
+
+  test('reports a conflict with the stored copy when another session saved first', async () => {
+    const sql = createSqlMock({ select: [[storedRow({ version: 4 })]] });
+
+    const result = await saveConversationThread(sql, 'user-1', { threadId: 'thread-1', messages, expectedVersion: 2 });
+
+    expect(result.conflict).toBe(true);
+    expect(result.conversation.version).toBe(4);
+    expect(statements(sql, 'UPDATE')).toHaveLength(0);
+  });
+
+  test('treats a thread created concurrently by another tab as a conflict', async () => {
+    const sql = createSqlMock({ select: [[], [storedRow({ version: 1 })]], insert: [[]] });
+
+    const result = await saveConversationThread(sql, 'user-1', { threadId: 'thread-1', messages });
+
+    expect(result.conflict).toBe(true);
+    expect(result.conversation.threadId).toBe('thread-1');
+  });
+});
+
+describe('listConversationThreads', () => {
+  test('reads the server clock first and pages through changed rows oldest first', async () => {
+    const sql = createSqlMock({
+      select: [
+        [{ server_time: new Date('2026-10-03T09:00:00.000Z') }],
+        [storedRow({ id: 7 }), storedRow({ id: 8, thread_id: 'thread-2', sync_cursor: '2026-10-02 00:00:00.123456+00' })],
+        [storedRow({ id: 9, thread_id: 'thread-3' })],
+        [{ thread_id: 'thread-4' }],
+      ],
+    });
+
+    const result = await listConversationThreads(sql, 'user-1', { since: '2026-10-01T12:00:00.000Z', pageSize: 2 });
+
+    expect(result.serverTime).toBe('2026-10-03T09:00:00.000Z');
+    expect(result.conversations.map(row => row.threadId)).toEqual(['thread-1', 'thread-2', 'thread-3']);
+    expect(result.deletedThreadIds).toEqual(['thread-4']);
+
+    const [clock, firstPage, secondPage, tombstones] = statements(sql, 'SELECT');
+    expect(clock[0].join('?')).toContain('NOW()');
+    expect(firstPage[0].join('?')).toMatch(/ORDER BY COALESCE\(updated_at, created_at\) ASC, id ASC/);
+    // Incremental reads overlap the previous one, so a write that committed after its cursor is not skipped
+    expect(firstPage.slice(1)).toEqual(['user-1', '2026-10-01T11:59:30.000Z', '2026-10-01T11:59:30.000Z', null, null, null, 2]);
+    // The second page starts after the last row of the first, at full timestamp precision
+    expect(secondPage.slice(4, 7)).toEqual(['2026-10-02 00:00:00.123456+00', '2026-10-02 00:00:00.123456+00', 8]);
+    expect(tombstones[0].join('?')).toContain('conversation_tombstones');
+    expect(tombstones.slice(1)).toEqual(['user-1', '2026-10-01T11:59:30.000Z']);
+  });
+
+  test('returns every thread and no deletions on a full load', async () => {
+    const sql = createSqlMock({
+      select: [[{ server_time: '2026-10-03T09:00:00.000Z' }], [storedRow()]],
+    });
+
+    const result = await listConversationThreads(sql, 'user-1');
+
+    expect(result.conversations).toHaveLength(1);
+    expect(result.deletedThreadIds).toEqual([]);
+    expect(statements(sql, 'SELECT')).toHaveLength(2);
+  });
+});
+
+describe('clearConversationThreads', () => {
+  test('deletes the user\'s threads and leaves a tombstone for each', async () => {
+    const sql = jest.fn(async (strings) => (strings.join('?').trim().startsWith('WITH') ? [{ thread_id: 'thread-1' }, { thread_id: 'legacy-3' }] : []));
+
+    await expect(clearConversationThreads(sql, 'user-1')).resolves.toBe(2);
+
+    const [strings, ...values] = statements(sql, 'WITH')[0];
+    expect(strings.join('?')).toContain('INSERT INTO conversation_tombstones');
+    expect(values).toEqual(['user-1', 'user-1']);
+  });
+});
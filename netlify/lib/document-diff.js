@@ -0,0 +1,306 @@
+import { formatChunkCitation, parseDocumentBlocks } from './structured-chunker.js';
+
+// Word-level LCS is quadratic; beyond this many cells a changed section is shown as a full replacement
+const MAX_WORD_DIFF_CELLS = 250000;
+const MAX_SUMMARY_SECTIONS = 25;
+const MAX_SUMMARY_SECTION_CHARS = 600;
+
+const normalizeText = (text) => (typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '');
+
+const normalizeTitle = (title) => normalizeText(title).toLowerCase();
+
+const stripSectionNumber = (line) => normalizeTitle(line.replace(/^\s*\d+(?:\.\d+)*\.?\s+/, ''));
+
+/**
+ * Group parsed blocks into comparable units. Every heading or numbered clause starts a new unit
+ * and the paragraphs, lists and tables beneath it belong to that unit.
+ */
+export const splitIntoSections = (text) => {
+  const sections = [];
+  const seenKeys = new Map();
+  let current = null;
+
+  const startSection = (block) => {
+    const baseKey = block.sectionNumber
+      ? `number:${block.sectionNumber}`
+      : block.sectionPath
+        ? `path:${normalizeTitle(block.sectionPath)}`
+        : 'preamble';
+    const occurrence = seenKeys.get(baseKey) || 0;
+    seenKeys.set(baseKey, occurrence + 1);
+
+    current = {
+      key: occurrence === 0 ? baseKey : `${baseKey}#${occurrence + 1}`,
+      sectionNumber: block.sectionNumber || null,
+      sectionTitle: block.sectionTitle || null,
+      sectionPath: block.sectionPath || null,
+      pageNumber: block.pageNumber,
+      pageEnd: block.pageEnd ?? block.pageNumber,
+      lines: [],
+    };
+    sections.push(current);
+  };
+
+  parseDocumentBlocks(text).forEach((block) => {
+    const startsSection = block.type === 'heading' || block.type === 'clause';
+    if (startsSection || !current) {
+      startSection(block);
+    }
+
+    current.lines.push(block.text);
+    current.pageEnd = Math.max(current.pageEnd ?? block.pageNumber, block.pageEnd ?? block.pageNumber);
+  });
+
+  return sections.map(({ lines, ...section }) => {
+    const sectionText = lines.join('\n');
+    return {
+      ...section,
+      text: sectionText,
+      citation: formatChunkCitation(section),
+    };
+  });
+};
+
+const tokenizeWords = (text) => text.split(/(\s+)/).filter(token => token !== '');
+
+const pushChange = (changes, type, text) => {
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    changes.push({ type, text });
+  }
+};
+
+/**
+ * Word-level diff of two strings as a list of equal/insert/delete runs.
+ */
+export const diffWords = (baseText = '', targetText = '') => {
+  const base = tokenizeWords(baseText);
+  const target = tokenizeWords(targetText);
+  const changes = [];
+
+  if (base.length * target.length > MAX_WORD_DIFF_CELLS) {
+    if (baseText) pushChange(changes, 'delete', baseText);
+    if (targetText) pushChange(changes, 'insert', targetText);
+    return changes;
+  }
+
+  const lengths = Array.from({ length: base.length + 1 }, () => new Uint32Array(target.length + 1));
+  for (let i = base.length - 1; i >= 0; i -= 1) {
+    for (let j = target.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = base[i] === target[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < base.length && j < target.length) {
+    if (base[i] === target[j]) {
+      pushChange(changes, 'equal', base[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushChange(changes, 'delete', base[i]);
+      i += 1;
+    } else {
+      pushChange(changes, 'insert', target[j]);
+      j += 1;
+    }
+  }
+  while (i < base.length) {
+    pushChange(changes, 'delete', base[i]);
+    i += 1;
+  }
+  while (j < target.length) {
+    pushChange(changes, 'insert', target[j]);
+    j += 1;
+  }
+
+  return changes;
+};
+
+const describeSide = (section) =>
+  section
+    ? {
+      sectionNumber: section.sectionNumber,
+      sectionTitle: section.sectionTitle,
+      sectionPath: section.sectionPath,
+      pageNumber: section.pageNumber,
+      pageEnd: section.pageEnd,
+      citation: section.citation,
+      text: section.text,
+    }
+    : null;
+
+const buildEntry = (baseSection, targetSection) => {
+  const reference = targetSection || baseSection;
+  let status = 'unchanged';
+  if (!baseSection) {
+    status = 'added';
+  } else if (!targetSection) {
+    status = 'removed';
+  } else if (normalizeText(baseSection.text) !== normalizeText(targetSection.text)) {
+    status = 'changed';
+  }
+
+  return {
+    key: reference.key,
+    sectionNumber: reference.sectionNumber,
+    sectionTitle: reference.sectionTitle,
+    sectionPath: reference.sectionPath,
+    status,
+    renumbered: Boolean(
+      baseSection && targetSection && baseSection.sectionNumber !== targetSection.sectionNumber
+    ),
+    base: describeSide(baseSection),
+    target: describeSide(targetSection),
+    changes: status === 'unchanged' ? [] : diffWords(baseSection?.text || '', targetSection?.text || ''),
+  };
+};
+
+/**
+ * Align two revisions section by section. Sections are matched on their number (or heading path
+ * when unnumbered). Sections whose leading line only differs by its number are then paired so a
+ * renumbered section reads as changed rather than as a removal plus an addition.
+ */
+export const diffDocumentVersions = (baseText, targetText) => {
+  const baseSections = splitIntoSections(baseText);
+  const targetSections = splitIntoSections(targetText);
+
+  const baseByKey = new Map(baseSections.map(section => [section.key, section]));
+  const matches = new Map();
+  const matchedBase = new Set();
+
+  targetSections.forEach((section) => {
+    const candidate = baseByKey.get(section.key);
+    if (candidate) {
+      matches.set(section, candidate);
+      matchedBase.add(candidate);
+    }
+  });
+
+  targetSections.forEach((section) => {
+    if (matches.has(section) || !section.sectionNumber) {
+      return;
+    }
+    const leadLine = stripSectionNumber(section.text.split('\n')[0]);
+    const candidate = baseSections.find(
+      base => !matchedBase.has(base) && stripSectionNumber(base.text.split('\n')[0]) === leadLine
+    );
+    if (candidate) {
+      matches.set(section, candidate);
+      matchedBase.add(candidate);
+    }
+  });
+
+  const sections = [];
+  let baseCursor = 0;
+
+  const emitRemovedUntil = (limit) => {
+    while (baseCursor < limit) {
+      const base = baseSections[baseCursor];
+      if (!matchedBase.has(base)) {
+        sections.push(buildEntry(base, null));
+      }
+      baseCursor += 1;
+    }
+  };
+
+  targetSections.forEach((section) => {
+    const base = matches.get(section);
+    if (base) {
+      const baseIndex = baseSections.indexOf(base);
+      emitRemovedUntil(baseIndex);
+      baseCursor = Math.max(baseCursor, baseIndex + 1);
+      sections.push(buildEntry(base, section));
+    } else {
+      sections.push(buildEntry(null, section));
+    }
+  });
+  emitRemovedUntil(baseSections.length);
+
+  const stats = sections.reduce(
+    (totals, entry) => ({ ...totals, [entry.status]: totals[entry.status] + 1 }),
+    { added: 0, removed: 0, changed: 0, unchanged: 0 }
+  );
+
+  return { sections, stats };
+};
+
+/**
+ * Give every non-identical section a short reference id ([C1], [C2], ...) that the change summary
+ * cites, together with its location in both revisions.
+ */
+export const buildChangeReferences = (diff, { baseLabel, targetLabel } = {}) =>
+  diff.sections
+    .filter(entry => entry.status !== 'unchanged')
+    .map((entry, index) => ({
+      id: `C${index + 1}`,
+      key: entry.key,
+      status: entry.status,
+      sectionNumber: entry.sectionNumber,
+      sectionTitle: entry.sectionTitle,
+      base: entry.base ? { versionLabel: baseLabel || null, citation: entry.base.citation } : null,
+      target: entry.target ? { versionLabel: targetLabel || null, citation: entry.target.citation } : null,
+    }));
+
+const describeLocation = (reference) =>
+  [
+    reference.base ? `v${reference.base.versionLabel} ${reference.base.citation || 'preamble'}` : null,
+    reference.target ? `v${reference.target.versionLabel} ${reference.target.citation || 'preamble'}` : null,
+  ]
+    .filter(Boolean)
+    .join(' → ');
+
+const truncate = (text, limit) => (text.length > limit ? `${text.slice(0, limit)}...` : text);
+
+export const buildChangeSummaryPrompt = (diff, references, { documentNumber, documentName, baseLabel, targetLabel } = {}) => {
+  const entriesByKey = new Map(diff.sections.map(entry => [entry.key, entry]));
+
+  const changeBlocks = references.slice(0, MAX_SUMMARY_SECTIONS).map((reference) => {
+    const entry = entriesByKey.get(reference.key);
+    const lines = [`[${reference.id}] ${reference.status.toUpperCase()} — ${describeLocation(reference)}`];
+    if (entry.base) {
+      lines.push(`Previous (v${baseLabel}): ${truncate(normalizeText(entry.base.text), MAX_SUMMARY_SECTION_CHARS)}`);
+    }
+    if (entry.target) {
+      lines.push(`Revised (v${targetLabel}): ${truncate(normalizeText(entry.target.text), MAX_SUMMARY_SECTION_CHARS)}`);
+    }
+    return lines.join('\n');
+  });
+
+  const omitted = references.length - changeBlocks.length;
+
+  return `Compare revision ${baseLabel} and revision ${targetLabel} of ${documentNumber}${documentName ? ` (${documentName})` : ''}.
+
+The section-aligned changes are listed below. Each change has a reference id in square brackets.
+
+${changeBlocks.join('\n\n')}${omitted > 0 ? `\n\n(${omitted} further changed sections omitted)` : ''}
+
+Write a short change summary for a quality reviewer:
+1. "What changed" — the substantive changes, grouped by theme, ignoring pure formatting or renumbering
+2. "Why it matters for compliance" — impact on GMP/GxP obligations, training needs, records, or inspections
+Cite every statement with the reference ids it relies on, e.g. [C2] or [C1][C4]. Do not invent changes that are not listed.`;
+};
+
+/**
+ * Deterministic summary used when no LLM is configured or the call fails.
+ */
+export const buildFallbackChangeSummary = (diff, references) => {
+  if (references.length === 0) {
+    return 'No content differences were found between the two revisions.';
+  }
+
+  const { added, removed, changed } = diff.stats;
+  const lines = [`${changed} section(s) changed, ${added} added and ${removed} removed.`];
+  references.slice(0, MAX_SUMMARY_SECTIONS).forEach((reference) => {
+    const label = reference.sectionNumber
+      ? `Section ${reference.sectionNumber}`
+      : reference.sectionTitle || 'Preamble';
+    lines.push(`- ${label} ${reference.status} [${reference.id}]`);
+  });
+  return lines.join('\n');
+};
@@ -0,0 +1,109 @@
+import {
+  buildChangeReferences,
+  buildChangeSummaryPrompt,
+  buildFallbackChangeSummary,
+  diffDocumentVersions,
+  diffWords,
+} from './document-diff.js';
+import { PAGE_BREAK } from './structured-chunker.js';
+
+const REVISION_1 = [
+  '5 PROCEDURE',
+  '5.1 Initiation',
+  '5.1.1 The originator shall record the deviation in the QMS within 24 hours.',
+  '5.1.2 QA shall review the deviation within 5 working days.',
+  `${PAGE_BREAK}5.2 Investigation`,
+  'Root cause analysis shall use 5-Why methods.',
+  '5.3 Archiving',
+  'Paper records are archived by Document Control.',
+].join('\n');
+
+const REVISION_2 = [
+  '5 PROCEDURE',
+  '5.1 Initiation',
+  '5.1.1 The originator shall record the deviation in the QMS within 24 hours.',
+  '5.1.2 QA shall review the deviation within 3 working days.',
+  '5.1.3 Critical deviations shall be escalated to the Qualified Person immediately.',
+  `${PAGE_BREAK}5.2 Investigation`,
+  'Root cause analysis shall use 5-Why or Ishikawa methods.',
+].join('\n');
+
+describe('diffWords', () => {
+  test('marks inserted and deleted words', () => {
+    expect(diffWords('within 5 working days', 'within 3 working days')).toEqual([
+      { type: 'equal', text: 'within ' },
+      { type: 'delete', text: '5' },
+      { type: 'insert', text: '3' },
+      { type: 'equal', text: ' working days' },
+    ]);
+  });
+});
+
+describe('diffDocumentVersions', () => {
+  test('aligns sections and classifies added, removed and changed clauses', () => {
+    const diff = diffDocumentVersions(REVISION_1, REVISION_2);
+
+    const byNumber = Object.fromEntries(diff.sections.map(section => [section.sectionNumber, section]));
+
+    expect(byNumber['5.1.1'].status).toBe('unchanged');
+    expect(byNumber['5.1.2'].status).toBe('changed');
+    expect(byNumber['5.1.3'].status).toBe('added');
+    expect(byNumber['5.2'].status).toBe('changed');
+    expect(byNumber['5.2'].target.citation).toBe('Section 5.2, p. 2');
+    expect(byNumber['5.3'].status).toBe('removed');
+    expect(diff.stats).toEqual({ added: 1, removed: 1, changed: 2, unchanged: 3 });
+  });
+
+  test('keeps removed sections in their original position', () => {
+    const diff = diffDocumentVersions('1 Scope\n2 Definitions\n3 Procedure', '1 Scope\n3 Procedure');
+
+    expect(diff.sections.map(section => `${section.sectionNumber}:${section.status}`)).toEqual([
+      '1:unchanged',
+      '2:removed',
+      '3:unchanged',
+    ]);
+  });
+
+  test('pairs renumbered sections instead of reporting a removal and addition', () => {
+    const diff = diffDocumentVersions(
+      '6 Training\nAll staff are trained annually.',
+      '7 Training\nAll staff are trained annually.'
+    );
+
+    expect(diff.sections).toHaveLength(1);
+    expect(diff.sections[0]).toEqual(expect.objectContaining({ status: 'changed', renumbered: true }));
+  });
+});
+
+describe('change summary helpers', () => {
+  const diff = diffDocumentVersions(REVISION_1, REVISION_2);
+  const references = buildChangeReferences(diff, { baseLabel: '1.0', targetLabel: '2.0' });
+
+  test('assigns reference ids with locations in both versions', () => {
+    expect(references.map(reference => reference.id)).toEqual(['C1', 'C2', 'C3', 'C4']);
+    expect(references[0]).toEqual(
+      expect.objectContaining({
+        sectionNumber: '5.1.2',
+        base: { versionLabel: '1.0', citation: 'Section 5.1.2, p. 1' },
+        target: { versionLabel: '2.0', citation: 'Section 5.1.2, p. 1' },
+      })
+    );
+  });
+
+  test('builds a prompt that cites each change', () => {
+    const prompt = buildChangeSummaryPrompt(diff, references, {
+      documentNumber: 'SOP-QA-001',
+      baseLabel: '1.0',
+      targetLabel: '2.0',
+    });
+
+    expect(prompt).toContain('[C2] ADDED — v2.0 Section 5.1.3, p. 1');
+    expect(prompt).toContain('Previous (v1.0): 5.1.2 QA shall review the deviation within 5 working days.');
+    expect(prompt).toContain('Why it matters for compliance');
+  });
+
+  test('falls back to a deterministic summary', () => {
+    expect(buildFallbackChangeSummary(diff, references)).toContain('- Section 5.3 removed [C4]');
+    expect(buildFallbackChangeSummary({ stats: {} }, [])).toMatch(/No content differences/);
+  });
+});
@@ -0,0 +1,297 @@
+// Document-level access control lists shared by every function that lists, searches or edits
+// documents.
+//
+// Without ACL entries a document follows its library scope (personal or organization). Once a
+// document has entries it is restricted: besides its uploader (while they remain in the document's
+// organization) and the organization's admins, only the listed users, groups and roles can see it,
+// and only `edit` entries may change it. Role and group entries only match members of the
+// organization the entry was granted in, so sharing with "auditor" never reaches auditors of
+// another organization.
+
+import { documentAclEntryMatches, getManageableOrganization, withSqlFragments } from './organization-scope.js';
+
+export const READ_PERMISSION = 'read';
+export const EDIT_PERMISSION = 'edit';
+
+export const PRINCIPAL_TYPES = ['user', 'group', 'role'];
+
+// Tables whose rows can carry ACL entries, with the column that identifies a document
+export const DOCUMENT_RESOURCE_TYPES = ['rag_documents', 'rag_user_documents', 'document_index'];
+
+// Access of a caller outside any organization with nothing shared with them: own documents only
+export const PERSONAL_ACCESS = Object.freeze({
+  resourceType: null,
+  organizationId: null,
+  manageableOrganization: null,
+  roles: [],
+  groups: [],
+});
+
+// Role principals offered in the sharing UI; they mirror the summary pipeline's role profiles
+export const SHAREABLE_ROLES = ['auditor', 'qa_lead', 'engineer', 'new_hire'];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Role and group names arrive from identity claims in several spellings ("QA Lead", "qa-lead");
+ * they are stored and matched as lower snake case. User principals are kept verbatim.
+ */
+export const normalizePrincipalId = (principalType, principalId) => {
+  const value = typeof principalId === 'string' ? principalId.trim() : '';
+  if (!value || principalType === 'user') {
+    return value;
+  }
+  return value.toLowerCase().replace(/[\s-]+/g, '_');
+};
+
+export const assertResourceType = (resourceType) => {
+  if (!DOCUMENT_RESOURCE_TYPES.includes(resourceType)) {
+    throw createError(`Unsupported document type: ${resourceType}`, 400);
+  }
+  return resourceType;
+};
+
+export const normalizeGrant = (grant = {}) => {
+  const principalType = typeof grant.principalType === 'string' ? grant.principalType.trim().toLowerCase() : '';
+  if (!PRINCIPAL_TYPES.includes(principalType)) {
+    throw createError('principalType must be one of user, group or role', 400);
+  }
+
+  const principalId = normalizePrincipalId(principalType, grant.principalId);
+  if (!principalId) {
+    throw createError('principalId is required', 400);
+  }
+
+  const permission = grant.permission === EDIT_PERMISSION ? EDIT_PERMISSION : READ_PERMISSION;
+  return { principalType, principalId, permission };
+};
+
+const normalizePrincipalList = (values) =>
+  Array.isArray(values)
+    ? Array.from(new Set(values.map(value => normalizePrincipalId('role', value)).filter(Boolean)))
+    : [];
+
+let ensuredPermissionsSchemaPromise = null;
+
+export async function ensureDocumentPermissionsSchema(sql) {
+  if (!ensuredPermissionsSchemaPromise) {
+    ensuredPermissionsSchemaPromise = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS document_permissions (
+          id SERIAL PRIMARY KEY,
+          resource_type TEXT NOT NULL,
+          resource_id TEXT NOT NULL,
+          principal_type TEXT NOT NULL,
+          principal_id TEXT NOT NULL,
+          permission TEXT NOT NULL DEFAULT 'read',
+          organization_id TEXT,
+          granted_by TEXT,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          UNIQUE (resource_type, resource_id, principal_type, principal_id)
+        )
+      `;
+
+      await sql`
+        CREATE INDEX IF NOT EXISTS idx_document_permissions_resource
+          ON document_permissions(resource_type, resource_id)
+      `;
+    })().catch(error => {
+      ensuredPermissionsSchemaPromise = null;
+      throw error;
+    });
+  }
+
+  return ensuredPermissionsSchemaPromise;
+}
+
+/**
+ * Resolve who the caller is for one document table. The result is matched against ACL entries
+ * inside each query by `documentScopePredicate` and `documentEditPredicate`, so only the entries
+ * of the documents a query touches are read.
+ */
+export async function resolveDocumentAccess(sql, resourceType, userId, tenant = {}) {
+  assertResourceType(resourceType);
+  await ensureDocumentPermissionsSchema(sql);
+
+  return {
+    resourceType,
+    organizationId: tenant.organizationId || null,
+    manageableOrganization: getManageableOrganization(tenant),
+    roles: normalizePrincipalList(tenant.roles),
+    groups: normalizePrincipalList(tenant.groups),
+  };
+}
+
+/**
+ * ACL state of one document for the caller: whether it has entries at all, and whether one of
+ * them lets the caller read or edit it.
+ */
+export async function loadDocumentAcl(sql, access, userId, resourceId) {
+  if (!access.resourceType) {
+    return { restricted: false, readable: false, editable: false };
+  }
+
+  const [row] = await withSqlFragments(sql)`
+    SELECT COUNT(*) > 0 AS restricted,
+           COALESCE(bool_or(${documentAclEntryMatches(access, userId)}), false) AS readable,
+           COALESCE(bool_or(acl.permission = 'edit' AND ${documentAclEntryMatches(access, userId)}), false) AS editable
+      FROM document_permissions acl
+     WHERE acl.resource_type = ${access.resourceType}
+       AND acl.resource_id = ${String(resourceId)}
+  `;
+
+  return {
+    restricted: Boolean(row?.restricted),
+    readable: Boolean(row?.readable),
+    editable: Boolean(row?.editable),
+  };
+}
+
+/**
+ * In-process equivalent of the scoped query for a row that was loaded without it, given the
+ * document's ACL state from `loadDocumentAcl`.
+ */
+export const canReadDocument = (access, userId, row, acl) => {
+  if (!row) return false;
+  const organizationId = row.organization_id || null;
+
+  if (userId && row.user_id === userId && (!organizationId || organizationId === access.organizationId)) return true;
+  if (organizationId && organizationId === access.manageableOrganization) return true;
+  if (organizationId && organizationId === access.organizationId && !acl.restricted) return true;
+  return acl.readable;
+};
+
+// Owner lookups per document table; table names cannot be bound as parameters
+const DOCUMENT_OWNER_QUERIES = {
+  rag_documents: (sql, resourceId) => sql`
+    SELECT id::text AS resource_id, user_id, organization_id, filename AS name
+      FROM rag_documents
+     WHERE id::text = ${resourceId}
+     LIMIT 1
+  `,
+  rag_user_documents: (sql, resourceId) => sql`
+    SELECT document_id AS resource_id, user_id, organization_id, filename AS name
+      FROM rag_user_documents
+     WHERE document_id = ${resourceId}
+     LIMIT 1
+  `,
+  document_index: (sql, resourceId) => sql`
+    SELECT document_id AS resource_id, user_id, organization_id, document_name AS name
+      FROM document_index
+     WHERE document_id = ${resourceId}
+     LIMIT 1
+  `,
+};
+
+export async function findDocumentOwner(sql, resourceType, resourceId) {
+  assertResourceType(resourceType);
+  const [row] = await DOCUMENT_OWNER_QUERIES[resourceType](sql, String(resourceId));
+  return row || null;
+}
+
+/**
+ * Only the owner of a personal document, or an admin of the organization that owns it, may change
+ * who it is shared with.
+ */
+export const canShareDocument = (tenant = {}, userId, owner) => {
+  if (!owner) return false;
+  if (owner.organization_id) {
+    return owner.organization_id === getManageableOrganization(tenant);
+  }
+  return Boolean(userId) && owner.user_id === userId;
+};
+
+const formatPermissionRow = (row) => ({
+  id: row.id,
+  principalType: row.principal_type,
+  principalId: row.principal_id,
+  permission: row.permission,
+  organizationId: row.organization_id || null,
+  grantedBy: row.granted_by || null,
+  createdAt: row.created_at,
+});
+
+export async function listDocumentPermissions(sql, resourceType, resourceId) {
+  await ensureDocumentPermissionsSchema(sql);
+  const rows = await sql`
+    SELECT id, principal_type, principal_id, permission, organization_id, granted_by, created_at
+      FROM document_permissions
+     WHERE resource_type = ${resourceType}
+       AND resource_id = ${String(resourceId)}
+     ORDER BY principal_type, principal_id
+  `;
+  return rows.map(formatPermissionRow);
+}
+
+/**
+ * Add or update entries. Role and group entries are pinned to `organizationId` — the document's
+ * organization, or the sharer's for personal documents.
+ */
+export async function grantDocumentPermissions(sql, resourceType, resourceId, grants, { grantedBy, organizationId = null }) {
+  await ensureDocumentPermissionsSchema(sql);
+
+  const normalizedGrants = (Array.isArray(grants) ? grants : [grants]).map(normalizeGrant);
+  if (normalizedGrants.length === 0) {
+    throw createError('At least one grant is required', 400);
+  }
+
+  for (const grant of normalizedGrants) {
+    await sql`
+      INSERT INTO document_permissions (
+        resource_type, resource_id, principal_type, principal_id, permission, organization_id, granted_by
+      ) VALUES (
+        ${resourceType},
+        ${String(resourceId)},
+        ${grant.principalType},
+        ${grant.principalId},
+        ${grant.permission},
+        ${organizationId},
+        ${grantedBy || null}
+      )
+      ON CONFLICT (resource_type, resource_id, principal_type, principal_id) DO UPDATE SET
+        permission = EXCLUDED.permission,
+        organization_id = EXCLUDED.organization_id,
+        granted_by = EXCLUDED.granted_by
+    `;
+  }
+
+  return listDocumentPermissions(sql, resourceType, resourceId);
+}
+
+export async function revokeDocumentPermission(sql, resourceType, resourceId, grant = {}) {
+  await ensureDocumentPermissionsSchema(sql);
+  const principalType = typeof grant.principalType === 'string' ? grant.principalType.trim().toLowerCase() : '';
+  const principalId = normalizePrincipalId(principalType, grant.principalId);
+
+  await sql`
+    DELETE FROM document_permissions
+     WHERE resource_type = ${resourceType}
+       AND resource_id = ${String(resourceId)}
+       AND principal_type = ${principalType}
+       AND principal_id = ${principalId}
+  `;
+
+  return listDocumentPermissions(sql, resourceType, resourceId);
+}
+
+// Removing a document removes who it was shared with, so a reused id never inherits old entries
+export async function clearDocumentPermissions(sql, resourceType, resourceIds = []) {
+  const ids = resourceIds.map(String).filter(Boolean);
+  if (ids.length === 0) return;
+  await ensureDocumentPermissionsSchema(sql);
+  await sql`
+    DELETE FROM document_permissions
+     WHERE resource_type = ${resourceType}
+       AND resource_id = ANY(${ids}::text[])
+  `;
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredPermissionsSchemaPromise = null;
+  },
+};
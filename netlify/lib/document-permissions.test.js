@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  canReadDocument,
+  canShareDocument,
+  grantDocumentPermissions,
+  loadDocumentAcl,
+  normalizeGrant,
+  resolveDocumentAccess,
+} from './document-permissions.js';
+
+const member = { organizationId: 'org-a', roles: ['QA Lead'], groups: ['Validation-Team'], isOrganizationAdmin: false };
+const orgAdmin = { organizationId: 'org-a', roles: ['org_admin'], groups: [], isOrganizationAdmin: true };
+
+const createSqlMock = (aclRows = []) =>
+  jest.fn(async (strings) => {
+    const text = strings.join('?');
+    if (/^\s*SELECT/i.test(text) && text.includes('FROM document_permissions')) {
+      return aclRows;
+    }
+    return [];
+  });
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+});
+
+describe('normalizeGrant', () => {
+  test('stores roles and groups in lower snake case and defaults to read access', () => {
+    expect(normalizeGrant({ principalType: 'Role', principalId: 'QA Lead' })).toEqual({
+      principalType: 'role',
+      principalId: 'qa_lead',
+      permission: 'read',
+    });
+    expect(normalizeGrant({ principalType: 'user', principalId: 'auth0|Abc', permission: 'edit' })).toEqual({
+      principalType: 'user',
+      principalId: 'auth0|Abc',
+      permission: 'edit',
+    });
+  });
+
+  test('rejects unknown principal types and empty principals', () => {
+    expect(() => normalizeGrant({ principalType: 'team', principalId: 'qa' })).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+    expect(() => normalizeGrant({ principalType: 'group', principalId: '  ' })).toThrow('principalId is required');
+  });
+});
+
+describe('resolveDocumentAccess', () => {
+  test('describes the caller without reading any ACL entries', async () => {
+    const sql = createSqlMock();
+
+    const access = await resolveDocumentAccess(sql, 'document_index', 'user-1', member);
+
+    expect(access).toEqual({
+      resourceType: 'document_index',
+      organizationId: 'org-a',
+      manageableOrganization: null,
+      roles: ['qa_lead'],
+      groups: ['validation_team'],
+    });
+    expect(sql.mock.calls.some(([strings]) => /^\s*SELECT/i.test(strings.join('?')))).toBe(false);
+  });
+
+  test('rejects tables without document ACLs', async () => {
+    await expect(resolveDocumentAccess(createSqlMock(), 'summaries', 'user-1', member)).rejects.toThrow(
+      'Unsupported document type'
+    );
+  });
+});
+
+describe('loadDocumentAcl', () => {
+  test('reads the entries of one document, matched against the caller in its organization', async () => {
+    const sql = createSqlMock([{ restricted: true, readable: true, editable: false }]);
+    const access = await resolveDocumentAccess(sql, 'rag_documents', 'user-1', member);
+
+    await expect(loadDocumentAcl(sql, access, 'user-1', 42)).resolves.toEqual({
+      restricted: true,
+      readable: true,
+      editable: false,
+    });
+
+    const aclQuery = sql.mock.calls.find(([strings]) => strings.join('?').includes('FROM document_permissions'));
+    expect(aclQuery).toEqual(expect.arrayContaining(['user-1', 'org-a', ['qa_lead'], ['validation_team'], 'rag_documents', '42']));
+  });
+
+  test('treats documents as unrestricted without a resolved document table', async () => {
+    const sql = createSqlMock();
+
+    await expect(loadDocumentAcl(sql, { organizationId: null }, 'user-1', 'doc-1')).resolves.toEqual({
+      restricted: false,
+      readable: false,
+      editable: false,
+    });
+    expect(sql).not.toHaveBeenCalled();
+  });
+});
+
+describe('canReadDocument', () => {
+  const access = { resourceType: 'document_index', organizationId: 'org-a', manageableOrganization: null, roles: [], groups: [] };
+  const open = { restricted: false, readable: false, editable: false };
+  const restricted = { restricted: true, readable: false, editable: false };
+  const shared = { restricted: true, readable: true, editable: false };
+
+  test('hides restricted organization documents from members without an entry', () => {
+    expect(canReadDocument(access, 'user-1', { user_id: 'user-2', organization_id: 'org-a' }, open)).toBe(true);
+    expect(canReadDocument(access, 'user-1', { user_id: 'user-2', organization_id: 'org-a' }, restricted)).toBe(false);
+    expect(
+      canReadDocument({ ...access, manageableOrganization: 'org-a' }, 'user-9', { organization_id: 'org-a' }, restricted)
+    ).toBe(true);
+  });
+
+  test('keeps restricted organization documents visible to their uploader within that organization', () => {
+    expect(canReadDocument(access, 'user-2', { user_id: 'user-2', organization_id: 'org-a' }, restricted)).toBe(true);
+    expect(
+      canReadDocument({ ...access, organizationId: 'org-b' }, 'user-2', { user_id: 'user-2', organization_id: 'org-a' }, restricted)
+    ).toBe(false);
+  });
+
+  test('opens personal documents to the principals they are shared with', () => {
+    expect(canReadDocument(access, 'user-1', { user_id: 'user-2', organization_id: null }, shared)).toBe(true);
+    expect(canReadDocument(access, 'user-1', { user_id: 'user-2', organization_id: null }, open)).toBe(false);
+    expect(canReadDocument(access, 'user-2', { user_id: 'user-2', organization_id: null }, restricted)).toBe(true);
+  });
+});
+
+describe('sharing', () => {
+  test('only owners of personal documents and organization admins may share', () => {
+    expect(canShareDocument(member, 'user-1', { user_id: 'user-1', organization_id: null })).toBe(true);
+    expect(canShareDocument(member, 'user-2', { user_id: 'user-1', organization_id: null })).toBe(false);
+    expect(canShareDocument(member, 'user-1', { user_id: 'user-1', organization_id: 'org-a' })).toBe(false);
+    expect(canShareDocument(orgAdmin, 'user-9', { user_id: 'user-1', organization_id: 'org-a' })).toBe(true);
+    expect(canShareDocument(orgAdmin, 'user-9', { user_id: 'user-1', organization_id: 'org-b' })).toBe(false);
+  });
+
+  test('pins grants to the organization they were made in', async () => {
+    const sql = createSqlMock();
+
+    await grantDocumentPermissions(sql, 'document_index', 'doc-1', [{ principalType: 'role', principalId: 'Auditor' }], {
+      grantedBy: 'user-9',
+      organizationId: 'org-a',
+    });
+
+    const insert = sql.mock.calls.find(([strings]) => strings.join('?').includes('INSERT INTO document_permissions'));
+    expect(insert.slice(1)).toEqual(['document_index', 'doc-1', 'role', 'auditor', 'read', 'org-a', 'user-9']);
+  });
+});
@@ -0,0 +1,1002 @@
+import JSZip from 'jszip';
+
+export const DOCUMENT_FORMATS = Object.freeze({
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+  },
+});
+
+export const BLOCK_TYPES = Object.freeze(['heading', 'paragraph', 'list', 'table']);
+
+const MAX_BLOCKS = 5000;
+const MAX_TABLE_COLUMNS = 20;
+const PRODUCER = 'AcceleraQA';
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// ---------------------------------------------------------------------------
+// Document model
+// ---------------------------------------------------------------------------
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const BOLD_HEADING_PATTERN = /^\*\*([^*]+)\*\*:?$/;
+const BULLET_PATTERN = /^\s*[-*+•]\s+(.*)$/;
+const ORDERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const RULE_PATTERN = /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+const splitTableRow = (line) =>
+  line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+/**
+ * Parse the Markdown subset produced by chat answers, study notes and summaries into blocks:
+ * ATX and bold-line headings, bullet and numbered lists, pipe tables and paragraphs. Consecutive
+ * lines stay in one paragraph with their line breaks kept.
+ */
+export const markdownToBlocks = (markdown) => {
+  const lines = toText(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+
+    if (!trimmed || RULE_PATTERN.test(trimmed)) {
+      flush();
+      continue;
+    }
+
+    const heading = trimmed.match(HEADING_PATTERN) || trimmed.match(BOLD_HEADING_PATTERN);
+    if (heading) {
+      flush();
+      const level = heading.length === 3 ? Math.min(3, heading[1].length) : 3;
+      blocks.push({ type: 'heading', level, text: heading[heading.length - 1].replace(/#+\s*$/, '').trim() });
+      continue;
+    }
+
+    if (trimmed.startsWith('|') && TABLE_SEPARATOR_PATTERN.test(lines[index + 1] || '')) {
+      flush();
+      const header = splitTableRow(trimmed);
+      const rows = [];
+      index += 2;
+      while (index < lines.length && lines[index].trim().startsWith('|')) {
+        rows.push(splitTableRow(lines[index]));
+        index += 1;
+      }
+      index -= 1;
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const bullet = line.match(BULLET_PATTERN);
+    const ordered = bullet ? null : line.match(ORDERED_PATTERN);
+    if (bullet || ordered) {
+      flushParagraph();
+      const isOrdered = Boolean(ordered);
+      if (!list || list.ordered !== isOrdered) {
+        flushList();
+        list = { type: 'list', ordered: isOrdered, items: [] };
+      }
+      list.items.push((bullet || ordered)[1].trim());
+      continue;
+    }
+
+    // Indented continuation of a list item
+    if (list && /^\s{2,}\S/.test(line)) {
+      list.items[list.items.length - 1] += ` ${trimmed}`;
+      continue;
+    }
+
+    flushList();
+    paragraph.push(trimmed);
+  }
+
+  flush();
+  return blocks;
+};
+
+const normalizeFootnotes = (footnotes) => {
+  const entries = Array.isArray(footnotes)
+    ? footnotes.map(note => [note?.id, note?.text])
+    : Object.entries(footnotes || {});
+
+  const map = new Map();
+  entries.forEach(([id, text]) => {
+    const key = toText(id).trim();
+    const value = toText(text).trim();
+    if (key && value) {
+      map.set(key, value);
+    }
+  });
+  return map;
+};
+
+const normalizeBlock = (block, index) => {
+  const type = block?.type;
+  if (!BLOCK_TYPES.includes(type)) {
+    throw createError(`Unsupported block type "${toText(type)}" at position ${index + 1}`, 400);
+  }
+
+  if (type === 'heading') {
+    return { type, level: Math.min(3, Math.max(1, Number(block.level) || 1)), text: toText(block.text).trim() };
+  }
+  if (type === 'paragraph') {
+    return { type, text: toText(block.text) };
+  }
+  if (type === 'list') {
+    const items = Array.isArray(block.items) ? block.items.map(toText).filter(item => item.trim()) : [];
+    return { type, ordered: Boolean(block.ordered), items };
+  }
+
+  const header = Array.isArray(block.header) ? block.header.map(toText) : [];
+  const rows = Array.isArray(block.rows)
+    ? block.rows.filter(Array.isArray).map(row => row.map(toText))
+    : [];
+  const columnCount = Math.max(header.length, ...rows.map(row => row.length), 0);
+  if (columnCount > MAX_TABLE_COLUMNS) {
+    throw createError(`Tables are limited to ${MAX_TABLE_COLUMNS} columns`, 400);
+  }
+  const pad = row => Array.from({ length: columnCount }, (_, column) => row[column] ?? '');
+  return { type, header: header.length ? pad(header) : null, rows: rows.map(pad) };
+};
+
+/**
+ * Validate a document model. `blocks` may be given directly or as Markdown in `markdown`;
+ * footnotes are keyed by the citation number used in `[n]` markers.
+ */
+export const normalizeDocumentModel = (input = {}) => {
+  const title = toText(input.title).trim();
+  if (!title) {
+    throw createError('Document title is required', 400);
+  }
+
+  const rawBlocks = Array.isArray(input.blocks) ? input.blocks : markdownToBlocks(input.markdown);
+  if (rawBlocks.length > MAX_BLOCKS) {
+    throw createError(`Documents are limited to ${MAX_BLOCKS} blocks`, 413);
+  }
+
+  const generatedAt = input.generatedAt ? new Date(input.generatedAt) : new Date();
+
+  return {
+    title,
+    version: toText(input.version).trim() || '1.0',
+    generatedBy: toText(input.generatedBy).trim() || PRODUCER,
+    generatedAt: Number.isNaN(generatedAt.getTime()) ? new Date() : generatedAt,
+    control: (Array.isArray(input.control) ? input.control : [])
+      .map(row => ({ label: toText(row?.label).trim(), value: toText(row?.value).trim() }))
+      .filter(row => row.label && row.value),
+    blocks: rawBlocks.map(normalizeBlock),
+    footnotes: normalizeFootnotes(input.footnotes),
+  };
+};
+
+export const formatControlDate = (date) => {
+  const iso = date.toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+};
+
+const controlRows = (model) => [
+  ['Title', model.title],
+  ['Version', model.version],
+  ['Generated by', model.generatedBy],
+  ['Date', formatControlDate(model.generatedAt)],
+  ...model.control.map(row => [row.label, row.value]),
+];
+
+const CITATION_PATTERN = /\[(\d+(?:\s*[,–-]\s*\d+)*)\]/g;
+const BOLD_PATTERN = /\*\*(.+?)\*\*|__(.+?)__/g;
+
+const expandCitationList = (list) => {
+  const ids = [];
+  list.split(',').forEach(part => {
+    const [start, end] = part.split(/[–-]/).map(value => Number(value.trim()));
+    const last = Number.isFinite(end) && end >= start && end - start < 50 ? end : start;
+    for (let id = start; id <= last; id += 1) {
+      ids.push(String(id));
+    }
+  });
+  return ids;
+};
+
+/**
+ * Split text into runs of `{ text, bold }` and `{ citation }`. Markers whose numbers have no
+ * footnote are kept as literal text so unrelated bracketed numbers are not lost.
+ */
+export const parseInline = (text, footnotes = new Map()) => {
+  const runs = [];
+  const pushText = (value, bold) => {
+    if (value) {
+      runs.push({ text: value, bold });
+    }
+  };
+
+  const pushWithCitations = (segment, bold) => {
+    let cursor = 0;
+    segment.replace(CITATION_PATTERN, (marker, list, offset) => {
+      const ids = expandCitationList(list);
+      if (!ids.every(id => footnotes.has(id))) {
+        return marker;
+      }
+      pushText(segment.slice(cursor, offset).replace(/\s+$/, ''), bold);
+      ids.forEach(id => runs.push({ citation: id }));
+      cursor = offset + marker.length;
+      return marker;
+    });
+    pushText(segment.slice(cursor), bold);
+  };
+
+  const source = toText(text);
+  let cursor = 0;
+  source.replace(BOLD_PATTERN, (match, starred, underscored, offset) => {
+    pushWithCitations(source.slice(cursor, offset), false);
+    pushWithCitations(starred ?? underscored, true);
+    cursor = offset + match.length;
+    return match;
+  });
+  pushWithCitations(source.slice(cursor), false);
+
+  return runs;
+};
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN_X = 56;
+const MARGIN_TOP = 64;
+const MARGIN_BOTTOM = 64;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN_X * 2;
+
+const BODY_SIZE = 10;
+const BODY_LEADING = 14;
+const FOOTNOTE_SIZE = 8;
+const FOOTNOTE_LEADING = 10;
+const TABLE_SIZE = 9;
+const TABLE_LEADING = 12;
+const CELL_PADDING = 4;
+const HEADING_SIZES = { 1: 16, 2: 13, 3: 11 };
+
+// Advance widths (1/1000 em) for printable ASCII 32-126 in the standard Helvetica faces
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+const SPECIAL_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000 };
+
+// Code points outside Latin-1 that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+  0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c, 0x017d: 0x8e, 0x2018: 0x91,
+  0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98,
+  0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b, 0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f,
+};
+
+const toWinAnsiCodes = (text) => {
+  const codes = [];
+  for (const char of toText(text)) {
+    const point = char.codePointAt(0);
+    if (point === 0x09) {
+      codes.push(0x20);
+    } else if ((point >= 0x20 && point < 0x7f) || (point >= 0xa0 && point <= 0xff)) {
+      codes.push(point);
+    } else if (WIN_ANSI_EXTRAS[point]) {
+      codes.push(WIN_ANSI_EXTRAS[point]);
+    } else if (point >= 0x20) {
+      codes.push(0x3f);
+    }
+  }
+  return codes;
+};
+
+const measure = (text, bold, size) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const total = toWinAnsiCodes(text).reduce((sum, code) => {
+    if (code >= 0x20 && code < 0x7f) {
+      return sum + widths[code - 0x20];
+    }
+    return sum + (SPECIAL_WIDTHS[code] || 556);
+  }, 0);
+  return (total * size) / 1000;
+};
+
+const hexString = (text) =>
+  `<${toWinAnsiCodes(text).map(code => code.toString(16).padStart(2, '0')).join('')}>`;
+
+const fmt = (value) => Number(value.toFixed(2)).toString();
+
+const citationLabel = (id) => `[${id}]`;
+
+/**
+ * Break runs into lines no wider than `maxWidth`. Each line is a list of positioned segments
+ * plus the footnote ids cited on it; `\n` in the text forces a break.
+ */
+const wrapRuns = (runs, maxWidth, size) => {
+  const lines = [];
+  let segments = [];
+  let width = 0;
+  let citations = [];
+  let pendingSpace = false;
+
+  const finishLine = () => {
+    lines.push({ segments, width, citations });
+    segments = [];
+    width = 0;
+    citations = [];
+    pendingSpace = false;
+  };
+
+  const append = (text, bold) => {
+    const last = segments[segments.length - 1];
+    const textWidth = measure(text, bold, size);
+    if (last && last.bold === bold) {
+      last.text += text;
+    } else {
+      segments.push({ text, bold, x: width });
+    }
+    width += textWidth;
+  };
+
+  const placeWord = (word, bold) => {
+    const spaceWidth = pendingSpace && segments.length ? measure(' ', bold, size) : 0;
+    const wordWidth = measure(word, bold, size);
+
+    if (segments.length && width + spaceWidth + wordWidth > maxWidth) {
+      finishLine();
+    } else if (spaceWidth) {
+      append(' ', bold);
+    }
+    pendingSpace = false;
+
+    if (wordWidth <= maxWidth) {
+      append(word, bold);
+      return;
+    }
+
+    // Words longer than a line (URLs, identifiers) are split by character
+    let chunk = '';
+    for (const char of word) {
+      if (measure(chunk + char, bold, size) > maxWidth - width && (chunk || segments.length)) {
+        if (chunk) {
+          append(chunk, bold);
+        }
+        finishLine();
+        chunk = '';
+      }
+      chunk += char;
+    }
+    if (chunk) {
+      append(chunk, bold);
+    }
+  };
+
+  runs.forEach(run => {
+    if (run.citation) {
+      pendingSpace = pendingSpace || segments.length > 0;
+      placeWord(citationLabel(run.citation), false);
+      citations.push(run.citation);
+      return;
+    }
+    run.text.split(/(\n|[ \t]+)/).forEach(token => {
+      if (token === '\n') {
+        finishLine();
+      } else if (/^[ \t]+$/.test(token)) {
+        pendingSpace = true;
+      } else if (token) {
+        placeWord(token, run.bold);
+      }
+    });
+  });
+
+  if (segments.length || lines.length === 0) {
+    finishLine();
+  }
+  return lines;
+};
+
+const textOp = (text, x, y, size, bold) =>
+  `BT /${bold ? 'F2' : 'F1'} ${fmt(size)} Tf ${fmt(x)} ${fmt(y)} Td ${hexString(text)} Tj ET`;
+
+const drawLine = (ops, line, x, y, size) => {
+  line.segments.forEach(segment => {
+    ops.push(textOp(segment.text, x + segment.x, y, size, segment.bold));
+  });
+};
+
+class PdfLayout {
+  constructor(model) {
+    this.model = model;
+    this.pages = [];
+    this.footnoteCache = new Map();
+    this.newPage();
+  }
+
+  newPage() {
+    this.page = { ops: [], footnotes: [], footnoteHeight: 0, empty: true };
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - MARGIN_TOP;
+  }
+
+  footnoteLines(id) {
+    if (!this.footnoteCache.has(id)) {
+      const runs = [{ text: `${citationLabel(id)} ${this.model.footnotes.get(id)}`, bold: false }];
+      this.footnoteCache.set(id, wrapRuns(runs, CONTENT_WIDTH, FOOTNOTE_SIZE));
+    }
+    return this.footnoteCache.get(id);
+  }
+
+  footnoteHeightWith(ids) {
+    const fresh = [...new Set(ids)].filter(id => !this.page.footnotes.includes(id));
+    if (fresh.length === 0) {
+      return { fresh, height: this.page.footnoteHeight };
+    }
+    const separator = this.page.footnotes.length === 0 ? 12 : 0;
+    const added = fresh.reduce((sum, id) => sum + this.footnoteLines(id).length * FOOTNOTE_LEADING, 0);
+    return { fresh, height: this.page.footnoteHeight + separator + added };
+  }
+
+  // Starts a new page unless `height` plus the footnotes cited in it fit above the footnote area
+  reserve(height, citations = []) {
+    let { fresh, height: footnoteHeight } = this.footnoteHeightWith(citations);
+    if (!this.page.empty && this.y - height < MARGIN_BOTTOM + footnoteHeight) {
+      this.newPage();
+      ({ fresh, height: footnoteHeight } = this.footnoteHeightWith(citations));
+    }
+    this.page.footnotes.push(...fresh);
+    this.page.footnoteHeight = footnoteHeight;
+    this.page.empty = false;
+  }
+
+  space(amount) {
+    if (!this.page.empty) {
+      this.y -= amount;
+    }
+  }
+
+  writeLines(lines, { x = MARGIN_X, size = BODY_SIZE, leading = BODY_LEADING, keepWithNext = 0 } = {}) {
+    lines.forEach((line, index) => {
+      this.reserve(leading + (index === 0 ? keepWithNext : 0), line.citations);
+      this.y -= leading;
+      drawLine(this.page.ops, line, x, this.y + (leading - size) / 2, size);
+    });
+  }
+
+  heading(block) {
+    const size = HEADING_SIZES[block.level];
+    const leading = size + 6;
+    const lines = wrapRuns(
+      parseInline(block.text, this.model.footnotes).map(run => (run.citation ? run : { ...run, bold: true })),
+      CONTENT_WIDTH,
+      size
+    );
+    this.space(block.level === 1 ? 12 : 8);
+    // Keep the heading on the same page as the first line that follows it
+    this.writeLines(lines, { size, leading, keepWithNext: BODY_LEADING });
+    this.y -= 2;
+  }
+
+  paragraph(block) {
+    this.writeLines(wrapRuns(parseInline(block.text, this.model.footnotes), CONTENT_WIDTH, BODY_SIZE));
+    this.y -= 6;
+  }
+
+  list(block) {
+    const indent = block.ordered ? 20 : 14;
+    block.items.forEach((item, index) => {
+      const marker = block.ordered ? `${index + 1}.` : '•';
+      const lines = wrapRuns(parseInline(item, this.model.footnotes), CONTENT_WIDTH - indent, BODY_SIZE);
+      lines[0] = {
+        ...lines[0],
+        segments: [{ text: marker, bold: false, x: -indent }, ...lines[0].segments],
+      };
+      this.writeLines(lines, { x: MARGIN_X + indent });
+      this.y -= 2;
+    });
+    this.y -= 4;
+  }
+
+  table(block, { labelColumn = false } = {}) {
+    const rows = block.header ? [block.header, ...block.rows] : block.rows;
+    if (rows.length === 0) {
+      return;
+    }
+    const columnCount = rows[0].length;
+    const isBold = (rowIndex, column) => (Boolean(block.header) && rowIndex === 0) || (labelColumn && column === 0);
+    const widths = this.columnWidths(rows, columnCount, isBold);
+    const layoutRow = (row, bold) => {
+      const cells = row.map((cell, column) => {
+        const cellBold = bold || (labelColumn && column === 0);
+        const runs = parseInline(cell, this.model.footnotes)
+          .map(run => (run.citation ? run : { ...run, bold: run.bold || cellBold }));
+        return wrapRuns(runs, widths[column] - CELL_PADDING * 2, TABLE_SIZE);
+      });
+      const height = Math.max(...cells.map(lines => lines.length)) * TABLE_LEADING + CELL_PADDING * 2;
+      return { cells, height, citations: cells.flat().flatMap(line => line.citations) };
+    };
+
+    const header = block.header ? layoutRow(block.header, true) : null;
+    const drawRow = (row, shaded) => {
+      const { ops } = this.page;
+      const top = this.y;
+      const bottom = top - row.height;
+      if (shaded) {
+        ops.push(`0.92 g ${fmt(MARGIN_X)} ${fmt(bottom)} ${fmt(widths.reduce((a, b) => a + b, 0))} ${fmt(row.height)} re f 0 g`);
+      }
+      let x = MARGIN_X;
+      row.cells.forEach((lines, column) => {
+        ops.push(`0.5 w ${fmt(x)} ${fmt(bottom)} ${fmt(widths[column])} ${fmt(row.height)} re S`);
+        lines.forEach((line, index) => {
+          const baseline = top - CELL_PADDING - (index + 1) * TABLE_LEADING + (TABLE_LEADING - TABLE_SIZE) / 2;
+          drawLine(ops, line, x + CELL_PADDING, baseline, TABLE_SIZE);
+        });
+        x += widths[column];
+      });
+      this.y = bottom;
+    };
+
+    this.space(4);
+    const bodyRows = (header ? block.rows : rows).map(row => layoutRow(row, false));
+    if (header) {
+      this.reserve(header.height + (bodyRows[0]?.height || 0), [...header.citations, ...(bodyRows[0]?.citations || [])]);
+      drawRow(header, true);
+    }
+    bodyRows.forEach(row => {
+      const pageBefore = this.page;
+      this.reserve(row.height, row.citations);
+      // Repeat the header row at the top of every continuation page
+      if (header && this.page !== pageBefore) {
+        this.reserve(header.height, header.citations);
+        drawRow(header, true);
+      }
+      drawRow(row, false);
+    });
+    this.y -= 10;
+  }
+
+  columnWidths(rows, columnCount, isBold) {
+    const natural = Array.from({ length: columnCount }, (_, column) =>
+      Math.max(...rows.map((row, rowIndex) => measure(row[column], isBold(rowIndex, column), TABLE_SIZE))) +
+      CELL_PADDING * 2 + 1
+    );
+    const minimum = Math.min(48, CONTENT_WIDTH / columnCount);
+    const total = natural.reduce((a, b) => a + b, 0);
+    if (total <= CONTENT_WIDTH) {
+      return natural.map(width => Math.max(width, minimum));
+    }
+    // Share the width out in proportion to content, never below the minimum
+    const flexible = natural.map(width => Math.max(0, width - minimum));
+    const flexibleTotal = flexible.reduce((a, b) => a + b, 0) || 1;
+    const spare = CONTENT_WIDTH - minimum * columnCount;
+    return flexible.map(width => minimum + (spare * width) / flexibleTotal);
+  }
+
+  controlBlock() {
+    const titleLines = wrapRuns([{ text: this.model.title, bold: true }], CONTENT_WIDTH, 18);
+    this.writeLines(titleLines, { size: 18, leading: 24 });
+    this.y -= 6;
+    this.table({ type: 'table', header: null, rows: controlRows(this.model) }, { labelColumn: true });
+    this.y -= 6;
+  }
+
+  finish() {
+    const total = this.pages.length;
+    const headerText = `${this.model.title} • Version ${this.model.version}`;
+    const footerLeft = `Generated ${formatControlDate(this.model.generatedAt)} by ${this.model.generatedBy}`;
+
+    this.pages.forEach((page, index) => {
+      const { ops } = page;
+
+      if (page.footnotes.length > 0) {
+        let y = MARGIN_BOTTOM + page.footnoteHeight - 4;
+        ops.push(`0.5 w ${fmt(MARGIN_X)} ${fmt(y)} m ${fmt(MARGIN_X + 144)} ${fmt(y)} l S`);
+        y -= 8;
+        page.footnotes.forEach(id => {
+          this.footnoteLines(id).forEach(line => {
+            y -= FOOTNOTE_LEADING;
+            drawLine(ops, line, MARGIN_X, y + 2, FOOTNOTE_SIZE);
+          });
+        });
+      }
+
+      const header = wrapRuns([{ text: headerText, bold: false }], CONTENT_WIDTH, 8)[0];
+      drawLine(ops, header, MARGIN_X, PAGE_HEIGHT - 40, 8);
+      ops.push(`0.5 w ${fmt(MARGIN_X)} ${PAGE_HEIGHT - 46} m ${fmt(PAGE_WIDTH - MARGIN_X)} ${PAGE_HEIGHT - 46} l S`);
+
+      const pageLabel = `Page ${index + 1} of ${total}`;
+      const labelWidth = measure(pageLabel, false, 8);
+      const left = wrapRuns([{ text: footerLeft, bold: false }], CONTENT_WIDTH - labelWidth - 12, 8)[0];
+      drawLine(ops, left, MARGIN_X, 36, 8);
+      ops.push(textOp(pageLabel, PAGE_WIDTH - MARGIN_X - labelWidth, 36, 8, false));
+    });
+
+    return this.pages;
+  }
+}
+
+const utf16Hex = (text) => {
+  let hex = 'FEFF';
+  for (let index = 0; index < text.length; index += 1) {
+    hex += text.charCodeAt(index).toString(16).padStart(4, '0').toUpperCase();
+  }
+  return `<${hex}>`;
+};
+
+const pdfDate = (date) => {
+  const iso = date.toISOString();
+  return `(D:${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}Z)`;
+};
+
+const serializePdf = (model, pages) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(
+    `<< /Title ${utf16Hex(model.title)} /Author ${utf16Hex(model.generatedBy)} /Producer (${PRODUCER}) ` +
+    `/CreationDate ${pdfDate(model.generatedAt)} >>`
+  );
+
+  const pageIds = pages.map(page => {
+    const stream = page.ops.join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n%âãÏÓ\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+/**
+ * Render a document model as a paginated PDF using the standard Helvetica faces. Every page
+ * carries a running header and "Page N of M" footer; citation footnotes are printed at the
+ * bottom of each page that cites them.
+ */
+export const renderPdf = (input) => {
+  const model = normalizeDocumentModel(input);
+  const layout = new PdfLayout(model);
+
+  layout.controlBlock();
+  model.blocks.forEach(block => layout[block.type](block));
+
+  return serializePdf(model, layout.finish());
+};
+
+// ---------------------------------------------------------------------------
+// DOCX
+// ---------------------------------------------------------------------------
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+// Letter with 0.75in margins, in twentieths of a point
+const DOCX_TEXT_WIDTH = 12240 - 1080 * 2;
+
+// XML 1.0 does not allow control characters other than tab, newline and carriage return
+const stripControlCharacters = (text) =>
+  Array.from(text).filter(char => char >= ' ' || char === '\t' || char === '\n' || char === '\r').join('');
+
+const escapeXml = (text) =>
+  stripControlCharacters(toText(text))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const wordRun = (text, { bold = false, size } = {}) => {
+  const properties = `${bold ? '<w:b/>' : ''}${size ? `<w:sz w:val="${size}"/>` : ''}`;
+  const content = toText(text)
+    .split('\n')
+    .map(part => `<w:t xml:space="preserve">${escapeXml(part)}</w:t>`)
+    .join('<w:br/>');
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+};
+
+const wordField = (instruction, placeholder) =>
+  `<w:fldSimple w:instr=" ${instruction} "><w:r><w:t>${placeholder}</w:t></w:r></w:fldSimple>`;
+
+class DocxBuilder {
+  constructor(model) {
+    this.model = model;
+    this.footnotes = [];
+    this.numbering = [];
+  }
+
+  // Word footnotes are one per reference, so a source cited twice gets two identical notes
+  runs(text, { bold = false } = {}) {
+    return parseInline(text, this.model.footnotes).map(run => {
+      if (!run.citation) {
+        return wordRun(run.text, { bold: bold || run.bold });
+      }
+      this.footnotes.push(this.model.footnotes.get(run.citation));
+      const id = this.footnotes.length;
+      return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${id}"/></w:r>`;
+    }).join('');
+  }
+
+  paragraph(content, properties = '') {
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+  }
+
+  heading(block) {
+    return this.paragraph(this.runs(block.text), `<w:pStyle w:val="Heading${block.level}"/><w:keepNext/>`);
+  }
+
+  list(block) {
+    // Bullets share one list; each numbered list restarts at 1
+    let numId = 1;
+    if (block.ordered) {
+      this.numbering.push(this.numbering.length + 2);
+      numId = this.numbering[this.numbering.length - 1];
+    }
+    return block.items
+      .map(item => this.paragraph(
+        this.runs(item),
+        `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>`
+      ))
+      .join('');
+  }
+
+  table(block, { labelColumn = false } = {}) {
+    const rows = block.header ? [block.header, ...block.rows] : block.rows;
+    if (rows.length === 0) {
+      return '';
+    }
+    const columnCount = rows[0].length;
+    const natural = Array.from({ length: columnCount }, (_, column) =>
+      Math.max(4, ...rows.map(row => Math.min(60, row[column].length)))
+    );
+    const naturalTotal = natural.reduce((a, b) => a + b, 0);
+    const widths = natural.map(width => Math.round((DOCX_TEXT_WIDTH * width) / naturalTotal));
+
+    const cell = (text, column, { bold, shaded }) =>
+      `<w:tc><w:tcPr><w:tcW w:w="${widths[column]}" w:type="dxa"/>` +
+      `${shaded ? '<w:shd w:val="clear" w:color="auto" w:fill="E7E6E6"/>' : ''}</w:tcPr>` +
+      `${this.paragraph(this.runs(text, { bold }), '<w:spacing w:after="0"/>')}</w:tc>`;
+
+    const xmlRows = rows.map((row, index) => {
+      const isHeader = Boolean(block.header) && index === 0;
+      const properties = isHeader ? '<w:trPr><w:tblHeader/><w:cantSplit/></w:trPr>' : '<w:trPr><w:cantSplit/></w:trPr>';
+      const cells = row.map((text, column) => {
+        const emphasized = isHeader || (labelColumn && column === 0);
+        return cell(text, column, { bold: emphasized, shaded: emphasized });
+      });
+      return `<w:tr>${properties}${cells.join('')}</w:tr>`;
+    });
+
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${DOCX_TEXT_WIDTH}" w:type="dxa"/></w:tblPr>` +
+      `<w:tblGrid>${widths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>${xmlRows.join('')}</w:tbl>` +
+      this.paragraph('', '<w:spacing w:after="0"/>');
+  }
+
+  body() {
+    const control = this.paragraph(wordRun(this.model.title), '<w:pStyle w:val="Title"/>') +
+      this.table({ header: null, rows: controlRows(this.model) }, { labelColumn: true });
+
+    const blocks = this.model.blocks.map(block => (
+      block.type === 'paragraph'
+        ? this.paragraph(this.runs(block.text))
+        : this[block.type](block)
+    ));
+
+    const section = '<w:sectPr><w:headerReference w:type="default" r:id="rId5"/><w:footerReference w:type="default" r:id="rId6"/>' +
+      '<w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="540" w:footer="540" w:gutter="0"/></w:sectPr>';
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+      `<w:body>${control}${blocks.join('')}${section}</w:body></w:document>`;
+  }
+
+  footnotesPart() {
+    const notes = this.footnotes.map((text, index) =>
+      `<w:footnote w:id="${index + 1}"><w:p><w:pPr><w:pStyle w:val="FootnoteText"/></w:pPr>` +
+      '<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteRef/></w:r>' +
+      `${wordRun(` ${text}`)}</w:p></w:footnote>`
+    );
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:footnotes xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+      '<w:footnote w:type="separator" w:id="-1"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:separator/></w:r></w:p></w:footnote>' +
+      '<w:footnote w:type="continuationSeparator" w:id="0"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:continuationSeparator/></w:r></w:p></w:footnote>' +
+      `${notes.join('')}</w:footnotes>`;
+  }
+
+  numberingPart() {
+    const level = (format, text) =>
+      `<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+      '<w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl>';
+    const orderedNums = this.numbering.map(numId =>
+      `<w:num w:numId="${numId}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`
+    );
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:numbering xmlns:w="${WORD_NAMESPACE}">` +
+      `<w:abstractNum w:abstractNumId="0">${level('bullet', '•')}</w:abstractNum>` +
+      `<w:abstractNum w:abstractNumId="1">${level('decimal', '%1.')}</w:abstractNum>` +
+      `<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>${orderedNums.join('')}</w:numbering>`;
+  }
+
+  headerPart() {
+    const text = `${this.model.title} • Version ${this.model.version}`;
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:hdr xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+      `${this.paragraph(wordRun(text, { size: 16 }), '<w:pStyle w:val="Header"/>')}</w:hdr>`;
+  }
+
+  footerPart() {
+    const generated = `Generated ${formatControlDate(this.model.generatedAt)} by ${this.model.generatedBy}`;
+    const pageNumber = `<w:r><w:tab/></w:r>${wordRun('Page ', { size: 16 })}${wordField('PAGE', '1')}${wordRun(' of ', { size: 16 })}${wordField('NUMPAGES', '1')}`;
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:ftr xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+      `${this.paragraph(`${wordRun(generated, { size: 16 })}${pageNumber}`, `<w:pStyle w:val="Footer"/><w:tabs><w:tab w:val="right" w:pos="${DOCX_TEXT_WIDTH}"/></w:tabs>`)}</w:ftr>`;
+  }
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NAMESPACE}">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri" w:eastAsia="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="160"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="60"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="40"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="22"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/><w:ind w:left="720"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Header"><w:name w:val="header"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="FootnoteText"><w:name w:val="footnote text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="FootnoteReference"><w:name w:val="footnote reference"/><w:rPr><w:vertAlign w:val="superscript"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:left w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:right w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="auto"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="auto"/></w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+const SETTINGS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="${WORD_NAMESPACE}"><w:updateFields w:val="true"/><w:defaultTabStop w:val="720"/><w:footnotePr><w:footnote w:id="-1"/><w:footnote w:id="0"/></w:footnotePr><w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat></w:settings>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/word/footnotes.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footnotes+xml"/>
+<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${RELATIONSHIP_TYPE}/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+// Relationship ids here are referenced from the section properties in DocxBuilder.body
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="${RELATIONSHIP_TYPE}/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="${RELATIONSHIP_TYPE}/settings" Target="settings.xml"/>
+<Relationship Id="rId3" Type="${RELATIONSHIP_TYPE}/numbering" Target="numbering.xml"/>
+<Relationship Id="rId4" Type="${RELATIONSHIP_TYPE}/footnotes" Target="footnotes.xml"/>
+<Relationship Id="rId5" Type="${RELATIONSHIP_TYPE}/header" Target="header1.xml"/>
+<Relationship Id="rId6" Type="${RELATIONSHIP_TYPE}/footer" Target="footer1.xml"/>
+</Relationships>`;
+
+const corePropertiesXml = (model) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(model.title)}</dc:title>
+<dc:creator>${escapeXml(model.generatedBy)}</dc:creator>
+<cp:version>${escapeXml(model.version)}</cp:version>
+<dcterms:created xsi:type="dcterms:W3CDTF">${model.generatedAt.toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+/**
+ * Render a document model as a Word document. Headings use the built-in heading styles, tables
+ * repeat their header row, citations become real footnotes and the footer carries PAGE/NUMPAGES
+ * fields so Word numbers the pages itself.
+ */
+export const renderDocx = async (input) => {
+  const model = normalizeDocumentModel(input);
+  const builder = new DocxBuilder(model);
+  const documentXml = builder.body();
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES_XML);
+  zip.file('_rels/.rels', PACKAGE_RELS_XML);
+  zip.file('docProps/core.xml', corePropertiesXml(model));
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS_XML);
+  zip.file('word/document.xml', documentXml);
+  zip.file('word/styles.xml', STYLES_XML);
+  zip.file('word/settings.xml', SETTINGS_XML);
+  zip.file('word/numbering.xml', builder.numberingPart());
+  zip.file('word/footnotes.xml', builder.footnotesPart());
+  zip.file('word/header1.xml', builder.headerPart());
+  zip.file('word/footer1.xml', builder.footerPart());
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+export const buildExportFilename = (title, extension) => {
+  const base = toText(title)
+    .normalize('NFKD')
+    .replace(/[^\w\s.-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 80);
+  return `${base || 'document'}.${extension}`;
+};
+
+/**
+ * Render `input` in one of DOCUMENT_FORMATS and return the bytes with their content type and a
+ * download filename derived from the title.
+ */
+export const renderDocument = async (input, format = 'pdf') => {
+  const definition = DOCUMENT_FORMATS[format];
+  if (!definition) {
+    throw createError(`Unsupported format "${toText(format)}". Use one of: ${Object.keys(DOCUMENT_FORMATS).join(', ')}`, 400);
+  }
+
+  const buffer = format === 'docx' ? await renderDocx(input) : renderPdf(input);
+  return {
+    buffer,
+    contentType: definition.contentType,
+    filename: buildExportFilename(input?.filename || input?.title, definition.extension),
+  };
+};
+
+export const __internal = { measure, wrapRuns, toWinAnsiCodes };
@@ -0,0 +1,215 @@
+import JSZip from 'jszip';
+
+import {
+  markdownToBlocks,
+  normalizeDocumentModel,
+  parseInline,
+  renderDocument,
+  renderDocx,
+  renderPdf,
+  __internal,
+} from './document-renderer.js';
+
+const baseModel = {
+  title: 'Cleaning Validation Study Notes',
+  version: '2.1',
+  generatedBy: 'qa.lead@example.com',
+  generatedAt: '2026-10-05T09:30:00Z',
+};
+
+const pdfSource = (model) => renderPdf(model).toString('latin1');
+
+// Decode the hex strings drawn on each page back into text lines
+const pdfPages = (source) => {
+  const streams = [...source.matchAll(/stream\n([\s\S]*?)\nendstream/g)].map(match => match[1]);
+  return streams.map(stream =>
+    [...stream.matchAll(/<([0-9a-f]*)> Tj/g)]
+      .map(match => Buffer.from(match[1], 'hex').toString('latin1'))
+      .join('\n')
+  );
+};
+
+describe('markdownToBlocks', () => {
+  test('parses headings, lists, tables and paragraphs', () => {
+    const blocks = markdownToBlocks([
+      '# Acceptance limits',
+      'Residue limits follow the MACO approach [1].',
+      'Swab recovery must exceed 70%.',
+      '',
+      '**Sampling**',
+      '- Swab worst-case locations',
+      '- Rinse the',
+      '  full train',
+      '1. Sample',
+      '2. Analyse',
+      '',
+      '| Equipment | Limit |',
+      '| --- | ---: |',
+      '| Blender | 10 ppm |',
+      '---',
+    ].join('\n'));
+
+    expect(blocks).toEqual([
+      { type: 'heading', level: 1, text: 'Acceptance limits' },
+      { type: 'paragraph', text: 'Residue limits follow the MACO approach [1].\nSwab recovery must exceed 70%.' },
+      { type: 'heading', level: 3, text: 'Sampling' },
+      { type: 'list', ordered: false, items: ['Swab worst-case locations', 'Rinse the full train'] },
+      { type: 'list', ordered: true, items: ['Sample', 'Analyse'] },
+      { type: 'table', header: ['Equipment', 'Limit'], rows: [['Blender', '10 ppm']] },
+    ]);
+  });
+});
+
+describe('parseInline', () => {
+  test('splits bold text and known citations, keeping unknown markers literal', () => {
+    const footnotes = new Map([['1', 'SOP-101'], ['2', 'SOP-102'], ['3', 'SOP-103']]);
+
+    expect(parseInline('Limit is **10 ppm** [1-3] per table [7].', footnotes)).toEqual([
+      { text: 'Limit is ', bold: false },
+      { text: '10 ppm', bold: true },
+      { citation: '1' },
+      { citation: '2' },
+      { citation: '3' },
+      { text: ' per table [7].', bold: false },
+    ]);
+  });
+});
+
+describe('normalizeDocumentModel', () => {
+  test('requires a title and rejects unknown block types', () => {
+    expect(() => normalizeDocumentModel({ markdown: 'Body' })).toThrow('Document title is required');
+
+    let error;
+    try {
+      normalizeDocumentModel({ title: 'Notes', blocks: [{ type: 'image', src: 'x' }] });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).toContain('Unsupported block type "image"');
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe('renderPdf', () => {
+  test('paginates long content with a control block, running footer and page footnotes', () => {
+    const paragraphs = Array.from({ length: 60 }, (_, index) =>
+      `Paragraph ${index + 1} explains the swab sampling plan for product-contact surfaces in enough words to wrap across lines.${index === 45 ? ' See the limit rationale [2].' : ''}`
+    );
+    const source = pdfSource({
+      ...baseModel,
+      markdown: ['# Scope', 'Limits are derived from toxicology data [1].', '', ...paragraphs.flatMap(text => [text, ''])].join('\n'),
+      footnotes: [
+        { id: 1, text: 'Cleaning Validation SOP, section 4.2, p. 7' },
+        { id: 2, text: 'Toxicology assessment TX-19, p. 3' },
+      ],
+    });
+
+    expect(source.startsWith('%PDF-1.4')).toBe(true);
+    expect(source.trimEnd().endsWith('%%EOF')).toBe(true);
+
+    const pages = pdfPages(source);
+    expect(pages.length).toBeGreaterThan(2);
+    expect(source).toContain(`/Count ${pages.length}`);
+
+    expect(pages[0]).toContain('Cleaning Validation Study Notes');
+    expect(pages[0]).toContain('Version\n2.1');
+    expect(pages[0]).toContain('Generated by\nqa.lead@example.com');
+    expect(pages[0]).toContain('Date\n2026-10-05 09:30 UTC');
+    pages.forEach((page, index) => {
+      expect(page).toContain(`Page ${index + 1} of ${pages.length}`);
+      expect(page).toContain('Cleaning Validation Study Notes • Version 2.1'.replace('•', '\x95'));
+    });
+
+    expect(pages[0]).toContain('[1] Cleaning Validation SOP, section 4.2, p. 7');
+    const citingPage = pages.findIndex(page => page.includes('Paragraph 46 '));
+    expect(pages[citingPage]).toContain('[2] Toxicology assessment TX-19, p. 3');
+    expect(pages.filter(page => page.includes('Toxicology assessment'))).toHaveLength(1);
+
+    // Every paragraph survives pagination, unlike the old 1000-character export
+    expect(pages.join('\n')).toContain('Paragraph 60 explains');
+
+    const xrefOffset = Number(source.match(/startxref\n(\d+)/)[1]);
+    expect(source.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+  });
+
+  test('repeats table header rows on continuation pages', () => {
+    const rows = Array.from({ length: 80 }, (_, index) => [`L-${100 + index}`, '25C/60%RH', `${(99 - index / 10).toFixed(1)}%`]);
+    const pages = pdfPages(pdfSource({
+      ...baseModel,
+      blocks: [{ type: 'table', header: ['Lot', 'Condition', 'Assay'], rows }],
+    }));
+
+    expect(pages.length).toBeGreaterThan(1);
+    pages.forEach(page => expect(page).toMatch(/^Lot\nCondition\nAssay$/m));
+    expect(pages[pages.length - 1]).toContain('L-179');
+  });
+
+  test('wraps lines to the measured width and encodes typographic characters', () => {
+    const lines = __internal.wrapRuns([{ text: 'word '.repeat(40), bold: false }], 200, 10);
+    lines.forEach(line => expect(line.width).toBeLessThanOrEqual(200));
+    expect(lines.length).toBeGreaterThan(3);
+
+    expect(__internal.toWinAnsiCodes('“9°C” – ok ✓')).toEqual([0x93, 0x39, 0xb0, 0x43, 0x94, 0x20, 0x96, 0x20, 0x6f, 0x6b, 0x20, 0x3f]);
+  });
+});
+
+describe('renderDocx', () => {
+  test('writes a Word package with styles, real footnotes, tables and page number fields', async () => {
+    const zip = await JSZip.loadAsync(await renderDocx({
+      ...baseModel,
+      control: [{ label: 'Source', value: 'SOP-101 rev 4' }],
+      markdown: [
+        '## Limits',
+        'MACO is 10 ppm [1] and visual cleanliness is required [1, 2].',
+        '1. Swab',
+        '2. Rinse',
+        '| Equipment | Limit |',
+        '| --- | --- |',
+        '| Blender & mixer | <10 ppm |',
+      ].join('\n'),
+      footnotes: { 1: 'SOP-101 §4.2', 2: 'Annex 15, section 10' },
+    }));
+
+    expect(Object.keys(zip.files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml',
+      'word/document.xml',
+      'word/footnotes.xml',
+      'word/footer1.xml',
+      'word/header1.xml',
+      'word/numbering.xml',
+      'docProps/core.xml',
+    ]));
+
+    const documentXml = await zip.file('word/document.xml').async('string');
+    expect(documentXml).toContain('<w:pStyle w:val="Title"/>');
+    expect(documentXml).toContain('<w:t xml:space="preserve">SOP-101 rev 4</w:t>');
+    expect(documentXml).toContain('<w:pStyle w:val="Heading2"/>');
+    expect(documentXml.match(/<w:footnoteReference w:id="\d+"\/>/g)).toHaveLength(3);
+    expect(documentXml).toContain('<w:tblHeader/>');
+    expect(documentXml).toContain('Blender &amp; mixer');
+    expect(documentXml).toContain('&lt;10 ppm');
+    expect(documentXml).not.toContain('[1]');
+
+    const footnotesXml = await zip.file('word/footnotes.xml').async('string');
+    expect(footnotesXml.match(/SOP-101 §4.2/g)).toHaveLength(2);
+    expect(footnotesXml).toContain('Annex 15, section 10');
+
+    const footerXml = await zip.file('word/footer1.xml').async('string');
+    expect(footerXml).toContain('w:instr=" PAGE "');
+    expect(footerXml).toContain('w:instr=" NUMPAGES "');
+    expect(footerXml).toContain('by qa.lead@example.com');
+
+    const coreXml = await zip.file('docProps/core.xml').async('string');
+    expect(coreXml).toContain('<cp:version>2.1</cp:version>');
+  });
+});
+
+describe('renderDocument', () => {
+  test('returns content type and a filename from the title', async () => {
+    const { contentType, filename } = await renderDocument({ ...baseModel, markdown: 'Body' }, 'docx');
+
+    expect(contentType).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(filename).toBe('Cleaning-Validation-Study-Notes.docx');
+    await expect(renderDocument({ ...baseModel, markdown: 'Body' }, 'rtf')).rejects.toThrow('Unsupported format "rtf"');
+  });
+});
@@ -0,0 +1,650 @@
+import { PERSONAL_ACCESS } from './document-permissions.js';
+import { documentScopePredicate, withSqlFragments } from './organization-scope.js';
+
+// Spreadsheets are stored as typed tables next to their text chunks so questions such as
+// "which lots exceeded 5% degradation" are answered by filtering rows rather than by hoping the
+// right lines were retrieved, and every answer can cite the cells it used (Stability!C7).
+
+export const COLUMN_TYPES = Object.freeze({
+  NUMBER: 'number',
+  DATE: 'date',
+  BOOLEAN: 'boolean',
+  TEXT: 'text',
+});
+
+export const TABLE_OPERATORS = Object.freeze(['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'contains']);
+export const TABLE_AGGREGATES = Object.freeze(['count', 'sum', 'avg', 'min', 'max']);
+
+export const MAX_TABLE_ROWS = 5000;
+export const MAX_TABLE_COLUMNS = 100;
+const MAX_TABLES_PER_DOCUMENT = 50;
+const MAX_TABLES_PER_QUERY = 20;
+const DEFAULT_MATCH_LIMIT = 25;
+// A column takes a type when at least this share of its non-empty cells parse as that type
+const TYPE_INFERENCE_THRESHOLD = 0.8;
+// Text columns with more distinct values than this are free text, not categories worth matching
+const MAX_CATEGORY_VALUES = 50;
+
+const STOPWORDS = new Set(['the', 'of', 'in', 'for', 'and', 'or', 'to', 'a', 'an', 'by', 'on', 'at', 'is', 'no', 'id']);
+
+const COMPARISON_PATTERN = new RegExp(
+  [
+    '(?<![A-Za-z])(exceed(?:ed|s|ing)?|above|over|greater than|more than|higher than|at least|no less than|after|since',
+    '|below|under|less than|lower than|at most|no more than|before|equal to|equals|>=|<=|>|<|=)',
+    '\\s*(\\d{4}-\\d{2}-\\d{2}|-?\\d+(?:\\.\\d+)?)\\s*(%|percent)?',
+  ].join(''),
+  'gi'
+);
+
+const COMPARISON_OPERATORS = {
+  exceed: 'gt', exceeded: 'gt', exceeds: 'gt', exceeding: 'gt', above: 'gt', over: 'gt',
+  'greater than': 'gt', 'more than': 'gt', 'higher than': 'gt', after: 'gt', '>': 'gt',
+  'at least': 'gte', 'no less than': 'gte', since: 'gte', '>=': 'gte',
+  below: 'lt', under: 'lt', 'less than': 'lt', 'lower than': 'lt', before: 'lt', '<': 'lt',
+  'at most': 'lte', 'no more than': 'lte', '<=': 'lte',
+  'equal to': 'eq', equals: 'eq', '=': 'eq',
+};
+
+const AGGREGATE_PATTERNS = [
+  ['count', /\b(how many|number of|count)\b/i],
+  ['avg', /\b(average|mean)\b/i],
+  ['sum', /\b(total|sum)\b/i],
+  ['max', /\b(highest|maximum|max|largest|greatest|worst)\b/i],
+  ['min', /\b(lowest|minimum|min|smallest|least)\b/i],
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+let ensuredTablesSchemaPromise = null;
+
+export async function ensureDocumentTablesSchema(sql) {
+  if (ensuredTablesSchemaPromise) {
+    return ensuredTablesSchemaPromise;
+  }
+
+  ensuredTablesSchemaPromise = (async () => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS rag_document_tables (
+        id BIGSERIAL PRIMARY KEY,
+        document_id BIGINT NOT NULL REFERENCES rag_documents(id) ON DELETE CASCADE,
+        table_index INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        header_row INTEGER,
+        columns JSONB NOT NULL DEFAULT '[]'::jsonb,
+        rows JSONB NOT NULL DEFAULT '[]'::jsonb,
+        row_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_rag_document_tables_document
+        ON rag_document_tables(document_id, table_index)
+    `;
+  })().catch(error => {
+    ensuredTablesSchemaPromise = null;
+    throw error;
+  });
+
+  return ensuredTablesSchemaPromise;
+}
+
+export const columnLetter = (index) => {
+  let letters = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + offset) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+};
+
+const quoteSheetName = (name) => (/^[A-Za-z0-9_]+$/.test(name) ? name : `'${name.replace(/'/g, "''")}'`);
+
+export const cellReference = (tableName, columnIndex, rowNumber) =>
+  `${quoteSheetName(tableName)}!${columnLetter(columnIndex)}${rowNumber}`;
+
+const rangeReference = (tableName, firstColumn, lastColumn, rowNumber) =>
+  `${quoteSheetName(tableName)}!${columnLetter(firstColumn)}${rowNumber}:${columnLetter(lastColumn)}${rowNumber}`;
+
+const parseNumber = (raw) => {
+  const text = raw.replace(/\s+/g, '');
+  const match = /^(-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|-?\.\d+)(%)?$/.exec(text);
+  return match ? Number(match[1].replace(/,/g, '')) : null;
+};
+
+const parseDate = (raw) => {
+  const text = raw.trim();
+  let match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ][\d:.]+Z?)?$/.exec(text);
+  if (match) {
+    const [, year, month, day] = match;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  match = /^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s](\d{4})$/.exec(text);
+  if (match) {
+    const monthIndex = MONTHS.indexOf(match[2].toLowerCase());
+    if (monthIndex >= 0) {
+      return `${match[3]}-${String(monthIndex + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+  }
+
+  return null;
+};
+
+const parseBoolean = (raw) => {
+  const text = raw.trim().toLowerCase();
+  if (text === 'true' || text === 'yes') return true;
+  if (text === 'false' || text === 'no') return false;
+  return null;
+};
+
+const PARSERS = {
+  [COLUMN_TYPES.NUMBER]: parseNumber,
+  [COLUMN_TYPES.DATE]: parseDate,
+  [COLUMN_TYPES.BOOLEAN]: parseBoolean,
+};
+
+const inferColumnType = (values) => {
+  const filled = values.filter(value => value !== '');
+  if (filled.length === 0) {
+    return COLUMN_TYPES.TEXT;
+  }
+
+  const inferred = [COLUMN_TYPES.NUMBER, COLUMN_TYPES.DATE, COLUMN_TYPES.BOOLEAN].find(type => {
+    const parsed = filled.filter(value => PARSERS[type](value) != null).length;
+    return parsed / filled.length >= TYPE_INFERENCE_THRESHOLD;
+  });
+
+  return inferred || COLUMN_TYPES.TEXT;
+};
+
+const toCellText = (value) => (value == null ? '' : String(value).replace(/\s+/g, ' ').trim());
+
+/**
+ * Turn the raw cells of a sheet or CSV into a typed table. The first non-empty row is the header;
+ * `rowNumbers` carries each row's position in the source so references match what the user sees
+ * in Excel even when blank rows were skipped.
+ */
+export const normalizeTable = ({ name, rows = [], rowNumbers = [] } = {}, index = 0) => {
+  const tableName = toCellText(name) || `Table ${index + 1}`;
+  const textRows = (Array.isArray(rows) ? rows : [])
+    .slice(0, MAX_TABLE_ROWS + 1)
+    .map((row, position) => ({
+      rowNumber: Number.isInteger(rowNumbers[position]) ? rowNumbers[position] : position + 1,
+      cells: (Array.isArray(row) ? row : []).slice(0, MAX_TABLE_COLUMNS).map(toCellText),
+    }))
+    .filter(row => row.cells.some(cell => cell !== ''));
+
+  if (textRows.length < 2) {
+    return null;
+  }
+
+  const [headerRow, ...dataRows] = textRows;
+  const width = Math.max(...textRows.map(row => row.cells.length));
+  const seenNames = new Set();
+
+  const columns = Array.from({ length: width }, (_, columnIndex) => {
+    const letter = columnLetter(columnIndex);
+    let columnName = headerRow.cells[columnIndex] || `Column ${letter}`;
+    if (seenNames.has(columnName.toLowerCase())) {
+      columnName = `${columnName} (${letter})`;
+    }
+    seenNames.add(columnName.toLowerCase());
+
+    return {
+      index: columnIndex,
+      letter,
+      name: columnName,
+      type: inferColumnType(dataRows.map(row => row.cells[columnIndex] || '')),
+    };
+  });
+
+  return {
+    name: tableName,
+    headerRow: headerRow.rowNumber,
+    columns,
+    rows: dataRows.map(row => ({
+      rowNumber: row.rowNumber,
+      values: columns.map(column => {
+        const raw = row.cells[column.index] || '';
+        if (raw === '') {
+          return null;
+        }
+        const parsed = PARSERS[column.type] ? PARSERS[column.type](raw) : null;
+        // Cells that do not fit the column type ("<LOQ" in a numeric column) keep their text
+        return parsed != null ? parsed : raw;
+      }),
+    })),
+  };
+};
+
+export const summarizeTables = (tables = []) =>
+  tables.map(table => ({
+    name: table.name,
+    rowCount: table.rows.length,
+    columns: table.columns.map(column => ({ name: column.name, type: column.type })),
+  }));
+
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+// Words in the question match a column name token on a shared stem ("degraded" ~ "degradation")
+const tokensMatch = (questionToken, columnToken) =>
+  questionToken === columnToken ||
+  (questionToken.length >= 4 && columnToken.length >= 4 && questionToken.slice(0, 5) === columnToken.slice(0, 5)) ||
+  questionToken.replace(/s$/, '') === columnToken.replace(/s$/, '');
+
+const findColumnMentions = (question, columns) => {
+  const questionTokens = [];
+  const tokenPattern = /[a-z0-9]+/g;
+  let match;
+  const lowered = question.toLowerCase();
+  while ((match = tokenPattern.exec(lowered))) {
+    questionTokens.push({ token: match[0], position: match.index });
+  }
+
+  return columns
+    .map(column => {
+      const columnTokens = tokenize(column.name);
+      if (columnTokens.length === 0) {
+        return null;
+      }
+      const positions = columnTokens.map(columnToken =>
+        questionTokens.find(entry => tokensMatch(entry.token, columnToken))?.position
+      );
+      if (positions.some(position => position == null)) {
+        return null;
+      }
+      return { column, position: Math.min(...positions) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.position - b.position);
+};
+
+const isFractionColumn = (table, column) =>
+  table.rows.every(row => {
+    const value = row.values[column.index];
+    return typeof value !== 'number' || Math.abs(value) <= 1;
+  });
+
+const distinctTextValues = (table, column) => {
+  const values = new Set();
+  for (const row of table.rows) {
+    const value = row.values[column.index];
+    if (typeof value === 'string' && value) {
+      values.add(value);
+      if (values.size > MAX_CATEGORY_VALUES) {
+        return null;
+      }
+    }
+  }
+  return Array.from(values);
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Work out filters and an aggregate for a table from a natural-language question. Returns null
+ * when the question does not refer to anything in the table, so callers can skip it.
+ */
+export const planTableQuery = (question, table) => {
+  if (typeof question !== 'string' || !question.trim() || !table?.columns?.length) {
+    return null;
+  }
+
+  const mentions = findColumnMentions(question, table.columns);
+  const comparableMentions = mentions.filter(({ column }) =>
+    column.type === COLUMN_TYPES.NUMBER || column.type === COLUMN_TYPES.DATE
+  );
+  const filters = [];
+
+  let comparison;
+  COMPARISON_PATTERN.lastIndex = 0;
+  while ((comparison = COMPARISON_PATTERN.exec(question))) {
+    const [phrase, operatorWord, rawValue, percent] = comparison;
+    const { index: position } = comparison;
+    const isDate = /^\d{4}-\d{2}-\d{2}$/.test(rawValue);
+    const candidates = comparableMentions.filter(({ column }) =>
+      isDate ? column.type === COLUMN_TYPES.DATE : column.type === COLUMN_TYPES.NUMBER
+    );
+    const nearest = candidates.sort((a, b) =>
+      Math.abs(a.position - position) - Math.abs(b.position - position)
+    )[0];
+    const fallback = candidates.length === 0
+      ? table.columns.filter(column => column.type === (isDate ? COLUMN_TYPES.DATE : COLUMN_TYPES.NUMBER))
+      : [];
+    const column = nearest?.column || (fallback.length === 1 ? fallback[0] : null);
+    if (!column) {
+      continue;
+    }
+
+    let value = isDate ? rawValue : Number(rawValue);
+    // "5%" against cells stored as fractions (0.051 formatted as 5.1%)
+    if (percent && !isDate && isFractionColumn(table, column)) {
+      value /= 100;
+    }
+
+    filters.push({
+      column: column.name,
+      op: COMPARISON_OPERATORS[operatorWord.toLowerCase()] || 'eq',
+      value,
+      phrase: phrase.trim(),
+    });
+  }
+
+  table.columns
+    .filter(column => column.type === COLUMN_TYPES.TEXT)
+    .forEach(column => {
+      const categories = distinctTextValues(table, column);
+      if (!categories) {
+        return;
+      }
+      const mentioned = categories.filter(value =>
+        value.length >= 3 &&
+        !STOPWORDS.has(value.toLowerCase()) &&
+        new RegExp(`(^|[^A-Za-z0-9])${escapeRegExp(value)}(?![A-Za-z0-9])`, 'i').test(question)
+      );
+      if (mentioned.length === 1) {
+        filters.push({ column: column.name, op: 'eq', value: mentioned[0] });
+      } else if (mentioned.length > 1) {
+        filters.push({ column: column.name, op: 'in', value: mentioned });
+      }
+    });
+
+  let aggregate = null;
+  const aggregateMatch = AGGREGATE_PATTERNS.find(([, pattern]) => pattern.test(question));
+  if (aggregateMatch) {
+    const [op] = aggregateMatch;
+    if (op === 'count') {
+      aggregate = { op };
+    } else {
+      const numericMentions = mentions.filter(({ column }) => column.type === COLUMN_TYPES.NUMBER);
+      const filteredColumns = new Set(filters.map(filter => filter.column));
+      const target = numericMentions.find(({ column }) => !filteredColumns.has(column.name)) || numericMentions[0];
+      if (target) {
+        aggregate = { op, column: target.column.name };
+      }
+    }
+  }
+
+  if (filters.length === 0 && !aggregate) {
+    return null;
+  }
+
+  return { filters, aggregate };
+};
+
+const compareValues = (cell, op, target) => {
+  if (cell == null) {
+    return false;
+  }
+
+  if (op === 'in') {
+    const targets = (Array.isArray(target) ? target : [target]).map(value => String(value).toLowerCase());
+    return targets.includes(String(cell).toLowerCase());
+  }
+
+  if (op === 'contains') {
+    return String(cell).toLowerCase().includes(String(target).toLowerCase());
+  }
+
+  if (op === 'eq' || op === 'neq') {
+    const equal = typeof cell === 'string' || typeof target === 'string'
+      ? String(cell).toLowerCase() === String(target).toLowerCase()
+      : cell === target;
+    return op === 'eq' ? equal : !equal;
+  }
+
+  // Ordering comparisons only apply to cells of the same kind (numbers, or ISO date strings)
+  if (typeof cell !== typeof target) {
+    return false;
+  }
+
+  switch (op) {
+    case 'gt': return cell > target;
+    case 'gte': return cell >= target;
+    case 'lt': return cell < target;
+    case 'lte': return cell <= target;
+    default: return false;
+  }
+};
+
+const roundValue = (value) => (typeof value === 'number' ? Math.round(value * 10000) / 10000 : value);
+
+/**
+ * Run a planned query against a normalized table. Every matching row and aggregated value comes
+ * back with the spreadsheet references it was computed from.
+ */
+export const executeTableQuery = (table, { filters = [], aggregate = null, limit = DEFAULT_MATCH_LIMIT } = {}) => {
+  const columnByName = new Map(table.columns.map(column => [column.name.toLowerCase(), column]));
+  const resolveColumn = (name) => {
+    const column = columnByName.get(String(name || '').toLowerCase());
+    if (!column) {
+      const error = new Error(`Unknown column "${name}" in table "${table.name}"`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return column;
+  };
+
+  const resolvedFilters = filters.map(filter => {
+    if (!TABLE_OPERATORS.includes(filter.op)) {
+      const error = new Error(`Unsupported table filter operator: ${filter.op}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return { ...filter, column: resolveColumn(filter.column) };
+  });
+
+  const matchingRows = table.rows.filter(row =>
+    resolvedFilters.every(filter => compareValues(row.values[filter.column.index], filter.op, filter.value))
+  );
+
+  const lastColumn = table.columns.length - 1;
+  const matches = matchingRows.slice(0, limit).map(row => ({
+    rowNumber: row.rowNumber,
+    ref: rangeReference(table.name, 0, lastColumn, row.rowNumber),
+    values: Object.fromEntries(table.columns.map(column => [column.name, row.values[column.index]])),
+  }));
+
+  let aggregateResult = null;
+  if (aggregate) {
+    if (!TABLE_AGGREGATES.includes(aggregate.op)) {
+      const error = new Error(`Unsupported table aggregate: ${aggregate.op}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (aggregate.op === 'count') {
+      aggregateResult = {
+        op: 'count',
+        column: null,
+        value: matchingRows.length,
+        refs: matchingRows.slice(0, limit).map(row => rangeReference(table.name, 0, lastColumn, row.rowNumber)),
+      };
+    } else {
+      const column = resolveColumn(aggregate.column);
+      const numericCells = matchingRows
+        .map(row => ({ row, value: row.values[column.index] }))
+        .filter(cell => typeof cell.value === 'number');
+
+      let value = null;
+      let cells = numericCells;
+      if (numericCells.length > 0) {
+        const values = numericCells.map(cell => cell.value);
+        if (aggregate.op === 'sum' || aggregate.op === 'avg') {
+          const total = values.reduce((sum, current) => sum + current, 0);
+          value = aggregate.op === 'sum' ? total : total / values.length;
+        } else {
+          value = aggregate.op === 'max' ? Math.max(...values) : Math.min(...values);
+          cells = numericCells.filter(cell => cell.value === value);
+        }
+      }
+
+      aggregateResult = {
+        op: aggregate.op,
+        column: column.name,
+        value: roundValue(value),
+        cellCount: numericCells.length,
+        refs: cells.slice(0, limit).map(cell => cellReference(table.name, column.index, cell.row.rowNumber)),
+      };
+    }
+  }
+
+  return {
+    table: table.name,
+    filters: resolvedFilters.map(filter => ({ column: filter.column.name, op: filter.op, value: filter.value })),
+    totalRows: table.rows.length,
+    totalMatches: matchingRows.length,
+    matches,
+    aggregate: aggregateResult,
+  };
+};
+
+const OPERATOR_LABELS = { eq: '=', neq: '≠', gt: '>', gte: '≥', lt: '<', lte: '≤', in: 'in', contains: 'contains' };
+const AGGREGATE_LABELS = { count: 'Count', sum: 'Total', avg: 'Average', min: 'Minimum', max: 'Maximum' };
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value == null) return '';
+  return String(value);
+};
+
+/**
+ * Plain-text rendering of a query result for the answer prompt, with the cell references the
+ * model should cite.
+ */
+export const describeTableQueryResult = (result) => {
+  const filterText = result.filters.length > 0
+    ? result.filters.map(filter => `${filter.column} ${OPERATOR_LABELS[filter.op]} ${formatValue(filter.value)}`).join(' and ')
+    : 'all rows';
+
+  const lines = [
+    `Table "${result.table}" filtered by ${filterText}: ${result.totalMatches} of ${result.totalRows} rows match.`,
+  ];
+
+  result.matches.forEach(match => {
+    const values = Object.entries(match.values)
+      .filter(([, value]) => value != null)
+      .map(([column, value]) => `${column} = ${formatValue(value)}`)
+      .join('; ');
+    lines.push(`Row ${match.rowNumber} (${match.ref}): ${values}`);
+  });
+
+  if (result.totalMatches > result.matches.length) {
+    lines.push(`(${result.totalMatches - result.matches.length} more matching rows not shown)`);
+  }
+
+  if (result.aggregate) {
+    const { op, column, value, refs } = result.aggregate;
+    const label = op === 'count' ? 'Count of matching rows' : `${AGGREGATE_LABELS[op]} of ${column}`;
+    lines.push(`${label}: ${value == null ? 'no numeric values' : formatValue(value)}${refs.length > 0 ? ` (cells ${refs.join(', ')})` : ''}`);
+  }
+
+  return lines.join('\n');
+};
+
+export async function saveDocumentTables(sql, documentId, tables = []) {
+  await ensureDocumentTablesSchema(sql);
+
+  const stored = tables.slice(0, MAX_TABLES_PER_DOCUMENT);
+  for (let index = 0; index < stored.length; index += 1) {
+    const table = stored[index];
+    await sql`
+      INSERT INTO rag_document_tables (document_id, table_index, name, header_row, columns, rows, row_count)
+      VALUES (
+        ${documentId},
+        ${index},
+        ${table.name},
+        ${table.headerRow},
+        ${JSON.stringify(table.columns)}::jsonb,
+        ${JSON.stringify(table.rows)}::jsonb,
+        ${table.rows.length}
+      )
+    `;
+  }
+
+  return stored.length;
+}
+
+const parseJsonColumn = (value, fallback) => {
+  if (value == null) return fallback;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+  return value;
+};
+
+/**
+ * Answer a question (or run explicit `plans` keyed by table id) against the tables of documents
+ * the user can read. `documentIds` narrows the search to, typically, the documents retrieval found.
+ */
+export async function queryDocumentTables(sql, userId, { question, documentIds = [], plans = {} } = {}, { access = PERSONAL_ACCESS } = {}) {
+  await ensureDocumentTablesSchema(sql);
+
+  const ids = (Array.isArray(documentIds) ? documentIds : [])
+    .map(id => String(id).trim())
+    .filter(Boolean);
+  const restrictToIds = ids.length > 0;
+
+  const rows = await withSqlFragments(sql)`
+    SELECT t.id,
+           t.document_id,
+           t.name,
+           t.header_row,
+           t.columns,
+           t.rows,
+           d.filename,
+           d.title
+      FROM rag_document_tables t
+      JOIN rag_documents d ON d.id = t.document_id
+     WHERE ${documentScopePredicate(access, userId, { alias: 'd', idColumn: 'id::text' })}
+       AND (NOT ${restrictToIds} OR d.id::text = ANY(${ids}::text[]))
+     ORDER BY d.created_at DESC, t.table_index ASC
+     LIMIT ${MAX_TABLES_PER_QUERY}
+  `;
+
+  const results = [];
+  for (const row of rows) {
+    const table = {
+      name: row.name,
+      headerRow: row.header_row,
+      columns: parseJsonColumn(row.columns, []),
+      rows: parseJsonColumn(row.rows, []),
+    };
+    const plan = plans[String(row.id)] || planTableQuery(question, table);
+    if (!plan) {
+      continue;
+    }
+
+    results.push({
+      tableId: String(row.id),
+      documentId: String(row.document_id),
+      filename: row.filename,
+      documentTitle: row.title || row.filename,
+      ...executeTableQuery(table, plan),
+    });
+  }
+
+  return results.map(result => ({ ...result, summary: describeTableQueryResult(result) }));
+}
+
+export const __internal = {
+  parseNumber,
+  parseDate,
+  inferColumnType,
+  findColumnMentions,
+  resetSchemaCache: () => {
+    ensuredTablesSchemaPromise = null;
+  },
+};
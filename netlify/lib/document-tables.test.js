@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+
+import {
+  COLUMN_TYPES,
+  describeTableQueryResult,
+  executeTableQuery,
+  normalizeTable,
+  planTableQuery,
+  queryDocumentTables,
+  __internal,
+} from './document-tables.js';
+
+const stabilitySheet = {
+  name: 'Stability',
+  rows: [
+    ['Lot', 'Condition', 'Pull date', 'Assay (%)', 'Degradation (%)'],
+    ['L-101', '25C/60%RH', '2026-01-15', '99.1', '1.2'],
+    ['L-102', '40C/75%RH', '15-Feb-2026', '96.4', '6.1'],
+    ['L-103', '40C/75%RH', '2026-03-15', '97.0', '4.9'],
+    ['L-104', '40C/75%RH', '2026-04-15', '95.2', '<LOQ'],
+    ['L-105', '25C/60%RH', '2026-05-15', '94.8', '7.4'],
+  ],
+  // Row 3 of the sheet is blank, so data rows are not contiguous
+  rowNumbers: [1, 2, 4, 5, 6, 7],
+};
+
+describe('normalizeTable', () => {
+  test('types columns from their cells and keeps source row numbers', () => {
+    const table = normalizeTable(stabilitySheet);
+
+    expect(table.headerRow).toBe(1);
+    expect(table.columns.map(column => [column.letter, column.name, column.type])).toEqual([
+      ['A', 'Lot', COLUMN_TYPES.TEXT],
+      ['B', 'Condition', COLUMN_TYPES.TEXT],
+      ['C', 'Pull date', COLUMN_TYPES.DATE],
+      ['D', 'Assay (%)', COLUMN_TYPES.NUMBER],
+      ['E', 'Degradation (%)', COLUMN_TYPES.NUMBER],
+    ]);
+    expect(table.rows[1]).toEqual({ rowNumber: 4, values: ['L-102', '40C/75%RH', '2026-02-15', 96.4, 6.1] });
+    expect(table.rows[3].values[4]).toBe('<LOQ');
+  });
+
+  test('returns null for sheets without data rows', () => {
+    expect(normalizeTable({ name: 'Empty', rows: [['Lot', 'Assay']] })).toBeNull();
+  });
+
+  test('parses formatted numbers and dates', () => {
+    expect(__internal.parseNumber('1,250.5')).toBe(1250.5);
+    expect(__internal.parseNumber('6.1%')).toBe(6.1);
+    expect(__internal.parseNumber('L-102')).toBeNull();
+    expect(__internal.parseDate('3 Mar 2026')).toBe('2026-03-03');
+  });
+});
+
+describe('planTableQuery', () => {
+  const table = normalizeTable(stabilitySheet);
+
+  test('turns a threshold question into a filter on the mentioned column', () => {
+    expect(planTableQuery('Which lots in the stability sheet exceeded 5% degradation?', table)).toEqual({
+      filters: [{ column: 'Degradation (%)', op: 'gt', value: 5, phrase: 'exceeded 5%' }],
+      aggregate: null,
+    });
+  });
+
+  test('combines category filters with an aggregate', () => {
+    expect(planTableQuery('What is the average assay for lots stored at 40C/75%RH?', table)).toEqual({
+      filters: [{ column: 'Condition', op: 'eq', value: '40C/75%RH' }],
+      aggregate: { op: 'avg', column: 'Assay (%)' },
+    });
+  });
+
+  test('scales percentages for columns stored as fractions', () => {
+    const fractions = normalizeTable({
+      name: 'Yield',
+      rows: [['Batch', 'Loss'], ['B1', '0.021'], ['B2', '0.064']],
+    });
+
+    expect(planTableQuery('Which batches had loss above 5%?', fractions).filters[0].value).toBeCloseTo(0.05);
+  });
+
+  test('returns null when the question does not concern the table', () => {
+    expect(planTableQuery('Who approves change controls?', table)).toBeNull();
+  });
+});
+
+describe('executeTableQuery', () => {
+  const table = normalizeTable(stabilitySheet);
+
+  test('returns matching rows with the cell ranges they came from', () => {
+    const result = executeTableQuery(table, {
+      filters: [{ column: 'Degradation (%)', op: 'gt', value: 5 }],
+    });
+
+    expect(result.totalMatches).toBe(2);
+    expect(result.matches.map(match => [match.rowNumber, match.ref])).toEqual([
+      [4, 'Stability!A4:E4'],
+      [7, 'Stability!A7:E7'],
+    ]);
+    expect(result.matches[0].values['Lot']).toBe('L-102');
+  });
+
+  test('aggregates over matching rows and cites the cells used', () => {
+    const result = executeTableQuery(table, {
+      filters: [{ column: 'condition', op: 'eq', value: '40c/75%rh' }],
+      aggregate: { op: 'max', column: 'Degradation (%)' },
+    });
+
+    expect(result.aggregate).toEqual({
+      op: 'max',
+      column: 'Degradation (%)',
+      value: 6.1,
+      cellCount: 2,
+      refs: ['Stability!E4'],
+    });
+
+    expect(describeTableQueryResult(result)).toContain('Maximum of Degradation (%): 6.1 (cells Stability!E4)');
+  });
+
+  test('rejects unknown columns', () => {
+    expect(() => executeTableQuery(table, { filters: [{ column: 'Potency', op: 'gt', value: 1 }] }))
+      .toThrow('Unknown column "Potency"');
+  });
+
+  test('quotes sheet names that need it in references', () => {
+    const spaced = normalizeTable({ ...stabilitySheet, name: "Lot's data" });
+    const result = executeTableQuery(spaced, { filters: [{ column: 'Lot', op: 'eq', value: 'L-101' }] });
+
+    expect(result.matches[0].ref).toBe("'Lot''s data'!A2:E2");
+  });
+});
+
+describe('queryDocumentTables', () => {
+  test('plans and runs the question against stored tables the user can read', async () => {
+    __internal.resetSchemaCache();
+    const table = normalizeTable(stabilitySheet);
+    const sql = jest.fn(async (strings) => {
+      const text = strings.join('?');
+      if (/SELECT t\.id/.test(text)) {
+        return [{
+          id: 7,
+          document_id: 42,
+          name: table.name,
+          header_row: table.headerRow,
+          columns: JSON.stringify(table.columns),
+          rows: table.rows,
+          filename: 'stability.pdf',
+          title: 'Stability summary',
+        }];
+      }
+      return [];
+    });
+
+    const [result] = await queryDocumentTables(sql, 'user-1', {
+      question: 'How many lots exceeded 5% degradation?',
+      documentIds: ['42'],
+    });
+
+    expect(result).toEqual(expect.objectContaining({
+      tableId: '7',
+      documentId: '42',
+      filename: 'stability.pdf',
+      totalMatches: 2,
+      aggregate: expect.objectContaining({ op: 'count', value: 2 }),
+    }));
+    expect(result.summary).toContain('Row 4 (Stability!A4:E4): Lot = L-102');
+
+    const selectCall = sql.mock.calls.find(([strings]) => /SELECT t\.id/.test(strings.join('?')));
+    expect(selectCall).toContainEqual(['42']);
+  });
+});
@@ -0,0 +1,117 @@
+// Server-side text extraction for documents fetched from other systems (the browser converts
+// uploads itself). PDFs are read with pdfjs, Word files with mammoth, and text formats directly.
+// Scanned PDFs have no text layer and are reported rather than OCR'd here.
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const EXTENSION_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  htm: 'text/html',
+  html: 'text/html',
+};
+
+/**
+ * Work out the media type from the Content-Type header, falling back to the file extension when
+ * the server sends a generic type.
+ */
+export const resolveContentType = ({ filename = '', contentType = '' } = {}) => {
+  const declared = String(contentType).split(';')[0].trim().toLowerCase();
+  if (declared && declared !== 'application/octet-stream') {
+    return declared;
+  }
+  const extension = String(filename).split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || declared || 'application/octet-stream';
+};
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&amp;/gi, '&');
+
+const htmlToText = (html) =>
+  decodeEntities(
+    html
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li|tr|table|section)>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const extractPdfText = async (buffer) => {
+  const { default: pdfjs } = await import('pdfjs-dist/legacy/build/pdf.js');
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(
+      content.items
+        .map(item => `${item.str}${item.hasEOL ? '\n' : ''}`)
+        .join('')
+        .replace(/[ \t]+/g, ' ')
+        .trim()
+    );
+  }
+  await pdf.destroy();
+
+  return pages.filter(Boolean).join('\n\n');
+};
+
+const extractDocxText = async (buffer) => {
+  const { default: mammoth } = await import('mammoth');
+  const { value } = await mammoth.extractRawText({ buffer });
+  return value.replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Extract plain text from a downloaded file.
+ *
+ * @param {Buffer} buffer - File content
+ * @param {{filename?: string, contentType?: string}} file - Name and declared media type
+ * @returns {Promise<string>} Extracted text; throws 415 for unsupported types and 422 when the
+ *   file has no text layer
+ */
+export async function extractDocumentText(buffer, file = {}) {
+  const contentType = resolveContentType(file);
+  let text;
+
+  if (contentType === 'application/pdf') {
+    text = await extractPdfText(buffer);
+  } else if (contentType === EXTENSION_TYPES.docx) {
+    text = await extractDocxText(buffer);
+  } else if (contentType === 'text/html') {
+    text = htmlToText(buffer.toString('utf8'));
+  } else if (contentType.startsWith('text/')) {
+    text = buffer.toString('utf8').replace(/^﻿/, '').trim();
+  } else {
+    throw createError(`Unsupported file type "${contentType}"${file.filename ? ` for ${file.filename}` : ''}`, 415);
+  }
+
+  if (!text) {
+    throw createError(`No extractable text in ${file.filename || 'the file'}; scanned documents need OCR before indexing`, 422);
+  }
+
+  return text;
+}
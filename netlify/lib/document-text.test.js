@@ -0,0 +1,39 @@
+import { renderDocx } from './document-renderer.js';
+import { extractDocumentText, resolveContentType } from './document-text.js';
+
+const model = {
+  title: 'Deviation Management',
+  markdown: '## Purpose\n\nRecord deviations within 24 hours of discovery.',
+};
+
+describe('resolveContentType', () => {
+  test('prefers the declared type and falls back to the extension for generic downloads', () => {
+    expect(resolveContentType({ filename: 'a.pdf', contentType: 'text/plain; charset=utf-8' })).toBe('text/plain');
+    expect(resolveContentType({ filename: 'SOP-001.PDF', contentType: 'application/octet-stream' })).toBe('application/pdf');
+    expect(resolveContentType({ filename: 'notes.md' })).toBe('text/markdown');
+  });
+});
+
+describe('extractDocumentText', () => {
+  test('reads text and HTML files', async () => {
+    await expect(extractDocumentText(Buffer.from('  Plain text  '), { contentType: 'text/plain' })).resolves.toBe('Plain text');
+    await expect(extractDocumentText(
+      Buffer.from('<html><style>p{}</style><h1>Scope</h1><p>QA &amp; Production</p></html>'),
+      { filename: 'scope.html' }
+    )).resolves.toBe('Scope\nQA & Production');
+  });
+
+  // pdfjs needs browser globals (DOMException) that Jest's node environment does not provide, so
+  // PDF extraction is only exercised in the functions runtime
+  test('extracts the text of Word files', async () => {
+    const docxText = await extractDocumentText(await renderDocx(model), { filename: 'deviation.docx' });
+    expect(docxText).toContain('Record deviations within 24 hours');
+  });
+
+  test('rejects unsupported and empty files', async () => {
+    await expect(extractDocumentText(Buffer.from([0x89, 0x50]), { filename: 'scan.png', contentType: 'image/png' }))
+      .rejects.toMatchObject({ statusCode: 415 });
+    await expect(extractDocumentText(Buffer.from('   '), { filename: 'blank.txt' }))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+});
@@ -0,0 +1,253 @@
+import { PERSONAL_ACCESS } from './document-permissions.js';
+import { documentScopePredicate, ensureOrganizationColumn, withSqlFragments } from './organization-scope.js';
+
+export const SUPERSEDED_STATUS = 'Superseded';
+
+// Lifecycle states (including Veeva Vault's "Effective"/"Approved") that make a revision the one users should cite
+const EFFECTIVE_STATUSES = new Set(['active', 'effective', 'approved', 'current', 'final', 'released']);
+
+let ensuredLineageSchemaPromise = null;
+
+export const isEffectiveStatus = (status) => {
+  if (typeof status !== 'string') {
+    return false;
+  }
+  return EFFECTIVE_STATUSES.has(status.trim().toLowerCase());
+};
+
+export const hasDocumentNumber = (documentNumber) =>
+  typeof documentNumber === 'string' && documentNumber.trim() !== '' && documentNumber.trim().toUpperCase() !== 'UNKNOWN';
+
+const toVersionNumber = (value, fallback) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+/**
+ * Compare two revisions by major then minor version. Returns a negative number when `a` is older.
+ */
+export const compareVersions = (a = {}, b = {}) => {
+  const majorDiff = toVersionNumber(a.majorVersion ?? a.major_version, 1) - toVersionNumber(b.majorVersion ?? b.major_version, 1);
+  if (majorDiff !== 0) {
+    return majorDiff;
+  }
+  return toVersionNumber(a.minorVersion ?? a.minor_version, 0) - toVersionNumber(b.minorVersion ?? b.minor_version, 0);
+};
+
+export const formatVersionLabel = (row = {}) =>
+  `${toVersionNumber(row.majorVersion ?? row.major_version, 1)}.${toVersionNumber(row.minorVersion ?? row.minor_version, 0)}`;
+
+export async function ensureVersionLineageSchema(sql) {
+  if (ensuredLineageSchemaPromise) {
+    return ensuredLineageSchemaPromise;
+  }
+
+  ensuredLineageSchemaPromise = (async () => {
+    await sql`
+      ALTER TABLE document_index
+        ADD COLUMN IF NOT EXISTS supersedes_document_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS superseded_by_document_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS effective_date TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS is_current BOOLEAN DEFAULT true
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS idx_document_index_version_chain
+        ON document_index(user_id, document_number, major_version, minor_version)
+    `;
+
+    await ensureOrganizationColumn(sql, 'document_index');
+  })().catch(error => {
+    ensuredLineageSchemaPromise = null;
+    throw error;
+  });
+
+  return ensuredLineageSchemaPromise;
+}
+
+/**
+ * Work out how a newly indexed revision fits into the chain for its document number.
+ * Pure so the rules can be tested without a database.
+ *
+ * - `supersedesDocumentId` points at the closest older revision.
+ * - When the new revision is effective and no newer effective revision exists, it becomes current
+ *   and every older effective revision is superseded by it.
+ * - When a newer effective revision already exists (back-filling history), the new revision is
+ *   itself recorded as superseded by that newer one.
+ */
+export const planVersionLineage = (document, siblings = []) => {
+  const others = siblings.filter(row => row.document_id !== document.documentId);
+  const older = others
+    .filter(row => compareVersions(row, document) < 0)
+    .sort((a, b) => compareVersions(b, a));
+  const newerEffective = others
+    .filter(row => compareVersions(row, document) > 0 && (row.status === SUPERSEDED_STATUS || isEffectiveStatus(row.status)))
+    .sort(compareVersions);
+
+  const plan = {
+    supersedesDocumentId: older[0]?.document_id || null,
+    isCurrent: false,
+    status: document.status,
+    supersededByDocumentId: null,
+    supersedeDocumentIds: [],
+  };
+
+  if (!isEffectiveStatus(document.status)) {
+    // Drafts and in-review revisions never displace the effective version
+    return plan;
+  }
+
+  const currentNewer = newerEffective.find(row => row.status !== SUPERSEDED_STATUS) || newerEffective[0];
+  if (currentNewer) {
+    plan.status = SUPERSEDED_STATUS;
+    plan.supersededByDocumentId = currentNewer.document_id;
+    return plan;
+  }
+
+  plan.isCurrent = true;
+  plan.supersedeDocumentIds = others
+    .filter(row => compareVersions(row, document) <= 0 && row.status !== SUPERSEDED_STATUS && isEffectiveStatus(row.status))
+    .map(row => row.document_id);
+
+  return plan;
+};
+
+/**
+ * Link a freshly indexed document_index row into its version chain and mark prior effective
+ * revisions as Superseded. The rag_documents mirror is flagged through metadata so chunk
+ * search can exclude superseded content. Mirror rows are matched on the revision's
+ * `metadata.documentId`, not the filename: a new revision uploaded under the same filename
+ * overwrites the mirror row and must stay searchable.
+ *
+ * Chains stay within one library: the user's personal documents, or `organizationId`'s shared
+ * library when the document belongs to an organization.
+ */
+export async function applyVersionLineage(sql, userId, document, { organizationId = null } = {}) {
+  await ensureVersionLineageSchema(sql);
+
+  if (!hasDocumentNumber(document.documentNumber)) {
+    return { supersedesDocumentId: null, supersededDocumentIds: [], isCurrent: isEffectiveStatus(document.status), status: document.status };
+  }
+
+  const siblings = await sql`
+    SELECT document_id, major_version, minor_version, status, filename
+      FROM document_index
+     WHERE ((user_id = ${userId} AND organization_id IS NULL AND ${organizationId}::text IS NULL) OR organization_id = ${organizationId})
+       AND document_number = ${document.documentNumber}
+  `;
+
+  const plan = planVersionLineage(document, siblings);
+
+  await sql`
+    UPDATE document_index
+       SET supersedes_document_id = ${plan.supersedesDocumentId},
+           superseded_by_document_id = ${plan.supersededByDocumentId},
+           superseded_at = ${plan.supersededByDocumentId ? new Date().toISOString() : null},
+           effective_date = COALESCE(effective_date, ${document.effectiveDate || null}),
+           status = ${plan.status},
+           is_current = ${plan.isCurrent},
+           updated_at = CURRENT_TIMESTAMP
+     WHERE document_id = ${document.documentId}
+       AND ((user_id = ${userId} AND organization_id IS NULL AND ${organizationId}::text IS NULL) OR organization_id = ${organizationId})
+  `;
+
+  if (plan.supersedeDocumentIds.length > 0) {
+    await sql`
+      UPDATE document_index
+         SET status = ${SUPERSEDED_STATUS},
+             superseded_by_document_id = ${document.documentId},
+             superseded_at = CURRENT_TIMESTAMP,
+             is_current = false,
+             updated_at = CURRENT_TIMESTAMP
+       WHERE ((user_id = ${userId} AND organization_id IS NULL AND ${organizationId}::text IS NULL) OR organization_id = ${organizationId})
+         AND document_id = ANY(${plan.supersedeDocumentIds})
+    `;
+  }
+
+  const nonCurrentIds = plan.isCurrent
+    ? plan.supersedeDocumentIds
+    : plan.supersededByDocumentId
+      ? [document.documentId]
+      : [];
+
+  if (nonCurrentIds.length > 0) {
+    await sql`
+      UPDATE rag_documents
+         SET metadata = COALESCE(metadata, '{}'::jsonb) || ${JSON.stringify({ isCurrentVersion: false, status: SUPERSEDED_STATUS })}::jsonb,
+             updated_at = CURRENT_TIMESTAMP
+       WHERE ((user_id = ${userId} AND organization_id IS NULL AND ${organizationId}::text IS NULL) OR organization_id = ${organizationId})
+         AND metadata->>'documentId' = ANY(${nonCurrentIds})
+    `;
+  }
+
+  return {
+    supersedesDocumentId: plan.supersedesDocumentId,
+    supersededByDocumentId: plan.supersededByDocumentId,
+    supersededDocumentIds: plan.supersedeDocumentIds,
+    isCurrent: plan.isCurrent,
+    status: plan.status,
+  };
+}
+
+/**
+ * Return every indexed revision of a document number, newest first. Pass the caller's
+ * `organizationId` to include revisions held in their organization's library.
+ */
+export async function listVersionHistory(sql, userId, documentNumber, { access = PERSONAL_ACCESS } = {}) {
+  await ensureVersionLineageSchema(sql);
+
+  const rows = await withSqlFragments(sql)`
+    SELECT id,
+           document_id,
+           document_number,
+           document_name,
+           major_version,
+           minor_version,
+           document_type,
+           status,
+           summary,
+           manual_summary,
+           filename,
+           title,
+           version,
+           supersedes_document_id,
+           superseded_by_document_id,
+           superseded_at,
+           effective_date,
+           is_current,
+           organization_id,
+           created_at,
+           updated_at
+      FROM document_index
+     WHERE ${documentScopePredicate(access, userId)}
+       AND document_number = ${documentNumber}
+  `;
+
+  return rows
+    .slice()
+    .sort((a, b) => compareVersions(b, a))
+    .map(row => ({
+      id: row.id,
+      documentId: row.document_id,
+      documentNumber: row.document_number,
+      documentName: row.document_name,
+      title: row.title || row.document_name,
+      filename: row.filename,
+      documentType: row.document_type,
+      status: row.status,
+      version: row.version || formatVersionLabel(row),
+      versionLabel: formatVersionLabel(row),
+      majorVersion: row.major_version,
+      minorVersion: row.minor_version,
+      summary: row.manual_summary || row.summary,
+      supersedesDocumentId: row.supersedes_document_id || null,
+      supersededByDocumentId: row.superseded_by_document_id || null,
+      supersededAt: row.superseded_at || null,
+      effectiveDate: row.effective_date || null,
+      isCurrent: row.is_current !== false && row.status !== SUPERSEDED_STATUS,
+      organizationId: row.organization_id || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }));
+}
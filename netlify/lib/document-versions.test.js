@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+
+import {
+  applyVersionLineage,
+  compareVersions,
+  listVersionHistory,
+  planVersionLineage,
+  SUPERSEDED_STATUS,
+} from './document-versions.js';
+
+const revision = (documentId, majorVersion, minorVersion, status = 'Effective') => ({
+  document_id: documentId,
+  major_version: majorVersion,
+  minor_version: minorVersion,
+  status,
+});
+
+const createSqlMock = (selectRows = []) =>
+  jest.fn(async (strings) => {
+    const text = strings.join('?');
+    if (/^\s*SELECT/i.test(text)) {
+      return selectRows;
+    }
+    return [];
+  });
+
+describe('compareVersions', () => {
+  test('orders by major then minor version', () => {
+    expect(compareVersions({ majorVersion: 2, minorVersion: 0 }, { major_version: 1, minor_version: 9 })).toBeGreaterThan(0);
+    expect(compareVersions({ majorVersion: 1, minorVersion: 1 }, { majorVersion: 1, minorVersion: 2 })).toBeLessThan(0);
+    expect(compareVersions({}, { majorVersion: 1, minorVersion: 0 })).toBe(0);
+  });
+});
+
+describe('planVersionLineage', () => {
+  test('supersedes older effective revisions when a new effective revision arrives', () => {
+    const plan = planVersionLineage(
+      { documentId: 'doc-3', majorVersion: 3, minorVersion: 0, status: 'Effective' },
+      [revision('doc-1', 1, 0, SUPERSEDED_STATUS), revision('doc-2', 2, 0), revision('doc-3', 3, 0)]
+    );
+
+    expect(plan).toEqual({
+      supersedesDocumentId: 'doc-2',
+      isCurrent: true,
+      status: 'Effective',
+      supersededByDocumentId: null,
+      supersedeDocumentIds: ['doc-2'],
+    });
+  });
+
+  test('keeps the effective revision current while a newer draft is in review', () => {
+    const plan = planVersionLineage(
+      { documentId: 'doc-3', majorVersion: 3, minorVersion: 0, status: 'Draft' },
+      [revision('doc-2', 2, 0)]
+    );
+
+    expect(plan.isCurrent).toBe(false);
+    expect(plan.status).toBe('Draft');
+    expect(plan.supersedesDocumentId).toBe('doc-2');
+    expect(plan.supersedeDocumentIds).toEqual([]);
+  });
+
+  test('marks a back-filled older revision as superseded by the current one', () => {
+    const plan = planVersionLineage(
+      { documentId: 'doc-1', majorVersion: 1, minorVersion: 0, status: 'Effective' },
+      [revision('doc-2', 2, 0)]
+    );
+
+    expect(plan.isCurrent).toBe(false);
+    expect(plan.status).toBe(SUPERSEDED_STATUS);
+    expect(plan.supersededByDocumentId).toBe('doc-2');
+  });
+});
+
+describe('applyVersionLineage', () => {
+  test('skips lineage for documents without a document number', async () => {
+    const sql = createSqlMock();
+
+    const result = await applyVersionLineage(sql, 'user-1', {
+      documentId: 'doc-1',
+      documentNumber: 'UNKNOWN',
+      status: 'active',
+    });
+
+    expect(result.isCurrent).toBe(true);
+    expect(sql.mock.calls.some(([strings]) => strings.join('?').includes('UPDATE document_index'))).toBe(false);
+  });
+
+  test('flags superseded revisions in document_index and rag_documents', async () => {
+    const sql = createSqlMock([revision('doc-1', 1, 0), revision('doc-2', 1, 1)]);
+
+    const result = await applyVersionLineage(sql, 'user-1', {
+      documentId: 'doc-2',
+      documentNumber: 'SOP-001',
+      majorVersion: 1,
+      minorVersion: 1,
+      status: 'Effective',
+    });
+
+    expect(result).toEqual(
+      expect.objectContaining({ isCurrent: true, supersedesDocumentId: 'doc-1', supersededDocumentIds: ['doc-1'] })
+    );
+
+    const supersedeCall = sql.mock.calls.find(([strings]) => strings.join('?').includes('superseded_at = CURRENT_TIMESTAMP'));
+    expect(supersedeCall).toBeDefined();
+    expect(supersedeCall).toContainEqual(['doc-1']);
+
+    const ragCall = sql.mock.calls.find(([strings]) => strings.join('?').includes('UPDATE rag_documents'));
+    expect(ragCall).toBeDefined();
+    expect(JSON.parse(ragCall[1])).toEqual({ isCurrentVersion: false, status: SUPERSEDED_STATUS });
+  });
+
+  test('flags the superseded revision\'s mirror row by document id, not by a filename the new revision shares', async () => {
+    const sql = createSqlMock([
+      { ...revision('doc-1', 1, 0), filename: 'SOP-001.pdf' },
+      { ...revision('doc-2', 2, 0), filename: 'SOP-001.pdf' },
+    ]);
+
+    await applyVersionLineage(sql, 'user-1', {
+      documentId: 'doc-2',
+      documentNumber: 'SOP-001',
+      majorVersion: 2,
+      minorVersion: 0,
+      status: 'Effective',
+    });
+
+    const ragCall = sql.mock.calls.find(([strings]) => strings.join('?').includes('UPDATE rag_documents'));
+    const ragQuery = ragCall[0].join('?');
+    expect(ragQuery).toContain("metadata->>'documentId' = ANY(?)");
+    expect(ragQuery).not.toContain('filename');
+    expect(ragCall[ragCall.length - 1]).toEqual(['doc-1']);
+  });
+
+  test('links revisions within the organization library', async () => {
+    const sql = createSqlMock([revision('doc-1', 1, 0)]);
+
+    await applyVersionLineage(
+      sql,
+      'user-1',
+      { documentId: 'doc-2', documentNumber: 'SOP-001', majorVersion: 2, minorVersion: 0, status: 'Effective' },
+      { organizationId: 'org-a' }
+    );
+
+    const siblingQuery = sql.mock.calls.find(([strings]) => strings.join('?').includes('AND document_number = ?'));
+    expect(siblingQuery).toContain('org-a');
+  });
+});
+
+describe('listVersionHistory', () => {
+  test('returns revisions newest first with version labels', async () => {
+    const sql = createSqlMock([
+      { ...revision('doc-1', 1, 0, SUPERSEDED_STATUS), document_number: 'SOP-001', is_current: false },
+      { ...revision('doc-3', 2, 0), document_number: 'SOP-001', is_current: true },
+      { ...revision('doc-2', 1, 1, SUPERSEDED_STATUS), document_number: 'SOP-001', is_current: false },
+    ]);
+
+    const versions = await listVersionHistory(sql, 'user-1', 'SOP-001');
+
+    expect(versions.map(version => version.versionLabel)).toEqual(['2.0', '1.1', '1.0']);
+    expect(versions.map(version => version.isCurrent)).toEqual([true, false, false]);
+  });
+});
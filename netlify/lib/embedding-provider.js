@@ -0,0 +1,232 @@
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+const DEFAULT_OPENAI_DIMENSIONS = 1536;
+const DEFAULT_LOCAL_DIMENSIONS = 256;
+const OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+const OPENAI_BATCH_SIZE = 64;
+const MAX_EMBEDDING_INPUT_LENGTH = 8000;
+
+const providerFactories = new Map();
+let cachedProvider = null;
+let cachedProviderKey = null;
+
+const readEnv = (...names) => {
+  for (const name of names) {
+    const value = process.env[name];
+    if (typeof value === 'string' && value.trim()) {
+      return value.trim();
+    }
+  }
+  return '';
+};
+
+const parsePositiveInteger = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const normalizeInput = (text) => {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  return text.replace(/\s+/g, ' ').trim().slice(0, MAX_EMBEDDING_INPUT_LENGTH);
+};
+
+const normalizeVector = (vector) => {
+  let magnitude = 0;
+  for (const value of vector) {
+    magnitude += value * value;
+  }
+
+  if (magnitude === 0) {
+    return vector;
+  }
+
+  const scale = 1 / Math.sqrt(magnitude);
+  return vector.map(value => value * scale);
+};
+
+// FNV-1a keeps the local embedder deterministic across runtimes without pulling in a crypto dependency.
+const hashToken = (token) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i += 1) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1);
+
+const createLocalEmbeddingProvider = ({ dimensions } = {}) => {
+  const size = parsePositiveInteger(dimensions, DEFAULT_LOCAL_DIMENSIONS);
+
+  const embedText = (text) => {
+    const vector = new Array(size).fill(0);
+    const tokens = tokenize(normalizeInput(text));
+
+    for (const token of tokens) {
+      const features = [token];
+      const padded = `#${token}#`;
+      for (let i = 0; i + 3 <= padded.length; i += 1) {
+        features.push(padded.slice(i, i + 3));
+      }
+
+      for (const feature of features) {
+        const hash = hashToken(feature);
+        const sign = hash & 1 ? 1 : -1;
+        vector[hash % size] += sign;
+      }
+    }
+
+    return normalizeVector(vector);
+  };
+
+  return {
+    name: 'local',
+    model: `hashing-${size}`,
+    id: `local:hashing-${size}`,
+    dimensions: size,
+    embed: async (texts = []) => texts.map(embedText),
+  };
+};
+
+const createOpenAIEmbeddingProvider = ({ apiKey, model, dimensions, fetchImpl } = {}) => {
+  const resolvedKey = apiKey || readEnv('OPENAI_API_KEY');
+  if (!resolvedKey) {
+    return null;
+  }
+
+  const resolvedModel = model || DEFAULT_OPENAI_MODEL;
+  const size = parsePositiveInteger(dimensions, DEFAULT_OPENAI_DIMENSIONS);
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+
+  const requestBatch = async (inputs) => {
+    const response = await doFetch(OPENAI_EMBEDDINGS_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${resolvedKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: resolvedModel,
+        input: inputs,
+        dimensions: size,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      const error = new Error(
+        `OpenAI embeddings request failed (${response.status})${errorText ? `: ${errorText.slice(0, 500)}` : ''}`
+      );
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data?.data)) {
+      throw new Error('Invalid embedding response');
+    }
+
+    return data.data
+      .slice()
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(entry => entry.embedding);
+  };
+
+  return {
+    name: 'openai',
+    model: resolvedModel,
+    id: `openai:${resolvedModel}:${size}`,
+    dimensions: size,
+    embed: async (texts = []) => {
+      const inputs = texts.map(text => normalizeInput(text) || ' ');
+      const vectors = [];
+      for (let i = 0; i < inputs.length; i += OPENAI_BATCH_SIZE) {
+        vectors.push(...(await requestBatch(inputs.slice(i, i + OPENAI_BATCH_SIZE))));
+      }
+      return vectors;
+    },
+  };
+};
+
+export const registerEmbeddingProvider = (name, factory) => {
+  if (typeof name !== 'string' || !name.trim() || typeof factory !== 'function') {
+    throw new Error('Embedding providers require a name and a factory function');
+  }
+  providerFactories.set(name.trim().toLowerCase(), factory);
+  cachedProvider = null;
+  cachedProviderKey = null;
+};
+
+registerEmbeddingProvider('openai', createOpenAIEmbeddingProvider);
+registerEmbeddingProvider('local', createLocalEmbeddingProvider);
+
+/**
+ * Resolve the embedding provider configured through RAG_EMBEDDING_PROVIDER.
+ * Defaults to OpenAI when an API key is present and returns null when embeddings are disabled,
+ * so callers can fall back to full-text search.
+ */
+export const getEmbeddingProvider = (options = {}) => {
+  if (typeof global.__RAG_EMBEDDING_PROVIDER_MOCK__ === 'object' && global.__RAG_EMBEDDING_PROVIDER_MOCK__) {
+    return global.__RAG_EMBEDDING_PROVIDER_MOCK__;
+  }
+
+  const configuredName = (options.provider || readEnv('RAG_EMBEDDING_PROVIDER')).toLowerCase();
+  const name = configuredName || (readEnv('OPENAI_API_KEY') ? 'openai' : 'none');
+
+  if (name === 'none' || name === 'disabled') {
+    return null;
+  }
+
+  const dimensions = options.dimensions || readEnv('RAG_EMBEDDING_DIMENSIONS');
+  const model = options.model || readEnv('RAG_EMBEDDING_MODEL');
+  const key = `${name}:${model}:${dimensions}`;
+
+  if (cachedProviderKey === key && !options.fetchImpl) {
+    return cachedProvider;
+  }
+
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    console.warn(`Unknown embedding provider "${name}"; semantic search is disabled.`);
+    return null;
+  }
+
+  const provider = factory({ ...options, model: model || undefined, dimensions }) || null;
+  if (!options.fetchImpl) {
+    cachedProvider = provider;
+    cachedProviderKey = key;
+  }
+  return provider;
+};
+
+/**
+ * Serialize an embedding into the text form accepted by pgvector (e.g. "[0.1,0.2]").
+ */
+export const toVectorLiteral = (vector) => {
+  if (!Array.isArray(vector) || vector.length === 0) {
+    return null;
+  }
+
+  if (!vector.every(value => Number.isFinite(value))) {
+    return null;
+  }
+
+  return `[${vector.join(',')}]`;
+};
+
+export const __internal = {
+  createLocalEmbeddingProvider,
+  createOpenAIEmbeddingProvider,
+  normalizeVector,
+  tokenize,
+  resetCache: () => {
+    cachedProvider = null;
+    cachedProviderKey = null;
+  },
+};
@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+describe('embedding provider selection', () => {
+  afterEach(() => {
+    delete process.env.RAG_EMBEDDING_PROVIDER;
+    delete process.env.RAG_EMBEDDING_DIMENSIONS;
+    delete process.env.OPENAI_API_KEY;
+    delete global.__RAG_EMBEDDING_PROVIDER_MOCK__;
+    jest.resetModules();
+  });
+
+  const loadModule = async () => {
+    jest.resetModules();
+    return import('./embedding-provider.js');
+  };
+
+  test('returns null when no provider or OpenAI key is configured', async () => {
+    const { getEmbeddingProvider } = await loadModule();
+    expect(getEmbeddingProvider()).toBeNull();
+  });
+
+  test('defaults to OpenAI when an API key is present', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    const { getEmbeddingProvider } = await loadModule();
+
+    const provider = getEmbeddingProvider();
+    expect(provider.name).toBe('openai');
+    expect(provider.dimensions).toBe(1536);
+  });
+
+  test('supports registering custom providers', async () => {
+    process.env.RAG_EMBEDDING_PROVIDER = 'onprem';
+    const { getEmbeddingProvider, registerEmbeddingProvider } = await loadModule();
+
+    registerEmbeddingProvider('onprem', () => ({
+      name: 'onprem',
+      id: 'onprem:test',
+      dimensions: 2,
+      embed: async (texts) => texts.map(() => [1, 0]),
+    }));
+
+    const provider = getEmbeddingProvider();
+    expect(provider.id).toBe('onprem:test');
+    await expect(provider.embed(['a'])).resolves.toEqual([[1, 0]]);
+  });
+});
+
+describe('local embedding provider', () => {
+  test('produces deterministic, normalised vectors of the configured size', async () => {
+    const { __internal } = await import('./embedding-provider.js');
+    const provider = __internal.createLocalEmbeddingProvider({ dimensions: 64 });
+
+    const [first] = await provider.embed(['Batch record retention period']);
+    const [second] = await provider.embed(['Batch record retention period']);
+
+    expect(first).toHaveLength(64);
+    expect(first).toEqual(second);
+    expect(cosine(first, first)).toBeCloseTo(1, 5);
+  });
+
+  test('scores related phrasing above unrelated text', async () => {
+    const { __internal } = await import('./embedding-provider.js');
+    const provider = __internal.createLocalEmbeddingProvider();
+
+    const [query, related, unrelated] = await provider.embed([
+      'how long do we keep batch records',
+      'Batch records shall be kept for one year after expiry of the batch.',
+      'Gowning procedure for grade A cleanroom entry.',
+    ]);
+
+    expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+  });
+});
+
+describe('OpenAI embedding provider', () => {
+  test('batches inputs and orders vectors by index', async () => {
+    const { __internal } = await import('./embedding-provider.js');
+    const fetchImpl = jest.fn(async (url, options) => {
+      const body = JSON.parse(options.body);
+      return {
+        ok: true,
+        json: async () => ({
+          data: body.input
+            .map((_, index) => ({ index, embedding: [index, body.input.length] }))
+            .reverse(),
+        }),
+      };
+    });
+
+    const provider = __internal.createOpenAIEmbeddingProvider({ apiKey: 'sk-test', dimensions: 2, fetchImpl });
+    const vectors = await provider.embed(['a', 'b', 'c']);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toEqual(
+      expect.objectContaining({ model: 'text-embedding-3-small', dimensions: 2 })
+    );
+    expect(vectors).toEqual([[0, 3], [1, 3], [2, 3]]);
+  });
+
+  test('surfaces API failures with the response status', async () => {
+    const { __internal } = await import('./embedding-provider.js');
+    const fetchImpl = jest.fn(async () => ({ ok: false, status: 429, text: async () => 'rate limited' }));
+
+    const provider = __internal.createOpenAIEmbeddingProvider({ apiKey: 'sk-test', fetchImpl });
+
+    await expect(provider.embed(['a'])).rejects.toMatchObject({ statusCode: 429 });
+  });
+});
+
+describe('toVectorLiteral', () => {
+  test('serialises finite vectors and rejects invalid input', async () => {
+    const { toVectorLiteral } = await import('./embedding-provider.js');
+
+    expect(toVectorLiteral([0.5, -1, 0])).toBe('[0.5,-1,0]');
+    expect(toVectorLiteral([])).toBeNull();
+    expect(toVectorLiteral([NaN])).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+// Useful / not useful votes on learning suggestions. Each vote names the suggested target (a
+// document section or a training resource) and the question terms that produced it, so future
+// suggestions can favour documents and topics the user found helpful and drop the ones they did not.
+
+export const SUGGESTION_TARGET_TYPES = Object.freeze({
+  DOCUMENT_SECTION: 'document_section',
+  TRAINING_RESOURCE: 'training_resource',
+});
+
+const MAX_TERMS = 12;
+const FEEDBACK_HISTORY_LIMIT = 500;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let ensuredSuggestionFeedbackSchemaPromise = null;
+
+export async function ensureSuggestionFeedbackSchema(sql) {
+  if (!ensuredSuggestionFeedbackSchemaPromise) {
+    ensuredSuggestionFeedbackSchemaPromise = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS learning_suggestion_feedback (
+          user_id VARCHAR(255) NOT NULL,
+          target_key TEXT NOT NULL,
+          target_type VARCHAR(32) NOT NULL,
+          document_id TEXT,
+          terms TEXT[] NOT NULL DEFAULT '{}',
+          useful BOOLEAN NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (user_id, target_key)
+        )
+      `;
+    })().catch(error => {
+      ensuredSuggestionFeedbackSchemaPromise = null;
+      throw error;
+    });
+  }
+
+  return ensuredSuggestionFeedbackSchemaPromise;
+}
+
+const normalizeTerms = (terms) =>
+  [...new Set((Array.isArray(terms) ? terms : [])
+    .map(term => (typeof term === 'string' ? term.trim().toLowerCase() : ''))
+    .filter(Boolean))]
+    .slice(0, MAX_TERMS);
+
+/**
+ * Record or change the caller's vote on one suggestion target. Voting again on the same target
+ * replaces the earlier vote.
+ */
+export async function recordSuggestionFeedback(sql, userId, { targetKey, targetType, documentId = null, terms = [], useful } = {}) {
+  const key = typeof targetKey === 'string' ? targetKey.trim() : '';
+  if (!key) {
+    throw createError('targetKey is required', 400);
+  }
+  if (!Object.values(SUGGESTION_TARGET_TYPES).includes(targetType)) {
+    throw createError(`Unsupported suggestion target type: ${targetType}`, 400);
+  }
+  if (typeof useful !== 'boolean') {
+    throw createError('useful must be true or false', 400);
+  }
+
+  await ensureSuggestionFeedbackSchema(sql);
+
+  const [row] = await sql`
+    INSERT INTO learning_suggestion_feedback (user_id, target_key, target_type, document_id, terms, useful)
+    VALUES (${userId}, ${key}, ${targetType}, ${documentId ? String(documentId) : null}, ${normalizeTerms(terms)}::text[], ${useful})
+    ON CONFLICT (user_id, target_key) DO UPDATE SET
+      target_type = EXCLUDED.target_type,
+      document_id = EXCLUDED.document_id,
+      terms = EXCLUDED.terms,
+      useful = EXCLUDED.useful,
+      updated_at = NOW()
+    RETURNING target_key, useful, updated_at
+  `;
+
+  return { targetKey: row.target_key, useful: row.useful, updatedAt: row.updated_at };
+}
+
+/**
+ * Fold individual votes into the weights the suggestion ranker uses: the vote per target, a net
+ * score per document and a net score per question term. Useful counts +1, not useful -1.
+ */
+export const summarizeSuggestionFeedback = (rows = []) => {
+  const targets = {};
+  const documentWeights = {};
+  const termWeights = {};
+
+  rows.forEach(row => {
+    const delta = row.useful ? 1 : -1;
+    targets[row.target_key] = row.useful;
+    if (row.document_id) {
+      documentWeights[row.document_id] = (documentWeights[row.document_id] || 0) + delta;
+    }
+    normalizeTerms(row.terms).forEach(term => {
+      termWeights[term] = (termWeights[term] || 0) + delta;
+    });
+  });
+
+  return { targets, documentWeights, termWeights };
+};
+
+export async function getSuggestionFeedback(sql, userId) {
+  await ensureSuggestionFeedbackSchema(sql);
+
+  const rows = await sql`
+    SELECT target_key, document_id, terms, useful
+      FROM learning_suggestion_feedback
+     WHERE user_id = ${userId}
+     ORDER BY updated_at DESC
+     LIMIT ${FEEDBACK_HISTORY_LIMIT}
+  `;
+
+  return summarizeSuggestionFeedback(rows);
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredSuggestionFeedbackSchemaPromise = null;
+  },
+};
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  recordSuggestionFeedback,
+  summarizeSuggestionFeedback,
+} from './learning-suggestion-feedback.js';
+
+const createSqlMock = () =>
+  jest.fn(async (strings) => {
+    const text = strings.join('?');
+    if (text.includes('INSERT INTO learning_suggestion_feedback')) {
+      return [{ target_key: 'doc:7:4.2', useful: false, updated_at: '2026-10-01T00:00:00.000Z' }];
+    }
+    return [];
+  });
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+});
+
+describe('summarizeSuggestionFeedback', () => {
+  test('nets votes per document and per term', () => {
+    const summary = summarizeSuggestionFeedback([
+      { target_key: 'doc:7:4.2', document_id: '7', terms: ['deviation', 'Batch'], useful: false },
+      { target_key: 'doc:7:5.1', document_id: '7', terms: ['deviation'], useful: false },
+      { target_key: 'resource:3', document_id: null, terms: ['batch', 'release'], useful: true },
+    ]);
+
+    expect(summary.targets).toEqual({ 'doc:7:4.2': false, 'doc:7:5.1': false, 'resource:3': true });
+    expect(summary.documentWeights).toEqual({ 7: -2 });
+    expect(summary.termWeights).toEqual({ deviation: -2, batch: 0, release: 1 });
+  });
+});
+
+describe('recordSuggestionFeedback', () => {
+  test('upserts the vote with normalized terms', async () => {
+    const sql = createSqlMock();
+
+    const result = await recordSuggestionFeedback(sql, 'user-1', {
+      targetKey: 'doc:7:4.2',
+      targetType: 'document_section',
+      documentId: 7,
+      terms: [' Deviation ', 'deviation', ''],
+      useful: false,
+    });
+
+    expect(result).toEqual({ targetKey: 'doc:7:4.2', useful: false, updatedAt: '2026-10-01T00:00:00.000Z' });
+    const insert = sql.mock.calls.find(([strings]) => strings.join('?').includes('INSERT INTO'));
+    expect(insert.slice(1)).toEqual(['user-1', 'doc:7:4.2', 'document_section', '7', ['deviation'], false]);
+  });
+
+  test('rejects votes without a target or a yes/no answer', async () => {
+    const sql = createSqlMock();
+
+    await expect(recordSuggestionFeedback(sql, 'user-1', { targetType: 'document_section', useful: true }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(recordSuggestionFeedback(sql, 'user-1', { targetKey: 'x', targetType: 'web', useful: true }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(recordSuggestionFeedback(sql, 'user-1', { targetKey: 'x', targetType: 'document_section', useful: 'yes' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(sql).not.toHaveBeenCalled();
+  });
+});
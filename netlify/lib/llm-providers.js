@@ -0,0 +1,143 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+
+// Server-side counterpart of src/config/modelConfig.js. Every provider is reached through the
+// OpenAI SDK: Groq, Anthropic and self-hosted servers expose OpenAI-compatible endpoints, and
+// Azure OpenAI has its own client class in the SDK.
+
+export const DEFAULT_CHAT_PROVIDER = 'openai';
+
+const readEnv = (env, name) => env[name] || env[`REACT_APP_${name}`] || '';
+
+const parseList = (value, fallback = []) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return fallback;
+  }
+  const items = value.split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : fallback;
+};
+
+const PROVIDER_DEFINITIONS = [
+  {
+    id: 'openai',
+    name: 'OpenAI',
+    models: (env) => parseList(readEnv(env, 'OPENAI_MODELS'), ['gpt-4', 'gpt-4o', 'gpt-4o-mini']),
+    defaultModel: 'gpt-4',
+    configured: (env) => Boolean(readEnv(env, 'OPENAI_API_KEY')),
+    createClient: (env) => new OpenAI({ apiKey: readEnv(env, 'OPENAI_API_KEY') }),
+  },
+  {
+    id: 'groq',
+    name: 'Groq',
+    models: (env) => parseList(readEnv(env, 'GROQ_MODELS'), ['llama-3.3-70b-versatile', 'openai/gpt-oss-120b']),
+    defaultModel: 'llama-3.3-70b-versatile',
+    configured: (env) => Boolean(readEnv(env, 'GROQ_API_KEY')),
+    createClient: (env) => new OpenAI({
+      apiKey: readEnv(env, 'GROQ_API_KEY'),
+      baseURL: 'https://api.groq.com/openai/v1',
+    }),
+  },
+  {
+    id: 'azure-openai',
+    name: 'Azure OpenAI',
+    // Azure routes by deployment, so the configured deployments double as the model list
+    models: (env) => parseList(readEnv(env, 'AZURE_OPENAI_DEPLOYMENTS')),
+    configured: (env) => Boolean(
+      readEnv(env, 'AZURE_OPENAI_ENDPOINT') &&
+      readEnv(env, 'AZURE_OPENAI_API_KEY') &&
+      readEnv(env, 'AZURE_OPENAI_DEPLOYMENTS')
+    ),
+    createClient: (env) => new AzureOpenAI({
+      endpoint: readEnv(env, 'AZURE_OPENAI_ENDPOINT'),
+      apiKey: readEnv(env, 'AZURE_OPENAI_API_KEY'),
+      apiVersion: readEnv(env, 'AZURE_OPENAI_API_VERSION') || '2024-10-21',
+    }),
+  },
+  {
+    id: 'anthropic',
+    name: 'Anthropic Claude',
+    models: (env) => parseList(readEnv(env, 'ANTHROPIC_MODELS'), ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest']),
+    defaultModel: 'claude-3-5-sonnet-latest',
+    configured: (env) => Boolean(readEnv(env, 'ANTHROPIC_API_KEY')),
+    createClient: (env) => new OpenAI({
+      apiKey: readEnv(env, 'ANTHROPIC_API_KEY'),
+      baseURL: 'https://api.anthropic.com/v1/',
+    }),
+  },
+  {
+    id: 'local',
+    name: 'On-premises model',
+    keepsDataOnPremises: true,
+    models: (env) => parseList(readEnv(env, 'LOCAL_LLM_MODELS')),
+    configured: (env) => Boolean(readEnv(env, 'LOCAL_LLM_BASE_URL') && readEnv(env, 'LOCAL_LLM_MODELS')),
+    createClient: (env) => new OpenAI({
+      // Self-hosted servers are often unauthenticated, but the SDK insists on a key
+      apiKey: readEnv(env, 'LOCAL_LLM_API_KEY') || 'not-required',
+      baseURL: readEnv(env, 'LOCAL_LLM_BASE_URL'),
+    }),
+  },
+];
+
+const resolveDefinition = (definition, env) => {
+  const models = definition.models(env);
+  return {
+    id: definition.id,
+    name: definition.id === 'local' ? readEnv(env, 'LOCAL_LLM_NAME') || definition.name : definition.name,
+    models,
+    defaultModel: models.includes(definition.defaultModel) ? definition.defaultModel : models[0] || null,
+    configured: definition.configured(env),
+    keepsDataOnPremises: Boolean(definition.keepsDataOnPremises),
+  };
+};
+
+/**
+ * Describe every chat provider and whether the current environment configures it.
+ */
+export function listChatProviders(env = process.env) {
+  return PROVIDER_DEFINITIONS.map(definition => resolveDefinition(definition, env));
+}
+
+export function getChatProviderConfig(providerId, env = process.env) {
+  const definition = PROVIDER_DEFINITIONS.find(candidate => candidate.id === providerId);
+  return definition ? resolveDefinition(definition, env) : null;
+}
+
+const chatClients = new Map();
+
+const resolveModel = (config, requestedModel) =>
+  requestedModel && config.models.includes(requestedModel) ? requestedModel : config.defaultModel;
+
+/**
+ * Return `{ client, model, provider }` for a chat provider. Unknown providers fall back to OpenAI,
+ * as the functions always have; a requested model outside the provider's list uses its default.
+ * Clients are created on first use so importing this module does not require every provider key.
+ */
+export function getChatClient(providerId, { model, env = process.env } = {}) {
+  const definition =
+    PROVIDER_DEFINITIONS.find(candidate => candidate.id === providerId) ||
+    PROVIDER_DEFINITIONS.find(candidate => candidate.id === DEFAULT_CHAT_PROVIDER);
+  const config = resolveDefinition(definition, env);
+
+  if (!config.configured) {
+    const error = new Error(`${config.name} is not configured on the server`);
+    error.statusCode = 503;
+    throw error;
+  }
+
+  // Only clients built from the process environment are cached
+  let client;
+  if (env === process.env) {
+    if (!chatClients.has(config.id)) {
+      chatClients.set(config.id, definition.createClient(env));
+    }
+    client = chatClients.get(config.id);
+  } else {
+    client = definition.createClient(env);
+  }
+
+  return { client, model: resolveModel(config, model), provider: config.id };
+}
+
+export const __internal = {
+  parseList,
+  resetClients: () => chatClients.clear(),
+};
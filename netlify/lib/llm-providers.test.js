@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+
+class MockOpenAI {
+  constructor(options) {
+    this.options = options;
+    this.baseURL = options.baseURL;
+  }
+}
+
+class MockAzureOpenAI extends MockOpenAI {}
+
+jest.unstable_mockModule('openai', () => ({
+  default: MockOpenAI,
+  AzureOpenAI: MockAzureOpenAI,
+}));
+
+const { getChatClient, getChatProviderConfig, listChatProviders } = await import('./llm-providers.js');
+
+describe('listChatProviders', () => {
+  test('reports which providers the environment configures', () => {
+    const providers = listChatProviders({ OPENAI_API_KEY: 'sk-test', LOCAL_LLM_BASE_URL: 'http://llm.internal/v1' });
+    const configured = Object.fromEntries(providers.map(provider => [provider.id, provider.configured]));
+
+    expect(configured).toEqual({
+      openai: true,
+      groq: false,
+      'azure-openai': false,
+      anthropic: false,
+      // An on-premises server also needs at least one model name
+      local: false,
+    });
+  });
+
+  test('uses configured model lists and falls back to the first model', () => {
+    const env = {
+      LOCAL_LLM_BASE_URL: 'http://llm.internal/v1',
+      REACT_APP_LOCAL_LLM_MODELS: 'qwen2.5-72b, llama-3.1-70b',
+      LOCAL_LLM_NAME: 'Site LLM',
+    };
+
+    expect(getChatProviderConfig('local', env)).toEqual({
+      id: 'local',
+      name: 'Site LLM',
+      models: ['qwen2.5-72b', 'llama-3.1-70b'],
+      defaultModel: 'qwen2.5-72b',
+      configured: true,
+      keepsDataOnPremises: true,
+    });
+  });
+});
+
+describe('getChatClient', () => {
+  test('routes OpenAI-compatible providers to their base URL and honours listed models', () => {
+    const env = { LOCAL_LLM_BASE_URL: 'http://llm.internal/v1', LOCAL_LLM_MODELS: 'qwen2.5-72b,llama-3.1-70b' };
+
+    const { client, model, provider } = getChatClient('local', { env, model: 'llama-3.1-70b' });
+
+    expect(provider).toBe('local');
+    expect(model).toBe('llama-3.1-70b');
+    expect(client.baseURL).toBe('http://llm.internal/v1');
+    expect(getChatClient('local', { env, model: 'gpt-4' }).model).toBe('qwen2.5-72b');
+  });
+
+  test('builds an Azure client from the endpoint, key and API version', () => {
+    const env = {
+      AZURE_OPENAI_ENDPOINT: 'https://qa.openai.azure.com',
+      AZURE_OPENAI_API_KEY: 'azure-key',
+      AZURE_OPENAI_DEPLOYMENTS: 'gpt-4o-eu',
+    };
+
+    const { client, model } = getChatClient('azure-openai', { env });
+
+    expect(client).toBeInstanceOf(MockAzureOpenAI);
+    expect(client.options).toEqual({
+      endpoint: 'https://qa.openai.azure.com',
+      apiKey: 'azure-key',
+      apiVersion: '2024-10-21',
+    });
+    expect(model).toBe('gpt-4o-eu');
+  });
+
+  test('falls back to OpenAI for unknown providers', () => {
+    const { provider, model } = getChatClient('mystery', { env: { OPENAI_API_KEY: 'sk-test' } });
+
+    expect(provider).toBe('openai');
+    expect(model).toBe('gpt-4');
+  });
+
+  test('rejects providers that are not configured', () => {
+    expect(() => getChatClient('anthropic', { env: {} })).toThrow(
+      expect.objectContaining({ statusCode: 503, message: 'Anthropic Claude is not configured on the server' })
+    );
+  });
+});
@@ -0,0 +1,367 @@
+// Organization (tenant) scoping shared by every function that stores documents, training
+// resources or summaries.
+//
+// A row is either personal (organization_id IS NULL, visible to its uploader only) or owned by an
+// organization (visible to every member, managed by the organization's admins). Queries apply the
+// same predicate everywhere:
+//
+//   (user_id = <user> AND organization_id IS NULL) OR organization_id = <organization>
+//
+// using the caller's organization for reads and `getManageableOrganization()` for writes, so a row
+// from another organization can never match. Document tables add access control lists on top;
+// `documentScopePredicate` builds their read predicate for every query that lists or loads them.
+
+export const PERSONAL_SCOPE = 'personal';
+export const ORGANIZATION_SCOPE = 'organization';
+
+const PLATFORM_ADMIN_ROLES = new Set(['admin', 'administrator', 'superadmin', 'system_admin', 'global_admin']);
+const ORGANIZATION_ADMIN_ROLES = new Set([
+  'org_admin',
+  'org-admin',
+  'organization_admin',
+  'organization-admin',
+  'organisation_admin',
+  'organisation-admin',
+]);
+
+export const getHeaderValue = (headersMap, key) => {
+  if (!headersMap) return null;
+
+  // Netlify v2 functions receive a Fetch API Headers instance, which is already case-insensitive
+  if (typeof headersMap.get === 'function') {
+    return headersMap.get(key);
+  }
+
+  return headersMap[key] || headersMap[key.toLowerCase()] || headersMap[key.toUpperCase()] || null;
+};
+
+export const parseRolesHeader = (rawValue) => {
+  if (!rawValue || typeof rawValue !== 'string') {
+    return [];
+  }
+
+  return rawValue
+    .split(/[;,]/)
+    .map(role => role.split(/\s+/))
+    .flat()
+    .map(role => (typeof role === 'string' ? role.trim() : ''))
+    .filter(Boolean);
+};
+
+const normalizeRoleList = (roles) =>
+  Array.isArray(roles) ? roles.map(role => (typeof role === 'string' ? role.trim() : '')).filter(Boolean) : [];
+
+export const extractUserRoles = (event, context) => {
+  const headerRolesValue =
+    getHeaderValue(event?.headers, 'x-user-roles') ||
+    getHeaderValue(event?.headers, 'x-user-role') ||
+    getHeaderValue(event?.headers, 'x_roles');
+
+  let roles = parseRolesHeader(headerRolesValue);
+
+  if (roles.length === 0) {
+    roles = normalizeRoleList(context?.clientContext?.user?.app_metadata?.roles);
+  }
+
+  if (roles.length === 0) {
+    roles = normalizeRoleList(context?.clientContext?.user?.roles);
+  }
+
+  return Array.from(new Set(roles.map(role => role.toLowerCase())));
+};
+
+// Groups are matched by document ACLs; they come from the identity provider like roles do
+export const extractUserGroups = (event, context) => {
+  let groups = parseRolesHeader(getHeaderValue(event?.headers, 'x-user-groups'));
+
+  if (groups.length === 0) {
+    groups = normalizeRoleList(context?.clientContext?.user?.app_metadata?.groups);
+  }
+
+  return Array.from(new Set(groups.map(group => group.toLowerCase())));
+};
+
+export const extractUserOrganization = (event, context) => {
+  const headerOrganization =
+    getHeaderValue(event?.headers, 'x-user-organization') ||
+    getHeaderValue(event?.headers, 'x-organization') ||
+    getHeaderValue(event?.headers, 'x_org');
+
+  if (typeof headerOrganization === 'string' && headerOrganization.trim()) {
+    return headerOrganization.trim();
+  }
+
+  const contextOrganization =
+    context?.clientContext?.user?.app_metadata?.organization || context?.clientContext?.user?.organization;
+
+  if (typeof contextOrganization === 'string' && contextOrganization.trim()) {
+    return contextOrganization.trim();
+  }
+
+  return null;
+};
+
+export const rolesIncludeAdmin = (roles = []) => roles.some(role => PLATFORM_ADMIN_ROLES.has(role.trim().toLowerCase()));
+
+/**
+ * Resolve the caller's organization and roles. Platform administrators who belong to an
+ * organization can also manage that organization's library.
+ *
+ * @returns {{ organizationId: string|null, roles: string[], groups: string[], isAdmin: boolean, isOrganizationAdmin: boolean }}
+ */
+export const resolveTenant = (event, context) => {
+  const roles = extractUserRoles(event, context);
+  const groups = extractUserGroups(event, context);
+  const organizationId = extractUserOrganization(event, context);
+  const isAdmin = rolesIncludeAdmin(roles);
+  const isOrganizationAdmin =
+    Boolean(organizationId) && (isAdmin || roles.some(role => ORGANIZATION_ADMIN_ROLES.has(role)));
+
+  return { organizationId, roles, groups, isAdmin, isOrganizationAdmin };
+};
+
+/**
+ * The organization whose rows the caller may change, or null when they may only change their own
+ * personal rows.
+ */
+export const getManageableOrganization = (tenant = {}) =>
+  tenant.isOrganizationAdmin ? tenant.organizationId || null : null;
+
+export const normalizeScope = (scope) => {
+  const normalized = typeof scope === 'string' ? scope.trim().toLowerCase() : '';
+  return ['organization', 'organisation', 'org', 'team'].includes(normalized) ? ORGANIZATION_SCOPE : PERSONAL_SCOPE;
+};
+
+/**
+ * Work out the organization_id for a new row. Personal rows get null; adding to the organization
+ * library requires membership and organization admin rights.
+ */
+export const resolveOwnerOrganization = (tenant = {}, scope) => {
+  if (normalizeScope(scope) !== ORGANIZATION_SCOPE) {
+    return null;
+  }
+
+  if (!tenant.organizationId) {
+    const error = new Error('You must belong to an organization to add items to its library');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!tenant.isOrganizationAdmin) {
+    const error = new Error('Only organization administrators can manage the organization library');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return tenant.organizationId;
+};
+
+const readRowOrganization = (row = {}) => row.organization_id ?? row.organizationId ?? null;
+const readRowOwner = (row = {}) => row.user_id ?? row.userId ?? null;
+
+/**
+ * In-process equivalents of the SQL predicate, for records that are not read through a scoped query.
+ */
+export const canReadRecord = (tenant = {}, userId, row) => {
+  if (!row) return false;
+  const organizationId = readRowOrganization(row);
+  if (organizationId) {
+    return Boolean(tenant.organizationId) && organizationId === tenant.organizationId;
+  }
+  return Boolean(userId) && readRowOwner(row) === userId;
+};
+
+export const canManageRecord = (tenant = {}, userId, row) => {
+  if (!row) return false;
+  const organizationId = readRowOrganization(row);
+  if (organizationId) {
+    return organizationId === getManageableOrganization(tenant);
+  }
+  return Boolean(userId) && readRowOwner(row) === userId;
+};
+
+export const describeScope = (row = {}) => (readRowOrganization(row) ? ORGANIZATION_SCOPE : PERSONAL_SCOPE);
+
+const SQL_FRAGMENT = Symbol('sqlFragment');
+
+/**
+ * A piece of SQL with its own bound values. Neon binds every interpolation as a parameter, so a
+ * fragment only becomes SQL inside a statement written with `withSqlFragments`, or one built as
+ * text with `renderSqlFragment`.
+ */
+export const sqlFragment = (strings, ...values) => ({ [SQL_FRAGMENT]: true, strings: [...strings], values });
+
+export const isSqlFragment = (value) => Boolean(value && value[SQL_FRAGMENT]);
+
+// Column references cannot be bound; they come from the calling code and are checked anyway
+const sqlIdentifier = (name) => {
+  if (!/^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?(::[a-z]+)?$/i.test(name)) {
+    throw new Error(`Invalid column reference: ${name}`);
+  }
+  return { [SQL_FRAGMENT]: true, strings: [name], values: [] };
+};
+
+const flattenSqlFragments = (strings, values) => {
+  const flatStrings = [strings[0]];
+  const flatValues = [];
+
+  values.forEach((value, index) => {
+    if (isSqlFragment(value)) {
+      const inner = flattenSqlFragments(value.strings, value.values);
+      flatStrings[flatStrings.length - 1] += inner.strings[0];
+      flatStrings.push(...inner.strings.slice(1));
+      flatValues.push(...inner.values);
+      flatStrings[flatStrings.length - 1] += strings[index + 1];
+    } else {
+      flatValues.push(value);
+      flatStrings.push(strings[index + 1]);
+    }
+  });
+
+  return { strings: flatStrings, values: flatValues };
+};
+
+/**
+ * Wrap a Neon query function so fragments interpolated into its statements are spliced in.
+ */
+export const withSqlFragments = (sql) => (strings, ...values) => {
+  const flat = flattenSqlFragments(strings, values);
+  return sql(flat.strings, ...flat.values);
+};
+
+/**
+ * Render a fragment for a statement built as text, numbering its placeholders from `firstParam`.
+ * @returns {{ text: string, values: Array }}
+ */
+export const renderSqlFragment = (fragment, firstParam) => {
+  const flat = flattenSqlFragments(fragment.strings, fragment.values);
+  const text = flat.strings.reduce((result, part, index) => `${result}$${firstParam + index - 1}${part}`);
+  return { text, values: flat.values };
+};
+
+const documentColumns = ({ alias = null, idColumn = 'document_id' } = {}) => {
+  // Inside the ACL subqueries an unqualified `id` would resolve to document_permissions.id
+  if (!alias && /^id\b/.test(idColumn)) {
+    throw new Error('Qualify the id column with the table name or alias');
+  }
+  const column = (name) => sqlIdentifier(alias ? `${alias}.${name}` : name);
+  return { owner: column('user_id'), organization: column('organization_id'), id: column(idColumn) };
+};
+
+/**
+ * True for a `document_permissions` row (as `acl`) that names the caller: their user id, or one of
+ * their roles or groups granted within their current organization.
+ */
+export const documentAclEntryMatches = (access, userId) => sqlFragment`(
+      (acl.principal_type = 'user' AND acl.principal_id = ${userId}
+        AND (acl.organization_id IS NULL OR acl.organization_id = ${access.organizationId}))
+      OR (acl.principal_type = 'role' AND acl.principal_id = ANY(${access.roles}::text[])
+        AND acl.organization_id IS NOT DISTINCT FROM ${access.organizationId})
+      OR (acl.principal_type = 'group' AND acl.principal_id = ANY(${access.groups}::text[])
+        AND acl.organization_id IS NOT DISTINCT FROM ${access.organizationId})
+    )`;
+
+const aclEntriesFor = (access, id) => sqlFragment`SELECT 1 FROM document_permissions acl
+     WHERE acl.resource_type = ${access.resourceType} AND acl.resource_id = ${id}`;
+
+/**
+ * Read predicate for a document table, from the access resolved by `resolveDocumentAccess`: the
+ * caller's own uploads (organization ones only while they belong to that organization), the
+ * organization library (all of it for its admins, the part without ACL entries for members) and
+ * anything shared with the caller through an ACL entry. ACL entries are looked up per row, so the
+ * statement never reads entries of documents it does not return.
+ * `alias` qualifies the columns when the table is joined; `idColumn` is the document id as text.
+ */
+export const documentScopePredicate = (access, userId, columns) => {
+  const { owner, organization, id } = documentColumns(columns);
+
+  return sqlFragment`((${owner} = ${userId} AND (${organization} IS NULL OR ${organization} = ${access.organizationId}))
+    OR ${organization} = ${access.manageableOrganization}
+    OR (${organization} = ${access.organizationId} AND NOT EXISTS (${aclEntriesFor(access, id)}))
+    OR EXISTS (${aclEntriesFor(access, id)} AND ${documentAclEntryMatches(access, userId)}))`;
+};
+
+/**
+ * Edit predicate: the owner of a personal document, the admins of the owning organization and
+ * principals with an `edit` entry.
+ */
+export const documentEditPredicate = (access, userId, columns) => {
+  const { owner, organization, id } = documentColumns(columns);
+
+  return sqlFragment`((${owner} = ${userId} AND ${organization} IS NULL)
+    OR ${organization} = ${access.manageableOrganization}
+    OR EXISTS (${aclEntriesFor(access, id)} AND acl.permission = 'edit' AND ${documentAclEntryMatches(access, userId)}))`;
+};
+
+/**
+ * True for documents without ACL entries. Used where a document reaches callers some other way,
+ * such as being shared with all users.
+ */
+export const documentUnrestrictedPredicate = (access, columns) => {
+  const { id } = documentColumns(columns);
+  return sqlFragment`NOT EXISTS (${aclEntriesFor(access, id)})`;
+};
+
+// Table names cannot be bound as parameters, so each scoped table has its own migration
+const ORGANIZATION_COLUMN_MIGRATIONS = {
+  rag_documents: async (sql) => {
+    await sql`ALTER TABLE rag_documents ADD COLUMN IF NOT EXISTS organization_id TEXT`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_rag_documents_organization_id ON rag_documents(organization_id)`;
+  },
+  rag_user_documents: async (sql) => {
+    await sql`ALTER TABLE rag_user_documents ADD COLUMN IF NOT EXISTS organization_id TEXT`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_rag_user_documents_organization_id ON rag_user_documents(organization_id)`;
+  },
+  document_index: async (sql) => {
+    await sql`ALTER TABLE document_index ADD COLUMN IF NOT EXISTS organization_id TEXT`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_document_index_organization_id ON document_index(organization_id)`;
+  },
+  training_resources: async (sql) => {
+    await sql`ALTER TABLE training_resources ADD COLUMN IF NOT EXISTS organization_id TEXT`;
+    await sql`CREATE INDEX IF NOT EXISTS idx_training_resources_organization_id ON training_resources(organization_id)`;
+  },
+  summaries: async (sql) => {
+    await sql`
+      ALTER TABLE summaries
+        ADD COLUMN IF NOT EXISTS user_id TEXT,
+        ADD COLUMN IF NOT EXISTS organization_id TEXT
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS idx_summaries_organization_id ON summaries(organization_id)`;
+  },
+};
+
+const ensuredTables = new Map();
+
+/**
+ * Add the organization_id column to a scoped table. Tables another function creates lazily may not
+ * exist yet; those are skipped and retried on the next call.
+ */
+export async function ensureOrganizationColumn(sql, table) {
+  const migrate = ORGANIZATION_COLUMN_MIGRATIONS[table];
+  if (!migrate) {
+    throw new Error(`No organization scoping is defined for table ${table}`);
+  }
+
+  if (!ensuredTables.has(table)) {
+    ensuredTables.set(
+      table,
+      (async () => {
+        const [existing] = await sql`SELECT to_regclass(${table}) AS table_oid`;
+        if (!existing?.table_oid) {
+          ensuredTables.delete(table);
+          return;
+        }
+        await migrate(sql);
+      })().catch(error => {
+        ensuredTables.delete(table);
+        throw error;
+      })
+    );
+  }
+
+  return ensuredTables.get(table);
+}
+
+export const __internal = {
+  resetEnsuredTables: () => ensuredTables.clear(),
+};
@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  canManageRecord,
+  canReadRecord,
+  describeScope,
+  documentScopePredicate,
+  documentUnrestrictedPredicate,
+  ensureOrganizationColumn,
+  getManageableOrganization,
+  renderSqlFragment,
+  resolveOwnerOrganization,
+  resolveTenant,
+  withSqlFragments,
+} from './organization-scope.js';
+
+const eventWith = (headers = {}) => ({ headers });
+
+const member = { organizationId: 'org-a', roles: ['user'], isAdmin: false, isOrganizationAdmin: false };
+const orgAdmin = { organizationId: 'org-a', roles: ['org_admin'], isAdmin: false, isOrganizationAdmin: true };
+
+beforeEach(() => {
+  __internal.resetEnsuredTables();
+});
+
+describe('resolveTenant', () => {
+  test('reads roles and organization from request headers', () => {
+    const tenant = resolveTenant(eventWith({ 'x-user-roles': 'user, org_admin', 'x-user-organization': ' org-a ' }));
+
+    expect(tenant).toEqual({
+      organizationId: 'org-a',
+      roles: ['user', 'org_admin'],
+      groups: [],
+      isAdmin: false,
+      isOrganizationAdmin: true,
+    });
+  });
+
+  test('supports Fetch API headers and falls back to the Netlify identity context', () => {
+    const headers = { get: (key) => (key === 'x-user-organization' ? 'org-b' : null) };
+    const tenant = resolveTenant({ headers }, { clientContext: { user: { app_metadata: { roles: ['Admin'] } } } });
+
+    expect(tenant.organizationId).toBe('org-b');
+    expect(tenant.isAdmin).toBe(true);
+    expect(tenant.isOrganizationAdmin).toBe(true);
+  });
+
+  test('is never an organization admin without an organization', () => {
+    const tenant = resolveTenant(eventWith({ 'x-user-roles': 'org_admin' }));
+
+    expect(tenant.isOrganizationAdmin).toBe(false);
+    expect(getManageableOrganization(tenant)).toBeNull();
+  });
+});
+
+describe('resolveOwnerOrganization', () => {
+  test('keeps rows personal unless the organization scope is requested', () => {
+    expect(resolveOwnerOrganization(orgAdmin, undefined)).toBeNull();
+    expect(resolveOwnerOrganization(orgAdmin, 'personal')).toBeNull();
+    expect(resolveOwnerOrganization(orgAdmin, 'Organisation')).toBe('org-a');
+  });
+
+  test('rejects callers outside an organization or without admin rights', () => {
+    expect(() => resolveOwnerOrganization({ organizationId: null }, 'organization')).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+    expect(() => resolveOwnerOrganization(member, 'organization')).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+});
+
+describe('record access', () => {
+  const personal = { user_id: 'user-1', organization_id: null };
+  const shared = { user_id: 'user-2', organization_id: 'org-a' };
+  const otherOrganization = { user_id: 'user-1', organization_id: 'org-b' };
+
+  test('members read their own and their organization rows only', () => {
+    expect(canReadRecord(member, 'user-1', personal)).toBe(true);
+    expect(canReadRecord(member, 'user-3', personal)).toBe(false);
+    expect(canReadRecord(member, 'user-1', shared)).toBe(true);
+    expect(canReadRecord(member, 'user-1', otherOrganization)).toBe(false);
+  });
+
+  test('only organization admins manage shared rows', () => {
+    expect(canManageRecord(member, 'user-2', shared)).toBe(false);
+    expect(canManageRecord(orgAdmin, 'user-9', shared)).toBe(true);
+    expect(canManageRecord(orgAdmin, 'user-1', otherOrganization)).toBe(false);
+    expect(canManageRecord(member, 'user-1', personal)).toBe(true);
+  });
+
+  test('describes the scope of a row', () => {
+    expect(describeScope(personal)).toBe('personal');
+    expect(describeScope({ organizationId: 'org-a' })).toBe('organization');
+  });
+});
+
+describe('ensureOrganizationColumn', () => {
+  const migrationCalls = (sql) =>
+    sql.mock.calls.filter(([strings]) => strings.join('?').trim().toUpperCase().startsWith('ALTER'));
+
+  test('migrates an existing table once', async () => {
+    const sql = jest.fn(async () => [{ table_oid: 'training_resources' }]);
+
+    await ensureOrganizationColumn(sql, 'training_resources');
+    await ensureOrganizationColumn(sql, 'training_resources');
+
+    expect(migrationCalls(sql)).toHaveLength(1);
+  });
+
+  test('skips tables that do not exist yet and retries later', async () => {
+    const sql = jest.fn(async () => [{ table_oid: null }]);
+
+    await ensureOrganizationColumn(sql, 'summaries');
+    await ensureOrganizationColumn(sql, 'summaries');
+
+    expect(migrationCalls(sql)).toHaveLength(0);
+    expect(sql).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects tables without a scoping migration', async () => {
+    await expect(ensureOrganizationColumn(jest.fn(), 'users')).rejects.toThrow('No organization scoping');
+  });
+});
+
+describe('documentScopePredicate', () => {
+  const access = {
+    resourceType: 'document_index',
+    organizationId: 'org-a',
+    manageableOrganization: null,
+    roles: ['qa_lead'],
+    groups: [],
+  };
+  const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+  test('splices the predicate and its values into a tagged statement', async () => {
+    const sql = jest.fn(async () => []);
+
+    await withSqlFragments(sql)`SELECT * FROM document_index d WHERE ${documentScopePredicate(access, 'user-1', { alias: 'd' })} AND d.status = ${'approved'}`;
+
+    const [strings, ...values] = sql.mock.calls[0];
+    const text = normalize(strings.join('?'));
+    expect(text).toMatch(/^SELECT \* FROM document_index d WHERE \(\(d\.user_id = \? AND \(d\.organization_id IS NULL OR d\.organization_id = \?\)\)/);
+    expect(text).toContain('OR (d.organization_id = ? AND NOT EXISTS (SELECT 1 FROM document_permissions acl WHERE acl.resource_type = ? AND acl.resource_id = d.document_id))');
+    expect(text).toMatch(/AND d\.status = \?$/);
+    expect(values.slice(0, 5)).toEqual(['user-1', 'org-a', null, 'org-a', 'document_index']);
+    expect(values).toEqual(expect.arrayContaining([['qa_lead'], []]));
+    expect(values[values.length - 1]).toBe('approved');
+    expect(values).toHaveLength(strings.length - 1);
+  });
+
+  test('renders numbered placeholders for statements built as text', () => {
+    const { text, values } = renderSqlFragment(
+      documentUnrestrictedPredicate(access, { alias: 'd', idColumn: 'id::text' }),
+      3
+    );
+
+    expect(normalize(text)).toBe(
+      'NOT EXISTS (SELECT 1 FROM document_permissions acl WHERE acl.resource_type = $3 AND acl.resource_id = d.id::text)'
+    );
+    expect(values).toEqual(['document_index']);
+
+    const { text: scopeText, values: scopeValues } = renderSqlFragment(documentScopePredicate(access, 'user-1'), 2);
+    const placeholders = scopeText.match(/\$\d+/g);
+    expect(placeholders[0]).toBe('$2');
+    expect(placeholders).toEqual(placeholders.map((_, index) => `$${index + 2}`));
+    expect(scopeValues).toHaveLength(placeholders.length);
+  });
+
+  test('rejects column references that are not plain identifiers or that the ACL lookup would capture', () => {
+    expect(() => documentScopePredicate(access, 'user-1', { alias: 'd; DROP TABLE x' })).toThrow('Invalid column reference');
+    expect(() => documentScopePredicate(access, 'user-1', { idColumn: 'id::text' })).toThrow('Qualify the id column');
+  });
+});
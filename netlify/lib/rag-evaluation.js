@@ -0,0 +1,440 @@
+// Golden-question evaluation for the RAG pipeline. A dataset lists questions with the documents
+// that should be retrieved and the key facts a good answer contains; the runner executes each
+// question through a search adapter and an answer adapter and scores retrieval (recall@k, MRR) and
+// answers (citation precision, faithfulness, key-fact coverage). Reports are plain JSON with a
+// stable layout so two runs can be diffed, plus an HTML rendering for review.
+
+export const DEFAULT_EVALUATION_K = 5;
+
+export const EVALUATION_METRICS = Object.freeze([
+  'recallAtK',
+  'reciprocalRank',
+  'citationPrecision',
+  'faithfulness',
+  'keyFactCoverage',
+]);
+
+// Same thresholds as the in-app citation check (src/utils/citationVerification.js)
+const SUPPORTED_THRESHOLD = 0.6;
+const MIN_CLAIM_TERMS = 3;
+const METRIC_PRECISION = 4;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'from', 'with', 'that', 'this', 'your', 'into', 'onto', 'about', 'have', 'has',
+  'had', 'are', 'was', 'were', 'been', 'being', 'will', 'shall', 'should', 'would', 'could', 'can',
+  'may', 'might', 'must', 'not', 'but', 'all', 'any', 'each', 'which', 'when', 'where', 'what', 'who',
+  'how', 'its', 'their', 'they', 'them', 'than', 'then', 'there', 'these', 'those', 'also', 'such',
+]);
+
+const CITATION_MARKER_PATTERN = /\[(\d{1,3})\]/g;
+const REFERENCES_HEADING_PATTERN = /^\s*(?:#{1,6}\s*)?\**(?:References|Sources)\**\s*:?\s*$/im;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeKey = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const stemTerm = (term) => (term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term);
+
+const tokenize = (text) =>
+  (String(text || '').toLowerCase().match(/[a-z0-9]+(?:\.[0-9]+)*/g) || [])
+    .filter(token => (token.length >= 3 || /\d/.test(token)) && !STOP_WORDS.has(token))
+    .map(stemTerm);
+
+const round = (value) => (value == null ? null : Number(value.toFixed(METRIC_PRECISION)));
+
+const mean = (values) => {
+  const present = values.filter(value => typeof value === 'number');
+  return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+};
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map(item => (typeof item === 'string' ? item.trim() : ''))
+    .filter(Boolean);
+
+/**
+ * Validate a golden-question dataset and fill in defaults. Each question needs an id and question
+ * text; `expectedDocuments` (document ids, filenames or titles) and `keyFacts` are optional, and a
+ * metric whose inputs are missing is reported as null rather than zero.
+ */
+export function normalizeEvaluationDataset(dataset) {
+  if (!dataset || typeof dataset !== 'object' || !Array.isArray(dataset.questions)) {
+    throw createError('Evaluation dataset must be an object with a questions array', 400);
+  }
+
+  const seenIds = new Set();
+  const questions = dataset.questions.map((entry, index) => {
+    const id = typeof entry?.id === 'string' && entry.id.trim() ? entry.id.trim() : '';
+    const question = typeof entry?.question === 'string' ? entry.question.trim() : '';
+    if (!id || !question) {
+      throw createError(`Question ${index + 1} needs an id and question text`, 400);
+    }
+    if (seenIds.has(id)) {
+      throw createError(`Duplicate question id: ${id}`, 400);
+    }
+    seenIds.add(id);
+
+    return {
+      id,
+      question,
+      expectedDocuments: toStringList(entry.expectedDocuments),
+      keyFacts: toStringList(entry.keyFacts),
+      tags: toStringList(entry.tags),
+    };
+  });
+
+  const k = Number.parseInt(dataset.k, 10);
+
+  return {
+    name: typeof dataset.name === 'string' && dataset.name.trim() ? dataset.name.trim() : 'unnamed',
+    version: dataset.version ?? null,
+    k: Number.isFinite(k) && k > 0 ? k : DEFAULT_EVALUATION_K,
+    questions,
+  };
+}
+
+const resultKeys = (result) =>
+  [result?.documentId, result?.filename, result?.documentTitle, result?.metadata?.documentTitle, result?.metadata?.title]
+    .map(value => normalizeKey(value == null ? '' : String(value)))
+    .filter(Boolean);
+
+// Index of the expected document a result belongs to, or -1
+const matchExpectedDocument = (result, expectedDocuments) => {
+  const keys = resultKeys(result);
+  return expectedDocuments.findIndex(expected => keys.includes(normalizeKey(expected)));
+};
+
+export function recallAtK(results, expectedDocuments, k = DEFAULT_EVALUATION_K) {
+  if (expectedDocuments.length === 0) return null;
+  const found = new Set();
+  results.slice(0, k).forEach(result => {
+    const match = matchExpectedDocument(result, expectedDocuments);
+    if (match !== -1) found.add(match);
+  });
+  return found.size / expectedDocuments.length;
+}
+
+export function reciprocalRank(results, expectedDocuments, k = DEFAULT_EVALUATION_K) {
+  if (expectedDocuments.length === 0) return null;
+  const rank = results.slice(0, k).findIndex(result => matchExpectedDocument(result, expectedDocuments) !== -1);
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+const answerBody = (answer) => {
+  const text = typeof answer === 'string' ? answer : '';
+  const match = REFERENCES_HEADING_PATTERN.exec(text);
+  return match ? text.slice(0, match.index) : text;
+};
+
+const extractCitations = (text) => Array.from(text.matchAll(CITATION_MARKER_PATTERN), match => Number(match[1]));
+
+/**
+ * Share of inline [n] citations in the answer that point at a chunk from an expected document.
+ * Citation numbers refer to the 1-based position of the chunk in the answer context.
+ */
+export function citationPrecision(answer, results, expectedDocuments) {
+  if (expectedDocuments.length === 0) return null;
+  const citations = extractCitations(answerBody(answer));
+  if (citations.length === 0) return null;
+  const relevant = citations.filter(number => {
+    const result = results[number - 1];
+    return result && matchExpectedDocument(result, expectedDocuments) !== -1;
+  });
+  return relevant.length / citations.length;
+}
+
+const splitSentences = (text) =>
+  text
+    .split('\n')
+    .filter(line => line.trim() && !line.trim().startsWith('#') && !line.trim().startsWith('|'))
+    .flatMap(line => line.split(/(?<=[.!?](?:\s*\[\d{1,3}\])*)\s+(?=[A-Z0-9"'(*])/))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+/**
+ * Share of answer sentences whose content terms are covered by the chunks they cite (or, for an
+ * uncited sentence, by any retrieved chunk). Numbers must appear in the chunk to count. Returns the
+ * score together with the sentences that were not supported.
+ */
+export function answerFaithfulness(answer, results) {
+  const chunkTerms = results.map(result => new Set(tokenize(result?.text)));
+  const claims = splitSentences(answerBody(answer))
+    .map(sentence => ({ sentence, terms: [...new Set(tokenize(sentence.replace(CITATION_MARKER_PATTERN, ' ')))] }))
+    .filter(claim => claim.terms.length >= MIN_CLAIM_TERMS);
+
+  if (claims.length === 0) {
+    return { score: null, unsupported: [] };
+  }
+
+  const unsupported = [];
+  claims.forEach(({ sentence, terms }) => {
+    const citations = extractCitations(sentence);
+    const candidates = citations.length > 0
+      ? citations.map(number => chunkTerms[number - 1]).filter(Boolean)
+      : chunkTerms;
+    const supported = candidates.some(termSet => {
+      if (terms.some(term => /\d/.test(term) && !termSet.has(term))) return false;
+      return terms.filter(term => termSet.has(term)).length / terms.length >= SUPPORTED_THRESHOLD;
+    });
+    if (!supported) unsupported.push(sentence);
+  });
+
+  return { score: (claims.length - unsupported.length) / claims.length, unsupported };
+}
+
+/**
+ * Share of key facts present in the answer. A fact is present when every one of its content terms
+ * appears in the answer, in any order, so "5 business days" matches "within 5 business days".
+ */
+export function keyFactCoverage(answer, keyFacts) {
+  if (keyFacts.length === 0) return { score: null, missing: [] };
+  const answerTerms = new Set(tokenize(answerBody(answer)));
+  const missing = keyFacts.filter(fact => {
+    const terms = tokenize(fact);
+    return terms.length === 0 || !terms.every(term => answerTerms.has(term));
+  });
+  return { score: (keyFacts.length - missing.length) / keyFacts.length, missing };
+}
+
+/**
+ * Prompt used for the answer path. Kept in step with generateNeonRagResponse in
+ * src/services/ragService.js so evaluated answers are produced the way the app produces them.
+ */
+export function buildAnswerPrompt(question, results) {
+  const contextSections = results
+    .map((result, index) => {
+      const location = result.citation || `chunk ${(result.chunkIndex ?? 0) + 1}`;
+      return `Source ${index + 1}: ${result.filename} (${location})\n${(result.text || '').trim()}`;
+    })
+    .join('\n\n');
+
+  return [
+    'You are AcceleraQA, an expert assistant for pharmaceutical quality and compliance.',
+    'Use only the provided document excerpts to answer the user question. After each sentence that uses an excerpt, cite it with its source number in square brackets, e.g. [1] or [2][3].',
+    'If the excerpts do not contain enough information, say so clearly.',
+    '',
+    'Document excerpts:',
+    contextSections,
+    '',
+    `Latest question: ${question}`,
+    '',
+    'Answer:',
+  ].join('\n');
+}
+
+/**
+ * Deterministic stand-in for the LLM: answers with the first sentence of each of the top chunks,
+ * cited. Lets the harness run without model credentials and isolates retrieval changes from model
+ * variance.
+ */
+export const createExtractiveAnswerer = ({ maxSentences = 3 } = {}) => async ({ results }) =>
+  results
+    .slice(0, maxSentences)
+    .map((result, index) => {
+      const [first] = String(result.text || '').trim().split(/(?<=[.!?])\s+/);
+      return first ? `${first.replace(/[.!?]?$/, '')} [${index + 1}].` : null;
+    })
+    .filter(Boolean)
+    .join(' ');
+
+const summarizeRetrieved = (results, expectedDocuments, k) =>
+  results.slice(0, k).map((result, index) => ({
+    rank: index + 1,
+    documentId: result.documentId ?? null,
+    filename: result.filename ?? null,
+    chunkIndex: result.chunkIndex ?? null,
+    score: typeof result.score === 'number' ? round(result.score) : null,
+    relevant: matchExpectedDocument(result, expectedDocuments) !== -1,
+  }));
+
+const summarizeMetrics = (questions) =>
+  Object.fromEntries(EVALUATION_METRICS.map(metric => [metric, mean(questions.map(entry => entry.metrics[metric]))]));
+
+/**
+ * Run every dataset question through `search` and `answer` and score the results.
+ *
+ * @param {Object} dataset - Golden-question dataset (see normalizeEvaluationDataset)
+ * @param {Object} adapters
+ * @param {Function} adapters.search - `(question, { k }) => results[]` or `{ results }`
+ * @param {Function} [adapters.answer] - `({ question, results, prompt }) => string` or `{ answer }`;
+ *   without it only retrieval metrics are scored
+ * @param {Object} [adapters.config] - Free-form run description recorded in the report
+ * @param {Date} [adapters.now]
+ */
+export async function runEvaluation(dataset, { search, answer, config = {}, now = new Date() } = {}) {
+  if (typeof search !== 'function') {
+    throw createError('A search adapter is required', 400);
+  }
+
+  const normalized = normalizeEvaluationDataset(dataset);
+  const { k } = normalized;
+  const questions = [];
+
+  // Sequential on purpose: runs are small and this keeps LLM and database load predictable
+  for (const entry of normalized.questions) {
+    const row = {
+      id: entry.id,
+      question: entry.question,
+      tags: entry.tags,
+      retrieved: [],
+      answer: null,
+      metrics: Object.fromEntries(EVALUATION_METRICS.map(metric => [metric, null])),
+      unsupportedSentences: [],
+      missingFacts: [],
+      error: null,
+    };
+
+    try {
+      const searchOutput = await search(entry.question, { k });
+      const results = Array.isArray(searchOutput) ? searchOutput : searchOutput?.results || [];
+      row.retrieved = summarizeRetrieved(results, entry.expectedDocuments, k);
+      row.metrics.recallAtK = round(recallAtK(results, entry.expectedDocuments, k));
+      row.metrics.reciprocalRank = round(reciprocalRank(results, entry.expectedDocuments, k));
+
+      if (typeof answer === 'function') {
+        const context = results.slice(0, k);
+        const output = await answer({ question: entry.question, results: context, prompt: buildAnswerPrompt(entry.question, context) });
+        const answerText = typeof output === 'string' ? output : output?.answer || '';
+        const faithfulness = answerFaithfulness(answerText, context);
+        const facts = keyFactCoverage(answerText, entry.keyFacts);
+
+        row.answer = answerText;
+        row.metrics.citationPrecision = round(citationPrecision(answerText, context, entry.expectedDocuments));
+        row.metrics.faithfulness = round(faithfulness.score);
+        row.metrics.keyFactCoverage = round(facts.score);
+        row.unsupportedSentences = faithfulness.unsupported;
+        row.missingFacts = facts.missing;
+      }
+    } catch (error) {
+      row.error = error.message || String(error);
+    }
+
+    questions.push(row);
+  }
+
+  return {
+    dataset: { name: normalized.name, version: normalized.version, questionCount: questions.length },
+    config: { k, ...config },
+    generatedAt: now.toISOString(),
+    summary: {
+      ...summarizeMetrics(questions),
+      errors: questions.filter(entry => entry.error).length,
+    },
+    questions,
+  };
+}
+
+/**
+ * Compare two reports metric by metric. A question regresses when any of its metrics drops by more
+ * than `tolerance`; questions present in only one report are listed separately.
+ */
+export function compareEvaluationReports(baseline, current, { tolerance = 0 } = {}) {
+  const delta = (before, after) => (typeof before === 'number' && typeof after === 'number' ? round(after - before) : null);
+
+  const summary = Object.fromEntries(EVALUATION_METRICS.map(metric => {
+    const before = baseline?.summary?.[metric] ?? null;
+    const after = current?.summary?.[metric] ?? null;
+    return [metric, { baseline: before, current: after, delta: delta(before, after) }];
+  }));
+
+  const baselineById = new Map((baseline?.questions || []).map(entry => [entry.id, entry]));
+  const currentIds = new Set((current?.questions || []).map(entry => entry.id));
+  const regressions = [];
+  const improvements = [];
+
+  (current?.questions || []).forEach(entry => {
+    const previous = baselineById.get(entry.id);
+    if (!previous) return;
+    EVALUATION_METRICS.forEach(metric => {
+      const change = delta(previous.metrics?.[metric], entry.metrics?.[metric]);
+      if (change == null || Math.abs(change) <= tolerance) return;
+      const record = { id: entry.id, metric, baseline: previous.metrics[metric], current: entry.metrics[metric], delta: change };
+      (change < 0 ? regressions : improvements).push(record);
+    });
+  });
+
+  return {
+    summary,
+    regressions,
+    improvements,
+    addedQuestions: [...currentIds].filter(id => !baselineById.has(id)),
+    removedQuestions: [...baselineById.keys()].filter(id => !currentIds.has(id)),
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatMetric = (value) => (typeof value === 'number' ? value.toFixed(2) : '—');
+
+const METRIC_LABELS = {
+  recallAtK: 'Recall@k',
+  reciprocalRank: 'MRR',
+  citationPrecision: 'Citation precision',
+  faithfulness: 'Faithfulness',
+  keyFactCoverage: 'Key facts',
+};
+
+export function renderEvaluationHtml(report, comparison = null) {
+  const metricHeaders = EVALUATION_METRICS.map(metric => `<th>${METRIC_LABELS[metric]}</th>`).join('');
+  const summaryCells = EVALUATION_METRICS.map(metric => {
+    const change = comparison?.summary?.[metric]?.delta;
+    const changeText = typeof change === 'number' && change !== 0
+      ? ` <span class="${change > 0 ? 'up' : 'down'}">(${change > 0 ? '+' : ''}${change.toFixed(2)})</span>`
+      : '';
+    return `<td>${formatMetric(report.summary[metric])}${changeText}</td>`;
+  }).join('');
+
+  const questionRows = report.questions.map(entry => {
+    const cells = EVALUATION_METRICS.map(metric => `<td>${formatMetric(entry.metrics[metric])}</td>`).join('');
+    const notes = [
+      entry.error ? `Error: ${entry.error}` : null,
+      entry.missingFacts.length > 0 ? `Missing facts: ${entry.missingFacts.join('; ')}` : null,
+      entry.unsupportedSentences.length > 0 ? `Unsupported: ${entry.unsupportedSentences.join(' | ')}` : null,
+    ].filter(Boolean).map(note => `<div>${escapeHtml(note)}</div>`).join('');
+    return `<tr><td>${escapeHtml(entry.id)}</td><td>${escapeHtml(entry.question)}</td>${cells}<td class="notes">${notes}</td></tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RAG evaluation – ${escapeHtml(report.dataset.name)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.875rem; }
+th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f3f4f6; }
+.up { color: #15803d; }
+.down { color: #b91c1c; }
+.notes { color: #6b7280; font-size: 0.75rem; }
+</style>
+</head>
+<body>
+<h1>RAG evaluation – ${escapeHtml(report.dataset.name)}</h1>
+<p>${report.dataset.questionCount} questions · k = ${report.config.k} · generated ${escapeHtml(report.generatedAt)}${report.summary.errors ? ` · ${report.summary.errors} errors` : ''}</p>
+<table><thead><tr>${metricHeaders}</tr></thead><tbody><tr>${summaryCells}</tr></tbody></table>
+<table>
+<thead><tr><th>ID</th><th>Question</th>${metricHeaders}<th>Notes</th></tr></thead>
+<tbody>
+${questionRows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+export const __internal = {
+  tokenize,
+  splitSentences,
+  matchExpectedDocument,
+};
@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+
+import {
+  answerFaithfulness,
+  citationPrecision,
+  compareEvaluationReports,
+  createExtractiveAnswerer,
+  keyFactCoverage,
+  normalizeEvaluationDataset,
+  recallAtK,
+  reciprocalRank,
+  renderEvaluationHtml,
+  runEvaluation,
+} from './rag-evaluation.js';
+
+const chunks = [
+  { documentId: 'doc-9', filename: 'Cleaning SOP.pdf', chunkIndex: 0, text: 'Cleaning validation runs three consecutive batches.' },
+  { documentId: 'doc-3', filename: 'Deviation SOP.pdf', chunkIndex: 4, text: 'Deviations must be logged and investigated within 5 business days of discovery.' },
+  { documentId: 'doc-4', filename: 'CAPA SOP.pdf', chunkIndex: 1, text: 'CAPA effectiveness checks are completed within 90 days.' },
+];
+
+const dataset = {
+  name: 'gmp-core',
+  version: 2,
+  k: 3,
+  questions: [
+    {
+      id: 'dev-001',
+      question: 'How quickly must a deviation be investigated?',
+      expectedDocuments: ['Deviation SOP.pdf', 'doc-4'],
+      keyFacts: ['5 business days'],
+    },
+    { id: 'neg-001', question: 'What is the canteen menu?' },
+  ],
+};
+
+describe('retrieval metrics', () => {
+  test('recall@k and MRR match expected documents by id or filename', () => {
+    expect(recallAtK(chunks, ['deviation sop.pdf', 'doc-4'], 3)).toBe(1);
+    expect(recallAtK(chunks, ['deviation sop.pdf', 'doc-4'], 2)).toBe(0.5);
+    expect(reciprocalRank(chunks, ['doc-4'], 3)).toBeCloseTo(1 / 3);
+    expect(reciprocalRank(chunks, ['doc-77'], 3)).toBe(0);
+    expect(recallAtK(chunks, [], 3)).toBeNull();
+  });
+});
+
+describe('answer metrics', () => {
+  const answer = [
+    'Deviations must be investigated within 5 business days [2].',
+    'Cleaning validation needs three batches [1].',
+    'Investigations are closed by the site director within 10 days [2].',
+    '',
+    'References:',
+    '[1] Cleaning SOP.pdf',
+  ].join('\n');
+
+  test('citation precision counts citations that land on expected documents', () => {
+    expect(citationPrecision(answer, chunks, ['doc-3'])).toBeCloseTo(2 / 3);
+    expect(citationPrecision('No citations here at all.', chunks, ['doc-3'])).toBeNull();
+  });
+
+  test('faithfulness flags sentences the cited chunk does not support', () => {
+    const result = answerFaithfulness(answer, chunks);
+    expect(result.score).toBeCloseTo(2 / 3);
+    expect(result.unsupported).toEqual(['Investigations are closed by the site director within 10 days [2].']);
+  });
+
+  test('key facts match on terms regardless of wording around them', () => {
+    expect(keyFactCoverage(answer, ['5 business days', 'three batches', 'annual review'])).toEqual({
+      score: 2 / 3,
+      missing: ['annual review'],
+    });
+  });
+});
+
+describe('normalizeEvaluationDataset', () => {
+  test('rejects questions without ids and duplicate ids', () => {
+    expect(() => normalizeEvaluationDataset({ questions: [{ question: 'Why?' }] })).toThrow('needs an id');
+    expect(() => normalizeEvaluationDataset({
+      questions: [{ id: 'a', question: 'One?' }, { id: 'a', question: 'Two?' }],
+    })).toThrow('Duplicate question id: a');
+  });
+});
+
+describe('runEvaluation', () => {
+  test('scores each question through the search and answer adapters', async () => {
+    const search = jest.fn(async (question) => (question.includes('deviation') ? { results: chunks.slice(1) } : []));
+    const answer = jest.fn(async ({ results }) => (results.length === 0
+      ? 'The documents do not cover this.'
+      : { answer: 'Deviations must be logged and investigated within 5 business days of discovery [1].' }));
+
+    const report = await runEvaluation(dataset, {
+      search,
+      answer,
+      config: { llm: 'mock' },
+      now: new Date('2026-10-01T00:00:00Z'),
+    });
+
+    expect(search).toHaveBeenCalledWith('How quickly must a deviation be investigated?', { k: 3 });
+    expect(answer.mock.calls[0][0].prompt).toContain('Source 1: Deviation SOP.pdf (chunk 5)');
+    expect(report.config).toEqual({ k: 3, llm: 'mock' });
+    expect(report.questions[0].metrics).toEqual({
+      recallAtK: 1,
+      reciprocalRank: 1,
+      citationPrecision: 1,
+      faithfulness: 1,
+      keyFactCoverage: 1,
+    });
+    expect(report.questions[0].retrieved[1]).toMatchObject({ rank: 2, documentId: 'doc-4', relevant: true });
+    expect(report.questions[1].metrics.recallAtK).toBeNull();
+    expect(report.summary).toMatchObject({ recallAtK: 1, faithfulness: 1, errors: 0 });
+    expect(renderEvaluationHtml(report)).toContain('<td>dev-001</td>');
+  });
+
+  test('records adapter failures per question and keeps going', async () => {
+    const search = jest.fn()
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce(chunks);
+
+    const report = await runEvaluation(dataset, { search, answer: createExtractiveAnswerer() });
+
+    expect(report.questions[0].error).toBe('connection reset');
+    expect(report.questions[1].answer).toBe(
+      'Cleaning validation runs three consecutive batches [1]. Deviations must be logged and investigated within 5 business days of discovery [2]. CAPA effectiveness checks are completed within 90 days [3].'
+    );
+    expect(report.summary.errors).toBe(1);
+  });
+});
+
+describe('compareEvaluationReports', () => {
+  test('reports summary deltas and per-question regressions beyond the tolerance', () => {
+    const baseline = {
+      summary: { recallAtK: 0.8, reciprocalRank: 0.7 },
+      questions: [
+        { id: 'a', metrics: { recallAtK: 1, reciprocalRank: 1 } },
+        { id: 'b', metrics: { recallAtK: 0.5, reciprocalRank: 0.5 } },
+      ],
+    };
+    const current = {
+      summary: { recallAtK: 0.75, reciprocalRank: 0.72 },
+      questions: [
+        { id: 'a', metrics: { recallAtK: 0.5, reciprocalRank: 0.98 } },
+        { id: 'c', metrics: { recallAtK: 1, reciprocalRank: 1 } },
+      ],
+    };
+
+    const comparison = compareEvaluationReports(baseline, current, { tolerance: 0.05 });
+
+    expect(comparison.summary.recallAtK).toEqual({ baseline: 0.8, current: 0.75, delta: -0.05 });
+    expect(comparison.regressions).toEqual([{ id: 'a', metric: 'recallAtK', baseline: 1, current: 0.5, delta: -0.5 }]);
+    expect(comparison.improvements).toEqual([]);
+    expect(comparison.addedQuestions).toEqual(['c']);
+    expect(comparison.removedQuestions).toEqual(['b']);
+  });
+});
@@ -0,0 +1,60 @@
+import { ReadableStream } from 'node:stream/web';
+
+export const EVENT_STREAM_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+  // Stops proxies from buffering the stream until it completes
+  'X-Accel-Buffering': 'no',
+};
+
+/**
+ * Serialize one server-sent event. Multi-line payloads are split across `data:` lines as the
+ * EventSource format requires.
+ */
+export const formatServerSentEvent = (event, data) => {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data ?? null);
+  const dataLines = payload
+    .split('\n')
+    .map(line => `data: ${line}`)
+    .join('\n');
+
+  return `${event ? `event: ${event}\n` : ''}${dataLines}\n\n`;
+};
+
+/**
+ * Build an event stream whose body is produced by `run(send)`. The stream is closed when `run`
+ * settles; failures are reported as an `error` event unless the client went away.
+ */
+export const createEventStream = (run, { signal } = {}) => {
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async start(controller) {
+      let closed = false;
+      const send = (event, data) => {
+        if (!closed) {
+          controller.enqueue(encoder.encode(formatServerSentEvent(event, data)));
+        }
+      };
+
+      try {
+        await run(send);
+      } catch (error) {
+        if (!signal?.aborted) {
+          console.error('Event stream error:', error);
+          send('error', { error: error.message || 'Stream failed' });
+        }
+      } finally {
+        closed = true;
+        controller.close();
+      }
+    },
+  });
+};
+
+export const createEventStreamResponse = (run, { headers = {}, signal } = {}) =>
+  new Response(createEventStream(run, { signal }), {
+    status: 200,
+    headers: { ...headers, ...EVENT_STREAM_HEADERS },
+  });
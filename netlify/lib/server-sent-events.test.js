@@ -0,0 +1,60 @@
+import { jest } from '@jest/globals';
+
+import { createEventStream, formatServerSentEvent } from './server-sent-events.js';
+
+describe('formatServerSentEvent', () => {
+  test('serializes named JSON events', () => {
+    expect(formatServerSentEvent('token', { delta: 'Hi' })).toBe('event: token\ndata: {"delta":"Hi"}\n\n');
+  });
+
+  test('splits multi-line text payloads across data lines', () => {
+    expect(formatServerSentEvent(null, 'line one\nline two')).toBe('data: line one\ndata: line two\n\n');
+  });
+});
+
+const readStream = async (stream) => {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      return text;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+};
+
+describe('createEventStream', () => {
+  test('streams events and closes when the producer finishes', async () => {
+    const stream = createEventStream(async (send) => {
+      send('token', { delta: 'A' });
+      send('done', { response: 'A' });
+    });
+
+    expect(await readStream(stream)).toBe(
+      'event: token\ndata: {"delta":"A"}\n\nevent: done\ndata: {"response":"A"}\n\n'
+    );
+  });
+
+  test('reports producer failures as an error event', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const stream = createEventStream(async (send) => {
+      send('token', { delta: 'A' });
+      throw new Error('Model unavailable');
+    });
+
+    expect(await readStream(stream)).toContain('event: error\ndata: {"error":"Model unavailable"}');
+    consoleError.mockRestore();
+  });
+
+  test('stays quiet when the client aborted the request', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const stream = createEventStream(async () => {
+      throw new Error('aborted');
+    }, { signal: controller.signal });
+
+    expect(await readStream(stream)).toBe('');
+  });
+});
@@ -0,0 +1,445 @@
+// Page boundaries are encoded as form feeds by ragService.extractTextFromFile({ preserveLayout: true }).
+export const PAGE_BREAK = '\f';
+
+const DEFAULT_CHUNK_SIZE = 800;
+const DEFAULT_CHUNK_OVERLAP = 120;
+const MIN_CHUNK_SIZE = 200;
+const MAX_CHUNK_SIZE = 2000;
+const MAX_HEADING_LENGTH = 100;
+const MAX_HEADING_WORDS = 10;
+
+const NUMBERED_SECTION_PATTERN = /^(\d+(?:\.\d+)*)\.?\s+(\S.*)$/;
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*$/;
+const NAMED_SECTION_PATTERN = /^(section|appendix|annex|attachment|chapter|part)\s+([A-Z0-9]+(?:\.[A-Z0-9]+)*)\b[.:\-–\s]*(.*)$/i;
+const SHEET_HEADING_PATTERN = /^sheet:\s*(.+)$/i;
+const LIST_ITEM_PATTERN = /^(?:[-*•▪◦]|\(?[a-z]\)|\(?[ivx]{1,4}\)|\d{1,3}[.)])\s+\S/i;
+const TABLE_SEPARATOR_PATTERN = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/;
+
+const clampChunkSize = (chunkSize) => {
+  const numeric = Number(chunkSize);
+  const size = Number.isFinite(numeric) ? numeric : DEFAULT_CHUNK_SIZE;
+  return Math.max(MIN_CHUNK_SIZE, Math.min(size, MAX_CHUNK_SIZE));
+};
+
+const clampOverlap = (overlap, chunkSize) => {
+  const numeric = Number(overlap);
+  const value = Number.isFinite(numeric) && numeric >= 0 ? numeric : DEFAULT_CHUNK_OVERLAP;
+  return Math.min(value, Math.floor(chunkSize / 2));
+};
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const isTableRow = (line) => line.startsWith('|') || line.split(' | ').length >= 2;
+
+const looksLikeTitle = (text) =>
+  text.length <= MAX_HEADING_LENGTH &&
+  countWords(text) <= MAX_HEADING_WORDS &&
+  !/[.;,:]$/.test(text) &&
+  !/\b(shall|must|should|will)\b/i.test(text) &&
+  /[A-Za-z]/.test(text);
+
+const isUppercaseHeading = (line) =>
+  line.length <= MAX_HEADING_LENGTH &&
+  /[A-Z]{3,}/.test(line) &&
+  line === line.toUpperCase() &&
+  !isTableRow(line);
+
+/**
+ * Classify a single line. Numbered SOP clauses always open a section (1.2.3 style numbering
+ * carries its own depth), while single-level numbers only count as headings when the remainder
+ * reads like a title rather than a procedural step.
+ */
+const classifyLine = (line) => {
+  const markdownHeading = line.match(MARKDOWN_HEADING_PATTERN);
+  if (markdownHeading) {
+    return { type: 'heading', depth: markdownHeading[1].length, number: null, title: markdownHeading[2].trim() };
+  }
+
+  const sheetHeading = line.match(SHEET_HEADING_PATTERN);
+  if (sheetHeading) {
+    return { type: 'heading', depth: 1, number: null, title: `Sheet: ${sheetHeading[1].trim()}` };
+  }
+
+  const numbered = line.match(NUMBERED_SECTION_PATTERN);
+  if (numbered && !isTableRow(line)) {
+    const number = numbered[1];
+    const remainder = numbered[2].trim();
+    const depth = number.split('.').length;
+    if (depth > 1) {
+      return {
+        type: looksLikeTitle(remainder) ? 'heading' : 'clause',
+        depth,
+        number,
+        title: looksLikeTitle(remainder) ? remainder : null,
+      };
+    }
+    if (looksLikeTitle(remainder) && /^[A-Z]/.test(remainder)) {
+      return { type: 'heading', depth, number, title: remainder };
+    }
+  }
+
+  const named = line.match(NAMED_SECTION_PATTERN);
+  if (named && line.length <= MAX_HEADING_LENGTH) {
+    const label = `${named[1][0].toUpperCase()}${named[1].slice(1).toLowerCase()} ${named[2]}`;
+    return { type: 'heading', depth: 1, number: null, title: named[3] ? `${label} ${named[3].trim()}` : label };
+  }
+
+  if (isUppercaseHeading(line)) {
+    return { type: 'heading', depth: 1, number: null, title: line };
+  }
+
+  if (TABLE_SEPARATOR_PATTERN.test(line) || isTableRow(line)) {
+    return { type: 'table' };
+  }
+
+  if (LIST_ITEM_PATTERN.test(line)) {
+    return { type: 'list' };
+  }
+
+  return { type: 'paragraph' };
+};
+
+const updateSectionStack = (stack, heading) => {
+  const depth = heading.depth || 1;
+  const next = stack.filter(entry => entry.depth < depth);
+  next.push({ depth, number: heading.number, title: heading.title });
+  return next;
+};
+
+const describeSection = (stack) => {
+  if (stack.length === 0) {
+    return { sectionNumber: null, sectionTitle: null, sectionPath: null };
+  }
+
+  const current = stack[stack.length - 1];
+  const ancestors = [...stack].reverse();
+
+  return {
+    sectionNumber: current.number || ancestors.find(entry => entry.number)?.number || null,
+    sectionTitle: current.title || ancestors.find(entry => entry.title)?.title || null,
+    sectionPath: stack
+      .map(entry => [entry.number, entry.title].filter(Boolean).join(' '))
+      .filter(Boolean)
+      .join(' > '),
+  };
+};
+
+/**
+ * Split text into typed blocks (heading, clause, paragraph, list, table) annotated with the
+ * section they belong to and the page they start on.
+ */
+export const parseDocumentBlocks = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return [];
+  }
+
+  const blocks = [];
+  let sectionStack = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.lines.length > 0) {
+      blocks.push({ ...current, text: current.lines.join('\n') });
+    }
+    current = null;
+  };
+
+  const pages = text.replace(/\r\n?/g, '\n').split(PAGE_BREAK);
+
+  pages.forEach((pageText, pageIndex) => {
+    const pageNumber = pageIndex + 1;
+
+    pageText.split('\n').forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line) {
+        // Blank lines end paragraphs but tables and lists may legitimately contain spacing
+        if (current?.type === 'paragraph' || current?.type === 'clause') {
+          flush();
+        }
+        return;
+      }
+
+      const classification = classifyLine(line);
+
+      if (classification.type === 'heading' || classification.type === 'clause') {
+        flush();
+        sectionStack = updateSectionStack(sectionStack, classification);
+        const section = describeSection(sectionStack);
+        if (classification.type === 'heading') {
+          blocks.push({ type: 'heading', text: line, lines: [line], pageNumber, pageEnd: pageNumber, ...section });
+          return;
+        }
+        current = { type: 'clause', lines: [line], pageNumber, pageEnd: pageNumber, ...section };
+        return;
+      }
+
+      const section = describeSection(sectionStack);
+      const continuesBlock =
+        current &&
+        (current.type === classification.type ||
+          // Wrapped continuation lines belong to the preceding list item or clause
+          (classification.type === 'paragraph' && (current.type === 'list' || current.type === 'clause')));
+
+      if (!continuesBlock) {
+        flush();
+        current = { type: classification.type, lines: [], pageNumber, ...section };
+      }
+
+      current.lines.push(line);
+      current.pageEnd = pageNumber;
+    });
+  });
+
+  flush();
+  return blocks;
+};
+
+const takeOverlap = (text, overlap) => {
+  if (!overlap || text.length <= overlap) {
+    return overlap ? text : '';
+  }
+
+  const tail = text.slice(-overlap);
+  const sentenceStart = tail.search(/[.!?]\s+\S/);
+  if (sentenceStart >= 0 && sentenceStart < tail.length / 2) {
+    return tail.slice(sentenceStart + 1).trim();
+  }
+
+  const wordStart = tail.indexOf(' ');
+  return wordStart >= 0 ? tail.slice(wordStart + 1).trim() : tail.trim();
+};
+
+const splitOversizedText = (text, chunkSize) => {
+  const pieces = [];
+  const sentences = text.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [text];
+  let buffer = '';
+
+  sentences.forEach((sentence) => {
+    const candidate = buffer ? `${buffer}${sentence}` : sentence;
+    if (candidate.length <= chunkSize) {
+      buffer = candidate;
+      return;
+    }
+
+    if (buffer.trim()) {
+      pieces.push(buffer.trim());
+    }
+
+    let remaining = sentence;
+    while (remaining.length > chunkSize) {
+      pieces.push(remaining.slice(0, chunkSize).trim());
+      remaining = remaining.slice(chunkSize);
+    }
+    buffer = remaining;
+  });
+
+  if (buffer.trim()) {
+    pieces.push(buffer.trim());
+  }
+
+  return pieces;
+};
+
+// Tables are split by row and each piece repeats the header row so the columns stay interpretable.
+const splitTableBlock = (block, chunkSize) => {
+  const [header, ...rows] = block.lines;
+  const pieces = [];
+  let buffer = [header];
+
+  rows.forEach((row) => {
+    if (TABLE_SEPARATOR_PATTERN.test(row) && buffer.length === 1) {
+      buffer.push(row);
+      return;
+    }
+
+    const candidateLength = buffer.join('\n').length + row.length + 1;
+    if (candidateLength > chunkSize && buffer.length > 1) {
+      pieces.push(buffer.join('\n'));
+      buffer = [header];
+    }
+    buffer.push(row);
+  });
+
+  if (buffer.length > 1 || pieces.length === 0) {
+    pieces.push(buffer.join('\n'));
+  }
+
+  return pieces;
+};
+
+const splitListBlock = (block, chunkSize) => {
+  const items = [];
+  block.lines.forEach((line) => {
+    if (LIST_ITEM_PATTERN.test(line) || items.length === 0) {
+      items.push(line);
+    } else {
+      items[items.length - 1] = `${items[items.length - 1]} ${line}`;
+    }
+  });
+
+  const pieces = [];
+  let buffer = '';
+  items.forEach((item) => {
+    const candidate = buffer ? `${buffer}\n${item}` : item;
+    if (candidate.length <= chunkSize) {
+      buffer = candidate;
+      return;
+    }
+    if (buffer) {
+      pieces.push(buffer);
+    }
+    if (item.length > chunkSize) {
+      const split = splitOversizedText(item, chunkSize);
+      buffer = split.pop() || '';
+      pieces.push(...split);
+    } else {
+      buffer = item;
+    }
+  });
+
+  if (buffer) {
+    pieces.push(buffer);
+  }
+
+  return pieces;
+};
+
+const splitBlock = (block, chunkSize) => {
+  if (block.text.length <= chunkSize) {
+    return [block.text];
+  }
+
+  if (block.type === 'table') {
+    return splitTableBlock(block, chunkSize);
+  }
+
+  if (block.type === 'list') {
+    return splitListBlock(block, chunkSize);
+  }
+
+  return splitOversizedText(block.text, chunkSize);
+};
+
+/**
+ * Structure-aware chunker for SOPs and controlled documents. Chunks never straddle a section
+ * heading, table rows stay with their header, and overlap is only carried between chunks of
+ * the same section so citations keep pointing at a single clause.
+ *
+ * @param {string} text Document text; form feeds mark page boundaries.
+ * @param {{ chunkSize?: number, overlap?: number, maxChunks?: number }} [options]
+ * @returns {Array<{ index: number, text: string, wordCount: number, characterCount: number,
+ *   sectionNumber: string|null, sectionTitle: string|null, sectionPath: string|null,
+ *   pageNumber: number|null, pageEnd: number|null, blockTypes: string[] }>}
+ */
+export const chunkStructuredText = (text, options = {}) => {
+  const chunkSize = clampChunkSize(options.chunkSize);
+  const overlap = clampOverlap(options.overlap, chunkSize);
+  const maxChunks = Number.isFinite(options.maxChunks) ? options.maxChunks : Infinity;
+
+  const blocks = parseDocumentBlocks(text);
+  const chunks = [];
+  let current = null;
+
+  const finalize = () => {
+    if (!current || !current.parts.some(part => part.type !== 'heading')) {
+      return;
+    }
+    const chunkTextValue = current.parts.map(part => part.text).join('\n').trim();
+    chunks.push({
+      index: chunks.length,
+      text: chunkTextValue,
+      wordCount: countWords(chunkTextValue),
+      characterCount: chunkTextValue.length,
+      sectionNumber: current.sectionNumber,
+      sectionTitle: current.sectionTitle,
+      sectionPath: current.sectionPath,
+      pageNumber: current.pageNumber,
+      pageEnd: current.pageEnd,
+      blockTypes: Array.from(new Set(current.parts.map(part => part.type))),
+    });
+  };
+
+  const start = (block, seedText = '') => {
+    current = {
+      parts: seedText ? [{ type: 'overlap', text: seedText }] : [],
+      sectionNumber: block.sectionNumber,
+      sectionTitle: block.sectionTitle,
+      sectionPath: block.sectionPath,
+      pageNumber: block.pageNumber,
+      pageEnd: block.pageEnd,
+    };
+  };
+
+  const currentLength = () =>
+    current ? current.parts.reduce((total, part) => total + part.text.length + 1, 0) : 0;
+
+  blocks.forEach((block) => {
+    if (chunks.length >= maxChunks) {
+      return;
+    }
+
+    const sameSection = current && current.sectionPath === block.sectionPath;
+
+    if (block.type === 'heading' || block.type === 'clause' || !sameSection) {
+      // Keep consecutive headings (e.g. "5 PROCEDURE" followed by "5.1 Preparation") together
+      const onlyHeadings = current && current.parts.every(part => part.type === 'heading');
+      if (!onlyHeadings) {
+        finalize();
+        start(block);
+      } else {
+        Object.assign(current, {
+          sectionNumber: block.sectionNumber,
+          sectionTitle: block.sectionTitle,
+          sectionPath: block.sectionPath,
+        });
+      }
+    }
+
+    const pieces = splitBlock(block, chunkSize);
+    pieces.forEach((piece, pieceIndex) => {
+      if (currentLength() + piece.length > chunkSize && current.parts.some(part => part.type !== 'heading' && part.type !== 'overlap')) {
+        const previousText = current.parts.map(part => part.text).join('\n');
+        finalize();
+        // Table pieces already repeat their header row, so they do not need text overlap
+        const seed = block.type === 'table' && pieceIndex > 0 ? '' : takeOverlap(previousText, overlap);
+        start(block, seed);
+      }
+
+      current.parts.push({ type: block.type, text: piece });
+      current.pageEnd = Math.max(current.pageEnd || block.pageEnd, block.pageEnd);
+    });
+  });
+
+  if (chunks.length < maxChunks) {
+    finalize();
+  }
+
+  return chunks.slice(0, Number.isFinite(maxChunks) ? maxChunks : undefined);
+};
+
+/**
+ * Build a human-readable citation such as "Section 5.2, p. 4" from chunk location metadata.
+ */
+export const formatChunkCitation = ({ sectionNumber, sectionTitle, pageNumber, pageEnd } = {}) => {
+  const parts = [];
+
+  if (sectionNumber) {
+    parts.push(`Section ${sectionNumber}`);
+  } else if (sectionTitle) {
+    parts.push(sectionTitle);
+  }
+
+  if (Number.isFinite(pageNumber)) {
+    parts.push(
+      Number.isFinite(pageEnd) && pageEnd > pageNumber ? `pp. ${pageNumber}-${pageEnd}` : `p. ${pageNumber}`
+    );
+  }
+
+  return parts.join(', ') || null;
+};
+
+export const __internal = {
+  classifyLine,
+  takeOverlap,
+  DEFAULT_CHUNK_OVERLAP,
+};
@@ -0,0 +1,123 @@
+import { chunkStructuredText, formatChunkCitation, parseDocumentBlocks, PAGE_BREAK } from './structured-chunker.js';
+
+const SOP_TEXT = [
+  'SOP-QA-001 CORRECTIVE AND PREVENTIVE ACTION',
+  '1 PURPOSE',
+  'This procedure defines how CAPAs are raised and closed.',
+  '5 PROCEDURE',
+  '5.1 Initiation',
+  '5.1.1 The originator shall record the deviation in the QMS within 24 hours.',
+  '5.1.2 QA shall assess the impact on released batches:',
+  '- Review the executed batch record',
+  '- Notify the Qualified Person',
+  `${PAGE_BREAK}5.2 Investigation`,
+  'Root cause analysis shall use 5-Why or Ishikawa methods.',
+  'Sheet: Stability',
+  'Lot | Month | Degradation',
+  'A1 | 3 | 2%',
+  'A2 | 6 | 6%',
+].join('\n');
+
+describe('parseDocumentBlocks', () => {
+  test('recognises numbered sections, lists and tables with page numbers', () => {
+    const blocks = parseDocumentBlocks(SOP_TEXT);
+
+    expect(blocks.map(block => block.type)).toEqual([
+      'heading',
+      'heading',
+      'paragraph',
+      'heading',
+      'heading',
+      'clause',
+      'clause',
+      'list',
+      'heading',
+      'paragraph',
+      'heading',
+      'table',
+    ]);
+
+    const list = blocks.find(block => block.type === 'list');
+    expect(list.sectionPath).toBe('5 PROCEDURE > 5.1 Initiation > 5.1.2');
+    expect(list.sectionTitle).toBe('Initiation');
+
+    const table = blocks.find(block => block.type === 'table');
+    expect(table.pageNumber).toBe(2);
+    expect(table.sectionTitle).toBe('Sheet: Stability');
+  });
+
+  test('treats markdown headings as section boundaries', () => {
+    const blocks = parseDocumentBlocks('# Scope\nApplies to all sites.\n## Exclusions\nR&D labs.');
+
+    expect(blocks.filter(block => block.type === 'heading').map(block => block.sectionPath)).toEqual([
+      'Scope',
+      'Scope > Exclusions',
+    ]);
+  });
+});
+
+describe('chunkStructuredText', () => {
+  test('starts a new chunk at each section and records its location', () => {
+    const chunks = chunkStructuredText(SOP_TEXT, { chunkSize: 400, overlap: 0 });
+
+    const clause = chunks.find(chunk => chunk.text.startsWith('5.1.2'));
+    expect(clause.text).toContain('- Notify the Qualified Person');
+    expect(clause.sectionNumber).toBe('5.1.2');
+    expect(clause.pageNumber).toBe(1);
+
+    const investigation = chunks.find(chunk => chunk.sectionNumber === '5.2');
+    expect(investigation.text).toBe('5.2 Investigation\nRoot cause analysis shall use 5-Why or Ishikawa methods.');
+    expect(investigation.pageNumber).toBe(2);
+
+    chunks.forEach((chunk, index) => expect(chunk.index).toBe(index));
+  });
+
+  test('keeps parent headings with the first clause beneath them', () => {
+    const chunks = chunkStructuredText(SOP_TEXT, { chunkSize: 400, overlap: 0 });
+
+    expect(chunks.some(chunk => chunk.text.startsWith('5 PROCEDURE\n5.1 Initiation\n5.1.1'))).toBe(true);
+    expect(chunks.every(chunk => chunk.blockTypes.some(type => type !== 'heading'))).toBe(true);
+  });
+
+  test('repeats the header row when a table is split', () => {
+    const rows = Array.from({ length: 40 }, (_, index) => `Lot ${index} | ${index} months | ${index / 10}%`);
+    const text = ['Sheet: Stability', 'Lot | Month | Degradation', ...rows].join('\n');
+
+    const chunks = chunkStructuredText(text, { chunkSize: 300, overlap: 50 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk) => {
+      expect(chunk.text).toContain('Lot | Month | Degradation');
+      expect(chunk.sectionTitle).toBe('Sheet: Stability');
+    });
+  });
+
+  test('carries configurable overlap between chunks of the same section', () => {
+    const sentences = Array.from({ length: 30 }, (_, index) => `Step ${index} must be verified by a second operator.`);
+    const text = `4.3 Verification\n${sentences.join(' ')}`;
+
+    const withOverlap = chunkStructuredText(text, { chunkSize: 300, overlap: 80 });
+    const withoutOverlap = chunkStructuredText(text, { chunkSize: 300, overlap: 0 });
+
+    expect(withOverlap[1].blockTypes).toContain('overlap');
+    expect(withoutOverlap[1].blockTypes).not.toContain('overlap');
+    const previousTail = withOverlap[0].text.slice(-40);
+    expect(withOverlap[1].text).toContain(previousTail.slice(previousTail.indexOf('Step')));
+    withOverlap.forEach(chunk => expect(chunk.sectionNumber).toBe('4.3'));
+  });
+
+  test('respects the maximum chunk count', () => {
+    const text = Array.from({ length: 20 }, (_, index) => `${index + 1}.1 Clause ${index} applies here.`).join('\n');
+    expect(chunkStructuredText(text, { maxChunks: 5 })).toHaveLength(5);
+  });
+});
+
+describe('formatChunkCitation', () => {
+  test('formats section numbers and pages', () => {
+    expect(formatChunkCitation({ sectionNumber: '5.2', pageNumber: 4, pageEnd: 4 })).toBe('Section 5.2, p. 4');
+    expect(formatChunkCitation({ sectionTitle: 'Sheet: Stability', pageNumber: 2, pageEnd: 3 })).toBe(
+      'Sheet: Stability, pp. 2-3'
+    );
+    expect(formatChunkCitation({})).toBeNull();
+  });
+});
@@ -0,0 +1,512 @@
+// Quizzes and spaced-repetition review built from Notebook conversations.
+//
+// The browser asks the chat model for quiz items and saves them here; answer keys never leave the
+// server until an item has been answered. Submitting a quiz grades it and schedules every missed
+// item for review. Reviews follow SM-2: each answer moves the item's next due date out (correct)
+// or back to tomorrow (missed).
+
+export const QUIZ_ITEM_TYPES = Object.freeze({
+  MULTIPLE_CHOICE: 'multiple_choice',
+  SHORT_ANSWER: 'short_answer',
+});
+
+const MAX_ITEMS_PER_QUIZ = 25;
+const MAX_CHOICES = 6;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+// Share of key terms a short answer must mention to count as correct
+const SHORT_ANSWER_PASS_RATIO = 0.6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let ensuredStudyQuizSchemaPromise = null;
+
+export async function ensureStudyQuizSchema(sql) {
+  if (!ensuredStudyQuizSchemaPromise) {
+    ensuredStudyQuizSchemaPromise = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS study_quizzes (
+          id SERIAL PRIMARY KEY,
+          user_id VARCHAR(255) NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          source_conversation_ids TEXT[] NOT NULL DEFAULT '{}',
+          item_count INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS study_quiz_items (
+          id SERIAL PRIMARY KEY,
+          quiz_id INTEGER NOT NULL REFERENCES study_quizzes(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          item_type VARCHAR(32) NOT NULL,
+          question TEXT NOT NULL,
+          choices JSONB NOT NULL DEFAULT '[]'::jsonb,
+          correct_choice INTEGER,
+          answer TEXT NOT NULL,
+          key_terms TEXT[] NOT NULL DEFAULT '{}',
+          explanation TEXT,
+          citations JSONB NOT NULL DEFAULT '[]'::jsonb
+        )
+      `;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS study_quiz_attempts (
+          id SERIAL PRIMARY KEY,
+          quiz_id INTEGER NOT NULL REFERENCES study_quizzes(id) ON DELETE CASCADE,
+          user_id VARCHAR(255) NOT NULL,
+          correct_count INTEGER NOT NULL,
+          total_count INTEGER NOT NULL,
+          score REAL NOT NULL,
+          responses JSONB NOT NULL DEFAULT '[]'::jsonb,
+          completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS study_review_items (
+          user_id VARCHAR(255) NOT NULL,
+          item_id INTEGER NOT NULL REFERENCES study_quiz_items(id) ON DELETE CASCADE,
+          ease_factor REAL NOT NULL DEFAULT 2.5,
+          interval_days INTEGER NOT NULL DEFAULT 0,
+          repetitions INTEGER NOT NULL DEFAULT 0,
+          lapses INTEGER NOT NULL DEFAULT 0,
+          due_at TIMESTAMPTZ NOT NULL,
+          last_reviewed_at TIMESTAMPTZ,
+          PRIMARY KEY (user_id, item_id)
+        )
+      `;
+
+      await sql`
+        CREATE INDEX IF NOT EXISTS idx_study_review_items_due
+          ON study_review_items(user_id, due_at)
+      `;
+    })().catch(error => {
+      ensuredStudyQuizSchemaPromise = null;
+      throw error;
+    });
+  }
+
+  return ensuredStudyQuizSchemaPromise;
+}
+
+const cleanText = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+const normalizeForComparison = (value) =>
+  cleanText(String(value ?? ''))
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const normalizeCitations = (citations) =>
+  (Array.isArray(citations) ? citations : [])
+    .map(citation => ({
+      title: cleanText(citation?.title) || null,
+      url: cleanText(citation?.url) || null,
+      messageId: citation?.messageId == null ? null : cleanText(String(citation.messageId)) || null,
+    }))
+    .filter(citation => citation.title || citation.url || citation.messageId);
+
+const normalizeQuizItem = (item) => {
+  const question = cleanText(item?.question);
+  const explanation = cleanText(item?.explanation) || null;
+  const citations = normalizeCitations(item?.citations);
+  if (!question) {
+    return null;
+  }
+
+  if (item?.type === QUIZ_ITEM_TYPES.MULTIPLE_CHOICE) {
+    const choices = (Array.isArray(item.choices) ? item.choices : []).map(cleanText).filter(Boolean).slice(0, MAX_CHOICES);
+    const correctChoice = Number(item.correctChoice);
+    if (choices.length < 2 || !Number.isInteger(correctChoice) || !choices[correctChoice]) {
+      return null;
+    }
+    return {
+      type: QUIZ_ITEM_TYPES.MULTIPLE_CHOICE,
+      question,
+      choices,
+      correctChoice,
+      answer: choices[correctChoice],
+      keyTerms: [],
+      explanation,
+      citations,
+    };
+  }
+
+  if (item?.type === QUIZ_ITEM_TYPES.SHORT_ANSWER) {
+    const answer = cleanText(item.answer);
+    if (!answer) {
+      return null;
+    }
+    const keyTerms = (Array.isArray(item.keyTerms) ? item.keyTerms : []).map(cleanText).filter(Boolean);
+    return {
+      type: QUIZ_ITEM_TYPES.SHORT_ANSWER,
+      question,
+      choices: [],
+      correctChoice: null,
+      answer,
+      keyTerms,
+      explanation,
+      citations,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Keep the well-formed items from a model response. Items with an unknown type, fewer than two
+ * choices, an out-of-range answer or no answer key are dropped.
+ */
+export const normalizeQuizItems = (items) => {
+  const normalized = (Array.isArray(items) ? items : [])
+    .map(normalizeQuizItem)
+    .filter(Boolean)
+    .slice(0, MAX_ITEMS_PER_QUIZ);
+
+  if (normalized.length === 0) {
+    throw createError('The quiz did not contain any usable questions', 400);
+  }
+
+  return normalized;
+};
+
+/**
+ * Grade one response. Multiple-choice responses are the chosen index; short answers are correct
+ * when they match the answer key or mention enough of its key terms.
+ * @returns {{correct: boolean, score: number}}
+ */
+export const gradeQuizResponse = (item, response) => {
+  if (item.item_type === QUIZ_ITEM_TYPES.MULTIPLE_CHOICE) {
+    const correct = response !== null && response !== undefined && response !== ''
+      && Number(response) === Number(item.correct_choice);
+    return { correct, score: correct ? 1 : 0 };
+  }
+
+  const normalizedResponse = normalizeForComparison(response);
+  if (!normalizedResponse) {
+    return { correct: false, score: 0 };
+  }
+
+  if (normalizedResponse === normalizeForComparison(item.answer)) {
+    return { correct: true, score: 1 };
+  }
+
+  const keyTerms = (item.key_terms || []).map(normalizeForComparison).filter(Boolean);
+  if (keyTerms.length === 0) {
+    return { correct: false, score: 0 };
+  }
+
+  const paddedResponse = ` ${normalizedResponse} `;
+  const matched = keyTerms.filter(term => paddedResponse.includes(` ${term} `)).length;
+  const score = matched / keyTerms.length;
+  return { correct: score >= SHORT_ANSWER_PASS_RATIO, score };
+};
+
+// SM-2 ease adjustment, scoring a correct recall as quality 5 and a miss as quality 2
+const easeChange = (correct) => {
+  const shortfall = 5 - (correct ? 5 : 2);
+  return 0.1 - shortfall * (0.08 + shortfall * 0.02);
+};
+
+/**
+ * SM-2 step for one review. A miss resets the item to tomorrow; a correct answer grows the
+ * interval (1 day, 6 days, then interval × ease) and nudges the ease factor up.
+ */
+export const scheduleNextReview = (state = {}, correct, now = new Date()) => {
+  const ease = Number(state.ease_factor) || DEFAULT_EASE;
+  const repetitions = Number(state.repetitions) || 0;
+  const interval = Number(state.interval_days) || 0;
+  const lapses = Number(state.lapses) || 0;
+  const nextEase = Math.max(MIN_EASE, ease + easeChange(correct));
+
+  if (!correct) {
+    return {
+      ease_factor: nextEase,
+      repetitions: 0,
+      interval_days: 1,
+      lapses: lapses + 1,
+      due_at: new Date(now.getTime() + DAY_MS).toISOString(),
+    };
+  }
+
+  const nextInterval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * ease);
+  return {
+    ease_factor: nextEase,
+    repetitions: repetitions + 1,
+    interval_days: nextInterval,
+    lapses,
+    due_at: new Date(now.getTime() + nextInterval * DAY_MS).toISOString(),
+  };
+};
+
+// Answer keys are only included once the item has been answered
+const formatQuizItem = (row, { includeAnswer = false } = {}) => ({
+  id: row.id,
+  position: row.position,
+  type: row.item_type,
+  question: row.question,
+  choices: Array.isArray(row.choices) ? row.choices : [],
+  citations: Array.isArray(row.citations) ? row.citations : [],
+  ...(includeAnswer
+    ? {
+        answer: row.answer,
+        correctChoice: row.correct_choice ?? null,
+        explanation: row.explanation || null,
+      }
+    : {}),
+});
+
+const formatQuiz = (row, items = []) => ({
+  id: row.id,
+  title: row.title,
+  sourceConversationIds: row.source_conversation_ids || [],
+  itemCount: Number(row.item_count) || items.length,
+  createdAt: row.created_at,
+  lastAttempt: row.last_score == null
+    ? null
+    : {
+        score: Number(row.last_score),
+        correctCount: Number(row.last_correct_count),
+        totalCount: Number(row.last_total_count),
+        completedAt: row.last_completed_at,
+      },
+  ...(items.length > 0 ? { items: items.map(item => formatQuizItem(item)) } : {}),
+});
+
+async function loadQuizItems(sql, userId, quizId) {
+  return sql`
+    SELECT i.id, i.position, i.item_type, i.question, i.choices, i.correct_choice, i.answer,
+           i.key_terms, i.explanation, i.citations
+      FROM study_quiz_items i
+      JOIN study_quizzes q ON q.id = i.quiz_id
+     WHERE q.id = ${quizId} AND q.user_id = ${userId}
+     ORDER BY i.position
+  `;
+}
+
+export async function saveQuiz(sql, userId, { title, conversationIds = [], items } = {}) {
+  const normalizedItems = normalizeQuizItems(items);
+  await ensureStudyQuizSchema(sql);
+
+  const sourceIds = (Array.isArray(conversationIds) ? conversationIds : []).map(String).filter(Boolean);
+  const [quiz] = await sql`
+    INSERT INTO study_quizzes (user_id, title, source_conversation_ids, item_count)
+    VALUES (${userId}, ${cleanText(title).slice(0, 255) || 'Study quiz'}, ${sourceIds}::text[], ${normalizedItems.length})
+    RETURNING id, title, source_conversation_ids, item_count, created_at
+  `;
+
+  const savedItems = [];
+  for (const [position, item] of normalizedItems.entries()) {
+    const [row] = await sql`
+      INSERT INTO study_quiz_items (
+        quiz_id, position, item_type, question, choices, correct_choice, answer, key_terms, explanation, citations
+      ) VALUES (
+        ${quiz.id}, ${position}, ${item.type}, ${item.question}, ${JSON.stringify(item.choices)}::jsonb,
+        ${item.correctChoice}, ${item.answer}, ${item.keyTerms}::text[], ${item.explanation},
+        ${JSON.stringify(item.citations)}::jsonb
+      )
+      RETURNING id, position, item_type, question, choices, citations
+    `;
+    savedItems.push(row);
+  }
+
+  return formatQuiz(quiz, savedItems);
+}
+
+export async function listQuizzes(sql, userId, { limit = 50 } = {}) {
+  await ensureStudyQuizSchema(sql);
+
+  const rows = await sql`
+    SELECT q.id, q.title, q.source_conversation_ids, q.item_count, q.created_at,
+           a.score AS last_score, a.correct_count AS last_correct_count,
+           a.total_count AS last_total_count, a.completed_at AS last_completed_at
+      FROM study_quizzes q
+      LEFT JOIN LATERAL (
+        SELECT score, correct_count, total_count, completed_at
+          FROM study_quiz_attempts
+         WHERE quiz_id = q.id
+         ORDER BY completed_at DESC
+         LIMIT 1
+      ) a ON TRUE
+     WHERE q.user_id = ${userId}
+     ORDER BY q.created_at DESC
+     LIMIT ${limit}
+  `;
+
+  return rows.map(row => formatQuiz(row));
+}
+
+export async function getQuiz(sql, userId, quizId) {
+  await ensureStudyQuizSchema(sql);
+
+  const [quiz] = await sql`
+    SELECT id, title, source_conversation_ids, item_count, created_at
+      FROM study_quizzes
+     WHERE id = ${quizId} AND user_id = ${userId}
+  `;
+  if (!quiz) {
+    throw createError('Quiz not found', 404);
+  }
+
+  return formatQuiz(quiz, await loadQuizItems(sql, userId, quizId));
+}
+
+/**
+ * Grade a completed quiz, store the attempt and queue every missed item for review tomorrow.
+ * `responses` maps item ids to the chosen index or typed answer. `ownerId` lets a user take a
+ * quiz someone else wrote, such as one assigned in a training curriculum; its items are graded
+ * but not queued, since reviews only cover the user's own quizzes.
+ */
+export async function submitQuizAttempt(sql, userId, quizId, responses = {}, { now = new Date(), ownerId = userId } = {}) {
+  await ensureStudyQuizSchema(sql);
+
+  const items = await loadQuizItems(sql, ownerId, quizId);
+  if (items.length === 0) {
+    throw createError('Quiz not found', 404);
+  }
+
+  const results = items.map(item => {
+    const response = responses?.[item.id] ?? null;
+    const { correct, score } = gradeQuizResponse(item, response);
+    return { ...formatQuizItem(item, { includeAnswer: true }), itemId: item.id, response, correct, score };
+  });
+
+  const correctCount = results.filter(result => result.correct).length;
+  const score = correctCount / results.length;
+
+  const [attempt] = await sql`
+    INSERT INTO study_quiz_attempts (quiz_id, user_id, correct_count, total_count, score, responses)
+    VALUES (
+      ${quizId}, ${userId}, ${correctCount}, ${results.length}, ${score},
+      ${JSON.stringify(results.map(({ itemId, response, correct }) => ({ itemId, response, correct })))}::jsonb
+    )
+    RETURNING id, completed_at
+  `;
+
+  const missed = ownerId === userId ? results.filter(result => !result.correct) : [];
+  for (const result of missed) {
+    const next = scheduleNextReview({}, false, now);
+    // An item missed again restarts its schedule
+    await sql`
+      INSERT INTO study_review_items (user_id, item_id, ease_factor, interval_days, repetitions, lapses, due_at)
+      VALUES (${userId}, ${result.itemId}, ${next.ease_factor}, ${next.interval_days}, 0, 1, ${next.due_at})
+      ON CONFLICT (user_id, item_id) DO UPDATE SET
+        ease_factor = GREATEST(${MIN_EASE}, study_review_items.ease_factor + ${easeChange(false)}),
+        interval_days = EXCLUDED.interval_days,
+        repetitions = 0,
+        lapses = study_review_items.lapses + 1,
+        due_at = EXCLUDED.due_at
+    `;
+  }
+
+  return {
+    attemptId: attempt.id,
+    completedAt: attempt.completed_at,
+    correctCount,
+    totalCount: results.length,
+    score,
+    scheduledForReview: missed.length,
+    results,
+  };
+}
+
+export async function listDueReviewItems(sql, userId, { now = new Date(), limit = 20 } = {}) {
+  await ensureStudyQuizSchema(sql);
+
+  const rows = await sql`
+    SELECT i.id, i.position, i.item_type, i.question, i.choices, i.citations,
+           q.id AS quiz_id, q.title AS quiz_title,
+           r.due_at, r.repetitions, r.lapses,
+           COUNT(*) OVER() AS total_due
+      FROM study_review_items r
+      JOIN study_quiz_items i ON i.id = r.item_id
+      JOIN study_quizzes q ON q.id = i.quiz_id AND q.user_id = r.user_id
+     WHERE r.user_id = ${userId} AND r.due_at <= ${now.toISOString()}
+     ORDER BY r.due_at
+     LIMIT ${limit}
+  `;
+
+  return {
+    items: rows.map(row => ({
+      ...formatQuizItem(row),
+      quizId: row.quiz_id,
+      quizTitle: row.quiz_title,
+      dueAt: row.due_at,
+      repetitions: Number(row.repetitions) || 0,
+      lapses: Number(row.lapses) || 0,
+    })),
+    totalDue: rows.length > 0 ? Number(rows[0].total_due) || rows.length : 0,
+  };
+}
+
+/**
+ * Grade one review answer and move the item to its next due date. Only items from the user's own
+ * quizzes can be reviewed, so an answer key is never returned for someone else's quiz.
+ */
+export async function submitReview(sql, userId, itemId, response, now = new Date()) {
+  await ensureStudyQuizSchema(sql);
+
+  const [row] = await sql`
+    SELECT i.id, i.position, i.item_type, i.question, i.choices, i.correct_choice, i.answer, i.key_terms,
+           i.explanation, i.citations, r.ease_factor, r.interval_days, r.repetitions, r.lapses
+      FROM study_review_items r
+      JOIN study_quiz_items i ON i.id = r.item_id
+      JOIN study_quizzes q ON q.id = i.quiz_id AND q.user_id = r.user_id
+     WHERE r.user_id = ${userId} AND r.item_id = ${itemId}
+  `;
+  if (!row) {
+    throw createError('Review item not found', 404);
+  }
+
+  const { correct, score } = gradeQuizResponse(row, response);
+  const next = scheduleNextReview(row, correct, now);
+
+  await sql`
+    UPDATE study_review_items
+       SET ease_factor = ${next.ease_factor},
+           interval_days = ${next.interval_days},
+           repetitions = ${next.repetitions},
+           lapses = ${next.lapses},
+           due_at = ${next.due_at},
+           last_reviewed_at = ${now.toISOString()}
+     WHERE user_id = ${userId} AND item_id = ${itemId}
+  `;
+
+  return {
+    ...formatQuizItem(row, { includeAnswer: true }),
+    itemId: row.id,
+    response,
+    correct,
+    score,
+    nextDueAt: next.due_at,
+    intervalDays: next.interval_days,
+  };
+}
+
+export async function deleteQuiz(sql, userId, quizId) {
+  await ensureStudyQuizSchema(sql);
+
+  const deleted = await sql`
+    DELETE FROM study_quizzes
+     WHERE id = ${quizId} AND user_id = ${userId}
+    RETURNING id
+  `;
+  if (deleted.length === 0) {
+    throw createError('Quiz not found', 404);
+  }
+  return deleted[0].id;
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredStudyQuizSchemaPromise = null;
+  },
+};
@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  getQuiz,
+  gradeQuizResponse,
+  normalizeQuizItems,
+  scheduleNextReview,
+  submitQuizAttempt,
+  submitReview,
+} from './study-quizzes.js';
+
+const now = new Date('2026-10-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const multipleChoiceRow = {
+  id: 11,
+  position: 0,
+  item_type: 'multiple_choice',
+  question: 'Which record documents a deviation investigation?',
+  choices: ['Batch record', 'CAPA', 'Deviation report'],
+  correct_choice: 2,
+  answer: 'Deviation report',
+  key_terms: [],
+  explanation: 'Deviations are investigated and documented in a deviation report.',
+  citations: [{ title: 'Deviation handling', url: null, messageId: 'm1' }],
+};
+
+const shortAnswerRow = {
+  id: 12,
+  position: 1,
+  item_type: 'short_answer',
+  question: 'What does ALCOA stand for?',
+  choices: [],
+  correct_choice: null,
+  answer: 'Attributable, Legible, Contemporaneous, Original, Accurate',
+  key_terms: ['attributable', 'legible', 'contemporaneous', 'original', 'accurate'],
+  explanation: null,
+  citations: [],
+};
+
+// Routes each statement by the table it reads or writes so tests can script the item rows
+const createSqlMock = (itemRows = []) =>
+  jest.fn(async (strings) => {
+    const text = strings.join('?');
+    if (text.includes('FROM study_quiz_items')) {
+      return itemRows;
+    }
+    if (text.includes('FROM study_quizzes')) {
+      return [{ id: 3, title: 'Data integrity', source_conversation_ids: ['c1'], item_count: itemRows.length }];
+    }
+    if (text.includes('INSERT INTO study_quiz_attempts')) {
+      return [{ id: 99, completed_at: now.toISOString() }];
+    }
+    return [];
+  });
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+});
+
+describe('normalizeQuizItems', () => {
+  test('keeps well-formed items and drops ones without a usable answer key', () => {
+    const items = normalizeQuizItems([
+      { type: 'multiple_choice', question: ' Q1 ', choices: ['A', 'B'], correctChoice: 1 },
+      { type: 'multiple_choice', question: 'Q2', choices: ['A', 'B'], correctChoice: 4 },
+      { type: 'short_answer', question: 'Q3', answer: '' },
+      { type: 'essay', question: 'Q4', answer: 'x' },
+      { type: 'short_answer', question: 'Q5', answer: 'Change control', keyTerms: ['change', ''] },
+    ]);
+
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({ question: 'Q1', answer: 'B', correctChoice: 1 });
+    expect(items[1]).toMatchObject({ question: 'Q5', keyTerms: ['change'], correctChoice: null });
+  });
+
+  test('rejects a response with no usable questions', () => {
+    expect(() => normalizeQuizItems([{ type: 'short_answer', question: 'Q' }])).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+});
+
+describe('gradeQuizResponse', () => {
+  test('grades multiple choice by index', () => {
+    expect(gradeQuizResponse(multipleChoiceRow, 2)).toEqual({ correct: true, score: 1 });
+    expect(gradeQuizResponse(multipleChoiceRow, '2')).toEqual({ correct: true, score: 1 });
+    expect(gradeQuizResponse(multipleChoiceRow, 0).correct).toBe(false);
+    expect(gradeQuizResponse(multipleChoiceRow, '').correct).toBe(false);
+  });
+
+  test('accepts short answers that mention enough key terms', () => {
+    expect(gradeQuizResponse(shortAnswerRow, 'attributable, legible, contemporaneous and original')).toEqual({
+      correct: true,
+      score: 0.8,
+    });
+    expect(gradeQuizResponse(shortAnswerRow, 'Accurate and legible').correct).toBe(false);
+    expect(gradeQuizResponse(shortAnswerRow, '   ').score).toBe(0);
+  });
+});
+
+describe('scheduleNextReview', () => {
+  test('grows the interval 1, 6, then by the ease factor on correct answers', () => {
+    const first = scheduleNextReview({}, true, now);
+    const second = scheduleNextReview(first, true, now);
+    const third = scheduleNextReview(second, true, now);
+
+    expect([first.interval_days, second.interval_days, third.interval_days]).toEqual([1, 6, 16]);
+    expect(third.repetitions).toBe(3);
+    expect(new Date(third.due_at).getTime() - now.getTime()).toBe(16 * DAY_MS);
+  });
+
+  test('sends a missed item back to tomorrow and lowers its ease', () => {
+    const next = scheduleNextReview({ ease_factor: 2.5, repetitions: 3, interval_days: 15, lapses: 0 }, false, now);
+
+    expect(next).toMatchObject({ repetitions: 0, interval_days: 1, lapses: 1 });
+    expect(next.ease_factor).toBeCloseTo(2.18);
+    expect(next.due_at).toBe(new Date(now.getTime() + DAY_MS).toISOString());
+    expect(scheduleNextReview({ ease_factor: 1.3 }, false, now).ease_factor).toBe(1.3);
+  });
+});
+
+describe('quizzes', () => {
+  test('hides answer keys until the quiz is submitted', async () => {
+    const quiz = await getQuiz(createSqlMock([multipleChoiceRow, shortAnswerRow]), 'user-1', 3);
+
+    expect(quiz.items).toHaveLength(2);
+    quiz.items.forEach(item => {
+      expect(item).not.toHaveProperty('answer');
+      expect(item).not.toHaveProperty('correctChoice');
+    });
+  });
+
+  test('grades an attempt and schedules only the missed items for review', async () => {
+    const sql = createSqlMock([multipleChoiceRow, shortAnswerRow]);
+
+    const attempt = await submitQuizAttempt(sql, 'user-1', 3, { 11: 2, 12: 'legible' }, { now });
+
+    expect(attempt).toMatchObject({ attemptId: 99, correctCount: 1, totalCount: 2, score: 0.5, scheduledForReview: 1 });
+    expect(attempt.results[1]).toMatchObject({ itemId: 12, correct: false, answer: shortAnswerRow.answer });
+
+    const reviews = sql.mock.calls.filter(([strings]) => strings.join('?').includes('INSERT INTO study_review_items'));
+    expect(reviews).toHaveLength(1);
+    expect(reviews[0].slice(1, 3)).toEqual(['user-1', 12]);
+  });
+
+  test('grades an assigned quiz written by someone else without queueing its items for review', async () => {
+    const sql = createSqlMock([multipleChoiceRow, shortAnswerRow]);
+
+    const attempt = await submitQuizAttempt(sql, 'trainee-1', 3, { 11: 0, 12: 'legible' }, { now, ownerId: 'author-1' });
+
+    expect(attempt).toMatchObject({ correctCount: 0, totalCount: 2, scheduledForReview: 0 });
+    expect(sql.mock.calls.some(([strings]) => strings.join('?').includes('INSERT INTO study_review_items'))).toBe(false);
+  });
+
+  test('reviews only items from the user\'s own quizzes', async () => {
+    const sql = createSqlMock([]);
+
+    await expect(submitReview(sql, 'trainee-1', 11, 2, now)).rejects.toMatchObject({ statusCode: 404 });
+
+    const [lookup] = sql.mock.calls.find(([strings]) => strings.join('?').includes('FROM study_review_items'));
+    expect(lookup.join('?')).toContain('JOIN study_quizzes q ON q.id = i.quiz_id AND q.user_id = r.user_id');
+  });
+});
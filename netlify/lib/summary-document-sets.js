@@ -0,0 +1,172 @@
+// Saved document sets for multi-document summaries, e.g. "SOP-014 and its work instructions" or
+// "Line 3 deviations, Q3". A set stores document ids only; the panel loads their current content
+// when a summary is requested. Sets are personal unless an organization admin shares one with the
+// organization.
+
+import { canManageRecord, canReadRecord, describeScope, resolveOwnerOrganization } from './organization-scope.js';
+
+// Upper bound on documents per summary request and per saved set; the request carries every
+// document's full text
+export const MAX_SUMMARY_DOCUMENTS = 10;
+
+const MAX_NAME_LENGTH = 120;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let ensuredDocumentSetSchemaPromise = null;
+
+export async function ensureDocumentSetSchema(sql) {
+  if (!ensuredDocumentSetSchemaPromise) {
+    ensuredDocumentSetSchemaPromise = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS summary_document_sets (
+          id SERIAL PRIMARY KEY,
+          user_id VARCHAR(255) NOT NULL,
+          organization_id TEXT,
+          name VARCHAR(120) NOT NULL,
+          document_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      await sql`
+        CREATE INDEX IF NOT EXISTS idx_summary_document_sets_owner
+          ON summary_document_sets(user_id, organization_id)
+      `;
+    })().catch(error => {
+      ensuredDocumentSetSchemaPromise = null;
+      throw error;
+    });
+  }
+
+  return ensuredDocumentSetSchemaPromise;
+}
+
+/**
+ * Validate a set's name and document ids. Ids are kept as strings in selection order with
+ * duplicates removed.
+ */
+export const normalizeDocumentSet = (input = {}) => {
+  const name = typeof input.name === 'string' ? input.name.replace(/\s+/g, ' ').trim() : '';
+  if (!name) {
+    throw createError('A document set needs a name', 400);
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw createError(`Document set names are limited to ${MAX_NAME_LENGTH} characters`, 400);
+  }
+
+  const documentIds = [...new Set(
+    (Array.isArray(input.documentIds) ? input.documentIds : [])
+      .filter(id => (typeof id === 'string' && id.trim()) || Number.isFinite(id))
+      .map(id => String(id).trim())
+  )];
+  if (documentIds.length === 0) {
+    throw createError('A document set needs at least one document', 400);
+  }
+  if (documentIds.length > MAX_SUMMARY_DOCUMENTS) {
+    throw createError(`A document set can hold at most ${MAX_SUMMARY_DOCUMENTS} documents`, 400);
+  }
+
+  return { name, documentIds };
+};
+
+const parseIds = (value) => {
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(parsed) ? parsed.map(String) : [];
+};
+
+const formatDocumentSet = (row, tenant, userId) => ({
+  id: row.id,
+  name: row.name,
+  documentIds: parseIds(row.document_ids),
+  scope: describeScope(row),
+  createdBy: row.user_id,
+  canManage: canManageRecord(tenant, userId, row),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * The caller's personal sets and their organization's shared sets, most recently updated first.
+ */
+export async function listDocumentSets(sql, userId, tenant = {}) {
+  await ensureDocumentSetSchema(sql);
+  const rows = await sql`
+    SELECT id, user_id, organization_id, name, document_ids, created_at, updated_at
+    FROM summary_document_sets
+    WHERE (user_id = ${userId} AND organization_id IS NULL)
+       OR (organization_id IS NOT NULL AND organization_id = ${tenant.organizationId || null})
+    ORDER BY updated_at DESC, id DESC
+  `;
+  return rows.map(row => formatDocumentSet(row, tenant, userId));
+}
+
+async function loadManageableSet(sql, userId, tenant, id) {
+  const [row] = await sql`
+    SELECT id, user_id, organization_id, name, document_ids, created_at, updated_at
+    FROM summary_document_sets
+    WHERE id = ${id}
+  `;
+  // Sets outside the caller's library are reported as missing rather than forbidden
+  if (!canReadRecord(tenant, userId, row)) {
+    throw createError('Document set not found', 404);
+  }
+  if (!canManageRecord(tenant, userId, row)) {
+    throw createError('Only organization administrators can change shared document sets', 403);
+  }
+  return row;
+}
+
+/**
+ * Create a set, or replace the name and documents of an existing one when `input.id` is given.
+ * `input.scope` of 'organization' shares a new set with the caller's organization.
+ */
+export async function saveDocumentSet(sql, userId, tenant = {}, input = {}) {
+  await ensureDocumentSetSchema(sql);
+  const { name, documentIds } = normalizeDocumentSet(input);
+
+  if (input.id != null) {
+    const id = Number(input.id);
+    if (!Number.isInteger(id)) {
+      throw createError('Document set id must be an integer', 400);
+    }
+    await loadManageableSet(sql, userId, tenant, id);
+    const [row] = await sql`
+      UPDATE summary_document_sets
+      SET name = ${name}, document_ids = ${JSON.stringify(documentIds)}, updated_at = NOW()
+      WHERE id = ${id}
+      RETURNING id, user_id, organization_id, name, document_ids, created_at, updated_at
+    `;
+    return formatDocumentSet(row, tenant, userId);
+  }
+
+  const organizationId = resolveOwnerOrganization(tenant, input.scope);
+  const [row] = await sql`
+    INSERT INTO summary_document_sets (user_id, organization_id, name, document_ids)
+    VALUES (${userId}, ${organizationId}, ${name}, ${JSON.stringify(documentIds)})
+    RETURNING id, user_id, organization_id, name, document_ids, created_at, updated_at
+  `;
+  return formatDocumentSet(row, tenant, userId);
+}
+
+export async function deleteDocumentSet(sql, userId, tenant = {}, id) {
+  await ensureDocumentSetSchema(sql);
+  const setId = Number(id);
+  if (!Number.isInteger(setId)) {
+    throw createError('Document set id must be an integer', 400);
+  }
+  await loadManageableSet(sql, userId, tenant, setId);
+  await sql`DELETE FROM summary_document_sets WHERE id = ${setId}`;
+  return { id: setId, deleted: true };
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredDocumentSetSchemaPromise = null;
+  },
+};
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  MAX_SUMMARY_DOCUMENTS,
+  deleteDocumentSet,
+  listDocumentSets,
+  normalizeDocumentSet,
+  saveDocumentSet,
+} from './summary-document-sets.js';
+
+const setRow = (overrides = {}) => ({
+  id: 4,
+  user_id: 'user-1',
+  organization_id: null,
+  name: 'Deviation pack',
+  document_ids: JSON.stringify(['12', '15']),
+  created_at: '2026-10-01T00:00:00.000Z',
+  updated_at: '2026-10-02T00:00:00.000Z',
+  ...overrides,
+});
+
+// Routes each statement by its leading keyword so the tests can script what the database returns
+const createSqlMock = ({ select = [], insert = [], update = [] } = {}) => {
+  const queues = { SELECT: [...select], INSERT: [...insert], UPDATE: [...update] };
+  return jest.fn(async (strings) => {
+    const keyword = strings.join('?').trim().split(/\s+/)[0].toUpperCase();
+    const queue = queues[keyword];
+    return queue && queue.length > 0 ? queue.shift() : [];
+  });
+};
+
+const statements = (sql, keyword) =>
+  sql.mock.calls.filter(([strings]) => strings.join('?').trim().toUpperCase().startsWith(keyword));
+
+const member = { organizationId: 'org-1', isOrganizationAdmin: false };
+const orgAdmin = { organizationId: 'org-1', isOrganizationAdmin: true };
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+});
+
+describe('normalizeDocumentSet', () => {
+  test('trims the name and keeps unique ids in selection order', () => {
+    expect(normalizeDocumentSet({ name: '  Line 3   deviations ', documentIds: [15, '12', '15', '', null] })).toEqual({
+      name: 'Line 3 deviations',
+      documentIds: ['15', '12'],
+    });
+  });
+
+  test('requires a name and between one and the maximum number of documents', () => {
+    expect(() => normalizeDocumentSet({ documentIds: ['1'] })).toThrow('A document set needs a name');
+    expect(() => normalizeDocumentSet({ name: 'Empty', documentIds: [] })).toThrow('at least one document');
+    const tooMany = Array.from({ length: MAX_SUMMARY_DOCUMENTS + 1 }, (_, index) => `doc-${index}`);
+    expect(() => normalizeDocumentSet({ name: 'Big', documentIds: tooMany })).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+});
+
+describe('listDocumentSets', () => {
+  test('returns personal and organization sets with whether the caller can change them', async () => {
+    const sql = createSqlMock({
+      select: [[setRow(), setRow({ id: 5, user_id: 'admin-9', organization_id: 'org-1', name: 'QA pack' })]],
+    });
+
+    const sets = await listDocumentSets(sql, 'user-1', member);
+
+    expect(sets).toEqual([
+      expect.objectContaining({ id: 4, documentIds: ['12', '15'], scope: 'personal', canManage: true }),
+      expect.objectContaining({ id: 5, name: 'QA pack', scope: 'organization', canManage: false }),
+    ]);
+    const [, ...values] = statements(sql, 'SELECT')[0];
+    expect(values).toEqual(['user-1', 'org-1']);
+  });
+});
+
+describe('saveDocumentSet', () => {
+  test('creates a personal set by default', async () => {
+    const sql = createSqlMock({ insert: [[setRow({ id: 9 })]] });
+
+    const saved = await saveDocumentSet(sql, 'user-1', member, { name: 'Deviation pack', documentIds: ['12', '15'] });
+
+    expect(saved).toMatchObject({ id: 9, scope: 'personal' });
+    const [, ...values] = statements(sql, 'INSERT')[0];
+    expect(values).toEqual(['user-1', null, 'Deviation pack', JSON.stringify(['12', '15'])]);
+  });
+
+  test('only organization admins share sets with the organization', async () => {
+    await expect(saveDocumentSet(createSqlMock(), 'user-1', member, {
+      name: 'QA pack',
+      documentIds: ['1'],
+      scope: 'organization',
+    })).rejects.toMatchObject({ statusCode: 403 });
+
+    const sql = createSqlMock({ insert: [[setRow({ organization_id: 'org-1' })]] });
+    await saveDocumentSet(sql, 'admin-9', orgAdmin, { name: 'QA pack', documentIds: ['1'], scope: 'organization' });
+    expect(statements(sql, 'INSERT')[0][2]).toBe('org-1');
+  });
+
+  test('updates a set the caller manages and hides sets outside their library', async () => {
+    const sql = createSqlMock({
+      select: [[setRow()]],
+      update: [[setRow({ name: 'Renamed', document_ids: ['15'] })]],
+    });
+
+    const saved = await saveDocumentSet(sql, 'user-1', member, { id: '4', name: 'Renamed', documentIds: ['15'] });
+    expect(saved).toMatchObject({ name: 'Renamed', documentIds: ['15'] });
+
+    const otherUser = createSqlMock({ select: [[setRow({ user_id: 'user-2' })]] });
+    await expect(saveDocumentSet(otherUser, 'user-1', member, { id: 4, name: 'Mine', documentIds: ['1'] }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(statements(otherUser, 'UPDATE')).toHaveLength(0);
+  });
+});
+
+describe('deleteDocumentSet', () => {
+  test('lets members read but not delete organization sets', async () => {
+    const sql = createSqlMock({ select: [[setRow({ organization_id: 'org-1', user_id: 'admin-9' })]] });
+
+    await expect(deleteDocumentSet(sql, 'user-1', member, 4)).rejects.toMatchObject({ statusCode: 403 });
+    expect(statements(sql, 'DELETE')).toHaveLength(0);
+
+    const adminSql = createSqlMock({ select: [[setRow({ organization_id: 'org-1', user_id: 'admin-9' })]] });
+    await expect(deleteDocumentSet(adminSql, 'admin-9', orgAdmin, 4)).resolves.toEqual({ id: 4, deleted: true });
+    expect(statements(adminSql, 'DELETE')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,262 @@
+// Abstractive generation stage of the summary pipeline. The configured chat provider writes the
+// role- and lens-specific summary from the retrieved chunks, which are given to it as numbered
+// sources; every bullet it returns must cite those numbers, and the citations are validated and
+// renumbered here so they line up with the pipeline's citation list. Callers fall back to the
+// extractive summary when generation throws.
+
+import crypto from 'node:crypto';
+
+import { DEFAULT_CHAT_PROVIDER, getChatClient } from './llm-providers.js';
+
+// Bump whenever the prompt wording or output format changes; stored with every summary
+export const SUMMARY_PROMPT_VERSION = 'summary-abstractive-v1';
+
+const MAX_SOURCE_CHARACTERS = 1800;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// USD per million tokens for the providers' default models. SUMMARY_MODEL_PRICING overrides or
+// extends it with JSON such as {"gpt-4o": {"input": 2.5, "output": 10}}; models without a price
+// record their token counts with a null cost.
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+};
+
+const RESPONSE_TOKENS = {
+  Brief: 500,
+  Standard: 800,
+  'Deep Dive': 1400,
+};
+
+const TONE_GUIDANCE = {
+  formal: 'Use formal, precise compliance language.',
+  pragmatic: 'Be direct and action-oriented: name owners, dates and open items where the sources give them.',
+  technical: 'Use precise technical language and keep identifiers, settings and test names verbatim.',
+  accessible: 'Write for someone new to the organization: plain language, and expand abbreviations on first use.',
+};
+
+const describeSource = (chunk) => [
+  chunk.doc_title ? `${chunk.doc_title}${chunk.doc_version ? ` v${chunk.doc_version}` : ''}` : chunk.doc_id,
+  chunk.section ? `Sec ${chunk.section}` : null,
+  chunk.page ? `p.${chunk.page}` : null,
+].filter(Boolean).join(' · ');
+
+const truncate = (text, limit) => (text.length > limit ? `${text.slice(0, limit).trimEnd()}…` : text);
+
+/**
+ * Build the chat messages for one summary. `chunks` are the retrieved chunks in rank order; the
+ * model sees them as sources [1]..[n].
+ */
+export function buildSummaryMessages({ chunks, mode, profile, lensKeywords = [], targetSentences, query = '', isMultiDocument = false }) {
+  const headings = [...profile.sections, 'Key Insights'];
+  const system = [
+    'You are AcceleraQA\'s summarizer for pharmaceutical quality and validation documents.',
+    `Write a summary for a ${mode.role} reading through the ${mode.lens} lens (${lensKeywords.join(', ')}).`,
+    TONE_GUIDANCE[profile.tone] || '',
+    'Use ONLY the numbered sources. Do not add facts, numbers or requirements that the sources do not state.',
+    'Format: markdown sections headed "### <heading>", each followed by "- " bullets.',
+    `Choose headings from: ${headings.join('; ')}. Omit a heading the sources give nothing for.`,
+    'End every bullet with the number of each source it relies on, in square brackets, e.g. [2] or [1][4].',
+    'A statement you cannot cite must be left out. Write nothing outside the sections.',
+    isMultiDocument ? 'The sources come from several documents; say which document a statement applies to when they differ.' : '',
+  ].filter(Boolean).join('\n');
+
+  const sources = chunks
+    .map((chunk, index) => `[${index + 1}] ${describeSource(chunk)}\n${truncate(chunk.text, MAX_SOURCE_CHARACTERS)}`)
+    .join('\n\n');
+
+  const request = [
+    `Write about ${targetSentences} bullets in total.`,
+    query.trim() ? `The reader asked: ${query.trim()}` : null,
+    '',
+    'Sources:',
+    sources,
+  ].filter(value => value !== null).join('\n');
+
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: request },
+  ];
+}
+
+const CITATION_GROUP_PATTERN = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Turn the model's markdown into the pipeline's summary shape. Citation markers are mapped back to
+ * chunks and renumbered in order of first use; markers that name no source are removed, and bullets
+ * left without any citation are dropped rather than shown ungrounded.
+ */
+export function parseGeneratedSummary(text, chunks) {
+  const citations = [];
+  const citationNumbers = new Map();
+  const sentences = [];
+  const lines = [];
+  let pendingHeading = null;
+  let droppedCount = 0;
+
+  const cite = (chunk) => {
+    if (!citationNumbers.has(chunk.id)) {
+      citationNumbers.set(chunk.id, citations.length + 1);
+      citations.push({
+        citationNumber: citations.length + 1,
+        chunk_id: chunk.id,
+        doc_id: chunk.doc_id,
+        doc_title: chunk.doc_title || null,
+        doc_version: chunk.doc_version || null,
+        section: chunk.section,
+        page: chunk.page,
+        preview: chunk.text.slice(0, 180),
+        score: Number((chunk.score || 0).toFixed(3)),
+      });
+    }
+    return citationNumbers.get(chunk.id);
+  };
+
+  String(text || '').split('\n').forEach((rawLine) => {
+    const line = rawLine.trim();
+    const heading = /^#{1,6}\s+(.+)$/.exec(line);
+    if (heading) {
+      pendingHeading = heading[1].replace(/[*_]/g, '').trim();
+      return;
+    }
+
+    const bullet = /^(?:[-*•]|\d+[.)])\s+(.+)$/.exec(line);
+    if (!bullet) {
+      return;
+    }
+
+    const cited = [];
+    [...bullet[1].matchAll(CITATION_GROUP_PATTERN)].forEach((match) => {
+      match[1].split(',').forEach((value) => {
+        const chunk = chunks[Number(value.trim()) - 1];
+        if (chunk && !cited.includes(chunk)) {
+          cited.push(chunk);
+        }
+      });
+    });
+    const statement = bullet[1].replace(CITATION_GROUP_PATTERN, '').replace(/\s+([.,;:])/g, '$1').trim();
+    if (cited.length === 0 || !statement) {
+      droppedCount += 1;
+      return;
+    }
+
+    if (pendingHeading !== null || lines.length === 0) {
+      if (lines.length > 0) {
+        lines.push('');
+      }
+      lines.push(`### ${pendingHeading || 'Key Insights'}`);
+      pendingHeading = null;
+    }
+
+    const numbers = cited.map(cite);
+    lines.push(`- ${statement} ${numbers.map(number => `[${number}]`).join('')}`);
+    sentences.push({
+      text: statement,
+      chunkId: cited[0].id,
+      chunkIds: cited.map(chunk => chunk.id),
+      docId: cited[0].doc_id,
+      docTitle: cited[0].doc_title,
+      docVersion: cited[0].doc_version,
+      section: cited[0].section,
+      page: cited[0].page,
+    });
+  });
+
+  return { summaryText: lines.join('\n'), sentences, citations, droppedCount };
+}
+
+const readPricing = (env) => {
+  if (!env.SUMMARY_MODEL_PRICING) {
+    return DEFAULT_MODEL_PRICING;
+  }
+  try {
+    return { ...DEFAULT_MODEL_PRICING, ...JSON.parse(env.SUMMARY_MODEL_PRICING) };
+  } catch (error) {
+    console.warn('Ignoring SUMMARY_MODEL_PRICING: it is not valid JSON');
+    return DEFAULT_MODEL_PRICING;
+  }
+};
+
+/**
+ * Normalize a completion's `usage` and price it. `costUsd` is null for models without a price.
+ */
+export function describeTokenUsage(model, usage = {}, env = process.env) {
+  const promptTokens = Number(usage?.prompt_tokens) || 0;
+  const completionTokens = Number(usage?.completion_tokens) || 0;
+  const price = readPricing(env)[model];
+  const costUsd = price
+    ? Number(((promptTokens * price.input + completionTokens * price.output) / 1e6).toFixed(6))
+    : null;
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: Number(usage?.total_tokens) || promptTokens + completionTokens,
+    costUsd,
+  };
+}
+
+/**
+ * Generate an abstractive summary of the retrieved `chunks`. Throws when the provider is not
+ * configured, the call fails or times out, or the answer contains no cited statements.
+ *
+ * @returns {Promise<{summaryText: string, sentences: Object[], citations: Object[], droppedCount: number,
+ *   provider: string, model: string, promptVersion: string, promptHash: string, usage: Object}>}
+ */
+export async function generateAbstractiveSummary({
+  chunks,
+  mode,
+  profile,
+  lensKeywords,
+  detailPlan,
+  query,
+  isMultiDocument = false,
+  provider = DEFAULT_CHAT_PROVIDER,
+  model: requestedModel,
+  env = process.env,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  getClient = getChatClient,
+}) {
+  if (!Array.isArray(chunks) || chunks.length === 0) {
+    throw new Error('No chunks were retrieved to summarize');
+  }
+
+  const { client, model, provider: resolvedProvider } = getClient(provider, { model: requestedModel, env });
+  const messages = buildSummaryMessages({
+    chunks,
+    mode,
+    profile,
+    lensKeywords,
+    targetSentences: detailPlan.targetSentences,
+    query,
+    isMultiDocument,
+  });
+
+  const completion = await client.chat.completions.create(
+    {
+      model,
+      messages,
+      max_tokens: RESPONSE_TOKENS[mode.detail] || RESPONSE_TOKENS.Standard,
+      temperature: 0.2,
+    },
+    { timeout: timeoutMs }
+  );
+
+  const parsed = parseGeneratedSummary(completion.choices?.[0]?.message?.content, chunks);
+  if (parsed.sentences.length === 0) {
+    throw new Error('The model returned no cited statements');
+  }
+
+  return {
+    ...parsed,
+    provider: resolvedProvider,
+    model,
+    promptVersion: SUMMARY_PROMPT_VERSION,
+    promptHash: crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex'),
+    usage: describeTokenUsage(model, completion.usage, env),
+  };
+}
@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+
+// The SDK needs a fetch implementation to load; the tests inject their own client
+jest.unstable_mockModule('openai', () => ({
+  default: class MockOpenAI {},
+  AzureOpenAI: class MockAzureOpenAI {},
+}));
+
+const {
+  SUMMARY_PROMPT_VERSION,
+  buildSummaryMessages,
+  describeTokenUsage,
+  generateAbstractiveSummary,
+  parseGeneratedSummary,
+} = await import('./summary-generation.js');
+
+const chunks = [
+  { id: 'sop-1', doc_id: 'SOP-014', doc_title: 'Deviation SOP', doc_version: '3.0', section: '1 Scope', page: 1, text: 'Deviations are recorded within 24 hours.', score: 2.4 },
+  { id: 'sop-2', doc_id: 'SOP-014', doc_title: 'Deviation SOP', doc_version: '3.0', section: '2 CAPA', page: 2, text: 'CAPA owners close actions by the due date.', score: 1.9 },
+  { id: 'wi-1', doc_id: 'WI-014-01', doc_title: 'Deviation form WI', doc_version: '1.2', section: '1 Form', page: 1, text: 'The form captures batch number and severity.', score: 1.1 },
+];
+
+const mode = { role: 'QA Lead', lens: 'Risk & CAPA', detail: 'Brief' };
+const profile = { tone: 'pragmatic', sections: ['Risk Posture', 'Mitigations & Owners', 'Open Actions'] };
+
+const fakeClient = (content, usage = { prompt_tokens: 1200, completion_tokens: 300, total_tokens: 1500 }) => {
+  const create = jest.fn(async () => ({ choices: [{ message: { content } }], usage }));
+  return {
+    create,
+    getClient: jest.fn((provider, { model }) => ({
+      client: { chat: { completions: { create } } },
+      model: model || 'gpt-4o',
+      provider: provider || 'openai',
+    })),
+  };
+};
+
+describe('buildSummaryMessages', () => {
+  test('numbers the chunks as sources and carries the role, lens and headings', () => {
+    const [system, user] = buildSummaryMessages({
+      chunks,
+      mode,
+      profile,
+      lensKeywords: ['risk', 'capa'],
+      targetSentences: 4,
+      query: 'Who owns open CAPAs?',
+    });
+
+    expect(system.content).toContain('for a QA Lead reading through the Risk & CAPA lens (risk, capa)');
+    expect(system.content).toContain('Risk Posture; Mitigations & Owners; Open Actions; Key Insights');
+    expect(user.content).toContain('The reader asked: Who owns open CAPAs?');
+    expect(user.content).toContain('[3] Deviation form WI v1.2 · Sec 1 Form · p.1\nThe form captures batch number and severity.');
+  });
+});
+
+describe('parseGeneratedSummary', () => {
+  test('renumbers citations by first use and drops unsupported statements', () => {
+    const parsed = parseGeneratedSummary([
+      'Here is the summary:',
+      '### Risk Posture',
+      '- Severity is captured on the deviation form [3].',
+      '- Deviations are logged within a day [1, 3]',
+      '- The site has never missed a CAPA date.',
+      '- Batch release is automatic [7]',
+      '### Open Actions',
+      '* CAPA owners close actions by the due date [2][2]',
+    ].join('\n'), chunks);
+
+    expect(parsed.summaryText).toBe([
+      '### Risk Posture',
+      '- Severity is captured on the deviation form. [1]',
+      '- Deviations are logged within a day [2][1]',
+      '',
+      '### Open Actions',
+      '- CAPA owners close actions by the due date [3]',
+    ].join('\n'));
+    expect(parsed.citations.map(citation => [citation.citationNumber, citation.chunk_id])).toEqual([
+      [1, 'wi-1'],
+      [2, 'sop-1'],
+      [3, 'sop-2'],
+    ]);
+    expect(parsed.citations[0]).toMatchObject({ doc_title: 'Deviation form WI', doc_version: '1.2', score: 1.1 });
+    expect(parsed.sentences[1]).toMatchObject({ chunkId: 'sop-1', chunkIds: ['sop-1', 'wi-1'], docId: 'SOP-014' });
+    expect(parsed.droppedCount).toBe(2);
+  });
+});
+
+describe('describeTokenUsage', () => {
+  test('prices known models and lets the environment add prices', () => {
+    expect(describeTokenUsage('gpt-4o', { prompt_tokens: 1000, completion_tokens: 500 }, {})).toEqual({
+      promptTokens: 1000,
+      completionTokens: 500,
+      totalTokens: 1500,
+      costUsd: 0.0075,
+    });
+    expect(describeTokenUsage('qwen2.5-72b', { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }, {}).costUsd).toBeNull();
+    expect(describeTokenUsage('qwen2.5-72b', { prompt_tokens: 1e6 }, {
+      SUMMARY_MODEL_PRICING: '{"qwen2.5-72b": {"input": 0.4, "output": 1.2}}',
+    }).costUsd).toBe(0.4);
+  });
+});
+
+describe('generateAbstractiveSummary', () => {
+  test('calls the requested provider and records model, prompt version and cost', async () => {
+    const { create, getClient } = fakeClient('### Open Actions\n- CAPA owners close actions by the due date [2]');
+
+    const result = await generateAbstractiveSummary({
+      chunks,
+      mode,
+      profile,
+      lensKeywords: ['risk'],
+      detailPlan: { targetSentences: 4 },
+      provider: 'groq',
+      model: 'llama-3.3-70b-versatile',
+      env: {},
+      getClient,
+    });
+
+    expect(getClient).toHaveBeenCalledWith('groq', { model: 'llama-3.3-70b-versatile', env: {} });
+    expect(create.mock.calls[0][0]).toMatchObject({ model: 'llama-3.3-70b-versatile', max_tokens: 500, temperature: 0.2 });
+    expect(result).toMatchObject({
+      summaryText: '### Open Actions\n- CAPA owners close actions by the due date [1]',
+      provider: 'groq',
+      model: 'llama-3.3-70b-versatile',
+      promptVersion: SUMMARY_PROMPT_VERSION,
+      usage: { promptTokens: 1200, completionTokens: 300, totalTokens: 1500, costUsd: 0.000945 },
+    });
+    expect(result.promptHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('throws when the answer cites nothing, so the caller can fall back', async () => {
+    const { getClient } = fakeClient('The documents describe deviation handling.');
+
+    await expect(generateAbstractiveSummary({
+      chunks,
+      mode,
+      profile,
+      detailPlan: { targetSentences: 4 },
+      env: {},
+      getClient,
+    })).rejects.toThrow('The model returned no cited statements');
+  });
+});
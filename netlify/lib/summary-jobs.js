@@ -0,0 +1,251 @@
+// Durable summary jobs. Submitting a summary request queues a job holding the request payload;
+// the summary-pipeline-background function claims it and runs the pipeline in stages, recording
+// the stage and its diagnostics after each one so the panel can show progress and pick a job up
+// again after a page reload. The payload (which carries the documents' full text) is cleared once
+// the job finishes.
+
+import crypto from 'node:crypto';
+
+export const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+// Reported in order; a job's progress is the share of these it has completed
+export const JOB_STAGES = ['chunk', 'retrieve', 'generate', 'guardrail', 'persist'];
+
+// Background functions stop after 15 minutes; a job running longer than this lost its instance
+const STALE_JOB_MS = 16 * 60 * 1000;
+// Queued jobs whose background invocation never arrived are given up after this long
+const UNCLAIMED_JOB_MS = 5 * 60 * 1000;
+
+const MAX_ERROR_LENGTH = 500;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let ensuredSummaryJobSchemaPromise = null;
+
+export async function ensureSummaryJobSchema(sql) {
+  if (!ensuredSummaryJobSchemaPromise) {
+    ensuredSummaryJobSchemaPromise = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS summary_jobs (
+          job_id TEXT PRIMARY KEY,
+          user_id VARCHAR(255) NOT NULL,
+          organization_id TEXT,
+          tenant_organization_id TEXT,
+          request_id TEXT,
+          status VARCHAR(16) NOT NULL DEFAULT 'queued',
+          completed_stages JSONB NOT NULL DEFAULT '[]'::jsonb,
+          diagnostics JSONB NOT NULL DEFAULT '[]'::jsonb,
+          payload JSONB,
+          summary_id TEXT,
+          metrics JSONB,
+          error TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          started_at TIMESTAMPTZ,
+          finished_at TIMESTAMPTZ
+        )
+      `;
+
+      await sql`
+        CREATE INDEX IF NOT EXISTS idx_summary_jobs_user
+          ON summary_jobs(user_id, created_at DESC)
+      `;
+    })().catch(error => {
+      ensuredSummaryJobSchemaPromise = null;
+      throw error;
+    });
+  }
+
+  return ensuredSummaryJobSchemaPromise;
+}
+
+const parseJson = (value, fallback) => {
+  if (value == null) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : value || null);
+
+/**
+ * The client's view of a job row. `stage` is the stage being worked on, or for a failed job the one
+ * it stopped in. The request payload is never returned.
+ */
+export const formatSummaryJob = (row) => {
+  const completedStages = JOB_STAGES.filter(stage => parseJson(row.completed_stages, []).includes(stage));
+  const isActive = row.status === JOB_STATUSES.RUNNING || row.status === JOB_STATUSES.FAILED;
+  return {
+    jobId: row.job_id,
+    status: row.status,
+    stage: isActive && row.started_at ? JOB_STAGES.find(stage => !completedStages.includes(stage)) || null : null,
+    completedStages,
+    progress: row.status === JOB_STATUSES.SUCCEEDED
+      ? 1
+      : Number((completedStages.length / JOB_STAGES.length).toFixed(2)),
+    diagnostics: parseJson(row.diagnostics, []),
+    summaryId: row.summary_id || null,
+    metrics: parseJson(row.metrics, null),
+    error: row.error || null,
+    requestId: row.request_id || null,
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at),
+    startedAt: toIso(row.started_at),
+    finishedAt: toIso(row.finished_at),
+  };
+};
+
+/**
+ * Queue a job for `payload`, the validated summary request. `organizationId` is the owner
+ * organization of the summary it will produce; `tenantOrganizationId` selects the organization's
+ * role profiles and lenses when the job runs.
+ */
+export async function createSummaryJob(sql, { userId, organizationId = null, tenantOrganizationId = null, requestId = null, payload }) {
+  if (!userId) {
+    throw createError('User authentication required', 401);
+  }
+  await ensureSummaryJobSchema(sql);
+
+  const jobId = `job_${crypto.randomUUID()}`;
+  const [row] = await sql`
+    INSERT INTO summary_jobs (job_id, user_id, organization_id, tenant_organization_id, request_id, status, payload)
+    VALUES (${jobId}, ${userId}, ${organizationId}, ${tenantOrganizationId}, ${requestId}, ${JOB_STATUSES.QUEUED}, ${JSON.stringify(payload)})
+    RETURNING *
+  `;
+  return formatSummaryJob(row);
+}
+
+/**
+ * Move a queued job to running and return what the worker needs, or null when the job does not
+ * exist or another invocation already claimed it.
+ */
+export async function claimSummaryJob(sql, jobId) {
+  await ensureSummaryJobSchema(sql);
+  const [row] = await sql`
+    UPDATE summary_jobs
+    SET status = ${JOB_STATUSES.RUNNING},
+        attempts = attempts + 1,
+        started_at = NOW(),
+        updated_at = NOW()
+    WHERE job_id = ${jobId} AND status = ${JOB_STATUSES.QUEUED}
+    RETURNING *
+  `;
+  if (!row) {
+    return null;
+  }
+
+  return {
+    jobId: row.job_id,
+    requestId: row.request_id,
+    payload: parseJson(row.payload, null),
+    owner: { userId: row.user_id, organizationId: row.organization_id || null },
+    tenant: { organizationId: row.tenant_organization_id || null },
+  };
+}
+
+/**
+ * Record that `stage` finished, with the diagnostics gathered so far.
+ */
+export async function recordSummaryJobStage(sql, jobId, stage, diagnostics = []) {
+  await sql`
+    UPDATE summary_jobs
+    SET completed_stages = CASE
+          WHEN completed_stages @> ${JSON.stringify([stage])}::jsonb THEN completed_stages
+          ELSE completed_stages || ${JSON.stringify([stage])}::jsonb
+        END,
+        diagnostics = ${JSON.stringify(diagnostics)},
+        updated_at = NOW()
+    WHERE job_id = ${jobId} AND status = ${JOB_STATUSES.RUNNING}
+  `;
+}
+
+export async function completeSummaryJob(sql, jobId, { summaryId, diagnostics = [], metrics = null }) {
+  await sql`
+    UPDATE summary_jobs
+    SET status = ${JOB_STATUSES.SUCCEEDED},
+        summary_id = ${summaryId},
+        diagnostics = ${JSON.stringify(diagnostics)},
+        metrics = ${metrics ? JSON.stringify(metrics) : null},
+        payload = NULL,
+        updated_at = NOW(),
+        finished_at = NOW()
+    WHERE job_id = ${jobId}
+  `;
+}
+
+/**
+ * Mark a job failed. Its completed stages are kept so the panel can say where it stopped.
+ */
+export async function failSummaryJob(sql, jobId, error, diagnostics = null) {
+  const message = String(error?.message || error || 'Summary job failed').slice(0, MAX_ERROR_LENGTH);
+  await sql`
+    UPDATE summary_jobs
+    SET status = ${JOB_STATUSES.FAILED},
+        error = ${message},
+        diagnostics = COALESCE(${diagnostics ? JSON.stringify(diagnostics) : null}::jsonb, diagnostics),
+        payload = NULL,
+        updated_at = NOW(),
+        finished_at = NOW()
+    WHERE job_id = ${jobId} AND status IN (${JOB_STATUSES.QUEUED}, ${JOB_STATUSES.RUNNING})
+  `;
+}
+
+const describeStaleJob = (row, now) => {
+  const updatedAt = new Date(row.updated_at).getTime();
+  if (row.status === JOB_STATUSES.RUNNING && now - updatedAt > STALE_JOB_MS) {
+    return 'The summary job stopped responding before it finished';
+  }
+  if (row.status === JOB_STATUSES.QUEUED && now - updatedAt > UNCLAIMED_JOB_MS) {
+    return 'The summary job was never started';
+  }
+  return null;
+};
+
+/**
+ * A job submitted by `userId`. Jobs are private to their submitter, even when the summary they
+ * produce is shared with the organization; other users' jobs are reported as missing. A job whose
+ * worker disappeared is marked failed here so clients stop waiting for it.
+ */
+export async function getSummaryJob(sql, userId, jobId, { now = Date.now() } = {}) {
+  if (typeof jobId !== 'string' || !jobId.trim()) {
+    throw createError('job_id query parameter is required', 400);
+  }
+  await ensureSummaryJobSchema(sql);
+
+  const [row] = await sql`
+    SELECT job_id, user_id, request_id, status, completed_stages, diagnostics, summary_id, metrics,
+           error, created_at, updated_at, started_at, finished_at
+    FROM summary_jobs
+    WHERE job_id = ${jobId.trim()} AND user_id = ${userId}
+  `;
+  if (!row) {
+    throw createError('Summary job not found', 404);
+  }
+
+  const staleReason = describeStaleJob(row, now);
+  if (staleReason) {
+    await failSummaryJob(sql, row.job_id, staleReason);
+    return formatSummaryJob({ ...row, status: JOB_STATUSES.FAILED, error: staleReason, finished_at: new Date(now) });
+  }
+
+  return formatSummaryJob(row);
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredSummaryJobSchemaPromise = null;
+  },
+};
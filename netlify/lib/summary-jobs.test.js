@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  JOB_STAGES,
+  claimSummaryJob,
+  createSummaryJob,
+  failSummaryJob,
+  formatSummaryJob,
+  getSummaryJob,
+  recordSummaryJobStage,
+} from './summary-jobs.js';
+
+const jobRow = (overrides = {}) => ({
+  job_id: 'job_1',
+  user_id: 'user-1',
+  organization_id: null,
+  tenant_organization_id: 'org-1',
+  request_id: 'req_1',
+  status: 'queued',
+  completed_stages: '[]',
+  diagnostics: '[]',
+  payload: null,
+  summary_id: null,
+  metrics: null,
+  error: null,
+  created_at: '2026-10-01T10:00:00.000Z',
+  updated_at: '2026-10-01T10:00:00.000Z',
+  started_at: null,
+  finished_at: null,
+  ...overrides,
+});
+
+// Routes each statement by its leading keyword so the tests can script what the database returns
+const createSqlMock = ({ select = [], insert = [], update = [] } = {}) => {
+  const queues = { SELECT: [...select], INSERT: [...insert], UPDATE: [...update] };
+  return jest.fn(async (strings) => {
+    const keyword = strings.join('?').trim().split(/\s+/)[0].toUpperCase();
+    const queue = queues[keyword];
+    return queue && queue.length > 0 ? queue.shift() : [];
+  });
+};
+
+const statements = (sql, keyword) =>
+  sql.mock.calls.filter(([strings]) => strings.join('?').trim().toUpperCase().startsWith(keyword));
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+});
+
+describe('formatSummaryJob', () => {
+  test('reports the stage in progress and the share of stages completed', () => {
+    const running = formatSummaryJob(jobRow({
+      status: 'running',
+      started_at: '2026-10-01T10:00:01.000Z',
+      completed_stages: JSON.stringify(['retrieve', 'chunk']),
+    }));
+
+    expect(running).toMatchObject({ status: 'running', stage: 'generate', completedStages: ['chunk', 'retrieve'], progress: 0.4 });
+    expect(running).not.toHaveProperty('payload');
+    expect(formatSummaryJob(jobRow()).stage).toBeNull();
+    expect(formatSummaryJob(jobRow({ status: 'succeeded', completed_stages: JSON.stringify(JOB_STAGES) })).progress).toBe(1);
+  });
+});
+
+describe('createSummaryJob', () => {
+  test('queues the request payload for the background worker', async () => {
+    const sql = createSqlMock({ insert: [[jobRow()]] });
+    const payload = { document: { doc_id: 'SOP-014', content: 'Deviations are recorded within 24 hours.' } };
+
+    const job = await createSummaryJob(sql, { userId: 'user-1', tenantOrganizationId: 'org-1', requestId: 'req_1', payload });
+
+    expect(job).toMatchObject({ jobId: 'job_1', status: 'queued', progress: 0 });
+    const [insert] = statements(sql, 'INSERT');
+    expect(insert[1]).toMatch(/^job_[0-9a-f-]{36}$/);
+    expect(insert.slice(2, 8)).toEqual(['user-1', null, 'org-1', 'req_1', 'queued', JSON.stringify(payload)]);
+    await expect(createSummaryJob(sql, { payload })).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe('claimSummaryJob', () => {
+  test('hands the payload and owner to the first caller only', async () => {
+    const payload = { document: { content: 'text' } };
+    const sql = createSqlMock({
+      update: [[jobRow({ status: 'running', organization_id: 'org-1', payload: JSON.stringify(payload) })], []],
+    });
+
+    await expect(claimSummaryJob(sql, 'job_1')).resolves.toEqual({
+      jobId: 'job_1',
+      requestId: 'req_1',
+      payload,
+      owner: { userId: 'user-1', organizationId: 'org-1' },
+      tenant: { organizationId: 'org-1' },
+    });
+    await expect(claimSummaryJob(sql, 'job_1')).resolves.toBeNull();
+    expect(statements(sql, 'UPDATE')[0][0].join('?')).toContain('status = ?');
+  });
+});
+
+describe('recordSummaryJobStage and failSummaryJob', () => {
+  test('record progress for running jobs and keep failure messages short', async () => {
+    const sql = createSqlMock();
+    const diagnostics = [{ stage: 'retrieve', message: 'Chunks retrieved' }];
+
+    await recordSummaryJobStage(sql, 'job_1', 'retrieve', diagnostics);
+    await failSummaryJob(sql, 'job_1', new Error('x'.repeat(800)));
+
+    const [progress, failure] = statements(sql, 'UPDATE');
+    expect(progress.slice(1)).toEqual(['["retrieve"]', '["retrieve"]', JSON.stringify(diagnostics), 'job_1', 'running']);
+    expect(failure[1]).toBe('failed');
+    expect(failure[2]).toHaveLength(500);
+    expect(failure[3]).toBeNull();
+  });
+});
+
+describe('getSummaryJob', () => {
+  test('only returns the submitter\'s jobs', async () => {
+    const sql = createSqlMock({ select: [[]] });
+
+    await expect(getSummaryJob(sql, 'user-2', 'job_1')).rejects.toMatchObject({ statusCode: 404, message: 'Summary job not found' });
+    expect(statements(sql, 'SELECT')[0].slice(1)).toEqual(['job_1', 'user-2']);
+    await expect(getSummaryJob(sql, 'user-2', ' ')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('fails a running job whose worker stopped updating it', async () => {
+    const now = Date.parse('2026-10-01T10:30:00.000Z');
+    const sql = createSqlMock({
+      select: [
+        [jobRow({ status: 'running', started_at: '2026-10-01T10:00:01.000Z', completed_stages: '["chunk"]' })],
+        [jobRow({ status: 'running', started_at: '2026-10-01T10:00:01.000Z', updated_at: '2026-10-01T10:29:00.000Z' })],
+      ],
+    });
+
+    await expect(getSummaryJob(sql, 'user-1', 'job_1', { now })).resolves.toMatchObject({
+      status: 'failed',
+      stage: 'retrieve',
+      error: 'The summary job stopped responding before it finished',
+    });
+    expect(statements(sql, 'UPDATE')).toHaveLength(1);
+
+    await expect(getSummaryJob(sql, 'user-1', 'job_1', { now })).resolves.toMatchObject({ status: 'running', stage: 'chunk' });
+    expect(statements(sql, 'UPDATE')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,405 @@
+// Role profiles and focus lenses for the summary pipeline. A role profile decides what a summary
+// looks for (keywords), how it reads (tone), how it is organized (section headings) and how densely
+// it must cite; a lens adds the keywords of a focus area such as Risk & CAPA.
+//
+// Platform rows (no organization) are managed by platform admins and apply everywhere; an
+// organization admin can add rows for their organization, and an organization row replaces a
+// platform row of the same kind and name for that organization's users. The built-in profiles
+// below seed the table and are used as-is when no database is configured.
+
+export const PROFILE_KINDS = Object.freeze({
+  ROLE: 'role',
+  LENS: 'lens',
+});
+
+export const PROFILE_SCOPES = Object.freeze({
+  PLATFORM: 'platform',
+  ORGANIZATION: 'organization',
+});
+
+export const TONES = Object.freeze(['formal', 'pragmatic', 'technical', 'accessible']);
+
+export const DEFAULT_ROLE_PROFILES = {
+  Auditor: {
+    keywords: ['compliance', 'deviation', 'capa', 'audit', 'signature', 'approval', 'validation'],
+    tone: 'formal',
+    minCitationDensity: 0.7,
+    sections: ['Compliance Obligations', 'Deviations & CAPA', 'Approvals & Timelines'],
+  },
+  'QA Lead': {
+    keywords: ['risk', 'mitigation', 'owner', 'due date', 'change control', 'blocker'],
+    tone: 'pragmatic',
+    minCitationDensity: 0.5,
+    sections: ['Risk Posture', 'Mitigations & Owners', 'Open Actions'],
+  },
+  Engineer: {
+    keywords: ['test', 'defect', 'environment', 'configuration', 'log', 'pipeline'],
+    tone: 'technical',
+    minCitationDensity: 0.4,
+    sections: ['Testing Summary', 'Defects & Evidence', 'Environment Notes'],
+  },
+  'New Hire': {
+    keywords: ['overview', 'definition', 'context', 'role', 'training'],
+    tone: 'accessible',
+    minCitationDensity: 0.4,
+    sections: ['Purpose & Scope', 'Key Responsibilities', 'Training Pointers'],
+  },
+};
+
+export const DEFAULT_LENSES = {
+  Regulatory: ['21 cfr 11', 'annex 11', 'part 820', 'inspection', 'submission'],
+  'Risk & CAPA': ['risk', 'severity', 'impact', 'capa', 'root cause'],
+  Training: ['training', 'curriculum', 'onboarding', 'lesson'],
+  'Timeline/Change log': ['timeline', 'change', 'revision', 'effective date'],
+  'Testing & Evidence': ['test', 'iq', 'oq', 'pq', 'evidence', 'protocol'],
+};
+
+const MAX_NAME_LENGTH = 80;
+const MAX_KEYWORDS = 40;
+const MAX_SECTIONS = 8;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let ensuredSummaryProfileSchemaPromise = null;
+
+export async function ensureSummaryProfileSchema(sql) {
+  if (!ensuredSummaryProfileSchemaPromise) {
+    ensuredSummaryProfileSchemaPromise = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS summary_profiles (
+          id SERIAL PRIMARY KEY,
+          kind VARCHAR(8) NOT NULL,
+          name VARCHAR(80) NOT NULL,
+          organization_id TEXT,
+          keywords JSONB NOT NULL DEFAULT '[]'::jsonb,
+          tone VARCHAR(16),
+          sections JSONB,
+          min_citation_density REAL,
+          description TEXT,
+          updated_by VARCHAR(255),
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      // One row per kind and name within a scope; platform rows have no organization
+      await sql`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_summary_profiles_name
+          ON summary_profiles(kind, LOWER(name), COALESCE(organization_id, ''))
+      `;
+
+      const [{ count }] = await sql`SELECT COUNT(*)::int AS count FROM summary_profiles`;
+      if (Number(count) === 0) {
+        for (const [name, profile] of Object.entries(DEFAULT_ROLE_PROFILES)) {
+          await sql`
+            INSERT INTO summary_profiles (kind, name, keywords, tone, sections, min_citation_density, updated_by)
+            VALUES (${PROFILE_KINDS.ROLE}, ${name}, ${JSON.stringify(profile.keywords)}, ${profile.tone},
+              ${JSON.stringify(profile.sections)}, ${profile.minCitationDensity}, 'system')
+            ON CONFLICT DO NOTHING
+          `;
+        }
+        for (const [name, keywords] of Object.entries(DEFAULT_LENSES)) {
+          await sql`
+            INSERT INTO summary_profiles (kind, name, keywords, updated_by)
+            VALUES (${PROFILE_KINDS.LENS}, ${name}, ${JSON.stringify(keywords)}, 'system')
+            ON CONFLICT DO NOTHING
+          `;
+        }
+      }
+    })().catch(error => {
+      ensuredSummaryProfileSchemaPromise = null;
+      throw error;
+    });
+  }
+
+  return ensuredSummaryProfileSchemaPromise;
+}
+
+const cleanText = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+const cleanList = (value, { lowercase = false, maxLength = MAX_NAME_LENGTH } = {}) => {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return [...new Set(
+    items
+      .map(item => cleanText(item))
+      .filter(Boolean)
+      .map(item => (lowercase ? item.toLowerCase() : item).slice(0, maxLength))
+  )];
+};
+
+/**
+ * Validate a role profile or lens. Keywords are lowercased and deduplicated; section headings keep
+ * their order.
+ */
+export const normalizeSummaryProfile = (input = {}) => {
+  const kind = input.kind === PROFILE_KINDS.LENS ? PROFILE_KINDS.LENS : input.kind === PROFILE_KINDS.ROLE ? PROFILE_KINDS.ROLE : null;
+  if (!kind) {
+    throw createError('Profile kind must be "role" or "lens"', 400);
+  }
+
+  const name = cleanText(input.name);
+  if (!name) {
+    throw createError(`A ${kind} needs a name`, 400);
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw createError(`Names are limited to ${MAX_NAME_LENGTH} characters`, 400);
+  }
+
+  const keywords = cleanList(input.keywords, { lowercase: true, maxLength: 60 });
+  if (keywords.length === 0) {
+    throw createError(`A ${kind} needs at least one keyword`, 400);
+  }
+  if (keywords.length > MAX_KEYWORDS) {
+    throw createError(`A ${kind} can have at most ${MAX_KEYWORDS} keywords`, 400);
+  }
+
+  if (kind === PROFILE_KINDS.LENS) {
+    return { kind, name, keywords, description: cleanText(input.description).slice(0, 500) || null };
+  }
+
+  if (!TONES.includes(input.tone)) {
+    throw createError(`Tone must be one of: ${TONES.join(', ')}`, 400);
+  }
+
+  const sections = cleanList(input.sections);
+  if (sections.length === 0 || sections.length > MAX_SECTIONS) {
+    throw createError(`A role needs between 1 and ${MAX_SECTIONS} section headings`, 400);
+  }
+
+  const minCitationDensity = Number(input.minCitationDensity);
+  if (!Number.isFinite(minCitationDensity) || minCitationDensity < 0 || minCitationDensity > 1) {
+    throw createError('Minimum citation density must be between 0 and 1', 400);
+  }
+
+  return {
+    kind,
+    name,
+    keywords,
+    tone: input.tone,
+    sections,
+    minCitationDensity,
+    description: cleanText(input.description).slice(0, 500) || null,
+  };
+};
+
+const parseJsonList = (value) => {
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+const canManageProfile = (tenant = {}, row) =>
+  row.organization_id
+    ? Boolean(tenant.isOrganizationAdmin && tenant.organizationId === row.organization_id)
+    : Boolean(tenant.isAdmin);
+
+const formatProfile = (row, tenant) => ({
+  id: row.id,
+  kind: row.kind,
+  name: row.name,
+  keywords: parseJsonList(row.keywords),
+  ...(row.kind === PROFILE_KINDS.ROLE
+    ? {
+      tone: row.tone,
+      sections: parseJsonList(row.sections),
+      minCitationDensity: Number(row.min_citation_density),
+    }
+    : {}),
+  description: row.description || null,
+  scope: row.organization_id ? PROFILE_SCOPES.ORGANIZATION : PROFILE_SCOPES.PLATFORM,
+  canManage: canManageProfile(tenant, row),
+  updatedBy: row.updated_by || null,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * The role profiles and lenses in effect for the caller, by name. An organization row hides the
+ * platform row of the same name; `overrides` lists the platform rows hidden that way.
+ */
+export async function listSummaryProfiles(sql, tenant = {}) {
+  await ensureSummaryProfileSchema(sql);
+  const rows = await sql`
+    SELECT id, kind, name, organization_id, keywords, tone, sections, min_citation_density, description, updated_by, updated_at
+    FROM summary_profiles
+    WHERE organization_id IS NULL
+       OR organization_id = ${tenant.organizationId || null}
+    ORDER BY kind, (organization_id IS NULL) DESC, id
+  `;
+
+  const effective = new Map();
+  const overrides = [];
+  rows.forEach((row) => {
+    const key = `${row.kind}:${row.name.toLowerCase()}`;
+    if (effective.has(key)) {
+      overrides.push(formatProfile(effective.get(key), tenant));
+    }
+    effective.set(key, row);
+  });
+
+  const profiles = [...effective.values()].sort((a, b) => a.id - b.id).map(row => formatProfile(row, tenant));
+  return {
+    roles: profiles.filter(profile => profile.kind === PROFILE_KINDS.ROLE),
+    lenses: profiles.filter(profile => profile.kind === PROFILE_KINDS.LENS),
+    overrides,
+  };
+}
+
+/**
+ * Shape listed profiles the way the pipeline reads them: roles by name with their rubric, lenses by
+ * name with their keywords.
+ */
+export const toPipelineProfiles = ({ roles = [], lenses = [] } = {}) => ({
+  roles: Object.fromEntries(roles.map(role => [role.name, {
+    keywords: role.keywords,
+    tone: role.tone,
+    minCitationDensity: role.minCitationDensity,
+    sections: role.sections,
+  }])),
+  lenses: Object.fromEntries(lenses.map(lens => [lens.name, lens.keywords])),
+});
+
+export const DEFAULT_PIPELINE_PROFILES = Object.freeze({
+  roles: DEFAULT_ROLE_PROFILES,
+  lenses: DEFAULT_LENSES,
+});
+
+/**
+ * Profiles for one summary request: the caller's effective profiles, or the built-in ones when
+ * there is no database or it cannot be read.
+ */
+export async function loadPipelineProfiles(sql, tenant = {}) {
+  if (!sql) {
+    return DEFAULT_PIPELINE_PROFILES;
+  }
+  try {
+    const profiles = toPipelineProfiles(await listSummaryProfiles(sql, tenant));
+    if (Object.keys(profiles.roles).length === 0 || Object.keys(profiles.lenses).length === 0) {
+      return DEFAULT_PIPELINE_PROFILES;
+    }
+    return profiles;
+  } catch (error) {
+    console.error('Failed to load summary profiles; using built-in profiles', error);
+    return DEFAULT_PIPELINE_PROFILES;
+  }
+}
+
+const resolveProfileOrganization = (tenant = {}, scope) => {
+  if (scope === PROFILE_SCOPES.ORGANIZATION) {
+    if (!tenant.isOrganizationAdmin || !tenant.organizationId) {
+      throw createError('Only organization administrators can add organization profiles', 403);
+    }
+    return tenant.organizationId;
+  }
+  if (!tenant.isAdmin) {
+    throw createError('Only platform administrators can change platform profiles', 403);
+  }
+  return null;
+};
+
+async function loadManageableProfile(sql, tenant, id) {
+  const profileId = Number(id);
+  if (!Number.isInteger(profileId)) {
+    throw createError('Profile id must be an integer', 400);
+  }
+  const [row] = await sql`
+    SELECT id, kind, name, organization_id, keywords, tone, sections, min_citation_density, description, updated_by, updated_at
+    FROM summary_profiles
+    WHERE id = ${profileId}
+  `;
+  // Another organization's rows are reported as missing rather than forbidden
+  if (!row || (row.organization_id && row.organization_id !== tenant.organizationId)) {
+    throw createError('Profile not found', 404);
+  }
+  if (!canManageProfile(tenant, row)) {
+    throw createError(
+      row.organization_id
+        ? 'Only organization administrators can change organization profiles'
+        : 'Only platform administrators can change platform profiles',
+      403
+    );
+  }
+  return row;
+}
+
+const isUniqueViolation = (error) => error?.code === '23505';
+
+/**
+ * Create a profile, or replace an existing one when `input.id` is given. New profiles are platform
+ * profiles unless `input.scope` is 'organization'. The kind of an existing profile cannot change.
+ */
+export async function saveSummaryProfile(sql, userId, tenant = {}, input = {}) {
+  await ensureSummaryProfileSchema(sql);
+
+  let existing = null;
+  if (input.id != null) {
+    existing = await loadManageableProfile(sql, tenant, input.id);
+  }
+  const profile = normalizeSummaryProfile({ ...input, kind: existing ? existing.kind : input.kind });
+  const keywords = JSON.stringify(profile.keywords);
+  const sections = profile.sections ? JSON.stringify(profile.sections) : null;
+
+  try {
+    if (existing) {
+      const [row] = await sql`
+        UPDATE summary_profiles
+        SET name = ${profile.name},
+            keywords = ${keywords},
+            tone = ${profile.tone || null},
+            sections = ${sections},
+            min_citation_density = ${profile.minCitationDensity ?? null},
+            description = ${profile.description},
+            updated_by = ${userId},
+            updated_at = NOW()
+        WHERE id = ${existing.id}
+        RETURNING id, kind, name, organization_id, keywords, tone, sections, min_citation_density, description, updated_by, updated_at
+      `;
+      return formatProfile(row, tenant);
+    }
+
+    const organizationId = resolveProfileOrganization(tenant, input.scope);
+    const [row] = await sql`
+      INSERT INTO summary_profiles (kind, name, organization_id, keywords, tone, sections, min_citation_density, description, updated_by)
+      VALUES (${profile.kind}, ${profile.name}, ${organizationId}, ${keywords}, ${profile.tone || null}, ${sections},
+        ${profile.minCitationDensity ?? null}, ${profile.description}, ${userId})
+      RETURNING id, kind, name, organization_id, keywords, tone, sections, min_citation_density, description, updated_by, updated_at
+    `;
+    return formatProfile(row, tenant);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw createError(`A ${profile.kind} named "${profile.name}" already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a profile. The last platform role or lens cannot be deleted, so every organization keeps
+ * at least one of each.
+ */
+export async function deleteSummaryProfile(sql, userId, tenant = {}, id) {
+  await ensureSummaryProfileSchema(sql);
+  const row = await loadManageableProfile(sql, tenant, id);
+
+  if (!row.organization_id) {
+    const [{ count }] = await sql`
+      SELECT COUNT(*)::int AS count
+      FROM summary_profiles
+      WHERE kind = ${row.kind} AND organization_id IS NULL
+    `;
+    if (Number(count) <= 1) {
+      throw createError(`The last platform ${row.kind} cannot be deleted`, 409);
+    }
+  }
+
+  await sql`DELETE FROM summary_profiles WHERE id = ${row.id}`;
+  return { id: row.id, deleted: true };
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredSummaryProfileSchemaPromise = null;
+  },
+};
@@ -0,0 +1,222 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  DEFAULT_PIPELINE_PROFILES,
+  DEFAULT_LENSES,
+  DEFAULT_ROLE_PROFILES,
+  deleteSummaryProfile,
+  ensureSummaryProfileSchema,
+  listSummaryProfiles,
+  loadPipelineProfiles,
+  normalizeSummaryProfile,
+  saveSummaryProfile,
+} from './summary-profiles.js';
+
+const roleRow = (overrides = {}) => ({
+  id: 1,
+  kind: 'role',
+  name: 'Auditor',
+  organization_id: null,
+  keywords: JSON.stringify(['audit', 'capa']),
+  tone: 'formal',
+  sections: JSON.stringify(['Compliance Obligations']),
+  min_citation_density: 0.7,
+  description: null,
+  updated_by: 'system',
+  updated_at: '2026-10-01T00:00:00.000Z',
+  ...overrides,
+});
+
+const lensRow = (overrides = {}) => ({
+  id: 10,
+  kind: 'lens',
+  name: 'Regulatory',
+  organization_id: null,
+  keywords: JSON.stringify(['annex 11']),
+  tone: null,
+  sections: null,
+  min_citation_density: null,
+  description: null,
+  updated_by: 'system',
+  updated_at: '2026-10-01T00:00:00.000Z',
+  ...overrides,
+});
+
+// Routes each statement by its leading keyword so the tests can script what the database returns.
+// The schema check's unfiltered row count always reports a seeded table.
+const createSqlMock = ({ select = [], insert = [], update = [] } = {}) => {
+  const queues = { SELECT: [...select], INSERT: [...insert], UPDATE: [...update] };
+  return jest.fn(async (strings) => {
+    const text = strings.join('?').trim();
+    if (text.startsWith('SELECT COUNT(*)') && !text.includes('WHERE')) {
+      return [{ count: 9 }];
+    }
+    const keyword = text.split(/\s+/)[0].toUpperCase();
+    const queue = queues[keyword];
+    return queue && queue.length > 0 ? queue.shift() : [];
+  });
+};
+
+const statements = (sql, keyword) =>
+  sql.mock.calls.filter(([strings]) => strings.join('?').trim().toUpperCase().startsWith(keyword));
+
+const platformAdmin = { organizationId: 'org-1', isAdmin: true, isOrganizationAdmin: true };
+const orgAdmin = { organizationId: 'org-1', isAdmin: false, isOrganizationAdmin: true };
+const member = { organizationId: 'org-1', isAdmin: false, isOrganizationAdmin: false };
+
+const dataIntegrityLens = { kind: 'lens', name: 'Data Integrity (ALCOA+)', keywords: 'ALCOA, audit trail, Attributable' };
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+});
+
+describe('normalizeSummaryProfile', () => {
+  test('splits and lowercases lens keywords', () => {
+    expect(normalizeSummaryProfile(dataIntegrityLens)).toEqual({
+      kind: 'lens',
+      name: 'Data Integrity (ALCOA+)',
+      keywords: ['alcoa', 'audit trail', 'attributable'],
+      description: null,
+    });
+  });
+
+  test('requires a tone, section headings and a citation threshold for roles', () => {
+    const role = {
+      kind: 'role',
+      name: 'Regulatory Affairs',
+      keywords: ['submission'],
+      tone: 'formal',
+      sections: ['Submissions', 'Commitments'],
+      minCitationDensity: 0.6,
+    };
+
+    expect(normalizeSummaryProfile(role)).toMatchObject({ sections: ['Submissions', 'Commitments'], minCitationDensity: 0.6 });
+    expect(() => normalizeSummaryProfile({ ...role, tone: 'casual' })).toThrow('Tone must be one of');
+    expect(() => normalizeSummaryProfile({ ...role, sections: [] })).toThrow('section headings');
+    expect(() => normalizeSummaryProfile({ ...role, minCitationDensity: 1.5 })).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+    expect(() => normalizeSummaryProfile({ ...role, kind: 'persona' })).toThrow('Profile kind');
+  });
+});
+
+describe('ensureSummaryProfileSchema', () => {
+  test('seeds the built-in roles and lenses into an empty table', async () => {
+    const sql = jest.fn(async (strings) => (strings.join('?').includes('COUNT(*)') ? [{ count: 0 }] : []));
+
+    await ensureSummaryProfileSchema(sql);
+
+    const seeded = statements(sql, 'INSERT');
+    expect(seeded).toHaveLength(Object.keys(DEFAULT_ROLE_PROFILES).length + Object.keys(DEFAULT_LENSES).length);
+    expect(seeded[0].slice(1, 3)).toEqual(['role', 'Auditor']);
+  });
+});
+
+describe('listSummaryProfiles', () => {
+  test('lets an organization row replace the platform row of the same name', async () => {
+    const sql = createSqlMock({
+      select: [[
+        roleRow(),
+        roleRow({ id: 2, name: 'QA Lead', tone: 'pragmatic' }),
+        lensRow(),
+        roleRow({ id: 7, organization_id: 'org-1', keywords: JSON.stringify(['audit', 'data integrity']) }),
+      ]],
+    });
+
+    const profiles = await listSummaryProfiles(sql, orgAdmin);
+
+    expect(profiles.roles.map(role => [role.id, role.name, role.scope, role.canManage])).toEqual([
+      [2, 'QA Lead', 'platform', false],
+      [7, 'Auditor', 'organization', true],
+    ]);
+    expect(profiles.roles[1].keywords).toEqual(['audit', 'data integrity']);
+    expect(profiles.overrides.map(role => role.id)).toEqual([1]);
+    expect(profiles.lenses[0]).toMatchObject({ name: 'Regulatory', keywords: ['annex 11'] });
+    expect(profiles.lenses[0].tone).toBeUndefined();
+  });
+});
+
+describe('loadPipelineProfiles', () => {
+  test('uses the built-in profiles without a database and the stored ones with it', async () => {
+    await expect(loadPipelineProfiles(null, member)).resolves.toBe(DEFAULT_PIPELINE_PROFILES);
+
+    const sql = createSqlMock({ select: [[roleRow(), lensRow()]] });
+    await expect(loadPipelineProfiles(sql, member)).resolves.toEqual({
+      roles: {
+        Auditor: { keywords: ['audit', 'capa'], tone: 'formal', minCitationDensity: 0.7, sections: ['Compliance Obligations'] },
+      },
+      lenses: { Regulatory: ['annex 11'] },
+    });
+  });
+});
+
+describe('saveSummaryProfile', () => {
+  test('only platform admins add platform profiles; organization admins add organization ones', async () => {
+    await expect(saveSummaryProfile(createSqlMock(), 'user-2', orgAdmin, dataIntegrityLens)).rejects.toMatchObject({
+      statusCode: 403,
+    });
+
+    const sql = createSqlMock({ insert: [[lensRow({ id: 11, name: 'Data Integrity (ALCOA+)', organization_id: 'org-1' })]] });
+    const saved = await saveSummaryProfile(sql, 'user-2', orgAdmin, { ...dataIntegrityLens, scope: 'organization' });
+
+    expect(saved).toMatchObject({ id: 11, scope: 'organization', canManage: true });
+    const [insert] = statements(sql, 'INSERT');
+    expect(insert.slice(1, 5)).toEqual(['lens', 'Data Integrity (ALCOA+)', 'org-1', JSON.stringify(['alcoa', 'audit trail', 'attributable'])]);
+  });
+
+  test('reports a duplicate name as a conflict', async () => {
+    const sql = jest.fn(async (strings) => {
+      if (strings.join('?').trim().startsWith('INSERT')) {
+        throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+      }
+      return [{ count: 9 }];
+    });
+
+    await expect(saveSummaryProfile(sql, 'admin-1', platformAdmin, dataIntegrityLens)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'A lens named "Data Integrity (ALCOA+)" already exists',
+    });
+  });
+
+  test('keeps the kind of an existing profile and hides other organizations\' rows', async () => {
+    const sql = createSqlMock({
+      select: [[roleRow({ id: 7, organization_id: 'org-1' })]],
+      update: [[roleRow({ id: 7, organization_id: 'org-1', name: 'Auditor (EU)' })]],
+    });
+    const saved = await saveSummaryProfile(sql, 'user-2', orgAdmin, {
+      id: 7,
+      kind: 'lens',
+      name: 'Auditor (EU)',
+      keywords: ['annex 11'],
+      tone: 'formal',
+      sections: ['Obligations'],
+      minCitationDensity: 0.7,
+    });
+    expect(saved).toMatchObject({ kind: 'role', name: 'Auditor (EU)' });
+
+    const otherOrganization = createSqlMock({ select: [[roleRow({ id: 8, organization_id: 'org-2' })]] });
+    await expect(saveSummaryProfile(otherOrganization, 'user-2', orgAdmin, { id: 8, name: 'x' })).rejects.toMatchObject({
+      statusCode: 404,
+    });
+    expect(statements(otherOrganization, 'UPDATE')).toHaveLength(0);
+  });
+});
+
+describe('deleteSummaryProfile', () => {
+  test('refuses to delete the last platform role and platform rows for non platform admins', async () => {
+    await expect(deleteSummaryProfile(createSqlMock({ select: [[roleRow()]] }), 'user-2', orgAdmin, 1)).rejects.toMatchObject({
+      statusCode: 403,
+    });
+
+    const lastRole = createSqlMock({ select: [[roleRow()], [{ count: 1 }]] });
+    await expect(deleteSummaryProfile(lastRole, 'admin-1', platformAdmin, 1)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'The last platform role cannot be deleted',
+    });
+
+    const sql = createSqlMock({ select: [[roleRow()], [{ count: 4 }]] });
+    await expect(deleteSummaryProfile(sql, 'admin-1', platformAdmin, 1)).resolves.toEqual({ id: 1, deleted: true });
+    expect(statements(sql, 'DELETE')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,603 @@
+// Training curricula for an organization: ordered learning paths per job role, assignments of
+// paths to users with due dates, and completion records that serve as training evidence.
+//
+// A step either points at an external resource (completed when the assignee opens it) or at a
+// quiz (completed when the assignee passes it). Completion rows are written once per assignment
+// and step and keep the evidence that satisfied them.
+
+import { getManageableOrganization } from './organization-scope.js';
+import { getQuiz, submitQuizAttempt } from './study-quizzes.js';
+
+export const STEP_REQUIREMENTS = Object.freeze({
+  VIEW: 'view',
+  QUIZ: 'quiz',
+});
+
+export const COMPLETION_TYPES = Object.freeze({
+  VIEWED: 'viewed',
+  QUIZ_PASSED: 'quiz_passed',
+});
+
+export const ASSIGNMENT_STATUSES = Object.freeze({
+  NOT_STARTED: 'not_started',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  OVERDUE: 'overdue',
+});
+
+const DEFAULT_PASS_SCORE = 0.8;
+const MAX_STEPS = 50;
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let ensuredTrainingCurriculaSchemaPromise = null;
+
+export async function ensureTrainingCurriculaSchema(sql) {
+  if (!ensuredTrainingCurriculaSchemaPromise) {
+    ensuredTrainingCurriculaSchemaPromise = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS training_curricula (
+          id SERIAL PRIMARY KEY,
+          organization_id TEXT NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          description TEXT,
+          job_role VARCHAR(100),
+          created_by VARCHAR(255) NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `;
+
+      // Resource and quiz ids are kept without foreign keys so deleting either leaves the
+      // historical completion records in place
+      await sql`
+        CREATE TABLE IF NOT EXISTS training_curriculum_steps (
+          id SERIAL PRIMARY KEY,
+          curriculum_id INTEGER NOT NULL REFERENCES training_curricula(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          title VARCHAR(255) NOT NULL,
+          requirement VARCHAR(16) NOT NULL,
+          training_resource_id INTEGER,
+          quiz_id INTEGER,
+          pass_score REAL
+        )
+      `;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS training_assignments (
+          id SERIAL PRIMARY KEY,
+          curriculum_id INTEGER NOT NULL REFERENCES training_curricula(id) ON DELETE CASCADE,
+          organization_id TEXT NOT NULL,
+          user_id VARCHAR(255) NOT NULL,
+          team VARCHAR(100),
+          due_date DATE,
+          assigned_by VARCHAR(255) NOT NULL,
+          assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          UNIQUE (curriculum_id, user_id)
+        )
+      `;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS training_completions (
+          id SERIAL PRIMARY KEY,
+          assignment_id INTEGER NOT NULL REFERENCES training_assignments(id) ON DELETE CASCADE,
+          step_id INTEGER NOT NULL REFERENCES training_curriculum_steps(id) ON DELETE CASCADE,
+          user_id VARCHAR(255) NOT NULL,
+          completion_type VARCHAR(32) NOT NULL,
+          score REAL,
+          evidence JSONB NOT NULL DEFAULT '{}'::jsonb,
+          completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          UNIQUE (assignment_id, step_id)
+        )
+      `;
+
+      await sql`
+        CREATE INDEX IF NOT EXISTS idx_training_assignments_user
+          ON training_assignments(user_id)
+      `;
+    })().catch(error => {
+      ensuredTrainingCurriculaSchemaPromise = null;
+      throw error;
+    });
+  }
+
+  return ensuredTrainingCurriculaSchemaPromise;
+}
+
+const cleanText = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+const requireManageableOrganization = (tenant) => {
+  const organizationId = getManageableOrganization(tenant);
+  if (!organizationId) {
+    throw createError('Only organization administrators can manage training curricula', 403);
+  }
+  return organizationId;
+};
+
+const normalizeStep = (step, index) => {
+  const requirement = step?.requirement === STEP_REQUIREMENTS.QUIZ ? STEP_REQUIREMENTS.QUIZ : STEP_REQUIREMENTS.VIEW;
+  const resourceId = Number(step?.trainingResourceId) || null;
+  const quizId = Number(step?.quizId) || null;
+
+  if (requirement === STEP_REQUIREMENTS.VIEW && !resourceId) {
+    throw createError(`Step ${index + 1} needs a training resource`, 400);
+  }
+  if (requirement === STEP_REQUIREMENTS.QUIZ && !quizId) {
+    throw createError(`Step ${index + 1} needs a quiz`, 400);
+  }
+
+  const passScore = Number(step?.passScore);
+  return {
+    title: cleanText(step?.title).slice(0, 255) || `Step ${index + 1}`,
+    requirement,
+    trainingResourceId: requirement === STEP_REQUIREMENTS.VIEW ? resourceId : null,
+    quizId: requirement === STEP_REQUIREMENTS.QUIZ ? quizId : null,
+    passScore: requirement === STEP_REQUIREMENTS.QUIZ
+      ? (passScore > 0 && passScore <= 1 ? passScore : DEFAULT_PASS_SCORE)
+      : null,
+  };
+};
+
+export const normalizeCurriculumSteps = (steps) => {
+  const list = Array.isArray(steps) ? steps : [];
+  if (list.length === 0) {
+    throw createError('A curriculum needs at least one step', 400);
+  }
+  if (list.length > MAX_STEPS) {
+    throw createError(`A curriculum can have at most ${MAX_STEPS} steps`, 400);
+  }
+  return list.map(normalizeStep);
+};
+
+const formatStep = (row) => ({
+  id: row.id,
+  position: row.position,
+  title: row.title,
+  requirement: row.requirement,
+  trainingResourceId: row.training_resource_id ?? null,
+  quizId: row.quiz_id ?? null,
+  passScore: row.pass_score == null ? null : Number(row.pass_score),
+  resource: row.resource_name
+    ? { id: row.training_resource_id, name: row.resource_name, url: row.resource_url }
+    : null,
+});
+
+const formatCurriculum = (row, steps = []) => ({
+  id: row.id,
+  organizationId: row.organization_id,
+  name: row.name,
+  description: row.description || '',
+  jobRole: row.job_role || null,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  assignmentCount: row.assignment_count == null ? undefined : Number(row.assignment_count),
+  steps: steps.map(formatStep),
+});
+
+async function loadSteps(sql, curriculumIds) {
+  if (curriculumIds.length === 0) {
+    return [];
+  }
+  return sql`
+    SELECT s.id, s.curriculum_id, s.position, s.title, s.requirement, s.training_resource_id, s.quiz_id,
+           s.pass_score, r.name AS resource_name, r.url AS resource_url
+      FROM training_curriculum_steps s
+      LEFT JOIN training_resources r ON r.id = s.training_resource_id
+     WHERE s.curriculum_id = ANY(${curriculumIds}::int[])
+     ORDER BY s.curriculum_id, s.position
+  `;
+}
+
+const groupStepsByCurriculum = (stepRows) => {
+  const grouped = new Map();
+  stepRows.forEach(step => {
+    const list = grouped.get(step.curriculum_id) || [];
+    list.push(step);
+    grouped.set(step.curriculum_id, list);
+  });
+  return grouped;
+};
+
+async function insertSteps(sql, curriculumId, steps) {
+  for (const [position, step] of steps.entries()) {
+    await sql`
+      INSERT INTO training_curriculum_steps (
+        curriculum_id, position, title, requirement, training_resource_id, quiz_id, pass_score
+      ) VALUES (
+        ${curriculumId}, ${position}, ${step.title}, ${step.requirement}, ${step.trainingResourceId},
+        ${step.quizId}, ${step.passScore}
+      )
+    `;
+  }
+}
+
+export async function listCurricula(sql, tenant) {
+  await ensureTrainingCurriculaSchema(sql);
+  if (!tenant?.organizationId) {
+    return [];
+  }
+
+  const rows = await sql`
+    SELECT c.id, c.organization_id, c.name, c.description, c.job_role, c.created_by, c.created_at, c.updated_at,
+           (SELECT COUNT(*) FROM training_assignments a WHERE a.curriculum_id = c.id) AS assignment_count
+      FROM training_curricula c
+     WHERE c.organization_id = ${tenant.organizationId}
+     ORDER BY c.job_role NULLS LAST, c.name
+  `;
+
+  const steps = groupStepsByCurriculum(await loadSteps(sql, rows.map(row => row.id)));
+  return rows.map(row => formatCurriculum(row, steps.get(row.id) || []));
+}
+
+async function getCurriculum(sql, organizationId, curriculumId) {
+  const [row] = await sql`
+    SELECT id, organization_id, name, description, job_role, created_by, created_at, updated_at
+      FROM training_curricula
+     WHERE id = ${curriculumId} AND organization_id = ${organizationId}
+  `;
+  if (!row) {
+    throw createError('Curriculum not found', 404);
+  }
+  return formatCurriculum(row, await loadSteps(sql, [row.id]));
+}
+
+export async function createCurriculum(sql, tenant, userId, { name, description = '', jobRole = null, steps } = {}) {
+  const organizationId = requireManageableOrganization(tenant);
+  const curriculumName = cleanText(name).slice(0, 255);
+  if (!curriculumName) {
+    throw createError('Curriculum name is required', 400);
+  }
+  const normalizedSteps = normalizeCurriculumSteps(steps);
+  await ensureTrainingCurriculaSchema(sql);
+
+  const [row] = await sql`
+    INSERT INTO training_curricula (organization_id, name, description, job_role, created_by)
+    VALUES (${organizationId}, ${curriculumName}, ${cleanText(description)}, ${cleanText(jobRole).slice(0, 100) || null}, ${userId})
+    RETURNING id
+  `;
+  await insertSteps(sql, row.id, normalizedSteps);
+
+  return getCurriculum(sql, organizationId, row.id);
+}
+
+/**
+ * Update a curriculum. Sending `steps` replaces the whole path; completions recorded against
+ * removed steps are deleted with them, so revise SOP paths by creating a new curriculum when the
+ * existing evidence has to be kept.
+ */
+export async function updateCurriculum(sql, tenant, curriculumId, { name, description, jobRole, steps } = {}) {
+  const organizationId = requireManageableOrganization(tenant);
+  await ensureTrainingCurriculaSchema(sql);
+  const normalizedSteps = steps === undefined ? null : normalizeCurriculumSteps(steps);
+
+  const [row] = await sql`
+    UPDATE training_curricula
+       SET name = COALESCE(${cleanText(name).slice(0, 255) || null}, name),
+           description = COALESCE(${description === undefined ? null : cleanText(description)}, description),
+           job_role = COALESCE(${jobRole === undefined ? null : cleanText(jobRole).slice(0, 100)}, job_role),
+           updated_at = NOW()
+     WHERE id = ${curriculumId} AND organization_id = ${organizationId}
+    RETURNING id
+  `;
+  if (!row) {
+    throw createError('Curriculum not found', 404);
+  }
+
+  if (normalizedSteps) {
+    await sql`DELETE FROM training_curriculum_steps WHERE curriculum_id = ${curriculumId}`;
+    await insertSteps(sql, curriculumId, normalizedSteps);
+  }
+
+  return getCurriculum(sql, organizationId, curriculumId);
+}
+
+export async function deleteCurriculum(sql, tenant, curriculumId) {
+  const organizationId = requireManageableOrganization(tenant);
+  await ensureTrainingCurriculaSchema(sql);
+
+  const deleted = await sql`
+    DELETE FROM training_curricula
+     WHERE id = ${curriculumId} AND organization_id = ${organizationId}
+    RETURNING id
+  `;
+  if (deleted.length === 0) {
+    throw createError('Curriculum not found', 404);
+  }
+  return deleted[0].id;
+}
+
+/**
+ * Assign a curriculum to users. Re-assigning an existing user updates the due date and team and
+ * keeps their completions.
+ */
+export async function assignCurriculum(sql, tenant, assignedBy, { curriculumId, userIds, dueDate = null, team = null } = {}) {
+  const organizationId = requireManageableOrganization(tenant);
+  const assignees = [...new Set((Array.isArray(userIds) ? userIds : [userIds]).map(cleanText).filter(Boolean))];
+  if (assignees.length === 0) {
+    throw createError('At least one user is required', 400);
+  }
+
+  let due = null;
+  if (dueDate) {
+    const parsed = new Date(dueDate);
+    if (Number.isNaN(parsed.getTime())) {
+      throw createError(`Invalid due date: ${dueDate}`, 400);
+    }
+    due = parsed.toISOString().slice(0, 10);
+  }
+
+  await ensureTrainingCurriculaSchema(sql);
+  const curriculum = await getCurriculum(sql, organizationId, curriculumId);
+  const assignmentTeam = cleanText(team).slice(0, 100) || curriculum.jobRole;
+
+  const assignments = [];
+  for (const userId of assignees) {
+    const [row] = await sql`
+      INSERT INTO training_assignments (curriculum_id, organization_id, user_id, team, due_date, assigned_by)
+      VALUES (${curriculum.id}, ${organizationId}, ${userId}, ${assignmentTeam}, ${due}, ${assignedBy})
+      ON CONFLICT (curriculum_id, user_id) DO UPDATE SET
+        team = EXCLUDED.team,
+        due_date = EXCLUDED.due_date,
+        assigned_by = EXCLUDED.assigned_by
+      RETURNING id, curriculum_id, user_id, team, due_date, assigned_at
+    `;
+    assignments.push({
+      id: row.id,
+      curriculumId: row.curriculum_id,
+      userId: row.user_id,
+      team: row.team || null,
+      dueDate: row.due_date,
+      assignedAt: row.assigned_at,
+    });
+  }
+
+  return assignments;
+}
+
+export async function unassignCurriculum(sql, tenant, assignmentId) {
+  const organizationId = requireManageableOrganization(tenant);
+  await ensureTrainingCurriculaSchema(sql);
+
+  const deleted = await sql`
+    DELETE FROM training_assignments
+     WHERE id = ${assignmentId} AND organization_id = ${organizationId}
+    RETURNING id
+  `;
+  if (deleted.length === 0) {
+    throw createError('Assignment not found', 404);
+  }
+  return deleted[0].id;
+}
+
+/**
+ * Status of one assignment from its step and completion counts. Overdue wins over in-progress
+ * once the due date has passed without every step complete.
+ */
+export const describeAssignmentStatus = ({ totalSteps, completedSteps, dueDate }, now = new Date()) => {
+  if (totalSteps > 0 && completedSteps >= totalSteps) {
+    return ASSIGNMENT_STATUSES.COMPLETED;
+  }
+  if (dueDate) {
+    const endOfDueDay = new Date(`${String(dueDate).slice(0, 10)}T23:59:59.999Z`);
+    if (!Number.isNaN(endOfDueDay.getTime()) && endOfDueDay < now) {
+      return ASSIGNMENT_STATUSES.OVERDUE;
+    }
+  }
+  return completedSteps > 0 ? ASSIGNMENT_STATUSES.IN_PROGRESS : ASSIGNMENT_STATUSES.NOT_STARTED;
+};
+
+/**
+ * The caller's assignments with every step and whether it is complete.
+ */
+export async function listMyAssignments(sql, userId, now = new Date()) {
+  await ensureTrainingCurriculaSchema(sql);
+
+  const assignments = await sql`
+    SELECT a.id, a.curriculum_id, a.team, a.due_date, a.assigned_at,
+           c.name, c.description, c.job_role
+      FROM training_assignments a
+      JOIN training_curricula c ON c.id = a.curriculum_id
+     WHERE a.user_id = ${userId}
+     ORDER BY a.due_date NULLS LAST, a.assigned_at
+  `;
+  if (assignments.length === 0) {
+    return [];
+  }
+
+  const steps = groupStepsByCurriculum(await loadSteps(sql, [...new Set(assignments.map(row => row.curriculum_id))]));
+  const completions = await sql`
+    SELECT assignment_id, step_id, completion_type, score, completed_at
+      FROM training_completions
+     WHERE user_id = ${userId} AND assignment_id = ANY(${assignments.map(row => row.id)}::int[])
+  `;
+  const completionByStep = new Map(completions.map(row => [`${row.assignment_id}:${row.step_id}`, row]));
+
+  return assignments.map(row => {
+    const assignmentSteps = (steps.get(row.curriculum_id) || []).map(step => {
+      const completion = completionByStep.get(`${row.id}:${step.id}`);
+      return {
+        ...formatStep(step),
+        completion: completion
+          ? {
+              type: completion.completion_type,
+              score: completion.score == null ? null : Number(completion.score),
+              completedAt: completion.completed_at,
+            }
+          : null,
+      };
+    });
+    const completedSteps = assignmentSteps.filter(step => step.completion).length;
+
+    return {
+      id: row.id,
+      curriculumId: row.curriculum_id,
+      name: row.name,
+      description: row.description || '',
+      jobRole: row.job_role || null,
+      team: row.team || null,
+      dueDate: row.due_date,
+      assignedAt: row.assigned_at,
+      totalSteps: assignmentSteps.length,
+      completedSteps,
+      status: describeAssignmentStatus({ totalSteps: assignmentSteps.length, completedSteps, dueDate: row.due_date }, now),
+      steps: assignmentSteps,
+    };
+  });
+}
+
+async function loadAssignedStep(sql, userId, assignmentId, stepId) {
+  await ensureTrainingCurriculaSchema(sql);
+
+  const [row] = await sql`
+    SELECT a.id AS assignment_id, s.id AS step_id, s.requirement, s.training_resource_id, s.quiz_id,
+           s.pass_score, c.created_by
+      FROM training_assignments a
+      JOIN training_curricula c ON c.id = a.curriculum_id
+      JOIN training_curriculum_steps s ON s.curriculum_id = a.curriculum_id
+     WHERE a.id = ${assignmentId} AND a.user_id = ${userId} AND s.id = ${stepId}
+  `;
+  if (!row) {
+    throw createError('Assigned step not found', 404);
+  }
+  return row;
+}
+
+async function recordCompletion(sql, userId, step, { completionType, score = null, evidence = {} }) {
+  // The first completion is the training record; later views or passes do not overwrite it
+  const [row] = await sql`
+    INSERT INTO training_completions (assignment_id, step_id, user_id, completion_type, score, evidence)
+    VALUES (${step.assignment_id}, ${step.step_id}, ${userId}, ${completionType}, ${score}, ${JSON.stringify(evidence)}::jsonb)
+    ON CONFLICT (assignment_id, step_id) DO NOTHING
+    RETURNING completion_type, score, completed_at
+  `;
+  return row || null;
+}
+
+export async function recordResourceViewed(sql, userId, { assignmentId, stepId } = {}) {
+  const step = await loadAssignedStep(sql, userId, assignmentId, stepId);
+  if (step.requirement !== STEP_REQUIREMENTS.VIEW) {
+    throw createError('This step is completed by passing its quiz', 400);
+  }
+
+  const completion = await recordCompletion(sql, userId, step, {
+    completionType: COMPLETION_TYPES.VIEWED,
+    evidence: { trainingResourceId: step.training_resource_id },
+  });
+  return { completed: true, alreadyCompleted: !completion };
+}
+
+// Assigned quizzes belong to the curriculum author; the assignee reads them without answer keys
+export async function getAssignedQuiz(sql, userId, { assignmentId, stepId } = {}) {
+  const step = await loadAssignedStep(sql, userId, assignmentId, stepId);
+  if (step.requirement !== STEP_REQUIREMENTS.QUIZ) {
+    throw createError('This step has no quiz', 400);
+  }
+  const quiz = await getQuiz(sql, step.created_by, step.quiz_id);
+  return { ...quiz, passScore: Number(step.pass_score) || DEFAULT_PASS_SCORE };
+}
+
+/**
+ * Grade an assigned quiz and record the step as complete when the score reaches the pass mark.
+ */
+export async function submitAssignedQuiz(sql, userId, { assignmentId, stepId, responses } = {}, now = new Date()) {
+  const step = await loadAssignedStep(sql, userId, assignmentId, stepId);
+  if (step.requirement !== STEP_REQUIREMENTS.QUIZ) {
+    throw createError('This step has no quiz', 400);
+  }
+
+  const attempt = await submitQuizAttempt(sql, userId, step.quiz_id, responses, { now, ownerId: step.created_by });
+  const passScore = Number(step.pass_score) || DEFAULT_PASS_SCORE;
+  const passed = attempt.score >= passScore;
+
+  if (passed) {
+    await recordCompletion(sql, userId, step, {
+      completionType: COMPLETION_TYPES.QUIZ_PASSED,
+      score: attempt.score,
+      evidence: { quizId: step.quiz_id, attemptId: attempt.attemptId },
+    });
+  }
+
+  return { ...attempt, passScore, passed };
+}
+
+/**
+ * Progress across the organization: one row per assignment plus totals per team. Filter by
+ * curriculum, user or team.
+ */
+export async function getTrainingProgress(sql, tenant, { curriculumId = null, userId = null, team = null } = {}, now = new Date()) {
+  const organizationId = requireManageableOrganization(tenant);
+  await ensureTrainingCurriculaSchema(sql);
+
+  const rows = await sql`
+    SELECT a.id, a.user_id, a.team, a.due_date, a.assigned_at, c.id AS curriculum_id, c.name,
+           (SELECT COUNT(*) FROM training_curriculum_steps s WHERE s.curriculum_id = c.id) AS total_steps,
+           (SELECT COUNT(*) FROM training_completions tc
+              JOIN training_curriculum_steps s ON s.id = tc.step_id
+             WHERE tc.assignment_id = a.id AND s.curriculum_id = c.id) AS completed_steps,
+           (SELECT MAX(tc.completed_at) FROM training_completions tc WHERE tc.assignment_id = a.id) AS last_completed_at
+      FROM training_assignments a
+      JOIN training_curricula c ON c.id = a.curriculum_id
+     WHERE a.organization_id = ${organizationId}
+       AND (${curriculumId}::int IS NULL OR c.id = ${curriculumId}::int)
+       AND (${cleanText(userId) || null}::text IS NULL OR a.user_id = ${cleanText(userId) || null})
+       AND (${cleanText(team) || null}::text IS NULL OR a.team = ${cleanText(team) || null})
+     ORDER BY a.team NULLS LAST, a.user_id, c.name
+  `;
+
+  const users = rows.map(row => {
+    const totalSteps = Number(row.total_steps) || 0;
+    const completedSteps = Number(row.completed_steps) || 0;
+    const status = describeAssignmentStatus({ totalSteps, completedSteps, dueDate: row.due_date }, now);
+    return {
+      assignmentId: row.id,
+      userId: row.user_id,
+      team: row.team || null,
+      curriculumId: row.curriculum_id,
+      curriculumName: row.name,
+      dueDate: row.due_date,
+      assignedAt: row.assigned_at,
+      totalSteps,
+      completedSteps,
+      status,
+      // Completion date is only meaningful once every step is done
+      completedAt: status === ASSIGNMENT_STATUSES.COMPLETED ? row.last_completed_at : null,
+    };
+  });
+
+  const teamTotals = new Map();
+  users.forEach(entry => {
+    const key = entry.team || 'Unassigned';
+    const totals = teamTotals.get(key) || {
+      team: key,
+      assignments: 0,
+      completed: 0,
+      inProgress: 0,
+      notStarted: 0,
+      overdue: 0,
+    };
+    totals.assignments += 1;
+    if (entry.status === ASSIGNMENT_STATUSES.COMPLETED) totals.completed += 1;
+    if (entry.status === ASSIGNMENT_STATUSES.IN_PROGRESS) totals.inProgress += 1;
+    if (entry.status === ASSIGNMENT_STATUSES.NOT_STARTED) totals.notStarted += 1;
+    if (entry.status === ASSIGNMENT_STATUSES.OVERDUE) totals.overdue += 1;
+    teamTotals.set(key, totals);
+  });
+
+  const teams = Array.from(teamTotals.values()).map(totals => ({
+    ...totals,
+    completionRate: totals.assignments > 0 ? totals.completed / totals.assignments : 0,
+  }));
+
+  return { users, teams, generatedAt: now.toISOString() };
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredTrainingCurriculaSchemaPromise = null;
+  },
+};
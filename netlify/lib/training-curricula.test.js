@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+
+import {
+  __internal,
+  assignCurriculum,
+  createCurriculum,
+  describeAssignmentStatus,
+  getTrainingProgress,
+  normalizeCurriculumSteps,
+  submitAssignedQuiz,
+} from './training-curricula.js';
+import { __internal as studyQuizInternal } from './study-quizzes.js';
+
+const now = new Date('2026-10-15T12:00:00.000Z');
+const orgAdmin = { organizationId: 'org-1', roles: ['org-admin'], isAdmin: false, isOrganizationAdmin: true };
+const member = { organizationId: 'org-1', roles: [], isAdmin: false, isOrganizationAdmin: false };
+
+// Routes each statement by the table it touches; `responses` overrides the default rows per match
+const createSqlMock = (responses = {}) =>
+  jest.fn(async (strings) => {
+    const text = strings.join('?');
+    const match = Object.keys(responses).find(fragment => text.includes(fragment));
+    if (match) {
+      return typeof responses[match] === 'function' ? responses[match]() : responses[match];
+    }
+    return [];
+  });
+
+const callsMatching = (sql, fragment) =>
+  sql.mock.calls.filter(([strings]) => strings.join('?').includes(fragment));
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+  studyQuizInternal.resetSchemaCache();
+});
+
+describe('normalizeCurriculumSteps', () => {
+  test('keeps step order and fills in titles and pass marks', () => {
+    const steps = normalizeCurriculumSteps([
+      { requirement: 'view', trainingResourceId: '4', title: '  Read   SOP-101 ' },
+      { requirement: 'quiz', quizId: 9, passScore: 3 },
+    ]);
+
+    expect(steps).toEqual([
+      { title: 'Read SOP-101', requirement: 'view', trainingResourceId: 4, quizId: null, passScore: null },
+      { title: 'Step 2', requirement: 'quiz', trainingResourceId: null, quizId: 9, passScore: 0.8 },
+    ]);
+  });
+
+  test('rejects empty paths and steps without a target', () => {
+    expect(() => normalizeCurriculumSteps([])).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => normalizeCurriculumSteps([{ requirement: 'quiz' }])).toThrow('Step 1 needs a quiz');
+  });
+});
+
+describe('describeAssignmentStatus', () => {
+  test('reports completion before checking the due date', () => {
+    expect(describeAssignmentStatus({ totalSteps: 2, completedSteps: 2, dueDate: '2026-01-01' }, now)).toBe('completed');
+    expect(describeAssignmentStatus({ totalSteps: 2, completedSteps: 1, dueDate: '2026-10-14' }, now)).toBe('overdue');
+    expect(describeAssignmentStatus({ totalSteps: 2, completedSteps: 1, dueDate: '2026-10-15' }, now)).toBe('in_progress');
+    expect(describeAssignmentStatus({ totalSteps: 2, completedSteps: 0, dueDate: null }, now)).toBe('not_started');
+  });
+});
+
+describe('curriculum management', () => {
+  test('only organization administrators can create curricula', async () => {
+    const sql = createSqlMock();
+
+    await expect(
+      createCurriculum(sql, member, 'user-1', { name: 'QA onboarding', steps: [{ trainingResourceId: 1 }] })
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(sql).not.toHaveBeenCalled();
+  });
+
+  test('assigns a curriculum to each user once and defaults the team to the job role', async () => {
+    const sql = createSqlMock({
+      'FROM training_curricula': [{ id: 7, organization_id: 'org-1', name: 'QA onboarding', job_role: 'QA Analyst' }],
+      'INSERT INTO training_assignments': [{ id: 1, curriculum_id: 7, user_id: 'u', team: 'QA Analyst', due_date: '2026-11-01' }],
+    });
+
+    const assignments = await assignCurriculum(sql, orgAdmin, 'admin-1', {
+      curriculumId: 7,
+      userIds: ['user-2', ' user-2 ', 'user-3'],
+      dueDate: '2026-11-01',
+    });
+
+    expect(assignments).toHaveLength(2);
+    const inserts = callsMatching(sql, 'INSERT INTO training_assignments');
+    expect(inserts.map(call => call[3])).toEqual(['user-2', 'user-3']);
+    expect(inserts[0].slice(4, 6)).toEqual(['QA Analyst', '2026-11-01']);
+  });
+
+  test('rejects an unreadable due date', async () => {
+    await expect(
+      assignCurriculum(createSqlMock(), orgAdmin, 'admin-1', { curriculumId: 7, userIds: ['user-2'], dueDate: 'soon' })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('submitAssignedQuiz', () => {
+  const quizStep = {
+    assignment_id: 5,
+    step_id: 8,
+    requirement: 'quiz',
+    quiz_id: 3,
+    pass_score: 0.5,
+    created_by: 'admin-1',
+  };
+  const itemRow = {
+    id: 11,
+    position: 0,
+    item_type: 'multiple_choice',
+    question: 'Who approves a change control?',
+    choices: ['Author', 'QA'],
+    correct_choice: 1,
+    answer: 'QA',
+    key_terms: [],
+    explanation: null,
+    citations: [],
+  };
+
+  const createQuizSql = () =>
+    createSqlMock({
+      'FROM training_assignments': [quizStep],
+      'FROM study_quiz_items': [itemRow],
+      'INSERT INTO study_quiz_attempts': [{ id: 42, completed_at: now.toISOString() }],
+    });
+
+  test('grades against the author quiz and records a pass as evidence', async () => {
+    const sql = createQuizSql();
+
+    const result = await submitAssignedQuiz(sql, 'user-2', { assignmentId: 5, stepId: 8, responses: { 11: 1 } }, now);
+
+    expect(result).toMatchObject({ attemptId: 42, score: 1, passed: true, passScore: 0.5 });
+    expect(callsMatching(sql, 'FROM study_quiz_items')[0]).toContain('admin-1');
+    expect(callsMatching(sql, 'INSERT INTO study_quiz_attempts')[0]).toContain('user-2');
+
+    const [completion] = callsMatching(sql, 'INSERT INTO training_completions');
+    expect(completion.slice(1, 6)).toEqual([5, 8, 'user-2', 'quiz_passed', 1]);
+    expect(JSON.parse(completion[6])).toEqual({ quizId: 3, attemptId: 42 });
+  });
+
+  test('does not record a completion for a failing score', async () => {
+    const sql = createQuizSql();
+
+    const result = await submitAssignedQuiz(sql, 'user-2', { assignmentId: 5, stepId: 8, responses: { 11: 0 } }, now);
+
+    expect(result.passed).toBe(false);
+    expect(callsMatching(sql, 'INSERT INTO training_completions')).toHaveLength(0);
+  });
+});
+
+describe('getTrainingProgress', () => {
+  test('summarizes assignments per user and per team', async () => {
+    const sql = createSqlMock({
+      'FROM training_assignments': [
+        { id: 1, user_id: 'user-2', team: 'QA', due_date: '2026-10-01', curriculum_id: 7, name: 'GMP', total_steps: '2', completed_steps: '2', last_completed_at: '2026-09-30' },
+        { id: 2, user_id: 'user-3', team: 'QA', due_date: '2026-10-01', curriculum_id: 7, name: 'GMP', total_steps: '2', completed_steps: '1', last_completed_at: '2026-09-29' },
+        { id: 3, user_id: 'user-4', team: null, due_date: null, curriculum_id: 7, name: 'GMP', total_steps: '2', completed_steps: '0', last_completed_at: null },
+      ],
+    });
+
+    const progress = await getTrainingProgress(sql, orgAdmin, {}, now);
+
+    expect(progress.users.map(entry => entry.status)).toEqual(['completed', 'overdue', 'not_started']);
+    expect(progress.users[0].completedAt).toBe('2026-09-30');
+    expect(progress.users[1].completedAt).toBeNull();
+    expect(progress.teams).toEqual([
+      { team: 'QA', assignments: 2, completed: 1, inProgress: 0, notStarted: 0, overdue: 1, completionRate: 0.5 },
+      { team: 'Unassigned', assignments: 1, completed: 0, inProgress: 0, notStarted: 1, overdue: 0, completionRate: 0 },
+    ]);
+  });
+
+  test('is limited to organization administrators', async () => {
+    await expect(getTrainingProgress(createSqlMock(), member)).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
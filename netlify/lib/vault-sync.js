@@ -0,0 +1,286 @@
+// Incremental document sync from Veeva Vault into document_index. Each connector keeps a cursor
+// (the latest version_modified_date__v it has indexed) and a record of the version and
+// modification time synced for every Vault document, so a run only downloads and re-indexes
+// documents that changed since the last one.
+
+import { extractDocumentText } from './document-text.js';
+import { buildDocumentQuery, createVaultClient, describeVaultVersion, mapVaultDocument } from './veeva-vault.js';
+
+// A run that has not finished within this window is assumed to have died and may be taken over
+const STALE_RUN_MS = 15 * 60 * 1000;
+
+let ensuredVaultSyncSchemaPromise = null;
+
+export async function ensureVaultSyncSchema(sql) {
+  if (ensuredVaultSyncSchemaPromise) {
+    return ensuredVaultSyncSchemaPromise;
+  }
+
+  ensuredVaultSyncSchemaPromise = (async () => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS vault_sync_state (
+        connector_id VARCHAR(255) PRIMARY KEY,
+        sync_cursor TIMESTAMPTZ,
+        status VARCHAR(20) NOT NULL DEFAULT 'idle',
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        last_error TEXT,
+        last_summary JSONB NOT NULL DEFAULT '{}'::jsonb
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS vault_sync_documents (
+        connector_id VARCHAR(255) NOT NULL,
+        vault_document_id VARCHAR(255) NOT NULL,
+        major_version INTEGER NOT NULL,
+        minor_version INTEGER NOT NULL,
+        modified_at TIMESTAMPTZ,
+        document_id VARCHAR(255) NOT NULL,
+        synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (connector_id, vault_document_id)
+      )
+    `;
+  })().catch(error => {
+    ensuredVaultSyncSchemaPromise = null;
+    throw error;
+  });
+
+  return ensuredVaultSyncSchemaPromise;
+}
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatStateRow = (row) => ({
+  connectorId: row.connector_id,
+  cursor: toIsoString(row.sync_cursor),
+  status: row.status,
+  startedAt: toIsoString(row.started_at),
+  finishedAt: toIsoString(row.finished_at),
+  lastError: row.last_error || null,
+  lastSummary: typeof row.last_summary === 'string' ? JSON.parse(row.last_summary) : row.last_summary || {},
+});
+
+/**
+ * Read a connector's cursor and the outcome of its last run, or null before its first run.
+ */
+export async function getVaultSyncState(sql, connectorId) {
+  await ensureVaultSyncSchema(sql);
+  const [row] = await sql`
+    SELECT connector_id, sync_cursor, status, started_at, finished_at, last_error, last_summary
+    FROM vault_sync_state
+    WHERE connector_id = ${connectorId}
+  `;
+  return row ? formatStateRow(row) : null;
+}
+
+// Mark the connector as running unless another run is in progress; returns its state or null
+async function claimRun(sql, connectorId, now) {
+  const staleBefore = new Date(now.getTime() - STALE_RUN_MS).toISOString();
+
+  await sql`
+    INSERT INTO vault_sync_state (connector_id)
+    VALUES (${connectorId})
+    ON CONFLICT (connector_id) DO NOTHING
+  `;
+
+  const [row] = await sql`
+    UPDATE vault_sync_state
+    SET status = 'running', started_at = ${now.toISOString()}, last_error = NULL
+    WHERE connector_id = ${connectorId}
+      AND (status <> 'running' OR started_at IS NULL OR started_at < ${staleBefore})
+    RETURNING connector_id, sync_cursor, status, started_at, finished_at, last_error, last_summary
+  `;
+  return row ? formatStateRow(row) : null;
+}
+
+async function finishRun(sql, connectorId, { cursor, status, error = null, summary }) {
+  await sql`
+    UPDATE vault_sync_state
+    SET sync_cursor = ${cursor},
+        status = ${status},
+        finished_at = NOW(),
+        last_error = ${error},
+        last_summary = ${JSON.stringify(summary)}
+    WHERE connector_id = ${connectorId}
+  `;
+}
+
+async function loadSyncedVersions(sql, connectorId, vaultDocumentIds) {
+  if (vaultDocumentIds.length === 0) {
+    return new Map();
+  }
+  const rows = await sql`
+    SELECT vault_document_id, major_version, minor_version, modified_at
+    FROM vault_sync_documents
+    WHERE connector_id = ${connectorId} AND vault_document_id = ANY(${vaultDocumentIds})
+  `;
+  return new Map(rows.map(row => [row.vault_document_id, row]));
+}
+
+const isUnchanged = (synced, version) =>
+  Boolean(synced) &&
+  Number(synced.major_version) === version.majorVersion &&
+  Number(synced.minor_version) === version.minorVersion &&
+  toIsoString(synced.modified_at) === version.modifiedAt;
+
+async function recordSyncedVersion(sql, connectorId, version, documentId) {
+  await sql`
+    INSERT INTO vault_sync_documents (
+      connector_id, vault_document_id, major_version, minor_version, modified_at, document_id
+    )
+    VALUES (
+      ${connectorId}, ${version.vaultDocumentId}, ${version.majorVersion}, ${version.minorVersion},
+      ${version.modifiedAt}, ${documentId}
+    )
+    ON CONFLICT (connector_id, vault_document_id) DO UPDATE SET
+      major_version = EXCLUDED.major_version,
+      minor_version = EXCLUDED.minor_version,
+      modified_at = EXCLUDED.modified_at,
+      document_id = EXCLUDED.document_id,
+      synced_at = NOW()
+  `;
+}
+
+/**
+ * Pull documents changed since the connector's cursor and index them.
+ *
+ * Documents come back oldest change first. The cursor advances past each document that was
+ * indexed or skipped as unchanged, and stops at the first failure so that document is retried
+ * next run; later documents are still indexed and then skipped as unchanged on the retry. At most
+ * `config.maxDocuments` documents are indexed per run, leaving the rest for the next one.
+ *
+ * @param {Function} sql - Neon SQL tag
+ * @param {Object} options
+ * @param {Object} options.client - Vault client from createVaultClient
+ * @param {Object} options.config - Connector settings from readVaultConfig
+ * @param {Function} options.indexDocument - Indexes one mapped document, resolving to { documentId }
+ * @param {Date} [options.now] - Clock for tests
+ * @returns {Promise<Object>} Run summary; `skippedRun` is true when another run holds the connector
+ */
+export async function syncVaultDocuments(sql, { client, config, indexDocument, now = new Date() }) {
+  await ensureVaultSyncSchema(sql);
+
+  const { connectorId } = config;
+  const state = await claimRun(sql, connectorId, now);
+  if (!state) {
+    return { connectorId, skippedRun: true, indexed: [], unchanged: 0, failed: [] };
+  }
+
+  const summary = { connectorId, skippedRun: false, startCursor: state.cursor, indexed: [], unchanged: 0, failed: [], hasMore: false };
+  let cursor = state.cursor;
+  let cursorBlocked = false;
+
+  const advanceCursor = (modifiedAt) => {
+    if (!cursorBlocked && modifiedAt && (!cursor || modifiedAt > cursor)) {
+      cursor = modifiedAt;
+    }
+  };
+
+  try {
+    const vql = buildDocumentQuery({
+      documentTypes: config.documentTypes,
+      lifecycleStates: config.lifecycleStates,
+      modifiedSince: state.cursor,
+    });
+
+    pages: for await (const page of client.query(vql)) {
+      const synced = await loadSyncedVersions(sql, connectorId, page.map(doc => String(doc.id)));
+
+      for (const vaultDocument of page) {
+        const version = describeVaultVersion(vaultDocument);
+
+        if (isUnchanged(synced.get(version.vaultDocumentId), version)) {
+          summary.unchanged += 1;
+          advanceCursor(version.modifiedAt);
+          continue;
+        }
+
+        if (summary.indexed.length >= config.maxDocuments) {
+          summary.hasMore = true;
+          break pages;
+        }
+
+        try {
+          const file = await client.downloadVersionFile(version.vaultDocumentId, version.majorVersion, version.minorVersion);
+          const text = await extractDocumentText(file.buffer, {
+            filename: file.filename || vaultDocument.filename__v,
+            contentType: file.contentType,
+          });
+          const indexed = await indexDocument(mapVaultDocument(vaultDocument, {
+            text,
+            filename: file.filename,
+            fileSize: file.buffer.length,
+            connectorId,
+            baseUrl: config.baseUrl,
+          }));
+
+          await recordSyncedVersion(sql, connectorId, version, indexed.documentId);
+          summary.indexed.push({
+            vaultDocumentId: version.vaultDocumentId,
+            documentNumber: vaultDocument.document_number__v || null,
+            version: `${version.majorVersion}.${version.minorVersion}`,
+            documentId: indexed.documentId,
+            status: indexed.status || vaultDocument.status__v || null,
+          });
+          advanceCursor(version.modifiedAt);
+        } catch (error) {
+          console.error(`Vault sync failed for document ${version.vaultDocumentId}:`, error);
+          summary.failed.push({
+            vaultDocumentId: version.vaultDocumentId,
+            documentNumber: vaultDocument.document_number__v || null,
+            error: error.message,
+          });
+          cursorBlocked = true;
+        }
+      }
+    }
+  } catch (error) {
+    // Authentication or query failures end the run; documents indexed so far keep their progress
+    await finishRun(sql, connectorId, { cursor, status: 'failed', error: error.message, summary: { ...summary, cursor } });
+    throw error;
+  }
+
+  const result = { ...summary, cursor };
+  await finishRun(sql, connectorId, {
+    cursor,
+    status: summary.failed.length > 0 ? 'partial' : 'succeeded',
+    error: summary.failed.length > 0 ? `${summary.failed.length} document(s) failed to sync` : null,
+    summary: result,
+  });
+  return result;
+}
+
+/**
+ * Run a sync for the configured Vault, indexing as the connector's service user. Documents go to
+ * the organization library when VEEVA_SYNC_ORGANIZATION_ID is set, otherwise to that user's
+ * personal library.
+ *
+ * @param {Function} sql - Neon SQL tag
+ * @param {Object} config - Connector settings from readVaultConfig
+ * @param {Function} processDocument - index-documents' processDocument(sql, userId, document, tenant)
+ */
+export async function runVaultSync(sql, config, processDocument, { fetchImpl, now } = {}) {
+  const client = createVaultClient({ ...config, fetchImpl });
+  const tenant = config.organizationId
+    ? { organizationId: config.organizationId, isOrganizationAdmin: true }
+    : {};
+
+  return syncVaultDocuments(sql, {
+    client,
+    config,
+    now,
+    indexDocument: (document) =>
+      processDocument(sql, config.ownerUserId, {
+        ...document,
+        scope: config.organizationId ? 'organization' : 'personal',
+      }, tenant),
+  });
+}
+
+export const __internal = {
+  resetSchemaCache: () => {
+    ensuredVaultSyncSchemaPromise = null;
+  },
+  STALE_RUN_MS,
+};
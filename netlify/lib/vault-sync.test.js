@@ -0,0 +1,247 @@
+import { jest } from '@jest/globals';
+
+import { __internal, getVaultSyncState, syncVaultDocuments } from './vault-sync.js';
+
+const NOW = new Date('2026-06-01T00:00:00.000Z');
+
+const config = {
+  connectorId: 'qa-vault',
+  baseUrl: 'https://qa.veevavault.com',
+  documentTypes: ['SOP'],
+  lifecycleStates: ['Effective'],
+  maxDocuments: 25,
+};
+
+const vaultDocument = (id, modified, overrides = {}) => ({
+  id,
+  title__v: `Procedure ${id}`,
+  document_number__v: `SOP-${id}`,
+  major_version_number__v: 1,
+  minor_version_number__v: 0,
+  status__v: 'Effective',
+  type__v: 'SOP',
+  version_modified_date__v: modified,
+  ...overrides,
+});
+
+// Keeps the two sync tables in memory so consecutive runs see each other's cursor and versions
+const createSqlMock = () => {
+  const state = new Map();
+  const documents = new Map();
+
+  const sql = jest.fn(async (strings, ...values) => {
+    const text = strings.join('?').replace(/\s+/g, ' ').trim();
+
+    if (text.startsWith('CREATE TABLE')) {
+      return [];
+    }
+    if (text.startsWith('INSERT INTO vault_sync_state')) {
+      const [connectorId] = values;
+      if (!state.has(connectorId)) {
+        state.set(connectorId, { connector_id: connectorId, sync_cursor: null, status: 'idle', last_summary: {} });
+      }
+      return [];
+    }
+    if (text.startsWith("UPDATE vault_sync_state SET status = 'running'")) {
+      const [startedAt, connectorId, staleBefore] = values;
+      const row = state.get(connectorId);
+      if (row.status === 'running' && row.started_at >= staleBefore) {
+        return [];
+      }
+      Object.assign(row, { status: 'running', started_at: startedAt, last_error: null });
+      return [{ ...row }];
+    }
+    if (text.startsWith('UPDATE vault_sync_state SET sync_cursor')) {
+      const [cursor, status, error, summary, connectorId] = values;
+      Object.assign(state.get(connectorId), {
+        sync_cursor: cursor,
+        status,
+        last_error: error,
+        last_summary: summary,
+        finished_at: NOW.toISOString(),
+      });
+      return [];
+    }
+    if (text.startsWith('SELECT connector_id, sync_cursor')) {
+      const row = state.get(values[0]);
+      return row ? [{ ...row }] : [];
+    }
+    if (text.startsWith('SELECT vault_document_id')) {
+      const [connectorId, ids] = values;
+      return ids.map(id => documents.get(`${connectorId}:${id}`)).filter(Boolean);
+    }
+    if (text.startsWith('INSERT INTO vault_sync_documents')) {
+      const [connectorId, vaultDocumentId, majorVersion, minorVersion, modifiedAt, documentId] = values;
+      documents.set(`${connectorId}:${vaultDocumentId}`, {
+        vault_document_id: vaultDocumentId,
+        major_version: majorVersion,
+        minor_version: minorVersion,
+        modified_at: modifiedAt,
+        document_id: documentId,
+      });
+      return [];
+    }
+    throw new Error(`Unexpected statement: ${text}`);
+  });
+
+  return { sql, state, documents };
+};
+
+// In-memory Vault that honours the cursor condition of the query and pages two documents at a time
+const createClient = (vaultDocuments, { failDownloads = [] } = {}) => ({
+  queries: [],
+  downloads: [],
+  async *query(vql) {
+    this.queries.push(vql);
+    const since = /version_modified_date__v >= '([^']+)'/.exec(vql)?.[1];
+    const matches = vaultDocuments
+      .filter(doc => !since || doc.version_modified_date__v >= since)
+      .sort((a, b) => a.version_modified_date__v.localeCompare(b.version_modified_date__v));
+    for (let offset = 0; offset < matches.length; offset += 2) {
+      yield matches.slice(offset, offset + 2);
+    }
+  },
+  async downloadVersionFile(id, major, minor) {
+    this.downloads.push(`${id}@${major}.${minor}`);
+    if (failDownloads.includes(id)) {
+      throw new Error(`Download of ${id} failed`);
+    }
+    return { buffer: Buffer.from(`Procedure ${id} text`), contentType: 'text/plain', filename: `sop-${id}.txt` };
+  },
+});
+
+const createIndexer = () =>
+  jest.fn(async (document) => ({ documentId: document.metadata.documentId, status: document.status }));
+
+beforeEach(() => {
+  __internal.resetSchemaCache();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('syncVaultDocuments', () => {
+  test('indexes matching documents and advances the cursor to the latest change', async () => {
+    const { sql } = createSqlMock();
+    const client = createClient([
+      vaultDocument('2', '2026-02-01T00:00:00.000Z'),
+      vaultDocument('1', '2026-01-01T00:00:00.000Z'),
+      vaultDocument('3', '2026-03-01T00:00:00.000Z'),
+    ]);
+    const indexDocument = createIndexer();
+
+    const summary = await syncVaultDocuments(sql, { client, config, indexDocument, now: NOW });
+
+    expect(client.queries[0]).toContain("type__v CONTAINS ('SOP')");
+    expect(client.queries[0]).not.toContain('version_modified_date__v >=');
+    expect(summary.indexed.map(doc => doc.vaultDocumentId)).toEqual(['1', '2', '3']);
+    expect(indexDocument.mock.calls[0][0]).toMatchObject({
+      text: 'Procedure 1 text',
+      filename: 'SOP-1 v1.0 sop-1.txt',
+      metadata: { documentId: 'vault_qa-vault_1_1_0', source: 'veeva-vault' },
+    });
+    expect(summary).toMatchObject({ cursor: '2026-03-01T00:00:00.000Z', failed: [], hasMore: false });
+    await expect(getVaultSyncState(sql, 'qa-vault')).resolves.toMatchObject({
+      cursor: '2026-03-01T00:00:00.000Z',
+      status: 'succeeded',
+    });
+  });
+
+  test('only re-indexes documents whose version or modification changed', async () => {
+    const { sql } = createSqlMock();
+    const vaultDocuments = [
+      vaultDocument('1', '2026-01-01T00:00:00.000Z'),
+      vaultDocument('2', '2026-02-01T00:00:00.000Z'),
+    ];
+    const indexDocument = createIndexer();
+    await syncVaultDocuments(sql, { client: createClient(vaultDocuments), config, indexDocument, now: NOW });
+
+    vaultDocuments[0] = vaultDocument('1', '2026-04-01T00:00:00.000Z', { minor_version_number__v: 1 });
+    const client = createClient(vaultDocuments);
+    const summary = await syncVaultDocuments(sql, { client, config, indexDocument, now: NOW });
+
+    expect(client.queries[0]).toContain("version_modified_date__v >= '2026-02-01T00:00:00.000Z'");
+    expect(client.downloads).toEqual(['1@1.1']);
+    expect(summary.unchanged).toBe(1);
+    expect(summary.indexed).toEqual([expect.objectContaining({ vaultDocumentId: '1', version: '1.1' })]);
+    expect(summary.cursor).toBe('2026-04-01T00:00:00.000Z');
+  });
+
+  test('holds the cursor before a failed document so it is retried', async () => {
+    const { sql } = createSqlMock();
+    const vaultDocuments = [
+      vaultDocument('1', '2026-01-01T00:00:00.000Z'),
+      vaultDocument('2', '2026-02-01T00:00:00.000Z'),
+      vaultDocument('3', '2026-03-01T00:00:00.000Z'),
+    ];
+    const indexDocument = createIndexer();
+
+    const first = await syncVaultDocuments(sql, {
+      client: createClient(vaultDocuments, { failDownloads: ['2'] }),
+      config,
+      indexDocument,
+      now: NOW,
+    });
+
+    expect(first.indexed.map(doc => doc.vaultDocumentId)).toEqual(['1', '3']);
+    expect(first.failed).toEqual([expect.objectContaining({ vaultDocumentId: '2', error: 'Download of 2 failed' })]);
+    expect(first.cursor).toBe('2026-01-01T00:00:00.000Z');
+    await expect(getVaultSyncState(sql, 'qa-vault')).resolves.toMatchObject({ status: 'partial' });
+
+    const retryClient = createClient(vaultDocuments);
+    const retry = await syncVaultDocuments(sql, { client: retryClient, config, indexDocument, now: NOW });
+
+    expect(retryClient.downloads).toEqual(['2@1.0']);
+    expect(retry).toMatchObject({ unchanged: 2, cursor: '2026-03-01T00:00:00.000Z', failed: [] });
+  });
+
+  test('stops at maxDocuments and resumes from the cursor next run', async () => {
+    const { sql } = createSqlMock();
+    const vaultDocuments = ['1', '2', '3'].map((id, index) => vaultDocument(id, `2026-0${index + 1}-01T00:00:00.000Z`));
+    const limited = { ...config, maxDocuments: 2 };
+
+    const first = await syncVaultDocuments(sql, { client: createClient(vaultDocuments), config: limited, indexDocument: createIndexer(), now: NOW });
+    expect(first).toMatchObject({ hasMore: true, cursor: '2026-02-01T00:00:00.000Z' });
+    expect(first.indexed).toHaveLength(2);
+
+    const second = await syncVaultDocuments(sql, { client: createClient(vaultDocuments), config: limited, indexDocument: createIndexer(), now: NOW });
+    expect(second).toMatchObject({ hasMore: false, unchanged: 1, cursor: '2026-03-01T00:00:00.000Z' });
+    expect(second.indexed.map(doc => doc.vaultDocumentId)).toEqual(['3']);
+  });
+
+  test('skips the run while another one holds the connector', async () => {
+    const { sql, state } = createSqlMock();
+    state.set('qa-vault', {
+      connector_id: 'qa-vault',
+      sync_cursor: null,
+      status: 'running',
+      started_at: new Date(NOW.getTime() - 60 * 1000).toISOString(),
+      last_summary: {},
+    });
+    const client = createClient([vaultDocument('1', '2026-01-01T00:00:00.000Z')]);
+
+    const summary = await syncVaultDocuments(sql, { client, config, indexDocument: createIndexer(), now: NOW });
+
+    expect(summary.skippedRun).toBe(true);
+    expect(client.queries).toHaveLength(0);
+  });
+
+  test('records a failed run when the query fails', async () => {
+    const { sql } = createSqlMock();
+    const client = {
+      // eslint-disable-next-line require-yield
+      async *query() {
+        throw Object.assign(new Error('Vault authentication failed'), { statusCode: 502 });
+      },
+    };
+
+    await expect(syncVaultDocuments(sql, { client, config, indexDocument: createIndexer(), now: NOW }))
+      .rejects.toThrow('Vault authentication failed');
+    await expect(getVaultSyncState(sql, 'qa-vault')).resolves.toMatchObject({
+      status: 'failed',
+      lastError: 'Vault authentication failed',
+    });
+  });
+});
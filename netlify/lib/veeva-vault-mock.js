@@ -0,0 +1,174 @@
+// A small stand-in for the Veeva Vault REST API, used by the connector tests and by
+// `npm run mock:vault` for trying the sync locally. It implements the endpoints the connector
+// calls (auth, VQL document queries with paging, version file download) with Vault's response
+// envelope, and understands only the VQL that buildDocumentQuery produces.
+
+import http from 'node:http';
+
+const success = (body = {}) => ({ responseStatus: 'SUCCESS', ...body });
+const failure = (type, message) => ({ responseStatus: 'FAILURE', errors: [{ type, message }] });
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+
+const parseList = (value) => [...value.matchAll(/'((?:[^'\\]|\\.)*)'/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+
+// Evaluate the WHERE clause shapes produced by buildDocumentQuery
+const compileQuery = (vql) => {
+  const filters = [];
+  const typeMatch = /type__v CONTAINS \(([^)]*)\)/.exec(vql);
+  if (typeMatch) {
+    const types = parseList(typeMatch[1]);
+    filters.push(doc => types.includes(doc.type__v));
+  }
+  const statusMatch = /status__v CONTAINS \(([^)]*)\)/.exec(vql);
+  if (statusMatch) {
+    const states = parseList(statusMatch[1]);
+    filters.push(doc => states.includes(doc.status__v));
+  }
+  const modifiedMatch = /version_modified_date__v >= '([^']+)'/.exec(vql);
+  if (modifiedMatch) {
+    const since = Date.parse(modifiedMatch[1]);
+    filters.push(doc => Date.parse(doc.version_modified_date__v) >= since);
+  }
+  return (documents) =>
+    documents
+      .filter(doc => filters.every(filter => filter(doc)))
+      .sort((a, b) => Date.parse(a.version_modified_date__v) - Date.parse(b.version_modified_date__v));
+};
+
+const toRecord = ({ file, ...fields }) => fields;
+
+/**
+ * Start a mock Vault on a free local port.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.documents - Vault document fields plus `file: { filename, contentType, content }`
+ * @param {string} [options.username='integration@vault.test']
+ * @param {string} [options.password='secret']
+ * @param {number} [options.pageSize=2] - Small by default so tests exercise next_page
+ * @param {string} [options.apiVersion='v24.1']
+ * @param {number} [options.port=0]
+ * @returns {Promise<{url: string, documents: Object[], requests: Object[], expireSessions: Function, close: Function}>}
+ */
+export async function startMockVault({
+  documents = [],
+  username = 'integration@vault.test',
+  password = 'secret',
+  pageSize = 2,
+  apiVersion = 'v24.1',
+  port = 0,
+} = {}) {
+  const sessions = new Set();
+  const queries = new Map();
+  const requests = [];
+  let sessionCounter = 0;
+  const apiRoot = `/api/${apiVersion}`;
+
+  const send = (response, status, payload, extraHeaders = {}) => {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...extraHeaders });
+    response.end(JSON.stringify(payload));
+  };
+
+  const sendPage = (response, queryId, offset) => {
+    const results = queries.get(queryId);
+    const data = results.slice(offset, offset + pageSize);
+    const nextOffset = offset + pageSize;
+    send(response, 200, success({
+      responseDetails: {
+        pagesize: pageSize,
+        pageoffset: offset,
+        size: data.length,
+        total: results.length,
+        ...(nextOffset < results.length
+          ? { next_page: `${apiRoot}/query/${queryId}?pagesize=${pageSize}&pageoffset=${nextOffset}` }
+          : {}),
+      },
+      data,
+    }));
+  };
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const body = request.method === 'POST' ? await readBody(request) : '';
+    requests.push({ method: request.method, path: url.pathname, body });
+
+    if (request.method === 'POST' && url.pathname === `${apiRoot}/auth`) {
+      const form = new URLSearchParams(body);
+      if (form.get('username') !== username || form.get('password') !== password) {
+        send(response, 200, failure('USERNAME_OR_PASSWORD_INCORRECT', 'Authentication failed for user'));
+        return;
+      }
+      sessionCounter += 1;
+      const sessionId = `mock-session-${sessionCounter}`;
+      sessions.add(sessionId);
+      send(response, 200, success({ sessionId, userId: 1001, vaultId: 2002 }));
+      return;
+    }
+
+    if (!sessions.has(request.headers.authorization)) {
+      send(response, 200, failure('INVALID_SESSION_ID', 'Invalid or expired session ID.'));
+      return;
+    }
+
+    if (request.method === 'POST' && url.pathname === `${apiRoot}/query`) {
+      const vql = new URLSearchParams(body).get('q') || '';
+      if (!/^SELECT .+ FROM documents/.test(vql)) {
+        send(response, 200, failure('MALFORMED_URL', `Unsupported query: ${vql}`));
+        return;
+      }
+      const queryId = `query-${queries.size + 1}`;
+      queries.set(queryId, compileQuery(vql)(documents).map(toRecord));
+      sendPage(response, queryId, 0);
+      return;
+    }
+
+    const pageMatch = new RegExp(`^${apiRoot}/query/([^/]+)$`).exec(url.pathname);
+    if (request.method === 'GET' && pageMatch && queries.has(pageMatch[1])) {
+      sendPage(response, pageMatch[1], Number(url.searchParams.get('pageoffset')) || 0);
+      return;
+    }
+
+    const fileMatch = new RegExp(`^${apiRoot}/objects/documents/([^/]+)/versions/(\\d+)/(\\d+)/file$`).exec(url.pathname);
+    if (request.method === 'GET' && fileMatch) {
+      const [, id, major, minor] = fileMatch;
+      const doc = documents.find(candidate =>
+        String(candidate.id) === id &&
+        String(candidate.major_version_number__v) === major &&
+        String(candidate.minor_version_number__v) === minor
+      );
+      if (!doc?.file) {
+        send(response, 404, failure('INVALID_DATA', `Document ${id} version ${major}.${minor} has no source file`));
+        return;
+      }
+      const content = Buffer.isBuffer(doc.file.content) ? doc.file.content : Buffer.from(String(doc.file.content), 'utf8');
+      response.writeHead(200, {
+        'Content-Type': doc.file.contentType || 'application/octet-stream',
+        'Content-Disposition': `attachment;filename="${doc.file.filename}"`,
+        'Content-Length': content.length,
+      });
+      response.end(content);
+      return;
+    }
+
+    send(response, 404, failure('INVALID_DATA', `No mock route for ${request.method} ${url.pathname}`));
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const { port: boundPort } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${boundPort}`,
+    documents,
+    requests,
+    username,
+    password,
+    expireSessions: () => sessions.clear(),
+    close: () => new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve()))),
+  };
+}
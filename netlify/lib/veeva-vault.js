@@ -0,0 +1,286 @@
+// Veeva Vault REST client for the document connector. Covers the calls the sync needs: session
+// authentication, VQL queries over documents (following next_page links) and version file
+// downloads. Responses use Vault's envelope: `responseStatus` is SUCCESS or FAILURE and failures
+// carry `errors: [{ type, message }]`.
+
+export const DEFAULT_VAULT_API_VERSION = 'v24.1';
+
+// Document fields requested by the connector; see mapVaultDocument for how they are used
+export const VAULT_DOCUMENT_FIELDS = [
+  'id',
+  'name__v',
+  'title__v',
+  'document_number__v',
+  'major_version_number__v',
+  'minor_version_number__v',
+  'status__v',
+  'type__v',
+  'subtype__v',
+  'lifecycle__v',
+  'filename__v',
+  'version_modified_date__v',
+];
+
+const createError = (message, statusCode, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+};
+
+const splitList = (value) =>
+  String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Read the connector settings from the environment. Returns null when no Vault is configured, so
+ * the scheduled sync can exit quietly on deployments that do not use it.
+ *
+ *   VEEVA_VAULT_URL              https://myvault.veevavault.com
+ *   VEEVA_VAULT_USERNAME         integration user
+ *   VEEVA_VAULT_PASSWORD
+ *   VEEVA_VAULT_API_VERSION      defaults to v24.1
+ *   VEEVA_VAULT_DOCUMENT_TYPES   comma-separated type__v labels, e.g. "SOP,Policy" (all when empty)
+ *   VEEVA_VAULT_LIFECYCLE_STATES comma-separated status__v labels, e.g. "Effective,Approved"
+ *   VEEVA_VAULT_CONNECTOR_ID     names the sync cursor; defaults to the Vault host
+ *   VEEVA_SYNC_USER_ID           user recorded as the uploader of synced documents
+ *   VEEVA_SYNC_ORGANIZATION_ID   organization library the documents are added to
+ *   VEEVA_SYNC_MAX_DOCUMENTS     documents indexed per run (default 25); the cursor resumes next run
+ */
+export const readVaultConfig = (env = process.env) => {
+  const baseUrl = (env.VEEVA_VAULT_URL || '').trim().replace(/\/+$/, '');
+  if (!baseUrl) {
+    return null;
+  }
+
+  if (!env.VEEVA_VAULT_USERNAME || !env.VEEVA_VAULT_PASSWORD) {
+    throw createError('VEEVA_VAULT_USERNAME and VEEVA_VAULT_PASSWORD are required when VEEVA_VAULT_URL is set', 500);
+  }
+
+  const maxDocuments = Number.parseInt(env.VEEVA_SYNC_MAX_DOCUMENTS, 10);
+
+  return {
+    baseUrl,
+    username: env.VEEVA_VAULT_USERNAME,
+    password: env.VEEVA_VAULT_PASSWORD,
+    apiVersion: env.VEEVA_VAULT_API_VERSION || DEFAULT_VAULT_API_VERSION,
+    documentTypes: splitList(env.VEEVA_VAULT_DOCUMENT_TYPES),
+    lifecycleStates: splitList(env.VEEVA_VAULT_LIFECYCLE_STATES),
+    connectorId: env.VEEVA_VAULT_CONNECTOR_ID || new URL(baseUrl).host,
+    ownerUserId: env.VEEVA_SYNC_USER_ID || 'veeva-vault-sync',
+    organizationId: env.VEEVA_SYNC_ORGANIZATION_ID || null,
+    maxDocuments: Number.isInteger(maxDocuments) && maxDocuments > 0 ? maxDocuments : 25,
+  };
+};
+
+const quoteVql = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// Vault compares datetimes as 'YYYY-MM-DDTHH:MM:SS.sssZ' strings in UTC
+export const formatVaultDate = (value) => new Date(value).toISOString();
+
+/**
+ * Build the VQL that lists documents changed since the cursor, oldest change first so the
+ * cursor can advance as documents are indexed. `modifiedSince` is inclusive: documents sharing
+ * the cursor's timestamp are returned again and skipped by the caller if already synced.
+ */
+export const buildDocumentQuery = ({ documentTypes = [], lifecycleStates = [], modifiedSince = null } = {}) => {
+  const conditions = [];
+  if (documentTypes.length > 0) {
+    conditions.push(`type__v CONTAINS (${documentTypes.map(quoteVql).join(', ')})`);
+  }
+  if (lifecycleStates.length > 0) {
+    conditions.push(`status__v CONTAINS (${lifecycleStates.map(quoteVql).join(', ')})`);
+  }
+  if (modifiedSince) {
+    conditions.push(`version_modified_date__v >= ${quoteVql(formatVaultDate(modifiedSince))}`);
+  }
+
+  return [
+    `SELECT ${VAULT_DOCUMENT_FIELDS.join(', ')}`,
+    'FROM documents',
+    ...(conditions.length > 0 ? [`WHERE ${conditions.join(' AND ')}`] : []),
+    'ORDER BY version_modified_date__v ASC',
+  ].join(' ');
+};
+
+const readFilename = (disposition = '') => {
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * Create a client for one Vault. Sessions are opened lazily and re-opened once when Vault
+ * reports INVALID_SESSION_ID (sessions expire after inactivity).
+ *
+ * @param {{baseUrl: string, username: string, password: string, apiVersion?: string, fetchImpl?: Function}} options
+ */
+export const createVaultClient = ({ baseUrl, username, password, apiVersion = DEFAULT_VAULT_API_VERSION, fetchImpl } = {}) => {
+  if (!baseUrl || !username || !password) {
+    throw createError('Vault URL, username and password are required', 500);
+  }
+
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+  const root = baseUrl.replace(/\/+$/, '');
+  const apiRoot = `${root}/api/${apiVersion}`;
+  let sessionId = null;
+
+  const parseEnvelope = async (response, action) => {
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch {
+      // Non-JSON bodies (HTML error pages from a proxy) are reported with the HTTP status below
+    }
+
+    if (!response.ok || payload?.responseStatus !== 'SUCCESS') {
+      const [firstError] = payload?.errors || [];
+      throw createError(
+        `Vault ${action} failed${firstError ? `: ${firstError.type} ${firstError.message || ''}`.trimEnd() : ` (${response.status})`}`,
+        response.ok ? 502 : response.status,
+        { vaultErrorType: firstError?.type || null }
+      );
+    }
+    return payload;
+  };
+
+  const authenticate = async () => {
+    const response = await doFetch(`${apiRoot}/auth`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: new URLSearchParams({ username, password }).toString(),
+    });
+    const payload = await parseEnvelope(response, 'authentication');
+    sessionId = payload.sessionId;
+    return sessionId;
+  };
+
+  const isExpiredSession = (error) => error.vaultErrorType === 'INVALID_SESSION_ID' || error.statusCode === 401;
+
+  // Run a request with the current session, re-authenticating once if it has expired
+  const withSession = async (request) => {
+    if (!sessionId) {
+      await authenticate();
+    }
+    try {
+      return await request(sessionId);
+    } catch (error) {
+      if (!isExpiredSession(error)) {
+        throw error;
+      }
+      await authenticate();
+      return request(sessionId);
+    }
+  };
+
+  const requestJson = (url, init, action) =>
+    withSession(async (session) => {
+      const response = await doFetch(url, {
+        ...init,
+        headers: { ...(init.headers || {}), Authorization: session, Accept: 'application/json' },
+      });
+      return parseEnvelope(response, action);
+    });
+
+  /**
+   * Run a VQL query and yield result pages until Vault stops returning next_page.
+   */
+  async function* query(vql) {
+    let payload = await requestJson(`${apiRoot}/query`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ q: vql }).toString(),
+    }, 'query');
+
+    for (;;) {
+      yield Array.isArray(payload.data) ? payload.data : [];
+      const nextPage = payload.responseDetails?.next_page;
+      if (!nextPage) {
+        return;
+      }
+      payload = await requestJson(new URL(nextPage, root).toString(), { method: 'GET' }, 'query');
+    }
+  }
+
+  /**
+   * Download the source file of one document version.
+   * @returns {Promise<{buffer: Buffer, contentType: string, filename: string|null}>}
+   */
+  const downloadVersionFile = (documentId, majorVersion, minorVersion) =>
+    withSession(async (session) => {
+      const response = await doFetch(
+        `${apiRoot}/objects/documents/${encodeURIComponent(documentId)}/versions/${majorVersion}/${minorVersion}/file`,
+        { method: 'GET', headers: { Authorization: session } }
+      );
+
+      const contentType = response.headers.get('content-type') || 'application/octet-stream';
+      if (!response.ok || contentType.includes('application/json')) {
+        // Vault reports download errors with the JSON envelope
+        await parseEnvelope(response, `download of document ${documentId}`);
+      }
+
+      return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        contentType,
+        filename: readFilename(response.headers.get('content-disposition') || ''),
+      };
+    });
+
+  return { authenticate, query, downloadVersionFile };
+};
+
+const toVersionNumber = (value) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : 0;
+};
+
+/**
+ * Version identity of a Vault document as the sync tracks it.
+ */
+export const describeVaultVersion = (vaultDocument) => ({
+  vaultDocumentId: String(vaultDocument.id),
+  majorVersion: toVersionNumber(vaultDocument.major_version_number__v),
+  minorVersion: toVersionNumber(vaultDocument.minor_version_number__v),
+  modifiedAt: vaultDocument.version_modified_date__v ? formatVaultDate(vaultDocument.version_modified_date__v) : null,
+});
+
+/**
+ * Map a Vault document and its extracted text onto the document accepted by processDocument
+ * in index-documents. Each Vault version gets its own document_index row so version lineage
+ * supersedes older effective versions; a lifecycle change on the same version updates that row.
+ */
+export const mapVaultDocument = (vaultDocument, { text, filename, fileSize = null, connectorId, baseUrl = null }) => {
+  const { vaultDocumentId, majorVersion, minorVersion, modifiedAt } = describeVaultVersion(vaultDocument);
+  const documentNumber = vaultDocument.document_number__v || null;
+  const sourceFilename = filename || vaultDocument.filename__v || `${vaultDocument.name__v || vaultDocumentId}.txt`;
+  const version = `${majorVersion}.${minorVersion}`;
+
+  return {
+    // Distinct per version so rag_documents (unique on filename and user) keeps each version
+    filename: `${documentNumber || `VV-${vaultDocumentId}`} v${version} ${sourceFilename}`,
+    text,
+    title: vaultDocument.title__v || vaultDocument.name__v || sourceFilename,
+    version,
+    documentType: vaultDocument.type__v ? String(vaultDocument.type__v).toLowerCase() : 'unknown',
+    status: vaultDocument.status__v || 'active',
+    metadata: {
+      documentId: `vault_${connectorId}_${vaultDocumentId}_${majorVersion}_${minorVersion}`,
+      documentNumber,
+      majorVersion,
+      minorVersion,
+      fileSize,
+      source: 'veeva-vault',
+      vault: {
+        connectorId,
+        documentId: vaultDocumentId,
+        subtype: vaultDocument.subtype__v || null,
+        lifecycle: vaultDocument.lifecycle__v || null,
+        status: vaultDocument.status__v || null,
+        modifiedAt,
+        sourceFilename,
+        ...(baseUrl ? { url: `${baseUrl}/ui/#doc_info/${vaultDocumentId}/${majorVersion}/${minorVersion}` } : {}),
+      },
+    },
+  };
+};
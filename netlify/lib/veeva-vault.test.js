@@ -0,0 +1,186 @@
+import http from 'node:http';
+
+import {
+  buildDocumentQuery,
+  createVaultClient,
+  mapVaultDocument,
+  readVaultConfig,
+} from './veeva-vault.js';
+import { startMockVault } from './veeva-vault-mock.js';
+
+const vaultDocument = (id, modified, overrides = {}) => ({
+  id,
+  name__v: `Procedure ${id}`,
+  title__v: `Procedure ${id}`,
+  document_number__v: `SOP-${String(id).padStart(3, '0')}`,
+  major_version_number__v: 1,
+  minor_version_number__v: 0,
+  status__v: 'Effective',
+  type__v: 'SOP',
+  subtype__v: 'Quality',
+  lifecycle__v: 'General Lifecycle',
+  filename__v: `sop-${id}.txt`,
+  version_modified_date__v: modified,
+  file: { filename: `sop-${id}.txt`, contentType: 'text/plain', content: `Procedure ${id} body` },
+  ...overrides,
+});
+
+// Jest's node environment has no global fetch, so the client talks to the mock Vault through this
+const httpFetch = (url, { method = 'GET', headers = {}, body } = {}) =>
+  new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        resolve({
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          status: response.statusCode,
+          headers: { get: (name) => response.headers[name.toLowerCase()] ?? null },
+          json: async () => JSON.parse(buffer.toString('utf8')),
+          arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length),
+        });
+      });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+
+describe('readVaultConfig', () => {
+  test('is disabled without a Vault URL and requires credentials with one', () => {
+    expect(readVaultConfig({})).toBeNull();
+    expect(() => readVaultConfig({ VEEVA_VAULT_URL: 'https://qa.veevavault.com' })).toThrow(/USERNAME and VEEVA_VAULT_PASSWORD/);
+  });
+
+  test('parses filters and defaults', () => {
+    expect(readVaultConfig({
+      VEEVA_VAULT_URL: 'https://qa.veevavault.com/',
+      VEEVA_VAULT_USERNAME: 'sync@qa',
+      VEEVA_VAULT_PASSWORD: 'pw',
+      VEEVA_VAULT_DOCUMENT_TYPES: 'SOP, Policy',
+      VEEVA_VAULT_LIFECYCLE_STATES: 'Effective',
+      VEEVA_SYNC_MAX_DOCUMENTS: 'lots',
+    })).toMatchObject({
+      baseUrl: 'https://qa.veevavault.com',
+      apiVersion: 'v24.1',
+      documentTypes: ['SOP', 'Policy'],
+      lifecycleStates: ['Effective'],
+      connectorId: 'qa.veevavault.com',
+      ownerUserId: 'veeva-vault-sync',
+      organizationId: null,
+      maxDocuments: 25,
+    });
+  });
+});
+
+describe('buildDocumentQuery', () => {
+  test('filters by type, lifecycle state and cursor with quoted values', () => {
+    const vql = buildDocumentQuery({
+      documentTypes: ['SOP', "Work Instruction's"],
+      lifecycleStates: ['Effective'],
+      modifiedSince: '2026-01-01T00:00:00Z',
+    });
+
+    expect(vql).toContain("WHERE type__v CONTAINS ('SOP', 'Work Instruction\\'s')");
+    expect(vql).toContain("AND status__v CONTAINS ('Effective')");
+    expect(vql).toContain("AND version_modified_date__v >= '2026-01-01T00:00:00.000Z'");
+    expect(vql).toMatch(/ORDER BY version_modified_date__v ASC$/);
+    expect(buildDocumentQuery()).not.toContain('WHERE');
+  });
+});
+
+describe('createVaultClient against the mock Vault', () => {
+  let vault;
+
+  beforeEach(async () => {
+    vault = await startMockVault({
+      documents: [
+        vaultDocument(3, '2026-03-01T00:00:00.000Z'),
+        vaultDocument(1, '2026-01-01T00:00:00.000Z'),
+        vaultDocument(2, '2026-02-01T00:00:00.000Z', { status__v: 'Draft' }),
+        vaultDocument(4, '2026-04-01T00:00:00.000Z'),
+      ],
+    });
+  });
+
+  afterEach(async () => {
+    await vault.close();
+  });
+
+  const connect = (overrides = {}) =>
+    createVaultClient({
+      baseUrl: vault.url,
+      username: vault.username,
+      password: vault.password,
+      fetchImpl: httpFetch,
+      ...overrides,
+    });
+
+  test('authenticates and follows next_page links', async () => {
+    const client = connect();
+    const pages = [];
+    for await (const page of client.query(buildDocumentQuery({ lifecycleStates: ['Effective'] }))) {
+      pages.push(page.map(doc => doc.id));
+    }
+
+    expect(pages).toEqual([[1, 3], [4]]);
+    expect(vault.requests.filter(request => request.path.endsWith('/auth'))).toHaveLength(1);
+  });
+
+  test('re-authenticates once when the session expires', async () => {
+    const client = connect();
+    await client.authenticate();
+    vault.expireSessions();
+
+    const file = await client.downloadVersionFile('3', 1, 0);
+
+    expect(file.buffer.toString('utf8')).toBe('Procedure 3 body');
+    expect(file.filename).toBe('sop-3.txt');
+    expect(file.contentType).toBe('text/plain');
+    expect(vault.requests.filter(request => request.path.endsWith('/auth'))).toHaveLength(2);
+  });
+
+  test('reports Vault errors with their type', async () => {
+    await expect(connect({ password: 'wrong' }).authenticate()).rejects.toMatchObject({
+      statusCode: 502,
+      vaultErrorType: 'USERNAME_OR_PASSWORD_INCORRECT',
+    });
+    await expect(connect().downloadVersionFile('3', 9, 9)).rejects.toMatchObject({
+      statusCode: 404,
+      vaultErrorType: 'INVALID_DATA',
+    });
+  });
+});
+
+describe('mapVaultDocument', () => {
+  test('produces a per-version index document that keeps the Vault identity', () => {
+    const { file, ...fields } = vaultDocument(7, '2026-05-01T12:00:00Z', { major_version_number__v: '2', minor_version_number__v: '1' });
+    const mapped = mapVaultDocument(fields, {
+      text: 'Procedure 7 body',
+      filename: 'sop-7.txt',
+      fileSize: 16,
+      connectorId: 'qa',
+      baseUrl: 'https://qa.veevavault.com',
+    });
+
+    expect(mapped).toMatchObject({
+      filename: 'SOP-007 v2.1 sop-7.txt',
+      title: 'Procedure 7',
+      version: '2.1',
+      documentType: 'sop',
+      status: 'Effective',
+      metadata: {
+        documentId: 'vault_qa_7_2_1',
+        documentNumber: 'SOP-007',
+        majorVersion: 2,
+        minorVersion: 1,
+        source: 'veeva-vault',
+        vault: {
+          documentId: '7',
+          modifiedAt: '2026-05-01T12:00:00.000Z',
+          url: 'https://qa.veevavault.com/ui/#doc_info/7/2/1',
+        },
+      },
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+
+const verifyBearerToken = jest.fn();
+const createChatCompletion = jest.fn();
+
+jest.unstable_mockModule('../lib/auth-token.js', () => ({
+  resolveAuthConfig: () => ({ domain: 'tenant.auth0.test', audience: null }),
+  verifyBearerToken,
+}));
+jest.unstable_mockModule('../lib/chat-completions.js', () => ({
+  createChatCompletion,
+  parseChatCompletionRequest: (body) => ({ provider: body.provider, messages: body.messages }),
+}));
+
+// Jest's node environment does not expose the fetch API's Response; this covers what the handler uses
+if (typeof global.Response === 'undefined') {
+  global.Response = class {
+    constructor(body, { status = 200, headers = {} } = {}) {
+      this.body = body;
+      this.status = status;
+      this.headers = headers;
+    }
+
+    async json() {
+      return JSON.parse(this.body);
+    }
+  };
+}
+
+const { default: handler } = await import('../functions/chat-completions.js');
+
+const unauthorized = () => Object.assign(new Error('User authentication required'), { statusCode: 401 });
+
+const post = (headers) => {
+  const requestHeaders = new Map(Object.entries({ 'content-type': 'application/json', ...headers }));
+  return handler({
+    method: 'POST',
+    headers: { get: name => requestHeaders.get(name.toLowerCase()) ?? null },
+    json: async () => ({ provider: 'anthropic', messages: [{ role: 'user', content: 'Hi' }] }),
+    signal: new AbortController().signal,
+  });
+};
+
+beforeEach(() => {
+  verifyBearerToken.mockReset();
+  createChatCompletion.mockReset();
+});
+
+describe('chat-completions function', () => {
+  test('refuses a caller identified only by the x-user-id header', async () => {
+    verifyBearerToken.mockRejectedValue(unauthorized());
+
+    const response = await post({ 'x-user-id': 'user-1' });
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({ error: { message: 'User authentication required' } });
+    expect(verifyBearerToken).toHaveBeenCalledWith(null);
+    expect(createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  test('relays the completion for a verified session', async () => {
+    verifyBearerToken.mockResolvedValue({ sub: 'auth0|user-1' });
+    createChatCompletion.mockResolvedValue({ choices: [{ message: { role: 'assistant', content: 'Hello' } }] });
+
+    const response = await post({ authorization: 'Bearer signed-token' });
+
+    expect(response.status).toBe(200);
+    expect(verifyBearerToken).toHaveBeenCalledWith('Bearer signed-token');
+    expect(createChatCompletion).toHaveBeenCalledTimes(1);
+  });
+});
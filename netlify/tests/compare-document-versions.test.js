@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+
+const mockCreate = jest.fn();
+const clientOptions = [];
+
+class MockOpenAI {
+  constructor(options) {
+    clientOptions.push(options);
+    this.chat = { completions: { create: mockCreate } };
+  }
+}
+
+jest.unstable_mockModule('openai', () => ({
+  default: MockOpenAI,
+  AzureOpenAI: MockOpenAI,
+}));
+jest.unstable_mockModule('@neondatabase/serverless', () => ({ neon: jest.fn() }));
+
+const { compareDocumentVersions } = await import('../functions/compare-document-versions.js');
+
+const revision = (documentId, majorVersion, textContent) => ({
+  document_id: documentId,
+  document_number: 'SOP-001',
+  document_name: 'Cleaning SOP',
+  major_version: majorVersion,
+  minor_version: 0,
+  status: 'Effective',
+  text_content: textContent,
+  is_current: majorVersion === 2,
+  organization_id: null,
+});
+
+const createSqlMock = () =>
+  jest.fn(async (strings) => {
+    const text = strings.join('?');
+    if (/^\s*SELECT/i.test(text) && text.includes('FROM document_index')) {
+      return [
+        revision('doc-1', 1, 'Clean the tank weekly.'),
+        revision('doc-2', 2, 'Clean the tank daily.'),
+      ];
+    }
+    return [];
+  });
+
+const originalEnv = { ...process.env };
+
+beforeEach(() => {
+  mockCreate.mockReset();
+  clientOptions.length = 0;
+  delete process.env.OPENAI_API_KEY;
+  delete process.env.REACT_APP_OPENAI_API_KEY;
+  delete process.env.ANTHROPIC_API_KEY;
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('compareDocumentVersions', () => {
+  test('writes the change summary with the requested chat provider', async () => {
+    process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+    mockCreate.mockResolvedValue({ choices: [{ message: { content: 'Cleaning moved from weekly to daily [C1].' } }] });
+
+    const comparison = await compareDocumentVersions(createSqlMock(), 'user-1', {
+      baseDocumentId: 'doc-1',
+      targetDocumentId: 'doc-2',
+      provider: 'anthropic',
+      model: 'claude-3-5-haiku-latest',
+    });
+
+    expect(comparison.summary).toEqual({
+      text: 'Cleaning moved from weekly to daily [C1].',
+      generatedBy: 'anthropic',
+      model: 'claude-3-5-haiku-latest',
+    });
+    expect(clientOptions[0]).toEqual(expect.objectContaining({ apiKey: 'anthropic-key' }));
+    expect(mockCreate.mock.calls[0][0].model).toBe('claude-3-5-haiku-latest');
+  });
+
+  test('falls back to the redline summary when no chat provider is configured', async () => {
+    const comparison = await compareDocumentVersions(createSqlMock(), 'user-1', {
+      baseDocumentId: 'doc-1',
+      targetDocumentId: 'doc-2',
+    });
+
+    expect(comparison.summary.generatedBy).toBe('redline');
+    expect(mockCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+
+const mockCreate = jest.fn(async () => ({ choices: [{ message: { content: 'Cleaning procedure summary.' } }] }));
+
+jest.unstable_mockModule('openai', () => ({
+  default: class MockOpenAI {
+    constructor() {
+      this.chat = { completions: { create: mockCreate } };
+    }
+  },
+}));
+jest.unstable_mockModule('@neondatabase/serverless', () => ({ neon: jest.fn() }));
+
+const { processDocument } = await import('../functions/index-documents.js');
+
+const organizationAdmin = { organizationId: 'org-a', isOrganizationAdmin: true };
+const orgDocument = { filename: 'SOP-001.pdf', text: 'Clean the line after every batch.', scope: 'organization' };
+
+const createSqlMock = (existingRagDoc) =>
+  jest.fn(async (strings) => {
+    const text = strings.join('?');
+    if (/^\s*SELECT organization_id\s+FROM rag_documents/.test(text)) {
+      return existingRagDoc ? [existingRagDoc] : [];
+    }
+    if (text.includes('INSERT INTO document_index')) {
+      return [{ id: 1, document_id: 'doc-1', document_name: 'SOP-001.pdf', document_number: 'SOP-001', status: 'active' }];
+    }
+    if (text.includes('INSERT INTO rag_documents')) {
+      return [{ id: 11, filename: 'SOP-001.pdf' }];
+    }
+    return [];
+  });
+
+const statements = (sql, fragment) => sql.mock.calls.filter(([strings]) => strings.join('?').includes(fragment));
+
+beforeEach(() => {
+  mockCreate.mockClear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processDocument', () => {
+  test('refuses to move a personal document into the organization library on re-index', async () => {
+    const sql = createSqlMock({ organization_id: null });
+
+    await expect(processDocument(sql, 'user-1', orgDocument, organizationAdmin)).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(statements(sql, 'INSERT INTO document_index')).toHaveLength(0);
+    expect(statements(sql, 'INSERT INTO rag_documents')).toHaveLength(0);
+    expect(mockCreate).not.toHaveBeenCalled();
+  });
+
+  test('re-indexes within the same library without rewriting the organization', async () => {
+    const sql = createSqlMock({ organization_id: 'org-a' });
+
+    await processDocument(sql, 'user-1', orgDocument, organizationAdmin);
+
+    const [upsert] = statements(sql, 'INSERT INTO rag_documents');
+    const upsertText = upsert[0].join('?');
+    expect(upsertText).not.toContain('organization_id = EXCLUDED.organization_id');
+    expect(upsertText).toContain('WHERE rag_documents.organization_id IS NOT DISTINCT FROM EXCLUDED.organization_id');
+  });
+});
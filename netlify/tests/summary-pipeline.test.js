@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+
+// In-memory summary_jobs table; every other statement succeeds without rows
+const jobs = new Map();
+
+const sql = jest.fn(async (strings, ...values) => {
+  const text = strings.join('?');
+
+  if (/INSERT INTO summary_jobs/.test(text)) {
+    const [jobId, userId, organizationId, tenantOrganizationId, requestId, status, payload] = values;
+    const row = {
+      job_id: jobId,
+      user_id: userId,
+      organization_id: organizationId,
+      tenant_organization_id: tenantOrganizationId,
+      request_id: requestId,
+      status,
+      payload,
+      completed_stages: '[]',
+      diagnostics: '[]',
+      summary_id: null,
+      metrics: null,
+      error: null,
+      created_at: new Date(),
+      updated_at: new Date(),
+      started_at: null,
+      finished_at: null,
+    };
+    jobs.set(jobId, row);
+    return [row];
+  }
+
+  if (/^\s*SELECT/i.test(text) && text.includes('FROM summary_jobs')) {
+    const [jobId, userId] = values;
+    const row = jobs.get(jobId);
+    return row && row.user_id === userId ? [row] : [];
+  }
+
+  if (/^\s*UPDATE summary_jobs/.test(text) && text.includes('attempts = attempts + 1')) {
+    const [status, jobId, queuedStatus] = values;
+    const row = jobs.get(jobId);
+    if (!row || row.status !== queuedStatus) {
+      return [];
+    }
+    Object.assign(row, { status, started_at: new Date(), updated_at: new Date() });
+    return [row];
+  }
+
+  if (/^\s*UPDATE summary_jobs/.test(text) && text.includes('summary_id =')) {
+    const [status, summaryId] = values;
+    Object.assign(jobs.get(values[values.length - 1]), { status, summary_id: summaryId, payload: null });
+    return [];
+  }
+
+  return [];
+});
+
+jest.unstable_mockModule('@neondatabase/serverless', () => ({ neon: () => sql }));
+
+const { handler } = await import('../functions/summary-pipeline.js');
+const { handler: backgroundHandler } = await import('../functions/summary-pipeline-background.js');
+
+const SITE_URL = 'https://qa.example.com';
+const originalEnv = { ...process.env };
+const originalFetch = global.fetch;
+
+const summaryRequest = {
+  document: {
+    doc_id: 'sop-1',
+    title: 'Cleaning SOP',
+    content: 'Clean the filling line after every batch. Record the cleaning in the logbook. QA reviews the logbook weekly.',
+  },
+  mode: { role: 'QA Lead', lens: 'Regulatory', detail: 'Brief' },
+};
+
+const post = (body, userId = 'user-1') => handler({
+  httpMethod: 'POST',
+  headers: { 'x-user-id': userId, host: 'attacker.example', 'x-forwarded-proto': 'http' },
+  body: JSON.stringify(body),
+}, {});
+
+const getJob = (jobId, userId) => handler({
+  httpMethod: 'GET',
+  headers: { 'x-user-id': userId },
+  queryStringParameters: { job_id: jobId },
+}, {});
+
+const summaryInserts = () => sql.mock.calls.filter(([strings]) => strings.join('?').includes('INSERT INTO summaries'));
+
+beforeEach(() => {
+  jobs.clear();
+  sql.mockClear();
+  process.env = { ...originalEnv, NEON_DATABASE_URL: 'postgres://neon.test/db', URL: SITE_URL };
+  delete process.env.OPENAI_API_KEY;
+  delete process.env.REACT_APP_OPENAI_API_KEY;
+  global.fetch = jest.fn(async () => ({ ok: true, status: 202 }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+  global.fetch = originalFetch;
+});
+
+describe('summary-pipeline jobs', () => {
+  test('submitting a summary queues a job and starts the background function on the site URL', async () => {
+    const response = await post(summaryRequest);
+
+    expect(response.statusCode).toBe(202);
+    const { job } = JSON.parse(response.body);
+    expect(job).toMatchObject({ status: 'queued', stage: null, progress: 0 });
+    expect(job.jobId).toMatch(/^job_/);
+    expect(jobs.get(job.jobId).user_id).toBe('user-1');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe(`${SITE_URL}/.netlify/functions/summary-pipeline-background`);
+    expect(JSON.parse(options.body)).toEqual({ jobId: job.jobId });
+  });
+
+  test('polling another user\'s job answers 404', async () => {
+    const { job } = JSON.parse((await post(summaryRequest)).body);
+
+    const ownResponse = await getJob(job.jobId, 'user-1');
+    expect(ownResponse.statusCode).toBe(200);
+    expect(JSON.parse(ownResponse.body).job.jobId).toBe(job.jobId);
+
+    const otherResponse = await getJob(job.jobId, 'user-2');
+    expect(otherResponse.statusCode).toBe(404);
+    expect(JSON.parse(otherResponse.body)).toEqual({ error: 'Summary job not found' });
+  });
+
+  test('the background function runs a job only once, however often it is invoked', async () => {
+    const { job } = JSON.parse((await post(summaryRequest)).body);
+    const invoke = () => backgroundHandler({ body: JSON.stringify({ jobId: job.jobId }) });
+
+    const results = await Promise.all([invoke(), invoke()]);
+    await invoke();
+
+    expect(results.map(result => result.statusCode)).toEqual([200, 200]);
+    expect(summaryInserts()).toHaveLength(1);
+    expect(jobs.get(job.jobId).status).toBe('succeeded');
+
+    const completed = JSON.parse((await getJob(job.jobId, 'user-1')).body).job;
+    expect(completed).toMatchObject({ status: 'succeeded', progress: 1 });
+  });
+});
@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+
+const existingDoc = {
+  id: 7,
+  document_id: 'doc-1',
+  document_name: 'Cleaning SOP',
+  filename: 'SOP-001.pdf',
+  title: 'Cleaning SOP',
+  summary: 'Generated summary',
+  manual_summary: 'Old summary',
+  user_id: 'user-1',
+  organization_id: null,
+};
+
+const sql = jest.fn(async (strings) => {
+  const text = strings.join('?');
+  if (/^\s*SELECT/i.test(text) && text.includes('FROM document_index')) {
+    return [existingDoc];
+  }
+  if (/^\s*UPDATE document_index/.test(text)) {
+    return [{ ...existingDoc, manual_summary: 'New summary', updated_at: '2024-05-01T00:00:00.000Z' }];
+  }
+  if (text.includes('INSERT INTO audit_events')) {
+    return [{ id: 1, occurred_at: '2024-05-01T00:00:00.000Z' }];
+  }
+  return [];
+});
+sql.transaction = jest.fn(async (statements) => Promise.all(statements));
+
+jest.unstable_mockModule('@neondatabase/serverless', () => ({ neon: () => sql }));
+
+const { handler } = await import('../functions/update-manual-summary.js');
+
+const statementText = (call) => call[0].join('?');
+
+beforeEach(() => {
+  sql.mockClear();
+  sql.transaction.mockClear();
+  process.env.NEON_DATABASE_URL = 'postgres://neon.test/db';
+});
+
+describe('update-manual-summary', () => {
+  test('writes the summary change and its audit entry in one transaction', async () => {
+    const response = await handler({
+      httpMethod: 'POST',
+      headers: { 'x-user-id': 'user-1' },
+      body: JSON.stringify({ action: 'update', documentId: 'doc-1', manualSummary: 'New summary', reason: 'Typo' }),
+    }, {});
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).document.manualSummary).toBe('New summary');
+
+    expect(sql.transaction).toHaveBeenCalledTimes(1);
+    const [statements] = sql.transaction.mock.calls[0];
+    expect(statements).toHaveLength(3);
+
+    const calls = sql.mock.calls.map(statementText);
+    const updateIndex = calls.findIndex(text => /^\s*UPDATE document_index/.test(text));
+    const auditIndex = calls.findIndex(text => text.includes('INSERT INTO audit_events'));
+    expect(updateIndex).toBeGreaterThan(-1);
+    expect(auditIndex).toBeGreaterThan(updateIndex);
+    expect(sql.mock.calls[auditIndex]).toEqual(expect.arrayContaining(['"Old summary"', '"New summary"', 'Typo']));
+  });
+});
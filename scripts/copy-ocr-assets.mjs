@@ -0,0 +1,59 @@
+// Copy the Tesseract worker, WASM core and language data into public/tesseract so OCR loads them
+// from the app's own origin instead of a CDN. Runs before `npm start` and `npm run build`.
+//
+//   node scripts/copy-ocr-assets.mjs
+//
+// Languages come from REACT_APP_OCR_LANGUAGE (default "eng", "+" separated for several); each one
+// needs its @tesseract.js-data/<lang> package installed.
+import { copyFileSync, existsSync, mkdirSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const target = path.join(root, 'public', 'tesseract');
+
+const packageDir = (name) => path.dirname(require.resolve(`${name}/package.json`));
+
+// The default (LSTM only) engine picks one of these core builds depending on the browser's SIMD support
+const CORE_FILES = [
+  'tesseract-core-lstm.wasm.js',
+  'tesseract-core-simd-lstm.wasm.js',
+  'tesseract-core-relaxedsimd-lstm.wasm.js',
+];
+
+const copy = (from, to) => {
+  mkdirSync(path.dirname(to), { recursive: true });
+  copyFileSync(from, to);
+};
+
+copy(path.join(packageDir('tesseract.js'), 'dist', 'worker.min.js'), path.join(target, 'worker.min.js'));
+
+const coreDir = packageDir('tesseract.js-core');
+CORE_FILES.forEach((file) => copy(path.join(coreDir, file), path.join(target, 'core', file)));
+
+const languages = (process.env.REACT_APP_OCR_LANGUAGE || 'eng').split('+').map((lang) => lang.trim()).filter(Boolean);
+const missing = [];
+languages.forEach((lang) => {
+  let source;
+  try {
+    source = path.join(packageDir(`@tesseract.js-data/${lang}`), '4.0.0_best_int', `${lang}.traineddata.gz`);
+  } catch (error) {
+    missing.push(lang);
+    return;
+  }
+  if (!existsSync(source)) {
+    missing.push(lang);
+    return;
+  }
+  copy(source, path.join(target, 'lang', `${lang}.traineddata.gz`));
+});
+
+if (missing.length > 0) {
+  console.error(`OCR language data not installed: ${missing.map((lang) => `@tesseract.js-data/${lang}`).join(', ')}`);
+  process.exit(1);
+}
+
+console.log(`Copied OCR worker, core and language data (${languages.join(', ')}) to public/tesseract`);
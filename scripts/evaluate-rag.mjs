@@ -0,0 +1,133 @@
+// Run a golden-question dataset against the Neon search path and score the answers.
+//
+//   npm run eval:rag -- --dataset docs/rag-evaluation/golden-questions.example.json --user <auth0-sub>
+//
+// Options:
+//   --dataset <file>     Golden-question JSON (required)
+//   --user <id>          User whose documents are searched (required)
+//   --out <dir>          Where report.json and report.html are written (default: rag-eval-report)
+//   --k <n>              Override the dataset's k
+//   --mode <mode>        Search mode passed to neon-rag-fixed: hybrid, text or vector
+//   --llm <provider>     mock (default, extractive and deterministic), none (retrieval only) or a
+//                        chat provider id from netlify/lib/llm-providers.js such as openai or groq
+//   --model <model>      Model for the chat provider
+//   --baseline <file>    Earlier report.json to compare against
+//   --fail-on-regression Exit non-zero when any summary metric drops below the baseline
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import { neon } from '@neondatabase/serverless';
+import { searchRagChunks } from '../netlify/functions/neon-rag-fixed.js';
+import { getChatClient } from '../netlify/lib/llm-providers.js';
+import {
+  EVALUATION_METRICS,
+  compareEvaluationReports,
+  createExtractiveAnswerer,
+  renderEvaluationHtml,
+  runEvaluation,
+} from '../netlify/lib/rag-evaluation.js';
+
+const createChatAnswerer = (provider, requestedModel) => {
+  const { client, model } = getChatClient(provider, { model: requestedModel });
+  return {
+    model,
+    answer: async ({ prompt }) => {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        // Deterministic sampling keeps run-to-run differences down to the pipeline change
+        temperature: 0,
+      });
+      return completion.choices[0]?.message?.content || '';
+    },
+  };
+};
+
+const readJson = async (file) => JSON.parse(await readFile(file, 'utf8'));
+
+async function evaluateRag() {
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string' },
+      user: { type: 'string' },
+      out: { type: 'string', default: 'rag-eval-report' },
+      k: { type: 'string' },
+      mode: { type: 'string' },
+      llm: { type: 'string', default: 'mock' },
+      model: { type: 'string' },
+      baseline: { type: 'string' },
+      'fail-on-regression': { type: 'boolean', default: false },
+    },
+  });
+
+  if (!values.dataset || !values.user) {
+    console.error('--dataset and --user are required');
+    process.exit(1);
+  }
+
+  const connectionString = process.env.NEON_DATABASE_URL || process.env.DATABASE_URL;
+  if (!connectionString) {
+    console.error('NEON_DATABASE_URL (or DATABASE_URL) environment variable is required');
+    process.exit(1);
+  }
+
+  const dataset = await readJson(values.dataset);
+  if (values.k) {
+    dataset.k = values.k;
+  }
+
+  const sql = neon(connectionString);
+  const search = async (question, { k }) =>
+    searchRagChunks(sql, values.user, { query: question, options: { limit: k, mode: values.mode } });
+
+  let answer = null;
+  let llm = values.llm;
+  if (values.llm === 'mock') {
+    answer = createExtractiveAnswerer();
+  } else if (values.llm !== 'none') {
+    const chat = createChatAnswerer(values.llm, values.model);
+    answer = chat.answer;
+    llm = `${values.llm}:${chat.model}`;
+  }
+
+  const report = await runEvaluation(dataset, {
+    search,
+    answer,
+    config: { searchMode: values.mode || 'default', llm },
+  });
+
+  let comparison = null;
+  if (values.baseline) {
+    comparison = compareEvaluationReports(await readJson(values.baseline), report);
+  }
+
+  await mkdir(values.out, { recursive: true });
+  await writeFile(path.join(values.out, 'report.json'), `${JSON.stringify(report, null, 2)}\n`);
+  await writeFile(path.join(values.out, 'report.html'), renderEvaluationHtml(report, comparison));
+  if (comparison) {
+    await writeFile(path.join(values.out, 'comparison.json'), `${JSON.stringify(comparison, null, 2)}\n`);
+  }
+
+  console.log(`Evaluated ${report.dataset.questionCount} questions (${report.summary.errors} errors)`);
+  EVALUATION_METRICS.forEach(metric => {
+    const value = report.summary[metric];
+    const delta = comparison?.summary[metric]?.delta;
+    const deltaText = typeof delta === 'number' ? ` (${delta >= 0 ? '+' : ''}${delta.toFixed(4)})` : '';
+    console.log(`  ${metric.padEnd(18)} ${value == null ? 'n/a' : value.toFixed(4)}${deltaText}`);
+  });
+  console.log(`Report written to ${values.out}`);
+
+  if (values['fail-on-regression'] && comparison) {
+    const regressed = EVALUATION_METRICS.filter(metric => comparison.summary[metric].delta < 0);
+    if (regressed.length > 0) {
+      console.error(`Regressed against baseline: ${regressed.join(', ')}`);
+      process.exit(2);
+    }
+  }
+}
+
+evaluateRag().catch(err => {
+  console.error('RAG evaluation failed:', err);
+  process.exit(1);
+});
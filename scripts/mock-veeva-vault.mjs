@@ -0,0 +1,66 @@
+// Serve a local mock Veeva Vault with a few sample SOPs so the connector can be tried without a
+// real Vault.
+//
+//   npm run mock:vault -- --port 8787
+//
+// Then point the connector at it (e.g. in .env for netlify dev):
+//   VEEVA_VAULT_URL=http://127.0.0.1:8787
+//   VEEVA_VAULT_USERNAME=integration@vault.test
+//   VEEVA_VAULT_PASSWORD=secret
+//   VEEVA_VAULT_DOCUMENT_TYPES=SOP
+//   VEEVA_VAULT_LIFECYCLE_STATES=Effective,Approved
+//
+// Options:
+//   --port <n>       Port to listen on (default 8787)
+//   --page-size <n>  Query page size, small to exercise next_page (default 2)
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import { startMockVault } from '../netlify/lib/veeva-vault-mock.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    'page-size': { type: 'string', default: '2' },
+  },
+});
+
+const sop = (id, number, title, major, minor, status, modified, body) => ({
+  id,
+  name__v: title,
+  title__v: title,
+  document_number__v: number,
+  major_version_number__v: major,
+  minor_version_number__v: minor,
+  status__v: status,
+  type__v: 'SOP',
+  subtype__v: 'Quality',
+  lifecycle__v: 'General Lifecycle',
+  filename__v: `${number}.txt`,
+  version_modified_date__v: modified,
+  file: { filename: `${number}.txt`, contentType: 'text/plain', content: `${title}\n\n${body}` },
+});
+
+const documents = [
+  sop(101, 'SOP-001', 'Deviation Management', 2, 0, 'Effective', '2026-01-12T09:30:00.000Z',
+    '1. Purpose\nDescribe how deviations are recorded, assessed and closed.\n\n2. Procedure\nRecord the deviation within 24 hours of discovery. QA assesses impact and assigns a CAPA where the root cause is systemic.'),
+  sop(102, 'SOP-002', 'Change Control', 1, 0, 'Effective', '2026-02-03T14:00:00.000Z',
+    '1. Purpose\nControl changes to validated systems.\n\n2. Procedure\nRaise a change request, complete the impact assessment and obtain QA approval before implementation.'),
+  sop(103, 'SOP-003', 'Training Records', 1, 1, 'Approved', '2026-03-20T08:15:00.000Z',
+    '1. Purpose\nKeep training records current.\n\n2. Procedure\nStaff complete read-and-understand training before performing a procedure.'),
+  sop(104, 'SOP-004', 'Document Archival', 0, 3, 'Draft', '2026-04-01T10:00:00.000Z',
+    'Draft content that the default lifecycle filter excludes.'),
+];
+
+const vault = await startMockVault({
+  documents,
+  port: Number(values.port),
+  pageSize: Number(values['page-size']),
+});
+
+console.log(`Mock Veeva Vault listening on ${vault.url}`);
+console.log(`Sign in with ${vault.username} / ${vault.password}; ${documents.length} documents loaded. Ctrl+C to stop.`);
+
+process.on('SIGINT', async () => {
+  await vault.close();
+  process.exit(0);
+});
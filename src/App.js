@@ -25,19 +25,30 @@ import {
   initializeNeonService,
   loadConversations as loadStoredConversations,
   saveConversation as saveStoredConversation,
+  subscribeToConversationChanges,
 } from './services/neonService';
 
 import { FEATURE_FLAGS } from './config/featureFlags';
-import { getModelProvider } from './config/modelConfig';
 import { loadMessagesFromStorage, saveMessagesToStorage } from './utils/storageUtils';
 import {
   mergeCurrentAndStoredMessages,
   combineMessagesIntoConversations,
   buildChatHistory,
+  upsertMessage,
+  updateStreamingMessage,
+  finalizeStoppedMessage,
+  getActiveBranch,
+  getBranchNavigation,
+  getBranchContext,
+  selectBranch,
+  createBranchMessage,
+  appendMessage,
 } from './utils/messageUtils';
+import { isAbortError } from './utils/serverSentEvents';
 import {
   detectDocumentExportIntent,
   exportMessagesToExcel,
+  exportMessagesToPdf,
   exportMessagesToWord,
 } from './utils/exportUtils';
 import { convertFileToPdfIfNeeded } from './utils/fileConversion';
@@ -50,6 +61,11 @@ import {
 import chatHistoryService from './services/chatHistoryService';
 
 const COOLDOWN_SECONDS = 10;
+const EXPORT_FORMAT_LABELS = {
+  word: 'a Word document',
+  pdf: 'a PDF',
+  excel: 'an Excel file',
+};
 const INACTIVITY_TIMEOUT_MS = 15 * 60 * 1000; // 15 minutes
 
 const getGlobalScope = () => {
@@ -334,6 +350,7 @@ function App() {
 
   const messagesEndRef = useRef(null);
   const messagesLoadedRef = useRef(false);
+  const responseAbortControllerRef = useRef(null);
   const isAdmin = useMemo(() => user?.roles?.includes('admin'), [user]);
   const { StorageWelcomeModal: StorageWelcomeModalComponent } = useStorageNotifications(
     isAuthenticated ? user : null,
@@ -611,6 +628,14 @@ function App() {
     fetchConversations();
   }, [user, lastSaveTime, setThirtyDayMessages, loadStoredConversations]);
 
+  // Reload stored conversations when another tab saves or clears them
+  useEffect(() => {
+    if (!user) return undefined;
+    return subscribeToConversationChanges(() => {
+      setLastSaveTime(new Date().toISOString());
+    });
+  }, [user]);
+
   // Refresh learning suggestions after new conversations
   const refreshLearningSuggestions = useCallback(async () => {
     if (!FEATURE_FLAGS.ENABLE_AI_SUGGESTIONS || !user?.sub) return;
@@ -637,7 +662,7 @@ function App() {
     if (!user || messages.length < 2) return;
 
     const last = messages[messages.length - 1];
-    if (last.role !== 'assistant') return;
+    if (last.role !== 'assistant' || last.isStreaming) return;
 
     const messagesWithType = messages.map(msg => ({
       ...msg,
@@ -659,17 +684,20 @@ function App() {
     save();
   }, [messages, user]);
 
-  const handleSendMessage = useCallback(async () => {
-    const rawInput = inputMessage;
+  // Asks a question and streams the answer. Without `branch` the question continues the shown
+  // conversation; `{ editOf }` asks an edited copy of an earlier user message and `{ regenerateOf }`
+  // asks for another answer alongside an assistant message. Both leave the original as a sibling
+  // branch and keep the message composer untouched.
+  const sendMessage = useCallback(async ({ rawInput, files = [], branch = null }) => {
     const trimmedInput = rawInput.trim();
-    const hasFiles = Array.isArray(uploadedFile) ? uploadedFile.length > 0 : Boolean(uploadedFile);
+    const hasFiles = files.length > 0;
+    const fromComposer = !branch;
 
     if (!trimmedInput && !hasFiles) return;
     if (cooldown > 0) return;
 
     setIsLoading(true);
 
-    const files = Array.isArray(uploadedFile) ? uploadedFile : (uploadedFile ? [uploadedFile] : []);
     const conversionResults = [];
     let hasConversionError = false;
 
@@ -700,26 +728,21 @@ function App() {
         console.error('File processing failed:', error);
         setIsLoading(false);
         setUploadedFile(null);
-        setMessages((prev) => [
-          ...prev,
-          {
-            id: uuidv4(),
-            role: 'assistant',
-            type: 'ai',
-            content:
-              error.message ||
-              'I was unable to process the attached documents. Please upload PDF, Word (.docx), Markdown (.md), text (.txt), CSV (.csv), or Excel (.xlsx) files.',
-            timestamp: Date.now(),
-            sources: [],
-            resources: [],
-          },
-        ]);
+        setMessages((prev) => appendMessage(prev, {
+          id: uuidv4(),
+          role: 'assistant',
+          type: 'ai',
+          content:
+            error.message ||
+            'I was unable to process the attached documents. Please upload PDF, Word (.docx), PowerPoint (.pptx), RTF, HTML, email (.eml, .msg), Markdown (.md), text (.txt), CSV (.csv), or Excel (.xlsx) files.',
+          timestamp: Date.now(),
+          sources: [],
+          resources: [],
+        }));
         return;
       }
     }
 
-    const conversationHistory = buildChatHistory(messages);
-
     const attachments = conversionResults.map(result => ({
       originalFileName: result.originalFileName || null,
       finalFileName: result.file?.name || result.originalFileName || null,
@@ -730,20 +753,41 @@ function App() {
 
     const attachmentResources = createAttachmentResources(attachments);
 
-    const userMessage = {
-      id: uuidv4(),
-      role: 'user',
-      type: 'user',
-      content: rawInput,
-      timestamp: Date.now(),
-      resources: attachmentResources,
-      ...(attachments.length > 0 ? { attachments } : {}),
-    };
+    // The messages the question is asked after: the shown conversation, or everything on the
+    // shown branch before the message being edited or regenerated
+    const branchFromId = branch?.editOf || branch?.regenerateOf || null;
+    const contextMessages = branchFromId ? getBranchContext(messages, branchFromId) : getActiveBranch(messages);
 
-    const updatedMessages = [...messages, userMessage];
+    let userMessage;
+    let priorMessages = contextMessages;
 
-    setMessages((prev) => [...prev, userMessage]);
-    setInputMessage('');
+    if (branch?.regenerateOf) {
+      userMessage = contextMessages[contextMessages.length - 1];
+      priorMessages = contextMessages.slice(0, -1);
+    } else {
+      const newUserMessage = {
+        id: uuidv4(),
+        role: 'user',
+        type: 'user',
+        content: rawInput,
+        timestamp: Date.now(),
+        resources: attachmentResources,
+        ...(attachments.length > 0 ? { attachments } : {}),
+      };
+
+      userMessage = branch?.editOf
+        ? createBranchMessage(messages, branch.editOf, newUserMessage)
+        : { ...newUserMessage, parentId: contextMessages[contextMessages.length - 1]?.id || null };
+
+      setMessages((prev) => [...prev, userMessage]);
+    }
+
+    const conversationHistory = buildChatHistory(priorMessages);
+    const updatedMessages = [...priorMessages, userMessage];
+
+    if (fromComposer) {
+      setInputMessage('');
+    }
 
     const exportIntent = conversionResults.length === 0 ? detectDocumentExportIntent(trimmedInput) : null;
 
@@ -752,7 +796,9 @@ function App() {
 
       try {
         if (exportIntent === 'word') {
-          exportMessagesToWord(exportSourceMessages);
+          await exportMessagesToWord(exportSourceMessages);
+        } else if (exportIntent === 'pdf') {
+          await exportMessagesToPdf(exportSourceMessages);
         } else {
           exportMessagesToExcel(exportSourceMessages);
         }
@@ -761,8 +807,9 @@ function App() {
           id: uuidv4(),
           role: 'assistant',
           type: 'ai',
-          content: `I've exported your recent conversations to a ${exportIntent === 'word' ? 'Word document' : 'Excel file'}. Check your downloads folder to access it.`,
+          content: `I've exported your recent conversations to ${EXPORT_FORMAT_LABELS[exportIntent]}. Check your downloads folder to access it.`,
           timestamp: Date.now(),
+          parentId: userMessage.id,
           sources: [],
           resources: [],
         };
@@ -776,13 +823,16 @@ function App() {
           type: 'ai',
           content: `I wasn't able to create the export: ${error.message || 'Unknown error occurred.'}`,
           timestamp: Date.now(),
+          parentId: userMessage.id,
           sources: [],
           resources: [],
         };
         setMessages((prev) => [...prev, errorMessage]);
       } finally {
         setIsLoading(false);
-        setUploadedFile(null);
+        if (fromComposer) {
+          setUploadedFile(null);
+        }
       }
 
       return;
@@ -792,6 +842,16 @@ function App() {
       ? null
       : activeDocument?.vectorStoreId || null;
 
+    // The assistant reply is rendered as soon as the first token arrives and filled in as it streams
+    const assistantMessageId = uuidv4();
+    const abortController = new AbortController();
+    responseAbortControllerRef.current = abortController;
+    let streamedAnswer = '';
+    const handleStreamToken = (delta, fullText) => {
+      streamedAnswer = fullText;
+      setMessages((prev) => updateStreamingMessage(prev, assistantMessageId, fullText, { parentId: userMessage.id }));
+    };
+
     try {
       const ragSearchOptions = !usesNeonBackend && activeDocument?.vectorStoreId
         ? { vectorStoreIds: [activeDocument.vectorStoreId] }
@@ -898,11 +958,11 @@ Would you like to try rephrasing your question with any of these suggestions?`,
         }
         
         if (!response) {
-          // For Groq, pass all files; for OpenAI, pass first file (OpenAI handles single file + vector store)
+          // OpenAI takes the first file (single file + vector store); other providers receive the text of every file
           const filesForAI = conversionResults.length > 0 
-            ? (getModelProvider() === 'groq' 
-                ? conversionResults.map(r => r.file) 
-                : conversionResults[0].file)
+            ? (aiService.supportsVectorStore() 
+                ? conversionResults[0].file
+                : conversionResults.map(r => r.file))
             : null;
 
           response = await aiService.getChatResponse(
@@ -910,7 +970,8 @@ Would you like to try rephrasing your question with any of these suggestions?`,
             filesForAI,
             conversationHistory,
             undefined,
-            vectorStoreIdToUse
+            vectorStoreIdToUse,
+            { onToken: handleStreamToken, signal: abortController.signal }
           );
         }
 
@@ -944,9 +1005,10 @@ Would you like to try rephrasing your question with any of these suggestions?`,
       ]);
 
       const assistantMessage = {
-        id: uuidv4(),
+        id: assistantMessageId,
         role: 'assistant',
         type: 'ai',
+        isStreaming: false,
         content: (() => {
           const answerText = typeof response.answer === 'string' ? response.answer.trim() : '';
           const contentSections = [];
@@ -968,9 +1030,11 @@ Would you like to try rephrasing your question with any of these suggestions?`,
         timestamp: Date.now(),
         sources: response.sources || [],
         resources: mergedResources,
+        parentId: userMessage.id,
+        ...(response.verification ? { verification: response.verification } : {}),
       };
 
-      setMessages((prev) => [...prev, assistantMessage]);
+      setMessages((prev) => upsertMessage(prev, assistantMessage));
 
       if (!usesNeonBackend && response.vectorStoreId) {
         if (conversionResults.length > 0) {
@@ -1022,7 +1086,13 @@ Would you like to try rephrasing your question with any of these suggestions?`,
       }
 
     } catch (error) {
+      if (isAbortError(error)) {
+        setMessages((prev) => finalizeStoppedMessage(prev, assistantMessageId, streamedAnswer));
+        return;
+      }
+
       const isRateLimit = error.response?.status === 429 || error.message?.toLowerCase().includes('rate limit');
+      const withoutPartialAnswer = (prev) => prev.filter((message) => message.id !== assistantMessageId);
 
       if (isRateLimit) {
         setCooldown(COOLDOWN_SECONDS);
@@ -1032,10 +1102,11 @@ Would you like to try rephrasing your question with any of these suggestions?`,
           type: 'ai',
           content: 'Rate limit exceeded. Please wait a few seconds before trying again.',
           timestamp: Date.now(),
+          parentId: userMessage.id,
           sources: [],
           resources: [],
         };
-        setMessages((prev) => [...prev, errorMessage]);
+        setMessages((prev) => [...withoutPartialAnswer(prev), errorMessage]);
       } else {
         const errorMessage = {
           id: uuidv4(),
@@ -1043,18 +1114,22 @@ Would you like to try rephrasing your question with any of these suggestions?`,
           type: 'ai',
           content: error.message || 'An error occurred while fetching the response.',
           timestamp: Date.now(),
+          parentId: userMessage.id,
           sources: [],
           resources: [],
         };
-        setMessages((prev) => [...prev, errorMessage]);
+        setMessages((prev) => [...withoutPartialAnswer(prev), errorMessage]);
       }
     } finally {
+      if (responseAbortControllerRef.current === abortController) {
+        responseAbortControllerRef.current = null;
+      }
       setIsLoading(false);
-      setUploadedFile(null);
+      if (fromComposer) {
+        setUploadedFile(null);
+      }
     }
   }, [
-    inputMessage,
-    uploadedFile,
     messages,
     refreshLearningSuggestions,
     cooldown,
@@ -1064,6 +1139,37 @@ Would you like to try rephrasing your question with any of these suggestions?`,
     usesNeonBackend,
   ]);
 
+  const handleSendMessage = useCallback(() => {
+    const files = Array.isArray(uploadedFile) ? uploadedFile : (uploadedFile ? [uploadedFile] : []);
+    return sendMessage({ rawInput: inputMessage, files });
+  }, [inputMessage, uploadedFile, sendMessage]);
+
+  const handleEditMessage = useCallback((messageId, content) => {
+    if (isLoading || typeof content !== 'string' || !content.trim()) return;
+    sendMessage({ rawInput: content, branch: { editOf: messageId } });
+  }, [isLoading, sendMessage]);
+
+  const handleRegenerateMessage = useCallback((messageId) => {
+    const question = getBranchContext(messages, messageId).slice(-1)[0];
+    if (isLoading || !question || (question.role || question.type) !== 'user') return;
+    sendMessage({
+      rawInput: typeof question.content === 'string' ? question.content : '',
+      branch: { regenerateOf: messageId },
+    });
+  }, [isLoading, messages, sendMessage]);
+
+  const handleSelectBranch = useCallback((messageId) => {
+    setMessages((prev) => selectBranch(prev, messageId));
+  }, []);
+
+  // ChatArea shows the selected branch; the full tree stays in `messages` so it is saved
+  const activeMessages = useMemo(() => getActiveBranch(messages), [messages]);
+  const branchNavigation = useMemo(() => getBranchNavigation(messages), [messages]);
+
+  const handleStopResponse = useCallback(() => {
+    responseAbortControllerRef.current?.abort();
+  }, []);
+
   const handleKeyPress = useCallback(
     (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
@@ -1157,7 +1263,7 @@ Would you like to try rephrasing your question with any of these suggestions?`,
 
     try {
       const mergedMessages = mergeCurrentAndStoredMessages(messages, thirtyDayMessages);
-      const conversations = combineMessagesIntoConversations(mergedMessages);
+      const conversations = combineMessagesIntoConversations(getActiveBranch(mergedMessages));
       const selectedIdSet = new Set(selectedIds);
 
       const selectedConversations = conversations.filter((conversation) =>
@@ -1293,22 +1399,19 @@ Would you like to try rephrasing your question with any of these suggestions?`,
         },
       };
 
-      setMessages((prev) => [...prev, studyNotesMessage]);
+      setMessages((prev) => appendMessage(prev, studyNotesMessage));
       setSelectedMessages(new Set());
     } catch (error) {
       console.error('Error generating notes:', error);
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: uuidv4(),
-          role: 'assistant',
-          type: 'ai',
-          content: `I couldn't generate notes: ${error.message || 'Unknown error occurred.'}`,
-          timestamp: Date.now(),
-          resources: [],
-          sources: [],
-        },
-      ]);
+      setMessages((prev) => appendMessage(prev, {
+        id: uuidv4(),
+        role: 'assistant',
+        type: 'ai',
+        content: `I couldn't generate notes: ${error.message || 'Unknown error occurred.'}`,
+        timestamp: Date.now(),
+        resources: [],
+        sources: [],
+      }));
     } finally {
       setIsGeneratingNotes(false);
     }
@@ -1333,7 +1436,7 @@ Would you like to try rephrasing your question with any of these suggestions?`,
       // Mark message so it can be hidden from the chat area
       isResource: true,
     };
-    setMessages(prev => [...prev, newMessage]);
+    setMessages(prev => appendMessage(prev, newMessage));
   }, [setMessages]);
 
   const handleDeleteConversation = useCallback((conversation) => {
@@ -1472,11 +1575,16 @@ Would you like to try rephrasing your question with any of these suggestions?`,
                 {/* Chat takes most space on mobile */}
                 <div className="flex-1 min-h-0 p-4 pb-0">
                   <ChatArea
-                    messages={messages}
+                    messages={activeMessages}
+                    branchNavigation={branchNavigation}
+                    onEditMessage={handleEditMessage}
+                    onRegenerateMessage={handleRegenerateMessage}
+                    onSelectBranch={handleSelectBranch}
                     inputMessage={inputMessage}
                     setInputMessage={setInputMessage}
                     isLoading={isLoading}
                     handleSendMessage={handleSendMessage}
+                    onStopResponse={handleStopResponse}
                     handleKeyPress={handleKeyPress}
                     messagesEndRef={messagesEndRef}
                     lastResponseMode={lastResponseMode}
@@ -1509,11 +1617,16 @@ Would you like to try rephrasing your question with any of these suggestions?`,
                 {/* Chat Area - Takes majority of space */}
                 <div className="flex-1 min-w-0 h-full p-6 pb-0">
                   <ChatArea
-                    messages={messages}
+                    messages={activeMessages}
+                    branchNavigation={branchNavigation}
+                    onEditMessage={handleEditMessage}
+                    onRegenerateMessage={handleRegenerateMessage}
+                    onSelectBranch={handleSelectBranch}
                     inputMessage={inputMessage}
                     setInputMessage={setInputMessage}
                     isLoading={isLoading}
                     handleSendMessage={handleSendMessage}
+                    onStopResponse={handleStopResponse}
                     handleKeyPress={handleKeyPress}
                     messagesEndRef={messagesEndRef}
                     lastResponseMode={lastResponseMode}
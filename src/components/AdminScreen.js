@@ -23,6 +23,9 @@ import {
   Monitor,
   Search,
   BookOpen,
+  History,
+  GraduationCap,
+  SlidersHorizontal,
   X
 } from 'lucide-react';
 
@@ -33,7 +36,11 @@ import { getToken, getTokenInfo } from '../services/authService';
 import { hasAdminRole } from '../utils/auth';
 import RAGConfigurationPage from './RAGConfigurationPage';
 import TrainingResourcesAdmin from './TrainingResourcesAdmin';
-import { getCurrentModel, getModelProvider, setModelProvider, getSystemPromptOverride, setSystemPromptOverride, clearSystemPromptOverride } from '../config/modelConfig';
+import AuditTrailViewer from './AuditTrailViewer';
+import TrainingCurriculaAdmin from './TrainingCurriculaAdmin';
+import TrainingProgressReport from './TrainingProgressReport';
+import SummaryProfilesAdmin from './SummaryProfilesAdmin';
+import { getCurrentModel, getModelProvider, setModelProvider, getCurrentModelForProvider, getProviderDefinitions, getSystemPromptOverride, setSystemPromptOverride, clearSystemPromptOverride } from '../config/modelConfig';
 import { OPENAI_CONFIG } from '../config/constants';
 import { getTokenUsageStats } from '../utils/tokenUsage';
 import { getRagBackendLabel, isNeonBackend } from '../config/ragConfig';
@@ -924,6 +931,9 @@ const AdminScreen = ({ user, onBack }) => {
               { id: 'system', label: 'System Health', icon: Activity },
               { id: 'usage', label: 'Token Usage', icon: BarChart3 },
               { id: 'training', label: 'External Resources', icon: BookOpen },
+              { id: 'curricula', label: 'Training Curricula', icon: GraduationCap },
+              { id: 'summaryProfiles', label: 'Summary Profiles', icon: SlidersHorizontal },
+              { id: 'audit', label: 'Audit Trail', icon: History },
               { id: 'tools', label: 'Admin Tools', icon: Settings }
             ].map(tab => {
               const Icon = tab.icon;
@@ -1538,6 +1548,53 @@ const AdminScreen = ({ user, onBack }) => {
             </div>
           )}
 
+          {/* Training Curricula Tab */}
+          {activeTab === 'curricula' && (
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Training Curricula</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Ordered learning paths per job role, assigned to organization members with due dates.
+                </p>
+                <TrainingCurriculaAdmin />
+              </div>
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Training Progress</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Completion of assigned curricula per user and per team. Export as CSV for training records.
+                </p>
+                <TrainingProgressReport />
+              </div>
+            </div>
+          )}
+
+          {/* Summary Profiles Tab */}
+          {activeTab === 'summaryProfiles' && (
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Summary Profiles</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Role profiles and focus lenses offered by the summary pipeline: what each one looks for, its tone,
+                  section headings and the citation density its summaries must reach.
+                </p>
+                <SummaryProfilesAdmin />
+              </div>
+            </div>
+          )}
+
+          {/* Audit Trail Tab */}
+          {activeTab === 'audit' && (
+            <div className="space-y-6">
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Audit Trail</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Append-only record of document and summary changes with before/after values and reasons for change.
+                </p>
+                <AuditTrailViewer showOrganizationFilter />
+              </div>
+            </div>
+          )}
+
           {/* Admin Tools Tab */}
           {activeTab === 'tools' && (
             <div className="space-y-6">
@@ -1826,6 +1883,7 @@ const AdminToolCard = ({ title, description, icon: Icon, onClick, loading, color
 // AI Model Configuration Component
 const AIModelConfiguration = ({ user }) => {
   const [currentProvider, setCurrentProvider] = useState(getModelProvider());
+  const [currentModel, setCurrentModel] = useState(getCurrentModelForProvider());
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('');
@@ -1833,16 +1891,21 @@ const AIModelConfiguration = ({ user }) => {
   const [customPrompt, setCustomPrompt] = useState(getSystemPromptOverride() || '');
   const [showPromptEditor, setShowPromptEditor] = useState(false);
 
-  const handleProviderChange = async (provider) => {
+  const providers = getProviderDefinitions();
+  const activeProvider = providers.find(provider => provider.id === currentProvider);
+
+  const handleProviderChange = async (provider, model = null) => {
     setIsLoading(true);
     setMessage('');
     
     try {
-      const success = setModelProvider(provider);
+      const success = setModelProvider(provider.id, model);
       
       if (success) {
-        setCurrentProvider(provider);
-        setMessage(`Model provider successfully changed to ${provider === 'openai' ? 'OpenAI GPT-4o' : 'Groq GPT OSS 20b'}`);
+        const resolvedModel = getCurrentModelForProvider(provider.id);
+        setCurrentProvider(provider.id);
+        setCurrentModel(resolvedModel);
+        setMessage(`Model provider successfully changed to ${provider.name}${resolvedModel ? ` (${resolvedModel})` : ''}`);
         setMessageType('success');
       } else {
         setMessage('Failed to change model provider. Please try again.');
@@ -1889,23 +1952,6 @@ const AIModelConfiguration = ({ user }) => {
     }
   };
 
-  const providers = [
-    {
-      id: 'openai',
-      name: 'OpenAI GPT-4o',
-      description: 'Advanced AI model with excellent reasoning and code generation capabilities',
-      features: ['High accuracy', 'Code generation', 'File processing', 'Vector search'],
-      color: 'blue'
-    },
-    {
-      id: 'groq',
-      name: 'Groq GPT-OSS-120B',
-      description: 'Fast open-source model optimized for speed and efficiency',
-      features: ['Very fast responses', 'Open source', 'Cost effective', 'High throughput'],
-      color: 'green'
-    }
-  ];
-
   return (
     <div className="space-y-6">
       <div className="bg-white rounded-lg shadow p-6">
@@ -1939,12 +1985,12 @@ const AIModelConfiguration = ({ user }) => {
           {providers.map((provider) => (
             <div
               key={provider.id}
-              className={`relative border-2 rounded-lg p-6 cursor-pointer transition-all ${
+              className={`relative border-2 rounded-lg p-6 transition-all ${
                 currentProvider === provider.id
                   ? 'border-blue-500 bg-blue-50'
                   : 'border-gray-200 hover:border-gray-300'
-              } ${isLoading ? 'opacity-50 cursor-not-allowed' : ''}`}
-              onClick={() => !isLoading && handleProviderChange(provider.id)}
+              } ${isLoading || !provider.configured ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+              onClick={() => !isLoading && provider.configured && currentProvider !== provider.id && handleProviderChange(provider)}
             >
               <div className="flex items-start justify-between mb-4">
                 <div className="flex items-center">
@@ -1969,6 +2015,38 @@ const AIModelConfiguration = ({ user }) => {
 
               <p className="text-sm text-gray-600 mb-4">{provider.description}</p>
 
+              <div className="flex flex-wrap gap-2 mb-4">
+                {!provider.configured && (
+                  <span className="text-xs bg-gray-200 text-gray-600 px-2 py-1 rounded">
+                    Not configured
+                  </span>
+                )}
+                {provider.keepsDataOnPremises && (
+                  <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded">
+                    Data stays on-premises
+                  </span>
+                )}
+              </div>
+
+              {provider.models.length > 0 && (
+                <div className="mb-4" onClick={(e) => e.stopPropagation()}>
+                  <label htmlFor={`model-${provider.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    Model
+                  </label>
+                  <select
+                    id={`model-${provider.id}`}
+                    value={currentProvider === provider.id ? currentModel || '' : provider.defaultModel || ''}
+                    onChange={(e) => handleProviderChange(provider, e.target.value)}
+                    disabled={isLoading || !provider.configured}
+                    className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                  >
+                    {provider.models.map(model => (
+                      <option key={model} value={model}>{model}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               <div className="space-y-2">
                 <h5 className="text-sm font-medium text-gray-700">Key Features:</h5>
                 <ul className="text-sm text-gray-600 space-y-1">
@@ -1993,8 +2071,8 @@ const AIModelConfiguration = ({ user }) => {
         <div className="mt-6 p-4 bg-gray-50 rounded-lg">
           <h5 className="text-sm font-medium text-gray-700 mb-2">Current Configuration:</h5>
           <div className="text-sm text-gray-600">
-            <p><strong>Provider:</strong> {currentProvider === 'openai' ? 'OpenAI' : 'Groq'}</p>
-            <p><strong>Model:</strong> {currentProvider === 'openai' ? 'GPT-4o' : 'GPT-OSS-120B'}</p>
+            <p><strong>Provider:</strong> {activeProvider?.name || currentProvider}</p>
+            <p><strong>Model:</strong> {currentModel || 'Not set'}</p>
             <p><strong>Scope:</strong> All chat functionality (main chat, document chat, study notes)</p>
           </div>
         </div>
@@ -2005,7 +2083,7 @@ const AIModelConfiguration = ({ user }) => {
             <div>
               <h5 className="text-sm font-semibold text-gray-900">System Prompt Override</h5>
               <p className="text-xs text-gray-500 mt-1">
-                Customize the system prompt used for AI responses (applies to both providers)
+                Customize the system prompt used for AI responses (applies to all providers)
               </p>
             </div>
             <button
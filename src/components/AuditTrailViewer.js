@@ -0,0 +1,338 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertCircle, ChevronDown, ChevronRight, Download, FileText, Loader, RefreshCw } from 'lucide-react';
+import auditTrailService, { AUDIT_ACTION_LABELS } from '../services/auditTrailService';
+import { exportAuditTrailToCsv, exportAuditTrailToPdf } from '../utils/exportUtils';
+
+const PAGE_SIZE = 50;
+// Matches the largest page the audit-trail function returns
+const EXPORT_LIMIT = 5000;
+
+const RESOURCE_TYPE_OPTIONS = [
+  { value: 'rag_documents', label: 'Documents (Neon)' },
+  { value: 'rag_user_documents', label: 'Documents (OpenAI)' },
+  { value: 'document_index', label: 'Indexed documents' },
+  { value: 'summaries', label: 'Summaries' },
+];
+
+const INITIAL_FILTERS = { action: '', resourceType: '', userId: '', resourceId: '', from: '', to: '' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+// Date inputs give calendar days; include the whole "to" day
+const toRequestFilters = (filters) => ({
+  ...filters,
+  from: filters.from ? `${filters.from}T00:00:00.000Z` : '',
+  to: filters.to ? `${filters.to}T23:59:59.999Z` : '',
+});
+
+const describeFilters = (filters) =>
+  Object.entries(filters)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(', ') || 'none';
+
+const AuditTrailViewer = ({ showOrganizationFilter }) => {
+  const [filters, setFilters] = useState({ ...INITIAL_FILTERS, organizationId: '' });
+  const [appliedFilters, setAppliedFilters] = useState({ ...INITIAL_FILTERS, organizationId: '' });
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadEvents = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await auditTrailService.getEvents({
+        ...toRequestFilters(appliedFilters),
+        limit: PAGE_SIZE,
+        offset,
+      });
+      setEvents(result.events);
+      setTotal(result.total);
+    } catch (loadError) {
+      setError(loadError.message || 'Unable to load the audit trail');
+      setEvents([]);
+      setTotal(0);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [appliedFilters, offset]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleApplyFilters = (event) => {
+    event.preventDefault();
+    setOffset(0);
+    setAppliedFilters({ ...filters });
+  };
+
+  const handleExport = async (format) => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const { events: exportEvents } = await auditTrailService.getEvents({
+        ...toRequestFilters(appliedFilters),
+        limit: EXPORT_LIMIT,
+      });
+      if (format === 'pdf') {
+        exportAuditTrailToPdf(exportEvents, { filterSummary: describeFilters(appliedFilters) });
+      } else {
+        exportAuditTrailToCsv(exportEvents);
+      }
+    } catch (exportError) {
+      setError(exportError.message || 'Unable to export the audit trail');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const pageStart = total === 0 ? 0 : offset + 1;
+  const pageEnd = Math.min(offset + events.length, total);
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleApplyFilters} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Action</label>
+          <select
+            value={filters.action}
+            onChange={event => handleFilterChange('action', event.target.value)}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+          >
+            <option value="">All actions</option>
+            {Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Record type</label>
+          <select
+            value={filters.resourceType}
+            onChange={event => handleFilterChange('resourceType', event.target.value)}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+          >
+            <option value="">All records</option>
+            {RESOURCE_TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">User ID</label>
+          <input
+            type="text"
+            value={filters.userId}
+            onChange={event => handleFilterChange('userId', event.target.value)}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Record ID</label>
+          <input
+            type="text"
+            value={filters.resourceId}
+            onChange={event => handleFilterChange('resourceId', event.target.value)}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={event => handleFilterChange('from', event.target.value)}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={event => handleFilterChange('to', event.target.value)}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+          />
+        </div>
+        {showOrganizationFilter && (
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Organization</label>
+            <input
+              type="text"
+              value={filters.organizationId}
+              onChange={event => handleFilterChange('organizationId', event.target.value)}
+              placeholder="All organizations"
+              className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900 placeholder-gray-500"
+            />
+          </div>
+        )}
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="inline-flex items-center px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-60"
+          >
+            <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+            Apply
+          </button>
+        </div>
+      </form>
+
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          {total === 0 ? 'No entries' : `Showing ${pageStart}–${pageEnd} of ${total} entries`}
+        </p>
+        <div className="flex space-x-2">
+          <button
+            type="button"
+            onClick={() => handleExport('csv')}
+            disabled={isExporting || total === 0}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Export CSV
+          </button>
+          <button
+            type="button"
+            onClick={() => handleExport('pdf')}
+            disabled={isExporting || total === 0}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+          >
+            <FileText className="h-4 w-4 mr-2" />
+            Export PDF
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-start space-x-2 p-3 border border-red-200 bg-red-50 rounded-md text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center space-x-2 text-sm text-gray-500">
+          <Loader className="h-4 w-4 animate-spin" />
+          <span>Loading audit trail…</span>
+        </div>
+      ) : (
+        <div className="overflow-x-auto border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="w-8" />
+                <th className="px-3 py-2 text-left font-medium text-gray-700">When (UTC)</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">User</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Action</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Record</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Changed</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 bg-white">
+              {events.map(entry => {
+                const isExpanded = expandedId === entry.id;
+                return (
+                  <React.Fragment key={entry.id}>
+                    <tr
+                      className="hover:bg-gray-50 cursor-pointer"
+                      onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                    >
+                      <td className="px-2 py-2 text-gray-400">
+                        {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-gray-900">{entry.occurredAt}</td>
+                      <td className="px-3 py-2 text-gray-700">{entry.userId}</td>
+                      <td className="px-3 py-2 text-gray-700">{AUDIT_ACTION_LABELS[entry.action] || entry.action}</td>
+                      <td className="px-3 py-2 text-gray-700">
+                        <div>{entry.resourceName || entry.resourceId || '—'}</div>
+                        <div className="text-xs text-gray-400">{entry.resourceType}</div>
+                      </td>
+                      <td className="px-3 py-2 text-gray-700">{entry.changedFields.join(', ') || '—'}</td>
+                      <td className="px-3 py-2 text-gray-700">{entry.reason || '—'}</td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="bg-gray-50">
+                        <td />
+                        <td colSpan={6} className="px-3 py-3">
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                              <p className="text-xs font-medium text-gray-500 mb-1">Before</p>
+                              <pre className="text-xs bg-white border border-gray-200 rounded p-2 whitespace-pre-wrap break-words">
+                                {formatValue(entry.before)}
+                              </pre>
+                            </div>
+                            <div>
+                              <p className="text-xs font-medium text-gray-500 mb-1">After</p>
+                              <pre className="text-xs bg-white border border-gray-200 rounded p-2 whitespace-pre-wrap break-words">
+                                {formatValue(entry.after)}
+                              </pre>
+                            </div>
+                          </div>
+                          <p className="mt-2 text-xs text-gray-500">
+                            Entry {entry.id}
+                            {entry.organizationId ? ` · Organization ${entry.organizationId}` : ''}
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+          disabled={isLoading || offset === 0}
+          className="px-3 py-1 border border-gray-300 text-sm rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+        >
+          Previous
+        </button>
+        <button
+          type="button"
+          onClick={() => setOffset(offset + PAGE_SIZE)}
+          disabled={isLoading || offset + PAGE_SIZE >= total}
+          className="px-3 py-1 border border-gray-300 text-sm rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+AuditTrailViewer.propTypes = {
+  showOrganizationFilter: PropTypes.bool,
+};
+
+AuditTrailViewer.defaultProps = {
+  showOrganizationFilter: false,
+};
+
+export default AuditTrailViewer;
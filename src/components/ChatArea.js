@@ -1,12 +1,58 @@
 // src/components/ChatArea.js - DEPLOYMENT READY (fixes DatabaseOff issue)
 
-import React, { useCallback } from 'react';
-import { Send, Loader2, Database, Paperclip, X, ExternalLink, BookOpen, FileDown, Trash2, Bot, User, Search, Brain } from 'lucide-react';
+import React, { useCallback, useState } from 'react';
+import { Send, Loader2, Database, Paperclip, X, ExternalLink, BookOpen, FileDown, Trash2, Bot, User, Search, Brain, Square, AlertTriangle, ShieldCheck, Pencil, RefreshCw, ChevronLeft, ChevronRight } from 'lucide-react';
 import { exportToWord } from '../utils/exportUtils';
 import { parseMarkdown } from '../utils/messageUtils';
+import { CLAIM_FLAG_PATTERN, CLAIM_ISSUES, CLAIM_STATUS, markFlaggedClaims } from '../utils/citationVerification';
+
+const describeClaimFlag = (claim) => {
+  if (!claim) return 'Not verified against the cited sources';
+  const details = [];
+  if (claim.issues?.includes(CLAIM_ISSUES.UNKNOWN_CITATION)) {
+    details.push('cites a source that was not retrieved');
+  }
+  if (claim.issues?.includes(CLAIM_ISSUES.UNMATCHED_NUMBERS)) {
+    details.push(`${claim.missingNumbers.join(', ')} not found in the source`);
+  }
+  if (claim.issues?.includes(CLAIM_ISSUES.MISCITED)) {
+    details.push(`better supported by [${claim.suggestedCitation}]`);
+  }
+  if (claim.issues?.includes(CLAIM_ISSUES.UNCITED)) {
+    details.push('no citation');
+  }
+  const label = claim.status === CLAIM_STATUS.PARTIAL ? 'Partially supported' : 'Not supported by the cited source';
+  return details.length > 0 ? `${label}: ${details.join('; ')}` : label;
+};
+
+// Replace the inline claim flags inserted by markFlaggedClaims with warning markers
+const renderWithClaimFlags = (content, claims) => {
+  if (typeof content !== 'string' || !CLAIM_FLAG_PATTERN.test(content)) {
+    return content;
+  }
+
+  return content.split(new RegExp(CLAIM_FLAG_PATTERN.source, 'g')).map((part, partIndex) => {
+    if (partIndex % 2 === 0) {
+      return part;
+    }
+    const claim = claims?.[Number(part)];
+    const description = describeClaimFlag(claim);
+    return (
+      <span
+        key={`flag-${partIndex}`}
+        className={`ml-0.5 inline-flex align-middle ${claim?.status === CLAIM_STATUS.PARTIAL ? 'text-amber-500' : 'text-red-600'}`}
+        title={description}
+        aria-label={description}
+        role="img"
+      >
+        <AlertTriangle className="h-3.5 w-3.5" />
+      </span>
+    );
+  });
+};
 
 // Simple component to render markdown-parsed text
-const MarkdownText = ({ text }) => {
+const MarkdownText = ({ text, claims }) => {
   const segments = parseMarkdown(text);
   
   // Group consecutive list items, table rows, and handle paragraph breaks
@@ -106,9 +152,9 @@ const MarkdownText = ({ text }) => {
       {groupedSegments.map((segment, index) => {
         switch (segment.type) {
           case 'bold':
-            return <strong key={index} className="font-semibold">{segment.content}</strong>;
+            return <strong key={index} className="font-semibold">{renderWithClaimFlags(segment.content, claims)}</strong>;
           case 'italic':
-            return <em key={index} className="italic">{segment.content}</em>;
+            return <em key={index} className="italic">{renderWithClaimFlags(segment.content, claims)}</em>;
           case 'code':
             return (
               <code 
@@ -157,7 +203,7 @@ const MarkdownText = ({ text }) => {
                             key={cellIndex} 
                             className={`border border-gray-300 px-3 py-2 text-sm ${rowIndex === 0 ? 'font-semibold' : ''}`}
                           >
-                            <MarkdownText text={cell} />
+                            <MarkdownText text={cell} claims={claims} />
                           </td>
                         ))}
                       </tr>
@@ -176,7 +222,7 @@ const MarkdownText = ({ text }) => {
                 {segment.items.map((item, itemIndex) => (
                   <li key={itemIndex} value={item.number} className="pl-2">
                     <div className="space-y-1 leading-relaxed">
-                      <MarkdownText text={item.content} />
+                      <MarkdownText text={item.content} claims={claims} />
                     </div>
                   </li>
                 ))}
@@ -188,7 +234,7 @@ const MarkdownText = ({ text }) => {
                 {segment.items.map((item, itemIndex) => (
                   <li key={itemIndex} className="pl-2">
                     <div className="leading-relaxed">
-                      <MarkdownText text={item.content} />
+                      <MarkdownText text={item.content} claims={claims} />
                     </div>
                   </li>
                 ))}
@@ -196,7 +242,7 @@ const MarkdownText = ({ text }) => {
             );
           case 'text':
           default:
-            return segment.content;
+            return <React.Fragment key={index}>{renderWithClaimFlags(segment.content, claims)}</React.Fragment>;
         }
       })}
     </>
@@ -875,12 +921,44 @@ const AttachmentPreview = ({ file, onRemove }) => {
   );
 };
 
+// ‹ 2/3 › control for moving between edited questions or regenerated answers
+const BranchNavigator = ({ branch, onSelectBranch, disabled }) => (
+  <div className="flex items-center gap-1 text-[11px] text-gray-500" aria-label="Message versions">
+    <button
+      type="button"
+      onClick={() => onSelectBranch(branch.previousId)}
+      disabled={disabled || !branch.previousId}
+      className="rounded p-0.5 hover:bg-gray-100 hover:text-gray-700 disabled:cursor-not-allowed disabled:opacity-40"
+      aria-label="Previous version"
+    >
+      <ChevronLeft className="h-3.5 w-3.5" aria-hidden="true" />
+    </button>
+    <span>
+      {branch.position}/{branch.total}
+    </span>
+    <button
+      type="button"
+      onClick={() => onSelectBranch(branch.nextId)}
+      disabled={disabled || !branch.nextId}
+      className="rounded p-0.5 hover:bg-gray-100 hover:text-gray-700 disabled:cursor-not-allowed disabled:opacity-40"
+      aria-label="Next version"
+    >
+      <ChevronRight className="h-3.5 w-3.5" aria-hidden="true" />
+    </button>
+  </div>
+);
+
 const ChatArea = ({
   messages,
+  branchNavigation = {},
+  onEditMessage,
+  onRegenerateMessage,
+  onSelectBranch,
   inputMessage,
   setInputMessage,
   isLoading,
   handleSendMessage,
+  onStopResponse,
   handleKeyPress,
   messagesEndRef,
   lastResponseMode,
@@ -898,14 +976,34 @@ const ChatArea = ({
   const hasAttachment = Boolean(uploadedFile);
   const canClearChat = Boolean(onClearChat) && (hasMessages || hasAttachment || trimmedInputMessage.length > 0);
   const clearButtonDisabled = isLoading || !canClearChat;
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+
+  const startEditing = useCallback((message) => {
+    setEditingMessageId(message.id);
+    setEditDraft(typeof message.content === 'string' ? message.content : '');
+  }, []);
+
+  const cancelEditing = useCallback(() => {
+    setEditingMessageId(null);
+    setEditDraft('');
+  }, []);
+
+  const submitEdit = useCallback(() => {
+    if (!editingMessageId || !editDraft.trim()) {
+      return;
+    }
+    onEditMessage(editingMessageId, editDraft);
+    cancelEditing();
+  }, [editingMessageId, editDraft, onEditMessage, cancelEditing]);
 
-  const handleExportStudyNotes = useCallback((studyNotesMessage) => {
+  const handleExportStudyNotes = useCallback(async (studyNotesMessage) => {
     if (!studyNotesMessage) {
       return;
     }
 
     try {
-      exportToWord(studyNotesMessage);
+      await exportToWord(studyNotesMessage);
     } catch (error) {
       console.error('Failed to export notes to Word:', error);
     }
@@ -985,10 +1083,25 @@ const ChatArea = ({
           <>
             {messages
               .filter(message => !message.isResource)
-              .map((message, index) => {
+              .map((message, index, shownMessages) => {
                 const isUserMessage = message.role === 'user';
+                const isEditing = isUserMessage && editingMessageId === message.id;
+                const branch = message.id ? branchNavigation[message.id] : null;
+                const canEdit = isUserMessage && Boolean(onEditMessage) && Boolean(message.id);
+                const canRegenerate =
+                  !isUserMessage &&
+                  Boolean(onRegenerateMessage) &&
+                  Boolean(message.id) &&
+                  !message.isStudyNotes &&
+                  !message.isStreaming &&
+                  shownMessages[index - 1]?.role === 'user';
+                const showMessageActions = !isEditing && (Boolean(branch && onSelectBranch) || canEdit || canRegenerate);
                 const messageText = typeof message.content === 'string' ? message.content : '';
                 const hasMessageText = messageText.trim().length > 0;
+                const verification = !isUserMessage && message.verification?.totalClaims > 0 ? message.verification : null;
+                const flaggedClaims = verification
+                  ? verification.claims.filter(claim => claim.status !== CLAIM_STATUS.SUPPORTED)
+                  : [];
                 const attachments = Array.isArray(message.attachments) ? message.attachments : [];
                 const canExportStudyNotes = Boolean(
                   message.isStudyNotes && (message.studyNotesData?.content || message.content)
@@ -1011,9 +1124,53 @@ const ChatArea = ({
                                  : 'message-assistant'
                              }`}
                            >
-                        {hasMessageText && (
+                        {isEditing && (
+                          <form
+                            onSubmit={(event) => {
+                              event.preventDefault();
+                              submitEdit();
+                            }}
+                            className="space-y-2"
+                          >
+                            <textarea
+                              value={editDraft}
+                              onChange={(event) => setEditDraft(event.target.value)}
+                              onKeyDown={(event) => {
+                                if (event.key === 'Escape') {
+                                  cancelEditing();
+                                }
+                              }}
+                              className="form-input min-h-[64px] w-full resize-y text-body text-gray-900"
+                              aria-label="Edit message"
+                              autoFocus
+                            />
+                            <div className="flex justify-end gap-2">
+                              <button type="button" onClick={cancelEditing} className="btn-secondary px-3 py-1 text-xs">
+                                Cancel
+                              </button>
+                              <button
+                                type="submit"
+                                disabled={isLoading || !editDraft.trim()}
+                                className="btn-primary px-3 py-1 text-xs disabled:cursor-not-allowed disabled:opacity-50"
+                              >
+                                Save &amp; resend
+                              </button>
+                            </div>
+                          </form>
+                        )}
+
+                        {hasMessageText && !isEditing && (
                           <div className="whitespace-pre-wrap text-readable">
-                            <MarkdownText text={messageText} />
+                            <MarkdownText
+                              text={verification ? markFlaggedClaims(messageText, verification.claims) : messageText}
+                              claims={verification?.claims}
+                            />
+                            {message.isStreaming && (
+                              <span
+                                className="ml-0.5 inline-block h-4 w-1.5 animate-pulse bg-gray-500 align-middle"
+                                aria-label="Response in progress"
+                              />
+                            )}
                           </div>
                         )}
 
@@ -1073,6 +1230,41 @@ const ChatArea = ({
                           </div>
                         )}
 
+                        {verification && (
+                          <div className="mt-3 border-t border-gray-200 pt-3 text-xs">
+                            <div
+                              className={`flex items-center gap-1 font-medium ${
+                                flaggedClaims.length > 0 ? 'text-amber-700' : 'text-green-700'
+                              }`}
+                            >
+                              {flaggedClaims.length > 0
+                                ? <AlertTriangle className="h-3 w-3" />
+                                : <ShieldCheck className="h-3 w-3" />}
+                              <span>
+                                Groundedness {Math.round(verification.groundednessScore * 100)}% ·{' '}
+                                {verification.supportedCount} of {verification.totalClaims} claims supported by their sources
+                              </span>
+                            </div>
+                            {flaggedClaims.length > 0 && (
+                              <ul className="mt-2 space-y-1 text-gray-600">
+                                {flaggedClaims.map((claim, claimIndex) => (
+                                  <li key={claimIndex} className="flex items-start gap-1">
+                                    <AlertTriangle
+                                      className={`mt-0.5 h-3 w-3 flex-shrink-0 ${
+                                        claim.status === CLAIM_STATUS.PARTIAL ? 'text-amber-500' : 'text-red-600'
+                                      }`}
+                                    />
+                                    <span>
+                                      <span className="italic">"{claim.text}"</span>{' '}
+                                      <span className="text-gray-500">— {describeClaimFlag(claim)}</span>
+                                    </span>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </div>
+                        )}
+
                         {message.sources && message.sources.length > 0 && (
                           <div className="mt-3 space-y-2 border-t border-gray-200 pt-3">
                             <div className="flex items-center space-x-1 text-xs font-medium text-gray-600">
@@ -1192,6 +1384,40 @@ const ChatArea = ({
                             </p>
                           </div>
                         )}
+
+                        {showMessageActions && (
+                          <div
+                            className={`mt-2 flex items-center gap-2 ${isUserMessage ? 'justify-end' : 'justify-start'}`}
+                          >
+                            {branch && onSelectBranch && (
+                              <BranchNavigator branch={branch} onSelectBranch={onSelectBranch} disabled={isLoading} />
+                            )}
+                            {canEdit && (
+                              <button
+                                type="button"
+                                onClick={() => startEditing(message)}
+                                disabled={isLoading}
+                                className="inline-flex items-center gap-1 rounded px-1.5 py-0.5 text-[11px] text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:cursor-not-allowed disabled:opacity-40"
+                                title="Edit this question and ask it again. The original stays available as another version."
+                              >
+                                <Pencil className="h-3 w-3" aria-hidden="true" />
+                                <span>Edit</span>
+                              </button>
+                            )}
+                            {canRegenerate && (
+                              <button
+                                type="button"
+                                onClick={() => onRegenerateMessage(message.id)}
+                                disabled={isLoading}
+                                className="inline-flex items-center gap-1 rounded px-1.5 py-0.5 text-[11px] text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:cursor-not-allowed disabled:opacity-40"
+                                title="Ask for another answer. This answer stays available as another version."
+                              >
+                                <RefreshCw className="h-3 w-3" aria-hidden="true" />
+                                <span>Regenerate</span>
+                              </button>
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -1214,7 +1440,7 @@ const ChatArea = ({
             <input
               type="file"
               id="chat-file-upload"
-              accept=".pdf,.txt,.md,.docx,.csv,.xlsx"
+              accept=".pdf,.txt,.md,.docx,.csv,.xlsx,.pptx,.rtf,.html,.htm,.eml,.msg"
               multiple
               className="hidden"
               onChange={(e) => setUploadedFile(Array.from(e.target.files))}
@@ -1222,7 +1448,7 @@ const ChatArea = ({
             <label
               htmlFor="chat-file-upload"
               className="flex min-w-[40px] cursor-pointer items-center justify-center rounded-lg bg-gray-100 px-3 py-3 text-gray-600 transition-all hover:bg-gray-200 hover:text-gray-800 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 shadow-sm"
-              title="Attach multiple PDF, Word (.docx), Markdown (.md), Text (.txt), CSV (.csv), or Excel (.xlsx) documents. Non-PDF files will be converted automatically."
+              title="Attach multiple PDF, Word (.docx), PowerPoint (.pptx), RTF, HTML, email (.eml, .msg), Markdown (.md), Text (.txt), CSV (.csv), or Excel (.xlsx) documents. Non-PDF files will be converted automatically and email attachments are indexed too."
             >
               <Paperclip className="h-4 w-4" />
             </label>
@@ -1246,19 +1472,32 @@ const ChatArea = ({
               disabled={isLoading}
             />
           </div>
-          <button
-            type="button"
-            onClick={handleSendMessage}
-            disabled={isLoading || cooldown > 0 || (!trimmedInputMessage && !(Array.isArray(uploadedFile) ? uploadedFile.length > 0 : uploadedFile))}
-            className="btn-primary flex min-w-[44px] items-center justify-center px-4 py-3 disabled:cursor-not-allowed disabled:opacity-50"
-            title={cooldown > 0 ? `Please wait ${cooldown}s` : 'Send message'}
-          >
-            {isLoading ? (
-              <Loader2 className="h-4 w-4 animate-spin" />
-            ) : (
-              <Send className="h-4 w-4" />
-            )}
-          </button>
+          {isLoading && onStopResponse ? (
+            <button
+              type="button"
+              onClick={onStopResponse}
+              className="btn-secondary flex min-w-[44px] items-center justify-center gap-2 px-4 py-3"
+              title="Stop generating"
+              aria-label="Stop generating"
+            >
+              <Square className="h-4 w-4" aria-hidden="true" />
+              <span className="hidden sm:inline text-sm">Stop</span>
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handleSendMessage}
+              disabled={isLoading || cooldown > 0 || (!trimmedInputMessage && !(Array.isArray(uploadedFile) ? uploadedFile.length > 0 : uploadedFile))}
+              className="btn-primary flex min-w-[44px] items-center justify-center px-4 py-3 disabled:cursor-not-allowed disabled:opacity-50"
+              title={cooldown > 0 ? `Please wait ${cooldown}s` : 'Send message'}
+            >
+              {isLoading ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <Send className="h-4 w-4" />
+              )}
+            </button>
+          )}
         </div>
 
         {Array.isArray(uploadedFile) && uploadedFile.length > 0 && (
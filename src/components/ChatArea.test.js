@@ -1,5 +1,9 @@
 import { getSourceSnippet, isDisallowedSnippet } from './ChatArea';
 
+jest.mock('../services/documentRenderService', () => ({
+  renderDocument: jest.fn(),
+}));
+
 describe('getSourceSnippet', () => {
   it('preserves non-Latin snippets instead of dropping them', () => {
     const multilingualSnippet = '这是一个测试片段，用于验证多语言支持。';
@@ -1,8 +1,9 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { Send, Loader2, Database, Paperclip, X, ExternalLink, BookOpen, FileDown, Trash2, FileText, Edit3, Save, XCircle, Eye, Download } from 'lucide-react';
+import { Send, Loader2, Database, Paperclip, X, ExternalLink, BookOpen, FileDown, Trash2, FileText, Edit3, Save, XCircle, Eye, Download, Square } from 'lucide-react';
 import { exportToWord } from '../utils/exportUtils';
 import { parseMarkdown } from '../utils/messageUtils';
 import DocumentViewer from './DocumentViewer';
+import { getTenantHeaders } from '../services/authService';
 
 // Enhanced markdown text component with document references
 const MarkdownText = ({ text, onDocumentClick }) => {
@@ -410,6 +411,7 @@ const DocumentChatArea = ({
   setInputMessage,
   isLoading,
   handleSendMessage,
+  onStopResponse,
   handleKeyPress,
   messagesEndRef,
   isSaving,
@@ -437,13 +439,13 @@ const DocumentChatArea = ({
   const canClearChat = Boolean(onClearChat) && (hasMessages || hasAttachment || trimmedInputMessage.length > 0);
   const clearButtonDisabled = isLoading || !canClearChat;
 
-  const handleExportStudyNotes = useCallback((studyNotesMessage) => {
+  const handleExportStudyNotes = useCallback(async (studyNotesMessage) => {
     if (!studyNotesMessage) {
       return;
     }
 
     try {
-      exportToWord(studyNotesMessage);
+      await exportToWord(studyNotesMessage);
     } catch (error) {
       console.error('Failed to export notes to Word:', error);
     }
@@ -469,7 +471,8 @@ const DocumentChatArea = ({
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-          'x-user-id': localStorage.getItem('user_id')
+          'x-user-id': localStorage.getItem('user_id'),
+          ...(await getTenantHeaders())
         },
         body: JSON.stringify({
           action: 'update',
@@ -606,6 +609,12 @@ const DocumentChatArea = ({
                             text={messageText} 
                             onDocumentClick={onDocumentClick}
                           />
+                          {message.isStreaming && (
+                            <span
+                              className="ml-0.5 inline-block h-4 w-1.5 animate-pulse bg-gray-500 align-middle"
+                              aria-label="Response in progress"
+                            />
+                          )}
                         </div>
                       )}
 
@@ -775,7 +784,7 @@ const DocumentChatArea = ({
             <input
               type="file"
               id="chat-file-upload"
-              accept=".pdf,.txt,.md,.docx,.csv,.xlsx"
+              accept=".pdf,.txt,.md,.docx,.csv,.xlsx,.pptx,.rtf,.html,.htm,.eml,.msg"
               multiple
               className="hidden"
               onChange={(e) => setUploadedFile(Array.from(e.target.files))}
@@ -783,7 +792,7 @@ const DocumentChatArea = ({
             <label
               htmlFor="chat-file-upload"
               className="flex min-w-[44px] cursor-pointer items-center justify-center rounded-lg bg-gray-200 px-3 py-3 text-gray-700 transition hover:bg-gray-300 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 sm:px-4 sm:py-4"
-              title="Attach multiple PDF, Word (.docx), Markdown (.md), Text (.txt), CSV (.csv), or Excel (.xlsx) documents. Non-PDF files will be converted automatically."
+              title="Attach multiple PDF, Word (.docx), PowerPoint (.pptx), RTF, HTML, email (.eml, .msg), Markdown (.md), Text (.txt), CSV (.csv), or Excel (.xlsx) documents. Non-PDF files will be converted automatically and email attachments are indexed too."
             >
               <Paperclip className="h-4 w-4 sm:h-5 sm:w-5" />
             </label>
@@ -807,19 +816,32 @@ const DocumentChatArea = ({
               disabled={isLoading}
             />
           </div>
-          <button
-            type="button"
-            onClick={handleSendMessage}
-            disabled={isLoading || cooldown > 0 || (!trimmedInputMessage && !hasAttachment)}
-            className="flex min-w-[44px] items-center justify-center rounded-lg bg-blue-600 px-4 py-3 text-white transition-colors hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 sm:px-6 sm:py-4"
-            title={cooldown > 0 ? `Please wait ${cooldown}s` : 'Send message'}
-          >
-            {isLoading ? (
-              <Loader2 className="h-4 w-4 sm:h-5 sm:w-5 animate-spin" />
-            ) : (
-              <Send className="h-4 w-4 sm:h-5 sm:w-5" />
-            )}
-          </button>
+          {isLoading && onStopResponse ? (
+            <button
+              type="button"
+              onClick={onStopResponse}
+              className="flex min-w-[44px] items-center justify-center gap-2 rounded-lg border border-gray-300 bg-white px-4 py-3 text-gray-700 transition-colors hover:bg-gray-50 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 sm:px-6 sm:py-4"
+              title="Stop generating"
+              aria-label="Stop generating"
+            >
+              <Square className="h-4 w-4 sm:h-5 sm:w-5" aria-hidden="true" />
+              <span className="hidden sm:inline text-sm">Stop</span>
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={handleSendMessage}
+              disabled={isLoading || cooldown > 0 || (!trimmedInputMessage && !hasAttachment)}
+              className="flex min-w-[44px] items-center justify-center rounded-lg bg-blue-600 px-4 py-3 text-white transition-colors hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 sm:px-6 sm:py-4"
+              title={cooldown > 0 ? `Please wait ${cooldown}s` : 'Send message'}
+            >
+              {isLoading ? (
+                <Loader2 className="h-4 w-4 sm:h-5 sm:w-5 animate-spin" />
+              ) : (
+                <Send className="h-4 w-4 sm:h-5 sm:w-5" />
+              )}
+            </button>
+          )}
         </div>
 
         {hasAttachment && (
@@ -18,6 +18,7 @@ import {
   Trash2
 } from 'lucide-react';
 import DocumentViewer from './DocumentViewer';
+import { getTenantHeaders } from '../services/authService';
 
 const DocumentManager = ({ userId }) => {
   const [documents, setDocuments] = useState([]);
@@ -42,6 +43,7 @@ const DocumentManager = ({ userId }) => {
   // Manual summary editing state
   const [editingSummary, setEditingSummary] = useState(null);
   const [editingSummaryText, setEditingSummaryText] = useState('');
+  const [editingSummaryReason, setEditingSummaryReason] = useState('');
   const [savingSummary, setSavingSummary] = useState(false);
 
   const documentsPerPage = 20;
@@ -56,7 +58,8 @@ const DocumentManager = ({ userId }) => {
       const response = await fetch(`/.netlify/functions/get-indexed-documents?action=list&limit=${documentsPerPage}&offset=${offset}&search=${encodeURIComponent(searchTerm)}&documentType=${selectedDocumentType}&status=${selectedStatus}&hasManualSummary=${hasManualSummary}&sortBy=${sortBy}&sortOrder=${sortOrder}`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-          'x-user-id': userId
+          'x-user-id': userId,
+          ...(await getTenantHeaders())
         }
       });
 
@@ -82,13 +85,15 @@ const DocumentManager = ({ userId }) => {
         fetch(`/.netlify/functions/get-indexed-documents?action=types`, {
           headers: {
             'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-            'x-user-id': userId
+            'x-user-id': userId,
+            ...(await getTenantHeaders())
           }
         }),
         fetch(`/.netlify/functions/get-indexed-documents?action=stats`, {
           headers: {
             'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-            'x-user-id': userId
+            'x-user-id': userId,
+            ...(await getTenantHeaders())
           }
         })
       ]);
@@ -173,7 +178,8 @@ const DocumentManager = ({ userId }) => {
       const response = await fetch(`/.netlify/functions/download-file?documentId=${document.documentId}&format=pdf`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-          'x-user-id': userId
+          'x-user-id': userId,
+          ...(await getTenantHeaders())
         }
       });
 
@@ -199,6 +205,7 @@ const DocumentManager = ({ userId }) => {
   const handleEditSummary = (document) => {
     setEditingSummary(document);
     setEditingSummaryText(document.manualSummary || document.summary || '');
+    setEditingSummaryReason('');
   };
 
   const handleSaveSummary = async () => {
@@ -211,12 +218,14 @@ const DocumentManager = ({ userId }) => {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-          'x-user-id': userId
+          'x-user-id': userId,
+          ...(await getTenantHeaders())
         },
         body: JSON.stringify({
           action: 'update',
           documentId: editingSummary.documentId,
-          manualSummary: editingSummaryText.trim()
+          manualSummary: editingSummaryText.trim(),
+          reason: editingSummaryReason.trim()
         })
       });
 
@@ -225,12 +234,14 @@ const DocumentManager = ({ userId }) => {
         await loadDocuments();
         setEditingSummary(null);
         setEditingSummaryText('');
+        setEditingSummaryReason('');
       } else {
-        throw new Error('Failed to save summary');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to save summary');
       }
     } catch (error) {
       console.error('Error saving summary:', error);
-      alert('Failed to save summary. Please try again.');
+      alert(`Failed to save summary. ${error.message || 'Please try again.'}`);
     } finally {
       setSavingSummary(false);
     }
@@ -239,6 +250,7 @@ const DocumentManager = ({ userId }) => {
   const handleCancelEdit = () => {
     setEditingSummary(null);
     setEditingSummaryText('');
+    setEditingSummaryReason('');
   };
 
   const formatFileSize = (bytes) => {
@@ -364,6 +376,7 @@ const DocumentManager = ({ userId }) => {
             <option value="active">Active</option>
             <option value="draft">Draft</option>
             <option value="archived">Archived</option>
+            <option value="Superseded">Superseded</option>
           </select>
 
           <select
@@ -442,6 +455,11 @@ const DocumentManager = ({ userId }) => {
                             {doc.documentNumber} v{doc.majorVersion || 1}.{doc.minorVersion || 0}
                           </div>
                         )}
+                        {doc.isCurrent === false && doc.supersededByDocumentId && (
+                          <div className="text-xs text-amber-700">
+                            Superseded by a newer revision
+                          </div>
+                        )}
                       </div>
                     </div>
                   </td>
@@ -457,7 +475,9 @@ const DocumentManager = ({ userId }) => {
                           <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${
                             doc.status === 'active' 
                               ? 'bg-green-100 text-green-800' 
-                              : 'bg-gray-100 text-gray-800'
+                              : doc.status === 'Superseded'
+                                ? 'bg-amber-100 text-amber-800'
+                                : 'bg-gray-100 text-gray-800'
                           }`}>
                             {doc.status}
                           </span>
@@ -476,6 +496,14 @@ const DocumentManager = ({ userId }) => {
                             rows={3}
                             placeholder="Enter manual summary..."
                           />
+                          <input
+                            type="text"
+                            value={editingSummaryReason}
+                            onChange={(e) => setEditingSummaryReason(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded text-sm"
+                            placeholder="Reason for change"
+                            aria-label="Reason for change"
+                          />
                           <div className="flex space-x-2">
                             <button
                               onClick={handleSaveSummary}
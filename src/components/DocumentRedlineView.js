@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, AlertCircle, GitCompare } from 'lucide-react';
+import { getTenantHeaders } from '../services/authService';
+
+const STATUS_STYLES = {
+  added: 'border-green-200 bg-green-50',
+  removed: 'border-red-200 bg-red-50',
+  changed: 'border-amber-200 bg-amber-50',
+  unchanged: 'border-gray-200 bg-white',
+};
+
+const STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Changed',
+  unchanged: 'Unchanged',
+};
+
+const getRequestHeaders = async () => ({
+  'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
+  'x-user-id': localStorage.getItem('user_id'),
+  ...(await getTenantHeaders())
+});
+
+const readErrorMessage = async (response, fallback) => {
+  try {
+    const payload = await response.json();
+    return payload?.error || fallback;
+  } catch (err) {
+    return fallback;
+  }
+};
+
+const RedlineText = ({ changes }) => (
+  <p className="whitespace-pre-wrap text-sm text-gray-800">
+    {changes.map((change, index) => {
+      if (change.type === 'insert') {
+        return (
+          <ins key={index} className="bg-green-200 text-green-900 no-underline">
+            {change.text}
+          </ins>
+        );
+      }
+      if (change.type === 'delete') {
+        return (
+          <del key={index} className="bg-red-200 text-red-900">
+            {change.text}
+          </del>
+        );
+      }
+      return <span key={index}>{change.text}</span>;
+    })}
+  </p>
+);
+
+const DocumentRedlineView = ({ document }) => {
+  const [versions, setVersions] = useState([]);
+  const [baseDocumentId, setBaseDocumentId] = useState('');
+  const [targetDocumentId, setTargetDocumentId] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!document?.documentNumber) return;
+
+    let cancelled = false;
+    const loadHistory = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(
+          `/.netlify/functions/get-indexed-documents?action=history&documentNumber=${encodeURIComponent(document.documentNumber)}`,
+          { headers: await getRequestHeaders() }
+        );
+        if (!response.ok) {
+          throw new Error(await readErrorMessage(response, 'Failed to load version history'));
+        }
+        const data = await response.json();
+        if (cancelled) return;
+
+        const history = Array.isArray(data.versions) ? data.versions : [];
+        setVersions(history);
+
+        // Default to this revision against the one before it
+        const targetIndex = Math.max(0, history.findIndex(version => version.documentId === document.documentId));
+        const target = history[targetIndex];
+        const base = history[targetIndex + 1] || history.find(version => version.documentId !== target?.documentId);
+        setTargetDocumentId(target?.documentId || '');
+        setBaseDocumentId(base?.documentId || '');
+      } catch (err) {
+        console.error('Error loading version history:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [document?.documentNumber, document?.documentId]);
+
+  const runComparison = useCallback(async () => {
+    if (!baseDocumentId || !targetDocumentId || baseDocumentId === targetDocumentId) return;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ baseDocumentId, targetDocumentId });
+      const response = await fetch(`/.netlify/functions/compare-document-versions?${params.toString()}`, {
+        headers: await getRequestHeaders()
+      });
+      if (!response.ok) {
+        throw new Error(await readErrorMessage(response, 'Failed to compare versions'));
+      }
+      setComparison(await response.json());
+    } catch (err) {
+      console.error('Error comparing document versions:', err);
+      setError(err.message);
+      setComparison(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [baseDocumentId, targetDocumentId]);
+
+  useEffect(() => {
+    runComparison();
+  }, [runComparison]);
+
+  if (!document?.documentNumber || document.documentNumber === 'UNKNOWN') {
+    return (
+      <div className="text-center py-8 text-gray-500">
+        <GitCompare className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+        <p>This document has no document number, so there are no other versions to compare.</p>
+      </div>
+    );
+  }
+
+  const visibleSections = comparison
+    ? comparison.sections.filter(section => showUnchanged || section.status !== 'unchanged')
+    : [];
+  const referencesByKey = new Map((comparison?.references || []).map(reference => [reference.key, reference]));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="text-sm text-gray-600">
+          <span className="block font-medium mb-1">Previous version</span>
+          <select
+            value={baseDocumentId}
+            onChange={(e) => setBaseDocumentId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {versions.map(version => (
+              <option key={version.documentId} value={version.documentId}>
+                v{version.versionLabel} ({version.status})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-600">
+          <span className="block font-medium mb-1">Revised version</span>
+          <select
+            value={targetDocumentId}
+            onChange={(e) => setTargetDocumentId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {versions.map(version => (
+              <option key={version.documentId} value={version.documentId}>
+                v{version.versionLabel} ({version.status})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={showUnchanged}
+            onChange={(e) => setShowUnchanged(e.target.checked)}
+            className="mr-2"
+          />
+          Show unchanged sections
+        </label>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <div className="flex items-center">
+            <AlertCircle className="h-5 w-5 text-red-400 mr-2" />
+            <span className="text-red-800">{error}</span>
+          </div>
+        </div>
+      )}
+
+      {versions.length < 2 && !isLoading && !error && (
+        <p className="text-sm text-gray-500">Only one version of {document.documentNumber} has been indexed.</p>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+          <span className="ml-2 text-gray-600">Comparing versions...</span>
+        </div>
+      ) : comparison && (
+        <>
+          <div className="flex flex-wrap gap-3 text-sm">
+            <span className="px-2 py-1 rounded-full bg-amber-100 text-amber-800">{comparison.stats.changed} changed</span>
+            <span className="px-2 py-1 rounded-full bg-green-100 text-green-800">{comparison.stats.added} added</span>
+            <span className="px-2 py-1 rounded-full bg-red-100 text-red-800">{comparison.stats.removed} removed</span>
+            <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-800">{comparison.stats.unchanged} unchanged</span>
+          </div>
+
+          {comparison.summary?.text && (
+            <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <h4 className="text-sm font-medium text-blue-700 mb-2">
+                What changed (v{comparison.base.versionLabel} → v{comparison.target.versionLabel})
+              </h4>
+              <p className="whitespace-pre-wrap text-sm text-gray-700">{comparison.summary.text}</p>
+            </div>
+          )}
+
+          <div className="space-y-3 max-h-[32rem] overflow-auto">
+            {visibleSections.map(section => {
+              const reference = referencesByKey.get(section.key);
+              return (
+                <div key={`${section.status}-${section.key}`} className={`p-4 border rounded-lg ${STATUS_STYLES[section.status]}`}>
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-xs text-gray-600">
+                    <span className="font-medium text-gray-900">
+                      {reference && <span className="mr-2 text-blue-700">[{reference.id}]</span>}
+                      {section.sectionPath || section.sectionTitle || 'Preamble'}
+                    </span>
+                    <span>
+                      {STATUS_LABELS[section.status]}
+                      {section.renumbered && ' (renumbered)'}
+                      {section.base?.citation && ` · v${comparison.base.versionLabel} ${section.base.citation}`}
+                      {section.target?.citation && ` · v${comparison.target.versionLabel} ${section.target.citation}`}
+                    </span>
+                  </div>
+                  {section.status === 'unchanged' ? (
+                    <p className="whitespace-pre-wrap text-sm text-gray-700">{section.target.text}</p>
+                  ) : (
+                    <RedlineText changes={section.changes} />
+                  )}
+                </div>
+              );
+            })}
+            {visibleSections.length === 0 && (
+              <p className="text-sm text-gray-500">No differences between these versions.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DocumentRedlineView;
@@ -0,0 +1,259 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertCircle, Loader, Share2, Trash2, X } from 'lucide-react';
+import ragService from '../services/ragService';
+
+// Role principals mirror SHAREABLE_ROLES in netlify/lib/document-permissions.js
+const ROLE_OPTIONS = [
+  { value: 'auditor', label: 'Auditor' },
+  { value: 'qa_lead', label: 'QA Lead' },
+  { value: 'engineer', label: 'Engineer' },
+  { value: 'new_hire', label: 'New Hire' },
+];
+
+const PRINCIPAL_TYPE_LABELS = {
+  user: 'User',
+  group: 'Group',
+  role: 'Role',
+};
+
+const INITIAL_GRANT = { principalType: 'role', principalId: ROLE_OPTIONS[0].value, permission: 'read' };
+
+const describePrincipal = (permission) => {
+  if (permission.principalType === 'role') {
+    const role = ROLE_OPTIONS.find(option => option.value === permission.principalId);
+    return role ? role.label : permission.principalId;
+  }
+  return permission.principalId;
+};
+
+const DocumentSharingModal = ({ document, user, resourceType, onClose }) => {
+  const [permissions, setPermissions] = useState([]);
+  const [grant, setGrant] = useState({ ...INITIAL_GRANT });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const documentId = document?.id;
+  const documentTitle = document?.metadata?.title || document?.title || document?.filename || 'Document';
+  const requestOptions = { resourceType, userId: user?.sub };
+
+  const loadPermissions = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setPermissions(await ragService.getDocumentPermissions(documentId, { resourceType, userId: user?.sub }));
+    } catch (loadError) {
+      setError(loadError.message || 'Unable to load sharing settings');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [documentId, resourceType, user?.sub]);
+
+  useEffect(() => {
+    loadPermissions();
+  }, [loadPermissions]);
+
+  const handleGrantChange = (field, value) => {
+    setGrant(prev => {
+      if (field === 'principalType') {
+        return { ...prev, principalType: value, principalId: value === 'role' ? ROLE_OPTIONS[0].value : '' };
+      }
+      return { ...prev, [field]: value };
+    });
+  };
+
+  const handleShare = async (event) => {
+    event.preventDefault();
+    if (!grant.principalId.trim()) {
+      setError(`Enter a ${PRINCIPAL_TYPE_LABELS[grant.principalType].toLowerCase()} to share with`);
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      setPermissions(await ragService.shareDocument(documentId, [grant], requestOptions));
+      setGrant({ ...INITIAL_GRANT });
+    } catch (shareError) {
+      setError(shareError.message || 'Unable to share document');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRevoke = async (permission) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      setPermissions(
+        await ragService.revokeDocumentPermission(
+          documentId,
+          { principalType: permission.principalType, principalId: permission.principalId },
+          requestOptions
+        )
+      );
+    } catch (revokeError) {
+      setError(revokeError.message || 'Unable to remove access');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 backdrop-blur-sm overflow-y-auto">
+      <div className="flex min-h-full items-center justify-center px-4 py-8">
+        <div className="bg-white w-full max-w-xl rounded-lg shadow-2xl flex flex-col max-h-[80vh] overflow-hidden">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div>
+              <div className="flex items-center space-x-2">
+                <Share2 className="h-5 w-5 text-blue-600" />
+                <h3 className="text-lg font-semibold text-gray-900">Share document</h3>
+              </div>
+              <p className="text-sm text-gray-500 mt-1 truncate">{documentTitle}</p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSaving}
+              className="p-2 text-gray-400 hover:text-gray-600 disabled:opacity-60 disabled:cursor-not-allowed"
+              aria-label="Close share document modal"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto px-6 py-6 space-y-6">
+            {error && (
+              <div className="flex items-start space-x-2 p-3 border border-red-200 bg-red-50 rounded-md text-sm text-red-700">
+                <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            <p className="text-sm text-gray-600">
+              Without any entries this document follows its library. Once shared, only you, your organization's
+              admins and the people listed below can open it in search and chat.
+            </p>
+
+            {isLoading ? (
+              <div className="flex items-center space-x-2 text-sm text-gray-500">
+                <Loader className="h-4 w-4 animate-spin" />
+                <span>Loading sharing settings…</span>
+              </div>
+            ) : permissions.length === 0 ? (
+              <p className="text-sm text-gray-500">Not shared with anyone yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {permissions.map(permission => (
+                  <li
+                    key={`${permission.principalType}:${permission.principalId}`}
+                    className="flex items-center justify-between px-3 py-2 text-sm"
+                  >
+                    <div>
+                      <span className="font-medium text-gray-900">{describePrincipal(permission)}</span>
+                      <span className="ml-2 text-xs text-gray-500">
+                        {PRINCIPAL_TYPE_LABELS[permission.principalType] || permission.principalType} ·{' '}
+                        {permission.permission === 'edit' ? 'Can edit' : 'Can read'}
+                      </span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleRevoke(permission)}
+                      disabled={isSaving}
+                      className="p-1 text-gray-400 hover:text-red-500 disabled:opacity-60"
+                      aria-label={`Remove access for ${describePrincipal(permission)}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <form onSubmit={handleShare} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Share with</label>
+                <select
+                  value={grant.principalType}
+                  onChange={event => handleGrantChange('principalType', event.target.value)}
+                  className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+                >
+                  <option value="role">Role</option>
+                  <option value="group">Group</option>
+                  <option value="user">User</option>
+                </select>
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  {PRINCIPAL_TYPE_LABELS[grant.principalType]}
+                </label>
+                {grant.principalType === 'role' ? (
+                  <select
+                    value={grant.principalId}
+                    onChange={event => handleGrantChange('principalId', event.target.value)}
+                    className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+                  >
+                    {ROLE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={grant.principalId}
+                    onChange={event => handleGrantChange('principalId', event.target.value)}
+                    placeholder={grant.principalType === 'user' ? 'User ID' : 'Group name'}
+                    className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900 placeholder-gray-500"
+                  />
+                )}
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Permission</label>
+                <select
+                  value={grant.permission}
+                  onChange={event => handleGrantChange('permission', event.target.value)}
+                  className="w-full px-2 py-2 border border-gray-300 rounded-md text-sm text-gray-900"
+                >
+                  <option value="read">Can read</option>
+                  <option value="edit">Can edit</option>
+                </select>
+              </div>
+              <div className="md:col-span-4 flex justify-end">
+                <button
+                  type="submit"
+                  disabled={isSaving || isLoading}
+                  className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-60 disabled:cursor-not-allowed"
+                >
+                  {isSaving ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <Share2 className="h-4 w-4 mr-2" />}
+                  Share
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+DocumentSharingModal.propTypes = {
+  document: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    filename: PropTypes.string,
+    title: PropTypes.string,
+    metadata: PropTypes.object,
+  }).isRequired,
+  user: PropTypes.shape({ sub: PropTypes.string }),
+  resourceType: PropTypes.oneOf(['rag_documents', 'rag_user_documents', 'document_index']),
+  onClose: PropTypes.func.isRequired,
+};
+
+DocumentSharingModal.defaultProps = {
+  user: null,
+  resourceType: undefined,
+};
+
+export default DocumentSharingModal;
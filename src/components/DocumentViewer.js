@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { X, Download, FileText, Eye, Loader2, AlertCircle, ExternalLink } from 'lucide-react';
+import DocumentRedlineView from './DocumentRedlineView';
+import { getTenantHeaders } from '../services/authService';
 
 const DocumentViewer = ({ 
   document, 
@@ -10,7 +12,7 @@ const DocumentViewer = ({
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [documentContent, setDocumentContent] = useState(null);
-  const [viewMode, setViewMode] = useState('text'); // 'text', 'pdf', 'summary'
+  const [viewMode, setViewMode] = useState('text'); // 'text', 'pdf', 'summary', 'compare'
   const iframeRef = useRef(null);
 
   useEffect(() => {
@@ -51,7 +53,8 @@ const DocumentViewer = ({
       const response = await fetch(`/.netlify/functions/download-file?documentId=${document.documentId}&format=pdf`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-          'x-user-id': localStorage.getItem('user_id')
+          'x-user-id': localStorage.getItem('user_id'),
+          ...(await getTenantHeaders())
         }
       });
 
@@ -169,7 +172,7 @@ const DocumentViewer = ({
                 </button>
                 <button
                   onClick={() => setViewMode('pdf')}
-                  className={`px-3 py-1 text-sm rounded-r-lg ${
+                  className={`px-3 py-1 text-sm border-r border-gray-300 ${
                     viewMode === 'pdf'
                       ? 'bg-blue-600 text-white'
                       : 'bg-white text-gray-700 hover:bg-gray-50'
@@ -177,6 +180,16 @@ const DocumentViewer = ({
                 >
                   PDF
                 </button>
+                <button
+                  onClick={() => setViewMode('compare')}
+                  className={`px-3 py-1 text-sm rounded-r-lg ${
+                    viewMode === 'compare'
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  Compare
+                </button>
               </div>
               
               {/* Download Button */}
@@ -294,6 +307,13 @@ const DocumentViewer = ({
                       </div>
                     </div>
                   )}
+
+                  {viewMode === 'compare' && (
+                    <div className="p-6">
+                      <h3 className="text-lg font-medium text-gray-900 mb-4">Compare Versions</h3>
+                      <DocumentRedlineView document={document} />
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -0,0 +1,186 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { CheckCircle, ChevronRight, ClipboardList, ExternalLink, GraduationCap, Loader2 } from 'lucide-react';
+import trainingCurriculumService, {
+  ASSIGNMENT_STATUS_LABELS,
+  STEP_REQUIREMENTS,
+} from '../services/trainingCurriculumService';
+import StudyQuizModal from './StudyQuizModal';
+
+const STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-700',
+  overdue: 'bg-red-100 text-red-700',
+  in_progress: 'bg-blue-100 text-blue-700',
+  not_started: 'bg-gray-100 text-gray-600',
+};
+
+const formatDueDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toLocaleDateString(undefined, { timeZone: 'UTC' });
+};
+
+// Curricula assigned to the signed-in user. Opening a resource or passing a quiz from here is
+// what records the step as complete, so the panel stays hidden until something is assigned.
+const MyTrainingPanel = ({ isOpen, onToggle }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [activeStep, setActiveStep] = useState(null);
+  const [pendingStepId, setPendingStepId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadAssignments = useCallback(async () => {
+    try {
+      setAssignments(await trainingCurriculumService.getMyAssignments());
+    } catch (loadError) {
+      console.warn('Unable to load training assignments:', loadError);
+      setAssignments([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAssignments();
+  }, [loadAssignments]);
+
+  const handleOpenResource = async (assignment, step) => {
+    if (step.resource?.url) {
+      window.open(step.resource.url, '_blank', 'noopener,noreferrer');
+    }
+    if (step.completion) return;
+
+    setPendingStepId(step.id);
+    setError(null);
+    try {
+      await trainingCurriculumService.recordResourceViewed(assignment.id, step.id);
+      await loadAssignments();
+    } catch (recordError) {
+      setError(recordError.message || 'Unable to record training progress');
+    } finally {
+      setPendingStepId(null);
+    }
+  };
+
+  const handleStartQuiz = async (assignment, step) => {
+    setPendingStepId(step.id);
+    setError(null);
+    try {
+      const quiz = await trainingCurriculumService.getAssignedQuiz(assignment.id, step.id);
+      setActiveStep({ assignmentId: assignment.id, stepId: step.id, quiz });
+    } catch (quizError) {
+      setError(quizError.message || 'Unable to open quiz');
+    } finally {
+      setPendingStepId(null);
+    }
+  };
+
+  const handleCloseQuiz = () => {
+    setActiveStep(null);
+    loadAssignments();
+  };
+
+  if (assignments.length === 0) {
+    return null;
+  }
+
+  const openCount = assignments.filter(assignment => assignment.status !== 'completed').length;
+
+  return (
+    <div className="border border-gray-200 rounded-lg">
+      <button
+        type="button"
+        onClick={onToggle}
+        className="w-full flex items-center justify-between px-4 py-3 text-body font-medium text-left hover:bg-gray-50 rounded-t-lg transition-colors"
+      >
+        <div className="flex items-center space-x-2">
+          <ClipboardList className="h-4 w-4 text-green-600" />
+          <span className="text-heading-4">My Training</span>
+          {openCount > 0 && (
+            <span className="bg-green-600 text-white text-caption px-1.5 py-0.5 rounded-full">{openCount}</span>
+          )}
+        </div>
+        <ChevronRight className={`h-4 w-4 transform transition-transform text-gray-500 ${isOpen ? 'rotate-90' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="p-4 space-y-4 border-t border-gray-200">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {assignments.map(assignment => (
+            <div key={assignment.id} className="space-y-2">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="font-medium text-gray-900">{assignment.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {assignment.completedSteps} of {assignment.totalSteps} steps
+                    {formatDueDate(assignment.dueDate) ? ` · Due ${formatDueDate(assignment.dueDate)}` : ''}
+                  </p>
+                </div>
+                <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[assignment.status] || STATUS_STYLES.not_started}`}>
+                  {ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}
+                </span>
+              </div>
+              <ol className="space-y-1">
+                {assignment.steps.map((step, index) => (
+                  <li key={step.id} className="flex items-center justify-between text-sm">
+                    <span className="flex items-center space-x-2 text-gray-700">
+                      {step.completion ? (
+                        <CheckCircle className="h-4 w-4 text-green-600" />
+                      ) : (
+                        <span className="h-4 w-4 text-xs text-gray-400 text-center">{index + 1}</span>
+                      )}
+                      <span>{step.title}</span>
+                    </span>
+                    {pendingStepId === step.id ? (
+                      <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+                    ) : step.requirement === STEP_REQUIREMENTS.QUIZ ? (
+                      !step.completion && (
+                        <button
+                          type="button"
+                          onClick={() => handleStartQuiz(assignment, step)}
+                          className="inline-flex items-center text-xs text-blue-600 hover:underline"
+                        >
+                          <GraduationCap className="h-3 w-3 mr-1" />
+                          Take quiz
+                        </button>
+                      )
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => handleOpenResource(assignment, step)}
+                        className="inline-flex items-center text-xs text-blue-600 hover:underline"
+                      >
+                        <ExternalLink className="h-3 w-3 mr-1" />
+                        Open
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {activeStep && (
+        <StudyQuizModal
+          quiz={activeStep.quiz}
+          standalone
+          onClose={handleCloseQuiz}
+          loadQuiz={() => trainingCurriculumService.getAssignedQuiz(activeStep.assignmentId, activeStep.stepId)}
+          submitAttempt={(quizId, responses) =>
+            trainingCurriculumService.submitAssignedQuiz(activeStep.assignmentId, activeStep.stepId, responses)
+          }
+        />
+      )}
+    </div>
+  );
+};
+
+MyTrainingPanel.propTypes = {
+  isOpen: PropTypes.bool,
+  onToggle: PropTypes.func.isRequired,
+};
+
+MyTrainingPanel.defaultProps = {
+  isOpen: true,
+};
+
+export default MyTrainingPanel;
@@ -1,6 +1,8 @@
-import React, { memo, useMemo } from 'react';
-import { combineMessagesIntoConversations, mergeCurrentAndStoredMessages, parseMarkdown } from '../utils/messageUtils';
-import { Cloud, Smartphone, Trash2, ExternalLink } from 'lucide-react';
+import React, { memo, useCallback, useEffect, useMemo, useState } from 'react';
+import { combineMessagesIntoConversations, getActiveBranch, mergeCurrentAndStoredMessages, parseMarkdown } from '../utils/messageUtils';
+import { Cloud, Smartphone, Trash2, ExternalLink, GraduationCap } from 'lucide-react';
+import studyQuizService from '../services/studyQuizService';
+import StudyQuizModal from './StudyQuizModal';
 
 // Simple component to render markdown-parsed text
 const MarkdownText = ({ text }) => {
@@ -231,9 +233,9 @@ const NotebookView = memo(({
     [messages, thirtyDayMessages]
   );
 
-  // Convert to conversations
+  // Convert to conversations, following the selected branch of edited conversations
   const baseConversations = useMemo(
-    () => combineMessagesIntoConversations(availableMessages).slice(-20),
+    () => combineMessagesIntoConversations(getActiveBranch(availableMessages)).slice(-20),
     [availableMessages]
   );
 
@@ -282,6 +284,42 @@ const NotebookView = memo(({
     generateStudyNotes();
   };
 
+  // Quizzes and the review queue live in Neon, so they need the server
+  const [quizModal, setQuizModal] = useState(null);
+  const [isGeneratingQuiz, setIsGeneratingQuiz] = useState(false);
+  const [quizError, setQuizError] = useState(null);
+  const [dueReviewCount, setDueReviewCount] = useState(0);
+
+  const refreshDueReviews = useCallback(async () => {
+    if (!isServerAvailable) return;
+    try {
+      const { totalDue } = await studyQuizService.getDueReviews({ limit: 1 });
+      setDueReviewCount(totalDue);
+    } catch (error) {
+      console.warn('Unable to load due review items:', error);
+    }
+  }, [isServerAvailable]);
+
+  useEffect(() => {
+    refreshDueReviews();
+  }, [refreshDueReviews]);
+
+  const handleGenerateQuiz = async () => {
+    if (selectedMessages.size === 0 || isGeneratingQuiz) return;
+    setIsGeneratingQuiz(true);
+    setQuizError(null);
+    try {
+      const selectedConversations = baseConversations.filter(conv => selectedMessages.has(conv.id));
+      const quiz = await studyQuizService.createQuizFromConversations(selectedConversations);
+      setQuizModal({ quiz });
+    } catch (error) {
+      console.error('Failed to generate quiz:', error);
+      setQuizError(error.message || 'Unable to generate a quiz');
+    } finally {
+      setIsGeneratingQuiz(false);
+    }
+  };
+
   // Separate conversations based on storage status
   const currentConversations = conversations.filter(conv => {
     return conv.isCurrent ||
@@ -403,6 +441,37 @@ const NotebookView = memo(({
                 {selectedMessages.size > 0 ? 'Deselect All' : 'Select All'}
               </button>
 
+              {isServerAvailable && (
+                <button
+                  onClick={() => setQuizModal({ initialMode: dueReviewCount > 0 ? 'review' : 'library' })}
+                  className="relative p-2 text-gray-600 hover:text-gray-800 border border-gray-300 rounded hover:border-gray-400 transition-colors focus:outline-none focus:ring-2 focus:ring-gray-500"
+                  aria-label={dueReviewCount > 0 ? `Quizzes, ${dueReviewCount} items due for review` : 'Quizzes'}
+                  title="Quizzes and review"
+                >
+                  <GraduationCap className="h-4 w-4" />
+                  {dueReviewCount > 0 && (
+                    <span className="absolute -top-1.5 -right-1.5 min-w-[1.1rem] px-1 text-[10px] leading-4 text-white bg-red-500 rounded-full">
+                      {dueReviewCount}
+                    </span>
+                  )}
+                </button>
+              )}
+
+              {isServerAvailable && (
+                <button
+                  onClick={handleGenerateQuiz}
+                  disabled={selectedMessages.size === 0 || isGeneratingQuiz}
+                  className={`px-4 py-2 text-sm font-medium rounded transition-colors focus:outline-none focus:ring-2 ${
+                    selectedMessages.size > 0 && !isGeneratingQuiz
+                      ? 'bg-white text-gray-900 border border-gray-900 hover:bg-gray-50 focus:ring-gray-600'
+                      : 'bg-gray-100 text-gray-400 cursor-not-allowed focus:ring-gray-300'
+                  }`}
+                  aria-label="Generate a quiz from selected conversations"
+                >
+                  {isGeneratingQuiz ? 'Generating...' : 'Quiz'}
+                </button>
+              )}
+
               <button
                 onClick={handleGenerateStudyNotes}
                 disabled={selectedMessages.size === 0 || isGeneratingNotes}
@@ -423,6 +492,9 @@ const NotebookView = memo(({
                 )}
               </button>
             </div>
+            {quizError && (
+              <p className="text-xs text-red-600 max-w-xs text-right" role="alert">{quizError}</p>
+            )}
           </div>
         </div>
       ) : (
@@ -557,6 +629,15 @@ const NotebookView = memo(({
           </div>
         )}
       </div>
+
+      {quizModal && (
+        <StudyQuizModal
+          quiz={quizModal.quiz || null}
+          initialMode={quizModal.initialMode || 'library'}
+          onClose={() => setQuizModal(null)}
+          onReviewsChanged={refreshDueReviews}
+        />
+      )}
     </div>
   );
 });
@@ -19,13 +19,15 @@ import {
   Save,
   PlusCircle,
   AlertTriangle,
-  Copy
+  Copy,
+  Share2
 } from 'lucide-react';
 import ragService from '../services/ragService';
 import { getToken } from '../services/authService';
 import { hasAdminRole } from '../utils/auth';
 import trainingResourceService from '../services/trainingResourceService';
 import SummaryRequestPanel from './SummaryRequestPanel';
+import DocumentSharingModal from './DocumentSharingModal';
 
 const describeConversionSource = (conversion) => {
   if (!conversion) {
@@ -38,6 +40,11 @@ const describeConversionSource = (conversion) => {
     'text-to-pdf': 'text',
     'csv-to-pdf': 'CSV',
     'xlsx-to-pdf': 'Excel',
+    'pptx-to-pdf': 'PowerPoint',
+    'rtf-to-pdf': 'RTF',
+    'html-to-pdf': 'HTML',
+    'eml-to-pdf': 'email',
+    'msg-to-pdf': 'Outlook message',
   };
 
   return conversionLabels[conversion] || null;
@@ -73,7 +80,8 @@ const INITIAL_EDIT_METADATA = {
   description: '',
   tags: '',
   category: 'general',
-  version: ''
+  version: '',
+  reason: ''
 };
 
 const TRAINING_RESOURCE_FORM_INITIAL_STATE = {
@@ -381,6 +389,7 @@ const RAGConfigurationPage = ({ user, onClose }) => {
   const [editMetadata, setEditMetadata] = useState(() => ({ ...INITIAL_EDIT_METADATA }));
   const [isSavingEdit, setIsSavingEdit] = useState(false);
   const [editFormError, setEditFormError] = useState(null);
+  const [sharingDocument, setSharingDocument] = useState(null);
   const [trainingResources, setTrainingResources] = useState([]);
   const [isLoadingTraining, setIsLoadingTraining] = useState(false);
   const [trainingError, setTrainingError] = useState(null);
@@ -924,8 +933,12 @@ const RAGConfigurationPage = ({ user, onClose }) => {
 
     if (!confirmed) return;
 
+    // Recorded in the audit trail with the deletion
+    const reason = window.prompt(`Reason for deleting "${filename}":`, '');
+    if (reason === null) return;
+
     try {
-      await ragService.deleteDocument(documentId, user?.sub);
+      await ragService.deleteDocument(documentId, user?.sub, { reason: reason.trim() });
       setDocuments(prev => prev.filter(doc => doc.id !== documentId));
 
     } catch (error) {
@@ -969,6 +982,7 @@ const RAGConfigurationPage = ({ user, onClose }) => {
       category: normalizedCategory,
       version: typeof metadata.version === 'string' ? metadata.version.trim() : '',
       tags: formatTagsForInput(metadata.tags),
+      reason: '',
     };
 
     setEditMetadata(normalizedMetadata);
@@ -1020,7 +1034,9 @@ const RAGConfigurationPage = ({ user, onClose }) => {
         tags: editMetadata.tags,
       };
 
-      const updatedDocument = await ragService.updateDocumentMetadata(documentId, metadataPayload, user?.sub);
+      const updatedDocument = await ragService.updateDocumentMetadata(documentId, metadataPayload, user?.sub, {
+        reason: editMetadata.reason.trim(),
+      });
 
       if (updatedDocument && typeof updatedDocument === 'object') {
         setDocuments(prevDocuments => {
@@ -1276,12 +1292,12 @@ const RAGConfigurationPage = ({ user, onClose }) => {
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Select File (PDF, DOCX, TXT, MD, CSV, or XLSX)
+                      Select File (PDF, DOCX, PPTX, RTF, HTML, EML, MSG, TXT, MD, CSV, or XLSX)
                     </label>
                       <input
                         id="file-upload"
                         type="file"
-                        accept=".pdf,.txt,.md,.docx,.csv,.xlsx"
+                        accept=".pdf,.txt,.md,.docx,.csv,.xlsx,.pptx,.rtf,.html,.htm,.eml,.msg"
                         onChange={handleFileSelect}
                         disabled={hasReachedDocumentLimit}
                         className="block w-full text-sm text-gray-500 disabled:cursor-not-allowed disabled:opacity-60 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
@@ -1553,6 +1569,13 @@ const RAGConfigurationPage = ({ user, onClose }) => {
                                     >
                                       <Pencil className="h-4 w-4" />
                                     </button>
+                                    <button
+                                      onClick={() => setSharingDocument(doc)}
+                                      className="p-2 text-gray-400 hover:text-blue-500 transition-colors"
+                                      aria-label={`Share ${displayTitle || doc.filename}`}
+                                    >
+                                      <Share2 className="h-4 w-4" />
+                                    </button>
                                     <button
                                       onClick={() => handleDelete(doc.id, displayTitle || doc.filename)}
                                       className="p-2 text-gray-400 hover:text-red-500 transition-colors"
@@ -1898,6 +1921,14 @@ const RAGConfigurationPage = ({ user, onClose }) => {
 
         </div>
 
+        {sharingDocument && (
+          <DocumentSharingModal
+            document={sharingDocument}
+            user={user}
+            onClose={() => setSharingDocument(null)}
+          />
+        )}
+
         {editingDocument && (
           <div className="fixed inset-0 bg-black/40 backdrop-blur-sm overflow-y-auto">
             <div className="flex min-h-full items-center justify-center px-4 py-8">
@@ -2009,6 +2040,22 @@ const RAGConfigurationPage = ({ user, onClose }) => {
                           Separate tags with commas to help group similar documents in search results.
                         </p>
                       </div>
+
+                      <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-900 mb-1">
+                          Reason for change
+                        </label>
+                        <input
+                          type="text"
+                          value={editMetadata.reason}
+                          onChange={(event) => handleEditMetadataChange('reason', event.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 placeholder-gray-500"
+                          placeholder="e.g. Corrected document version after QA review"
+                        />
+                        <p className="mt-1 text-xs text-gray-500">
+                          Saved with your name and the previous values in the audit trail.
+                        </p>
+                      </div>
                     </div>
                   </div>
 
@@ -20,11 +20,15 @@ import {
   MessageSquare,
   Clock,
   Trash2,
+  ThumbsUp,
+  ThumbsDown,
+  ScanLine,
 } from 'lucide-react';
 import learningSuggestionsService from '../services/learningSuggestionsService';
 import { FEATURE_FLAGS } from '../config/featureFlags';
 import ragService from '../services/ragService';
 import chatHistoryService from '../services/chatHistoryService';
+import MyTrainingPanel from './MyTrainingPanel';
 
 const isGzipCompressed = (bytes) =>
   bytes && bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
@@ -417,6 +421,7 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
   const [learningSuggestions, setLearningSuggestions] = useState([]);
   const [isLoadingSuggestions, setIsLoadingSuggestions] = useState(false);
   const [openSections, setOpenSections] = useState({
+    training: true,
     suggestions: false,
     resources: true,
     chatHistories: false
@@ -432,6 +437,9 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
   const [viewerState, setViewerState] = useState(() => createInitialViewerState());
   const [isViewerLoading, setIsViewerLoading] = useState(false);
   const [viewerErrorInfo, setViewerErrorInfo] = useState(null);
+  const [viewerPage, setViewerPage] = useState(null);
+  const [viewerOcr, setViewerOcr] = useState(null);
+  const [ratedSuggestions, setRatedSuggestions] = useState({});
   const activeObjectUrlRef = useRef(null);
   const viewerRequestRef = useRef(0);
   const userId = user?.sub || null;
@@ -624,6 +632,8 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
     revokeActiveObjectUrl();
     setViewerState(createInitialViewerState());
     setViewerErrorInfo(null);
+    setViewerPage(null);
+    setViewerOcr(null);
     setIsViewerLoading(false);
   }, [revokeActiveObjectUrl]);
 
@@ -780,6 +790,9 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
     viewerRequestRef.current = requestId;
 
     const metadata = resource.metadata || {};
+    // Suggestions and citations that point at a section open the preview on its page
+    setViewerPage(Number(metadata.pageNumber) > 0 ? Number(metadata.pageNumber) : null);
+    setViewerOcr(metadata.ocr && typeof metadata.ocr === 'object' ? metadata.ocr : null);
     const fallbackTitle = metadata.documentTitle || resource.title || 'Document';
     const fallbackFilename = metadata.filename || metadata.documentTitle || resource.title || 'document';
     const contentType = metadata.contentType || '';
@@ -901,6 +914,9 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
       const response = await ragService.downloadDocument({ documentId, fileId }, userId);
       if (viewerRequestRef.current !== requestId) return;
       if (!response) throw new Error('No response received from download request');
+      if (response.metadata?.ocr && typeof response.metadata.ocr === 'object') {
+        setViewerOcr(response.metadata.ocr);
+      }
 
       const responseUrl = [response.downloadUrl, response.url, response.blobUrl]
         .map(value => (typeof value === 'string' ? value.trim() : ''))
@@ -1101,11 +1117,29 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
   ]);
 
   const handleSuggestionClick = (suggestion) => {
+    if (suggestion?.metadata?.documentId) {
+      handleResourceClick(suggestion);
+      return;
+    }
     if (suggestion?.url) {
       window.open(suggestion.url, '_blank', 'noopener,noreferrer');
     }
   };
 
+  const handleSuggestionFeedback = async (suggestion, useful) => {
+    try {
+      await learningSuggestionsService.recordSuggestionFeedback(userId, suggestion, useful);
+      if (useful) {
+        setRatedSuggestions(prev => ({ ...prev, [suggestion.id]: true }));
+      } else {
+        // Not useful suggestions are dropped now; the stored vote keeps them out of later rounds
+        setLearningSuggestions(prev => prev.filter(entry => entry.id !== suggestion.id));
+      }
+    } catch (error) {
+      console.error('Failed to record suggestion feedback:', error);
+    }
+  };
+
   const handleAdd = (item) => {
     if (!item) return;
     onAddResource?.(item);
@@ -1164,6 +1198,10 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4 h-full shadow-sm flex flex-col">
       <div className="flex-1 overflow-y-auto space-y-4">
+        {userId && (
+          <MyTrainingPanel isOpen={openSections.training} onToggle={() => toggleSection('training')} />
+        )}
+
         {FEATURE_FLAGS.ENABLE_AI_SUGGESTIONS && (
           <div className="border border-gray-200 rounded-lg">
             <button
@@ -1210,6 +1248,8 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
                         index={index}
                         onAdd={() => handleAdd(suggestion)}
                         isAdded={addedResources.has(suggestion.id || suggestion.url || suggestion.title)}
+                        onFeedback={suggestion.metadata?.feedback ? (useful) => handleSuggestionFeedback(suggestion, useful) : null}
+                        isRatedUseful={Boolean(ratedSuggestions[suggestion.id])}
                       />
                     ))}
 
@@ -1440,12 +1480,21 @@ const ResourcesView = memo(({ currentResources = [], user, onSuggestionsUpdate,
         isLoading={isViewerLoading}
         error={viewerErrorInfo}
         allowDownload={viewerState.allowDownload}
+        initialPage={viewerPage}
+        ocr={viewerOcr}
         onClose={closeDocumentViewer}
       />
     </div>
   );
 });
 
+// Browser PDF viewers honour #page=N, which lets a section citation open on the cited page
+const buildPreviewUrl = (url, { contentType, filename, initialPage }) => {
+  const isPdf = /pdf/i.test(contentType || '') || /\.pdf$/i.test(filename || '');
+  if (!initialPage || !isPdf || url.includes('#')) return url;
+  return `${url}#page=${initialPage}`;
+};
+
 const isBlobLikeUrl = (candidate) => typeof candidate === 'string' && (candidate.startsWith('blob:') || candidate.startsWith('data:'));
 
 export const PdfBlobViewer = memo(({ url, title, blobData }) => {
@@ -1720,7 +1769,15 @@ export const DocumentViewer = ({
   filename,
   error: errorInfo,
   allowDownload,
+  initialPage,
+  ocr = null,
 }) => {
+  const [jumpPage, setJumpPage] = useState(null);
+
+  useEffect(() => {
+    setJumpPage(null);
+  }, [url, initialPage]);
+
   if (!isOpen) return null;
 
   const safeTitle = title || 'Document';
@@ -1747,6 +1804,10 @@ export const DocumentViewer = ({
   const primaryAttempt = !targetPath && attemptedPaths.length > 0 ? attemptedPaths[0] : null;
   const resolvedTargetPath = targetPath || primaryAttempt?.path || '';
   const resolvedTargetLabel = targetLabel || primaryAttempt?.label || '';
+  const ocrPages = Array.isArray(ocr?.pages) ? ocr.pages : [];
+  const lowConfidencePages = ocrPages.filter(page => page.lowConfidence);
+  const previewPage = jumpPage || initialPage;
+  const previewUrl = url ? buildPreviewUrl(url, { contentType, filename, initialPage: previewPage }) : '';
 
 
   return (
@@ -1811,6 +1872,43 @@ export const DocumentViewer = ({
           </div>
         </div>
 
+        {ocrPages.length > 0 && !isLoading && !hasError && (
+          <div
+            className={`flex flex-wrap items-center gap-2 px-6 py-2 text-xs border-b ${
+              lowConfidencePages.length > 0
+                ? 'bg-amber-50 border-amber-200 text-amber-800'
+                : 'bg-blue-50 border-blue-100 text-blue-800'
+            }`}
+            role="status"
+          >
+            <ScanLine className="h-4 w-4 flex-shrink-0" />
+            <span>
+              {ocrPages.length} of {ocr.totalPages || ocrPages.length} pages were indexed from OCR text
+              {typeof ocr.averageConfidence === 'number' && ` (average confidence ${Math.round(ocr.averageConfidence)}%)`}.
+            </span>
+            {lowConfidencePages.length > 0 && (
+              <>
+                <span className="font-medium">
+                  Low confidence, check against the scan:
+                </span>
+                {lowConfidencePages.map(page => (
+                  <button
+                    key={page.pageNumber}
+                    type="button"
+                    onClick={() => setJumpPage(page.pageNumber)}
+                    className={`px-2 py-0.5 rounded border border-amber-300 hover:bg-amber-100 ${
+                      previewPage === page.pageNumber ? 'bg-amber-200' : 'bg-white'
+                    }`}
+                    title={`Page ${page.pageNumber}: ${Math.round(page.confidence)}% OCR confidence`}
+                  >
+                    p. {page.pageNumber} · {Math.round(page.confidence)}%
+                  </button>
+                ))}
+              </>
+            )}
+          </div>
+        )}
+
         <div className="flex-1 bg-gray-100">
           {isLoading ? (
             <div className="flex h-full flex-col items-center justify-center space-y-3 text-gray-500">
@@ -1841,8 +1939,9 @@ export const DocumentViewer = ({
             </div>
           ) : url ? (
             <iframe
+              key={previewUrl}
               title={`Preview of ${safeTitle}`}
-              src={url}
+              src={previewUrl}
               className="w-full h-full min-h-[420px] bg-white"
               onLoad={() => console.log('Document iframe loaded successfully')}
               onError={(e) => console.error('Document iframe load error:', e)}
@@ -1860,7 +1959,7 @@ export const DocumentViewer = ({
 };
 
 // Individual suggestion card component
-const SuggestionCard = memo(({ suggestion, onClick, getDifficultyColor, getTypeIcon, index, onAdd, isAdded }) => {
+const SuggestionCard = memo(({ suggestion, onClick, getDifficultyColor, getTypeIcon, index, onAdd, isAdded, onFeedback = null, isRatedUseful = false }) => {
   const [isHovered, setIsHovered] = useState(false);
 
   return (
@@ -1930,6 +2029,12 @@ const SuggestionCard = memo(({ suggestion, onClick, getDifficultyColor, getTypeI
           </div>
         )}
 
+        {suggestion.metadata?.excerpt && (
+          <p className="text-xs text-gray-500 italic border-l-2 border-purple-200 pl-2 mb-3 line-clamp-3">
+            {suggestion.metadata.excerpt}
+          </p>
+        )}
+
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-2">
             {suggestion.difficulty && (
@@ -1976,6 +2081,34 @@ const SuggestionCard = memo(({ suggestion, onClick, getDifficultyColor, getTypeI
             )}
           </div>
         )}
+
+        {onFeedback && (
+          <div className="mt-3 flex items-center justify-end space-x-2 text-xs text-gray-500">
+            {isRatedUseful ? (
+              <span className="text-green-700">Thanks — we'll suggest more like this</span>
+            ) : (
+              <>
+                <span>Useful?</span>
+                <button
+                  type="button"
+                  onClick={(e) => { e.stopPropagation(); onFeedback(true); }}
+                  className="p-1 text-gray-400 hover:text-green-600"
+                  aria-label="Mark suggestion useful"
+                >
+                  <ThumbsUp className="h-3.5 w-3.5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={(e) => { e.stopPropagation(); onFeedback(false); }}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  aria-label="Mark suggestion not useful"
+                >
+                  <ThumbsDown className="h-3.5 w-3.5" />
+                </button>
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -31,6 +31,15 @@ jest.mock('../services/ragService', () => ({
   },
 }));
 
+// The training panel's service imports authService, which loads the Auth0 SDK
+jest.mock('../services/authService', () => ({
+  __esModule: true,
+  default: {},
+  getToken: jest.fn().mockResolvedValue(null),
+  getUserId: jest.fn().mockResolvedValue(null),
+  getTenantHeaders: jest.fn().mockResolvedValue({}),
+}));
+
 // eslint-disable-next-line import/first
 import { gzipSync, gunzipSync } from 'zlib';
 // eslint-disable-next-line import/first
@@ -17,6 +17,15 @@ jest.mock('../services/ragService', () => ({
   downloadDocument: jest.fn(),
 }));
 
+// The training panel's service imports authService, which loads the Auth0 SDK
+jest.mock('../services/authService', () => ({
+  __esModule: true,
+  default: {},
+  getToken: jest.fn().mockResolvedValue(null),
+  getUserId: jest.fn().mockResolvedValue(null),
+  getTenantHeaders: jest.fn().mockResolvedValue({}),
+}));
+
 describe('Sidebar resource extraction', () => {
   let container;
   const baseProps = {
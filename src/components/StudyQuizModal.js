@@ -0,0 +1,484 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AlertCircle, CheckCircle, ExternalLink, GraduationCap, Loader, RotateCcw, Trash2, X, XCircle } from 'lucide-react';
+import studyQuizService from '../services/studyQuizService';
+
+const formatPercent = (score) => `${Math.round((Number(score) || 0) * 100)}%`;
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+};
+
+const Citations = ({ citations }) => {
+  if (!citations || citations.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="mt-2 space-y-1 text-xs text-gray-500">
+      {citations.map((citation, index) => (
+        <li key={`${citation.url || citation.title}-${index}`} className="flex items-center space-x-1">
+          <span>Source:</span>
+          {citation.url ? (
+            <a
+              href={citation.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center text-blue-600 hover:text-blue-800"
+            >
+              {citation.title || citation.url}
+              <ExternalLink className="ml-1 h-3 w-3" aria-hidden="true" />
+            </a>
+          ) : (
+            <span className="italic">{citation.title}</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+Citations.propTypes = {
+  citations: PropTypes.arrayOf(PropTypes.shape({ title: PropTypes.string, url: PropTypes.string })),
+};
+
+Citations.defaultProps = {
+  citations: [],
+};
+
+// One question, either awaiting an answer or showing its graded result
+const QuizItem = ({ item, index, response, onChange, result }) => {
+  const isGraded = Boolean(result);
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <p className="text-sm font-medium text-gray-900">
+        {index + 1}. {item.question}
+      </p>
+
+      {item.type === 'multiple_choice' ? (
+        <div className="mt-3 space-y-2">
+          {item.choices.map((choice, choiceIndex) => {
+            const isChosen = String(response) === String(choiceIndex);
+            const isAnswer = isGraded && Number(result.correctChoice) === choiceIndex;
+            return (
+              <label
+                key={choiceIndex}
+                className={`flex items-start space-x-2 text-sm rounded px-2 py-1 ${
+                  isAnswer ? 'bg-green-50 text-green-800' : isGraded && isChosen ? 'bg-red-50 text-red-800' : 'text-gray-700'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name={`quiz-item-${item.id}`}
+                  value={choiceIndex}
+                  checked={isChosen}
+                  disabled={isGraded}
+                  onChange={() => onChange(item.id, choiceIndex)}
+                  className="mt-0.5"
+                />
+                <span>{choice}</span>
+              </label>
+            );
+          })}
+        </div>
+      ) : (
+        <textarea
+          value={response ?? ''}
+          onChange={(event) => onChange(item.id, event.target.value)}
+          disabled={isGraded}
+          rows={2}
+          className="mt-3 w-full px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-900 placeholder-gray-500 disabled:bg-gray-50"
+          placeholder="Type your answer"
+          aria-label={`Answer to question ${index + 1}`}
+        />
+      )}
+
+      {isGraded && (
+        <div className="mt-3 text-sm">
+          <div className={`flex items-center space-x-1 font-medium ${result.correct ? 'text-green-700' : 'text-red-700'}`}>
+            {result.correct ? <CheckCircle className="h-4 w-4" /> : <XCircle className="h-4 w-4" />}
+            <span>{result.correct ? 'Correct' : 'Missed'}</span>
+          </div>
+          {item.type === 'short_answer' && <p className="mt-1 text-gray-700">Answer key: {result.answer}</p>}
+          {result.explanation && <p className="mt-1 text-gray-600">{result.explanation}</p>}
+          <Citations citations={result.citations} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+QuizItem.propTypes = {
+  item: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    type: PropTypes.oneOf(['multiple_choice', 'short_answer']).isRequired,
+    question: PropTypes.string.isRequired,
+    choices: PropTypes.arrayOf(PropTypes.string),
+  }).isRequired,
+  index: PropTypes.number.isRequired,
+  response: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  onChange: PropTypes.func.isRequired,
+  result: PropTypes.object,
+};
+
+QuizItem.defaultProps = {
+  response: undefined,
+  result: null,
+};
+
+const StudyQuizModal = ({
+  initialMode,
+  quiz: initialQuiz,
+  onClose,
+  onReviewsChanged,
+  loadQuiz,
+  submitAttempt,
+  standalone,
+}) => {
+  const [mode, setMode] = useState(initialQuiz ? 'quiz' : initialMode);
+  const [quiz, setQuiz] = useState(initialQuiz);
+  const [quizzes, setQuizzes] = useState([]);
+  const [responses, setResponses] = useState({});
+  const [attempt, setAttempt] = useState(null);
+  const [reviewItems, setReviewItems] = useState([]);
+  const [reviewIndex, setReviewIndex] = useState(0);
+  const [reviewResult, setReviewResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runRequest = useCallback(async (request, fallbackMessage) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      return await request();
+    } catch (requestError) {
+      setError(requestError.message || fallbackMessage);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const loadLibrary = useCallback(async () => {
+    const loaded = await runRequest(() => studyQuizService.getQuizzes(), 'Unable to load quizzes');
+    if (loaded) setQuizzes(loaded);
+  }, [runRequest]);
+
+  const loadReviews = useCallback(async () => {
+    const due = await runRequest(() => studyQuizService.getDueReviews(), 'Unable to load review items');
+    if (due) {
+      setReviewItems(due.items);
+      setReviewIndex(0);
+      setReviewResult(null);
+      setResponses({});
+    }
+  }, [runRequest]);
+
+  useEffect(() => {
+    if (mode === 'library') {
+      loadLibrary();
+    } else if (mode === 'review') {
+      loadReviews();
+    }
+  }, [mode, loadLibrary, loadReviews]);
+
+  const handleResponseChange = (itemId, value) => {
+    setResponses(prev => ({ ...prev, [itemId]: value }));
+  };
+
+  const openQuiz = async (quizId) => {
+    const loaded = await runRequest(() => loadQuiz(quizId), 'Unable to open quiz');
+    if (loaded) {
+      setQuiz(loaded);
+      setResponses({});
+      setAttempt(null);
+      setMode('quiz');
+    }
+  };
+
+  const handleDeleteQuiz = async (quizId) => {
+    if (!window.confirm('Delete this quiz and its review items?')) return;
+    const deleted = await runRequest(() => studyQuizService.deleteQuiz(quizId), 'Unable to delete quiz');
+    if (deleted) {
+      setQuizzes(prev => prev.filter(entry => entry.id !== quizId));
+      onReviewsChanged();
+    }
+  };
+
+  const handleSubmitQuiz = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      setAttempt(await submitAttempt(quiz.id, responses));
+      onReviewsChanged();
+    } catch (submitError) {
+      setError(submitError.message || 'Unable to grade quiz');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const currentReviewItem = reviewItems[reviewIndex];
+
+  const handleSubmitReview = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      setReviewResult(await studyQuizService.submitReview(currentReviewItem.id, responses[currentReviewItem.id]));
+      onReviewsChanged();
+    } catch (submitError) {
+      setError(submitError.message || 'Unable to record review');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleNextReview = () => {
+    setReviewResult(null);
+    setReviewIndex(prev => prev + 1);
+  };
+
+  const resultsById = new Map((attempt?.results || []).map(result => [result.itemId, result]));
+  const answeredCount = quiz?.items ? quiz.items.filter(item => String(responses[item.id] ?? '').trim()).length : 0;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 backdrop-blur-sm overflow-y-auto">
+      <div className="flex min-h-full items-center justify-center px-4 py-8">
+        <div className="bg-white w-full max-w-2xl rounded-lg shadow-2xl flex flex-col max-h-[85vh] overflow-hidden">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center space-x-2">
+              <GraduationCap className="h-5 w-5 text-blue-600" />
+              <h3 className="text-lg font-semibold text-gray-900">
+                {mode === 'review' ? 'Spaced review' : mode === 'quiz' ? quiz?.title || 'Quiz' : 'Quizzes'}
+              </h3>
+            </div>
+            <div className="flex items-center space-x-2">
+              {!standalone && mode !== 'library' && (
+                <button
+                  type="button"
+                  onClick={() => setMode('library')}
+                  className="px-3 py-1 text-xs font-medium text-gray-600 border border-gray-300 rounded hover:border-gray-400"
+                >
+                  All quizzes
+                </button>
+              )}
+              {!standalone && mode !== 'review' && (
+                <button
+                  type="button"
+                  onClick={() => setMode('review')}
+                  className="px-3 py-1 text-xs font-medium text-gray-600 border border-gray-300 rounded hover:border-gray-400"
+                >
+                  Review due items
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={onClose}
+                className="p-2 text-gray-400 hover:text-gray-600"
+                aria-label="Close quizzes"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-y-auto px-6 py-6 space-y-4">
+            {error && (
+              <div className="flex items-start space-x-2 p-3 border border-red-200 bg-red-50 rounded-md text-sm text-red-700">
+                <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                <span>{error}</span>
+              </div>
+            )}
+
+            {isLoading && (
+              <div className="flex items-center space-x-2 text-sm text-gray-500">
+                <Loader className="h-4 w-4 animate-spin" />
+                <span>Loading…</span>
+              </div>
+            )}
+
+            {!isLoading && mode === 'library' && (
+              quizzes.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                  No quizzes yet. Select conversations in the Notebook and choose Quiz to create one.
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                  {quizzes.map(entry => (
+                    <li key={entry.id} className="flex items-center justify-between px-4 py-3 text-sm">
+                      <div>
+                        <p className="font-medium text-gray-900">{entry.title}</p>
+                        <p className="text-xs text-gray-500">
+                          {entry.itemCount} questions · {formatDate(entry.createdAt)}
+                          {entry.lastAttempt ? ` · Last score ${formatPercent(entry.lastAttempt.score)}` : ' · Not taken yet'}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => openQuiz(entry.id)}
+                          className="px-3 py-1 text-xs font-medium text-white bg-black rounded hover:bg-gray-800"
+                        >
+                          {entry.lastAttempt ? 'Retake' : 'Start'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteQuiz(entry.id)}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          aria-label={`Delete ${entry.title}`}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )
+            )}
+
+            {!isLoading && mode === 'quiz' && quiz && (
+              <>
+                {attempt && (
+                  <div className="p-4 rounded-lg bg-blue-50 text-sm text-blue-900">
+                    <p className="font-semibold">
+                      Score {formatPercent(attempt.score)} ({attempt.correctCount} of {attempt.totalCount})
+                    </p>
+                    {attempt.passScore != null && (
+                      <p className="mt-1">
+                        {attempt.passed
+                          ? 'Passed — this training step is recorded as complete.'
+                          : `A score of ${formatPercent(attempt.passScore)} is needed to complete this training step.`}
+                      </p>
+                    )}
+                    <p className="mt-1">
+                      {attempt.scheduledForReview > 0
+                        ? `${attempt.scheduledForReview} missed ${attempt.scheduledForReview === 1 ? 'item is' : 'items are'} scheduled for review tomorrow.`
+                        : 'Nothing missed — no review needed.'}
+                    </p>
+                  </div>
+                )}
+                {(quiz.items || []).map((item, index) => (
+                  <QuizItem
+                    key={item.id}
+                    item={item}
+                    index={index}
+                    response={responses[item.id]}
+                    onChange={handleResponseChange}
+                    result={resultsById.get(item.id) || null}
+                  />
+                ))}
+              </>
+            )}
+
+            {!isLoading && mode === 'review' && (
+              currentReviewItem ? (
+                <>
+                  <p className="text-xs text-gray-500">
+                    Item {reviewIndex + 1} of {reviewItems.length} · from “{currentReviewItem.quizTitle}”
+                  </p>
+                  <QuizItem
+                    item={currentReviewItem}
+                    index={0}
+                    response={responses[currentReviewItem.id]}
+                    onChange={handleResponseChange}
+                    result={reviewResult}
+                  />
+                  {reviewResult && (
+                    <p className="text-sm text-gray-600">
+                      Next review in {reviewResult.intervalDays} {reviewResult.intervalDays === 1 ? 'day' : 'days'}.
+                    </p>
+                  )}
+                </>
+              ) : (
+                <p className="text-sm text-gray-500">No items are due for review. Missed quiz questions will appear here.</p>
+              )
+            )}
+          </div>
+
+          {mode === 'quiz' && quiz && (
+            <div className="border-t border-gray-100 px-6 py-4 flex justify-between items-center">
+              <span className="text-xs text-gray-500">
+                {answeredCount} of {(quiz.items || []).length} answered
+              </span>
+              {attempt ? (
+                <button
+                  type="button"
+                  onClick={() => openQuiz(quiz.id)}
+                  className="inline-flex items-center px-4 py-2 text-sm font-medium text-gray-700 border border-gray-300 rounded-md hover:border-gray-400"
+                >
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Retake
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={handleSubmitQuiz}
+                  disabled={isSubmitting || answeredCount === 0}
+                  className="inline-flex items-center px-4 py-2 bg-black text-white text-sm font-medium rounded-md hover:bg-gray-800 disabled:opacity-60 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                  Submit answers
+                </button>
+              )}
+            </div>
+          )}
+
+          {mode === 'review' && currentReviewItem && (
+            <div className="border-t border-gray-100 px-6 py-4 flex justify-end">
+              {reviewResult ? (
+                <button
+                  type="button"
+                  onClick={handleNextReview}
+                  className="px-4 py-2 bg-black text-white text-sm font-medium rounded-md hover:bg-gray-800"
+                >
+                  {reviewIndex + 1 < reviewItems.length ? 'Next item' : 'Finish'}
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={handleSubmitReview}
+                  disabled={isSubmitting || !String(responses[currentReviewItem.id] ?? '').trim()}
+                  className="inline-flex items-center px-4 py-2 bg-black text-white text-sm font-medium rounded-md hover:bg-gray-800 disabled:opacity-60 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting && <Loader className="h-4 w-4 mr-2 animate-spin" />}
+                  Check answer
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+StudyQuizModal.propTypes = {
+  initialMode: PropTypes.oneOf(['library', 'review']),
+  quiz: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    title: PropTypes.string,
+    items: PropTypes.array,
+  }),
+  onClose: PropTypes.func.isRequired,
+  onReviewsChanged: PropTypes.func,
+  // Override how a quiz is reopened and graded, e.g. for quizzes assigned in a training curriculum
+  loadQuiz: PropTypes.func,
+  submitAttempt: PropTypes.func,
+  // Hide the links to the quiz library and the review queue
+  standalone: PropTypes.bool,
+};
+
+StudyQuizModal.defaultProps = {
+  initialMode: 'library',
+  quiz: null,
+  onReviewsChanged: () => {},
+  loadQuiz: (quizId) => studyQuizService.getQuiz(quizId),
+  submitAttempt: (quizId, responses) => studyQuizService.submitQuizAttempt(quizId, responses),
+  standalone: false,
+};
+
+export default StudyQuizModal;
@@ -0,0 +1,266 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Pencil, PlusCircle, Trash2 } from 'lucide-react';
+import summaryPipelineService, { SUMMARY_TONES } from '../services/summaryPipelineService';
+
+const EMPTY_FORM = {
+  id: null,
+  kind: 'role',
+  scope: 'platform',
+  name: '',
+  keywords: '',
+  tone: 'formal',
+  sections: '',
+  minCitationDensity: '0.5',
+  description: '',
+};
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+
+// Keywords are edited comma separated and section headings one per line
+const toForm = (profile) => ({
+  id: profile.id,
+  kind: profile.kind,
+  scope: profile.scope,
+  name: profile.name,
+  keywords: profile.keywords.join(', '),
+  tone: profile.tone || EMPTY_FORM.tone,
+  sections: (profile.sections || []).join('\n'),
+  minCitationDensity: profile.minCitationDensity != null ? String(profile.minCitationDensity) : EMPTY_FORM.minCitationDensity,
+  description: profile.description || '',
+});
+
+const toPayload = (form) => ({
+  ...(form.id ? { id: form.id } : { kind: form.kind, scope: form.scope }),
+  name: form.name,
+  keywords: form.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean),
+  description: form.description,
+  ...(form.kind === 'role'
+    ? {
+      tone: form.tone,
+      sections: form.sections.split('\n').map(section => section.trim()).filter(Boolean),
+      minCitationDensity: Number(form.minCitationDensity),
+    }
+    : {}),
+});
+
+const ProfileList = ({ title, profiles, onEdit, onDelete }) => (
+  <div>
+    <h3 className="text-lg font-medium text-gray-900 mb-2">{title}</h3>
+    {profiles.length === 0 ? (
+      <p className="text-sm text-gray-500">None configured.</p>
+    ) : (
+      <ul className="space-y-2">
+        {profiles.map(profile => (
+          <li key={profile.id ?? profile.name} className="p-3 border rounded-md flex items-start justify-between">
+            <div className="space-y-1">
+              <div className="font-medium">
+                {profile.name}
+                {profile.scope === 'organization' && (
+                  <span className="ml-2 inline-block text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded">Organization</span>
+                )}
+              </div>
+              {profile.kind === 'role' && (
+                <p className="text-sm text-gray-600">
+                  {profile.tone} · citation density ≥ {profile.minCitationDensity} · {profile.sections.join(' / ')}
+                </p>
+              )}
+              <p className="text-xs text-gray-500">{profile.keywords.join(', ')}</p>
+            </div>
+            {profile.canManage && (
+              <div className="flex items-center space-x-2">
+                <button type="button" onClick={() => onEdit(profile)} className="p-1 text-gray-400 hover:text-gray-600" aria-label={`Edit ${profile.name}`}>
+                  <Pencil className="h-4 w-4" />
+                </button>
+                <button type="button" onClick={() => onDelete(profile)} className="p-1 text-gray-400 hover:text-red-600" aria-label={`Delete ${profile.name}`}>
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const SummaryProfilesAdmin = () => {
+  const [profiles, setProfiles] = useState({ roles: [], lenses: [], overrides: [] });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      setProfiles(await summaryPipelineService.listSummaryProfiles());
+    } catch (err) {
+      console.error('Failed to load summary profiles:', err);
+      setError(err.message || 'Failed to load summary profiles');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleEdit = (profile) => {
+    setForm(toForm(profile));
+    setError(null);
+    setNotice(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || !form.keywords.trim()) {
+      setError('A name and at least one keyword are required');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await summaryPipelineService.saveSummaryProfile(toPayload(form));
+      setNotice(`${form.kind === 'role' ? 'Role profile' : 'Lens'} ${form.id ? 'updated' : 'created'}`);
+      setForm(EMPTY_FORM);
+      await loadProfiles();
+    } catch (err) {
+      console.error('Failed to save summary profile:', err);
+      setError(err.message || 'Failed to save profile');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete the ${profile.kind} "${profile.name}"? Existing summaries keep their text.`)) return;
+    try {
+      await summaryPipelineService.deleteSummaryProfile(profile.id);
+      await loadProfiles();
+    } catch (err) {
+      setError(err.message || 'Failed to delete profile');
+    }
+  };
+
+  const isRole = form.kind === 'role';
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Type</label>
+            <select name="kind" value={form.kind} onChange={handleChange} disabled={Boolean(form.id)} className={inputClassName}>
+              <option value="role">Role profile</option>
+              <option value="lens">Focus lens</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              type="text"
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              className={inputClassName}
+              placeholder={isRole ? 'e.g., Regulatory Affairs' : 'e.g., Data Integrity (ALCOA+)'}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Applies to</label>
+            <select name="scope" value={form.scope} onChange={handleChange} disabled={Boolean(form.id)} className={inputClassName}>
+              <option value="platform">All organizations</option>
+              <option value="organization">My organization only</option>
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Keywords (comma separated)</label>
+          <input
+            type="text"
+            name="keywords"
+            value={form.keywords}
+            onChange={handleChange}
+            className={inputClassName}
+            placeholder={isRole ? 'submission, commitment, variation' : 'alcoa, audit trail, attributable, contemporaneous'}
+          />
+        </div>
+        {isRole && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Tone</label>
+              <select name="tone" value={form.tone} onChange={handleChange} className={inputClassName}>
+                {SUMMARY_TONES.map(tone => (
+                  <option key={tone} value={tone}>{tone}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Minimum citation density</label>
+              <input
+                type="number"
+                name="minCitationDensity"
+                min="0"
+                max="1"
+                step="0.05"
+                value={form.minCitationDensity}
+                onChange={handleChange}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Section headings (one per line)</label>
+              <textarea
+                name="sections"
+                value={form.sections}
+                onChange={handleChange}
+                className={inputClassName}
+                rows={3}
+                placeholder={'Submissions & Commitments\nHealth Authority Questions'}
+              />
+            </div>
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Description</label>
+          <input type="text" name="description" value={form.description} onChange={handleChange} className={inputClassName} />
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {notice && <p className="text-sm text-green-700">{notice}</p>}
+        <div className="flex items-center space-x-3">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            <PlusCircle className="h-4 w-4 mr-2" />
+            {form.id ? 'Save Changes' : `Create ${isRole ? 'Role Profile' : 'Lens'}`}
+          </button>
+          {form.id && (
+            <button type="button" onClick={() => setForm(EMPTY_FORM)} className="text-sm text-gray-600 hover:underline">
+              Cancel editing
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ProfileList title="Role profiles" profiles={profiles.roles} onEdit={handleEdit} onDelete={handleDelete} />
+        <ProfileList title="Focus lenses" profiles={profiles.lenses} onEdit={handleEdit} onDelete={handleDelete} />
+      </div>
+
+      {profiles.overrides.length > 0 && (
+        <p className="text-sm text-gray-500">
+          Replaced for your organization: {profiles.overrides.map(profile => profile.name).join(', ')}.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SummaryProfilesAdmin;
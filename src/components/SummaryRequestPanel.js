@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useEffect, useCallback } from 'react';
+import React, { useMemo, useState, useEffect, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
 import {
   Sparkles,
@@ -9,10 +9,16 @@ import {
   ShieldCheck,
   ListChecks,
   FileText,
+  Download,
+  Save,
+  Trash2,
+  Layers,
 } from 'lucide-react';
 import useSummaryPipeline from '../hooks/useSummaryPipeline';
 import ragService from '../services/ragService';
+import summaryPipelineService, { MAX_SUMMARY_DOCUMENTS } from '../services/summaryPipelineService';
 import decodeDocumentContent from '../utils/documentTextUtils';
+import { exportSummary } from '../utils/exportUtils';
 
 const parseListInput = (value) =>
   value
@@ -34,6 +40,34 @@ const buildDocumentForSummary = (document = {}, content = '') => {
   };
 };
 
+const JOB_STAGE_LABELS = {
+  chunk: 'Chunking documents',
+  retrieve: 'Retrieving passages',
+  generate: 'Writing the summary',
+  guardrail: 'Checking guardrails',
+  persist: 'Saving the summary',
+};
+
+// Status line while a summary job runs in the background
+const describeJobProgress = (job) => {
+  if (!job?.stage) {
+    return 'Queued; waiting for the pipeline to start…';
+  }
+  return `${JOB_STAGE_LABELS[job.stage] || job.stage}… (${Math.round((job.progress || 0) * 100)}%)`;
+};
+
+const getDocumentLabel = (document) => String(document.metadata?.title || document.filename || document.id);
+
+const loadDocumentText = async (documentId, userId) => {
+  try {
+    const payload = await ragService.downloadDocument({ documentId }, userId);
+    const { text, warnings } = decodeDocumentContent(payload);
+    return { text, warnings, error: null };
+  } catch (loadError) {
+    return { text: '', warnings: [], error: loadError.message || 'Failed to load document content' };
+  }
+};
+
 const SummaryRequestPanel = ({ documents, user }) => {
   const {
     summary,
@@ -41,6 +75,7 @@ const SummaryRequestPanel = ({ documents, user }) => {
     metrics,
     status,
     error,
+    job,
     isLoading,
     hasSummary,
     requestSummary,
@@ -48,19 +83,38 @@ const SummaryRequestPanel = ({ documents, user }) => {
     roleOptions,
     lensOptions,
     detailOptions,
-  } = useSummaryPipeline();
+  } = useSummaryPipeline({ userId: user?.sub });
 
-  const [selectedDocumentId, setSelectedDocumentId] = useState('');
+  // Ids are kept as strings in selection order; the content of each is loaded once and cached
+  const [selectedDocumentIds, setSelectedDocumentIds] = useState([]);
+  const [loadedDocuments, setLoadedDocuments] = useState({});
+  const [documentFilter, setDocumentFilter] = useState('');
   const [documentContent, setDocumentContent] = useState('');
-  const [documentWarnings, setDocumentWarnings] = useState([]);
   const [documentError, setDocumentError] = useState(null);
-  const [isFetchingDocument, setIsFetchingDocument] = useState(false);
+  const [documentSets, setDocumentSets] = useState([]);
+  const [activeSetId, setActiveSetId] = useState('');
+  const [setName, setSetName] = useState('');
+  const [setError, setSetError] = useState(null);
+  const [isSavingSet, setIsSavingSet] = useState(false);
+  const requestedDocumentIdsRef = useRef(new Set());
+  const isMountedRef = useRef(true);
   const [mode, setMode] = useState({ role: 'QA Lead', lens: 'Regulatory', detail: detailOptions[1] || detailOptions[0] });
   const [query, setQuery] = useState('');
   const [tagsInput, setTagsInput] = useState('');
   const [sectionsInput, setSectionsInput] = useState('');
   const [lastRequest, setLastRequest] = useState(null);
   const [copyFeedback, setCopyFeedback] = useState('');
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  // Admins may have renamed or removed the default role and lens
+  useEffect(() => {
+    setMode((prev) => {
+      const role = roleOptions.includes(prev.role) ? prev.role : roleOptions[0];
+      const lens = lensOptions.includes(prev.lens) ? prev.lens : lensOptions[0];
+      return role === prev.role && lens === prev.lens ? prev : { ...prev, role, lens };
+    });
+  }, [lensOptions, roleOptions]);
 
   useEffect(() => {
     if (!copyFeedback) {
@@ -71,61 +125,161 @@ const SummaryRequestPanel = ({ documents, user }) => {
     return () => clearTimeout(timeout);
   }, [copyFeedback]);
 
-  const selectedDocument = useMemo(
-    () => documents.find((doc) => String(doc.id) === String(selectedDocumentId)),
-    [documents, selectedDocumentId]
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    summaryPipelineService.listDocumentSets()
+      .then((sets) => {
+        if (isMountedRef.current) {
+          setDocumentSets(sets);
+        }
+      })
+      .catch((listError) => {
+        console.warn('Failed to load saved document sets:', listError);
+      });
+  }, []);
+
+  const selectedDocuments = useMemo(
+    () => selectedDocumentIds
+      .map((id) => documents.find((doc) => String(doc.id) === id))
+      .filter(Boolean),
+    [documents, selectedDocumentIds]
   );
+  const selectedDocument = selectedDocuments.length === 1 ? selectedDocuments[0] : null;
+  const isMultiDocument = selectedDocuments.length > 1;
+  const activeSet = documentSets.find((set) => String(set.id) === activeSetId) || null;
+
+  const visibleDocuments = useMemo(() => {
+    const filter = documentFilter.trim().toLowerCase();
+    return filter ? documents.filter((doc) => getDocumentLabel(doc).toLowerCase().includes(filter)) : documents;
+  }, [documentFilter, documents]);
+
+  useEffect(() => {
+    const missing = selectedDocumentIds.filter((id) => !requestedDocumentIdsRef.current.has(id));
+    missing.forEach(async (documentId) => {
+      requestedDocumentIdsRef.current.add(documentId);
+      const entry = await loadDocumentText(documentId, user?.sub);
+      if (isMountedRef.current) {
+        setLoadedDocuments((previous) => ({ ...previous, [documentId]: entry }));
+      }
+    });
+  }, [selectedDocumentIds, user?.sub]);
+
+  // A single selection fills the editable text box; clearing the selection empties it
+  const singleEntry = selectedDocumentIds.length === 1 ? loadedDocuments[selectedDocumentIds[0]] : null;
+  useEffect(() => {
+    if (singleEntry) {
+      setDocumentContent(singleEntry.text);
+    }
+  }, [singleEntry]);
 
   useEffect(() => {
-    if (!selectedDocumentId) {
+    if (selectedDocumentIds.length === 0) {
       setDocumentContent('');
-      setDocumentWarnings([]);
-      setDocumentError(null);
-      return undefined;
+    }
+  }, [selectedDocumentIds.length]);
+
+  const selectedEntries = selectedDocumentIds.map((id) => loadedDocuments[id]);
+  const isFetchingDocument = selectedEntries.some((entry) => !entry);
+  const documentWarnings = selectedEntries.flatMap((entry) => entry?.warnings || []);
+  const documentLoadErrors = selectedDocuments
+    .filter((doc) => loadedDocuments[String(doc.id)]?.error)
+    .map((doc) => `${getDocumentLabel(doc)}: ${loadedDocuments[String(doc.id)].error}`);
+
+  const toggleDocument = useCallback((documentId) => {
+    setDocumentError(null);
+    if (!selectedDocumentIds.includes(documentId)) {
+      if (selectedDocumentIds.length < MAX_SUMMARY_DOCUMENTS) {
+        setSelectedDocumentIds([...selectedDocumentIds, documentId]);
+      }
+      return;
     }
 
-    let isCancelled = false;
+    // Forget a failed load so selecting the document again retries it
+    if (loadedDocuments[documentId]?.error) {
+      requestedDocumentIdsRef.current.delete(documentId);
+      setLoadedDocuments(({ [documentId]: _failed, ...rest }) => rest);
+    }
+    setSelectedDocumentIds(selectedDocumentIds.filter((id) => id !== documentId));
+  }, [loadedDocuments, selectedDocumentIds]);
+
+  const handleApplySet = useCallback((setId) => {
+    setActiveSetId(setId);
+    setSetError(null);
+    const documentSet = documentSets.find((set) => String(set.id) === setId);
+    if (!documentSet) {
+      setSetName('');
+      return;
+    }
 
-    const loadContent = async () => {
-      setIsFetchingDocument(true);
-      setDocumentError(null);
-      setDocumentWarnings([]);
+    const availableIds = documentSet.documentIds.filter((id) => documents.some((doc) => String(doc.id) === id));
+    const missingCount = documentSet.documentIds.length - availableIds.length;
+    if (missingCount > 0) {
+      setSetError(`${missingCount} document${missingCount === 1 ? ' in this set is' : 's in this set are'} no longer in your library.`);
+    }
+    setSelectedDocumentIds(availableIds.slice(0, MAX_SUMMARY_DOCUMENTS));
+    setSetName(documentSet.name);
+  }, [documentSets, documents]);
 
-      try {
-        const payload = await ragService.downloadDocument({ documentId: selectedDocumentId }, user?.sub);
-        const { text, warnings } = decodeDocumentContent(payload);
-        if (!isCancelled) {
-          setDocumentContent(text);
-          setDocumentWarnings(warnings);
-        }
-      } catch (loadError) {
-        if (!isCancelled) {
-          setDocumentError(loadError.message || 'Failed to load document content');
-          setDocumentContent('');
-        }
-      } finally {
-        if (!isCancelled) {
-          setIsFetchingDocument(false);
-        }
-      }
-    };
+  const handleSaveSet = useCallback(async () => {
+    const name = setName.trim();
+    if (!name || selectedDocumentIds.length === 0) {
+      return;
+    }
 
-    loadContent();
+    setIsSavingSet(true);
+    setSetError(null);
+    try {
+      // Saving under the active set's name updates it; a new name saves a new set
+      const updatesActiveSet = Boolean(activeSet?.canManage) && activeSet.name === name;
+      const saved = await summaryPipelineService.saveDocumentSet({
+        ...(updatesActiveSet ? { id: activeSet.id } : {}),
+        name,
+        documentIds: selectedDocumentIds,
+      });
+      setDocumentSets((previous) => [saved, ...previous.filter((set) => set.id !== saved.id)]);
+      setActiveSetId(String(saved.id));
+    } catch (saveError) {
+      setSetError(saveError.message || 'Failed to save the document set');
+    } finally {
+      setIsSavingSet(false);
+    }
+  }, [activeSet, selectedDocumentIds, setName]);
 
-    return () => {
-      isCancelled = true;
-    };
-  }, [selectedDocumentId, user?.sub]);
+  const handleDeleteSet = useCallback(async () => {
+    if (!activeSet) {
+      return;
+    }
+
+    setSetError(null);
+    try {
+      await summaryPipelineService.deleteDocumentSet(activeSet.id);
+      setDocumentSets((previous) => previous.filter((set) => set.id !== activeSet.id));
+      setActiveSetId('');
+      setSetName('');
+    } catch (deleteError) {
+      setSetError(deleteError.message || 'Failed to delete the document set');
+    }
+  }, [activeSet]);
 
   const handleGenerateSummary = useCallback(
     async (event) => {
       event.preventDefault();
 
       const trimmedContent = documentContent.trim();
-      if (!trimmedContent) {
+      if (!isMultiDocument && !trimmedContent) {
         setDocumentError('Add or load document content before generating a summary.');
         return;
       }
+      if (isMultiDocument && documentLoadErrors.length > 0) {
+        setDocumentError('Some selected documents could not be loaded. Deselect them or try again.');
+        return;
+      }
 
       const filters = {};
       const parsedTags = parseListInput(tagsInput);
@@ -137,17 +291,28 @@ const SummaryRequestPanel = ({ documents, user }) => {
         filters.sections = parsedSections;
       }
 
-      const documentPayload = buildDocumentForSummary(selectedDocument || {}, trimmedContent);
-      const request = {
-        document: documentPayload,
-        mode,
-        query,
-        filters,
-        metadata: {
-          sourceDocumentId: selectedDocument?.id || null,
-          filename: selectedDocument?.filename || null,
-        },
-      };
+      const request = isMultiDocument
+        ? {
+          documents: selectedDocuments.map((doc) => buildDocumentForSummary(doc, loadedDocuments[String(doc.id)].text.trim())),
+          documentSetName: activeSet?.name || null,
+          mode,
+          query,
+          filters,
+          metadata: {
+            sourceDocumentIds: selectedDocuments.map((doc) => doc.id),
+            documentSetId: activeSet?.id || null,
+          },
+        }
+        : {
+          document: buildDocumentForSummary(selectedDocument || {}, trimmedContent),
+          mode,
+          query,
+          filters,
+          metadata: {
+            sourceDocumentId: selectedDocument?.id || null,
+            filename: selectedDocument?.filename || null,
+          },
+        };
 
       try {
         setLastRequest(request);
@@ -156,13 +321,27 @@ const SummaryRequestPanel = ({ documents, user }) => {
         console.error('Failed to generate summary:', requestError);
       }
     },
-    [documentContent, mode, query, requestSummary, sectionsInput, selectedDocument, tagsInput]
+    [
+      activeSet,
+      documentContent,
+      documentLoadErrors.length,
+      isMultiDocument,
+      loadedDocuments,
+      mode,
+      query,
+      requestSummary,
+      sectionsInput,
+      selectedDocument,
+      selectedDocuments,
+      tagsInput,
+    ]
   );
 
   const handleReset = useCallback(() => {
     reset();
     setLastRequest(null);
     setCopyFeedback('');
+    setExportError(null);
   }, [reset]);
 
   const handleCopy = useCallback(async () => {
@@ -178,6 +357,22 @@ const SummaryRequestPanel = ({ documents, user }) => {
     }
   }, [summary]);
 
+  const handleExport = useCallback(async (format) => {
+    if (!summary?.summary) {
+      return;
+    }
+
+    setExportingFormat(format);
+    setExportError(null);
+    try {
+      await exportSummary(summary, format, { document: lastRequest?.document, mode: lastRequest?.mode });
+    } catch (exportFailure) {
+      setExportError(exportFailure.message || 'Failed to export summary');
+    } finally {
+      setExportingFormat(null);
+    }
+  }, [lastRequest, summary]);
+
   const showLoadingState = isLoading || isFetchingDocument;
 
   return (
@@ -189,8 +384,8 @@ const SummaryRequestPanel = ({ documents, user }) => {
             Generate Summary
           </h3>
           <p className="text-sm text-gray-600">
-            Select a document, tailor role and lens, and AcceleraQA will orchestrate the multi-pass summarization pipeline with
-            citations.
+            Select one document, or several for a consolidated brief, tailor role and lens, and AcceleraQA will orchestrate the
+            multi-pass summarization pipeline with citations.
           </p>
         </div>
         {status === 'succeeded' && summary?.summary_id && (
@@ -202,22 +397,113 @@ const SummaryRequestPanel = ({ documents, user }) => {
 
       <form onSubmit={handleGenerateSummary} className="grid grid-cols-1 md:grid-cols-2 gap-4">
         <div className="md:col-span-1">
-          <label htmlFor="summary-document" className="block text-sm font-medium text-gray-700 mb-1">
-            Source document
-          </label>
-          <select
-            id="summary-document"
-            value={selectedDocumentId}
-            onChange={(event) => setSelectedDocumentId(event.target.value)}
-            className="w-full border border-gray-300 rounded-md px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          <div className="flex items-center justify-between mb-1">
+            <span id="summary-documents-label" className="block text-sm font-medium text-gray-700">
+              Source documents
+            </span>
+            <span className="text-xs text-gray-500">
+              {selectedDocumentIds.length}/{MAX_SUMMARY_DOCUMENTS} selected
+            </span>
+          </div>
+          <div className="flex items-center gap-2 mb-2">
+            <Layers className="h-4 w-4 text-gray-500 flex-shrink-0" />
+            <select
+              id="summary-document-set"
+              aria-label="Saved document sets"
+              value={activeSetId}
+              onChange={(event) => handleApplySet(event.target.value)}
+              className="flex-1 border border-gray-300 rounded-md px-3 py-1.5 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">{documentSets.length > 0 ? 'Apply a saved set…' : 'No saved sets yet'}</option>
+              {documentSets.map((set) => (
+                <option key={set.id} value={String(set.id)}>
+                  {set.name} ({set.documentIds.length}){set.scope === 'organization' ? ' · organization' : ''}
+                </option>
+              ))}
+            </select>
+            {activeSet?.canManage && (
+              <button
+                type="button"
+                onClick={handleDeleteSet}
+                aria-label={`Delete saved set ${activeSet.name}`}
+                className="p-1.5 text-gray-500 hover:text-red-600 border border-gray-300 rounded-md hover:border-red-300"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+          <input
+            type="search"
+            aria-label="Filter documents"
+            value={documentFilter}
+            onChange={(event) => setDocumentFilter(event.target.value)}
+            placeholder="Filter documents…"
+            className="w-full border border-gray-300 rounded-t-md px-3 py-1.5 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <ul
+            role="group"
+            aria-labelledby="summary-documents-label"
+            className="max-h-48 overflow-y-auto border border-t-0 border-gray-300 rounded-b-md divide-y divide-gray-100"
           >
-            <option value="">Select a document…</option>
-            {documents.map((doc) => (
-              <option key={doc.id} value={doc.id}>
-                {(doc.metadata?.title || doc.filename || doc.id).slice(0, 80)}
-              </option>
-            ))}
-          </select>
+            {visibleDocuments.map((doc) => {
+              const documentId = String(doc.id);
+              const isSelected = selectedDocumentIds.includes(documentId);
+              const entry = loadedDocuments[documentId];
+              return (
+                <li key={documentId}>
+                  <label className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-800 cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={isSelected}
+                      disabled={!isSelected && selectedDocumentIds.length >= MAX_SUMMARY_DOCUMENTS}
+                      onChange={() => toggleDocument(documentId)}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="truncate flex-1">{getDocumentLabel(doc).slice(0, 80)}</span>
+                    {isSelected && !entry && <Loader className="h-3 w-3 animate-spin text-blue-600" />}
+                    {entry?.error && <AlertCircle className="h-3 w-3 text-red-600" aria-label={entry.error} />}
+                  </label>
+                </li>
+              );
+            })}
+            {visibleDocuments.length === 0 && (
+              <li className="px-3 py-2 text-xs text-gray-500">No documents match the filter.</li>
+            )}
+          </ul>
+          {selectedDocumentIds.length > 0 && (
+            <div className="flex items-center gap-2 mt-2">
+              <input
+                type="text"
+                aria-label="Document set name"
+                value={setName}
+                onChange={(event) => setSetName(event.target.value)}
+                placeholder="Name this selection to save it"
+                maxLength={120}
+                className="flex-1 border border-gray-300 rounded-md px-3 py-1.5 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="button"
+                onClick={handleSaveSet}
+                disabled={!setName.trim() || isSavingSet}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-300 rounded-md text-gray-700 hover:border-gray-400 disabled:opacity-50"
+              >
+                {isSavingSet ? <Loader className="h-3 w-3 animate-spin" /> : <Save className="h-3 w-3" />}
+                {activeSet?.canManage && activeSet.name === setName.trim() ? 'Update set' : 'Save set'}
+              </button>
+            </div>
+          )}
+          {setError && (
+            <p className="mt-2 text-xs text-amber-600 flex items-center gap-1">
+              <AlertCircle className="h-3 w-3" />
+              {setError}
+            </p>
+          )}
+          {documentLoadErrors.length > 0 && (
+            <p className="mt-2 text-xs text-red-600 flex items-center gap-1">
+              <AlertCircle className="h-3 w-3" />
+              {documentLoadErrors.join(' ')}
+            </p>
+          )}
           {documentError && (
             <p className="mt-2 text-xs text-red-600 flex items-center gap-1">
               <AlertCircle className="h-3 w-3" />
@@ -332,6 +618,25 @@ const SummaryRequestPanel = ({ documents, user }) => {
           </div>
         </div>
 
+        {isMultiDocument ? (
+          <div className="md:col-span-2">
+            <p className="text-sm font-medium text-gray-700 mb-1 flex items-center gap-2">
+              <FileText className="h-4 w-4 text-gray-500" />
+              {selectedDocuments.length} documents will be summarized together
+            </p>
+            <ul className="text-xs text-gray-600 space-y-1">
+              {selectedDocuments.map((doc) => {
+                const entry = loadedDocuments[String(doc.id)];
+                return (
+                  <li key={doc.id}>
+                    {getDocumentLabel(doc)} ·{' '}
+                    {!entry ? 'loading…' : entry.error ? 'failed to load' : `${entry.text.length.toLocaleString()} characters`}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ) : (
         <div className="md:col-span-2">
           <label htmlFor="summary-content" className="block text-sm font-medium text-gray-700 mb-1 flex items-center gap-2">
             <FileText className="h-4 w-4 text-gray-500" />
@@ -351,6 +656,7 @@ const SummaryRequestPanel = ({ documents, user }) => {
             </p>
           )}
         </div>
+        )}
 
         <div className="md:col-span-2 flex flex-wrap gap-3 justify-between items-center border-t border-gray-100 pt-4">
           <div className="text-sm text-gray-500 flex items-center gap-2">
@@ -359,7 +665,21 @@ const SummaryRequestPanel = ({ documents, user }) => {
             ) : (
               <ListChecks className="h-4 w-4 text-blue-600" />
             )}
-            {showLoadingState ? 'Running retrieval, orchestration, and guardrails…' : 'Pipeline ready.'}
+            {showLoadingState
+              ? (isLoading && job ? describeJobProgress(job) : 'Running retrieval, orchestration, and guardrails…')
+              : 'Pipeline ready.'}
+            {isLoading && job && (
+              <div
+                role="progressbar"
+                aria-label="Summary progress"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round((job.progress || 0) * 100)}
+                className="w-24 h-1.5 bg-blue-100 rounded-full overflow-hidden"
+              >
+                <div className="h-full bg-blue-600 transition-all" style={{ width: `${Math.round((job.progress || 0) * 100)}%` }} />
+              </div>
+            )}
           </div>
           <div className="flex items-center gap-2">
             {hasSummary && (
@@ -374,7 +694,7 @@ const SummaryRequestPanel = ({ documents, user }) => {
             )}
             <button
               type="submit"
-              disabled={showLoadingState || !documentContent.trim()}
+              disabled={showLoadingState || (isMultiDocument ? documentLoadErrors.length > 0 : !documentContent.trim())}
               className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
             >
               <Sparkles className="h-4 w-4" />
@@ -402,6 +722,7 @@ const SummaryRequestPanel = ({ documents, user }) => {
               Guarded summary output
             </h4>
             <div className="flex items-center gap-2 text-xs text-gray-500">
+              {exportError && <span className="text-red-600 font-medium">{exportError}</span>}
               {copyFeedback && <span className="text-emerald-600 font-medium">{copyFeedback}</span>}
               <button
                 type="button"
@@ -412,6 +733,18 @@ const SummaryRequestPanel = ({ documents, user }) => {
                 <ClipboardCopy className="h-3 w-3" />
                 Copy summary
               </button>
+              {[['pdf', 'PDF'], ['docx', 'Word']].map(([format, label]) => (
+                <button
+                  key={format}
+                  type="button"
+                  onClick={() => handleExport(format)}
+                  disabled={!summary.summary || Boolean(exportingFormat)}
+                  className="inline-flex items-center gap-1 px-2 py-1 border border-gray-300 rounded-md hover:border-gray-400 text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                >
+                  {exportingFormat === format ? <Loader className="h-3 w-3 animate-spin" /> : <Download className="h-3 w-3" />}
+                  {label}
+                </button>
+              ))}
             </div>
           </div>
 
@@ -426,7 +759,9 @@ const SummaryRequestPanel = ({ documents, user }) => {
                 <ul className="space-y-2 text-sm text-gray-700">
                   {summary.citations.map((citation) => (
                     <li key={citation.chunk_id} className="border border-gray-100 rounded-md p-2">
-                      <p className="font-medium text-gray-900">[{citation.citationNumber}] Sec {citation.section} · p.{citation.page}</p>
+                      <p className="font-medium text-gray-900">
+                        [{citation.citationNumber}] {citation.doc_title ? `${citation.doc_title} · ` : ''}Sec {citation.section} · p.{citation.page}
+                      </p>
                       <p className="text-xs text-gray-600 mt-1">{citation.preview}</p>
                       <p className="text-xs text-gray-500 mt-1">Confidence: {(citation.score * 100).toFixed(0)}%</p>
                     </li>
@@ -445,6 +780,18 @@ const SummaryRequestPanel = ({ documents, user }) => {
                 <li>Chunks analyzed: {metrics?.chunkCount ?? '—'}</li>
                 <li>Citation density: {metrics?.citationDensity ? metrics.citationDensity.toFixed(2) : '—'}</li>
                 <li>Confidence: {metrics?.confidence ? (metrics.confidence * 100).toFixed(0) + '%' : summary.confidence * 100 + '%'}</li>
+                <li>
+                  Generated by:{' '}
+                  {summary.generation === 'abstractive'
+                    ? `${summary.provider ? `${summary.provider}/` : ''}${summary.model} (${summary.prompt_version})`
+                    : 'extractive sentences'}
+                </li>
+                {summary.token_usage && (
+                  <li>
+                    Tokens: {summary.token_usage.totalTokens.toLocaleString()}
+                    {typeof summary.token_usage.costUsd === 'number' ? ` · ~$${summary.token_usage.costUsd.toFixed(4)}` : ''}
+                  </li>
+                )}
               </ul>
               {lastRequest && (
                 <div className="mt-3 text-xs text-gray-500">
@@ -0,0 +1,410 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ArrowDown, ArrowUp, Pencil, PlusCircle, Trash2, UserPlus, X } from 'lucide-react';
+import trainingCurriculumService, { STEP_REQUIREMENTS } from '../services/trainingCurriculumService';
+import trainingResourceService from '../services/trainingResourceService';
+import studyQuizService from '../services/studyQuizService';
+
+const EMPTY_FORM = { curriculumId: null, name: '', jobRole: '', description: '', steps: [] };
+const EMPTY_STEP = { requirement: STEP_REQUIREMENTS.VIEW, trainingResourceId: '', quizId: '', title: '', passScore: 80 };
+const EMPTY_ASSIGNMENT = { userIds: '', dueDate: '', team: '' };
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500';
+
+// Steps are edited with the pass mark as a percentage; the backend stores it as a fraction
+const toFormStep = (step) => ({
+  requirement: step.requirement,
+  trainingResourceId: step.trainingResourceId ? String(step.trainingResourceId) : '',
+  quizId: step.quizId ? String(step.quizId) : '',
+  title: step.title || '',
+  passScore: step.passScore ? Math.round(step.passScore * 100) : EMPTY_STEP.passScore,
+});
+
+const toPayloadStep = (step) => ({
+  requirement: step.requirement,
+  title: step.title,
+  trainingResourceId: step.requirement === STEP_REQUIREMENTS.VIEW ? step.trainingResourceId : null,
+  quizId: step.requirement === STEP_REQUIREMENTS.QUIZ ? step.quizId : null,
+  passScore: step.requirement === STEP_REQUIREMENTS.QUIZ ? Number(step.passScore) / 100 : null,
+});
+
+const TrainingCurriculaAdmin = () => {
+  const [curricula, setCurricula] = useState([]);
+  const [resources, setResources] = useState([]);
+  const [quizzes, setQuizzes] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [assigningId, setAssigningId] = useState(null);
+  const [assignment, setAssignment] = useState(EMPTY_ASSIGNMENT);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadCurricula = useCallback(async () => {
+    try {
+      setCurricula(await trainingCurriculumService.getCurricula());
+    } catch (err) {
+      console.error('Failed to load training curricula:', err);
+      setError(err.message || 'Failed to load training curricula');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCurricula();
+    trainingResourceService.getTrainingResources().then(setResources);
+    studyQuizService.getQuizzes().then(setQuizzes).catch(err => {
+      console.warn('Unable to load quizzes for curriculum steps:', err);
+    });
+  }, [loadCurricula]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const updateStep = (index, updates) => {
+    setForm(prev => ({
+      ...prev,
+      steps: prev.steps.map((step, stepIndex) => (stepIndex === index ? { ...step, ...updates } : step)),
+    }));
+  };
+
+  const moveStep = (index, offset) => {
+    setForm(prev => {
+      const steps = [...prev.steps];
+      const target = index + offset;
+      if (target < 0 || target >= steps.length) return prev;
+      [steps[index], steps[target]] = [steps[target], steps[index]];
+      return { ...prev, steps };
+    });
+  };
+
+  const removeStep = (index) => {
+    setForm(prev => ({ ...prev, steps: prev.steps.filter((_, stepIndex) => stepIndex !== index) }));
+  };
+
+  const handleEdit = (curriculum) => {
+    setForm({
+      curriculumId: curriculum.id,
+      name: curriculum.name,
+      jobRole: curriculum.jobRole || '',
+      description: curriculum.description || '',
+      steps: curriculum.steps.map(toFormStep),
+    });
+    setError(null);
+    setNotice(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || form.steps.length === 0) {
+      setError('A name and at least one step are required');
+      return;
+    }
+    if (form.curriculumId && !window.confirm('Saving replaces the steps of this curriculum. Completions of removed steps are deleted. Continue?')) {
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await trainingCurriculumService.saveCurriculum({ ...form, steps: form.steps.map(toPayloadStep) });
+      setNotice(form.curriculumId ? 'Curriculum updated' : 'Curriculum created');
+      setForm(EMPTY_FORM);
+      await loadCurricula();
+    } catch (err) {
+      console.error('Failed to save training curriculum:', err);
+      setError(err.message || 'Failed to save curriculum');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (curriculum) => {
+    if (!window.confirm(`Delete "${curriculum.name}" with its assignments and completion records?`)) return;
+    try {
+      await trainingCurriculumService.deleteCurriculum(curriculum.id);
+      setCurricula(prev => prev.filter(entry => entry.id !== curriculum.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete curriculum');
+    }
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    const userIds = assignment.userIds.split(/[\s,;]+/).map(id => id.trim()).filter(Boolean);
+    if (userIds.length === 0) {
+      setError('Enter at least one user ID to assign');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const assigned = await trainingCurriculumService.assignCurriculum(assigningId, {
+        userIds,
+        dueDate: assignment.dueDate || null,
+        team: assignment.team || null,
+      });
+      setNotice(`Assigned to ${assigned.length} ${assigned.length === 1 ? 'user' : 'users'}`);
+      setAssigningId(null);
+      setAssignment(EMPTY_ASSIGNMENT);
+      await loadCurricula();
+    } catch (err) {
+      console.error('Failed to assign training curriculum:', err);
+      setError(err.message || 'Failed to assign curriculum');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              type="text"
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              className={inputClassName}
+              placeholder="e.g., QC analyst onboarding"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Job role</label>
+            <input
+              type="text"
+              name="jobRole"
+              value={form.jobRole}
+              onChange={handleChange}
+              className={inputClassName}
+              placeholder="e.g., QC Analyst"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Description</label>
+          <textarea
+            name="description"
+            value={form.description}
+            onChange={handleChange}
+            className={inputClassName}
+            rows={2}
+            placeholder="What this path covers"
+          />
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between">
+            <label className="block text-sm font-medium text-gray-700">Steps</label>
+            <button
+              type="button"
+              onClick={() => setForm(prev => ({ ...prev, steps: [...prev.steps, { ...EMPTY_STEP }] }))}
+              className="inline-flex items-center text-sm text-blue-600 hover:underline"
+            >
+              <PlusCircle className="h-4 w-4 mr-1" />
+              Add step
+            </button>
+          </div>
+          {form.steps.length === 0 ? (
+            <p className="text-sm text-gray-500 mt-2">Add resources to read and quizzes to pass, in the order they should be completed.</p>
+          ) : (
+            <ol className="mt-2 space-y-2">
+              {form.steps.map((step, index) => (
+                <li key={index} className="p-3 border rounded-md flex flex-wrap items-end gap-3">
+                  <span className="text-sm font-medium text-gray-500 w-6">{index + 1}.</span>
+                  <div>
+                    <label className="block text-xs text-gray-500">Complete by</label>
+                    <select
+                      value={step.requirement}
+                      onChange={e => updateStep(index, { requirement: e.target.value })}
+                      className={inputClassName}
+                    >
+                      <option value={STEP_REQUIREMENTS.VIEW}>Opening a resource</option>
+                      <option value={STEP_REQUIREMENTS.QUIZ}>Passing a quiz</option>
+                    </select>
+                  </div>
+                  {step.requirement === STEP_REQUIREMENTS.VIEW ? (
+                    <div className="flex-1 min-w-[12rem]">
+                      <label className="block text-xs text-gray-500">Resource</label>
+                      <select
+                        value={step.trainingResourceId}
+                        onChange={e => updateStep(index, { trainingResourceId: e.target.value })}
+                        className={inputClassName}
+                      >
+                        <option value="">Select a resource</option>
+                        {resources.map(resource => (
+                          <option key={resource.id} value={resource.id}>{resource.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ) : (
+                    <>
+                      <div className="flex-1 min-w-[12rem]">
+                        <label className="block text-xs text-gray-500">Quiz</label>
+                        <select
+                          value={step.quizId}
+                          onChange={e => updateStep(index, { quizId: e.target.value })}
+                          className={inputClassName}
+                        >
+                          <option value="">Select one of your quizzes</option>
+                          {quizzes.map(quiz => (
+                            <option key={quiz.id} value={quiz.id}>{quiz.title}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="w-24">
+                        <label className="block text-xs text-gray-500">Pass mark %</label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="100"
+                          value={step.passScore}
+                          onChange={e => updateStep(index, { passScore: e.target.value })}
+                          className={inputClassName}
+                        />
+                      </div>
+                    </>
+                  )}
+                  <div className="flex-1 min-w-[10rem]">
+                    <label className="block text-xs text-gray-500">Title (optional)</label>
+                    <input
+                      type="text"
+                      value={step.title}
+                      onChange={e => updateStep(index, { title: e.target.value })}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div className="flex items-center space-x-1 pb-1">
+                    <button type="button" onClick={() => moveStep(index, -1)} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Move step up">
+                      <ArrowUp className="h-4 w-4" />
+                    </button>
+                    <button type="button" onClick={() => moveStep(index, 1)} className="p-1 text-gray-400 hover:text-gray-600" aria-label="Move step down">
+                      <ArrowDown className="h-4 w-4" />
+                    </button>
+                    <button type="button" onClick={() => removeStep(index)} className="p-1 text-gray-400 hover:text-red-600" aria-label="Remove step">
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {notice && <p className="text-sm text-green-700">{notice}</p>}
+        <div className="flex items-center space-x-3">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            <PlusCircle className="h-4 w-4 mr-2" />
+            {form.curriculumId ? 'Save Curriculum' : 'Create Curriculum'}
+          </button>
+          {form.curriculumId && (
+            <button type="button" onClick={() => setForm(EMPTY_FORM)} className="text-sm text-gray-600 hover:underline">
+              Cancel editing
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Curricula</h3>
+        {curricula.length === 0 ? (
+          <p className="text-sm text-gray-500">No training curricula yet.</p>
+        ) : (
+          <ul className="space-y-3">
+            {curricula.map(curriculum => (
+              <li key={curriculum.id} className="p-4 border rounded-md space-y-2">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <div className="font-medium">{curriculum.name}</div>
+                    {curriculum.jobRole && (
+                      <span className="inline-block text-xs bg-gray-200 text-gray-700 px-2 py-0.5 rounded mt-1">{curriculum.jobRole}</span>
+                    )}
+                    <p className="text-sm text-gray-500">
+                      {curriculum.steps.length} steps · {curriculum.assignmentCount || 0} assigned
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => { setAssigningId(curriculum.id); setAssignment({ ...EMPTY_ASSIGNMENT, team: curriculum.jobRole || '' }); }}
+                      className="p-1 text-gray-400 hover:text-blue-600"
+                      aria-label={`Assign ${curriculum.name}`}
+                    >
+                      <UserPlus className="h-4 w-4" />
+                    </button>
+                    <button type="button" onClick={() => handleEdit(curriculum)} className="p-1 text-gray-400 hover:text-gray-600" aria-label={`Edit ${curriculum.name}`}>
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button type="button" onClick={() => handleDelete(curriculum)} className="p-1 text-gray-400 hover:text-red-600" aria-label={`Delete ${curriculum.name}`}>
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                <ol className="list-decimal list-inside text-sm text-gray-600">
+                  {curriculum.steps.map(step => (
+                    <li key={step.id}>
+                      {step.title}
+                      {step.requirement === STEP_REQUIREMENTS.QUIZ && ` (quiz, pass ${Math.round((step.passScore || 0) * 100)}%)`}
+                    </li>
+                  ))}
+                </ol>
+                {assigningId === curriculum.id && (
+                  <form onSubmit={handleAssign} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end pt-2 border-t">
+                    <div className="md:col-span-2">
+                      <label className="block text-xs text-gray-500">User IDs (comma separated)</label>
+                      <input
+                        type="text"
+                        value={assignment.userIds}
+                        onChange={e => setAssignment(prev => ({ ...prev, userIds: e.target.value }))}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-500">Due date</label>
+                      <input
+                        type="date"
+                        value={assignment.dueDate}
+                        onChange={e => setAssignment(prev => ({ ...prev, dueDate: e.target.value }))}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs text-gray-500">Team</label>
+                      <input
+                        type="text"
+                        value={assignment.team}
+                        onChange={e => setAssignment(prev => ({ ...prev, team: e.target.value }))}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div className="md:col-span-4 flex items-center space-x-3">
+                      <button
+                        type="submit"
+                        disabled={isSaving}
+                        className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Assign
+                      </button>
+                      <button type="button" onClick={() => setAssigningId(null)} className="text-sm text-gray-600 hover:underline">
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrainingCurriculaAdmin;
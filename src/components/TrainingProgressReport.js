@@ -0,0 +1,205 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Download, RefreshCw } from 'lucide-react';
+import trainingCurriculumService, { ASSIGNMENT_STATUS_LABELS } from '../services/trainingCurriculumService';
+import { exportTrainingProgressToCsv } from '../utils/exportUtils';
+
+const EMPTY_FILTERS = { curriculumId: '', team: '', userId: '' };
+
+const STATUS_STYLES = {
+  completed: 'text-green-700',
+  overdue: 'text-red-700 font-medium',
+  in_progress: 'text-blue-700',
+  not_started: 'text-gray-500',
+};
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '—' : date.toLocaleDateString(undefined, { timeZone: 'UTC' });
+};
+
+// Per-user and per-team completion of assigned curricula, exportable as evidence of SOP training
+const TrainingProgressReport = () => {
+  const [curricula, setCurricula] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [report, setReport] = useState({ users: [], teams: [], generatedAt: null });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReport = useCallback(async (activeFilters) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setReport(await trainingCurriculumService.getProgress(activeFilters));
+    } catch (err) {
+      console.error('Failed to load training progress:', err);
+      setError(err.message || 'Failed to load training progress');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReport(EMPTY_FILTERS);
+    trainingCurriculumService.getCurricula().then(setCurricula).catch(err => {
+      console.warn('Unable to load curricula for the progress filter:', err);
+    });
+  }, [loadReport]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    loadReport(filters);
+  };
+
+  const handleExport = () => {
+    try {
+      exportTrainingProgressToCsv(report.users.map(entry => ({
+        ...entry,
+        status: ASSIGNMENT_STATUS_LABELS[entry.status] || entry.status,
+      })));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleApply} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Curriculum</label>
+          <select
+            name="curriculumId"
+            value={filters.curriculumId}
+            onChange={handleFilterChange}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+          >
+            <option value="">All curricula</option>
+            {curricula.map(curriculum => (
+              <option key={curriculum.id} value={curriculum.id}>{curriculum.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Team</label>
+          <input
+            type="text"
+            name="team"
+            value={filters.team}
+            onChange={handleFilterChange}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">User ID</label>
+          <input
+            type="text"
+            name="userId"
+            value={filters.userId}
+            onChange={handleFilterChange}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+            Apply
+          </button>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={report.users.length === 0}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:border-gray-400 disabled:opacity-50"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            CSV
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div>
+        <h4 className="font-medium text-gray-900 mb-2">By team</h4>
+        {report.teams.length === 0 ? (
+          <p className="text-sm text-gray-500">No assignments match these filters.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-4">Team</th>
+                <th className="py-1 pr-4">Assigned</th>
+                <th className="py-1 pr-4">Completed</th>
+                <th className="py-1 pr-4">In progress</th>
+                <th className="py-1 pr-4">Not started</th>
+                <th className="py-1 pr-4">Overdue</th>
+                <th className="py-1 pr-4">Completion</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.teams.map(team => (
+                <tr key={team.team} className="border-t">
+                  <td className="py-1 pr-4 font-medium">{team.team}</td>
+                  <td className="py-1 pr-4">{team.assignments}</td>
+                  <td className="py-1 pr-4">{team.completed}</td>
+                  <td className="py-1 pr-4">{team.inProgress}</td>
+                  <td className="py-1 pr-4">{team.notStarted}</td>
+                  <td className={`py-1 pr-4 ${team.overdue > 0 ? 'text-red-700 font-medium' : ''}`}>{team.overdue}</td>
+                  <td className="py-1 pr-4">{Math.round(team.completionRate * 100)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {report.users.length > 0 && (
+        <div>
+          <h4 className="font-medium text-gray-900 mb-2">By user</h4>
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-4">User</th>
+                <th className="py-1 pr-4">Team</th>
+                <th className="py-1 pr-4">Curriculum</th>
+                <th className="py-1 pr-4">Progress</th>
+                <th className="py-1 pr-4">Due</th>
+                <th className="py-1 pr-4">Completed</th>
+                <th className="py-1 pr-4">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.users.map(entry => (
+                <tr key={entry.assignmentId} className="border-t">
+                  <td className="py-1 pr-4 font-mono text-xs">{entry.userId}</td>
+                  <td className="py-1 pr-4">{entry.team || '—'}</td>
+                  <td className="py-1 pr-4">{entry.curriculumName}</td>
+                  <td className="py-1 pr-4">{entry.completedSteps} / {entry.totalSteps}</td>
+                  <td className="py-1 pr-4">{formatDate(entry.dueDate)}</td>
+                  <td className="py-1 pr-4">{formatDate(entry.completedAt)}</td>
+                  <td className={`py-1 pr-4 ${STATUS_STYLES[entry.status] || ''}`}>
+                    {ASSIGNMENT_STATUS_LABELS[entry.status] || entry.status}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {report.generatedAt && (
+        <p className="text-xs text-gray-400">Generated {new Date(report.generatedAt).toLocaleString()}</p>
+      )}
+    </div>
+  );
+};
+
+export default TrainingProgressReport;
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { PlusCircle } from 'lucide-react';
-import trainingResourceService from '../services/trainingResourceService';
+import trainingResourceService, { RESOURCE_SCOPES } from '../services/trainingResourceService';
+
+const EMPTY_FORM = { name: '', description: '', url: '', tag: '', scope: RESOURCE_SCOPES.PERSONAL };
 
 const TrainingResourcesAdmin = () => {
   const [resources, setResources] = useState([]);
-  const [form, setForm] = useState({ name: '', description: '', url: '', tag: '' });
+  const [form, setForm] = useState(EMPTY_FORM);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -38,7 +40,7 @@ const TrainingResourcesAdmin = () => {
     try {
       const newResource = await trainingResourceService.addTrainingResource(form);
       setResources(prev => [newResource, ...prev]);
-      setForm({ name: '', description: '', url: '', tag: '' });
+      setForm(EMPTY_FORM);
     } catch (err) {
       console.error('Failed to add external resource:', err);
       setError(err.message || 'Failed to add resource');
@@ -94,6 +96,18 @@ const TrainingResourcesAdmin = () => {
             placeholder="e.g., safety"
           />
         </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Library</label>
+          <select
+            name="scope"
+            value={form.scope}
+            onChange={handleChange}
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+          >
+            <option value={RESOURCE_SCOPES.PERSONAL}>Personal</option>
+            <option value={RESOURCE_SCOPES.ORGANIZATION}>Organization (shared with all members)</option>
+          </select>
+        </div>
         {error && <p className="text-sm text-red-600">{error}</p>}
         <div>
           <button
@@ -119,6 +133,9 @@ const TrainingResourcesAdmin = () => {
                 {res.tag && (
                   <span className="inline-block text-xs bg-gray-200 text-gray-700 px-2 py-0.5 rounded mt-1">{res.tag}</span>
                 )}
+                {res.scope === RESOURCE_SCOPES.ORGANIZATION && (
+                  <span className="inline-block text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded mt-1 ml-1">Organization</span>
+                )}
                 {res.description && <p className="text-sm text-gray-500">{res.description}</p>}
                 {res.url && (
                   <a
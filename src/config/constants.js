@@ -43,6 +43,7 @@ export const AUTH0_CONFIG = {
   AUDIENCE: process.env.REACT_APP_AUTH0_AUDIENCE,
   ROLES_CLAIM: process.env.REACT_APP_AUTH0_ROLES_CLAIM,
   ORG_CLAIM: process.env.REACT_APP_AUTH0_ORG_CLAIM,
+  GROUPS_CLAIM: process.env.REACT_APP_AUTH0_GROUPS_CLAIM,
   REDIRECT_URI: window.location.origin,
   LOGOUT_URI: window.location.origin,
   SCOPE: 'openid profile email offline_access'
@@ -71,6 +72,10 @@ export const ERROR_MESSAGES = {
 
   GROQ_INVALID_API_KEY: 'Invalid Groq API key.\n\nTROUBLESHOOTING STEPS:\n1. Verify your API key is correct and active\n2. Check your Groq account status\n3. Generate a new API key if needed: https://console.groq.com/keys',
 
+  PROVIDER_NOT_CONFIGURED: (provider) => provider + ' is not configured.\n\nTROUBLESHOOTING STEPS:\n1. Check the provider\'s model list (REACT_APP_*_MODELS or REACT_APP_AZURE_OPENAI_DEPLOYMENTS) and its server-side endpoint and API key variables\n2. If deploying to Netlify, add the variables in Site Settings > Environment Variables\n3. Select a configured provider in Admin > AI Model Configuration',
+
+  PROVIDER_INVALID_API_KEY: (provider) => 'Invalid ' + provider + ' credentials.\n\nTROUBLESHOOTING STEPS:\n1. Verify the API key is correct and active\n2. Confirm the endpoint URL points at the expected deployment\n3. Contact your administrator if you need access',
+
   RATE_LIMIT_EXCEEDED: (tokens) => 'Rate limit exceeded while sending ' + tokens + ' tokens. Please wait a few seconds before trying again.',
   
   QUOTA_EXCEEDED: 'API quota exceeded.\n\nTROUBLESHOOTING STEPS:\n1. Check your usage in your provider dashboard\n2. Review your billing status\n3. Upgrade your plan if needed',
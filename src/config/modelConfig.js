@@ -4,15 +4,111 @@ export const MODEL_STORAGE_KEY = 'acceleraqa_ai_model';
 export const PROVIDER_STORAGE_KEY = 'acceleraqa_model_provider';
 export const SYSTEM_PROMPT_STORAGE_KEY = 'acceleraqa_system_prompt_override';
 
-export const MODEL_OPTIONS = ['gpt-4o', 'openai/gpt-oss-120b'];
-export const PROVIDER_OPTIONS = ['openai', 'groq'];
-
 export const DEFAULT_MODEL = 'gpt-4o';
 export const DEFAULT_PROVIDER = 'openai';
 
 export const OPENAI_MODEL = 'gpt-4o';
 export const GROQ_MODEL = 'openai/gpt-oss-120b';
 
+export const PROVIDER_OPTIONS = ['openai', 'groq', 'azure-openai', 'anthropic', 'local'];
+
+const parseList = (value, fallback = []) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return fallback;
+  }
+  const items = value.split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : fallback;
+};
+
+const withDefaultModel = (definition) => ({
+  ...definition,
+  defaultModel: definition.models.includes(definition.defaultModel)
+    ? definition.defaultModel
+    : definition.models[0] || null,
+});
+
+/**
+ * Describes every chat provider the app can route to. Environment variables are read with literal
+ * `process.env.REACT_APP_*` references so the CRA build can inline them.
+ *
+ * - `configured`: credentials or an endpoint are present, so the provider can be selected. Azure
+ *   OpenAI, Anthropic and on-premises models are called by the chat-completions function, which
+ *   holds their keys; the browser treats them as configured once their model list is set
+ * - `keepsDataOnPremises`: prompts and documents never leave the customer network
+ * - `capabilities.vectorStore`: documents are uploaded to an OpenAI vector store; other providers
+ *   receive extracted text for every attached file instead
+ */
+export function getProviderDefinitions() {
+  return [
+    {
+      id: 'openai',
+      name: 'OpenAI',
+      description: 'Advanced AI model with excellent reasoning and code generation capabilities',
+      features: ['High accuracy', 'Code generation', 'File processing', 'Vector search'],
+      models: parseList(process.env.REACT_APP_OPENAI_MODELS, [OPENAI_MODEL, 'gpt-4o-mini', 'gpt-4.1']),
+      defaultModel: OPENAI_MODEL,
+      configured: Boolean(process.env.REACT_APP_OPENAI_API_KEY || process.env.OPENAI_API_KEY),
+      keepsDataOnPremises: false,
+      capabilities: { vectorStore: true, streaming: true },
+    },
+    {
+      id: 'groq',
+      name: 'Groq',
+      description: 'Fast open-source models optimized for speed and efficiency',
+      features: ['Very fast responses', 'Open source', 'Cost effective', 'High throughput'],
+      models: parseList(process.env.REACT_APP_GROQ_MODELS, [GROQ_MODEL, 'llama-3.3-70b-versatile']),
+      defaultModel: GROQ_MODEL,
+      configured: Boolean(process.env.REACT_APP_GROQ_API_KEY || process.env.GROQ_API_KEY),
+      keepsDataOnPremises: false,
+      capabilities: { vectorStore: false, streaming: true },
+    },
+    {
+      id: 'azure-openai',
+      name: 'Azure OpenAI',
+      description: 'OpenAI models hosted in your own Azure tenant and region',
+      features: ['Tenant-isolated deployments', 'Regional data residency', 'Enterprise SLAs'],
+      // Azure routes by deployment name, so the model list is the list of deployments
+      models: parseList(process.env.REACT_APP_AZURE_OPENAI_DEPLOYMENTS),
+      defaultModel: null,
+      configured: Boolean(process.env.REACT_APP_AZURE_OPENAI_DEPLOYMENTS),
+      keepsDataOnPremises: false,
+      capabilities: { vectorStore: false, streaming: true },
+    },
+    {
+      id: 'anthropic',
+      name: 'Anthropic Claude',
+      description: 'Claude models with long context windows for lengthy SOPs and guidance documents',
+      features: ['Long context', 'Careful reasoning', 'Strong instruction following'],
+      models: parseList(process.env.REACT_APP_ANTHROPIC_MODELS, ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest']),
+      defaultModel: 'claude-3-5-sonnet-latest',
+      configured: Boolean(process.env.REACT_APP_ANTHROPIC_MODELS),
+      keepsDataOnPremises: false,
+      capabilities: { vectorStore: false, streaming: true },
+    },
+    {
+      id: 'local',
+      name: process.env.REACT_APP_LOCAL_LLM_NAME || 'On-premises model',
+      description: 'OpenAI-compatible server inside your network for GxP data that must not leave it',
+      features: ['Data stays on-premises', 'OpenAI-compatible API', 'Bring your own model'],
+      models: parseList(process.env.REACT_APP_LOCAL_LLM_MODELS),
+      defaultModel: null,
+      configured: Boolean(process.env.REACT_APP_LOCAL_LLM_MODELS),
+      keepsDataOnPremises: true,
+      capabilities: { vectorStore: false, streaming: true },
+    },
+  ].map(withDefaultModel);
+}
+
+export function getProviderDefinition(provider) {
+  return getProviderDefinitions().find(definition => definition.id === provider) || null;
+}
+
+export function getProviderModels(provider) {
+  return getProviderDefinition(provider)?.models || [];
+}
+
+export const MODEL_OPTIONS = [OPENAI_MODEL, GROQ_MODEL];
+
 export function getCurrentModel() {
   // Use provider-based model selection
   return getCurrentModelForProvider();
@@ -36,17 +132,25 @@ export function getModelProvider() {
   return DEFAULT_PROVIDER;
 }
 
-export function setModelProvider(provider) {
+/**
+ * Select the chat provider and, optionally, one of its models. An unknown model falls back to
+ * the provider's default.
+ */
+export function setModelProvider(provider, model = null) {
   try {
     if (typeof localStorage !== 'undefined' && isStorageAvailable()) {
       if (PROVIDER_OPTIONS.includes(provider)) {
+        const definition = getProviderDefinition(provider);
+        const resolvedModel = model && definition.models.includes(model) ? model : definition.defaultModel;
+
         localStorage.setItem(PROVIDER_STORAGE_KEY, provider);
+        if (resolvedModel) {
+          localStorage.setItem(MODEL_STORAGE_KEY, resolvedModel);
+        } else {
+          localStorage.removeItem(MODEL_STORAGE_KEY);
+        }
         
-        // Update model based on provider
-        const model = provider === 'openai' ? OPENAI_MODEL : GROQ_MODEL;
-        localStorage.setItem(MODEL_STORAGE_KEY, model);
-        
-        console.log(`Model provider set to: ${provider}, model: ${model}`);
+        console.log(`Model provider set to: ${provider}, model: ${resolvedModel}`);
         return true;
       } else {
         console.warn('Invalid provider:', provider);
@@ -62,9 +166,24 @@ export function setModelProvider(provider) {
   }
 }
 
-export function getCurrentModelForProvider() {
-  const provider = getModelProvider();
-  return provider === 'openai' ? OPENAI_MODEL : GROQ_MODEL;
+export function getCurrentModelForProvider(provider = getModelProvider()) {
+  const definition = getProviderDefinition(provider) || getProviderDefinition(DEFAULT_PROVIDER);
+
+  // The stored model belongs to the selected provider, so only honour it for that provider
+  if (provider === getModelProvider()) {
+    try {
+      if (typeof localStorage !== 'undefined' && isStorageAvailable()) {
+        const storedModel = localStorage.getItem(MODEL_STORAGE_KEY);
+        if (storedModel && definition.models.includes(storedModel)) {
+          return storedModel;
+        }
+      }
+    } catch (error) {
+      console.warn('Model config read failed:', error);
+    }
+  }
+
+  return definition.defaultModel;
 }
 
 export function setCurrentModel() {
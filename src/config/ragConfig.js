@@ -11,10 +11,13 @@ export const RAG_BACKEND = Object.values(RAG_BACKENDS).includes(backendEnv)
 const DEFAULT_NEON_FUNCTION = '/.netlify/functions/neon-rag-fixed';
 const DEFAULT_NEON_DB_FUNCTION = '/.netlify/functions/neon-db';
 const DEFAULT_RAG_DOCS_FUNCTION = '/.netlify/functions/rag-documents';
+const DEFAULT_DOCUMENT_PERMISSIONS_FUNCTION = '/.netlify/functions/document-permissions';
 
 export const NEON_RAG_FUNCTION = process.env.REACT_APP_NEON_RAG_FUNCTION || DEFAULT_NEON_FUNCTION;
 export const NEON_DB_FUNCTION = process.env.REACT_APP_NEON_DB_FUNCTION || DEFAULT_NEON_DB_FUNCTION;
 export const RAG_DOCS_FUNCTION = process.env.REACT_APP_RAG_DOCS_FUNCTION || DEFAULT_RAG_DOCS_FUNCTION;
+export const DOCUMENT_PERMISSIONS_FUNCTION =
+  process.env.REACT_APP_DOCUMENT_PERMISSIONS_FUNCTION || DEFAULT_DOCUMENT_PERMISSIONS_FUNCTION;
 
 export const isNeonBackend = () => RAG_BACKEND === RAG_BACKENDS.NEON;
 
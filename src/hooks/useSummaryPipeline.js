@@ -1,6 +1,7 @@
-import { useState, useCallback, useMemo } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import summaryPipelineService, { DETAIL_LEVELS } from '../services/summaryPipelineService';
 
+// Built-in role profiles and lenses; admins can change the list, which is loaded on mount
 export const ROLE_OPTIONS = [
   'Auditor',
   'QA Lead',
@@ -28,22 +29,68 @@ const DEFAULT_MODE = {
   detail: DETAIL_LEVELS.STANDARD,
 };
 
+// The job being waited for is remembered per user so a page reload picks it up again; another
+// user signing in on the same browser never resumes it
+const ACTIVE_JOB_STORAGE_KEY = 'acceleraqa_summary_job';
+const POLL_INTERVAL_MS = 2000;
+// Consecutive failed status checks tolerated before the job is reported as failed
+const MAX_POLL_FAILURES = 3;
+
 const isString = (value) => typeof value === 'string' && value.trim().length > 0;
 
-const normalizeMode = (mode = {}) => ({
-  role: ROLE_OPTIONS.includes(mode.role) ? mode.role : DEFAULT_MODE.role,
-  lens: LENS_OPTIONS.includes(mode.lens) ? mode.lens : DEFAULT_MODE.lens,
+const getJobStorageKey = (userId) => (isString(userId) ? `${ACTIVE_JOB_STORAGE_KEY}:${userId}` : null);
+
+const readStoredJobId = (userId) => {
+  const key = getJobStorageKey(userId);
+  if (!key) {
+    return null;
+  }
+  try {
+    return window.localStorage.getItem(key);
+  } catch (storageError) {
+    return null;
+  }
+};
+
+const storeJobId = (userId, jobId) => {
+  const key = getJobStorageKey(userId);
+  if (!key) {
+    return;
+  }
+  try {
+    if (jobId) {
+      window.localStorage.setItem(key, jobId);
+    } else {
+      window.localStorage.removeItem(key);
+    }
+  } catch (storageError) {
+    console.warn('Unable to remember the summary job:', storageError);
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const pickOption = (options, value, fallback) => {
+  if (options.includes(value)) {
+    return value;
+  }
+  return options.includes(fallback) ? fallback : options[0];
+};
+
+const normalizeMode = (mode = {}, { roles = ROLE_OPTIONS, lenses = LENS_OPTIONS } = {}) => ({
+  role: pickOption(roles, mode.role, DEFAULT_MODE.role),
+  lens: pickOption(lenses, mode.lens, DEFAULT_MODE.lens),
   detail: DETAIL_OPTIONS.includes(mode.detail) ? mode.detail : DEFAULT_MODE.detail,
 });
 
-const buildDocumentPayload = (document = {}) => {
+const buildDocumentPayload = (document = {}, label = 'Document') => {
   if (!document || typeof document !== 'object') {
-    throw new Error('Document metadata is required to request a summary');
+    throw new Error(`${label} metadata is required to request a summary`);
   }
 
   const text = document.content || document.text;
   if (!isString(text)) {
-    throw new Error('Document content must be provided as a non-empty string');
+    throw new Error(`${label} content must be provided as a non-empty string`);
   }
 
   return {
@@ -85,35 +132,150 @@ const deriveStatus = (nextStatus, previousSummary) => {
   return nextStatus;
 };
 
-const useSummaryPipeline = ({ defaultMode = DEFAULT_MODE } = {}) => {
+const useSummaryPipeline = ({ defaultMode = DEFAULT_MODE, userId = null } = {}) => {
   const [summary, setSummary] = useState(null);
   const [diagnostics, setDiagnostics] = useState([]);
   const [metrics, setMetrics] = useState(null);
   const [status, setStatus] = useState('idle');
   const [error, setError] = useState(null);
+  const [profileOptions, setProfileOptions] = useState({ roles: ROLE_OPTIONS, lenses: LENS_OPTIONS });
+  const [job, setJob] = useState(null);
+  // Bumped to stop the current polling loop (reset, a new request, or unmount)
+  const pollGenerationRef = useRef(0);
+
+  const applyResult = useCallback((response) => {
+    setSummary(response.summary || null);
+    setDiagnostics(Array.isArray(response.diagnostics) ? response.diagnostics : []);
+    setMetrics(response.metrics || null);
+    setStatus('succeeded');
+  }, []);
 
-  const normalizedDefaultMode = useMemo(() => normalizeMode(defaultMode), [defaultMode]);
+  /**
+   * Poll a summary job until it finishes. Resolves with `{ summary, diagnostics, metrics, job }`,
+   * or null when polling was stopped; rejects when the job fails.
+   */
+  const waitForJob = useCallback(async (jobId) => {
+    pollGenerationRef.current += 1;
+    const generation = pollGenerationRef.current;
+    const isCurrent = () => pollGenerationRef.current === generation;
+    storeJobId(userId, jobId);
+
+    let failures = 0;
+    while (isCurrent()) {
+      let payload;
+      try {
+        payload = await summaryPipelineService.getSummaryJob(jobId);
+        failures = 0;
+      } catch (pollError) {
+        failures += 1;
+        if (pollError.status === 404 || failures >= MAX_POLL_FAILURES) {
+          if (isCurrent()) {
+            storeJobId(userId, null);
+            throw pollError;
+          }
+          return null;
+        }
+        await wait(POLL_INTERVAL_MS);
+        continue;
+      }
+
+      if (!isCurrent()) {
+        return null;
+      }
+
+      const nextJob = payload.job;
+      setJob(nextJob);
+      setDiagnostics(Array.isArray(nextJob.diagnostics) ? nextJob.diagnostics : []);
+
+      if (nextJob.status === 'succeeded') {
+        storeJobId(userId, null);
+        if (!payload.summary) {
+          throw new Error('The summary job finished but its summary could not be loaded');
+        }
+        return { summary: payload.summary, diagnostics: nextJob.diagnostics, metrics: nextJob.metrics, job: nextJob };
+      }
+      if (nextJob.status === 'failed') {
+        storeJobId(userId, null);
+        throw new Error(nextJob.error || 'The summary job failed');
+      }
+
+      await wait(POLL_INTERVAL_MS);
+    }
+    return null;
+  }, [userId]);
+
+  // Resume a job submitted before the page was reloaded
+  useEffect(() => {
+    const storedJobId = readStoredJobId(userId);
+    if (storedJobId) {
+      setStatus('loading');
+      waitForJob(storedJobId)
+        .then((result) => {
+          if (result) {
+            applyResult(result);
+          }
+        })
+        .catch((resumeError) => {
+          setStatus('failed');
+          setError(resumeError);
+        });
+    }
+    return () => {
+      pollGenerationRef.current += 1;
+    };
+  }, [applyResult, userId, waitForJob]);
+
+  useEffect(() => {
+    let isActive = true;
+    summaryPipelineService.listSummaryProfiles()
+      .then(({ roles, lenses }) => {
+        if (isActive && roles.length > 0 && lenses.length > 0) {
+          setProfileOptions({ roles: roles.map((role) => role.name), lenses: lenses.map((lens) => lens.name) });
+        }
+      })
+      .catch((loadError) => {
+        console.warn('Failed to load summary profiles; using the built-in roles and lenses:', loadError);
+      });
+    return () => {
+      isActive = false;
+    };
+  }, []);
+
+  const normalizedDefaultMode = useMemo(() => normalizeMode(defaultMode, profileOptions), [defaultMode, profileOptions]);
 
   const requestSummary = useCallback(
-    async ({ document, mode, query = '', filters, metadata } = {}) => {
+    async ({ document, documents, documentSetName, mode, query = '', filters, metadata } = {}) => {
+      const sourceDocuments = Array.isArray(documents) && documents.length > 0 ? documents : null;
       const payload = {
-        document: buildDocumentPayload(document),
-        mode: normalizeMode(mode || normalizedDefaultMode),
+        ...(sourceDocuments
+          ? {
+            documents: sourceDocuments.map((entry, index) => buildDocumentPayload(entry, `Document ${index + 1}`)),
+            documentSetName,
+          }
+          : { document: buildDocumentPayload(document) }),
+        mode: normalizeMode(mode || normalizedDefaultMode, profileOptions),
         query: isString(query) ? query.trim() : '',
         filters: buildFilters(filters),
         metadata: mergeMetadata(metadata),
       };
 
+      pollGenerationRef.current += 1;
       setStatus((prevStatus) => deriveStatus('loading', summary));
       setError(null);
+      setJob(null);
 
       try {
+        // Without a database the server answers with the finished summary instead of a job
         const response = await summaryPipelineService.createSummary(payload);
-        setSummary(response.summary || null);
-        setDiagnostics(Array.isArray(response.diagnostics) ? response.diagnostics : []);
-        setMetrics(response.metrics || null);
-        setStatus('succeeded');
-        return response;
+        if (response.job) {
+          setJob(response.job);
+        }
+        const result = response.job ? await waitForJob(response.job.jobId) : response;
+        if (!result) {
+          return null;
+        }
+        applyResult(result);
+        return result;
       } catch (requestError) {
         setStatus('failed');
         setSummary(null);
@@ -123,7 +285,7 @@ const useSummaryPipeline = ({ defaultMode = DEFAULT_MODE } = {}) => {
         throw requestError;
       }
     },
-    [normalizedDefaultMode, summary]
+    [applyResult, normalizedDefaultMode, profileOptions, summary, waitForJob]
   );
 
   const fetchSummary = useCallback(
@@ -153,12 +315,15 @@ const useSummaryPipeline = ({ defaultMode = DEFAULT_MODE } = {}) => {
   );
 
   const reset = useCallback(() => {
+    pollGenerationRef.current += 1;
+    storeJobId(userId, null);
+    setJob(null);
     setSummary(null);
     setDiagnostics([]);
     setMetrics(null);
     setStatus('idle');
     setError(null);
-  }, []);
+  }, [userId]);
 
   const isLoading = status === 'loading' || status === 'refreshing';
 
@@ -168,13 +333,14 @@ const useSummaryPipeline = ({ defaultMode = DEFAULT_MODE } = {}) => {
     metrics,
     status,
     error,
+    job,
     isLoading,
     hasSummary: Boolean(summary),
     requestSummary,
     fetchSummary,
     reset,
-    roleOptions: ROLE_OPTIONS,
-    lensOptions: LENS_OPTIONS,
+    roleOptions: profileOptions.roles,
+    lensOptions: profileOptions.lenses,
     detailOptions: DETAIL_OPTIONS,
   };
 };
@@ -144,3 +144,147 @@ describe('neon-rag-fixed handleUpload', () => {
     });
   });
 });
+
+describe('neon-rag-fixed structured chunking', () => {
+  test('stores section and page locations for each chunk', async () => {
+    const chunkInserts = [];
+    const sqlMock = jest.fn(async (strings, ...values) => {
+      const query = strings.join(' ');
+      if (query.includes('INSERT INTO rag_documents')) {
+        return [{ id: 7, filename: values[1], metadata: {}, created_at: null, updated_at: null }];
+      }
+      if (query.includes('INSERT INTO rag_document_chunks')) {
+        chunkInserts.push(values);
+      }
+      return [];
+    });
+
+    const response = await handleUpload(sqlMock, 'user-123', {
+      document: {
+        filename: 'SOP-QA-001.pdf',
+        text: '5 PROCEDURE\n5.1 Cleaning\nWipe surfaces with 70% IPA.\f5.2 Verification\nQA verifies the log.',
+        chunkOverlap: 0,
+      },
+    });
+
+    expect(JSON.parse(response.body).chunks).toBe(2);
+    const [first, second] = chunkInserts;
+    // document_id, chunk_index, chunk_text, word_count, character_count, section_number, section_title, section_path, page_number, page_end
+    expect(first.slice(5)).toEqual(['5.1', 'Cleaning', '5 PROCEDURE > 5.1 Cleaning', 1, 1]);
+    expect(second.slice(5)).toEqual(['5.2', 'Verification', '5 PROCEDURE > 5.2 Verification', 2, 2]);
+  });
+});
+
+describe('neon-rag-fixed handleSearch', () => {
+  afterEach(() => {
+    delete process.env.RAG_EMBEDDING_PROVIDER;
+  });
+
+  const textRow = {
+    id: 1,
+    document_id: 10,
+    chunk_index: 0,
+    chunk_text: 'Record retention period is five years.',
+    snippet: '<b>Record</b> retention period is five years.',
+    section_number: '4.2',
+    section_title: 'Retention',
+    page_number: 3,
+    page_end: 3,
+    filename: 'SOP-QA-001.pdf',
+    metadata: {},
+    rank: 0.4,
+  };
+
+  const vectorRow = {
+    id: 2,
+    document_id: 11,
+    chunk_index: 3,
+    chunk_text: 'Batch records are archived for one year after expiry.',
+    snippet: 'Batch records are archived for one year after expiry.',
+    filename: 'SOP-QA-002.pdf',
+    metadata: {},
+    rank: 0.82,
+  };
+
+  const buildSqlMock = () =>
+    jest.fn(async (strings) => {
+      const query = strings.join(' ');
+      if (query.includes('<=>')) {
+        return [vectorRow, { ...textRow, rank: 0.6 }];
+      }
+      if (query.includes('plainto_tsquery')) {
+        return [textRow];
+      }
+      return [];
+    });
+
+  test('falls back to full-text search when no embedding provider is configured', async () => {
+    const module = await import('../netlify/functions/neon-rag-fixed.js');
+    const sqlMock = buildSqlMock();
+
+    const response = await module.__testHelpers.handleSearch(sqlMock, 'user-123', {
+      query: 'record retention',
+      options: { mode: 'hybrid' },
+    });
+
+    const parsed = JSON.parse(response.body);
+    expect(parsed.mode).toBe('text');
+    expect(parsed.results[0].citation).toBe('Section 4.2, p. 3');
+    expect(parsed.results.map(result => result.chunkId)).toEqual([1]);
+    expect(sqlMock.mock.calls.some(([strings]) => strings.join(' ').includes('<=>'))).toBe(false);
+  });
+
+  test('fuses full-text and vector rankings in hybrid mode', async () => {
+    process.env.RAG_EMBEDDING_PROVIDER = 'local';
+    await loadModule();
+    const module = await import('../netlify/functions/neon-rag-fixed.js');
+    const sqlMock = buildSqlMock();
+
+    const response = await module.__testHelpers.handleSearch(sqlMock, 'user-123', {
+      query: 'how long do we keep batch records',
+    });
+
+    const parsed = JSON.parse(response.body);
+    expect(parsed.mode).toBe('hybrid');
+    expect(parsed.results.map(result => result.chunkId)).toEqual([1, 2]);
+    expect(parsed.results[0].text).toContain('<b>Record</b>');
+    expect(parsed.results[0].scores).toEqual({ text: 0.4, vector: 0.6 });
+
+    const vectorCall = sqlMock.mock.calls.find(([strings]) => strings.join(' ').includes('<=>'));
+    expect(vectorCall).toContain('user-123');
+    expect(vectorCall).toContain('local:hashing-256');
+  });
+
+  test('returns vector-only rankings when requested', async () => {
+    process.env.RAG_EMBEDDING_PROVIDER = 'local';
+    await loadModule();
+    const module = await import('../netlify/functions/neon-rag-fixed.js');
+
+    const response = await module.__testHelpers.handleSearch(buildSqlMock(), 'user-123', {
+      query: 'how long do we keep batch records',
+      options: { mode: 'vector', limit: 1 },
+    });
+
+    const parsed = JSON.parse(response.body);
+    expect(parsed.mode).toBe('vector');
+    expect(parsed.results[0].chunkId).toBe(2);
+  });
+});
+
+describe('fuseRankedResults', () => {
+  test('ranks chunks present in both lists above single-list matches', async () => {
+    const module = await import('../netlify/functions/neon-rag-fixed.js');
+    const { fuseRankedResults } = module.__testHelpers;
+
+    const fused = fuseRankedResults(
+      [
+        { source: 'text', rows: [{ id: 'a', rank: 1 }, { id: 'b', rank: 0.5 }] },
+        { source: 'vector', rows: [{ id: 'c', rank: 0.9 }, { id: 'b', rank: 0.8 }] },
+      ],
+      3
+    );
+
+    expect(fused.map(row => row.id)).toEqual(['b', 'a', 'c']);
+    expect(fused[0].component_scores).toEqual({ text: 0.5, vector: 0.8 });
+  });
+});
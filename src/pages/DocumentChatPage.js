@@ -3,9 +3,11 @@ import DocumentChatArea from '../components/DocumentChatArea';
 import DocumentManager from '../components/DocumentManager';
 import DocumentViewer from '../components/DocumentViewer';
 import Header from '../components/Header';
-import authService, { initializeAuth, getUserId, handleLogout } from '../services/authService';
+import authService, { initializeAuth, getTenantHeaders, getUserId, handleLogout } from '../services/authService';
 import { hasAdminRole } from '../utils/auth';
-import { getModelProvider } from '../config/modelConfig';
+import { getCurrentModelForProvider, getModelProvider } from '../config/modelConfig';
+import { isAbortError, isEventStreamResponse, readServerSentEvents } from '../utils/serverSentEvents';
+import { finalizeStoppedMessage, updateStreamingMessage, upsertMessage } from '../utils/messageUtils';
 import { 
   MessageSquare, 
   Database, 
@@ -41,6 +43,7 @@ const DocumentChatPage = () => {
   
   const messagesEndRef = useRef(null);
   const cooldownRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   // Initialize auth on mount
   useEffect(() => {
@@ -96,7 +99,8 @@ const DocumentChatPage = () => {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-          'x-user-id': userId
+          'x-user-id': userId,
+          ...(await getTenantHeaders())
         },
         body: JSON.stringify({
           action: 'list'
@@ -122,6 +126,11 @@ const DocumentChatPage = () => {
     setIsLoading(true);
     setIsSaving(true);
 
+    const assistantMessageId = `assistant-${Date.now()}`;
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    let streamedContent = '';
+
     try {
       // Add user message to UI immediately
       const files = Array.isArray(uploadedFile) ? uploadedFile : (uploadedFile ? [uploadedFile] : []);
@@ -146,7 +155,8 @@ const DocumentChatPage = () => {
         conversationId: conversationId,
         documentIds: selectedDocuments,
         conversationHistory: messages.slice(-10), // Last 10 messages for context
-        provider: getModelProvider() // Add current model provider
+        provider: getModelProvider(), // Add current model provider
+        model: getCurrentModelForProvider()
       };
 
       // If files are uploaded, index them first
@@ -168,7 +178,8 @@ const DocumentChatPage = () => {
             method: 'POST',
             headers: {
               'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-              'x-user-id': userId
+              'x-user-id': userId,
+              ...(await getTenantHeaders())
             },
             body: formData
           });
@@ -194,46 +205,75 @@ const DocumentChatPage = () => {
         throw new Error('No user ID available');
       }
 
-      const chatResponse = await fetch('/.netlify/functions/chat-with-documents', {
+      const chatResponse = await fetch('/.netlify/functions/chat-with-documents-stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
-          'x-user-id': userId
+          'x-user-id': userId,
+          ...(await getTenantHeaders())
         },
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal: abortController.signal
       });
 
-      if (chatResponse.ok) {
-        const chatData = await chatResponse.json();
-        
-        // Add AI response to messages
-        const aiMessage = {
-          role: 'assistant',
-          content: chatData.response,
-          timestamp: new Date().toISOString(),
-          sources: chatData.sources || [],
-          documentsUsed: chatData.documentsUsed || []
-        };
-
-        setMessages(prev => [...prev, aiMessage]);
-        setConversationId(chatData.conversationId);
+      if (!chatResponse.ok) {
+        throw new Error('Failed to get AI response');
+      }
 
-        // Set cooldown
-        setCooldown(2);
-        cooldownRef.current = setInterval(() => {
-          setCooldown(prev => {
-            if (prev <= 1) {
-              clearInterval(cooldownRef.current);
-              return 0;
-            }
-            return prev - 1;
-          });
-        }, 1000);
+      let chatData;
+      if (isEventStreamResponse(chatResponse)) {
+        await readServerSentEvents(chatResponse, ({ event, data }) => {
+          if (event === 'token' && data?.delta) {
+            streamedContent += data.delta;
+            setMessages(prev => updateStreamingMessage(prev, assistantMessageId, streamedContent));
+          } else if (event === 'done') {
+            chatData = data;
+          } else if (event === 'error') {
+            throw new Error(data?.error || 'Failed to get AI response');
+          }
+        });
       } else {
-        throw new Error('Failed to get AI response');
+        chatData = await chatResponse.json();
+      }
+
+      if (!chatData) {
+        throw new Error('The response stream ended before the answer was complete');
       }
+
+      // Sources arrive with the final event, once the full answer is known
+      const aiMessage = {
+        id: assistantMessageId,
+        role: 'assistant',
+        content: chatData.response || streamedContent,
+        timestamp: new Date().toISOString(),
+        sources: chatData.sources || [],
+        documentsUsed: chatData.documentsUsed || [],
+        isStreaming: false
+      };
+
+      setMessages(prev => upsertMessage(prev, aiMessage));
+      if (chatData.conversationId) {
+        setConversationId(chatData.conversationId);
+      }
+
+      // Set cooldown
+      setCooldown(2);
+      cooldownRef.current = setInterval(() => {
+        setCooldown(prev => {
+          if (prev <= 1) {
+            clearInterval(cooldownRef.current);
+            return 0;
+          }
+          return prev - 1;
+        });
+      }, 1000);
     } catch (error) {
+      if (isAbortError(error)) {
+        setMessages(prev => finalizeStoppedMessage(prev, assistantMessageId, streamedContent));
+        return;
+      }
+
       console.error('Error sending message:', error);
       
       // Add error message
@@ -244,13 +284,22 @@ const DocumentChatPage = () => {
         isError: true
       };
       
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [
+        ...prev.filter(message => message.id !== assistantMessageId),
+        errorMessage
+      ]);
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
       setIsSaving(false);
     }
   }, [inputMessage, uploadedFile, isLoading, cooldown, messages, selectedDocuments, conversationId, loadDocuments]);
 
+  // Abort the in-flight answer; whatever has streamed so far is kept
+  const handleStopResponse = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
   // Handle key press
   const handleKeyPress = useCallback((e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -406,6 +455,7 @@ const DocumentChatPage = () => {
               setInputMessage={setInputMessage}
               isLoading={isLoading}
               handleSendMessage={handleSendMessage}
+              onStopResponse={handleStopResponse}
               handleKeyPress={handleKeyPress}
               messagesEndRef={messagesEndRef}
               isSaving={isSaving}
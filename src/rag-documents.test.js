@@ -45,6 +45,11 @@ afterEach(() => {
   delete global.__UPLOAD_DOCUMENT_TO_BLOB_MOCK__;
 });
 
+// Statements against the ACL table itself. Document queries also mention document_permissions,
+// in the EXISTS subqueries of their access predicate, and are answered by each test.
+const isPermissionsStatement = (query) =>
+  query.includes('document_permissions') && !/FROM rag_(user_)?documents\b/.test(query);
+
 const createMockResponse = ({
   ok = true,
   status = 200,
@@ -185,6 +190,9 @@ describe('handleDownloadDocument', () => {
 
     const sqlMock = jest.fn(async (strings, ...values) => {
       const query = strings.join(' ').replace(/\s+/g, ' ').trim();
+      if (isPermissionsStatement(query)) {
+        return [];
+      }
 
       if (query.includes('FROM rag_user_documents')) {
         expect(query).toContain("metadata->>'sharedWithAllUsers'");
@@ -216,6 +224,9 @@ describe('handleDownloadDocument', () => {
   test('returns 404 when neither table contains a match', async () => {
     const sqlMock = jest.fn(async (strings, ...values) => {
       const query = strings.join(' ').replace(/\s+/g, ' ').trim();
+      if (isPermissionsStatement(query)) {
+        return [];
+      }
 
       if (query.includes('FROM rag_user_documents')) {
         return [];
@@ -252,6 +263,9 @@ describe('handleDownloadDocument', () => {
 
     const sqlMock = jest.fn(async (strings, ...values) => {
       const query = strings.join(' ').replace(/\s+/g, ' ').trim();
+      if (isPermissionsStatement(query)) {
+        return [];
+      }
 
       if (query.includes('FROM rag_user_documents')) {
         return [];
@@ -387,6 +401,9 @@ describe('admin document sharing controls', () => {
   test('handleListDocuments includes shared admin documents for all users', async () => {
     const sqlMock = jest.fn(async (strings, ...values) => {
       const query = strings.join(' ').replace(/\s+/g, ' ').trim();
+      if (isPermissionsStatement(query)) {
+        return [];
+      }
       expect(query).toContain("metadata->>'sharedWithAllUsers'");
       expect(values).toContain('user-b');
 
@@ -430,6 +447,9 @@ describe('admin document sharing controls', () => {
   test('handleDownloadDocument returns shared admin document for non-owner', async () => {
     const sqlMock = jest.fn(async (strings, ...values) => {
       const query = strings.join(' ').replace(/\s+/g, ' ').trim();
+      if (isPermissionsStatement(query)) {
+        return [];
+      }
 
       if (query.includes('FROM rag_user_documents')) {
         return [
@@ -457,6 +477,58 @@ describe('admin document sharing controls', () => {
     expect(payload.documentId).toBe('doc-shared');
     expect(payload.storageLocation.url).toBe('https://example.com/shared.pdf');
   });
+  test('handleDownloadDocument keeps a restricted organization document visible to its uploader', async () => {
+    const queries = [];
+    const sqlMock = jest.fn(async (strings, ...values) => {
+      const query = strings.join(' ').replace(/\s+/g, ' ').trim();
+      if (query.includes('AS restricted')) {
+        // The document has ACL entries, none of which names the uploader
+        return [{ restricted: true, readable: false, editable: false }];
+      }
+      if (isPermissionsStatement(query)) {
+        return [];
+      }
+
+      if (query.includes('FROM rag_user_documents')) {
+        queries.push({ query, values });
+        return [
+          {
+            user_id: 'user-a',
+            organization_id: 'org-a',
+            document_id: 'doc-restricted',
+            file_id: 'doc-restricted',
+            filename: 'Deviation.pdf',
+            content_type: 'application/pdf',
+            size: 1024,
+            metadata: { storage: { url: 'https://example.com/deviation.pdf', provider: 'netlify-blobs' } },
+            vector_store_id: null,
+            content_base64: null,
+            content_encoding: null,
+          },
+        ];
+      }
+
+      return [];
+    });
+
+    const response = await handleDownloadDocument(sqlMock, 'user-a', { documentId: 'doc-restricted' }, {
+      organizationId: 'org-a',
+      roles: [],
+      groups: [],
+    });
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).documentId).toBe('doc-restricted');
+
+    expect(queries[0].query).toContain('((user_id = AND (organization_id IS NULL OR organization_id = ))');
+    expect(queries[0].values.slice(0, 2)).toEqual(['user-a', 'org-a']);
+
+    const otherOrganization = await handleDownloadDocument(sqlMock, 'user-a', { documentId: 'doc-restricted' }, {
+      organizationId: 'org-b',
+      roles: [],
+      groups: [],
+    });
+    expect(otherOrganization.statusCode).toBe(403);
+  });
 });
 
 describe('downloadDocumentContentFromOpenAI', () => {
@@ -1,21 +1,19 @@
-import openaiService from './openaiService';
-import groqService from './groqService';
-import { getModelProvider, getCurrentModelForProvider } from '../config/modelConfig';
+import { getModelProvider, getCurrentModelForProvider, getProviderDefinition } from '../config/modelConfig';
+import { resolveProvider } from './providerRegistry';
 
 class AIService {
-  constructor() {
-    this.providers = {
-      openai: openaiService,
-      groq: groqService
-    };
+  getCurrentProvider() {
+    return resolveProvider(getModelProvider());
   }
 
-  getCurrentProvider() {
-    const provider = getModelProvider();
-    return this.providers[provider] || this.providers.openai;
+  // Whether the active provider keeps uploads in an OpenAI vector store (one file per request)
+  // rather than receiving the extracted text of every attached file
+  supportsVectorStore() {
+    return Boolean(getProviderDefinition(getModelProvider())?.capabilities?.vectorStore);
   }
 
-  async getChatResponse(message, documentFile = null, history = [], model = null, existingVectorStoreId = null) {
+  // `options.onToken` streams the answer as it is generated; `options.signal` aborts the request
+  async getChatResponse(message, documentFile = null, history = [], model = null, existingVectorStoreId = null, options = {}) {
     const provider = this.getCurrentProvider();
     const currentModel = model || getCurrentModelForProvider();
     
@@ -26,7 +24,8 @@ class AIService {
       documentFile,
       history,
       currentModel,
-      existingVectorStoreId
+      existingVectorStoreId,
+      options
     );
   }
 
@@ -35,16 +34,32 @@ class AIService {
     return await provider.generateStudyNotes(selectedMessages);
   }
 
+  async generateQuiz(selectedMessages, options = {}) {
+    const provider = this.getCurrentProvider();
+    return await provider.generateQuiz(selectedMessages, options);
+  }
+
+  async summarize(text, options = {}) {
+    const provider = this.getCurrentProvider();
+    return await provider.summarize(text, { model: getCurrentModelForProvider(), ...options });
+  }
+
+  countTokens(text) {
+    return this.getCurrentProvider().countTokens(text);
+  }
+
   // Convenience method to get current provider info
   getProviderInfo() {
     const provider = getModelProvider();
     const model = getCurrentModelForProvider();
+    const definition = getProviderDefinition(provider);
     
     return {
       provider,
       model,
-      providerName: provider === 'openai' ? 'OpenAI' : 'Groq',
-      modelName: provider === 'openai' ? 'GPT-4o' : 'GPT OSS 20b (Llama 3.3 70B)'
+      providerName: definition?.name || provider,
+      modelName: model,
+      keepsDataOnPremises: Boolean(definition?.keepsDataOnPremises)
     };
   }
 
@@ -0,0 +1,72 @@
+// src/services/auditTrailService.js
+// Read-only client for the audit trail kept by the Netlify functions. Entries are written on the
+// server alongside each change; the browser can only list them.
+
+import { getTenantHeaders, getToken, getUserId } from './authService';
+
+const AUDIT_TRAIL_FUNCTION_URL = process.env.REACT_APP_AUDIT_TRAIL_FUNCTION || '/.netlify/functions/audit-trail';
+
+// Mirrors AUDIT_ACTIONS in netlify/lib/audit-trail.js
+export const AUDIT_ACTION_LABELS = {
+  'document.created': 'Document uploaded',
+  'document.indexed': 'Document indexed',
+  'document.metadata_updated': 'Metadata updated',
+  'document.deleted': 'Document deleted',
+  'summary.manual_updated': 'Manual summary updated',
+  'summary.manual_deleted': 'Manual summary removed',
+  'summary.generated': 'Summary generated',
+};
+
+const FILTER_FIELDS = ['action', 'resourceType', 'resourceId', 'userId', 'organizationId', 'from', 'to', 'limit', 'offset'];
+
+class AuditTrailService {
+  async getEvents(filters = {}) {
+    const [token, userId] = await Promise.all([getToken(), getUserId()]);
+    if (!userId) {
+      throw new Error('User identity is required to view the audit trail.');
+    }
+
+    const params = new URLSearchParams();
+    FILTER_FIELDS.forEach((field) => {
+      const value = filters[field];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        params.set(field, String(value).trim());
+      }
+    });
+    const queryString = params.toString();
+
+    const response = await fetch(`${AUDIT_TRAIL_FUNCTION_URL}${queryString ? `?${queryString}` : ''}`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'x-user-id': userId,
+        ...(await getTenantHeaders()),
+      },
+    });
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      payload = { error: response.statusText || 'Unknown error' };
+    }
+
+    if (!response.ok) {
+      const error = new Error(payload?.error || payload?.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      events: Array.isArray(payload?.events) ? payload.events : [],
+      total: Number(payload?.total) || 0,
+      limit: Number(payload?.limit) || 0,
+      offset: Number(payload?.offset) || 0,
+    };
+  }
+}
+
+const auditTrailService = new AuditTrailService();
+export default auditTrailService;
+
+export const getAuditEvents = (filters) => auditTrailService.getEvents(filters);
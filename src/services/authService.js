@@ -106,8 +106,9 @@ class AuthService {
       const claims = await this.auth0Client.getIdTokenClaims();
       const roles = claims?.[AUTH0_CONFIG.ROLES_CLAIM] || [];
       const organization = claims?.[AUTH0_CONFIG.ORG_CLAIM] || null;
+      const groups = claims?.[AUTH0_CONFIG.GROUPS_CLAIM] || [];
 
-      return { ...user, roles, organization };
+      return { ...user, roles, organization, groups };
     } catch (error) {
       console.error('Error getting user:', error);
       return null;
@@ -120,6 +121,33 @@ class AuthService {
     return user?.sub || null;
   }
 
+  // Roles, groups and organization the Netlify functions use to scope libraries and document ACLs
+  async getTenantHeaders() {
+    const user = await this.getUser();
+    const headers = {};
+
+    // The functions split these headers on commas and whitespace, so "QA Lead" is sent as "QA_Lead"
+    const toHeaderList = (values) => (Array.isArray(values)
+      ? values.map(value => (typeof value === 'string' ? value.trim().replace(/\s+/g, '_') : '')).filter(Boolean)
+      : []);
+
+    const roles = toHeaderList(user?.roles);
+    if (roles.length > 0) {
+      headers['x-user-roles'] = roles.join(',');
+    }
+
+    const groups = toHeaderList(user?.groups);
+    if (groups.length > 0) {
+      headers['x-user-groups'] = groups.join(',');
+    }
+
+    if (typeof user?.organization === 'string' && user.organization.trim()) {
+      headers['x-user-organization'] = user.organization.trim();
+    }
+
+    return headers;
+  }
+
   async getToken() {
     if (!this.auth0Client) {
       console.error('Auth0 client not initialized');
@@ -382,6 +410,16 @@ export const getUserId = async () => {
   }
 };
 
+// Export tenant headers; requests fall back to the personal library when they cannot be resolved
+export const getTenantHeaders = async () => {
+  try {
+    return await authService.getTenantHeaders();
+  } catch (error) {
+    console.warn('Unable to resolve user roles and organization:', error);
+    return {};
+  }
+};
+
 // Export additional debugging functions
 export const clearTokenCache = () => authService.clearTokenCache();
 export const getTokenInfo = () => authService.getTokenInfo();
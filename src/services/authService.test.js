@@ -60,7 +60,8 @@ describe('AuthService getUser', () => {
       sub: 'user123',
       name: 'Test User',
       roles: ['admin', 'editor'],
-      organization: 'Acme Corp'
+      organization: 'Acme Corp',
+      groups: []
     });
   });
 
@@ -86,7 +87,8 @@ describe('AuthService getUser', () => {
       sub: 'user456',
       name: 'Another User',
       roles: [],
-      organization: null
+      organization: null,
+      groups: []
     });
   });
 });
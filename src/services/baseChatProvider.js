@@ -0,0 +1,408 @@
+import { ERROR_MESSAGES } from '../config/constants';
+import { readServerSentEvents } from '../utils/serverSentEvents';
+
+/**
+ * Normalizes chat history into `{ role, content }` pairs, dropping resources, notes and
+ * local-only entries that should never be sent to a model.
+ */
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+
+  return history
+    .map(item => {
+      if (!item || typeof item !== 'object') {
+        return null;
+      }
+
+      if (item.isResource || item.isStudyNotes || item.isLocalOnly) {
+        return null;
+      }
+
+      const role = item.role || (item.type === 'ai' ? 'assistant' : item.type === 'user' ? 'user' : null);
+      if (role !== 'user' && role !== 'assistant') {
+        return null;
+      }
+
+      let content = item.content;
+      if (Array.isArray(content)) {
+        content = content.join(' ');
+      } else if (content == null) {
+        content = '';
+      } else if (typeof content !== 'string') {
+        content = String(content);
+      }
+
+      if (typeof content !== 'string' || content.trim().length === 0) {
+        return null;
+      }
+
+      return { role, content };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Rough word-based token count used for rate-limit messages and usage fallbacks. Providers do not
+ * share a tokenizer, so this intentionally errs on the side of simplicity.
+ */
+export function countTokens(text) {
+  if (typeof text !== 'string') {
+    return 0;
+  }
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+export function getRateLimitMessage(tokenCount) {
+  return typeof ERROR_MESSAGES.RATE_LIMIT_EXCEEDED === 'function'
+    ? ERROR_MESSAGES.RATE_LIMIT_EXCEEDED(tokenCount)
+    : ERROR_MESSAGES.RATE_LIMIT_EXCEEDED;
+}
+
+// Group messages by conversation pairs (user question + AI response)
+function groupConversationPairs(selectedMessages) {
+  const conversationPairs = [];
+  let currentPair = {};
+
+  [...selectedMessages]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(msg => {
+      if (msg.type === 'user') {
+        if (currentPair.question || currentPair.answer) {
+          conversationPairs.push(currentPair);
+        }
+        currentPair = { question: msg.content, messageIds: [msg.id] };
+      } else if (msg.type === 'ai' && !msg.isStudyNotes) {
+        currentPair.answer = msg.content;
+        currentPair.resources = msg.resources || [];
+        currentPair.messageIds = [...(currentPair.messageIds || []), msg.id];
+      }
+    });
+
+  if (currentPair.question || currentPair.answer) {
+    conversationPairs.push(currentPair);
+  }
+
+  return conversationPairs;
+}
+
+export function buildStudyNotesPrompt(selectedMessages) {
+  if (!selectedMessages || selectedMessages.length === 0) {
+    throw new Error('No messages selected for notes generation');
+  }
+
+  const conversationPairs = groupConversationPairs(selectedMessages);
+  if (conversationPairs.length === 0) {
+    throw new Error('No valid conversation pairs found for notes generation');
+  }
+
+  const studyContent = conversationPairs
+    .map((pair, index) => {
+      let content = `\n=== CONVERSATION ${index + 1} ===\n`;
+      if (pair.question) content += `QUESTION: ${pair.question}\n\n`;
+      if (pair.answer) content += `ANSWER: ${pair.answer}\n`;
+      if (pair.resources && pair.resources.length > 0) {
+        content += `\nRELATED RESOURCES:\n`;
+        content += pair.resources.map(r => `• ${r.title} (${r.type}): ${r.url}`).join('\n');
+        content += '\n';
+      }
+      return content;
+    })
+    .join('\n');
+
+  return `Create comprehensive notes for pharmaceutical quality and compliance based on the following conversation topics.
+
+Format as organized study material with:
+1. **Executive Summary** - Key takeaways from all conversations
+2. **Core Topics Covered** - Main pharmaceutical quality areas discussed
+3. **Key Concepts and Definitions** - Important terms and their meanings
+4. **Regulatory Requirements** - Specific FDA, ICH, or other regulatory guidance mentioned
+5. **Implementation Best Practices** - Practical recommendations from the discussions
+6. **Common Pitfalls to Avoid** - Warnings and cautions identified
+7. **Study Questions for Review** - Questions to test understanding
+
+Include specific references to FDA, ICH, and other regulatory guidelines where applicable.
+Make this comprehensive but well-organized for study purposes.
+
+Number of conversations analyzed: ${conversationPairs.length}
+
+Conversation content:
+${studyContent}`;
+}
+
+/**
+ * Build a prompt asking for quiz items as JSON. Conversations are labelled C1, C2… and their
+ * resources R1, R2…; the returned `sources` map those labels back to messages and links so
+ * citations in the response can be resolved.
+ * @returns {{prompt: string, sources: Object<string, Object>}}
+ */
+export function buildQuizPrompt(selectedMessages, { questionCount = 8 } = {}) {
+  if (!selectedMessages || selectedMessages.length === 0) {
+    throw new Error('No messages selected for quiz generation');
+  }
+
+  const conversationPairs = groupConversationPairs(selectedMessages).filter(pair => pair.answer);
+  if (conversationPairs.length === 0) {
+    throw new Error('No answered conversations found for quiz generation');
+  }
+
+  const sources = {};
+  let resourceCount = 0;
+  const quizContent = conversationPairs
+    .map((pair, index) => {
+      const conversationLabel = `C${index + 1}`;
+      sources[conversationLabel] = {
+        title: (pair.question || pair.answer).replace(/\s+/g, ' ').trim().slice(0, 120),
+        messageId: pair.messageIds?.[0] || null,
+      };
+
+      let content = `\n=== ${conversationLabel} ===\n`;
+      if (pair.question) content += `QUESTION: ${pair.question}\n\n`;
+      content += `ANSWER: ${pair.answer}\n`;
+      (pair.resources || []).forEach(resource => {
+        if (!resource?.title && !resource?.url) return;
+        resourceCount += 1;
+        const resourceLabel = `R${resourceCount}`;
+        sources[resourceLabel] = { title: resource.title || resource.url, url: resource.url || null };
+        content += `[${resourceLabel}] ${resource.title || ''}${resource.url ? ` - ${resource.url}` : ''}\n`;
+      });
+      return content;
+    })
+    .join('\n');
+
+  const prompt = `Write a ${questionCount}-question quiz that checks understanding of the pharmaceutical quality and compliance topics in the conversations below.
+
+Mix multiple-choice and short-answer questions. Test facts, requirements and reasoning stated in the conversations only.
+
+Respond with JSON only, no prose or code fences, in exactly this shape:
+{"title": "short quiz title", "items": [
+  {"type": "multiple_choice", "question": "...", "choices": ["...", "...", "...", "..."], "correctChoice": 0, "explanation": "...", "sources": ["C1", "R2"]},
+  {"type": "short_answer", "question": "...", "answer": "model answer", "keyTerms": ["term", "term"], "explanation": "...", "sources": ["C2"]}
+]}
+
+correctChoice is the zero-based index of the right choice. keyTerms are the two to four words or phrases a correct short answer must mention. sources lists the conversation (C#) and resource (R#) labels that support the answer.
+
+Conversation content:
+${quizContent}`;
+
+  return { prompt, sources };
+}
+
+/**
+ * Pull quiz items out of a model response and swap source labels for citations. Tolerates code
+ * fences and text around the JSON object; the server validates each item before saving it.
+ */
+export function parseQuizResponse(answer, sources = {}) {
+  const text = typeof answer === 'string' ? answer : '';
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('The assistant did not return a quiz');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error('The assistant returned a quiz that could not be read');
+  }
+
+  const items = (Array.isArray(payload?.items) ? payload.items : []).map(item => {
+    const { sources: labels, ...rest } = item || {};
+    const citations = (Array.isArray(labels) ? labels : [])
+      .map(label => sources[String(label).trim().toUpperCase()])
+      .filter(Boolean);
+    return { ...rest, citations };
+  });
+
+  return { title: typeof payload?.title === 'string' ? payload.title : '', items };
+}
+
+/**
+ * Shared plumbing for chat providers: authenticated fetch with rate-limit retries, streaming,
+ * error mapping, history normalization, token estimates, study notes, quizzes and summaries.
+ * Subclasses implement `getChatResponse(message, documentFile, history, model, vectorStoreId, options)`
+ * and resolve with `{ answer, resources, usage, vectorStoreId }`.
+ */
+export class BaseChatProvider {
+  constructor({
+    id,
+    name,
+    baseUrl,
+    apiKey,
+    defaultModel,
+    requiresApiKey = true,
+    missingKeyMessage = ERROR_MESSAGES.PROVIDER_NOT_CONFIGURED(name || id),
+    invalidKeyMessage = ERROR_MESSAGES.PROVIDER_INVALID_API_KEY(name || id),
+  } = {}) {
+    this.id = id;
+    this.name = name || id;
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.model = defaultModel;
+    this.requiresApiKey = requiresApiKey;
+    this.missingKeyMessage = missingKeyMessage;
+    this.invalidKeyMessage = invalidKeyMessage;
+  }
+
+  // Also guards endpoint-configured providers (Azure, on-premises) that have no base URL yet
+  validateApiKey() {
+    if ((this.requiresApiKey && !this.apiKey) || !this.baseUrl) {
+      throw new Error(this.missingKeyMessage);
+    }
+  }
+
+  getAuthHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  buildUrl(endpoint) {
+    return `${this.baseUrl}${endpoint}`;
+  }
+
+  // Hook for providers that need to rewrite a request body before it is sent
+  prepareRequestOptions(endpoint, options) {
+    return options;
+  }
+
+  async makeRequest(endpoint, options = {}, tokenCount = 0) {
+    const response = await this.fetchWithRetry(endpoint, options, tokenCount);
+    return await response.json();
+  }
+
+  /**
+   * Send a request with `stream: true` and hand every server-sent event to `onEvent`.
+   * Rate-limit retries happen before the stream starts, exactly as in makeRequest.
+   */
+  async makeStreamingRequest(endpoint, options = {}, tokenCount = 0, onEvent = () => {}) {
+    const response = await this.fetchWithRetry(endpoint, options, tokenCount);
+    await readServerSentEvents(response, onEvent);
+  }
+
+  async fetchWithRetry(endpoint, options = {}, tokenCount = 0) {
+    this.validateApiKey();
+
+    const requestOptions = this.prepareRequestOptions(endpoint, {
+      method: 'POST',
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.getAuthHeaders(),
+        ...(options.headers || {}),
+      },
+    });
+
+    const maxRetries = 3;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      try {
+        const response = await fetch(this.buildUrl(endpoint), { ...requestOptions });
+
+        // Handle rate limit with retries (exponential backoff)
+        if (response.status === 429 && attempt < maxRetries - 1) {
+          const delay = Math.pow(2, attempt) * 1000;
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
+        }
+
+        if (!response.ok) {
+          await this.handleApiError(response, tokenCount);
+        }
+
+        return response;
+      } catch (error) {
+        // Network-level fetch failures (e.g., CORS or connectivity)
+        if (error.name === 'TypeError' && error.message.includes('fetch')) {
+          throw new Error(ERROR_MESSAGES.NETWORK_ERROR);
+        }
+        throw error;
+      }
+    }
+
+    // Final failure after retries
+    throw new Error(getRateLimitMessage(tokenCount));
+  }
+
+  async handleApiError(response, tokenCount = 0) {
+    let errorData = {};
+    try {
+      errorData = await response.json();
+    } catch {
+      // ignore parse errors; fall back to generic message
+    }
+
+    const errorMessage = errorData.error?.message || 'Unknown error';
+
+    switch (response.status) {
+      case 401:
+        throw new Error(this.invalidKeyMessage);
+      case 402:
+        throw new Error(ERROR_MESSAGES.QUOTA_EXCEEDED);
+      case 429:
+        throw new Error(getRateLimitMessage(tokenCount));
+      default:
+        throw new Error(`${this.name} API error: ${response.status} ${errorMessage}`);
+    }
+  }
+
+  normalizeHistory(history) {
+    return normalizeHistory(history);
+  }
+
+  estimateTokens(payload) {
+    const messages = Array.isArray(payload?.messages) ? payload.messages : [];
+    const messageTokens = messages.reduce((sum, msg) => {
+      const content = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content || '');
+      return sum + countTokens(content);
+    }, 0);
+    return messageTokens + (payload?.max_tokens || 0);
+  }
+
+  countTokens(text) {
+    return countTokens(text);
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  async getChatResponse(message, documentFile = null, history = [], model = this.model, existingVectorStoreId = null, options = {}) {
+    throw new Error(`${this.name} does not implement getChatResponse`);
+  }
+
+  async generateStudyNotes(selectedMessages) {
+    const notesPrompt = buildStudyNotesPrompt(selectedMessages);
+    console.log('Generating notes for messages:', selectedMessages);
+    return await this.getChatResponse(notesPrompt);
+  }
+
+  /**
+   * Draft quiz items from the selected conversations.
+   * @returns {Promise<{title: string, items: Object[]}>}
+   */
+  async generateQuiz(selectedMessages, options = {}) {
+    const { prompt, sources } = buildQuizPrompt(selectedMessages, options);
+    const result = await this.getChatResponse(prompt);
+    return parseQuizResponse(result?.answer, sources);
+  }
+
+  /**
+   * Summarize free text with the provider's chat model.
+   * @returns {Promise<{summary: string, usage: Object|null}>}
+   */
+  async summarize(text, { instructions, maxWords = 250, model } = {}) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('Text is required for summarization');
+    }
+
+    const prompt = [
+      instructions || 'Summarize the following pharmaceutical quality content for a compliance professional.',
+      `Keep the summary under ${maxWords} words and preserve document numbers, requirements and deadlines exactly.`,
+      '',
+      text.trim(),
+    ].join('\n');
+
+    const result = await this.getChatResponse(prompt, null, [], model || this.model);
+    return { summary: result.answer, usage: result.usage || null };
+  }
+}
+
+export default BaseChatProvider;
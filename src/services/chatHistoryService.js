@@ -1,5 +1,5 @@
 // Chat History Service - Handles capturing, storing, and retrieving chat histories
-import { combineMessagesIntoConversations } from '../utils/messageUtils';
+import { combineMessagesIntoConversations, getActiveBranch } from '../utils/messageUtils';
 
 class ChatHistoryService {
   constructor() {
@@ -23,8 +23,8 @@ class ChatHistoryService {
       throw new Error('User authentication required');
     }
 
-    // Filter out resource messages and combine into conversations
-    const chatMessages = messages.filter(msg => !msg.isResource);
+    // Filter out resource messages and other branches, then combine into conversations
+    const chatMessages = getActiveBranch(messages).filter(msg => !msg.isResource);
     const conversations = combineMessagesIntoConversations(chatMessages);
     
     if (conversations.length === 0) {
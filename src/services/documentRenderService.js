@@ -0,0 +1,54 @@
+// src/services/documentRenderService.js
+// Client for the render-document function, which turns a document model (title, version,
+// Markdown or blocks, footnotes) into a paginated PDF or a Word document.
+
+import { getTenantHeaders, getToken, getUserId } from './authService';
+
+const RENDER_DOCUMENT_FUNCTION_URL =
+  process.env.REACT_APP_RENDER_DOCUMENT_FUNCTION || '/.netlify/functions/render-document';
+
+// Mirrors DOCUMENT_FORMATS in netlify/lib/document-renderer.js
+export const DOCUMENT_FORMATS = ['pdf', 'docx'];
+
+class DocumentRenderService {
+  async render(document, format = 'pdf') {
+    if (!DOCUMENT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const [token, userId] = await Promise.all([getToken(), getUserId()]);
+    if (!userId) {
+      throw new Error('User identity is required to export documents.');
+    }
+
+    const response = await fetch(RENDER_DOCUMENT_FUNCTION_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        'x-user-id': userId,
+        ...(await getTenantHeaders()),
+      },
+      body: JSON.stringify({ format, document }),
+    });
+
+    if (!response.ok) {
+      let payload;
+      try {
+        payload = await response.json();
+      } catch (error) {
+        payload = { error: response.statusText || 'Unknown error' };
+      }
+      const error = new Error(payload?.error || payload?.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.blob();
+  }
+}
+
+const documentRenderService = new DocumentRenderService();
+export default documentRenderService;
+
+export const renderDocument = (document, format) => documentRenderService.render(document, format);
@@ -1,7 +1,35 @@
 // src/services/learningSuggestionsService.js
+// Suggestions come from the user's own knowledge gaps first: recent questions are clustered, each
+// cluster is searched against their documents and the admin training resources, and useful / not
+// useful feedback reweights the next round. The keyword templates below are only the fallback when
+// retrieval finds nothing (no documents yet, or a non-Neon RAG backend).
 import neonService from './neonService';
+import ragService from './ragService';
+import trainingResourceService from './trainingResourceService';
 import { FEATURE_FLAGS } from '../config/featureFlags';
 import { findBestResourceMatch } from '../utils/resourceGenerator';
+import { matchAdminResourcesToContext } from '../utils/internalResourceUtils';
+import { clusterQuestions } from '../utils/questionClustering';
+
+const MAX_RECENT_QUESTIONS = 30;
+const MAX_QUESTION_CLUSTERS = 5;
+const RESULTS_PER_CLUSTER = 4;
+const MAX_RETRIEVAL_SUGGESTIONS = 6;
+
+export const SUGGESTION_TARGET_TYPES = {
+  DOCUMENT_SECTION: 'document_section',
+  TRAINING_RESOURCE: 'training_resource',
+};
+
+const EMPTY_FEEDBACK = { targets: {}, documentWeights: {}, termWeights: {} };
+
+const truncate = (text, maxLength) => (text.length > maxLength ? `${text.slice(0, maxLength - 1).trim()}…` : text);
+
+// One key per document section so feedback on a section does not hide the rest of the document
+const buildDocumentTargetKey = (result) => {
+  const section = result.sectionPath || result.sectionNumber || result.sectionTitle || `chunk-${result.chunkIndex ?? result.chunkId}`;
+  return `doc:${result.documentId}:${section}`;
+};
 
 const TOPIC_SUGGESTIONS = {
   gmp: {
@@ -212,18 +240,21 @@ class LearningSuggestionsService {
         return cached.suggestions;
       }
 
-        // Get user's recent conversations from the Neon backend
-      const recentConversations = await this.getRecentConversations();
+      // Get user's recent conversations from the Neon backend
+      const recentConversations = await this.getRecentConversations(MAX_RECENT_QUESTIONS);
 
       if (!recentConversations || recentConversations.length === 0) {
         console.log('No recent conversations found, returning default suggestions');
         return this.getDefaultSuggestions();
       }
 
-      // Analyze conversations and generate suggestions
-      const suggestions = await this.generateSuggestionsFromConversations(
-        recentConversations.slice(0, 5) // Use last 5 as specified
-      );
+      let suggestions = await this.generateRetrievalSuggestions(userId, recentConversations);
+      if (suggestions.length === 0) {
+        // Analyze conversations and generate suggestions
+        suggestions = await this.generateSuggestionsFromConversations(
+          recentConversations.slice(0, 5) // Use last 5 as specified
+        );
+      }
 
       // Cache the results
       this.cache.set(cacheKey, {
@@ -240,22 +271,215 @@ class LearningSuggestionsService {
   }
 
   /**
-   * Fetches last 10 conversations from the conversation service
+   * Fetches the most recent stored messages from the conversation service, newest first
+   * @param {number} limit - Number of messages to return
    * @returns {Promise<Object[]>} - Recent conversations
    */
-  async getRecentConversations() {
+  async getRecentConversations(limit = 10) {
     if (!FEATURE_FLAGS.ENABLE_AI_SUGGESTIONS) {
       return [];
     }
     try {
       const conversations = await neonService.loadConversations();
-      return conversations.slice(-10).reverse();
+      return conversations.slice(-limit).reverse();
     } catch (error) {
       console.error('Error fetching recent conversations:', error);
       throw error;
     }
   }
 
+  /**
+   * Collects the user's questions, newest first, from flat messages or conversation records
+   * @param {Object[]} conversations - Messages or conversations with a `messages` array
+   * @returns {string[]} - Question texts
+   */
+  collectRecentQuestions(conversations = []) {
+    return conversations
+      .flatMap(entry => (Array.isArray(entry?.messages) ? entry.messages : [entry]))
+      .filter(message => message?.type === 'user' && typeof message.content === 'string' && message.content.trim())
+      .map(message => message.content.trim())
+      .slice(0, MAX_RECENT_QUESTIONS);
+  }
+
+  async getSuggestionFeedback() {
+    try {
+      const feedback = await neonService.makeRequest('get_suggestion_feedback');
+      return { ...EMPTY_FEEDBACK, ...feedback };
+    } catch (error) {
+      console.warn('Unable to load suggestion feedback, ranking without it:', error);
+      return EMPTY_FEEDBACK;
+    }
+  }
+
+  /**
+   * Records whether a retrieval suggestion was useful. The vote is stored against the suggested
+   * section or resource and the question terms behind it, and cached suggestions are dropped so
+   * the next load is ranked with it.
+   * @param {string} userId - User identifier
+   * @param {Object} suggestion - Suggestion produced by generateRetrievalSuggestions
+   * @param {boolean} useful - The user's verdict
+   */
+  async recordSuggestionFeedback(userId, suggestion, useful) {
+    const target = suggestion?.metadata?.feedback;
+    if (!target?.targetKey) {
+      throw new Error('Only suggestions from your documents and training resources can be rated.');
+    }
+
+    const result = await neonService.makeRequest('record_suggestion_feedback', { ...target, useful: Boolean(useful) });
+    this.clearCache(userId);
+    return result;
+  }
+
+  /**
+   * Orders clusters by how often the topic came up, nudged by past feedback on its terms
+   * @param {Object[]} clusters - Output of clusterQuestions
+   * @param {Object} termWeights - Net useful votes per term
+   * @returns {Object[]} - Clusters worth searching, best first
+   */
+  rankQuestionClusters(clusters, termWeights = {}) {
+    return clusters
+      .map(cluster => {
+        const feedbackWeight = cluster.terms
+          .slice(0, 6)
+          .reduce((total, term) => total + (termWeights[term] || 0), 0);
+        return { ...cluster, feedbackWeight, priority: cluster.size + feedbackWeight / 2 };
+      })
+      .filter(cluster => cluster.priority > 0)
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Builds next-read suggestions from the user's documents and training resources for each cluster
+   * of recent questions. Sections and resources voted not useful are never suggested again, and
+   * documents with net useful votes rank higher.
+   * @param {string} userId - User identifier
+   * @param {Object[]} conversations - Recent messages, newest first
+   * @returns {Promise<Object[]>} - Suggestions, or an empty list when retrieval finds nothing
+   */
+  async generateRetrievalSuggestions(userId, conversations) {
+    if (!FEATURE_FLAGS.ENABLE_AI_SUGGESTIONS || !userId || !ragService.isNeonBackend()) {
+      return [];
+    }
+
+    const clusters = clusterQuestions(this.collectRecentQuestions(conversations), { maxClusters: MAX_QUESTION_CLUSTERS });
+    if (clusters.length === 0) {
+      return [];
+    }
+
+    const [feedback, trainingResources] = await Promise.all([
+      this.getSuggestionFeedback(),
+      trainingResourceService.getTrainingResources().catch(() => []),
+    ]);
+
+    const suggestions = [];
+    const seenTargets = new Set();
+    const isAvailable = (targetKey) => !seenTargets.has(targetKey) && feedback.targets[targetKey] !== false;
+
+    for (const cluster of this.rankQuestionClusters(clusters, feedback.termWeights)) {
+      let results = [];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await ragService.searchDocuments(cluster.query, { limit: RESULTS_PER_CLUSTER }, userId);
+        results = Array.isArray(response?.results) ? response.results : [];
+      } catch (error) {
+        console.warn('Suggestion search failed for cluster:', cluster.query, error);
+      }
+
+      const bestSection = results
+        .filter(result => result?.documentId)
+        .map((result, position) => ({
+          result,
+          targetKey: buildDocumentTargetKey(result),
+          weight: RESULTS_PER_CLUSTER - position + Math.max(-2, Math.min(2, feedback.documentWeights[String(result.documentId)] || 0)),
+        }))
+        .filter(candidate => isAvailable(candidate.targetKey))
+        .sort((a, b) => b.weight - a.weight)[0];
+
+      if (bestSection) {
+        seenTargets.add(bestSection.targetKey);
+        suggestions.push(this.buildSectionSuggestion(bestSection, cluster));
+      }
+
+      const [resource] = matchAdminResourcesToContext(cluster.questions.join(' '), trainingResources, 3)
+        .filter(match => isAvailable(`resource:${match.metadata.adminResourceId}`));
+      if (resource) {
+        seenTargets.add(`resource:${resource.metadata.adminResourceId}`);
+        suggestions.push(this.buildResourceSuggestion(resource, cluster));
+      }
+    }
+
+    return suggestions
+      .sort((a, b) => b.relevanceScore - a.relevanceScore)
+      .slice(0, MAX_RETRIEVAL_SUGGESTIONS);
+  }
+
+  describeCluster(cluster) {
+    const topic = cluster.terms.slice(0, 3).join(', ');
+    return cluster.size === 1
+      ? `You recently asked about ${topic}.`
+      : `You asked ${cluster.size} questions about ${topic}.`;
+  }
+
+  buildSectionSuggestion({ result, targetKey, weight }, cluster) {
+    const documentTitle = result.documentTitle || result.filename || 'your document';
+    const sectionLabel = result.citation || result.sectionTitle || 'the relevant section';
+    const documentId = String(result.documentId);
+
+    return {
+      id: targetKey,
+      title: `Read ${sectionLabel} of ${documentTitle}`,
+      type: 'Reference',
+      description: `${this.describeCluster(cluster)} This section of ${documentTitle} covers it.`,
+      objective: `Answer: "${truncate(cluster.questions[0], 140)}"`,
+      relevanceScore: Math.max(1, Math.min(10, 4 + cluster.size + Math.round(weight / 2))),
+      source: 'retrieval',
+      isPersonalized: true,
+      metadata: {
+        ...(result.metadata || {}),
+        documentId,
+        documentTitle,
+        filename: result.filename || null,
+        sectionTitle: result.sectionTitle || null,
+        sectionPath: result.sectionPath || null,
+        pageNumber: result.pageNumber ?? null,
+        citation: result.citation || null,
+        excerpt: typeof result.text === 'string' ? truncate(result.text.replace(/\s+/g, ' ').trim(), 240) : null,
+        questions: cluster.questions,
+        feedback: {
+          targetKey,
+          targetType: SUGGESTION_TARGET_TYPES.DOCUMENT_SECTION,
+          documentId,
+          terms: cluster.terms.slice(0, 6),
+        },
+      },
+    };
+  }
+
+  buildResourceSuggestion(resource, cluster) {
+    const targetKey = `resource:${resource.metadata.adminResourceId}`;
+
+    return {
+      id: targetKey,
+      title: resource.title,
+      type: 'Training',
+      description: `${this.describeCluster(cluster)} ${resource.description}`,
+      objective: `Answer: "${truncate(cluster.questions[0], 140)}"`,
+      relevanceScore: Math.max(1, Math.min(10, 3 + cluster.size)),
+      source: 'retrieval',
+      isPersonalized: true,
+      url: resource.url,
+      metadata: {
+        trainingResourceId: resource.metadata.adminResourceId,
+        questions: cluster.questions,
+        feedback: {
+          targetKey,
+          targetType: SUGGESTION_TARGET_TYPES.TRAINING_RESOURCE,
+          terms: cluster.terms.slice(0, 6),
+        },
+      },
+    };
+  }
+
   /**
    * Generates learning suggestions using Neon conversation data
    * @param {Object[]} conversations - Recent conversations
@@ -601,6 +825,9 @@ export const refreshSuggestions = (userId) =>
     ? learningSuggestionsService.refreshSuggestions(userId)
     : [];
 
+export const recordSuggestionFeedback = (userId, suggestion, useful) =>
+  learningSuggestionsService.recordSuggestionFeedback(userId, suggestion, useful);
+
 export const clearSuggestionCache = (userId) =>
   FEATURE_FLAGS.ENABLE_AI_SUGGESTIONS
     ? learningSuggestionsService.clearCache(userId)
@@ -1,4 +1,22 @@
 import learningSuggestionsService, { clearSuggestionCache } from './learningSuggestionsService';
+import neonService from './neonService';
+import ragService from './ragService';
+import trainingResourceService from './trainingResourceService';
+
+jest.mock('./authService', () => ({
+  getToken: () => Promise.resolve('token'),
+  getTenantHeaders: () => Promise.resolve({}),
+}));
+
+jest.mock('./ragService', () => ({
+  __esModule: true,
+  default: { isNeonBackend: jest.fn(), searchDocuments: jest.fn() },
+}));
+
+jest.mock('./trainingResourceService', () => ({
+  __esModule: true,
+  default: { getTrainingResources: jest.fn() },
+}));
 
 describe('learningSuggestionsService (Neon heuristics)', () => {
   let mathRandomSpy;
@@ -45,3 +63,87 @@ describe('learningSuggestionsService (Neon heuristics)', () => {
     expect(suggestions.some(s => s.type === 'Learning Path' || s.type === 'Workshop' || s.type === 'Program')).toBe(true);
   });
 });
+
+describe('learningSuggestionsService (retrieval)', () => {
+  const messages = [
+    { type: 'user', content: 'Who approves a deviation investigation report?' },
+    { type: 'ai', content: 'QA approves it.' },
+    { type: 'user', content: 'When is a deviation investigation overdue?' },
+    { type: 'user', content: 'What is the cleaning validation acceptance limit?' },
+  ];
+
+  const sectionResult = (documentId, sectionPath, overrides = {}) => ({
+    documentId,
+    chunkId: `${documentId}-${sectionPath}`,
+    sectionPath,
+    sectionTitle: `Section ${sectionPath}`,
+    citation: `§${sectionPath}`,
+    pageNumber: 4,
+    documentTitle: `SOP ${documentId}`,
+    text: 'Deviation investigations are approved by QA within 30 days.',
+    ...overrides,
+  });
+
+  let makeRequestSpy;
+
+  beforeEach(() => {
+    ragService.isNeonBackend.mockReturnValue(true);
+    trainingResourceService.getTrainingResources.mockResolvedValue([
+      { id: '9', name: 'Cleaning validation limits course', description: 'Acceptance limit calculation', url: 'https://lms.example.com/cv', tag: 'validation' },
+    ]);
+    makeRequestSpy = jest.spyOn(neonService, 'makeRequest');
+  });
+
+  afterEach(() => {
+    makeRequestSpy.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  it('links clustered questions to document sections and matching training resources', async () => {
+    makeRequestSpy.mockResolvedValue({ targets: {}, documentWeights: {}, termWeights: {} });
+    ragService.searchDocuments.mockImplementation(async (query) => ({
+      results: query.startsWith('deviation') ? [sectionResult('7', '4.2')] : [],
+    }));
+
+    const suggestions = await learningSuggestionsService.generateRetrievalSuggestions('test-user', messages);
+
+    expect(ragService.searchDocuments.mock.calls[0][0]).toMatch(/^deviation investigation/);
+    const section = suggestions.find(s => s.id === 'doc:7:4.2');
+    expect(section).toMatchObject({ type: 'Reference', source: 'retrieval', title: 'Read §4.2 of SOP 7' });
+    expect(section.metadata).toMatchObject({ documentId: '7', pageNumber: 4, citation: '§4.2' });
+    expect(section.metadata.feedback).toMatchObject({ targetType: 'document_section', documentId: '7' });
+    expect(suggestions.find(s => s.id === 'resource:9')).toMatchObject({ type: 'Training', url: 'https://lms.example.com/cv' });
+  });
+
+  it('skips sections voted not useful and favours documents voted useful', async () => {
+    makeRequestSpy.mockResolvedValue({
+      targets: { 'doc:7:4.2': false },
+      documentWeights: { 8: 2 },
+      termWeights: {},
+    });
+    ragService.searchDocuments.mockResolvedValue({
+      results: [sectionResult('7', '4.2'), sectionResult('7', '5.1'), sectionResult('8', '2')],
+    });
+
+    const suggestions = await learningSuggestionsService.generateRetrievalSuggestions('test-user', messages);
+    const sectionIds = suggestions.filter(s => s.type === 'Reference').map(s => s.id);
+
+    expect(sectionIds).not.toContain('doc:7:4.2');
+    expect(sectionIds[0]).toBe('doc:8:2');
+  });
+
+  it('records feedback against the suggested target', async () => {
+    makeRequestSpy.mockResolvedValue({ targetKey: 'doc:7:4.2', useful: true });
+    const suggestion = { metadata: { feedback: { targetKey: 'doc:7:4.2', targetType: 'document_section', documentId: '7', terms: ['deviation'] } } };
+
+    await learningSuggestionsService.recordSuggestionFeedback('test-user', suggestion, true);
+
+    expect(makeRequestSpy).toHaveBeenCalledWith('record_suggestion_feedback', {
+      targetKey: 'doc:7:4.2',
+      targetType: 'document_section',
+      documentId: '7',
+      terms: ['deviation'],
+      useful: true,
+    });
+  });
+});
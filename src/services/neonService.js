@@ -1,48 +1,395 @@
 // src/services/neonService.js
-// Remote conversation and resource persistence have been disabled.
+// Conversation persistence backed by the neon-db function. Each chat thread is saved as its own
+// row with a version number so saves are incremental and concurrent tabs can be reconciled.
 
+import { getTenantHeaders, getToken } from './authService';
+import { deriveThreadIdAssignments } from '../utils/messageUtils';
+import { readLegacyMessageHistory } from '../utils/storageUtils';
 import { logVerboseInfo } from '../utils/logging';
 
+const NEON_FUNCTION_URL = '/.netlify/functions/neon-db';
+const MIGRATION_KEY_PREFIX = 'acceleraqa_conversations_migrated_';
+const SYNC_CHANNEL_NAME = 'acceleraqa-conversation-sync';
+const AUTO_SAVE_DELAY_MS = 2000;
+const MAX_CONFLICT_RETRIES = 3;
+
+// Flags added by the UI when merging current and stored messages; they are not part of a message
+const TRANSIENT_MESSAGE_FIELDS = ['isCurrent', 'isStored', 'isStreaming'];
+
+const getTimestampValue = (message) => {
+  const value = Date.parse(message?.timestamp);
+  return Number.isNaN(value) ? Infinity : value;
+};
+
+const sortByTimestamp = (messages) =>
+  messages.slice().sort((a, b) => getTimestampValue(a) - getTimestampValue(b));
+
+const stripTransientFields = (message) => {
+  const cleaned = { ...message };
+  TRANSIENT_MESSAGE_FIELDS.forEach((field) => {
+    delete cleaned[field];
+  });
+  return cleaned;
+};
+
+const getMessageKey = (message) =>
+  message.id || `${message.role || message.type}:${message.timestamp}:${message.content}`;
+
+/**
+ * Split messages into threads keyed by thread id, stamping each message with its thread so the
+ * grouping survives a round trip through the server.
+ * @param {Object[]} messages - Messages in any order
+ * @returns {Map<string, Object[]>} - Thread id to its messages in timestamp order
+ */
+export function groupMessagesIntoThreads(messages) {
+  const persistable = sortByTimestamp(
+    (Array.isArray(messages) ? messages : []).filter(
+      (msg) => msg && typeof msg === 'object' && !msg.isStreaming && msg.timestamp
+    )
+  );
+  const { assignments } = deriveThreadIdAssignments(persistable);
+
+  return persistable.reduce((threads, message, index) => {
+    const threadId = assignments[index] || message.threadId;
+    const threadMessages = threads.get(threadId) || [];
+    threadMessages.push({
+      ...stripTransientFields(message),
+      threadId,
+      conversationId: message.conversationId || threadId,
+      conversationThreadId: message.conversationThreadId || threadId,
+    });
+    threads.set(threadId, threadMessages);
+    return threads;
+  }, new Map());
+}
+
+/**
+ * Merge the stored copy of a thread with a local copy after a save conflict. Messages are matched
+ * by id; the local copy wins for messages both sides have, and messages only one side has are kept.
+ * @param {Object[]} storedMessages - Messages saved by another tab or device
+ * @param {Object[]} localMessages - Messages this tab is trying to save
+ * @returns {Object[]} - Merged messages in timestamp order
+ */
+export function mergeThreadMessages(storedMessages, localMessages) {
+  const merged = new Map();
+  [storedMessages, localMessages].forEach((list) => {
+    (Array.isArray(list) ? list : []).filter(Boolean).forEach((message) => {
+      const key = getMessageKey(message);
+      merged.set(key, { ...(merged.get(key) || {}), ...message });
+    });
+  });
+  return sortByTimestamp(Array.from(merged.values()));
+}
+
 class NeonService {
   constructor() {
     this.isInitialized = false;
     this.userId = null;
     this.cachedConversations = null;
+    this.threadVersions = new Map();
+    this.threadSignatures = new Map();
+    this.lastSyncTime = null;
+    this.lastCacheTime = null;
+    this.isCacheStale = false;
+    this.initializationPromise = null;
+    this.saveQueue = Promise.resolve();
+    this.autoSaveTimer = null;
+    this.syncChannel = null;
+    this.listeners = new Set();
   }
 
   async initialize(user) {
-    this.userId = user?.sub || null;
-    this.isInitialized = Boolean(this.userId);
-    if (this.isInitialized) {
-      logVerboseInfo('Neon conversation storage disabled - initialization acknowledged for user:', this.userId);
-    } else {
-      logVerboseInfo('Neon conversation storage disabled - no user provided.');
+    const userId = user?.sub || null;
+
+    if (!userId) {
+      logVerboseInfo('Neon conversation storage - no user provided.');
+      this.cleanup();
+      return false;
+    }
+
+    if (this.userId === userId && this.initializationPromise) {
+      return this.initializationPromise;
     }
-    return this.isInitialized;
+
+    this.cleanup();
+    this.userId = userId;
+    this.isInitialized = true;
+    this.openSyncChannel();
+
+    this.initializationPromise = this.migrateLocalHistory()
+      .catch((error) => {
+        console.warn('Local conversation history migration failed, will retry on next sign-in:', error);
+      })
+      .then(() => true);
+
+    return this.initializationPromise;
   }
 
-  async saveConversation() {
-    logVerboseInfo('Neon conversation storage is disabled. Skipping save operation.');
-    return { success: false, disabled: true };
+  async makeRequest(action, data = {}) {
+    if (!this.userId) {
+      throw new Error('User identity is required to access conversation storage');
+    }
+
+    const token = await getToken();
+    if (!token) {
+      throw new Error('Authentication token is required to access conversation storage');
+    }
+
+    const response = await fetch(NEON_FUNCTION_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        'x-user-id': this.userId,
+        ...(await getTenantHeaders()),
+      },
+      body: JSON.stringify({ action, data }),
+    });
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      payload = { error: response.statusText || 'Unknown error' };
+    }
+
+    if (!response.ok) {
+      const error = new Error(payload?.message || payload?.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.details = payload;
+      throw error;
+    }
+
+    return payload;
   }
 
-  async loadConversations() {
-    logVerboseInfo('Neon conversation storage is disabled. Returning empty history.');
-    return [];
+  /**
+   * Save the threads in `messages` that changed since they were last saved or loaded.
+   * Saves are queued so versions from one save are visible to the next.
+   */
+  async saveConversation(messages, metadata = {}) {
+    if (!this.isInitialized) {
+      logVerboseInfo('Neon conversation storage not initialized. Skipping save operation.');
+      return { success: false, savedThreads: 0 };
+    }
+
+    const run = () => this.saveChangedThreads(messages, metadata);
+    const result = this.saveQueue.then(run, run);
+    this.saveQueue = result.catch(() => {});
+    return result;
+  }
+
+  async saveChangedThreads(messages, metadata) {
+    const threads = groupMessagesIntoThreads(messages);
+    const changed = Array.from(threads.entries()).filter(
+      ([threadId, threadMessages]) => this.threadSignatures.get(threadId) !== JSON.stringify(threadMessages)
+    );
+
+    let conflicts = 0;
+    for (const [threadId, threadMessages] of changed) {
+      conflicts += await this.saveThread(threadId, threadMessages, metadata);
+    }
+
+    if (changed.length > 0) {
+      this.notifyChange(changed.map(([threadId]) => threadId));
+    }
+
+    return { success: true, savedThreads: changed.length, conflicts };
+  }
+
+  /**
+   * Save one thread, merging with the stored copy and retrying when another session saved first.
+   * @returns {Promise<number>} - Number of conflicts resolved along the way
+   */
+  async saveThread(threadId, threadMessages, metadata) {
+    let messagesToSave = threadMessages;
+
+    for (let attempt = 0; attempt <= MAX_CONFLICT_RETRIES; attempt++) {
+      try {
+        const saved = await this.makeRequest('save_conversation', {
+          threadId,
+          messages: messagesToSave,
+          metadata,
+          expectedVersion: this.threadVersions.get(threadId) || 0,
+        });
+
+        this.recordThread({ ...saved, threadId, messages: messagesToSave });
+        return attempt;
+      } catch (error) {
+        if (error.status !== 409 || attempt === MAX_CONFLICT_RETRIES) {
+          throw error;
+        }
+
+        const stored = error.details?.conversation;
+        logVerboseInfo('Conversation thread changed in another session, merging before retry:', threadId);
+        this.threadVersions.set(threadId, stored?.version || 0);
+        messagesToSave = mergeThreadMessages(stored?.messages, messagesToSave);
+      }
+    }
+
+    return MAX_CONFLICT_RETRIES;
+  }
+
+  recordThread(conversation) {
+    const threadId = conversation.threadId || `legacy-${conversation.id}`;
+    const messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+
+    this.threadVersions.set(threadId, conversation.version || 0);
+    this.threadSignatures.set(threadId, JSON.stringify(messages));
+
+    if (this.cachedConversations) {
+      this.cachedConversations.set(threadId, { ...conversation, threadId, messages });
+    }
+  }
+
+  forgetThread(threadId) {
+    this.threadVersions.delete(threadId);
+    this.threadSignatures.delete(threadId);
+    if (this.cachedConversations) {
+      this.cachedConversations.delete(threadId);
+    }
+  }
+
+  /**
+   * Load stored messages as one flat, timestamp-ordered list. The first load fetches everything;
+   * later uncached loads only fetch threads changed or deleted since the previous sync.
+   * @param {boolean} useCache - Return the cached list unless another tab changed it
+   */
+  async loadConversations(useCache = true) {
+    if (this.initializationPromise) {
+      await this.initializationPromise;
+    }
+
+    if (!this.isInitialized) {
+      return [];
+    }
+
+    if (useCache && this.cachedConversations && !this.isCacheStale) {
+      return this.getCachedMessages();
+    }
+
+    const since = this.cachedConversations ? this.lastSyncTime : null;
+    const response = await this.makeRequest('get_conversations', since ? { since } : {});
+
+    if (!this.cachedConversations) {
+      this.cachedConversations = new Map();
+    }
+    // Deletions first, so a thread deleted and then started again on another device is kept
+    (response.deletedThreadIds || []).forEach((threadId) => this.forgetThread(threadId));
+    (response.conversations || []).forEach((conversation) => this.recordThread(conversation));
+
+    // Without a server cursor (the load failed on the server) the next sync repeats this one
+    this.lastSyncTime = response.serverTime || since;
+    this.lastCacheTime = new Date().toISOString();
+    this.isCacheStale = false;
+
+    return this.getCachedMessages();
+  }
+
+  getCachedMessages() {
+    const messages = Array.from(this.cachedConversations.values()).flatMap((conversation) =>
+      conversation.messages.map((message) => ({
+        ...message,
+        threadId: message.threadId || conversation.threadId,
+        conversationId: message.conversationId || conversation.threadId,
+        isStored: true,
+      }))
+    );
+    return sortByTimestamp(messages);
   }
 
   async clearConversations() {
-    logVerboseInfo('Neon conversation storage is disabled. Nothing to clear.');
-    return { success: true, cleared: 0, disabled: true };
+    const result = await this.makeRequest('clear_conversations');
+    this.resetCache();
+    this.notifyChange([]);
+    return { success: true, cleared: result.deletedCount || 0 };
   }
 
-  autoSaveConversation() {
-    logVerboseInfo('Neon auto-save is disabled.');
-    return null;
+  autoSaveConversation(messages, metadata) {
+    if (this.autoSaveTimer) {
+      clearTimeout(this.autoSaveTimer);
+    }
+
+    this.autoSaveTimer = setTimeout(() => {
+      this.autoSaveTimer = null;
+      this.saveConversation(messages, metadata).catch((error) => {
+        console.error('Conversation auto-save failed:', error);
+      });
+    }, AUTO_SAVE_DELAY_MS);
+
+    return this.autoSaveTimer;
+  }
+
+  /**
+   * Upload conversation history kept in localStorage by earlier releases. Runs once per user;
+   * the marker is only written after every thread has been saved.
+   */
+  async migrateLocalHistory() {
+    if (typeof localStorage === 'undefined') {
+      return { migrated: 0 };
+    }
+
+    const migrationKey = `${MIGRATION_KEY_PREFIX}${this.userId}`;
+    if (localStorage.getItem(migrationKey)) {
+      return { migrated: 0 };
+    }
+
+    const legacyMessages = readLegacyMessageHistory(this.userId);
+    let migrated = 0;
+
+    if (legacyMessages.length > 0) {
+      logVerboseInfo(`Migrating ${legacyMessages.length} locally stored messages to Neon`);
+      const result = await this.saveChangedThreads(legacyMessages, { source: 'local-storage-migration' });
+      migrated = result.savedThreads;
+    }
+
+    localStorage.setItem(migrationKey, new Date().toISOString());
+    return { migrated };
+  }
+
+  openSyncChannel() {
+    if (typeof BroadcastChannel === 'undefined' || this.syncChannel) {
+      return;
+    }
+
+    this.syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    this.syncChannel.onmessage = (event) => {
+      if (event.data?.userId !== this.userId) {
+        return;
+      }
+      // Versions are refreshed by the next incremental load; a save before then merges on conflict
+      this.isCacheStale = true;
+      this.listeners.forEach((listener) => listener(event.data));
+    };
+  }
+
+  notifyChange(threadIds) {
+    if (this.syncChannel) {
+      this.syncChannel.postMessage({ userId: this.userId, threadIds });
+    }
+  }
+
+  /**
+   * Register a callback for conversation changes saved by other tabs of the same user.
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
   }
 
   async getConversationStats() {
-    return this.getEmptyStats();
+    if (!this.isInitialized) {
+      return this.getEmptyStats();
+    }
+
+    try {
+      const response = await this.makeRequest('get_stats');
+      return { ...this.getEmptyStats(), ...(response.stats || {}) };
+    } catch (error) {
+      console.error('Error loading conversation stats:', error);
+      return this.getEmptyStats();
+    }
   }
 
   getEmptyStats() {
@@ -57,8 +404,16 @@ class NeonService {
   }
 
   async isServiceAvailable() {
-    // Service endpoints are intentionally disabled.
-    return { ok: false, error: 'Conversation storage service is disabled.' };
+    if (!this.isInitialized) {
+      return { ok: false, error: 'Conversation storage is not initialized.' };
+    }
+
+    try {
+      await this.makeRequest('health_check');
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
   }
 
   async addTrainingResource() {
@@ -75,14 +430,34 @@ class NeonService {
     return {
       isInitialized: this.isInitialized,
       userId: this.userId,
-      hasCachedConversations: false,
-      cachedMessageCount: 0,
-      lastCacheTime: null,
+      hasCachedConversations: Boolean(this.cachedConversations),
+      cachedMessageCount: this.cachedConversations ? this.getCachedMessages().length : 0,
+      lastCacheTime: this.lastCacheTime,
+      lastSyncTime: this.lastSyncTime,
     };
   }
 
-  cleanup() {
+  resetCache() {
     this.cachedConversations = null;
+    this.threadVersions = new Map();
+    this.threadSignatures = new Map();
+    this.lastSyncTime = null;
+    this.lastCacheTime = null;
+    this.isCacheStale = false;
+  }
+
+  cleanup() {
+    if (this.autoSaveTimer) {
+      clearTimeout(this.autoSaveTimer);
+      this.autoSaveTimer = null;
+    }
+    if (this.syncChannel) {
+      this.syncChannel.close();
+      this.syncChannel = null;
+    }
+    this.resetCache();
+    this.saveQueue = Promise.resolve();
+    this.initializationPromise = null;
     this.isInitialized = false;
     this.userId = null;
   }
@@ -112,3 +487,6 @@ export const getConversationStats = () =>
 
 export const isServiceAvailable = () =>
   neonService.isServiceAvailable();
+
+export const subscribeToConversationChanges = (listener) =>
+  neonService.subscribe(listener);
@@ -0,0 +1,156 @@
+import neonService, { groupMessagesIntoThreads, mergeThreadMessages } from './neonService';
+
+jest.mock('./authService', () => ({
+  getToken: () => Promise.resolve('token'),
+  getTenantHeaders: () => Promise.resolve({}),
+}));
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  json: async () => body,
+});
+
+const requestBodies = () => global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+
+const message = (id, type, timestamp, extra = {}) => ({
+  id,
+  type,
+  role: type === 'ai' ? 'assistant' : 'user',
+  content: `${id} content`,
+  timestamp,
+  threadId: 'thread-1',
+  ...extra,
+});
+
+const conversation = [
+  message('m1', 'user', '2026-10-01T10:00:00.000Z'),
+  message('m2', 'ai', '2026-10-01T10:00:05.000Z'),
+];
+
+describe('neonService', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    global.fetch = jest.fn();
+    neonService.cleanup();
+    await neonService.initialize({ sub: 'user-1' });
+  });
+
+  afterAll(() => {
+    neonService.cleanup();
+    delete global.fetch;
+  });
+
+  it('groups messages by thread and skips messages still streaming', () => {
+    const threads = groupMessagesIntoThreads([
+      ...conversation,
+      message('m3', 'ai', '2026-10-01T10:00:09.000Z', { isStreaming: true }),
+      message('m4', 'user', '2026-10-02T09:00:00.000Z', { threadId: 'thread-2', isCurrent: true }),
+    ]);
+
+    expect(Array.from(threads.keys())).toEqual(['thread-1', 'thread-2']);
+    expect(threads.get('thread-1').map((msg) => msg.id)).toEqual(['m1', 'm2']);
+    expect(threads.get('thread-2')[0]).not.toHaveProperty('isCurrent');
+  });
+
+  it('merges conflicting copies of a thread by message id', () => {
+    const merged = mergeThreadMessages(
+      [conversation[0], message('other-tab', 'user', '2026-10-01T10:00:07.000Z')],
+      [{ ...conversation[0], content: 'edited here' }, conversation[1]]
+    );
+
+    expect(merged.map((msg) => msg.id)).toEqual(['m1', 'm2', 'other-tab']);
+    expect(merged[0].content).toBe('edited here');
+  });
+
+  it('only saves threads that changed since the last save', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ id: 1, threadId: 'thread-1', version: 1 }));
+
+    await neonService.saveConversation(conversation);
+    await neonService.saveConversation(conversation);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(requestBodies()[0]).toMatchObject({
+      action: 'save_conversation',
+      data: { threadId: 'thread-1', expectedVersion: 0 },
+    });
+    expect(global.fetch.mock.calls[0][1].headers['x-user-id']).toBe('user-1');
+  });
+
+  it('merges with the stored copy and retries when another tab saved first', async () => {
+    const otherTabMessage = message('m0', 'user', '2026-10-01T09:59:00.000Z');
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({
+        conflict: true,
+        conversation: { threadId: 'thread-1', version: 3, messages: [otherTabMessage] },
+      }, 409))
+      .mockResolvedValueOnce(jsonResponse({ id: 1, threadId: 'thread-1', version: 4 }));
+
+    const result = await neonService.saveConversation(conversation);
+
+    expect(result).toMatchObject({ success: true, savedThreads: 1, conflicts: 1 });
+    const retry = requestBodies()[1].data;
+    expect(retry.expectedVersion).toBe(3);
+    expect(retry.messages.map((msg) => msg.id)).toEqual(['m0', 'm1', 'm2']);
+  });
+
+  it('loads every thread first and only changed threads afterwards', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({
+        conversations: [{ id: 1, threadId: 'thread-1', version: 2, messages: conversation }],
+        serverTime: '2026-10-01T11:00:00.000Z',
+      }))
+      .mockResolvedValueOnce(jsonResponse({ conversations: [], serverTime: '2026-10-01T12:00:00.000Z' }));
+
+    const loaded = await neonService.loadConversations();
+    await neonService.loadConversations(false);
+
+    expect(loaded.map((msg) => msg.id)).toEqual(['m1', 'm2']);
+    expect(loaded.every((msg) => msg.isStored)).toBe(true);
+    expect(requestBodies()[0].data).toEqual({});
+    expect(requestBodies()[1].data).toEqual({ since: '2026-10-01T11:00:00.000Z' });
+  });
+
+  it('drops threads another device deleted since the last sync', async () => {
+    const otherThread = [{ id: 'm3', type: 'user', content: 'Second question', timestamp: '2026-10-01T10:05:00.000Z', threadId: 'thread-2' }];
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({
+        conversations: [
+          { id: 1, threadId: 'thread-1', version: 2, messages: conversation },
+          { id: 2, threadId: 'thread-2', version: 1, messages: otherThread },
+        ],
+        serverTime: '2026-10-01T11:00:00.000Z',
+      }))
+      .mockResolvedValueOnce(jsonResponse({ conversations: [], deletedThreadIds: ['thread-1'], serverTime: '2026-10-01T12:00:00.000Z' }))
+      .mockResolvedValueOnce(jsonResponse({ conversations: [], error: 'connection reset' }));
+
+    await neonService.loadConversations();
+    const synced = await neonService.loadConversations(false);
+
+    expect(synced.map((msg) => msg.id)).toEqual(['m3']);
+    expect(neonService.threadVersions.has('thread-1')).toBe(false);
+
+    // A load the server could not complete leaves the cursor where it was
+    await neonService.loadConversations(false);
+    expect(neonService.getCacheStatus().lastSyncTime).toBe('2026-10-01T12:00:00.000Z');
+  });
+
+  it('uploads local history once on first sign-in', async () => {
+    localStorage.clear();
+    localStorage.setItem('acceleraqa_user_user-2', JSON.stringify({
+      version: '1.0.0',
+      userId: 'user-2',
+      lastSaved: '2026-10-01T10:00:00.000Z',
+      messages: conversation,
+    }));
+    global.fetch.mockResolvedValue(jsonResponse({ id: 1, threadId: 'thread-1', version: 1 }));
+
+    await neonService.initialize({ sub: 'user-2' });
+    neonService.cleanup();
+    await neonService.initialize({ sub: 'user-2' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(requestBodies()[0].data.metadata).toEqual({ source: 'local-storage-migration' });
+    expect(localStorage.getItem('acceleraqa_conversations_migrated_user-2')).toBeTruthy();
+  });
+});
@@ -0,0 +1,233 @@
+import { OPENAI_CONFIG } from '../config/constants';
+import { getSystemPromptOverride } from '../config/modelConfig';
+import { generateResources } from '../utils/resourceGenerator';
+import { recordTokenUsage } from '../utils/tokenUsage';
+import ragService from './ragService';
+import BaseChatProvider from './baseChatProvider';
+
+/**
+ * Chat provider for any server that speaks the OpenAI chat-completions API: Groq, and the
+ * chat-completions function that relays Azure OpenAI, Anthropic and on-premises servers (see
+ * serverChatService). None of them support OpenAI vector stores, so attached files are extracted
+ * locally and sent as text.
+ */
+export class OpenAICompatibleService extends BaseChatProvider {
+  getChatCompletionsEndpoint() {
+    return '/chat/completions';
+  }
+
+  createChatPayload(message, history = [], model = this.model) {
+    const normalizedHistory = this.normalizeHistory(history);
+
+    const messages = [
+      { role: 'system', content: getSystemPromptOverride() || OPENAI_CONFIG.SYSTEM_PROMPT },
+      ...normalizedHistory.map(item => ({ role: item.role, content: item.content })),
+    ];
+
+    if (typeof message === 'string' && message.trim().length > 0) {
+      messages.push({ role: 'user', content: message });
+    }
+
+    return {
+      model,
+      messages,
+      max_tokens: OPENAI_CONFIG.MAX_TOKENS,
+      temperature: OPENAI_CONFIG.TEMPERATURE,
+    };
+  }
+
+  async extractTextFromFile(file) {
+    // Use ragService to extract text from files
+    return await ragService.extractTextFromFile(file);
+  }
+
+  async extractTextFromMultipleFiles(files) {
+    if (!Array.isArray(files) || files.length === 0) {
+      return null;
+    }
+
+    const fileContents = [];
+
+    for (const file of files) {
+      try {
+        const text = await this.extractTextFromFile(file);
+        if (text && text.trim().length > 0) {
+          fileContents.push({
+            filename: file.name,
+            content: text.trim()
+          });
+        }
+      } catch (error) {
+        console.error(`Failed to extract text from ${file.name}:`, error);
+        fileContents.push({
+          filename: file.name,
+          content: `[Unable to extract text from this file: ${error.message}]`
+        });
+      }
+    }
+
+    if (fileContents.length === 0) {
+      return null;
+    }
+
+    // Format multiple files with clear separators
+    return fileContents.map(fc =>
+      `\n\n=== FILE: ${fc.filename} ===\n${fc.content}\n=== END OF FILE: ${fc.filename} ===`
+    ).join('\n');
+  }
+
+  async buildDocumentContent(documentFile) {
+    const isFile = documentFile && typeof documentFile === 'object' && 'name' in documentFile;
+    const isMultipleFiles = Array.isArray(documentFile) && documentFile.length > 0;
+
+    if (isMultipleFiles) {
+      return await this.extractTextFromMultipleFiles(documentFile);
+    }
+
+    if (isFile) {
+      try {
+        const text = await this.extractTextFromFile(documentFile);
+        if (text && text.trim().length > 0) {
+          return `\n\n=== FILE: ${documentFile.name} ===\n${text.trim()}\n=== END OF FILE: ${documentFile.name} ===`;
+        }
+      } catch (error) {
+        console.error('Failed to extract text from file:', error);
+        return `\n\n[Note: Unable to extract text from ${documentFile.name}: ${error.message}]`;
+      }
+    }
+
+    return null;
+  }
+
+  extractUsage(data) {
+    return data?.usage || null;
+  }
+
+  /**
+   * Stream a chat completion, forwarding content deltas to `onToken(delta, fullText)`.
+   * Resolves with a completion-shaped object so callers can treat it like makeRequest's result.
+   */
+  async streamChatCompletion(requestBody, tokenCount, { onToken, signal } = {}) {
+    let streamedText = '';
+    let usage = null;
+
+    await this.makeStreamingRequest(
+      this.getChatCompletionsEndpoint(requestBody.model),
+      {
+        body: JSON.stringify({ ...requestBody, stream: true }),
+        signal,
+      },
+      tokenCount,
+      ({ data }) => {
+        if (data === '[DONE]' || !data || typeof data !== 'object') {
+          return;
+        }
+
+        if (data.error) {
+          // The chat-completions function reports stream failures as a plain string
+          const detail = typeof data.error === 'string' ? data.error : data.error.message;
+          throw new Error(`${this.name} API error: ${detail || 'Streaming request failed'}`);
+        }
+
+        const delta = data.choices?.[0]?.delta?.content;
+        if (typeof delta === 'string' && delta.length > 0) {
+          streamedText += delta;
+          onToken(delta, streamedText);
+        }
+
+        usage = this.extractUsage(data) || usage;
+      }
+    );
+
+    return {
+      choices: [{ message: { role: 'assistant', content: streamedText } }],
+      usage,
+    };
+  }
+
+  async getChatResponse(
+    message,
+    documentFile = null,
+    history = [],
+    model = this.model,
+    existingVectorStoreId = null,
+    { onToken, signal } = {}
+  ) {
+    if ((!message || typeof message !== 'string' || message.trim().length === 0) && !documentFile) {
+      throw new Error('Invalid message provided');
+    }
+
+    const resolvedModel = model || this.model;
+    if (!resolvedModel) {
+      throw new Error(`No model configured for ${this.name}`);
+    }
+
+    const normalizedHistory = this.normalizeHistory(history);
+    const hasDocumentString = typeof documentFile === 'string' && documentFile.trim().length > 0;
+    const userPrompt = hasDocumentString
+      ? `${message}\n\nDocument Content:\n${documentFile}`
+      : message;
+
+    const requestBody = this.createChatPayload(userPrompt, normalizedHistory, resolvedModel);
+    const tokenCount = this.estimateTokens(requestBody);
+
+    // Files are sent as extracted text because these providers have no file storage
+    const documentContent = await this.buildDocumentContent(documentFile);
+    if (documentContent) {
+      requestBody.messages[requestBody.messages.length - 1].content =
+        `${userPrompt}${documentContent}`;
+    }
+
+    const endpoint = this.getChatCompletionsEndpoint(resolvedModel);
+
+    try {
+      console.info(`Sending ${this.name} request payload:`, {
+        endpoint,
+        tokenCount,
+        body: requestBody,
+      });
+
+      const data = typeof onToken === 'function'
+        ? await this.streamChatCompletion(requestBody, tokenCount, { onToken, signal })
+        : await this.makeRequest(
+          endpoint,
+          {
+            body: JSON.stringify(requestBody),
+            signal,
+          },
+          tokenCount
+        );
+
+      const aiResponse = data.choices?.[0]?.message?.content || 'I apologize, but I was unable to generate a response.';
+
+      if (!aiResponse || aiResponse.trim().length === 0) {
+        const rawData = typeof data === 'object' ? JSON.stringify(data) : String(data);
+        throw new Error(`No response generated. Raw response: ${rawData}`);
+      }
+
+      const resources = generateResources(userPrompt, aiResponse);
+      const usage = data.usage || null;
+
+      if (usage?.total_tokens || tokenCount) {
+        recordTokenUsage(usage?.total_tokens || tokenCount);
+      }
+
+      return {
+        answer: aiResponse,
+        resources,
+        usage,
+        vectorStoreId: null, // Chat-completions providers don't support vector stores
+      };
+    } catch (error) {
+      console.error(`${this.name} API Error. Payload sent:`, {
+        endpoint,
+        tokenCount,
+        body: requestBody,
+        error,
+      });
+      throw error;
+    }
+  }
+}
+
+export default OpenAICompatibleService;
@@ -3,73 +3,27 @@ import { generateResources } from '../utils/resourceGenerator';
 import { getCurrentModel, getSystemPromptOverride } from '../config/modelConfig';
 import { recordTokenUsage } from '../utils/tokenUsage';
 import { convertDocxToPdfIfNeeded } from '../utils/fileConversion';
+import BaseChatProvider from './baseChatProvider';
 
-class OpenAIService {
+class OpenAIService extends BaseChatProvider {
   constructor() {
-    this.apiKey = process.env.REACT_APP_OPENAI_API_KEY || process.env.OPENAI_API_KEY;
-    this.baseUrl = 'https://api.openai.com/v1';
+    super({
+      id: 'openai',
+      name: 'OpenAI',
+      apiKey: process.env.REACT_APP_OPENAI_API_KEY || process.env.OPENAI_API_KEY,
+      baseUrl: 'https://api.openai.com/v1',
+      defaultModel: OPENAI_CONFIG.MODEL,
+      missingKeyMessage: ERROR_MESSAGES.API_KEY_NOT_CONFIGURED,
+      invalidKeyMessage: ERROR_MESSAGES.INVALID_API_KEY,
+    });
   }
 
-  validateApiKey() {
-    if (!this.apiKey) {
-      throw new Error(ERROR_MESSAGES.API_KEY_NOT_CONFIGURED);
+  // Responses payloads must not carry legacy attachments or tool_resources
+  prepareRequestOptions(endpoint, options) {
+    if (endpoint === '/responses' && options.body) {
+      return { ...options, body: this.sanitizeResponsesRequestBody(options.body) };
     }
-  }
-
-  async makeRequest(endpoint, options = {}, tokenCount = 0) {
-    this.validateApiKey();
-
-    const defaultOptions = {
-      method: 'POST',
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`,
-        ...(options.headers || {}),
-      },
-    };
-
-    if (
-      endpoint === '/responses' &&
-      defaultOptions.body &&
-      typeof defaultOptions.body !== 'undefined'
-    ) {
-      defaultOptions.body = this.sanitizeResponsesRequestBody(defaultOptions.body);
-    }
-
-    const maxRetries = 3;
-
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const response = await fetch(`${this.baseUrl}${endpoint}`, { ...defaultOptions });
-
-        // Handle rate limit with retries (exponential backoff)
-        if (response.status === 429 && attempt < maxRetries - 1) {
-          const delay = Math.pow(2, attempt) * 1000;
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-
-        if (!response.ok) {
-          await this.handleApiError(response, tokenCount);
-        }
-
-        return await response.json();
-      } catch (error) {
-        // Network-level fetch failures (e.g., CORS or connectivity)
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-          throw new Error(ERROR_MESSAGES.NETWORK_ERROR);
-        }
-        throw error;
-      }
-    }
-
-    // Final failure after retries
-    const finalMsg = typeof ERROR_MESSAGES.RATE_LIMIT_EXCEEDED === 'function'
-      ? ERROR_MESSAGES.RATE_LIMIT_EXCEEDED(tokenCount)
-      : ERROR_MESSAGES.RATE_LIMIT_EXCEEDED;
-
-    throw new Error(finalMsg);
+    return options;
   }
 
   sanitizeResponsesRequestBody(body) {
@@ -187,70 +141,6 @@ class OpenAIService {
     return sanitizedPart;
   }
 
-  async handleApiError(response, tokenCount = 0) {
-    let errorData = {};
-    try {
-      errorData = await response.json();
-    } catch {
-      // ignore parse errors; fall back to generic message
-    }
-
-    const errorMessage = errorData.error?.message || 'Unknown error';
-
-    switch (response.status) {
-      case 401:
-        throw new Error(ERROR_MESSAGES.INVALID_API_KEY);
-      case 402:
-        throw new Error(ERROR_MESSAGES.QUOTA_EXCEEDED);
-      case 429: {
-        const msg = typeof ERROR_MESSAGES.RATE_LIMIT_EXCEEDED === 'function'
-          ? ERROR_MESSAGES.RATE_LIMIT_EXCEEDED(tokenCount)
-          : ERROR_MESSAGES.RATE_LIMIT_EXCEEDED;
-        throw new Error(msg);
-      }
-      default:
-        throw new Error(`OpenAI API error: ${response.status} ${errorMessage}`);
-    }
-  }
-
-  normalizeHistory(history) {
-    if (!Array.isArray(history)) {
-      return [];
-    }
-
-    return history
-      .map(item => {
-        if (!item || typeof item !== 'object') {
-          return null;
-        }
-
-        if (item.isResource || item.isStudyNotes || item.isLocalOnly) {
-          return null;
-        }
-
-        const role = item.role || (item.type === 'ai' ? 'assistant' : item.type === 'user' ? 'user' : null);
-        if (role !== 'user' && role !== 'assistant') {
-          return null;
-        }
-
-        let content = item.content;
-        if (Array.isArray(content)) {
-          content = content.join(' ');
-        } else if (content == null) {
-          content = '';
-        } else if (typeof content !== 'string') {
-          content = String(content);
-        }
-
-        if (typeof content !== 'string' || content.trim().length === 0) {
-          return null;
-        }
-
-        return { role, content };
-      })
-      .filter(Boolean);
-  }
-
   createContentForRole(role, text) {
     let normalizedText = '';
 
@@ -301,13 +191,6 @@ class OpenAIService {
     };
   }
 
-  estimateTokens(payload) {
-    const messageTokens = payload.messages.reduce((sum, msg) => {
-      return sum + msg.content.split(/\s+/).filter(Boolean).length;
-    }, 0);
-    return messageTokens + (payload.max_tokens || 0);
-  }
-
   extractTextFromContentItem(item) {
     if (!item) {
       return null;
@@ -425,6 +308,43 @@ class OpenAIService {
     return null;
   }
 
+  /**
+   * Stream a /responses request, forwarding text deltas to `onToken(delta, fullText)`.
+   * Resolves with the completed response object (or a minimal one built from the deltas).
+   */
+  async streamResponsesRequest(requestBody, tokenCount, { onToken, signal } = {}) {
+    let streamedText = '';
+    let completedResponse = null;
+
+    await this.makeStreamingRequest(
+      '/responses',
+      {
+        body: JSON.stringify({ ...requestBody, stream: true }),
+        signal,
+      },
+      tokenCount,
+      ({ event, data }) => {
+        const type = data?.type || event;
+
+        if (type === 'response.output_text.delta' && typeof data.delta === 'string') {
+          streamedText += data.delta;
+          onToken(data.delta, streamedText);
+        } else if (type === 'response.completed') {
+          completedResponse = data.response || null;
+        } else if (type === 'response.failed' || type === 'error') {
+          const message = data?.response?.error?.message || data?.error?.message || data?.message;
+          throw new Error(`OpenAI API error: ${message || 'Streaming request failed'}`);
+        }
+      }
+    );
+
+    if (completedResponse) {
+      return { ...completedResponse, output_text: completedResponse.output_text || streamedText };
+    }
+
+    return { output_text: streamedText };
+  }
+
   async uploadFile(file) {
     const { file: preparedFile, converted } = await convertDocxToPdfIfNeeded(file);
 
@@ -435,7 +355,7 @@ class OpenAIService {
     const fileName = preparedFile?.name?.toLowerCase() || '';
     const fileType = preparedFile?.type?.toLowerCase() || '';
     const isPdf = fileName.endsWith('.pdf') || fileType === 'application/pdf';
-    const supportedDescription = 'PDF, Word (.docx), Markdown (.md), plain text (.txt), CSV (.csv), or Excel (.xlsx) file.';
+    const supportedDescription = 'PDF, Word (.docx), PowerPoint (.pptx), RTF (.rtf), HTML (.html), email (.eml, .msg), Markdown (.md), plain text (.txt), CSV (.csv), or Excel (.xlsx) file.';
 
     if (!isPdf) {
       if (converted) {
@@ -507,7 +427,8 @@ class OpenAIService {
     documentFile = null,
     history = [],
     model = getCurrentModel(),
-    existingVectorStoreId = null
+    existingVectorStoreId = null,
+    { onToken, signal } = {}
   ) {
     if ((!message || typeof message !== 'string' || message.trim().length === 0) && !documentFile) {
       throw new Error('Invalid message provided');
@@ -597,13 +518,16 @@ class OpenAIService {
         body: sanitizedRequestBody,
       });
 
-      const data = await this.makeRequest(
-        '/responses',
-        {
-          body: JSON.stringify(sanitizedRequestBody),
-        },
-        tokenCount
-      );
+      const data = typeof onToken === 'function'
+        ? await this.streamResponsesRequest(sanitizedRequestBody, tokenCount, { onToken, signal })
+        : await this.makeRequest(
+          '/responses',
+          {
+            body: JSON.stringify(sanitizedRequestBody),
+            signal,
+          },
+          tokenCount
+        );
 
       const outputArrayText = this.extractTextFromOutput(data.output);
       const choicesText = this.extractTextFromChoices(data.choices);
@@ -652,74 +576,6 @@ class OpenAIService {
     }
   }
 
-  async generateStudyNotes(selectedMessages) {
-    if (!selectedMessages || selectedMessages.length === 0) {
-      throw new Error('No messages selected for notes generation');
-    }
-
-    console.log('Generating notes for messages:', selectedMessages);
-
-    // Group messages by conversation pairs (user question + AI response)
-    const conversationPairs = [];
-    let currentPair = {};
-
-    selectedMessages
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
-      .forEach(msg => {
-        if (msg.type === 'user') {
-          if (currentPair.question || currentPair.answer) {
-            conversationPairs.push(currentPair);
-          }
-          currentPair = { question: msg.content };
-        } else if (msg.type === 'ai' && !msg.isStudyNotes) {
-          currentPair.answer = msg.content;
-          currentPair.resources = msg.resources || [];
-        }
-      });
-
-    if (currentPair.question || currentPair.answer) {
-      conversationPairs.push(currentPair);
-    }
-
-    if (conversationPairs.length === 0) {
-      throw new Error('No valid conversation pairs found for notes generation');
-    }
-
-    const studyContent = conversationPairs
-      .map((pair, index) => {
-        let content = `\n=== CONVERSATION ${index + 1} ===\n`;
-        if (pair.question) content += `QUESTION: ${pair.question}\n\n`;
-        if (pair.answer) content += `ANSWER: ${pair.answer}\n`;
-        if (pair.resources && pair.resources.length > 0) {
-          content += `\nRELATED RESOURCES:\n`;
-          content += pair.resources.map(r => `• ${r.title} (${r.type}): ${r.url}`).join('\n');
-          content += '\n';
-        }
-        return content;
-      })
-      .join('\n');
-
-    const notesPrompt = `Create comprehensive notes for pharmaceutical quality and compliance based on the following conversation topics.
-
-Format as organized study material with:
-1. **Executive Summary** - Key takeaways from all conversations
-2. **Core Topics Covered** - Main pharmaceutical quality areas discussed
-3. **Key Concepts and Definitions** - Important terms and their meanings
-4. **Regulatory Requirements** - Specific FDA, ICH, or other regulatory guidance mentioned
-5. **Implementation Best Practices** - Practical recommendations from the discussions
-6. **Common Pitfalls to Avoid** - Warnings and cautions identified
-7. **Study Questions for Review** - Questions to test understanding
-
-Include specific references to FDA, ICH, and other regulatory guidelines where applicable.
-Make this comprehensive but well-organized for study purposes.
-
-Number of conversations analyzed: ${conversationPairs.length}
-
-Conversation content:
-${studyContent}`;
-
-    return await this.getChatResponse(notesPrompt);
-  }
 }
 
 // Create singleton instance
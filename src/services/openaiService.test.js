@@ -10,6 +10,7 @@ jest.mock('../utils/tokenUsage', () => ({
 
 jest.mock('../config/modelConfig', () => ({
   getCurrentModel: () => 'test-model',
+  getSystemPromptOverride: () => null,
 }));
 
 let mockConvertDocxToPdfIfNeeded = async (file) => ({
@@ -61,7 +62,7 @@ describe('openAIService uploadFile', () => {
 
   it('rejects unsupported file types', async () => {
     const file = { name: 'image.png', type: 'image/png' };
-    await expect(openAIService.uploadFile(file)).rejects.toThrow('Unsupported file type; please upload a PDF, Word (.docx), Markdown (.md), plain text (.txt), CSV (.csv), or Excel (.xlsx) file.');
+    await expect(openAIService.uploadFile(file)).rejects.toThrow('Unsupported file type; please upload a PDF, Word (.docx), PowerPoint (.pptx), RTF (.rtf), HTML (.html), email (.eml, .msg), Markdown (.md), plain text (.txt), CSV (.csv), or Excel (.xlsx) file.');
     expect(fetch).not.toHaveBeenCalled();
   });
 
@@ -303,6 +304,46 @@ describe('openAIService getChatResponse', () => {
   });
 });
 
+describe('openAIService streaming getChatResponse', () => {
+  beforeEach(() => {
+    openAIService.apiKey = 'test-key';
+    jest.spyOn(openAIService, 'makeRequest');
+    jest.spyOn(openAIService, 'makeStreamingRequest').mockImplementation(async (_endpoint, _options, _tokens, onEvent) => {
+      onEvent({ event: 'response.output_text.delta', data: { type: 'response.output_text.delta', delta: 'Hello' } });
+      onEvent({ event: 'response.output_text.delta', data: { type: 'response.output_text.delta', delta: ' world' } });
+      onEvent({
+        event: 'response.completed',
+        data: {
+          type: 'response.completed',
+          response: { output_text: 'Hello world', usage: { total_tokens: 4 } },
+        },
+      });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('forwards streamed deltas and resolves with the completed response', async () => {
+    const onToken = jest.fn();
+    const controller = new AbortController();
+
+    const result = await openAIService.getChatResponse('hello', null, [], null, null, {
+      onToken,
+      signal: controller.signal,
+    });
+
+    expect(onToken.mock.calls.map(([delta]) => delta)).toEqual(['Hello', ' world']);
+    expect(result.answer).toBe('Hello world');
+    expect(openAIService.makeRequest).not.toHaveBeenCalled();
+
+    const [, options] = openAIService.makeStreamingRequest.mock.calls[0];
+    expect(JSON.parse(options.body).stream).toBe(true);
+    expect(options.signal).toBe(controller.signal);
+  });
+});
+
 describe('openAIService makeRequest sanitization', () => {
   beforeEach(() => {
     openAIService.apiKey = 'test-key';
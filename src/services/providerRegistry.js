@@ -0,0 +1,74 @@
+import { DEFAULT_PROVIDER, getProviderDefinitions } from '../config/modelConfig';
+import openaiService from './openaiService';
+import groqService from './groqService';
+import ServerChatService from './serverChatService';
+
+// Provider id -> service instance, or a factory that creates it on first use
+const registry = new Map();
+
+/**
+ * Register a chat provider. `serviceOrFactory` is either an object implementing the provider
+ * interface (getChatResponse, generateStudyNotes, generateQuiz, summarize, countTokens) or a function that
+ * returns one. Factories let optional providers be configured without being constructed up front.
+ */
+export function registerProvider(id, serviceOrFactory) {
+  if (!id || !serviceOrFactory) {
+    throw new Error('A provider id and service are required');
+  }
+  registry.set(id, serviceOrFactory);
+}
+
+export function unregisterProvider(id) {
+  registry.delete(id);
+}
+
+export function hasProvider(id) {
+  return registry.has(id);
+}
+
+export function getProvider(id) {
+  const entry = registry.get(id);
+  if (!entry) {
+    return null;
+  }
+
+  if (typeof entry === 'function') {
+    const service = entry();
+    registry.set(id, service);
+    return service;
+  }
+
+  return entry;
+}
+
+/**
+ * Resolve the service for `id`, falling back to the default provider when `id` is unknown.
+ */
+export function resolveProvider(id) {
+  return getProvider(id) || getProvider(DEFAULT_PROVIDER);
+}
+
+/**
+ * Provider definitions from modelConfig, limited to providers that have a registered service.
+ */
+export function listProviders() {
+  return getProviderDefinitions().filter(definition => registry.has(definition.id));
+}
+
+const findDefinition = (id) => getProviderDefinitions().find(definition => definition.id === id);
+
+export function registerDefaultProviders() {
+  registerProvider('openai', openaiService);
+  registerProvider('groq', groqService);
+
+  // The site's CSP only lets the browser reach OpenAI and Groq; the rest go through the
+  // chat-completions function, which holds their endpoints and keys
+  ['azure-openai', 'anthropic', 'local'].forEach(id => {
+    registerProvider(id, () => {
+      const definition = findDefinition(id);
+      return new ServerChatService({ id, name: definition.name, defaultModel: definition.defaultModel });
+    });
+  });
+}
+
+registerDefaultProviders();
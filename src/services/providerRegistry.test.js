@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+
+jest.mock('./ragService', () => ({
+  __esModule: true,
+  default: { extractTextFromFile: async () => '' },
+}));
+
+jest.mock('../utils/resourceGenerator', () => ({
+  generateResources: () => [],
+}));
+
+jest.mock('../utils/tokenUsage', () => ({
+  recordTokenUsage: () => {},
+}));
+
+jest.mock('./authService', () => ({
+  getToken: async () => 'token-123',
+  getUserId: async () => 'user-456',
+}));
+
+/* eslint-disable import/first */
+import openaiService from './openaiService';
+import ServerChatService from './serverChatService';
+import { getProvider, listProviders, registerProvider, resolveProvider, unregisterProvider } from './providerRegistry';
+/* eslint-enable import/first */
+
+describe('providerRegistry', () => {
+  afterEach(() => {
+    unregisterProvider('custom');
+  });
+
+  it('registers the built-in providers and falls back to OpenAI', () => {
+    expect(listProviders().map(provider => provider.id)).toEqual(['openai', 'groq', 'azure-openai', 'anthropic', 'local']);
+    expect(resolveProvider('unknown')).toBe(openaiService);
+  });
+
+  it('creates factory-registered providers once, on first use', () => {
+    const factory = jest.fn(() => ({ id: 'custom' }));
+    registerProvider('custom', factory);
+
+    expect(factory).not.toHaveBeenCalled();
+    expect(getProvider('custom')).toBe(getProvider('custom'));
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('provider request shapes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends Azure OpenAI requests to the chat-completions function with the user\'s session', async () => {
+    const service = getProvider('azure-openai');
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'Azure answer' } }], usage: { total_tokens: 5 } }),
+    });
+
+    const result = await service.getChatResponse('What is CAPA?', null, [], 'gpt-4o-eu');
+
+    expect(service).toBeInstanceOf(ServerChatService);
+    expect(result.answer).toBe('Azure answer');
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('/.netlify/functions/chat-completions');
+    expect(options.headers).toMatchObject({ Authorization: 'Bearer token-123', 'x-user-id': 'user-456' });
+    expect(options.headers['api-key']).toBeUndefined();
+    expect(JSON.parse(options.body)).toMatchObject({ provider: 'azure-openai', model: 'gpt-4o-eu' });
+  });
+
+  it('streams relayed Anthropic deltas and reports stream errors', async () => {
+    const service = new ServerChatService({ id: 'anthropic', name: 'Anthropic Claude', defaultModel: 'claude-3-5-sonnet-latest' });
+    jest.spyOn(service, 'makeStreamingRequest').mockImplementation(async (endpoint, options, tokens, onEvent) => {
+      onEvent({ data: { choices: [{ delta: { content: 'Hi' } }] } });
+      onEvent({ data: { choices: [{ delta: { content: ' there' } }], usage: { total_tokens: 15 } } });
+      onEvent({ data: '[DONE]' });
+    });
+    const onToken = jest.fn();
+
+    const result = await service.getChatResponse('hello', null, [], undefined, null, { onToken });
+
+    expect(onToken.mock.calls.map(([delta]) => delta)).toEqual(['Hi', ' there']);
+    expect(result.answer).toBe('Hi there');
+    expect(result.usage).toEqual({ total_tokens: 15 });
+
+    const body = JSON.parse(service.makeStreamingRequest.mock.calls[0][1].body);
+    expect(body).toMatchObject({ provider: 'anthropic', model: 'claude-3-5-sonnet-latest', stream: true });
+    expect(body.messages[0].role).toBe('system');
+
+    service.makeStreamingRequest.mockImplementation(async (endpoint, options, tokens, onEvent) => {
+      onEvent({ event: 'error', data: { error: 'Anthropic Claude is not configured on the server' } });
+    });
+    await expect(service.getChatResponse('hello', null, [], undefined, null, { onToken })).rejects.toThrow(
+      'Anthropic Claude is not configured on the server'
+    );
+  });
+
+  it('summarizes text through the provider chat model', async () => {
+    const service = new ServerChatService({ id: 'anthropic', name: 'Anthropic Claude', defaultModel: 'claude-3-5-haiku-latest' });
+    jest.spyOn(service, 'getChatResponse').mockResolvedValue({ answer: 'Short summary', usage: null });
+
+    await expect(service.summarize('Long SOP text', { maxWords: 50 })).resolves.toEqual({
+      summary: 'Short summary',
+      usage: null,
+    });
+    expect(service.getChatResponse.mock.calls[0][0]).toContain('under 50 words');
+  });
+});
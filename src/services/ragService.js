@@ -1,10 +1,25 @@
 // src/services/ragService.js - RAG service using OpenAI file search APIs
 import openaiService from './openaiService';
 import aiService from './aiService';
-import authService, { getToken, getUserId } from './authService';
+import { getTenantHeaders, getToken, getUserId } from './authService';
 import { getCurrentModel } from '../config/modelConfig';
-import { RAG_BACKEND, RAG_BACKENDS, NEON_RAG_FUNCTION, RAG_DOCS_FUNCTION } from '../config/ragConfig';
-import { convertDocxToPdfIfNeeded } from '../utils/fileConversion';
+import {
+  DOCUMENT_PERMISSIONS_FUNCTION,
+  RAG_BACKEND,
+  RAG_BACKENDS,
+  NEON_RAG_FUNCTION,
+  RAG_DOCS_FUNCTION,
+} from '../config/ragConfig';
+import { convertDocxToPdfIfNeeded, isIngestibleFile } from '../utils/fileConversion';
+import { hasVerifiableSources, verifyAnswerCitations } from '../utils/citationVerification';
+import {
+  OCR_ENGINE_NAME,
+  OCR_LANGUAGE,
+  buildOcrProvenance,
+  createOcrEngine,
+  pageNeedsOcr,
+  renderPdfPageForOcr,
+} from '../utils/pdfOcr';
 
 let pdfJsLoaderOverride = null;
 let cachedPdfJsLoaderPromise = null;
@@ -46,6 +61,10 @@ export const __setPdfJsLoaderOverride = (loader) => {
 };
 
 const MAX_PERSISTED_CONTENT_BYTES = 6 * 1024 * 1024; // 6 MB raw capture limit
+// A message, its forwarded message and that one's attachments; deeper nesting is almost always a mail loop
+const MAX_ATTACHMENT_DEPTH = 3;
+// Matches PAGE_BREAK in netlify/lib/structured-chunker.js
+const PAGE_BREAK = '\f';
 
 const DEFAULT_NEON_ENDPOINTS = Array.from(new Set([
   NEON_RAG_FUNCTION,
@@ -333,7 +352,9 @@ const appendReferencesSection = (answerText, sources) => {
       `Document ${citationNumber}`
     );
 
-    referenceEntries.push({ citationNumber, title });
+    const location = getFirstNonEmptyString(source?.citation, source?.metadata?.citation);
+
+    referenceEntries.push({ citationNumber, title: location ? `${title}, ${location}` : title });
   });
 
   if (referenceEntries.length === 0) {
@@ -361,6 +382,7 @@ class RAGService {
     this.neonEndpoints = DEFAULT_NEON_ENDPOINTS;
     this.activeNeonEndpointIndex = 0;
     this.docsEndpoint = RAG_DOCS_FUNCTION;
+    this.permissionsEndpoint = DOCUMENT_PERMISSIONS_FUNCTION;
     this.convertDocxToPdfIfNeeded = convertDocxToPdfIfNeeded;
     this.documentMetadataCache = new Map();
   }
@@ -655,6 +677,7 @@ class RAGService {
       'Content-Type': 'application/json',
       Authorization: `Bearer ${token}`,
       'x-user-id': resolvedUserId,
+      ...(await getTenantHeaders()),
     };
 
     let lastError;
@@ -773,27 +796,9 @@ class RAGService {
       'Content-Type': 'application/json',
       Authorization: `Bearer ${token}`,
       'x-user-id': resolvedUserId,
+      ...(await getTenantHeaders()),
     };
 
-    try {
-      const user = await authService.getUser();
-      const roles = Array.isArray(user?.roles)
-        ? user.roles
-            .map(role => (typeof role === 'string' ? role.trim() : ''))
-            .filter(Boolean)
-        : [];
-
-      if (roles.length > 0) {
-        headers['x-user-roles'] = roles.join(',');
-      }
-
-      if (typeof user?.organization === 'string' && user.organization.trim()) {
-        headers['x-user-organization'] = user.organization.trim();
-      }
-    } catch (roleError) {
-      console.warn('Unable to resolve user context for document metadata request:', roleError);
-    }
-
     let response;
     try {
       response = await fetch(this.docsEndpoint, {
@@ -890,7 +895,7 @@ class RAGService {
     }
   }
 
-  async uploadDocument(file, metadata = {}, userId) {
+  async uploadDocument(file, metadata = {}, userId, { attachmentDepth = 0 } = {}) {
     if (!file) throw new Error('File is required');
 
     // Check file size limit (10MB)
@@ -913,13 +918,27 @@ class RAGService {
         originalFileName,
         originalMimeType,
         conversion: conversionType,
+        structure,
+        attachments = [],
+        tables,
       } = await convertDocxToPdfIfNeeded(file);
 
-      const textContent = await this.extractTextFromFile(convertedFile);
+      let ocrProvenance = null;
+      const textContent = await this.extractTextFromFile(convertedFile, {
+        preserveLayout: true,
+        onOcr: (provenance) => {
+          ocrProvenance = provenance;
+        },
+      });
       const baseMetadata = {
         ...sanitizedMetadata,
       };
 
+      // Scanned pages were indexed from OCR text; keep how and how well so reviewers can check them
+      if (ocrProvenance) {
+        baseMetadata.ocr = ocrProvenance;
+      }
+
       const normalizedTitle = getFirstNonEmptyString(
         baseMetadata.title,
         baseMetadata.fileTitle,
@@ -964,6 +983,11 @@ class RAGService {
         baseMetadata.converted = true;
       }
 
+      // Slide, section and message page ranges let citations point back to the original layout
+      if (structure) {
+        baseMetadata.structure = structure;
+      }
+
       const capturedContent = await this.captureBlobContent(convertedFile);
 
       const documentPayload = {
@@ -1016,6 +1040,11 @@ class RAGService {
         documentPayload.version = normalizedVersion;
       }
 
+      // Raw cell grids; the server types them and stores them for row-level table queries
+      if (Array.isArray(tables) && tables.length > 0) {
+        documentPayload.tables = tables;
+      }
+
       const response = await this.makeNeonRequest('upload', userId, {
         document: documentPayload,
       });
@@ -1045,6 +1074,12 @@ class RAGService {
         persistedMetadata.storage = storageLocation;
       }
 
+      const attachmentUploads = await this.uploadAttachments(attachments, {
+        documentId: persistedDocument?.id || response?.documentId || null,
+        filename: file.name || convertedFile.name,
+        title: normalizedTitle || null,
+      }, sanitizedMetadata, userId, attachmentDepth);
+
       return {
         ...response,
         document: persistedDocument || {
@@ -1054,6 +1089,7 @@ class RAGService {
         metadata: persistedMetadata,
         storageLocation,
         storage: storageLocation?.provider || 'neon-postgresql',
+        ...(attachmentUploads.length > 0 ? { attachments: attachmentUploads } : {}),
       };
     }
 
@@ -1063,6 +1099,8 @@ class RAGService {
       originalFileName,
       originalMimeType,
       conversion: conversionType,
+      structure,
+      attachments = [],
     } = await this.convertDocxToPdfIfNeeded(file);
     const fileId = await openaiService.uploadFile(uploadableFile);
     const vectorStoreId = await this.getVectorStoreId(userId);
@@ -1087,6 +1125,7 @@ class RAGService {
               conversion: conversionType || 'file-to-pdf',
             }
           : {}),
+        ...(structure ? { structure } : {}),
         ...sanitizedMetadata,
       },
       vectorStoreId,
@@ -1137,13 +1176,66 @@ class RAGService {
       savedDocument.metadata.storage = storageLocation;
     }
 
+    const attachmentUploads = await this.uploadAttachments(attachments, {
+      documentId: savedDocument?.id || fileId,
+      filename: file.name || uploadableFile.name,
+      title: sanitizedMetadata.title || null,
+    }, sanitizedMetadata, userId, attachmentDepth);
+
     return {
       fileId,
       vectorStoreId,
       metadata: savedDocument?.metadata || docInfo.metadata,
       document: savedDocument,
       storageLocation,
+      ...(attachmentUploads.length > 0 ? { attachments: attachmentUploads } : {}),
+    };
+  }
+
+  // Index files attached to an email as documents of their own, linked back to the message.
+  // Forwarded messages are attachments too, so this recurses up to MAX_ATTACHMENT_DEPTH levels.
+  async uploadAttachments(attachments, parent, parentMetadata, userId, depth) {
+    if (!Array.isArray(attachments) || attachments.length === 0) {
+      return [];
+    }
+
+    if (depth >= MAX_ATTACHMENT_DEPTH) {
+      console.warn(`Skipping ${attachments.length} attachment(s) of ${parent.filename}: nesting limit reached`);
+      return [];
+    }
+
+    const inheritedMetadata = {
+      ...(parentMetadata.category ? { category: parentMetadata.category } : {}),
+      ...(parentMetadata.tags ? { tags: parentMetadata.tags } : {}),
     };
+
+    const results = [];
+    for (const attachment of attachments) {
+      if (!isIngestibleFile(attachment)) {
+        results.push({ filename: attachment.name, skipped: true, reason: 'unsupported file type' });
+        continue;
+      }
+
+      try {
+        const upload = await this.uploadDocument(
+          attachment,
+          { ...inheritedMetadata, attachmentOf: parent },
+          userId,
+          { attachmentDepth: depth + 1 },
+        );
+        results.push({
+          filename: attachment.name,
+          documentId: upload?.document?.id || upload?.fileId || null,
+          ...(upload?.attachments ? { attachments: upload.attachments } : {}),
+        });
+      } catch (error) {
+        // One unreadable attachment should not fail the message it came with
+        console.error(`Failed to index attachment ${attachment.name}:`, error);
+        results.push({ filename: attachment.name, error: error.message });
+      }
+    }
+
+    return results;
   }
 
   async getDocuments(userId) {
@@ -1219,12 +1311,14 @@ class RAGService {
     return normalizedDocuments;
   }
 
-  async deleteDocument(documentId, userId) {
+  async deleteDocument(documentId, userId, { reason } = {}) {
+    const reasonPayload = reason ? { reason } : {};
+
     if (this.isNeonBackend()) {
       if (!userId) {
         throw new Error('User ID is required to delete documents');
       }
-      await this.makeNeonRequest('delete', userId, { documentId });
+      await this.makeNeonRequest('delete', userId, { documentId, ...reasonPayload });
       return { success: true };
     }
 
@@ -1235,7 +1329,7 @@ class RAGService {
     });
 
     try {
-      await this.makeDocumentMetadataRequest('delete_document', resolvedUserId, { documentId });
+      await this.makeDocumentMetadataRequest('delete_document', resolvedUserId, { documentId, ...reasonPayload });
     } catch (error) {
       console.warn('Failed to remove document metadata after deletion:', error);
     }
@@ -1243,7 +1337,7 @@ class RAGService {
     return { success: true };
   }
 
-  async updateDocumentMetadata(documentId, metadataUpdates = {}, userId) {
+  async updateDocumentMetadata(documentId, metadataUpdates = {}, userId, { reason } = {}) {
     if (!documentId) {
       throw new Error('documentId is required to update metadata');
     }
@@ -1260,6 +1354,10 @@ class RAGService {
       payload.clearFields = clearFields;
     }
 
+    if (reason) {
+      payload.reason = reason;
+    }
+
     if (this.isNeonBackend()) {
       const response = await this.makeNeonRequest('update_metadata', resolvedUserId, payload);
       const updatedDocument = response?.document;
@@ -1303,7 +1401,78 @@ class RAGService {
     });
   }
 
-  async extractTextFromFile(file) {
+  // Documents listed by this service live in rag_documents (Neon) or rag_user_documents (OpenAI);
+  // indexed documents in the chat workspace pass 'document_index' explicitly
+  getPermissionsResourceType() {
+    return this.isNeonBackend() ? 'rag_documents' : 'rag_user_documents';
+  }
+
+  async makeDocumentPermissionsRequest(action, documentId, payload = {}, { resourceType, userId } = {}) {
+    if (!documentId) {
+      throw new Error('documentId is required to manage document sharing');
+    }
+
+    const resolvedUserId = userId || (await getUserId());
+    if (!resolvedUserId) {
+      throw new Error('User ID is required to manage document sharing');
+    }
+
+    const token = await getToken();
+    const response = await fetch(this.permissionsEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        'x-user-id': resolvedUserId,
+        ...(await getTenantHeaders()),
+      },
+      body: JSON.stringify({
+        action,
+        resourceType: resourceType || this.getPermissionsResourceType(),
+        resourceId: String(documentId),
+        ...payload,
+      }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || data.message || `Request failed with status ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Users, groups and roles a document is shared with. A document without entries follows its
+   * library scope; one with entries is visible only to its owner, organization admins and the
+   * listed principals.
+   */
+  async getDocumentPermissions(documentId, options = {}) {
+    const response = await this.makeDocumentPermissionsRequest('list', documentId, {}, options);
+    return Array.isArray(response.permissions) ? response.permissions : [];
+  }
+
+  /**
+   * Share a document. `grants` is one or more `{ principalType: 'user'|'group'|'role', principalId,
+   * permission: 'read'|'edit' }` entries; existing entries for the same principal are replaced.
+   */
+  async shareDocument(documentId, grants, options = {}) {
+    const response = await this.makeDocumentPermissionsRequest('grant', documentId, { grants }, options);
+    return Array.isArray(response.permissions) ? response.permissions : [];
+  }
+
+  async revokeDocumentPermission(documentId, grant, options = {}) {
+    const response = await this.makeDocumentPermissionsRequest('revoke', documentId, { grant }, options);
+    return Array.isArray(response.permissions) ? response.permissions : [];
+  }
+
+  /**
+   * Extract plain text from an uploaded file. With `preserveLayout`, PDF line breaks are kept
+   * and pages are separated by form feeds so the Neon chunker can record section and page locations.
+   * PDF pages without a usable text layer are OCR'd unless `ocr` is false; `onOcr` then receives
+   * the per-page provenance (confidence, low-confidence pages) for the document metadata.
+   */
+  async extractTextFromFile(file, { preserveLayout = false, ocr = true, onOcr = null } = {}) {
     if (file.type === 'text/plain') {
       return new Promise((resolve, reject) => {
         const reader = new FileReader();
@@ -1329,6 +1498,9 @@ class RAGService {
         }
 
         const pdfDocument = await loadingTask.promise;
+        const ocrPages = [];
+        let ocrEngine = null;
+        let ocrUnavailable = !ocr;
         try {
           const pageTexts = [];
           for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber += 1) {
@@ -1336,15 +1508,74 @@ class RAGService {
             const page = await pdfDocument.getPage(pageNumber);
             // eslint-disable-next-line no-await-in-loop
             const textContent = await page.getTextContent();
-            const strings = (textContent?.items || [])
-              .map(item => (typeof item.str === 'string' ? item.str : ''))
-              .filter(Boolean);
-            pageTexts.push(strings.join(' '));
+            const items = textContent?.items || [];
+            let pageText;
+            if (preserveLayout) {
+              pageText = items
+                .map(item => `${typeof item.str === 'string' ? item.str : ''}${item.hasEOL ? '\n' : ' '}`)
+                .join('')
+                .replace(/[ \t]+\n/g, '\n')
+                .trim();
+            } else {
+              const strings = items
+                .map(item => (typeof item.str === 'string' ? item.str : ''))
+                .filter(Boolean);
+              pageText = strings.join(' ');
+            }
+
+            if (!ocrUnavailable && pageNeedsOcr(pageText)) {
+              let image = null;
+              try {
+                // eslint-disable-next-line no-await-in-loop
+                image = await renderPdfPageForOcr(page);
+              } catch (renderError) {
+                console.warn('Skipping OCR, PDF pages cannot be rendered here:', renderError.message);
+                ocrUnavailable = true;
+              }
+
+              if (image) {
+                try {
+                  // eslint-disable-next-line no-await-in-loop
+                  ocrEngine = ocrEngine || (await createOcrEngine());
+                  // eslint-disable-next-line no-await-in-loop
+                  const result = await ocrEngine.recognize(image);
+                  const recognisedText = preserveLayout
+                    ? result.text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim()
+                    : result.text.replace(/\s+/g, ' ').trim();
+                  ocrPages.push({ pageNumber, text: recognisedText, confidence: result.confidence });
+                  if (recognisedText) {
+                    pageText = recognisedText;
+                  }
+                } catch (ocrError) {
+                  console.warn(`OCR failed for PDF page ${pageNumber}:`, ocrError);
+                  ocrPages.push({ pageNumber, text: '', confidence: 0, error: ocrError.message || 'OCR failed' });
+                  // Without a running engine there is no point trying the remaining pages
+                  ocrUnavailable = !ocrEngine;
+                }
+              }
+            }
+
+            pageTexts.push(pageText);
             page.cleanup?.();
           }
 
-          return pageTexts.join('\n').trim();
+          if (ocrPages.length > 0 && typeof onOcr === 'function') {
+            onOcr(buildOcrProvenance({
+              engine: ocrEngine?.name || OCR_ENGINE_NAME,
+              language: ocrEngine?.language || OCR_LANGUAGE,
+              totalPages: pdfDocument.numPages,
+              pages: ocrPages,
+            }));
+          }
+
+          // Leading blank pages must survive so page numbers stay aligned with the PDF
+          return preserveLayout ? pageTexts.join(PAGE_BREAK) : pageTexts.join('\n').trim();
         } finally {
+          try {
+            await ocrEngine?.terminate?.();
+          } catch (terminateError) {
+            console.warn('Failed to stop the OCR engine:', terminateError);
+          }
           try {
             pdfDocument.cleanup?.();
             pdfDocument.destroy?.();
@@ -1835,14 +2066,18 @@ class RAGService {
 
     let answer = answerWithCitations || plainAnswerFromContent || outputTextFallback || 'My knowledge base does not contain any information related to your question. This could be because the information might be phrased differently in the documents, or it may not be covered in the uploaded materials. Please try rephrasing your question with different keywords or ask about a related topic.';
     answer = deduplicateText(answer);
+    // Annotations usually name the file without the chunk text, leaving nothing to check claims against
+    const verification = hasVerifiableSources(sources) ? verifyAnswerCitations(answer, sources) : null;
     answer = appendReferencesSection(answer, sources);
 
     return {
       answer,
       sources,
+      verification,
       ragMetadata: {
         totalSources: sources.length,
         processingMode: 'openai-file-search',
+        groundedness: verification ? verification.groundednessScore : null,
       },
     };
   }
@@ -1893,19 +2128,28 @@ class RAGService {
       };
     }
 
-    const contextSections = results
-      .map((result, index) => {
+    const tableResults = await this.queryTablesForAnswer(trimmedQuery, userId, results);
+
+    const contextSections = [
+      ...results.map((result, index) => {
         const snippet = (result.text || '').trim();
-        return `Source ${index + 1}: ${result.filename} (chunk ${result.chunkIndex + 1})\n${snippet}`;
-      })
-      .join('\n\n');
+        const location = result.citation || `chunk ${result.chunkIndex + 1}`;
+        return `Source ${index + 1}: ${result.filename} (${location})\n${snippet}`;
+      }),
+      ...tableResults.map((result, offset) =>
+        `Source ${results.length + offset + 1}: ${result.filename} (table ${result.table})\n${result.summary}`
+      ),
+    ].join('\n\n');
 
     const formattedHistory = formatConversationHistoryForPrompt(conversationHistory);
 
     const promptSections = [
       'You are AcceleraQA, an expert assistant for pharmaceutical quality and compliance.',
-      'Use only the provided document excerpts to answer the user question. Cite the document name when referencing a source.',
+      'Use only the provided document excerpts to answer the user question. After each sentence that uses an excerpt, cite it with its source number in square brackets, e.g. [1] or [2][3].',
       'If the excerpts do not contain enough information, say so clearly.',
+      ...(tableResults.length > 0
+        ? ['Table sources were computed from spreadsheet rows. Use their counts and values as given and name the cells they list (e.g. Stability!E4).']
+        : []),
       '',
     ];
 
@@ -1944,6 +2188,12 @@ class RAGService {
         baseMetadata.chunkIndex = result.chunkIndex;
       }
 
+      if (result.citation) {
+        baseMetadata.citation = result.citation;
+        baseMetadata.sectionPath = result.sectionPath || null;
+        baseMetadata.pageNumber = result.pageNumber ?? null;
+      }
+
       baseMetadata.citationNumber = citationNumber;
 
       return {
@@ -1955,21 +2205,74 @@ class RAGService {
       };
     });
 
+    tableResults.forEach((result, offset) => {
+      const index = results.length + offset;
+      const citation = `table ${result.table}`;
+      const cellRefs = Array.from(new Set([
+        ...(result.matches || []).map(match => match.ref),
+        ...(result.aggregate?.refs || []),
+      ]));
+
+      sources.push({
+        documentId: result.documentId,
+        filename: result.filename,
+        documentTitle: result.documentTitle,
+        text: result.summary,
+        citation,
+        sourceId: `${result.documentId}:table:${result.tableId}`,
+        index,
+        citationNumber: index + 1,
+        metadata: {
+          filename: result.filename,
+          documentTitle: result.documentTitle,
+          citation,
+          citationNumber: index + 1,
+          table: result.table,
+          cellRefs,
+        },
+      });
+    });
+
     let answer = rawAnswer.trim() || 'No relevant guidance was generated from the provided excerpts.';
     answer = deduplicateText(answer);
+    const verification = verifyAnswerCitations(answer, sources);
     answer = appendReferencesSection(answer, sources);
 
     return {
       answer,
       sources,
       resources,
+      verification,
       ragMetadata: {
         totalSources: sources.length,
         processingMode: 'neon-postgresql',
+        groundedness: verification.groundednessScore,
       },
     };
   }
 
+  // Filter/aggregate the spreadsheets retrieval surfaced. A failed lookup only costs the table
+  // context; the answer still comes from the text excerpts.
+  async queryTablesForAnswer(query, userId, results) {
+    const documentIds = Array.from(new Set(
+      results
+        .filter(result => Array.isArray(result.metadata?.tables) && result.metadata.tables.length > 0)
+        .map(result => String(result.documentId))
+    ));
+
+    if (documentIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const response = await this.makeNeonRequest('query_tables', userId, { query, documentIds });
+      return Array.isArray(response?.results) ? response.results : [];
+    } catch (error) {
+      console.warn('Structured table query failed; answering from text excerpts only:', error);
+      return [];
+    }
+  }
+
   async search(query, userId, options = {}, conversationHistory = []) {
     try {
       console.log('RAG Search initiated:', {
@@ -1992,6 +2295,7 @@ class RAGService {
         answer: response.answer,
         sources: response.sources || [],
         resources: response.resources || [],
+        verification: response.verification || null,
       };
     } catch (error) {
       console.error('RAG Search failed:', {
@@ -2251,8 +2555,12 @@ export const search = (query, userId, options = {}, conversationHistory = []) =>
   ragService.search(query, userId, options, conversationHistory);
 export const searchDocuments = (query, options = {}, userId) => ragService.searchDocuments(query, options, userId);
 export const getDocuments = (userId) => ragService.getDocuments(userId);
-export const deleteDocument = (documentId, userId) => ragService.deleteDocument(documentId, userId);
+export const deleteDocument = (documentId, userId, options) => ragService.deleteDocument(documentId, userId, options);
 export const downloadDocument = (documentReference, userId) => ragService.downloadDocument(documentReference, userId);
+export const getDocumentPermissions = (documentId, options) => ragService.getDocumentPermissions(documentId, options);
+export const shareDocument = (documentId, grants, options) => ragService.shareDocument(documentId, grants, options);
+export const revokeDocumentPermission = (documentId, grant, options) =>
+  ragService.revokeDocumentPermission(documentId, grant, options);
 export const generateRAGResponse = (query, userId, options = {}, conversationHistory = []) =>
   ragService.generateRAGResponse(query, userId, options, conversationHistory);
 export const testConnection = (userId) => ragService.testConnection(userId);
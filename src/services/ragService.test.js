@@ -214,6 +214,83 @@ describe('ragService neon backend integration', () => {
     );
   });
 
+  test('uploadDocument indexes email attachments as linked documents', async () => {
+    let nextId = 0;
+    const neonResponses = {
+      upload: (_userId, payload) => {
+        nextId += 1;
+        return {
+          document: {
+            id: `doc-${nextId}`,
+            filename: payload.document.filename,
+            metadata: payload.document.metadata,
+          },
+        };
+      },
+    };
+
+    const { ragService, makeNeonRequestSpy } = await setupNeonRagService({ neonResponses });
+
+    const eml = [
+      'From: qa@example.com',
+      'Subject: Release hold',
+      'Content-Type: multipart/mixed; boundary="b"',
+      '',
+      '--b',
+      'Content-Type: text/plain',
+      '',
+      'Hold lot 24-117.',
+      '--b',
+      'Content-Type: text/plain; name="deviation.txt"',
+      'Content-Disposition: attachment; filename="deviation.txt"',
+      '',
+      'Deviation DV-88',
+      '--b',
+      'Content-Type: image/png; name="photo.png"',
+      'Content-Disposition: attachment; filename="photo.png"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      'iVBORw0KGgo=',
+      '--b--',
+      '',
+    ].join('\r\n');
+    const bytes = new TextEncoder().encode(eml);
+    const emlFile = {
+      name: 'hold.eml',
+      type: 'message/rfc822',
+      size: bytes.byteLength,
+      arrayBuffer: async () => bytes.buffer.slice(0),
+    };
+
+    const result = await ragService.uploadDocument(emlFile, { category: 'Deviations' }, 'user-1');
+
+    expect(makeNeonRequestSpy).toHaveBeenCalledTimes(2);
+    expect(makeNeonRequestSpy.mock.calls[0][2].document.metadata).toEqual(
+      expect.objectContaining({
+        conversion: 'eml-to-pdf',
+        structure: expect.objectContaining({
+          unit: 'message',
+          subject: 'Release hold',
+          sections: [{ index: 1, title: 'Release hold', pageStart: 1, pageEnd: 1 }],
+        }),
+      })
+    );
+    expect(makeNeonRequestSpy.mock.calls[1][2].document).toEqual(
+      expect.objectContaining({
+        filename: 'deviation.pdf',
+        metadata: expect.objectContaining({
+          category: 'Deviations',
+          originalFilename: 'deviation.txt',
+          attachmentOf: { documentId: 'doc-1', filename: 'hold.eml', title: 'hold.eml' },
+        }),
+      })
+    );
+    expect(result.attachments).toEqual([
+      { filename: 'deviation.txt', documentId: 'doc-2' },
+      { filename: 'photo.png', skipped: true, reason: 'unsupported file type' },
+    ]);
+  });
+
   test('downloadDocument delegates to document metadata endpoint for Neon backend', async () => {
     const { ragService, makeNeonRequestSpy } = await setupNeonRagService();
 
@@ -385,6 +462,93 @@ describe('ragService neon backend integration', () => {
     expect(result.resources).toEqual(chatResponse.resources);
   });
 
+  test('generateNeonRagResponse verifies each claim against the cited chunk', async () => {
+    const neonResponses = {
+      search: () => ({
+        results: [
+          {
+            documentId: 'doc-3',
+            filename: 'Deviation SOP.pdf',
+            chunkIndex: 2,
+            text: 'Deviations must be logged and an investigation opened within 5 business days of discovery.',
+          },
+        ],
+      }),
+    };
+
+    const { ragService } = await setupNeonRagService({
+      neonResponses,
+      chatResponse: {
+        answer: 'Deviations must be logged and investigated within 5 business days [1]. Investigations require approval from the site director within 10 days [1].',
+        resources: [],
+      },
+    });
+
+    const result = await ragService.generateNeonRagResponse('When do deviation investigations start?', 'user-8');
+
+    expect(result.verification.totalClaims).toBe(2);
+    expect(result.verification.claims.map(claim => claim.status)).toEqual(['supported', 'unsupported']);
+    expect(result.verification.claims[1].missingNumbers).toEqual(['10']);
+    expect(result.ragMetadata.groundedness).toBe(0.5);
+    expect(result.answer).toContain('References');
+  });
+
+  test('generateNeonRagResponse adds filtered spreadsheet rows as citable table sources', async () => {
+    const tableSummary = [
+      'Table "Stability" filtered by Degradation (%) > 5: 1 of 5 rows match.',
+      'Row 4 (Stability!A4:E4): Lot = L-102; Degradation (%) = 6.1',
+    ].join('\n');
+    const neonResponses = {
+      search: () => ({
+        results: [
+          {
+            documentId: 'doc-5',
+            filename: 'stability.pdf',
+            chunkIndex: 0,
+            text: 'Sheet: Stability\nLot | Condition | Pull date | Assay (%) | Degradation (%)',
+            metadata: { tables: [{ name: 'Stability', rowCount: 5, columns: [] }] },
+          },
+          { documentId: 'doc-6', filename: 'SOP.pdf', chunkIndex: 3, text: 'Degradation above 5% is an OOS result.' },
+        ],
+      }),
+      query_tables: () => ({
+        results: [
+          {
+            tableId: '11',
+            documentId: 'doc-5',
+            filename: 'stability.pdf',
+            documentTitle: 'Stability summary',
+            table: 'Stability',
+            totalMatches: 1,
+            matches: [{ rowNumber: 4, ref: 'Stability!A4:E4', values: { Lot: 'L-102' } }],
+            aggregate: null,
+            summary: tableSummary,
+          },
+        ],
+      }),
+    };
+
+    const { ragService, makeNeonRequestSpy, chatSpy } = await setupNeonRagService({
+      neonResponses,
+      chatResponse: { answer: 'Lot L-102 exceeded the limit with 6.1% degradation (Stability!A4:E4) [3].', resources: [] },
+    });
+
+    const result = await ragService.generateNeonRagResponse('Which lots exceeded 5% degradation?', 'user-2');
+
+    expect(makeNeonRequestSpy).toHaveBeenCalledWith('query_tables', 'user-2', {
+      query: 'Which lots exceeded 5% degradation?',
+      documentIds: ['doc-5'],
+    });
+    expect(chatSpy.mock.calls[0][0]).toContain(`Source 3: stability.pdf (table Stability)\n${tableSummary}`);
+    expect(result.sources).toHaveLength(3);
+    expect(result.sources[2]).toEqual(expect.objectContaining({
+      sourceId: 'doc-5:table:11',
+      citationNumber: 3,
+      metadata: expect.objectContaining({ table: 'Stability', cellRefs: ['Stability!A4:E4'] }),
+    }));
+    expect(result.verification.claims[0].status).toBe('supported');
+  });
+
   test('generateNeonRagResponse incorporates conversation history into prompt', async () => {
     const neonResponses = {
       search: () => ({
@@ -475,6 +639,35 @@ describe('shared document retention for OpenAI backend', () => {
     openaiSpy.mockRestore();
     delete process.env.REACT_APP_RAG_BACKEND;
   });
+  test('generateRAGResponse skips claim verification when file-search annotations carry no chunk text', async () => {
+    jest.resetModules();
+    process.env.REACT_APP_RAG_BACKEND = 'openai';
+
+    const ragModule = await import('./ragService.js');
+    const ragService = ragModule.default;
+    jest.spyOn(ragService, 'getVectorStoreId').mockResolvedValue('vs_1');
+    jest.spyOn(ragService, 'getDocumentMetadataLookup').mockResolvedValue(null);
+
+    const openaiModule = await import('./openaiService.js');
+    const openaiSpy = jest.spyOn(openaiModule.default, 'makeRequest').mockResolvedValue({
+      output: [{
+        content: [{
+          type: 'output_text',
+          text: 'Deviations are investigated within 5 business days of discovery.',
+          annotations: [{ type: 'file_citation', text: '【4:0†source】', file_id: 'file-1', filename: 'Deviation SOP.pdf' }],
+        }],
+      }],
+    });
+
+    const result = await ragService.generateRAGResponse('When are deviations investigated?', 'user-openai');
+
+    expect(result.sources).toHaveLength(1);
+    expect(result.verification).toBeNull();
+    expect(result.ragMetadata.groundedness).toBeNull();
+
+    openaiSpy.mockRestore();
+    delete process.env.REACT_APP_RAG_BACKEND;
+  });
 });
 
 describe('extractTextFromFile', () => {
@@ -537,4 +730,100 @@ describe('extractTextFromFile', () => {
     ragModule.__setPdfJsLoaderOverride(null);
     jest.resetModules();
   });
+
+  test('preserves line breaks and page boundaries when requested', async () => {
+    jest.resetModules();
+
+    const pageMocks = [
+      { items: [] },
+      { items: [{ str: '5.2 Cleaning', hasEOL: true }, { str: 'Wipe with' }, { str: 'IPA.', hasEOL: true }] },
+    ].map(content => ({ getTextContent: jest.fn(async () => content), cleanup: jest.fn() }));
+
+    const loaderMock = jest.fn(async () => ({
+      getDocument: jest.fn(() => ({
+        promise: Promise.resolve({
+          numPages: pageMocks.length,
+          getPage: jest.fn(async (pageNumber) => pageMocks[pageNumber - 1]),
+        }),
+      })),
+      GlobalWorkerOptions: {},
+    }));
+
+    const ragModule = await import('./ragService.js');
+    ragModule.__setPdfJsLoaderOverride(loaderMock);
+
+    const file = {
+      type: 'application/pdf',
+      arrayBuffer: async () => new TextEncoder().encode('%PDF-1.4\n').buffer,
+    };
+
+    const text = await ragModule.default.extractTextFromFile(file, { preserveLayout: true });
+
+    expect(text).toBe('\f5.2 Cleaning\nWipe with IPA.');
+
+    ragModule.__setPdfJsLoaderOverride(null);
+    jest.resetModules();
+  });
+
+  test('OCRs pages without a text layer and reports their confidence', async () => {
+    jest.resetModules();
+
+    const textLayerPage = 'Batch record BR-104 for lot 2291, reviewed by QA.';
+    const pageMocks = [
+      { items: [{ str: textLayerPage }] },
+      { items: [{ str: '2' }] },
+    ].map(content => ({
+      getTextContent: jest.fn(async () => content),
+      getViewport: jest.fn(() => ({ width: 100, height: 140 })),
+      render: jest.fn(() => ({ promise: Promise.resolve() })),
+      cleanup: jest.fn(),
+    }));
+
+    const loaderMock = jest.fn(async () => ({
+      getDocument: jest.fn(() => ({
+        promise: Promise.resolve({
+          numPages: pageMocks.length,
+          getPage: jest.fn(async (pageNumber) => pageMocks[pageNumber - 1]),
+        }),
+      })),
+      GlobalWorkerOptions: {},
+    }));
+
+    const engine = {
+      name: 'tesseract.js',
+      language: 'eng',
+      recognize: jest.fn(async () => ({ text: 'Operator signature  \nJ. Smith 12-Mar\n', confidence: 58.2 })),
+      terminate: jest.fn(async () => {}),
+    };
+    const getContextSpy = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({});
+
+    const ocrModule = await import('../utils/pdfOcr.js');
+    ocrModule.__setOcrEngineFactoryOverride(async () => engine);
+    const ragModule = await import('./ragService.js');
+    ragModule.__setPdfJsLoaderOverride(loaderMock);
+
+    const file = {
+      type: 'application/pdf',
+      arrayBuffer: async () => new TextEncoder().encode('%PDF-1.4\n').buffer,
+    };
+    const onOcr = jest.fn();
+
+    const text = await ragModule.default.extractTextFromFile(file, { preserveLayout: true, onOcr });
+
+    expect(text).toBe(`${textLayerPage}\fOperator signature\nJ. Smith 12-Mar`);
+    expect(pageMocks[0].render).not.toHaveBeenCalled();
+    expect(engine.recognize).toHaveBeenCalledTimes(1);
+    expect(engine.terminate).toHaveBeenCalled();
+    expect(onOcr).toHaveBeenCalledWith(expect.objectContaining({
+      engine: 'tesseract.js',
+      totalPages: 2,
+      pages: [{ pageNumber: 2, confidence: 58.2, lowConfidence: true }],
+      lowConfidencePages: [2],
+    }));
+
+    getContextSpy.mockRestore();
+    ocrModule.__setOcrEngineFactoryOverride(null);
+    ragModule.__setPdfJsLoaderOverride(null);
+    jest.resetModules();
+  });
 });
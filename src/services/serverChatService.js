@@ -0,0 +1,48 @@
+import { ERROR_MESSAGES } from '../config/constants';
+import { getToken, getUserId } from './authService';
+import OpenAICompatibleService from './openaiCompatibleService';
+
+const DEFAULT_ENDPOINT = '/.netlify/functions/chat-completions';
+
+/**
+ * Chat provider whose requests go through the chat-completions Netlify function, which calls the
+ * provider with the server's endpoint and key. Used for providers the browser cannot reach under
+ * the site's CSP (Azure OpenAI, Anthropic, on-premises servers); no credentials are bundled.
+ */
+export class ServerChatService extends OpenAICompatibleService {
+  constructor({ id, name, defaultModel, endpoint = DEFAULT_ENDPOINT } = {}) {
+    super({
+      id,
+      name,
+      baseUrl: endpoint,
+      defaultModel,
+      requiresApiKey: false,
+      // The function answers 401 when the user's session is missing, not when a key is wrong
+      invalidKeyMessage: ERROR_MESSAGES.AUTH_ERROR,
+    });
+  }
+
+  getChatCompletionsEndpoint() {
+    return '';
+  }
+
+  createChatPayload(message, history = [], model = this.model) {
+    return { ...super.createChatPayload(message, history, model), provider: this.id };
+  }
+
+  async fetchWithRetry(endpoint, options = {}, tokenCount = 0) {
+    const token = await getToken();
+    const userId = await getUserId();
+
+    return super.fetchWithRetry(endpoint, {
+      ...options,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(userId ? { 'x-user-id': userId } : {}),
+        ...(options.headers || {}),
+      },
+    }, tokenCount);
+  }
+}
+
+export default ServerChatService;
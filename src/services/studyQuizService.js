@@ -0,0 +1,120 @@
+// src/services/studyQuizService.js
+// Quizzes drafted from Notebook conversations and the spaced-repetition queue of missed items.
+// The chat model writes the questions in the browser; neon-db stores them, keeps the answer keys
+// and does all grading and scheduling.
+
+import aiService from './aiService';
+import { getTenantHeaders, getToken, getUserId } from './authService';
+
+const NEON_FUNCTION_URL = '/.netlify/functions/neon-db';
+const DEFAULT_QUESTION_COUNT = 8;
+
+// Flatten Notebook conversation cards into the user/ai messages the quiz prompt expects
+const collectConversationMessages = (conversations = []) =>
+  conversations.flatMap((conversation) => {
+    const userMessage = conversation?.originalUserMessage;
+    const aiMessage = conversation?.originalAiMessage;
+    const timestamp = conversation?.timestamp;
+
+    return [
+      userMessage && {
+        ...userMessage,
+        type: 'user',
+        content: conversation.userContent ?? userMessage.content,
+        timestamp: userMessage.timestamp || timestamp,
+      },
+      aiMessage && {
+        ...aiMessage,
+        type: 'ai',
+        content: conversation.aiContent ?? aiMessage.content,
+        resources: conversation.resources || aiMessage.resources || [],
+        timestamp: aiMessage.timestamp || timestamp,
+      },
+    ].filter((message) => message && typeof message.content === 'string' && message.content.trim());
+  });
+
+class StudyQuizService {
+  async makeRequest(action, data = {}) {
+    const [token, userId] = await Promise.all([getToken(), getUserId()]);
+    if (!userId) {
+      throw new Error('User identity is required to use quizzes.');
+    }
+
+    const response = await fetch(NEON_FUNCTION_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        'x-user-id': userId,
+        ...(await getTenantHeaders()),
+      },
+      body: JSON.stringify({ action, data }),
+    });
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      payload = { error: response.statusText || 'Unknown error' };
+    }
+
+    if (!response.ok) {
+      const error = new Error(payload?.error || payload?.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Ask the active chat provider for quiz items covering the given conversation cards and save
+   * them. The saved quiz comes back without answer keys.
+   */
+  async createQuizFromConversations(conversations, { questionCount = DEFAULT_QUESTION_COUNT } = {}) {
+    const messages = collectConversationMessages(conversations);
+    if (messages.length === 0) {
+      throw new Error('Please select at least one conversation with a valid AI response.');
+    }
+
+    const draft = await aiService.generateQuiz(messages, { questionCount });
+    return this.makeRequest('save_quiz', {
+      title: draft.title,
+      conversationIds: conversations.map((conversation) => conversation.id),
+      items: draft.items,
+    });
+  }
+
+  async getQuizzes() {
+    const payload = await this.makeRequest('get_quizzes');
+    return Array.isArray(payload?.quizzes) ? payload.quizzes : [];
+  }
+
+  async getQuiz(quizId) {
+    return this.makeRequest('get_quiz', { quizId });
+  }
+
+  // `responses` maps item ids to a choice index or a typed answer
+  async submitQuizAttempt(quizId, responses) {
+    return this.makeRequest('submit_quiz_attempt', { quizId, responses });
+  }
+
+  async deleteQuiz(quizId) {
+    return this.makeRequest('delete_quiz', { quizId });
+  }
+
+  async getDueReviews({ limit } = {}) {
+    const payload = await this.makeRequest('get_due_reviews', limit ? { limit } : {});
+    return {
+      items: Array.isArray(payload?.items) ? payload.items : [],
+      totalDue: Number(payload?.totalDue) || 0,
+    };
+  }
+
+  async submitReview(itemId, response) {
+    return this.makeRequest('submit_review', { itemId, response });
+  }
+}
+
+const studyQuizService = new StudyQuizService();
+export default studyQuizService;
@@ -1,4 +1,5 @@
-import { getToken, getUserId } from './authService';
+import { getCurrentModelForProvider, getModelProvider } from '../config/modelConfig';
+import { getTenantHeaders, getToken, getUserId } from './authService';
 
 const DEFAULT_ENDPOINT = process.env.REACT_APP_SUMMARY_PIPELINE_ENDPOINT || '/.netlify/functions/summary-pipeline';
 
@@ -14,38 +15,83 @@ const DEFAULT_MODE = {
   detail: DETAIL_LEVELS.STANDARD,
 };
 
-export const buildSummaryRequest = ({ document, mode = {}, query = '', filters = {}, metadata = {} }) => {
+// Tones a role profile can use; the server rejects anything else
+const SUMMARY_TONES = ['formal', 'pragmatic', 'technical', 'accessible'];
+
+// Matches the server's limit on documents per summary and per saved document set
+const MAX_SUMMARY_DOCUMENTS = 10;
+
+const normalizeSummaryDocument = (document, timestamp, label = 'document') => {
   if (!document || typeof document !== 'object') {
-    throw new Error('document metadata is required');
+    throw new Error(`${label} metadata is required`);
   }
 
   const rawContent = typeof document.content === 'string' ? document.content : document.text;
   if (!rawContent || typeof rawContent !== 'string' || !rawContent.trim()) {
-    throw new Error('document content must be a non-empty string');
+    throw new Error(`${label} content must be a non-empty string`);
   }
 
   const content = rawContent.replace(/\r\n/g, '\n').trim();
 
+  return {
+    doc_id: document.doc_id || document.id || createDeterministicId(content),
+    title: document.title || 'Untitled Document',
+    version: document.version || '1.0',
+    doc_type: document.doc_type || document.type || 'Document',
+    owner: document.owner || 'unknown',
+    effective_date: document.effective_date || document.effectiveDate || timestamp.slice(0, 10),
+    system_of_record: document.system_of_record || document.systemOfRecord || 'unspecified',
+    content,
+  };
+};
+
+/**
+ * Build the pipeline request for one `document` or, for a consolidated brief, several `documents`.
+ * A single entry in `documents` is sent as an ordinary single-document request.
+ *
+ * The summary is written by the selected chat provider and model unless `generation` is
+ * 'extractive'; the server falls back to extractive sentences when the model is unavailable.
+ */
+export const buildSummaryRequest = ({
+  document,
+  documents,
+  documentSetName,
+  mode = {},
+  query = '',
+  filters = {},
+  metadata = {},
+  scope,
+  provider = getModelProvider(),
+  model = getCurrentModelForProvider(provider),
+  generation,
+}) => {
+  const timestamp = new Date().toISOString();
+  const sourceDocuments = Array.isArray(documents) && documents.length > 0 ? documents : null;
+  if (sourceDocuments && sourceDocuments.length > MAX_SUMMARY_DOCUMENTS) {
+    throw new Error(`a summary can cover at most ${MAX_SUMMARY_DOCUMENTS} documents`);
+  }
+
+  const normalizedDocuments = sourceDocuments
+    ? sourceDocuments.map((entry, index) => normalizeSummaryDocument(
+      entry,
+      timestamp,
+      sourceDocuments.length > 1 ? `document ${index + 1}` : 'document'
+    ))
+    : [normalizeSummaryDocument(document, timestamp)];
+
   const normalizedMode = {
     role: typeof mode.role === 'string' ? mode.role : DEFAULT_MODE.role,
     lens: typeof mode.lens === 'string' ? mode.lens : DEFAULT_MODE.lens,
     detail: normalizeDetail(mode.detail),
   };
 
-  const docId = document.doc_id || document.id || createDeterministicId(content);
-  const timestamp = new Date().toISOString();
-
   return {
-    document: {
-      doc_id: docId,
-      title: document.title || 'Untitled Document',
-      version: document.version || '1.0',
-      doc_type: document.doc_type || document.type || 'Document',
-      owner: document.owner || 'unknown',
-      effective_date: document.effective_date || document.effectiveDate || timestamp.slice(0, 10),
-      system_of_record: document.system_of_record || document.systemOfRecord || 'unspecified',
-      content,
-    },
+    ...(normalizedDocuments.length > 1
+      ? {
+        documents: normalizedDocuments,
+        ...(typeof documentSetName === 'string' && documentSetName.trim() ? { documentSetName: documentSetName.trim() } : {}),
+      }
+      : { document: normalizedDocuments[0] }),
     mode: normalizedMode,
     query,
     filters,
@@ -58,6 +104,11 @@ export const buildSummaryRequest = ({ document, mode = {}, query = '', filters =
       chunkOverlap: 180,
     },
     requestId: createRequestId(),
+    provider,
+    model,
+    ...(generation === 'extractive' ? { generation } : {}),
+    // 'organization' shares the summary with the caller's organization; anything else keeps it personal
+    ...(scope ? { scope } : {}),
   };
 };
 
@@ -66,6 +117,11 @@ class SummaryPipelineService {
     this.endpoint = endpoint;
   }
 
+  /**
+   * Submit a summary request. With the database configured the server queues a job and answers
+   * `{ job }`, to be followed with `getSummaryJob`; otherwise it answers with the finished
+   * `{ summary, diagnostics, metrics }`.
+   */
   async createSummary(params) {
     const payload = buildSummaryRequest(params);
 
@@ -104,6 +160,107 @@ class SummaryPipelineService {
     return response.json();
   }
 
+  /**
+   * Status of a summary job: `{ job }`, plus `summary` once the job has succeeded.
+   */
+  async getSummaryJob(jobId) {
+    if (!jobId || typeof jobId !== 'string') {
+      throw new Error('jobId must be provided');
+    }
+
+    const headers = await this.buildAuthHeaders();
+    const response = await fetch(`${this.endpoint}?job_id=${encodeURIComponent(jobId)}`, {
+      method: 'GET',
+      headers,
+    });
+
+    if (!response.ok) {
+      throw await this.normalizeError(response);
+    }
+
+    return response.json();
+  }
+
+  async listDocumentSets() {
+    const headers = await this.buildAuthHeaders();
+    const response = await fetch(`${this.endpoint}?resource=document_sets`, {
+      method: 'GET',
+      headers,
+    });
+
+    if (!response.ok) {
+      throw await this.normalizeError(response);
+    }
+
+    const payload = await response.json();
+    return Array.isArray(payload.documentSets) ? payload.documentSets : [];
+  }
+
+  /**
+   * Create a saved document set, or update it when `documentSet.id` is given.
+   */
+  async saveDocumentSet(documentSet) {
+    const payload = await this.postAction({ action: 'save_document_set', documentSet });
+    return payload.documentSet;
+  }
+
+  async deleteDocumentSet(id) {
+    return this.postAction({ action: 'delete_document_set', id });
+  }
+
+  /**
+   * Role profiles and lenses in effect for the caller: `{ roles, lenses, overrides }`, where
+   * `overrides` are platform profiles replaced by an organization profile of the same name.
+   */
+  async listSummaryProfiles() {
+    const headers = await this.buildAuthHeaders();
+    const response = await fetch(`${this.endpoint}?resource=profiles`, {
+      method: 'GET',
+      headers,
+    });
+
+    if (!response.ok) {
+      throw await this.normalizeError(response);
+    }
+
+    const payload = await response.json();
+    return {
+      roles: Array.isArray(payload.roles) ? payload.roles : [],
+      lenses: Array.isArray(payload.lenses) ? payload.lenses : [],
+      overrides: Array.isArray(payload.overrides) ? payload.overrides : [],
+    };
+  }
+
+  /**
+   * Create a role profile or lens, or update it when `profile.id` is given.
+   */
+  async saveSummaryProfile(profile) {
+    const payload = await this.postAction({ action: 'save_summary_profile', profile });
+    return payload.profile;
+  }
+
+  async deleteSummaryProfile(id) {
+    return this.postAction({ action: 'delete_summary_profile', id });
+  }
+
+  async postAction(body) {
+    const headers = await this.buildAuthHeaders();
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      throw await this.normalizeError(response);
+    }
+
+    return response.json();
+  }
+
   async buildAuthHeaders() {
     const token = await getToken();
     const userId = await getUserId();
@@ -119,6 +276,7 @@ class SummaryPipelineService {
       Authorization: `Bearer ${token}`,
       'x-user-id': userId,
       'X-Client-Version': '2.1.0',
+      ...(await getTenantHeaders()),
     };
   }
 
@@ -189,4 +347,4 @@ function hashCode(value) {
 const summaryPipelineService = new SummaryPipelineService();
 
 export default summaryPipelineService;
-export { SummaryPipelineService, DETAIL_LEVELS };
+export { SummaryPipelineService, DETAIL_LEVELS, MAX_SUMMARY_DOCUMENTS, SUMMARY_TONES };
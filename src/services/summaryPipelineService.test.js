@@ -6,6 +6,7 @@ let mockGetUserId;
 jest.mock('./authService', () => ({
   getToken: (...args) => mockGetToken(...args),
   getUserId: (...args) => mockGetUserId(...args),
+  getTenantHeaders: () => Promise.resolve({}),
 }));
 
 import summaryPipelineService, {
@@ -43,9 +44,39 @@ describe('buildSummaryRequest', () => {
     expect(typeof payload.requestId).toBe('string');
   });
 
+  it('names the provider and model that should write the summary', () => {
+    const payload = buildSummaryRequest({
+      document: { content: 'Text' },
+      provider: 'groq',
+      model: 'llama-3.3-70b-versatile',
+    });
+    expect(payload).toMatchObject({ provider: 'groq', model: 'llama-3.3-70b-versatile' });
+    expect(payload.generation).toBeUndefined();
+
+    expect(buildSummaryRequest({ document: { content: 'Text' }, generation: 'extractive' }).generation).toBe('extractive');
+  });
+
   it('throws when content is missing', () => {
     expect(() => buildSummaryRequest({ document: { title: 'Empty' } })).toThrow('document content must be a non-empty string');
   });
+
+  it('sends several documents with the set name and names the one missing content', () => {
+    const payload = buildSummaryRequest({
+      documents: [
+        { id: 'sop-14', title: 'SOP-014', content: 'Line clearance is verified by QA.' },
+        { id: 'wi-3', title: 'WI-003', content: 'Operators record clearance in the batch record.' },
+      ],
+      documentSetName: '  Line clearance  ',
+    });
+
+    expect(payload.document).toBeUndefined();
+    expect(payload.documents.map((doc) => doc.doc_id)).toEqual(['sop-14', 'wi-3']);
+    expect(payload.documentSetName).toBe('Line clearance');
+
+    expect(() => buildSummaryRequest({
+      documents: [{ content: 'Text' }, { title: 'Empty' }],
+    })).toThrow('document 2 content must be a non-empty string');
+  });
 });
 
 describe('SummaryPipelineService', () => {
@@ -104,4 +135,55 @@ describe('SummaryPipelineService', () => {
       },
     });
   });
+
+  it('polls a summary job by id', async () => {
+    const job = { jobId: 'job_1', status: 'running', stage: 'generate', progress: 0.5 };
+    fetch.mockResolvedValue({ ok: true, json: async () => ({ job }) });
+
+    const service = new SummaryPipelineService('https://api.example.com/summary-pipeline');
+
+    await expect(service.getSummaryJob('job_1')).resolves.toEqual({ job });
+    expect(fetch.mock.calls[0][0]).toBe('https://api.example.com/summary-pipeline?job_id=job_1');
+    await expect(service.getSummaryJob()).rejects.toThrow('jobId must be provided');
+  });
+
+  it('loads role profiles and lenses and posts profile changes', async () => {
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ roles: [{ name: 'Auditor' }], lenses: [{ name: 'Regulatory' }] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ profile: { id: 12, name: 'Data Integrity (ALCOA+)' } }) });
+
+    const service = new SummaryPipelineService('https://api.example.com/summary-pipeline');
+
+    await expect(service.listSummaryProfiles()).resolves.toEqual({
+      roles: [{ name: 'Auditor' }],
+      lenses: [{ name: 'Regulatory' }],
+      overrides: [],
+    });
+    expect(fetch.mock.calls[0][0]).toBe('https://api.example.com/summary-pipeline?resource=profiles');
+
+    const lens = { kind: 'lens', name: 'Data Integrity (ALCOA+)', keywords: ['alcoa'] };
+    await expect(service.saveSummaryProfile(lens)).resolves.toEqual({ id: 12, name: 'Data Integrity (ALCOA+)' });
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({ action: 'save_summary_profile', profile: lens });
+  });
+
+  it('lists, saves and deletes document sets', async () => {
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ documentSets: [{ id: 4, name: 'Line 3' }] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ documentSet: { id: 5, name: 'Line 4' } }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 4, deleted: true }) });
+
+    const service = new SummaryPipelineService('https://api.example.com/summary-pipeline');
+
+    await expect(service.listDocumentSets()).resolves.toEqual([{ id: 4, name: 'Line 3' }]);
+    expect(fetch.mock.calls[0][0]).toBe('https://api.example.com/summary-pipeline?resource=document_sets');
+
+    await expect(service.saveDocumentSet({ name: 'Line 4', documentIds: ['a', 'b'] })).resolves.toEqual({ id: 5, name: 'Line 4' });
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({
+      action: 'save_document_set',
+      documentSet: { name: 'Line 4', documentIds: ['a', 'b'] },
+    });
+
+    await service.deleteDocumentSet(4);
+    expect(JSON.parse(fetch.mock.calls[2][1].body)).toEqual({ action: 'delete_document_set', id: 4 });
+  });
 });
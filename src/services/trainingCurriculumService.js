@@ -0,0 +1,107 @@
+// src/services/trainingCurriculumService.js
+// Training curricula: ordered learning paths built from external resources and quizzes, assigned
+// to organization members with due dates. neon-db records each completed step as training evidence
+// and builds the per-user and per-team progress report.
+
+import { getTenantHeaders, getToken, getUserId } from './authService';
+
+const NEON_FUNCTION_URL = '/.netlify/functions/neon-db';
+
+export const STEP_REQUIREMENTS = {
+  VIEW: 'view',
+  QUIZ: 'quiz',
+};
+
+export const ASSIGNMENT_STATUS_LABELS = {
+  not_started: 'Not started',
+  in_progress: 'In progress',
+  completed: 'Completed',
+  overdue: 'Overdue',
+};
+
+class TrainingCurriculumService {
+  async makeRequest(action, data = {}) {
+    const [token, userId] = await Promise.all([getToken(), getUserId()]);
+    if (!userId) {
+      throw new Error('User identity is required to use training curricula.');
+    }
+
+    const response = await fetch(NEON_FUNCTION_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        'x-user-id': userId,
+        ...(await getTenantHeaders()),
+      },
+      body: JSON.stringify({ action, data }),
+    });
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      payload = { error: response.statusText || 'Unknown error' };
+    }
+
+    if (!response.ok) {
+      const error = new Error(payload?.error || payload?.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return payload;
+  }
+
+  async getCurricula() {
+    const payload = await this.makeRequest('get_training_curricula');
+    return Array.isArray(payload?.curricula) ? payload.curricula : [];
+  }
+
+  // Creates the curriculum, or replaces its details and steps when `curriculum.curriculumId` is set
+  async saveCurriculum(curriculum) {
+    return this.makeRequest('save_training_curriculum', curriculum);
+  }
+
+  async deleteCurriculum(curriculumId) {
+    return this.makeRequest('delete_training_curriculum', { curriculumId });
+  }
+
+  async assignCurriculum(curriculumId, { userIds, dueDate, team } = {}) {
+    const payload = await this.makeRequest('assign_training_curriculum', { curriculumId, userIds, dueDate, team });
+    return Array.isArray(payload?.assignments) ? payload.assignments : [];
+  }
+
+  async unassignCurriculum(assignmentId) {
+    return this.makeRequest('unassign_training_curriculum', { assignmentId });
+  }
+
+  async getMyAssignments() {
+    const payload = await this.makeRequest('get_my_training');
+    return Array.isArray(payload?.assignments) ? payload.assignments : [];
+  }
+
+  async recordResourceViewed(assignmentId, stepId) {
+    return this.makeRequest('record_training_view', { assignmentId, stepId });
+  }
+
+  async getAssignedQuiz(assignmentId, stepId) {
+    return this.makeRequest('get_training_quiz', { assignmentId, stepId });
+  }
+
+  async submitAssignedQuiz(assignmentId, stepId, responses) {
+    return this.makeRequest('submit_training_quiz', { assignmentId, stepId, responses });
+  }
+
+  async getProgress(filters = {}) {
+    const payload = await this.makeRequest('get_training_progress', filters);
+    return {
+      users: Array.isArray(payload?.users) ? payload.users : [],
+      teams: Array.isArray(payload?.teams) ? payload.teams : [],
+      generatedAt: payload?.generatedAt || null,
+    };
+  }
+}
+
+const trainingCurriculumService = new TrainingCurriculumService();
+export default trainingCurriculumService;
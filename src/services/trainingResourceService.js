@@ -1,9 +1,19 @@
 // src/services/trainingResourceService.js
-// External resource persistence has been disabled. All resources exist only in-memory
-// for the current session so that nothing is written to localStorage or remote services.
+// External resources are stored in Neon (training_resources) either in the user's personal list
+// or in their organization's shared library. Nothing is written to localStorage; the last loaded
+// list is kept in memory for synchronous callers and as a fallback when the backend is unreachable.
+
+import { getTenantHeaders, getToken, getUserId } from './authService';
+
+const NEON_FUNCTION_URL = '/.netlify/functions/neon-db';
 
 const FORM_FIELDS = ['name', 'title', 'url', 'description', 'tag'];
 
+export const RESOURCE_SCOPES = {
+  PERSONAL: 'personal',
+  ORGANIZATION: 'organization',
+};
+
 const normalizeString = (value) => (typeof value === 'string' ? value.trim() : '');
 
 const resolveResourceId = (resource, fallbackId = null) => {
@@ -27,6 +37,39 @@ class TrainingResourceService {
     this.storageKey = 'trainingResources';
   }
 
+  async makeRequest(action, data = {}) {
+    const [token, userId] = await Promise.all([getToken(), getUserId()]);
+    if (!userId) {
+      throw new Error('User identity is required to manage external resources.');
+    }
+
+    const response = await fetch(NEON_FUNCTION_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        'x-user-id': userId,
+        ...(await getTenantHeaders()),
+      },
+      body: JSON.stringify({ action, data }),
+    });
+
+    let payload;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      payload = { error: response.statusText || 'Unknown error' };
+    }
+
+    if (!response.ok) {
+      const error = new Error(payload?.error || payload?.message || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return payload;
+  }
+
   normalizeLoadedResources(resources) {
     if (!Array.isArray(resources) || resources.length === 0) {
       return [];
@@ -56,13 +99,11 @@ class TrainingResourceService {
           normalized.tag = normalizeString(normalized.tag);
         }
 
-        if (!normalized.createdAt) {
-          normalized.createdAt = Date.now();
-        }
-
-        if (!normalized.updatedAt) {
-          normalized.updatedAt = normalized.createdAt;
-        }
+        normalized.createdAt = normalized.createdAt || normalized.created_at || Date.now();
+        normalized.updatedAt = normalized.updatedAt || normalized.updated_at || normalized.createdAt;
+        normalized.scope = normalized.scope === RESOURCE_SCOPES.ORGANIZATION
+          ? RESOURCE_SCOPES.ORGANIZATION
+          : RESOURCE_SCOPES.PERSONAL;
 
         return normalized;
       });
@@ -96,6 +137,12 @@ class TrainingResourceService {
   }
 
   async getTrainingResources() {
+    try {
+      const { resources } = await this.makeRequest('get_training_resources');
+      inMemoryResources = this.normalizeLoadedResources(resources);
+    } catch (error) {
+      console.warn('Unable to load external resources from the backend:', error);
+    }
     return this.normalizeLoadedResources(inMemoryResources);
   }
 
@@ -112,24 +159,15 @@ class TrainingResourceService {
       throw new Error('Name and URL are required to add an external resource.');
     }
 
-    const timestamp = Date.now();
-    const newResource = {
-      id: `${timestamp}-${Math.random().toString(36).slice(2)}`,
+    const { resource: created } = await this.makeRequest('add_training_resource', {
       name,
-      title: name,
       url,
-      createdAt: timestamp,
-      updatedAt: timestamp,
-    };
-
-    if (payload.description) {
-      newResource.description = payload.description;
-    }
-
-    if (payload.tag) {
-      newResource.tag = payload.tag;
-    }
+      description: payload.description || '',
+      tag: payload.tag || null,
+      scope: resource.scope === RESOURCE_SCOPES.ORGANIZATION ? RESOURCE_SCOPES.ORGANIZATION : RESOURCE_SCOPES.PERSONAL,
+    });
 
+    const [newResource] = this.normalizeLoadedResources([created]);
     inMemoryResources = [newResource, ...inMemoryResources];
     return newResource;
   }
@@ -174,32 +212,15 @@ class TrainingResourceService {
       throw new Error('Name and URL are required to update an external resource.');
     }
 
-    const updatedAt = Date.now();
-    const updatedResource = {
-      ...existingResource,
+    const { resource: saved } = await this.makeRequest('update_training_resource', {
       id: resolveResourceId(existingResource, normalizedId),
       name: finalName,
-      title: finalName,
       url: finalUrl,
-      updatedAt,
-    };
-
-    if ('description' in payload) {
-      if (payload.description) {
-        updatedResource.description = payload.description;
-      } else {
-        delete updatedResource.description;
-      }
-    }
-
-    if ('tag' in payload) {
-      if (payload.tag) {
-        updatedResource.tag = payload.tag;
-      } else {
-        delete updatedResource.tag;
-      }
-    }
+      ...('description' in payload ? { description: payload.description } : {}),
+      ...('tag' in payload ? { tag: payload.tag } : {}),
+    });
 
+    const [updatedResource] = this.normalizeLoadedResources([saved]);
     resources[resourceIndex] = updatedResource;
     inMemoryResources = resources;
     return updatedResource;
@@ -0,0 +1,259 @@
+import { tokenizeText } from './internalResourceUtils';
+
+export const CLAIM_STATUS = Object.freeze({
+  SUPPORTED: 'supported',
+  PARTIAL: 'partial',
+  UNSUPPORTED: 'unsupported',
+});
+
+export const CLAIM_ISSUES = Object.freeze({
+  UNCITED: 'uncited',
+  MISCITED: 'miscited',
+  UNKNOWN_CITATION: 'unknown_citation',
+  UNMATCHED_NUMBERS: 'unmatched_numbers',
+});
+
+const SUPPORTED_THRESHOLD = 0.6;
+const PARTIAL_THRESHOLD = 0.35;
+// Sentences with fewer content terms than this ("Yes.", "See below.") carry no checkable claim
+const MIN_CLAIM_TERMS = 3;
+
+const CITATION_MARKER_PATTERN = /\[(\d{1,3})\]/g;
+const REFERENCES_HEADING_PATTERN = /^\s*(?:#{1,6}\s*)?\**(?:References|Sources)\**\s*:?\s*$/i;
+const SENTENCE_BOUNDARY_PATTERN = /(?<=[.!?](?:\s*\[\d{1,3}\])*)\s+(?=[A-Z0-9"'(*])/;
+const LIST_MARKER_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const NUMBER_PATTERN = /\d+(?:[.,]\d+)*/g;
+// OpenAI file-search annotations carry a marker such as 【4:0†source】 instead of the cited text
+const FILE_SEARCH_MARKER_PATTERN = /【[^】]*】/g;
+
+// Inline flags are carried through the markdown renderer as private-use sentinels around the claim index
+export const CLAIM_FLAG_PATTERN = /\uE000(\d+)\uE001/;
+
+const stemTerm = (term) => (term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term);
+
+const toTermSet = (text) => new Set(tokenizeText(text).map(stemTerm));
+
+const stripCitationMarkers = (text) => text.replace(CITATION_MARKER_PATTERN, ' ');
+
+const stripMarkdown = (text) => text.replace(/[*_`]+/g, '');
+
+const extractNumbers = (text) =>
+  [...new Set((stripCitationMarkers(text).match(NUMBER_PATTERN) || []).map(value => value.replace(/,/g, '')))];
+
+const getCitationNumber = (source, index) => {
+  if (typeof source?.citationNumber === 'number') return source.citationNumber;
+  if (typeof source?.metadata?.citationNumber === 'number') return source.metadata.citationNumber;
+  return index + 1;
+};
+
+const getSourceText = (source) => {
+  const parts = [source?.text, source?.snippet, source?.excerpt];
+  const snippets = source?.snippets || source?.metadata?.snippets;
+  if (Array.isArray(snippets)) {
+    parts.push(...snippets);
+  }
+  return parts
+    .filter(part => typeof part === 'string')
+    .map(part => part.replace(FILE_SEARCH_MARKER_PATTERN, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * True when every source carries chunk text to check claims against. Sources built from
+ * annotations that only hold a citation marker cannot be verified.
+ */
+export function hasVerifiableSources(sources = []) {
+  return Array.isArray(sources) && sources.length > 0 && sources.every(source => getSourceText(source).length > 0);
+}
+
+/**
+ * Break an answer into sentence-level claims, keeping each claim's inline [n] markers. Headings,
+ * tables, code blocks and anything after a References/Sources heading are not claims.
+ *
+ * @param {string} answer
+ * @returns {Array<{text: string, citations: number[]}>}
+ */
+export function splitAnswerIntoClaims(answer) {
+  if (typeof answer !== 'string' || !answer.trim()) {
+    return [];
+  }
+
+  const claims = [];
+  let inCodeBlock = false;
+
+  for (const line of answer.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (REFERENCES_HEADING_PATTERN.test(trimmed)) {
+      break;
+    }
+    if (inCodeBlock || !trimmed || trimmed.startsWith('#') || trimmed.startsWith('|')) {
+      continue;
+    }
+
+    trimmed
+      .replace(LIST_MARKER_PATTERN, '')
+      .split(SENTENCE_BOUNDARY_PATTERN)
+      .map(sentence => sentence.trim())
+      .filter(Boolean)
+      .forEach(sentence => {
+        const citations = [...new Set(Array.from(sentence.matchAll(CITATION_MARKER_PATTERN), match => Number(match[1])))];
+        claims.push({ text: sentence, citations });
+      });
+  }
+
+  return claims;
+}
+
+const classify = (score) => {
+  if (score >= SUPPORTED_THRESHOLD) return CLAIM_STATUS.SUPPORTED;
+  if (score >= PARTIAL_THRESHOLD) return CLAIM_STATUS.PARTIAL;
+  return CLAIM_STATUS.UNSUPPORTED;
+};
+
+const scoreAgainst = (claimTerms, claimNumbers, entry) => {
+  let shared = 0;
+  claimTerms.forEach(term => {
+    if (entry.terms.has(term)) shared += 1;
+  });
+  const missingNumbers = claimNumbers.filter(value => !entry.numbers.has(value));
+  return { entry, coverage: shared / claimTerms.size, missingNumbers };
+};
+
+const pickBest = (scores) =>
+  scores.reduce((best, candidate) => {
+    if (!best) return candidate;
+    if (candidate.missingNumbers.length !== best.missingNumbers.length) {
+      return candidate.missingNumbers.length < best.missingNumbers.length ? candidate : best;
+    }
+    return candidate.coverage > best.coverage ? candidate : best;
+  }, null);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check every claim in a generated answer against the text of the chunks it cites. A claim's score
+ * is the share of its content terms found in the best cited chunk; numbers in the claim (limits,
+ * durations, section references) must appear in that chunk verbatim or the claim is unsupported.
+ * Uncited claims are checked against every retrieved chunk and flagged as uncited.
+ *
+ * The groundedness score is the supported share of checkable claims, with partial support counting
+ * half. It is null when the answer has no checkable claims.
+ *
+ * @param {string} answer - Answer text with inline [n] citation markers
+ * @param {Array<Object>} sources - Retrieved chunks with citationNumber and text or snippets
+ */
+export function verifyAnswerCitations(answer, sources = []) {
+  const entries = (Array.isArray(sources) ? sources : [])
+    .map((source, index) => {
+      const text = getSourceText(source);
+      const location = [source?.citation, source?.metadata?.citation, source?.sectionPath, source?.metadata?.sectionPath]
+        .filter(value => typeof value === 'string')
+        .join(' ');
+      return {
+        citationNumber: getCitationNumber(source, index),
+        terms: toTermSet(text),
+        numbers: new Set(extractNumbers(`${text} ${location}`)),
+      };
+    })
+    .filter(entry => entry.terms.size > 0);
+
+  const byNumber = new Map(entries.map(entry => [entry.citationNumber, entry]));
+  const claims = [];
+
+  splitAnswerIntoClaims(answer).forEach(({ text, citations }) => {
+    const plain = stripMarkdown(stripCitationMarkers(text));
+    const claimTerms = toTermSet(plain);
+    if (claimTerms.size < MIN_CLAIM_TERMS) {
+      return;
+    }
+
+    const claimNumbers = extractNumbers(plain);
+    const issues = [];
+    const citedEntries = citations.map(number => byNumber.get(number)).filter(Boolean);
+    if (citedEntries.length < citations.length) {
+      issues.push(CLAIM_ISSUES.UNKNOWN_CITATION);
+    }
+    if (citations.length === 0) {
+      issues.push(CLAIM_ISSUES.UNCITED);
+    }
+
+    const overall = pickBest(entries.map(entry => scoreAgainst(claimTerms, claimNumbers, entry)));
+    const cited = citations.length > 0
+      ? pickBest(citedEntries.map(entry => scoreAgainst(claimTerms, claimNumbers, entry)))
+      : overall;
+
+    let status = cited ? classify(cited.coverage) : CLAIM_STATUS.UNSUPPORTED;
+    if (cited && cited.missingNumbers.length > 0) {
+      issues.push(CLAIM_ISSUES.UNMATCHED_NUMBERS);
+      status = CLAIM_STATUS.UNSUPPORTED;
+    }
+
+    let suggestedCitation = null;
+    if (citations.length > 0 && status !== CLAIM_STATUS.SUPPORTED && overall && overall.entry !== cited?.entry
+      && overall.missingNumbers.length === 0 && classify(overall.coverage) === CLAIM_STATUS.SUPPORTED) {
+      issues.push(CLAIM_ISSUES.MISCITED);
+      suggestedCitation = overall.entry.citationNumber;
+    }
+
+    claims.push({
+      text,
+      citations,
+      status,
+      score: cited ? round(cited.coverage) : 0,
+      matchedCitation: cited ? cited.entry.citationNumber : null,
+      suggestedCitation,
+      missingNumbers: cited ? cited.missingNumbers : claimNumbers,
+      issues,
+    });
+  });
+
+  const supportedCount = claims.filter(claim => claim.status === CLAIM_STATUS.SUPPORTED).length;
+  const partialCount = claims.filter(claim => claim.status === CLAIM_STATUS.PARTIAL).length;
+  const unsupportedCount = claims.length - supportedCount - partialCount;
+
+  return {
+    claims,
+    totalClaims: claims.length,
+    supportedCount,
+    partialCount,
+    unsupportedCount,
+    groundednessScore: claims.length > 0 ? round((supportedCount + partialCount / 2) / claims.length) : null,
+  };
+}
+
+/**
+ * Insert an inline flag after each claim that is not fully supported so the chat renderer can mark
+ * it in place. Claims are located in order; a claim that cannot be found (e.g. the text was edited)
+ * is simply not marked inline.
+ *
+ * @param {string} text - Message text containing the verified answer
+ * @param {Array<Object>} claims - Claims from verifyAnswerCitations
+ * @returns {string}
+ */
+export function markFlaggedClaims(text, claims = []) {
+  if (typeof text !== 'string' || !Array.isArray(claims) || claims.length === 0) {
+    return text;
+  }
+
+  let result = '';
+  let cursor = 0;
+
+  claims.forEach((claim, index) => {
+    if (!claim?.text) return;
+    const position = text.indexOf(claim.text, cursor);
+    if (position === -1) return;
+    const end = position + claim.text.length;
+    result += text.slice(cursor, end);
+    if (claim.status !== CLAIM_STATUS.SUPPORTED) {
+      result += `\uE000${index}\uE001`;
+    }
+    cursor = end;
+  });
+
+  return result + text.slice(cursor);
+}
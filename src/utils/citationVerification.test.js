@@ -0,0 +1,113 @@
+import {
+  CLAIM_FLAG_PATTERN,
+  CLAIM_ISSUES,
+  CLAIM_STATUS,
+  hasVerifiableSources,
+  markFlaggedClaims,
+  splitAnswerIntoClaims,
+  verifyAnswerCitations,
+} from './citationVerification';
+
+const sources = [
+  {
+    citationNumber: 1,
+    citation: 'Section 6.1',
+    text: 'Deviations must be documented and an investigation opened within 5 business days of discovery.',
+  },
+  {
+    citationNumber: 2,
+    metadata: {
+      citationNumber: 2,
+      snippets: ['Cleaning validation acceptance limits are based on the maximum allowable carryover of the previous product.'],
+    },
+  },
+];
+
+describe('splitAnswerIntoClaims', () => {
+  it('splits sentences, keeps citation markers and stops at the references section', () => {
+    const claims = splitAnswerIntoClaims([
+      '## Summary',
+      'Deviations must be documented.[1] An investigation is opened within 5 business days. [1][2]',
+      '- Limits depend on carryover [2].',
+      '',
+      'References:',
+      '[1] Deviation SOP, Section 6.1',
+    ].join('\n'));
+
+    expect(claims).toEqual([
+      { text: 'Deviations must be documented.[1]', citations: [1] },
+      { text: 'An investigation is opened within 5 business days. [1][2]', citations: [1, 2] },
+      { text: 'Limits depend on carryover [2].', citations: [2] },
+    ]);
+  });
+});
+
+describe('verifyAnswerCitations', () => {
+  it('marks claims backed by their cited chunk as supported', () => {
+    const result = verifyAnswerCitations(
+      'Deviations must be documented and an investigation opened within 5 business days [1].',
+      sources
+    );
+
+    expect(result.claims).toHaveLength(1);
+    expect(result.claims[0]).toMatchObject({ status: CLAIM_STATUS.SUPPORTED, matchedCitation: 1, issues: [] });
+    expect(result.groundednessScore).toBe(1);
+  });
+
+  it('flags numbers the cited chunk does not contain', () => {
+    const result = verifyAnswerCitations(
+      'Deviation investigations must be opened within 30 business days of discovery [1].',
+      sources
+    );
+
+    expect(result.claims[0].status).toBe(CLAIM_STATUS.UNSUPPORTED);
+    expect(result.claims[0].issues).toContain(CLAIM_ISSUES.UNMATCHED_NUMBERS);
+    expect(result.claims[0].missingNumbers).toEqual(['30']);
+    expect(result.groundednessScore).toBe(0);
+  });
+
+  it('points miscited claims at the source that supports them and flags unknown or missing citations', () => {
+    const result = verifyAnswerCitations(
+      [
+        'Cleaning validation acceptance limits are based on maximum allowable carryover [1].',
+        'Electronic signatures require biometric verification [7].',
+        'Annual product reviews summarise batch trends.',
+      ].join(' '),
+      sources
+    );
+
+    const [miscited, unknown, uncited] = result.claims;
+    expect(miscited.issues).toContain(CLAIM_ISSUES.MISCITED);
+    expect(miscited.suggestedCitation).toBe(2);
+    expect(unknown).toMatchObject({ status: CLAIM_STATUS.UNSUPPORTED });
+    expect(unknown.issues).toContain(CLAIM_ISSUES.UNKNOWN_CITATION);
+    expect(uncited.issues).toEqual([CLAIM_ISSUES.UNCITED]);
+    expect(result.unsupportedCount).toBe(3);
+    expect(result.groundednessScore).toBe(0);
+  });
+
+  it('returns a null score when nothing in the answer is checkable', () => {
+    expect(verifyAnswerCitations('Yes.', sources)).toMatchObject({ totalClaims: 0, groundednessScore: null });
+  });
+});
+
+describe('hasVerifiableSources', () => {
+  it('requires chunk text on every source, ignoring file-search citation markers', () => {
+    expect(hasVerifiableSources(sources)).toBe(true);
+    expect(hasVerifiableSources([...sources, { citationNumber: 3, text: '【4:0†source】' }])).toBe(false);
+    expect(hasVerifiableSources([])).toBe(false);
+  });
+});
+
+describe('markFlaggedClaims', () => {
+  it('inserts a flag after each claim that is not supported', () => {
+    const text = 'Intro note.\n\nFirst claim here. Second claim here.';
+    const marked = markFlaggedClaims(text, [
+      { text: 'First claim here.', status: CLAIM_STATUS.SUPPORTED },
+      { text: 'Second claim here.', status: CLAIM_STATUS.UNSUPPORTED },
+    ]);
+
+    expect(marked).toBe('Intro note.\n\nFirst claim here. Second claim here.\uE0001\uE001');
+    expect(marked.match(CLAIM_FLAG_PATTERN)[1]).toBe('1');
+  });
+});
@@ -0,0 +1,815 @@
+// Text extraction for presentations, rich text, web pages and email. Each parser returns
+// `{ sections: [{ title, text }], attachments, metadata }` so the PDF conversion can start every
+// slide, section or message on its own page and keep those boundaries in the document metadata.
+
+const HTML_BOILERPLATE_SELECTOR = [
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'iframe',
+  'svg',
+  'canvas',
+  'nav',
+  'aside',
+  'form',
+  'button',
+  'dialog',
+  '[role="navigation"]',
+  '[role="banner"]',
+  '[role="contentinfo"]',
+  '[role="search"]',
+  '[aria-hidden="true"]',
+  '[hidden]',
+].join(', ');
+
+const HTML_SECTION_HEADINGS = new Set(['H1', 'H2', 'H3']);
+const HTML_BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'H4', 'H5', 'H6',
+  'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL',
+]);
+
+// RTF destinations that hold fonts, styles, document properties or binary objects rather than text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'objdata', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'themedata', 'colorschememapping', 'datastore',
+  'latentstyles', 'filetbl', 'revtbl', 'xmlnstbl', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'fldinst', 'bkmkstart', 'bkmkend', 'field-inst',
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  row: '\n',
+  cell: ' | ',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+};
+
+const PPTX_NOTES_SKIPPED_PLACEHOLDERS = new Set(['sldNum', 'sldImg', 'hdr', 'ftr', 'dt']);
+const PPTX_TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+
+export const decodeXmlEntities = (text = '') => {
+  if (!text) {
+    return '';
+  }
+
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => {
+      const code = parseInt(hex, 16);
+      return Number.isFinite(code) ? String.fromCharCode(code) : '';
+    })
+    .replace(/&#([0-9]+);/g, (_, dec) => {
+      const code = parseInt(dec, 10);
+      return Number.isFinite(code) ? String.fromCharCode(code) : '';
+    });
+};
+
+const normalizeWhitespace = (text = '') =>
+  text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .split('\n')
+    .map((line) => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const bytesToBinaryString = (bytes) => {
+  let result = '';
+  const chunkSize = 0x8000;
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    result += String.fromCharCode.apply(null, bytes.subarray(offset, offset + chunkSize));
+  }
+  return result;
+};
+
+const binaryStringToBytes = (value = '') => {
+  const bytes = new Uint8Array(value.length);
+  for (let index = 0; index < value.length; index += 1) {
+    bytes[index] = value.charCodeAt(index) & 0xff;
+  }
+  return bytes;
+};
+
+const decodeBytes = (bytes, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset || 'utf-8', { fatal: false }).decode(bytes);
+  } catch (error) {
+    // Unknown charset label; UTF-8 is the best guess for modern mail and web content
+    return new TextDecoder('utf-8', { fatal: false }).decode(bytes);
+  }
+};
+
+const createAttachmentFile = (bytes, name, type = '') => {
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const attachment = typeof File === 'function'
+    ? new File([buffer], name, { type, lastModified: Date.now() })
+    : Object.assign(new Blob([buffer], { type }), { name, lastModified: Date.now() });
+
+  // jsdom and older browsers ship Blob without the promise-based readers the conversion relies on
+  if (typeof attachment.arrayBuffer !== 'function') {
+    Object.defineProperty(attachment, 'arrayBuffer', {
+      configurable: true,
+      value: async () => buffer.slice(0),
+    });
+  }
+  if (typeof attachment.text !== 'function') {
+    Object.defineProperty(attachment, 'text', {
+      configurable: true,
+      value: async () => decodeBytes(new Uint8Array(buffer)),
+    });
+  }
+
+  return attachment;
+};
+
+// --- PowerPoint ---------------------------------------------------------------------------
+
+const parseRelationships = (relsXml = '') => {
+  const relationships = new Map();
+  (relsXml.match(/<Relationship\b[^>]*>/g) || []).forEach((tag) => {
+    const id = tag.match(/\bId="([^"]+)"/)?.[1];
+    const target = tag.match(/\bTarget="([^"]+)"/)?.[1];
+    if (id && target) {
+      relationships.set(id, { target, type: tag.match(/\bType="([^"]+)"/)?.[1] || '' });
+    }
+  });
+  return relationships;
+};
+
+// Resolve a relationship target against the folder of the part that declared it
+const resolvePartPath = (partPath, target) => {
+  if (target.startsWith('/')) {
+    return target.slice(1);
+  }
+
+  const segments = partPath.split('/').slice(0, -1);
+  target.split('/').forEach((segment) => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+};
+
+const relationshipsPathFor = (partPath) => {
+  const segments = partPath.split('/');
+  const fileName = segments.pop();
+  return [...segments, '_rels', `${fileName}.rels`].join('/');
+};
+
+const extractDrawingParagraphs = (xml = '') =>
+  (xml.replace(/<a:p\s*\/>/g, '').match(/<a:p\b[^>]*>[\s\S]*?<\/a:p>/g) || [])
+    .map((paragraph) =>
+      (paragraph.replace(/<a:br\s*\/>/g, '<a:t> </a:t>').match(/<a:t(?:\s[^>]*)?>[\s\S]*?<\/a:t>/g) || [])
+        .map((run) => decodeXmlEntities(run.replace(/<\/?a:t[^>]*>/g, '')))
+        .join('')
+        .trim()
+    )
+    .filter(Boolean);
+
+const placeholderType = (shapeXml) => shapeXml.match(/<p:ph\b[^>]*\btype="([^"]+)"/)?.[1] || null;
+
+const extractSlideText = (slideXml = '') => {
+  const titles = [];
+  const bodyXml = slideXml.replace(/<p:sp\b[\s\S]*?<\/p:sp>/g, (shapeXml) => {
+    if (PPTX_TITLE_PLACEHOLDERS.has(placeholderType(shapeXml))) {
+      titles.push(...extractDrawingParagraphs(shapeXml));
+      return '';
+    }
+    return shapeXml;
+  });
+
+  return {
+    title: titles.join(' ').trim(),
+    body: extractDrawingParagraphs(bodyXml).join('\n'),
+  };
+};
+
+const extractNotesText = (notesXml = '') =>
+  (notesXml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || [])
+    .filter((shapeXml) => !PPTX_NOTES_SKIPPED_PLACEHOLDERS.has(placeholderType(shapeXml)))
+    .flatMap((shapeXml) => extractDrawingParagraphs(shapeXml))
+    .join('\n');
+
+/**
+ * Read slides from a PPTX in presentation order, with the speaker notes of each slide.
+ */
+export async function parsePptx(arrayBuffer) {
+  const jszipModule = await import('jszip');
+  const JSZipClass = jszipModule.default || jszipModule;
+  const zip = await JSZipClass.loadAsync(arrayBuffer);
+  const readPart = async (partPath) => zip.file(partPath)?.async('string') ?? null;
+
+  const presentationPath = 'ppt/presentation.xml';
+  const presentationXml = await readPart(presentationPath);
+  if (!presentationXml) {
+    throw new Error('Presentation definition is missing.');
+  }
+
+  const presentationRels = parseRelationships(await readPart(relationshipsPathFor(presentationPath)) || '');
+  const slideIds = Array.from(presentationXml.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g), (match) => match[1]);
+
+  const sections = [];
+  for (const relationshipId of slideIds) {
+    const relationship = presentationRels.get(relationshipId);
+    if (!relationship) {
+      continue;
+    }
+
+    const slidePath = resolvePartPath(presentationPath, relationship.target);
+    const slideXml = await readPart(slidePath);
+    if (slideXml == null) {
+      continue;
+    }
+
+    const slideRels = parseRelationships(await readPart(relationshipsPathFor(slidePath)) || '');
+    const notesRelationship = Array.from(slideRels.values()).find((rel) => rel.type.endsWith('/notesSlide'));
+    const notesXml = notesRelationship
+      ? await readPart(resolvePartPath(slidePath, notesRelationship.target))
+      : null;
+
+    const slideNumber = sections.length + 1;
+    const { title, body } = extractSlideText(slideXml);
+    const notes = notesXml ? extractNotesText(notesXml) : '';
+
+    sections.push({
+      title: title ? `Slide ${slideNumber}: ${title}` : `Slide ${slideNumber}`,
+      text: [body, notes ? `Speaker notes:\n${notes}` : ''].filter(Boolean).join('\n\n'),
+      hasNotes: Boolean(notes),
+    });
+  }
+
+  if (sections.length === 0) {
+    throw new Error('No slides were found in the presentation.');
+  }
+
+  return { sections, attachments: [], metadata: { slideCount: sections.length } };
+}
+
+// --- RTF ----------------------------------------------------------------------------------
+
+const decodeRtfBytes = (bytes, codePage) => {
+  const label = codePage ? `windows-${codePage}` : 'windows-1252';
+  return decodeBytes(Uint8Array.from(bytes), label);
+};
+
+/**
+ * Convert RTF to plain text, returning one entry per `\sect` section.
+ */
+export function rtfToSections(rtf = '') {
+  const sections = [];
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let current = '';
+  let pendingBytes = [];
+  let fallbackToSkip = 0;
+  let codePage = null;
+
+  const flushBytes = () => {
+    if (pendingBytes.length > 0) {
+      current += decodeRtfBytes(pendingBytes, codePage);
+      pendingBytes = [];
+    }
+  };
+
+  const emit = (text) => {
+    flushBytes();
+    if (!state.skip) {
+      current += text;
+    }
+  };
+
+  let index = 0;
+  while (index < rtf.length) {
+    const char = rtf[index];
+
+    if (char === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      index += 1;
+      continue;
+    }
+
+    if (char === '}') {
+      flushBytes();
+      state = stack.pop() || state;
+      index += 1;
+      continue;
+    }
+
+    if (char === '\r' || char === '\n') {
+      index += 1;
+      continue;
+    }
+
+    if (char !== '\\') {
+      if (fallbackToSkip > 0) {
+        fallbackToSkip -= 1;
+      } else {
+        emit(char);
+      }
+      index += 1;
+      continue;
+    }
+
+    const next = rtf[index + 1];
+
+    if (next === '\\' || next === '{' || next === '}') {
+      if (fallbackToSkip > 0) {
+        fallbackToSkip -= 1;
+      } else {
+        emit(next);
+      }
+      index += 2;
+      continue;
+    }
+
+    if (next === "'") {
+      const byte = parseInt(rtf.slice(index + 2, index + 4), 16);
+      if (fallbackToSkip > 0) {
+        fallbackToSkip -= 1;
+      } else if (!state.skip && Number.isFinite(byte)) {
+        pendingBytes.push(byte);
+      }
+      index += 4;
+      continue;
+    }
+
+    if (next === '*') {
+      state.skip = true;
+      index += 2;
+      continue;
+    }
+
+    if (next === '~') {
+      emit('\u00a0');
+      index += 2;
+      continue;
+    }
+
+    if (next === '_') {
+      emit('-');
+      index += 2;
+      continue;
+    }
+
+    const controlMatch = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(index + 1, index + 40));
+    if (!controlMatch) {
+      index += 2;
+      continue;
+    }
+
+    const [token, word, rawParameter] = controlMatch;
+    const parameter = rawParameter != null ? parseInt(rawParameter, 10) : null;
+    index += 1 + token.length;
+
+    if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+    } else if (word === 'ansicpg' && parameter) {
+      codePage = parameter;
+    } else if (word === 'uc' && parameter != null) {
+      state.unicodeSkip = parameter;
+    } else if (word === 'u' && parameter != null) {
+      emit(String.fromCharCode(parameter < 0 ? parameter + 65536 : parameter));
+      fallbackToSkip = state.unicodeSkip;
+    } else if (word === 'sect') {
+      flushBytes();
+      sections.push(current);
+      current = '';
+    } else if (word === 'page') {
+      emit('\n\n');
+    } else if (RTF_SYMBOLS[word] != null) {
+      emit(RTF_SYMBOLS[word]);
+    }
+  }
+
+  flushBytes();
+  sections.push(current);
+
+  return sections.map(normalizeWhitespace).filter(Boolean);
+}
+
+export function parseRtf(rtf = '') {
+  if (!/^\s*\{\\rtf/.test(rtf)) {
+    throw new Error('File does not start with an RTF header.');
+  }
+
+  const texts = rtfToSections(rtf);
+  return {
+    sections: texts.map((text, index) => ({
+      title: texts.length > 1 ? `Section ${index + 1}` : '',
+      text,
+    })),
+    attachments: [],
+    metadata: {},
+  };
+}
+
+// --- HTML ---------------------------------------------------------------------------------
+
+const collectHtmlSections = (root, initialTitle) => {
+  const sections = [];
+  let title = initialTitle;
+  let buffer = '';
+
+  const flush = () => {
+    const text = normalizeWhitespace(buffer);
+    if (text) {
+      sections.push({ title, text });
+    }
+    buffer = '';
+  };
+
+  const breakLine = () => {
+    buffer = buffer.replace(/ +$/, '');
+    if (buffer && !buffer.endsWith('\n')) {
+      buffer += '\n';
+    }
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      buffer += node.nodeValue.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== 1) {
+      return;
+    }
+
+    const tag = node.tagName.toUpperCase();
+    if (HTML_SECTION_HEADINGS.has(tag)) {
+      const heading = normalizeWhitespace(node.textContent || '');
+      if (heading) {
+        flush();
+        title = heading;
+        return;
+      }
+    }
+
+    if (tag === 'BR') {
+      buffer += '\n';
+      return;
+    }
+
+    const isBlock = HTML_BLOCK_ELEMENTS.has(tag);
+    if (isBlock) {
+      breakLine();
+    }
+    if (tag === 'LI') {
+      buffer += '- ';
+    }
+    if ((tag === 'TD' || tag === 'TH') && node.previousElementSibling) {
+      buffer += ' | ';
+    }
+
+    Array.from(node.childNodes).forEach(walk);
+
+    if (isBlock) {
+      breakLine();
+    }
+  };
+
+  Array.from(root.childNodes).forEach(walk);
+  flush();
+
+  return sections;
+};
+
+/**
+ * Extract readable text from an HTML page, dropping navigation, scripts and other page chrome.
+ * Sections break at h1-h3 headings.
+ */
+export function parseHtml(html = '') {
+  if (typeof DOMParser !== 'function') {
+    throw new Error('HTML parsing is not available in this environment.');
+  }
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const pageTitle = normalizeWhitespace(doc.querySelector('title')?.textContent || '');
+
+  doc.querySelectorAll(HTML_BOILERPLATE_SELECTOR).forEach((element) => element.remove());
+  // Site-wide headers and footers are boilerplate; the ones inside an article usually carry its title
+  doc.querySelectorAll('header, footer').forEach((element) => {
+    if (!element.parentElement?.closest('main, article')) {
+      element.remove();
+    }
+  });
+
+  const root = doc.querySelector('main, [role="main"], article') || doc.body;
+  const sections = root ? collectHtmlSections(root, pageTitle) : [];
+
+  return {
+    sections: sections.length > 0 ? sections : [{ title: pageTitle, text: '' }],
+    attachments: [],
+    metadata: pageTitle ? { title: pageTitle } : {},
+  };
+}
+
+export const htmlToText = (html = '') =>
+  parseHtml(html)
+    .sections.map((section) => [section.title, section.text].filter(Boolean).join('\n'))
+    .join('\n\n');
+
+// --- Email --------------------------------------------------------------------------------
+
+const decodeQuotedPrintable = (value = '') =>
+  binaryStringToBytes(
+    value
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+  );
+
+const decodeBase64 = (value = '') => {
+  const cleaned = value.replace(/[^A-Za-z0-9+/=]/g, '');
+  try {
+    return binaryStringToBytes(atob(cleaned));
+  } catch (error) {
+    return new Uint8Array(0);
+  }
+};
+
+// RFC 2047 encoded words, e.g. =?utf-8?Q?Batch_r=C3=A9cord?=
+const decodeMimeWords = (value = '') =>
+  value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? decodeBase64(text)
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeBytes(bytes, charset);
+    });
+
+const parseHeaderBlock = (block = '') => {
+  const headers = new Map();
+  block
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) {
+        return;
+      }
+      const name = line.slice(0, separator).trim().toLowerCase();
+      if (!headers.has(name)) {
+        headers.set(name, line.slice(separator + 1).trim());
+      }
+    });
+  return headers;
+};
+
+const parseHeaderValue = (value = '') => {
+  const [main, ...rest] = value.split(';');
+  const params = {};
+  rest.forEach((param) => {
+    const separator = param.indexOf('=');
+    if (separator <= 0) {
+      return;
+    }
+    let key = param.slice(0, separator).trim().toLowerCase();
+    let paramValue = param.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+    // RFC 2231 extended values, e.g. filename*=utf-8''Batch%20record.pdf
+    if (key.endsWith('*')) {
+      key = key.slice(0, -1);
+      const [, charset = 'utf-8', encoded = paramValue] = paramValue.match(/^([^']*)'[^']*'(.*)$/) || [];
+      try {
+        paramValue = decodeBytes(
+          binaryStringToBytes(encoded.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))),
+          charset
+        );
+      } catch (error) {
+        paramValue = encoded;
+      }
+    }
+    params[key] = decodeMimeWords(paramValue);
+  });
+  return { value: main.trim().toLowerCase(), params };
+};
+
+const splitHeaderAndBody = (raw = '') => {
+  const match = /\r?\n\r?\n/.exec(raw);
+  if (!match) {
+    return { headerBlock: raw, body: '' };
+  }
+  return { headerBlock: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+};
+
+const decodeTransferEncoding = (body, encoding = '') => {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return decodeBase64(body);
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return binaryStringToBytes(body);
+  }
+};
+
+const splitMultipartBody = (body, boundary) => {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  const segments = body.split(delimiter);
+  // The first segment is the preamble; the closing delimiter is followed by "--"
+  for (let index = 1; index < segments.length; index += 1) {
+    const segment = segments[index];
+    if (segment.startsWith('--')) {
+      break;
+    }
+    parts.push(segment.replace(/^\r?\n/, '').replace(/\r?\n$/, ''));
+  }
+  return parts;
+};
+
+const collectMimeParts = (raw, collected) => {
+  const { headerBlock, body } = splitHeaderAndBody(raw);
+  const headers = parseHeaderBlock(headerBlock);
+  const contentType = parseHeaderValue(headers.get('content-type') || 'text/plain');
+  const disposition = parseHeaderValue(headers.get('content-disposition') || '');
+  const fileName = disposition.params.filename || contentType.params.name || null;
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const children = splitMultipartBody(body, contentType.params.boundary);
+
+    if (contentType.value === 'multipart/alternative') {
+      // Alternatives carry the same body; keep the plain text version when there is one
+      const alternatives = { plain: [], html: [], attachments: collected.attachments };
+      children.forEach((child) => collectMimeParts(child, alternatives));
+      if (alternatives.plain.length > 0) {
+        collected.plain.push(...alternatives.plain);
+      } else {
+        collected.html.push(...alternatives.html);
+      }
+      return;
+    }
+
+    children.forEach((child) => collectMimeParts(child, collected));
+    return;
+  }
+
+  const bytes = decodeTransferEncoding(body, headers.get('content-transfer-encoding'));
+
+  if (contentType.value === 'message/rfc822') {
+    const nestedSubject = decodeMimeWords(
+      parseHeaderBlock(splitHeaderAndBody(bytesToBinaryString(bytes)).headerBlock).get('subject') || ''
+    );
+    const name = fileName || `${nestedSubject || 'Attached message'}.eml`;
+    collected.attachments.push(
+      createAttachmentFile(bytes, /\.eml$/i.test(name) ? name : `${name}.eml`, 'message/rfc822')
+    );
+    return;
+  }
+
+  const isAttachment = disposition.value === 'attachment' || Boolean(fileName);
+  if (isAttachment) {
+    collected.attachments.push(
+      createAttachmentFile(bytes, fileName || 'attachment', contentType.value || 'application/octet-stream')
+    );
+    return;
+  }
+
+  if (contentType.value === 'text/html') {
+    collected.html.push(decodeBytes(bytes, contentType.params.charset));
+  } else if (contentType.value.startsWith('text/')) {
+    collected.plain.push(decodeBytes(bytes, contentType.params.charset));
+  }
+};
+
+const buildMessageSection = ({ subject, from, to, cc, date, body, attachmentNames = [] }) => {
+  const headerLines = [
+    from ? `From: ${from}` : null,
+    to ? `To: ${to}` : null,
+    cc ? `Cc: ${cc}` : null,
+    date ? `Date: ${date}` : null,
+    subject ? `Subject: ${subject}` : null,
+  ].filter(Boolean);
+
+  const attachmentLines = attachmentNames.length > 0
+    ? ['Attachments:', ...attachmentNames.map((name) => `- ${name}`)]
+    : [];
+
+  return {
+    title: subject || 'Email message',
+    text: [headerLines.join('\n'), normalizeWhitespace(body || ''), attachmentLines.join('\n')]
+      .filter(Boolean)
+      .join('\n\n'),
+  };
+};
+
+/**
+ * Parse an RFC 822 message (.eml). Attachments, including forwarded messages, come back as
+ * File objects so they can be indexed as documents of their own.
+ */
+export function parseEml(arrayBuffer) {
+  const raw = bytesToBinaryString(new Uint8Array(arrayBuffer));
+  const headers = parseHeaderBlock(splitHeaderAndBody(raw).headerBlock);
+  const collected = { plain: [], html: [], attachments: [] };
+  collectMimeParts(raw, collected);
+
+  const header = (name) => decodeMimeWords(headers.get(name) || '');
+  const body = collected.plain.length > 0
+    ? collected.plain.join('\n\n')
+    : collected.html.map(htmlToText).join('\n\n');
+
+  const metadata = {
+    subject: header('subject') || null,
+    from: header('from') || null,
+    to: header('to') || null,
+    date: header('date') || null,
+    messageId: header('message-id') || null,
+  };
+
+  return {
+    sections: [
+      buildMessageSection({
+        ...metadata,
+        cc: header('cc'),
+        body,
+        attachmentNames: collected.attachments.map((attachment) => attachment.name),
+      }),
+    ],
+    attachments: collected.attachments,
+    metadata,
+  };
+}
+
+const formatMsgRecipients = (recipients = [], type) =>
+  recipients
+    .filter((recipient) => (recipient.recipType || 'to') === type)
+    .map((recipient) =>
+      recipient.email && recipient.name && recipient.name !== recipient.email
+        ? `${recipient.name} <${recipient.email}>`
+        : recipient.email || recipient.name
+    )
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Parse an Outlook message (.msg). Embedded messages are re-emitted as .msg attachments.
+ */
+export async function parseMsg(arrayBuffer) {
+  const msgReaderModule = await import('@kenjiuno/msgreader');
+  const MsgReader = msgReaderModule.default?.default || msgReaderModule.default || msgReaderModule;
+  const reader = new MsgReader(arrayBuffer);
+  const data = reader.getFileData();
+
+  if (data?.error) {
+    throw new Error(data.error);
+  }
+
+  const attachments = (data.attachments || [])
+    .filter((attachment) => !attachment.attachmentHidden)
+    .map((attachment) => {
+      const { fileName, content } = reader.getAttachment(attachment);
+      let name = fileName || attachment.fileName || attachment.name || 'attachment';
+      if (attachment.innerMsgContent && !/\.msg$/i.test(name)) {
+        name = `${name}.msg`;
+      }
+      return createAttachmentFile(
+        content,
+        name,
+        attachment.innerMsgContent ? 'application/vnd.ms-outlook' : attachment.attachMimeTag || ''
+      );
+    });
+
+  const from = data.senderEmail && data.senderName && data.senderName !== data.senderEmail
+    ? `${data.senderName} <${data.senderEmail}>`
+    : data.senderEmail || data.senderName || null;
+
+  const metadata = {
+    subject: data.subject || null,
+    from,
+    to: formatMsgRecipients(data.recipients, 'to') || null,
+    date: data.messageDeliveryTime || data.clientSubmitTime || null,
+    messageId: data.messageId || null,
+  };
+
+  return {
+    sections: [
+      buildMessageSection({
+        ...metadata,
+        cc: formatMsgRecipients(data.recipients, 'cc'),
+        body: data.body || (data.bodyHtml ? htmlToText(data.bodyHtml) : ''),
+        attachmentNames: attachments.map((attachment) => attachment.name),
+      }),
+    ],
+    attachments,
+    metadata,
+  };
+}
@@ -0,0 +1,196 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { parseEml, parseHtml, parsePptx, parseRtf } from './documentParsers';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const slideXml = (title, body) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+  <p:cSld><p:spTree>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr>
+      <p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph idx="1"/></p:nvPr></p:nvSpPr>
+      <p:txBody>${body.map((line) => `<a:p><a:r><a:t>${line}</a:t></a:r></a:p>`).join('')}<a:p/></p:txBody></p:sp>
+  </p:spTree></p:cSld>
+</p:sld>`;
+
+const notesXml = (text) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:notes xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+  <p:cSld><p:spTree>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr></p:sp>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr>
+      <p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph type="sldNum" idx="5"/></p:nvPr></p:nvSpPr>
+      <p:txBody><a:p><a:fld type="slidenum"><a:t>2</a:t></a:fld></a:p></p:txBody></p:sp>
+  </p:spTree></p:cSld>
+</p:notes>`;
+
+const relsXml = (relationships) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships.map(([id, type, target]) => `  <Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`).join('\n')}
+</Relationships>`;
+
+const createPptxBuffer = async () => {
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+
+  // Slide files are deliberately numbered against presentation order
+  zip.file('ppt/presentation.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:presentation xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+  <p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst>
+</p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', relsXml([
+    ['rId1', 'slideMaster', 'slideMasters/slideMaster1.xml'],
+    ['rId2', 'slide', 'slides/slide1.xml'],
+    ['rId3', 'slide', 'slides/slide2.xml'],
+  ]));
+  zip.file('ppt/slides/slide2.xml', slideXml('Cleaning validation', ['Scope: &amp; all product-contact equipment']));
+  zip.file('ppt/slides/slide1.xml', slideXml('Acceptance limits', ['MACO 10 ppm', 'Visually clean']));
+  zip.file('ppt/slides/_rels/slide1.xml.rels', relsXml([['rId1', 'notesSlide', '../notesSlides/notesSlide1.xml']]));
+  zip.file('ppt/notesSlides/notesSlide1.xml', notesXml('Explain where the 10 ppm limit comes from.'));
+
+  return zip.generateAsync({ type: 'arraybuffer' });
+};
+
+describe('parsePptx', () => {
+  it('returns slides in presentation order with their speaker notes', async () => {
+    const { sections, metadata } = await parsePptx(await createPptxBuffer());
+
+    expect(metadata).toEqual({ slideCount: 2 });
+    expect(sections).toEqual([
+      {
+        title: 'Slide 1: Cleaning validation',
+        text: 'Scope: & all product-contact equipment',
+        hasNotes: false,
+      },
+      {
+        title: 'Slide 2: Acceptance limits',
+        text: 'MACO 10 ppm\nVisually clean\n\nSpeaker notes:\nExplain where the 10 ppm limit comes from.',
+        hasNotes: true,
+      },
+    ]);
+  });
+});
+
+describe('parseRtf', () => {
+  it('drops font and colour tables and splits on section breaks', () => {
+    const rtf = String.raw`{\rtf1\ansi\ansicpg1252\deff0{\fonttbl{\f0 Calibri;}}{\colortbl;\red0\green0\blue0;}
+{\*\generator Riched20;}\pard\b Deviation\b0  summary\par
+Temperature excursion to 9\'b0C\emdash see \ldblquote CAPA-12\rdblquote .\par
+\sect\pard Approved by QA\par}`;
+
+    expect(parseRtf(rtf).sections).toEqual([
+      { title: 'Section 1', text: 'Deviation summary\nTemperature excursion to 9°C—see “CAPA-12”.' },
+      { title: 'Section 2', text: 'Approved by QA' },
+    ]);
+  });
+
+  it('rejects files without an RTF header', () => {
+    expect(() => parseRtf('plain text')).toThrow('RTF header');
+  });
+});
+
+describe('parseHtml', () => {
+  it('strips page chrome and breaks sections at headings', () => {
+    const html = `<html><head><title>Change control SOP</title><script>track()</script></head>
+<body>
+  <header><a href="/">Intranet home</a></header>
+  <nav><ul><li>Quality</li><li>HR</li></ul></nav>
+  <main>
+    <h1>Purpose</h1>
+    <p>Describe how   changes are raised.</p>
+    <h2>Procedure</h2>
+    <ol><li>Raise the request</li><li>Assess impact</li></ol>
+    <table><tr><th>Role</th><th>Step</th></tr><tr><td>QA</td><td>Approve</td></tr></table>
+  </main>
+  <footer>© Intranet</footer>
+</body></html>`;
+
+    const { sections, metadata } = parseHtml(html);
+
+    expect(metadata).toEqual({ title: 'Change control SOP' });
+    expect(sections).toEqual([
+      { title: 'Purpose', text: 'Describe how changes are raised.' },
+      { title: 'Procedure', text: '- Raise the request\n- Assess impact\nRole | Step\nQA | Approve' },
+    ]);
+    expect(JSON.stringify(sections)).not.toMatch(/Intranet|track/);
+  });
+});
+
+describe('parseEml', () => {
+  const toBuffer = (text) => new TextEncoder().encode(text.replace(/\n/g, '\r\n')).buffer;
+
+  it('reads headers and the plain text body and returns attachments, including forwarded mail', async () => {
+    const eml = `From: "QA Lead" <qa@example.com>
+To: site@example.com
+Subject: =?utf-8?Q?Batch_r=C3=A9lease?= hold
+Date: Mon, 5 Oct 2026 09:00:00 +0000
+MIME-Version: 1.0
+Content-Type: multipart/mixed; boundary="outer"
+
+--outer
+Content-Type: multipart/alternative; boundary="alt"
+
+--alt
+Content-Type: text/plain; charset=utf-8
+Content-Transfer-Encoding: quoted-printable
+
+Please hold lot 24-117 pending the deviation =
+review.
+--alt
+Content-Type: text/html; charset=utf-8
+
+<p>Please hold lot 24-117 pending the deviation review.</p>
+--alt--
+--outer
+Content-Type: text/plain; name="deviation.txt"
+Content-Disposition: attachment; filename="deviation.txt"
+Content-Transfer-Encoding: base64
+
+${btoa('Deviation DV-88: temperature excursion')}
+--outer
+Content-Type: message/rfc822
+
+From: lab@example.com
+Subject: OOS result
+
+Assay 92% against 95-105%.
+--outer--
+`;
+
+    const { sections, attachments, metadata } = parseEml(toBuffer(eml));
+
+    expect(metadata).toMatchObject({
+      subject: 'Batch rélease hold',
+      from: '"QA Lead" <qa@example.com>',
+      to: 'site@example.com',
+    });
+    expect(sections).toHaveLength(1);
+    expect(sections[0].title).toBe('Batch rélease hold');
+    expect(sections[0].text).toContain('Please hold lot 24-117 pending the deviation review.');
+    expect(sections[0].text).not.toContain('<p>');
+    expect(sections[0].text).toContain('Attachments:\n- deviation.txt\n- OOS result.eml');
+
+    expect(attachments.map((file) => [file.name, file.type])).toEqual([
+      ['deviation.txt', 'text/plain'],
+      ['OOS result.eml', 'message/rfc822'],
+    ]);
+    expect(await attachments[0].text()).toBe('Deviation DV-88: temperature excursion');
+
+    const forwarded = parseEml(await attachments[1].arrayBuffer());
+    expect(forwarded.sections[0].text).toContain('Assay 92% against 95-105%.');
+  });
+
+  it('falls back to the HTML part when there is no plain text body', () => {
+    const eml = `Subject: Notice
+Content-Type: text/html; charset=utf-8
+
+<html><body><nav>Menu</nav><p>Audit moved to <b>Thursday</b>.</p></body></html>
+`;
+
+    const { sections, attachments } = parseEml(toBuffer(eml));
+
+    expect(sections[0].text).toBe('Subject: Notice\n\nAudit moved to Thursday.');
+    expect(attachments).toEqual([]);
+  });
+});
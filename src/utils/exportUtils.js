@@ -1,7 +1,11 @@
 import { UI_CONFIG, APP_CONFIG } from '../config/constants';
+import { createTextPdfBlob } from './fileConversion';
+import { renderDocument } from '../services/documentRenderService';
+import { getActiveBranch } from './messageUtils';
 
 /**
- * Filters messages from the last 30 days
+ * Filters messages from the last 30 days, keeping only the selected branch of edited or
+ * regenerated conversations
  * @param {Object[]} messages - Array of message objects
  * @returns {Object[]} - Filtered messages
  */
@@ -9,7 +13,7 @@ function getRecentMessages(messages) {
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - UI_CONFIG.MESSAGE_HISTORY_DAYS);
   
-  return messages.filter(msg => 
+  return getActiveBranch(messages).filter(msg => 
     msg.timestamp && new Date(msg.timestamp) >= cutoffDate
   );
 }
@@ -67,23 +71,6 @@ function convertNewlinesToBreaks(text) {
   return escapeHtml(text).replace(/\r?\n/g, '<br/>');
 }
 
-function formatResourcesAsHtml(resources) {
-  if (!resources || resources.length === 0) {
-    return '<p class="resources"><em>No linked resources</em></p>';
-  }
-
-  const items = resources
-    .map(resource => {
-      const title = escapeHtml(resource.title || 'Untitled Resource');
-      const type = resource.type ? ` <span class="resource-type">(${escapeHtml(resource.type)})</span>` : '';
-      const url = resource.url ? `<div class="resource-url">${escapeHtml(resource.url)}</div>` : '';
-      return `<li>${title}${type}${url}</li>`;
-    })
-    .join('');
-
-  return `<div class="resources"><p><strong>Linked Resources</strong></p><ul>${items}</ul></div>`;
-}
-
 /**
  * Downloads a file with the given content
  * @param {Blob} blob - File blob
@@ -153,91 +140,250 @@ export function exportNotebook(messages) {
   }
 }
 
+function formatExportDate() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function describeSource(source, fallbackNumber) {
+  const title = [source?.title, source?.documentTitle, source?.metadata?.documentTitle, source?.filename]
+    .find(value => typeof value === 'string' && value.trim()) || `Document ${fallbackNumber}`;
+  const location = [source?.citation, source?.metadata?.citation]
+    .find(value => typeof value === 'string' && value.trim());
+  return location ? `${title}, ${location}` : title;
+}
+
+function describeResource(resource, index) {
+  const title = resource?.title || `Resource ${index + 1}`;
+  const type = resource?.type ? ` (${resource.type})` : '';
+  return resource?.url ? `${title}${type}: ${resource.url}` : `${title}${type}`;
+}
+
+function getCitationNumber(source, index) {
+  if (typeof source?.citationNumber === 'number') return source.citationNumber;
+  if (typeof source?.metadata?.citationNumber === 'number') return source.metadata.citationNumber;
+  return index + 1;
+}
+
+// Answers carry a plain-text "References:" list; exports show the same sources as footnotes
+function stripReferencesSection(content) {
+  return content.replace(/\n+(?:References|Sources):\s*\n(?:\s*\[\d+\][^\n]*\n?)+\s*$/i, '');
+}
+
+function renumberCitations(content, numbers) {
+  return content.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, list) => {
+    const ids = list.split(',').map(value => numbers.get(Number(value.trim())));
+    return ids.every(Boolean) ? `[${ids.join(', ')}]` : marker;
+  });
+}
+
 /**
- * Exports notes as Word document
- * @param {Object} studyNotesMessage - Notes message object
+ * Appends a message's cited sources to `footnotes` and rewrites its [n] markers to the
+ * document-wide footnote numbers
+ * @param {Object} message - Chat message with optional sources
+ * @param {Object[]} footnotes - Footnotes collected so far
+ * @returns {string} - Message content ready for rendering
  */
-export function exportToWord(studyNotesMessage) {
-  try {
-    if (!studyNotesMessage) {
-      throw new Error('Invalid notes message');
+function collectMessageFootnotes(message, footnotes) {
+  const content = typeof message?.content === 'string' ? message.content : '';
+  const sources = Array.isArray(message?.sources) ? message.sources : [];
+  if (sources.length === 0) {
+    return content;
+  }
+
+  const numbers = new Map();
+  sources.forEach((source, index) => {
+    const citationNumber = getCitationNumber(source, index);
+    if (!numbers.has(citationNumber)) {
+      footnotes.push({ id: footnotes.length + 1, text: describeSource(source, citationNumber) });
+      numbers.set(citationNumber, footnotes.length);
     }
+  });
 
-    const resources = Array.isArray(studyNotesMessage.resources)
-      ? studyNotesMessage.resources
-      : [];
+  return renumberCitations(stripReferencesSection(content), numbers);
+}
 
-    const studyData =
-      studyNotesMessage.studyNotesData ||
-      createFallbackStudyNotesData(studyNotesMessage, resources);
+/**
+ * Builds the render-document model for a notes message
+ * @param {Object} studyNotesMessage - Notes message object
+ * @returns {Object} - Document model
+ */
+export function buildStudyNotesDocument(studyNotesMessage) {
+  if (!studyNotesMessage) {
+    throw new Error('Invalid notes message');
+  }
 
-    if (!studyData || !studyData.content) {
-      throw new Error('Invalid notes data');
-    }
+  const resources = Array.isArray(studyNotesMessage.resources)
+    ? studyNotesMessage.resources
+    : [];
 
-    // Create Word document content
-    const wordContent = createWordDocumentContent(studyData, resources);
+  const studyData =
+    studyNotesMessage.studyNotesData ||
+    createFallbackStudyNotesData(studyNotesMessage, resources);
 
-    // Create blob with proper MIME type for Word documents
-    const blob = new Blob([wordContent], {
-      type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    });
+  if (!studyData || !studyData.content) {
+    throw new Error('Invalid notes data');
+  }
 
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `${APP_CONFIG.NAME}-Notes-${timestamp}.doc`;
+  const footnotes = [];
+  const content = collectMessageFootnotes({ ...studyNotesMessage, content: studyData.content }, footnotes);
+  const resourceSection = resources.length
+    ? ['', `## Additional learning resources (${resources.length})`, ...resources.map((resource, index) => `${index + 1}. ${describeResource(resource, index)}`)]
+    : [];
 
-    downloadFile(blob, filename);
+  return {
+    title: `${APP_CONFIG.NAME} Study Notes`,
+    version: APP_CONFIG.VERSION,
+    generatedAt: studyData.generatedAt || new Date().toISOString(),
+    control: [
+      { label: 'Topics covered', value: studyData.selectedTopics || 'Notes generated from your selected conversations.' },
+    ],
+    markdown: [content, ...resourceSection].join('\n'),
+    footnotes,
+  };
+}
+
+/**
+ * Builds the render-document model for recent conversation history
+ * @param {Object[]} messages - Array of message objects
+ * @param {Object} options - Export options
+ * @param {string} options.title - Document title
+ * @returns {Object} - Document model
+ */
+export function buildConversationDocument(messages, { title } = {}) {
+  if (!messages || messages.length === 0) {
+    throw new Error('No messages to export');
+  }
+
+  const recentMessages = getRecentMessages(messages)
+    .slice()
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  if (recentMessages.length === 0) {
+    throw new Error('No recent messages found to export');
+  }
+
+  const footnotes = [];
+  const sections = recentMessages.map((msg, index) => {
+    const resources = Array.isArray(msg.resources) ? msg.resources : [];
+    return [
+      `## ${index + 1}. ${getMessageTypeLabel(msg)} · ${formatTimestamp(msg.timestamp)}`,
+      collectMessageFootnotes(msg, footnotes),
+      ...(resources.length ? ['', '**Linked resources**', ...resources.map((resource, i) => `- ${describeResource(resource, i)}`)] : []),
+      ...(msg.isStudyNotes ? ['', 'Notes entry.'] : []),
+      '',
+    ].join('\n');
+  });
+
+  return {
+    title: title || `${APP_CONFIG.NAME} Conversation Export`,
+    version: APP_CONFIG.VERSION,
+    control: [
+      { label: 'Time period', value: `Last ${UI_CONFIG.MESSAGE_HISTORY_DAYS} days` },
+      { label: 'Total messages', value: String(recentMessages.length) },
+    ],
+    markdown: sections.join('\n'),
+    footnotes,
+  };
+}
+
+// Abstractive summaries name the model and prompt template version; older records have neither
+const describeSummaryGeneration = (summary) => {
+  if (summary.generation === 'abstractive') {
+    return [summary.model, summary.prompt_version ? `prompt ${summary.prompt_version}` : null].filter(Boolean).join(' · ');
+  }
+  return 'Extractive (source sentences)';
+};
+
+/**
+ * Builds the render-document model for a generated summary
+ * @param {Object} summary - Summary record returned by the summary pipeline
+ * @param {Object} context - Summary context
+ * @param {Object} context.document - Source document as sent to the pipeline
+ * @param {Object} context.mode - Role, lens and detail used for the summary
+ * @returns {Object} - Document model
+ */
+export function buildSummaryDocument(summary, { document, mode } = {}) {
+  if (!summary?.summary) {
+    throw new Error('No summary to export');
+  }
+
+  const sourceDocuments = Array.isArray(summary.documents) ? summary.documents : [];
+  const isMultiDocument = sourceDocuments.length > 1;
+  const sourceTitle = (isMultiDocument ? summary.title : document?.title || summary.title) || 'Untitled Document';
+  const modeLabel = [mode?.role, mode?.lens, mode?.detail].filter(Boolean).join(' · ');
+  const footnotes = (Array.isArray(summary.citations) ? summary.citations : []).map((citation, index) => ({
+    id: citation.citationNumber || index + 1,
+    text: [
+      // Citations from a multi-document summary name the document they come from
+      citation.doc_title
+        ? `${citation.doc_title}${citation.doc_version ? ` v${citation.doc_version}` : ''}`
+        : sourceTitle,
+      citation.section ? `section ${citation.section}` : null,
+      citation.page ? `p. ${citation.page}` : null,
+    ].filter(Boolean).join(', ') + (citation.preview ? ` — "${citation.preview}"` : ''),
+  }));
+
+  return {
+    title: `Summary: ${sourceTitle}`,
+    version: (!isMultiDocument && document?.version) || '1.0',
+    generatedAt: summary.created_at || new Date().toISOString(),
+    control: [
+      isMultiDocument
+        ? {
+          label: 'Source documents',
+          value: sourceDocuments.map((source) => `${source.title}${source.version ? ` v${source.version}` : ''}`).join('; '),
+        }
+        : { label: 'Source document', value: sourceTitle },
+      { label: 'Summary ID', value: summary.summary_id },
+      { label: 'Mode', value: modeLabel },
+      { label: 'Generated by', value: describeSummaryGeneration(summary) },
+    ],
+    // The footnotes replace the source list a multi-document summary ends with
+    markdown: isMultiDocument ? summary.summary.replace(/\n*### Sources\n[\s\S]*$/, '') : summary.summary,
+    footnotes,
+  };
+}
+
+async function exportRenderedDocument(model, format, filenameStem) {
+  const blob = await renderDocument(model, format);
+  downloadFile(blob, `${filenameStem}-${formatExportDate()}.${format}`);
+}
+
+/**
+ * Exports notes as a Word document or PDF
+ * @param {Object} studyNotesMessage - Notes message object
+ * @param {string} format - 'docx' or 'pdf'
+ */
+export async function exportStudyNotes(studyNotesMessage, format = 'docx') {
+  try {
+    await exportRenderedDocument(buildStudyNotesDocument(studyNotesMessage), format, `${APP_CONFIG.NAME}-Notes`);
   } catch (error) {
-    console.error('Error exporting to Word:', error);
+    console.error(`Error exporting notes to ${format}:`, error);
     throw error;
   }
 }
 
 /**
- * Creates formatted content for Word document
- * @param {Object} studyData - Notes data
- * @param {Object[]} resources - Array of resources
- * @returns {string} - Formatted document content
+ * Exports notes as Word document
+ * @param {Object} studyNotesMessage - Notes message object
  */
-function createWordDocumentContent(studyData, resources) {
-  const safeResources = Array.isArray(resources) ? resources : [];
-  const generatedDate = studyData.generatedDate || new Date().toLocaleString();
-  const selectedTopics =
-    studyData.selectedTopics || 'Notes generated from your selected conversations.';
-  const bodyContent = studyData.content || '';
-  const resourceCount =
-    typeof studyData.resourceCount === 'number' ? studyData.resourceCount : safeResources.length;
-
-  const resourceSection = safeResources.length
-    ? safeResources
-        .map((resource, index) => {
-          const title = resource?.title || `Resource ${index + 1}`;
-          const type = resource?.type || 'Reference';
-          const url = resource?.url || 'Not provided';
-          return `${index + 1}. ${title} (${type})\n   Link: ${url}`;
-        })
-        .join('\n\n')
-    : 'No additional resources provided.';
-
-  const content = [
-    `${APP_CONFIG.NAME.toUpperCase()} - PHARMACEUTICAL QUALITY & COMPLIANCE NOTES`,
-    '',
-    `Generated: ${generatedDate}`,
-    `Topics Covered: ${selectedTopics}`,
-    '',
-    bodyContent,
-    '',
-    `ADDITIONAL LEARNING RESOURCES (${resourceCount} items):`,
-    '',
-    resourceSection,
-    '',
-    '---',
-    `Generated by ${APP_CONFIG.NAME} - ${APP_CONFIG.DESCRIPTION}`,
-    `Export Date: ${new Date().toLocaleString()}`,
-    `Version: ${APP_CONFIG.VERSION}`,
-  ].join('\n');
+export function exportToWord(studyNotesMessage) {
+  return exportStudyNotes(studyNotesMessage, 'docx');
+}
 
-  return content.trim();
+/**
+ * Exports a generated summary as a Word document or PDF
+ * @param {Object} summary - Summary record returned by the summary pipeline
+ * @param {string} format - 'docx' or 'pdf'
+ * @param {Object} context - Source document and mode, see buildSummaryDocument
+ */
+export async function exportSummary(summary, format = 'pdf', context = {}) {
+  try {
+    await exportRenderedDocument(buildSummaryDocument(summary, context), format, `${APP_CONFIG.NAME.toLowerCase()}-summary`);
+  } catch (error) {
+    console.error(`Error exporting summary to ${format}:`, error);
+    throw error;
+  }
 }
 
 function createFallbackStudyNotesData(studyNotesMessage, resources) {
@@ -300,87 +446,33 @@ function formatTimestamp(timestamp) {
   return date.toLocaleString();
 }
 
-export function exportMessagesToWord(messages, { title } = {}) {
+/**
+ * Exports recent conversation history as a Word document or PDF
+ * @param {Object[]} messages - Array of message objects
+ * @param {string} format - 'docx' or 'pdf'
+ * @param {Object} options - Export options passed to buildConversationDocument
+ */
+export async function exportMessagesToDocument(messages, format = 'docx', options = {}) {
   try {
-    if (!messages || messages.length === 0) {
-      throw new Error('No messages to export');
-    }
-
-    const recentMessages = getRecentMessages(messages)
-      .slice()
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    if (recentMessages.length === 0) {
-      throw new Error('No recent messages found to export');
-    }
-
-    const heading = title || `${APP_CONFIG.NAME} Conversation Export`;
-    const exportDate = new Date();
-
-    const sections = recentMessages.map((msg, index) => {
-      const position = index + 1;
-      const typeLabel = getMessageTypeLabel(msg);
-      const timestampLabel = formatTimestamp(msg.timestamp);
-      const contentHtml = convertNewlinesToBreaks(msg.content || '');
-      const resourcesHtml = formatResourcesAsHtml(msg.resources || []);
-
-      return `
-        <section class="message">
-          <h2>${position}. ${typeLabel}</h2>
-          <div class="meta">Timestamp: ${escapeHtml(timestampLabel)}</div>
-          <div class="content">${contentHtml}</div>
-          ${resourcesHtml}
-          ${msg.isStudyNotes ? '<div class="study-note">Notes Entry</div>' : ''}
-        </section>
-      `;
-    }).join('');
-
-    const htmlDocument = `<!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="utf-8" />
-          <title>${escapeHtml(heading)}</title>
-          <style>
-            body { font-family: 'Segoe UI', Arial, sans-serif; color: #111827; line-height: 1.5; }
-            h1 { font-size: 22px; margin-bottom: 4px; }
-            h2 { font-size: 16px; margin: 16px 0 4px; }
-            .meta { font-size: 12px; color: #4b5563; margin-bottom: 8px; }
-            .content { font-size: 14px; background: #f9fafb; padding: 12px; border-radius: 8px; }
-            .resources { margin-top: 8px; }
-            .resources ul { margin: 4px 0 0 16px; }
-            .resources li { margin-bottom: 4px; }
-            .study-note { margin-top: 8px; font-size: 12px; color: #1d4ed8; }
-            header { margin-bottom: 12px; border-bottom: 1px solid #e5e7eb; padding-bottom: 12px; }
-          </style>
-        </head>
-        <body>
-          <header>
-            <h1>${escapeHtml(heading)}</h1>
-            <p><strong>Export Date:</strong> ${escapeHtml(exportDate.toLocaleString())}</p>
-            <p><strong>Time Period:</strong> Last ${UI_CONFIG.MESSAGE_HISTORY_DAYS} days</p>
-            <p><strong>Total Messages:</strong> ${recentMessages.length}</p>
-          </header>
-          ${sections}
-          <footer style="margin-top:24px; font-size:12px; color:#6b7280;">
-            Generated by ${escapeHtml(APP_CONFIG.NAME)} v${escapeHtml(APP_CONFIG.VERSION)}
-          </footer>
-        </body>
-      </html>`;
-
-    const blob = new Blob(['\ufeff', htmlDocument], {
-      type: 'application/msword;charset=utf-8;'
-    });
-
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `${APP_CONFIG.NAME.toLowerCase()}-conversation-${timestamp}.doc`;
-
-    downloadFile(blob, filename);
+    await exportRenderedDocument(
+      buildConversationDocument(messages, options),
+      format,
+      `${APP_CONFIG.NAME.toLowerCase()}-conversation`
+    );
   } catch (error) {
-    console.error('Error exporting messages to Word:', error);
+    console.error(`Error exporting messages to ${format}:`, error);
     throw error;
   }
 }
 
+export function exportMessagesToWord(messages, options) {
+  return exportMessagesToDocument(messages, 'docx', options);
+}
+
+export function exportMessagesToPdf(messages, options) {
+  return exportMessagesToDocument(messages, 'pdf', options);
+}
+
 export function exportMessagesToExcel(messages, { title } = {}) {
   try {
     if (!messages || messages.length === 0) {
@@ -469,6 +561,10 @@ const EXPORT_PATTERNS = [
 
 const WORD_PATTERNS = [/\bword\b/, /\bdocx?\b/, /\bmicrosoft word\b/];
 const EXCEL_PATTERNS = [/\bexcel\b/, /\bxls\b/, /\bxlsx\b/, /\bspreadsheet\b/, /\bmicrosoft excel\b/];
+const PDF_PATTERNS = [/\bpdf\b/];
+// PDFs come up in ordinary records questions ("create a PDF/A copy"), so a PDF export also
+// needs the request to be about the conversation itself
+const CONVERSATION_PATTERNS = [/\bconversations?\b/, /\bchats?\b/, /\bhistory\b/, /\bmessages\b/];
 
 export function detectDocumentExportIntent(text) {
   if (!text || typeof text !== 'string') {
@@ -490,6 +586,13 @@ export function detectDocumentExportIntent(text) {
     return 'excel';
   }
 
+  if (
+    PDF_PATTERNS.some(pattern => pattern.test(lower)) &&
+    CONVERSATION_PATTERNS.some(pattern => pattern.test(lower))
+  ) {
+    return 'pdf';
+  }
+
   return null;
 }
 
@@ -609,3 +712,137 @@ export function getExportStats(messages) {
       new Date(Math.max(...recentMessages.map(msg => new Date(msg.timestamp)))) : null
   };
 }
+
+// Spreadsheet apps evaluate cells starting with these as formulas, even inside quotes
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const CSV_ESCAPE_NOTE = 'Note: cells beginning with =, +, -, @, a tab or a carriage return are prefixed with an '
+  + "apostrophe (') so spreadsheet applications do not evaluate them. The apostrophe is not part of the recorded value.";
+
+const quoteCsvCell = (text) => `"${text.replace(/"/g, '""')}"`;
+
+/**
+ * Builds CSV text with every cell quoted. Only cells a spreadsheet would evaluate as a formula are
+ * prefixed with an apostrophe, and a closing note row says so whenever that happened, so the
+ * export never alters a value without recording it.
+ * @param {Array<[string, Function]>} columns - Column labels and value getters
+ * @param {Object[]} records - Records to export, one per row
+ * @returns {string}
+ */
+function buildCsv(columns, records) {
+  let escaped = false;
+  const toCell = (value) => {
+    if (value === null || value === undefined) return '""';
+    const text = String(value);
+    if (!CSV_FORMULA_PREFIX.test(text)) return quoteCsvCell(text);
+    escaped = true;
+    return quoteCsvCell(`'${text}`);
+  };
+
+  const lines = [
+    columns.map(([label]) => toCell(label)).join(','),
+    ...records.map(record => columns.map(([, getValue]) => toCell(getValue(record))).join(',')),
+  ];
+  if (escaped) {
+    lines.push(quoteCsvCell(CSV_ESCAPE_NOTE));
+  }
+  return lines.join('\r\n');
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+const AUDIT_EXPORT_COLUMNS = [
+  ['Timestamp (UTC)', event => event.occurredAt],
+  ['User', event => event.userId],
+  ['Organization', event => event.organizationId],
+  ['Action', event => event.action],
+  ['Resource type', event => event.resourceType],
+  ['Resource ID', event => event.resourceId],
+  ['Resource', event => event.resourceName],
+  ['Changed fields', event => (event.changedFields || []).join('; ')],
+  ['Reason for change', event => event.reason],
+  ['Before', event => formatAuditValue(event.before)],
+  ['After', event => formatAuditValue(event.after)],
+];
+
+function buildAuditExportFilename(extension) {
+  const timestamp = new Date().toISOString().split('T')[0];
+  return `${APP_CONFIG.NAME.toLowerCase()}-audit-trail-${timestamp}.${extension}`;
+}
+
+/**
+ * Exports audit trail entries as CSV. Values are exported as stored, except that a cell a
+ * spreadsheet would run as a formula gets an apostrophe prefix, explained in a note row at the end.
+ * @param {Object[]} events - Audit events returned by the audit-trail function
+ */
+export function exportAuditTrailToCsv(events) {
+  if (!events || events.length === 0) {
+    throw new Error('No audit events to export');
+  }
+
+  const blob = new Blob(['\ufeff', buildCsv(AUDIT_EXPORT_COLUMNS, events)], { type: 'text/csv;charset=utf-8;' });
+  downloadFile(blob, buildAuditExportFilename('csv'));
+}
+
+/**
+ * Exports audit trail entries as a plain-text PDF report
+ * @param {Object[]} events - Audit events returned by the audit-trail function
+ * @param {Object} options - Report options
+ * @param {string} options.filterSummary - Description of the filters used to select the events
+ */
+export function exportAuditTrailToPdf(events, { filterSummary } = {}) {
+  if (!events || events.length === 0) {
+    throw new Error('No audit events to export');
+  }
+
+  const lines = [
+    `${APP_CONFIG.NAME} Audit Trail`,
+    `Generated: ${new Date().toISOString()}`,
+    filterSummary ? `Filters: ${filterSummary}` : null,
+    `Entries: ${events.length}`,
+    '',
+  ].filter(line => line !== null);
+
+  events.forEach((event, index) => {
+    lines.push(`#${index + 1}  ${event.occurredAt}  ${event.action}`);
+    // Timestamp and action are already on the entry's heading line
+    AUDIT_EXPORT_COLUMNS.slice(1).filter(([label]) => label !== 'Action').forEach(([label, getValue]) => {
+      const value = getValue(event);
+      if (value !== null && value !== undefined && value !== '') {
+        lines.push(`${label}: ${value}`);
+      }
+    });
+    lines.push('');
+  });
+
+  downloadFile(createTextPdfBlob(lines.join('\n')), buildAuditExportFilename('pdf'));
+}
+
+const TRAINING_PROGRESS_COLUMNS = [
+  ['User', entry => entry.userId],
+  ['Team', entry => entry.team],
+  ['Curriculum', entry => entry.curriculumName],
+  ['Status', entry => entry.status],
+  ['Steps completed', entry => entry.completedSteps],
+  ['Total steps', entry => entry.totalSteps],
+  ['Due date', entry => entry.dueDate],
+  ['Assigned at', entry => entry.assignedAt],
+  ['Completed at', entry => entry.completedAt],
+];
+
+/**
+ * Exports the per-user training progress report as CSV for SOP training records
+ * @param {Object[]} entries - Rows from the training progress report
+ */
+export function exportTrainingProgressToCsv(entries) {
+  if (!entries || entries.length === 0) {
+    throw new Error('No training progress to export');
+  }
+
+  const timestamp = new Date().toISOString().split('T')[0];
+  const blob = new Blob(['\ufeff', buildCsv(TRAINING_PROGRESS_COLUMNS, entries)], { type: 'text/csv;charset=utf-8;' });
+  downloadFile(blob, `${APP_CONFIG.NAME.toLowerCase()}-training-progress-${timestamp}.csv`);
+}
@@ -0,0 +1,192 @@
+import {
+  buildConversationDocument,
+  buildStudyNotesDocument,
+  buildSummaryDocument,
+  detectDocumentExportIntent,
+  exportAuditTrailToCsv,
+} from './exportUtils';
+
+jest.mock('../services/documentRenderService', () => ({
+  renderDocument: jest.fn(),
+}));
+
+describe('buildConversationDocument', () => {
+  it('renumbers each answer\'s citations into document-wide footnotes', () => {
+    const now = Date.now();
+    const messages = [
+      { type: 'user', content: 'What is the MACO limit?', timestamp: now - 3000 },
+      {
+        type: 'ai',
+        content: 'Use 10 ppm [1] unless toxicology says otherwise [2].\n\nReferences:\n[1] SOP-101, p. 4\n[2] TX-19',
+        timestamp: now - 2000,
+        sources: [
+          { citationNumber: 1, documentTitle: 'SOP-101', citation: 'p. 4' },
+          { citationNumber: 2, filename: 'TX-19.pdf' },
+        ],
+      },
+      {
+        type: 'ai',
+        content: 'Recovery must exceed 70% [1].',
+        timestamp: now - 1000,
+        sources: [{ citationNumber: 1, documentTitle: 'Recovery study RS-3' }],
+      },
+    ];
+
+    const model = buildConversationDocument(messages, { title: 'Cleaning questions' });
+
+    expect(model.title).toBe('Cleaning questions');
+    expect(model.footnotes).toEqual([
+      { id: 1, text: 'SOP-101, p. 4' },
+      { id: 2, text: 'TX-19.pdf' },
+      { id: 3, text: 'Recovery study RS-3' },
+    ]);
+    expect(model.markdown).toContain('Use 10 ppm [1] unless toxicology says otherwise [2].');
+    expect(model.markdown).toContain('Recovery must exceed 70% [3].');
+    expect(model.markdown).not.toContain('References:');
+    expect(model.markdown).toMatch(/^## 1\. User · /m);
+  });
+});
+
+describe('buildStudyNotesDocument', () => {
+  it('lists linked resources after the notes', () => {
+    const model = buildStudyNotesDocument({
+      content: '# Deviations\nClassify by impact.',
+      timestamp: '2026-10-01T10:00:00Z',
+      resources: [{ title: 'ICH Q9', type: 'Guideline', url: 'https://example.com/q9' }],
+    });
+
+    expect(model.markdown).toBe(
+      '# Deviations\nClassify by impact.\n\n## Additional learning resources (1)\n1. ICH Q9 (Guideline): https://example.com/q9'
+    );
+    expect(model.generatedAt).toBe('2026-10-01T10:00:00.000Z');
+  });
+});
+
+describe('buildSummaryDocument', () => {
+  it('uses the source document version and turns citations into footnotes', () => {
+    const model = buildSummaryDocument(
+      {
+        summary_id: 'sum_1',
+        summary: '### Key Insights\n- Hold time is 72 hours [1]',
+        citations: [{ citationNumber: 1, section: '5.2', page: 3, preview: 'Hold time 72 h' }],
+      },
+      { document: { title: 'SOP-220', version: '4.0' }, mode: { role: 'QA Lead', lens: 'Regulatory' } }
+    );
+
+    expect(model).toMatchObject({
+      title: 'Summary: SOP-220',
+      version: '4.0',
+      footnotes: [{ id: 1, text: 'SOP-220, section 5.2, p. 3 — "Hold time 72 h"' }],
+    });
+    expect(model.control).toContainEqual({ label: 'Mode', value: 'QA Lead · Regulatory' });
+  });
+
+  it('names each source document of a multi-document summary', () => {
+    const model = buildSummaryDocument(
+      {
+        summary_id: 'sum_2',
+        title: 'Line clearance',
+        generation: 'abstractive',
+        model: 'gpt-4o',
+        prompt_version: 'summary-abstractive-v1',
+        summary: '### Key Insights\n- QA verifies clearance [1]\n- Operators record it [2]\n\n### Sources\n- 1. SOP-014 v3.0 · 4.1\n- 2. WI-003 v1.0 · 2',
+        documents: [{ title: 'SOP-014', version: '3.0' }, { title: 'WI-003', version: '1.0' }],
+        citations: [
+          { citationNumber: 1, doc_title: 'SOP-014', doc_version: '3.0', section: '4.1' },
+          { citationNumber: 2, doc_title: 'WI-003', doc_version: '1.0', section: '2' },
+        ],
+      },
+      { document: { title: 'SOP-014', version: '3.0' } }
+    );
+
+    expect(model.title).toBe('Summary: Line clearance');
+    expect(model.version).toBe('1.0');
+    expect(model.control).toContainEqual({ label: 'Source documents', value: 'SOP-014 v3.0; WI-003 v1.0' });
+    expect(model.control).toContainEqual({ label: 'Generated by', value: 'gpt-4o · prompt summary-abstractive-v1' });
+    expect(model.footnotes).toEqual([
+      { id: 1, text: 'SOP-014 v3.0, section 4.1' },
+      { id: 2, text: 'WI-003 v1.0, section 2' },
+    ]);
+    expect(model.markdown).toBe('### Key Insights\n- QA verifies clearance [1]\n- Operators record it [2]');
+  });
+});
+
+describe('detectDocumentExportIntent', () => {
+  it('only treats PDF requests about the conversation as exports', () => {
+    expect(detectDocumentExportIntent('Export this conversation as a PDF')).toBe('pdf');
+    expect(detectDocumentExportIntent('How do I create a PDF/A copy of a batch record?')).toBeNull();
+    expect(detectDocumentExportIntent('Download my chat as a Word doc')).toBe('word');
+  });
+});
+
+describe('exportAuditTrailToCsv', () => {
+  const originalCreateObjectURL = URL.createObjectURL;
+  const originalRevokeObjectURL = URL.revokeObjectURL;
+  let blobParts;
+
+  beforeEach(() => {
+    blobParts = null;
+    jest.spyOn(global, 'Blob').mockImplementation((parts) => {
+      blobParts = parts;
+      return {};
+    });
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    URL.createObjectURL = jest.fn(() => 'blob:audit');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    URL.createObjectURL = originalCreateObjectURL;
+    URL.revokeObjectURL = originalRevokeObjectURL;
+  });
+
+  test('prefixes cells that spreadsheets would evaluate as formulas', () => {
+    exportAuditTrailToCsv([{
+      occurredAt: '2026-03-01T10:00:00Z',
+      userId: '@admin',
+      organizationId: 'org-a',
+      action: 'document.metadata_updated',
+      resourceType: 'rag_documents',
+      resourceId: '-42',
+      resourceName: '=HYPERLINK("http://evil.example","SOP")',
+      changedFields: ['title'],
+      reason: '+1 approved',
+      before: '\tindented',
+      after: '\rreturn',
+    }]);
+
+    const [, csv] = blobParts;
+    const row = csv.split('\r\n')[1];
+    expect(row).toContain('"\'@admin"');
+    expect(row).toContain('"\'-42"');
+    expect(row).toContain('"\'=HYPERLINK(""http://evil.example"",""SOP"")"');
+    expect(row).toContain('"\'+1 approved"');
+    expect(row).toContain('"\'\tindented"');
+    expect(row).toContain('"\'\rreturn"');
+    expect(row).toContain('"org-a","document.metadata_updated"');
+    expect(csv.split('\r\n').pop()).toMatch(/^"Note: cells beginning with =, \+, -, @, a tab or a carriage return are prefixed/);
+  });
+
+  test('exports values unchanged and adds no note when no cell needs escaping', () => {
+    exportAuditTrailToCsv([{
+      occurredAt: '2026-03-01T10:00:00Z',
+      userId: 'user-1',
+      action: 'summary.manual_updated',
+      resourceType: 'document_index',
+      resourceId: 'doc-1',
+      resourceName: 'SOP "A" 1-2',
+      changedFields: ['value'],
+      reason: null,
+      before: 'Old',
+      after: 'New',
+    }]);
+
+    const [, csv] = blobParts;
+    const lines = csv.split('\r\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toBe(
+      '"2026-03-01T10:00:00Z","user-1","","summary.manual_updated","document_index","doc-1","SOP ""A"" 1-2","value","","Old","New"'
+    );
+  });
+});
@@ -1,9 +1,16 @@
+import { decodeXmlEntities, parseEml, parseHtml, parseMsg, parsePptx, parseRtf } from './documentParsers';
+
 export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
 export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+export const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
 
 const MARKDOWN_MIME_TYPES = ['text/markdown', 'text/x-markdown'];
 const TEXT_MIME_TYPES = ['text/plain'];
 const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'text/x-csv', 'application/vnd.ms-excel'];
+const RTF_MIME_TYPES = ['application/rtf', 'text/rtf', 'application/x-rtf'];
+const HTML_MIME_TYPES = ['text/html', 'application/xhtml+xml'];
+const EML_MIME_TYPES = ['message/rfc822'];
+const MSG_MIME_TYPES = ['application/vnd.ms-outlook', 'application/x-msg'];
 
 const MAX_CHARS_PER_LINE = 90;
 const PDF_LINE_HEIGHT = 16;
@@ -85,6 +92,47 @@ const isTextFile = (file) => {
   return hasExtension(name, '.txt') || TEXT_MIME_TYPES.includes(type);
 };
 
+const isPptxFile = (file) => {
+  if (!file) return false;
+  const name = toLowerCase(file.name);
+  const type = toLowerCase(file.type);
+  return hasExtension(name, '.pptx') || type === toLowerCase(PPTX_MIME_TYPE);
+};
+
+const isRtfFile = (file) => {
+  if (!file) return false;
+  const name = toLowerCase(file.name);
+  const type = toLowerCase(file.type);
+  return hasExtension(name, '.rtf') || RTF_MIME_TYPES.includes(type);
+};
+
+const isHtmlFile = (file) => {
+  if (!file) return false;
+  const name = toLowerCase(file.name);
+  const type = toLowerCase(file.type);
+  return hasExtension(name, '.html') || hasExtension(name, '.htm') || HTML_MIME_TYPES.includes(type);
+};
+
+const isEmlFile = (file) => {
+  if (!file) return false;
+  const name = toLowerCase(file.name);
+  const type = toLowerCase(file.type);
+  return hasExtension(name, '.eml') || EML_MIME_TYPES.includes(type);
+};
+
+const isMsgFile = (file) => {
+  if (!file) return false;
+  const name = toLowerCase(file.name);
+  const type = toLowerCase(file.type);
+  return hasExtension(name, '.msg') || MSG_MIME_TYPES.includes(type);
+};
+
+export const isIngestibleFile = (file) =>
+  [
+    isPdfFile, isDocxFile, isCsvFile, isXlsxFile, isMarkdownFile, isTextFile,
+    isPptxFile, isRtfFile, isHtmlFile, isEmlFile, isMsgFile,
+  ].some((check) => check(file));
+
 const ensureFileInstance = (blob, name, lastModified) => {
   if (typeof File === 'function') {
     const file = new File([blob], name, {
@@ -254,27 +302,6 @@ const buildSimplePdf = (pages) => {
   return encoder.encode(pdfString);
 };
 
-const decodeXmlEntities = (text = '') => {
-  if (!text) {
-    return '';
-  }
-
-  return text
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&')
-    .replace(/&quot;/g, '"')
-    .replace(/&apos;/g, "'")
-    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => {
-      const code = parseInt(hex, 16);
-      return Number.isFinite(code) ? String.fromCharCode(code) : '';
-    })
-    .replace(/&#([0-9]+);/g, (_, dec) => {
-      const code = parseInt(dec, 10);
-      return Number.isFinite(code) ? String.fromCharCode(code) : '';
-    });
-};
-
 const extractTextNodes = (xmlSegment = '') => {
   const matches = xmlSegment.match(/<t[^>]*>[\s\S]*?<\/t>/g);
 
@@ -335,9 +362,10 @@ const parseSharedStringsXml = (xml = '') => {
   return stringItems.map((item) => normalizeCellValue(extractTextNodes(item)));
 };
 
+// Returns the non-empty rows with their 1-based sheet row numbers, so cells can be cited as Excel shows them
 const parseSheetXml = (xml = '', sharedStrings = []) => {
   if (!xml) {
-    return [];
+    return { rows: [], rowNumbers: [] };
   }
 
   const sheetDataMatch = xml.match(/<sheetData[\s\S]*?<\/sheetData>/);
@@ -345,12 +373,13 @@ const parseSheetXml = (xml = '', sharedStrings = []) => {
   const rowMatches = sheetData.match(/<row\b[^>]*>[\s\S]*?<\/row>/g);
 
   if (!rowMatches) {
-    return [];
+    return { rows: [], rowNumbers: [] };
   }
 
   const rows = [];
+  const rowNumbers = [];
 
-  rowMatches.forEach((rowXml) => {
+  rowMatches.forEach((rowXml, rowPosition) => {
     const cellMatches = rowXml.match(/<c\b[^>]*>[\s\S]*?<\/c>/g);
     if (!cellMatches) {
       return;
@@ -404,11 +433,13 @@ const parseSheetXml = (xml = '', sharedStrings = []) => {
     }
 
     if (rowValues.length > 0) {
+      const rowNumberMatch = rowXml.match(/^<row\b[^>]*\br="(\d+)"/);
       rows.push(rowValues);
+      rowNumbers.push(rowNumberMatch ? parseInt(rowNumberMatch[1], 10) : rowPosition + 1);
     }
   });
 
-  return rows;
+  return { rows, rowNumbers };
 };
 
 const parseWorkbookDefinition = (workbookXml = '') => {
@@ -525,11 +556,12 @@ const loadXlsxSheets = async (file) => {
     }
 
     const sheetXml = await sheetFile.async('string');
-    const rows = parseSheetXml(sheetXml, sharedStrings);
+    const { rows, rowNumbers } = parseSheetXml(sheetXml, sharedStrings);
 
     sheets.push({
       name: definition.name || `Sheet ${index + 1}`,
       rows,
+      rowNumbers,
     });
   }
 
@@ -570,11 +602,14 @@ const convertSheetsToText = (sheets = []) => {
   return lines.join('\n').trim();
 };
 
+// Blank records are dropped; rowNumbers keeps each remaining record's 1-based position in the file
 const parseCsvContent = (content = '') => {
   const rows = [];
+  const rowNumbers = [];
   let currentRow = [];
   let currentValue = '';
   let inQuotes = false;
+  let recordNumber = 0;
 
   const pushValue = () => {
     currentRow.push(currentValue);
@@ -583,9 +618,11 @@ const parseCsvContent = (content = '') => {
 
   const finalizeRow = () => {
     pushValue();
+    recordNumber += 1;
     const normalizedRow = currentRow.map((value) => normalizeCellValue(value));
     if (normalizedRow.some((value) => value.length > 0)) {
       rows.push(normalizedRow);
+      rowNumbers.push(recordNumber);
     }
     currentRow = [];
   };
@@ -619,13 +656,9 @@ const parseCsvContent = (content = '') => {
     currentValue += char;
   }
 
-  pushValue();
-  const normalizedRow = currentRow.map((value) => normalizeCellValue(value));
-  if (normalizedRow.some((value) => value.length > 0)) {
-    rows.push(normalizedRow);
-  }
+  finalizeRow();
 
-  return rows;
+  return { rows, rowNumbers };
 };
 
 const convertCsvRowsToText = (rows) => {
@@ -669,7 +702,7 @@ const markdownToPlainText = (markdown = '') => {
     .replace(/\r/g, '\n');
 };
 
-const buildPdfFromText = (textContent, file, emptyMessage) => {
+const wrapTextIntoLines = (textContent) => {
   const normalizedText = (textContent || '')
     .replace(/\uFEFF/g, '')
     .replace(/\r\n/g, '\n')
@@ -687,12 +720,16 @@ const buildPdfFromText = (textContent, file, emptyMessage) => {
     lines.push(...wrapped);
   });
 
-  if (lines.length === 0) {
-    lines.push(emptyMessage || 'This document contained no extractable text.');
-  }
+  return lines;
+};
 
-  const pages = chunkLinesIntoPages(lines);
-  const pdfBytes = buildSimplePdf(pages);
+// Plain-text PDF for generated reports such as the audit trail export
+export const createTextPdfBlob = (textContent) => {
+  const pdfBytes = buildSimplePdf(chunkLinesIntoPages(wrapTextIntoLines(textContent)));
+  return new Blob([pdfBytes], { type: 'application/pdf' });
+};
+
+const wrapPdfBytesAsFile = (pdfBytes, file) => {
   const pdfBlob = new Blob([pdfBytes], { type: 'application/pdf' });
   const pdfFileName = ensurePdfFileName(file?.name);
   const pdfFile = ensureFileInstance(pdfBlob, pdfFileName, file?.lastModified || Date.now());
@@ -714,6 +751,129 @@ const buildPdfFromText = (textContent, file, emptyMessage) => {
   return pdfFile;
 };
 
+const buildPdfFromText = (textContent, file, emptyMessage) => {
+  const lines = wrapTextIntoLines(textContent);
+
+  if (lines.length === 0) {
+    lines.push(emptyMessage || 'This document contained no extractable text.');
+  }
+
+  const pages = chunkLinesIntoPages(lines);
+  return wrapPdfBytesAsFile(buildSimplePdf(pages), file);
+};
+
+// Each section (slide, RTF section, email message) starts on a new page so the page ranges
+// recorded in the structure metadata line up with what the viewer shows
+const buildPdfFromSections = (sections, file, emptyMessage) => {
+  const pages = [];
+  const boundaries = [];
+
+  sections.forEach((section, index) => {
+    const lines = wrapTextIntoLines([section.title, section.text].filter(Boolean).join('\n\n'));
+    if (!lines.some((line) => line.trim())) {
+      return;
+    }
+
+    const sectionPages = chunkLinesIntoPages(lines);
+    boundaries.push({
+      index: index + 1,
+      title: section.title || null,
+      pageStart: pages.length + 1,
+      pageEnd: pages.length + sectionPages.length,
+      ...(section.hasNotes ? { hasNotes: true } : {}),
+    });
+    pages.push(...sectionPages);
+  });
+
+  if (pages.length === 0) {
+    pages.push(...chunkLinesIntoPages(wrapTextIntoLines(emptyMessage || 'This document contained no extractable text.')));
+  }
+
+  return { file: wrapPdfBytesAsFile(buildSimplePdf(pages), file), sections: boundaries };
+};
+
+const STRUCTURED_CONVERSIONS = [
+  {
+    matches: isPptxFile,
+    conversion: 'pptx-to-pdf',
+    binary: true,
+    label: 'PowerPoint',
+    unit: 'slide',
+    mimeType: PPTX_MIME_TYPE,
+    parse: async (file) => parsePptx(await file.arrayBuffer()),
+  },
+  {
+    matches: isRtfFile,
+    conversion: 'rtf-to-pdf',
+    label: 'RTF',
+    unit: 'section',
+    mimeType: RTF_MIME_TYPES[0],
+    parse: async (file) => parseRtf(await readFileAsText(file)),
+  },
+  {
+    matches: isHtmlFile,
+    conversion: 'html-to-pdf',
+    label: 'HTML',
+    unit: 'section',
+    mimeType: HTML_MIME_TYPES[0],
+    parse: async (file) => parseHtml(await readFileAsText(file)),
+  },
+  {
+    matches: isEmlFile,
+    conversion: 'eml-to-pdf',
+    binary: true,
+    label: 'email',
+    unit: 'message',
+    mimeType: EML_MIME_TYPES[0],
+    parse: async (file) => parseEml(await file.arrayBuffer()),
+  },
+  {
+    matches: isMsgFile,
+    conversion: 'msg-to-pdf',
+    binary: true,
+    label: 'Outlook message',
+    unit: 'message',
+    mimeType: MSG_MIME_TYPES[0],
+    parse: async (file) => parseMsg(await file.arrayBuffer()),
+  },
+];
+
+const convertStructuredFile = async (file, definition) => {
+  if (definition.binary && typeof file.arrayBuffer !== 'function') {
+    throw new Error(`${definition.label} conversion requires arrayBuffer support on the provided file.`);
+  }
+
+  if (!definition.binary && typeof file.text !== 'function' && typeof file.arrayBuffer !== 'function') {
+    throw new Error(`${definition.label} conversion requires text() or arrayBuffer support on the provided file.`);
+  }
+
+  try {
+    const { sections, attachments = [], metadata = {} } = await definition.parse(file);
+    const { file: convertedFile, sections: boundaries } = buildPdfFromSections(
+      sections,
+      file,
+      `This document was converted from ${definition.label} but contained no extractable text.`
+    );
+
+    return {
+      file: convertedFile,
+      converted: true,
+      originalFileName: file.name || null,
+      originalMimeType: file.type || definition.mimeType,
+      conversion: definition.conversion,
+      structure: {
+        unit: definition.unit,
+        sections: boundaries,
+        ...metadata,
+      },
+      attachments,
+    };
+  } catch (error) {
+    console.error(`Failed to convert ${definition.label} to PDF:`, error);
+    throw new Error(`Failed to convert ${definition.label} file to PDF: ${error.message}`);
+  }
+};
+
 export const convertFileToPdfIfNeeded = async (file) => {
   if (!file) {
     return {
@@ -772,7 +932,7 @@ export const convertFileToPdfIfNeeded = async (file) => {
     try {
       const rawContent = await readFileAsText(file);
       const sanitized = rawContent.replace(/^\uFEFF/, '');
-      const rows = parseCsvContent(sanitized);
+      const { rows, rowNumbers } = parseCsvContent(sanitized);
       const textContent = convertCsvRowsToText(rows);
       const convertedFile = buildPdfFromText(
         textContent,
@@ -786,6 +946,7 @@ export const convertFileToPdfIfNeeded = async (file) => {
         originalFileName: file.name || null,
         originalMimeType: file.type || CSV_MIME_TYPES[0],
         conversion: 'csv-to-pdf',
+        tables: [{ name: baseFileName(file.name), rows, rowNumbers }],
       };
     } catch (error) {
       console.error('Failed to convert CSV to PDF:', error);
@@ -813,6 +974,7 @@ export const convertFileToPdfIfNeeded = async (file) => {
         originalFileName: file.name || null,
         originalMimeType: file.type || XLSX_MIME_TYPE,
         conversion: 'xlsx-to-pdf',
+        tables: sheets.map(({ name, rows, rowNumbers }) => ({ name, rows, rowNumbers })),
       };
     } catch (error) {
       console.error('Failed to convert XLSX to PDF:', error);
@@ -820,6 +982,12 @@ export const convertFileToPdfIfNeeded = async (file) => {
     }
   }
 
+  // Checked before plain text: some systems report .eml and .rtf files as text/plain
+  const structuredConversion = STRUCTURED_CONVERSIONS.find((definition) => definition.matches(file));
+  if (structuredConversion) {
+    return convertStructuredFile(file, structuredConversion);
+  }
+
   if (isTextFile(file) || isMarkdownFile(file)) {
     if (typeof file.text !== 'function' && typeof file.arrayBuffer !== 'function') {
       throw new Error('Text conversion requires text() or arrayBuffer support on the provided file.');
@@ -160,4 +160,26 @@ describe('convertFileToPdfIfNeeded', () => {
     const buffer = await result.file.arrayBuffer();
     expect(buffer.byteLength).toBeGreaterThan(0);
   });
+
+  it('converts HTML pages to PDF with one page range per section', async () => {
+    const htmlFile = createTextFile(
+      'sop.html',
+      'text/html',
+      '<nav>Home</nav><h1>Purpose</h1><p>Why.</p><h1>Scope</h1><p>Where.</p>'
+    );
+
+    const result = await convertFileToPdfIfNeeded(htmlFile);
+
+    expect(result.converted).toBe(true);
+    expect(result.conversion).toBe('html-to-pdf');
+    expect(result.file.name).toBe('sop.pdf');
+    expect(result.structure).toEqual({
+      unit: 'section',
+      sections: [
+        { index: 1, title: 'Purpose', pageStart: 1, pageEnd: 1 },
+        { index: 2, title: 'Scope', pageStart: 2, pageEnd: 2 },
+      ],
+    });
+    expect(result.attachments).toEqual([]);
+  });
 });
@@ -276,7 +276,7 @@ function getFirstNonEmptyString(...values) {
   return '';
 }
 
-function tokenizeText(text) {
+export function tokenizeText(text) {
   if (!text) {
     return [];
   }
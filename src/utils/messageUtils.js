@@ -472,6 +472,7 @@ const deriveThreadIdAssignments = (messages, { threadGapMs = DEFAULT_THREAD_GAP_
   let previousTimestamp = null;
   let previousSessionId = null;
   let fallbackCounter = 0;
+  const assignedById = new Map();
 
   const createFallbackThreadId = (message, index) => {
     const timestampValue = getTimestampValue(message?.timestamp);
@@ -510,6 +511,13 @@ const deriveThreadIdAssignments = (messages, { threadGapMs = DEFAULT_THREAD_GAP_
       previousTimestamp != null &&
       Math.abs(timestampValue - previousTimestamp) > threadGapMs;
 
+    // A branch belongs to the thread of the message it continues or replaces, however much later
+    // it was written
+    const branchAnchorId = message.parentId || message.branchRootId;
+    if (!resolvedThreadId && branchAnchorId && branchAnchorId !== safeMessages[index - 1]?.id) {
+      resolvedThreadId = assignedById.get(branchAnchorId) || null;
+    }
+
     if (!resolvedThreadId) {
       if (previousAssignment && !(isNewSession || hasLargeGap)) {
         resolvedThreadId = previousAssignment;
@@ -519,6 +527,7 @@ const deriveThreadIdAssignments = (messages, { threadGapMs = DEFAULT_THREAD_GAP_
     }
 
     assignments[index] = resolvedThreadId;
+    if (message.id) assignedById.set(message.id, resolvedThreadId);
     previousThreadId = resolvedThreadId;
 
     if (timestampValue != null) previousTimestamp = timestampValue;
@@ -867,7 +876,7 @@ export function buildChatHistory(messages) {
   return messages
     .filter((msg) => {
       if (!msg || typeof msg !== 'object') return false;
-      if (msg.isResource || msg.isStudyNotes || msg.isLocalOnly) return false;
+      if (msg.isResource || msg.isStudyNotes || msg.isLocalOnly || msg.isStreaming) return false;
 
       const role =
         msg.role ||
@@ -1345,6 +1354,250 @@ export function deduplicateMessages(messages) {
   });
 }
 
+/**
+ * Replaces the message with the same ID, or appends it when it is not present yet
+ * @param {Object[]} messages - Array of message objects
+ * @param {Object} message - Message to insert or replace
+ * @returns {Object[]} - Updated messages
+ */
+export function upsertMessage(messages, message) {
+  const list = Array.isArray(messages) ? messages : [];
+  if (!message?.id) return list;
+
+  const index = list.findIndex((existing) => existing?.id === message.id);
+  if (index === -1) return [...list, message];
+
+  const next = [...list];
+  next[index] = { ...list[index], ...message };
+  return next;
+}
+
+/**
+ * Creates or updates the placeholder assistant message that receives streamed tokens
+ * @param {Object[]} messages - Array of message objects
+ * @param {string} messageId - ID of the streaming assistant message
+ * @param {string} content - Text received so far
+ * @param {Object} placeholder - Extra fields for the placeholder when it is created, such as its branch
+ * @returns {Object[]} - Updated messages
+ */
+export function updateStreamingMessage(messages, messageId, content, placeholder = {}) {
+  const list = Array.isArray(messages) ? messages : [];
+  const existing = list.find((message) => message?.id === messageId);
+
+  return upsertMessage(list, {
+    id: messageId,
+    role: 'assistant',
+    type: 'ai',
+    timestamp: existing?.timestamp || Date.now(),
+    sources: [],
+    resources: [],
+    ...placeholder,
+    ...(existing || {}),
+    content,
+    isStreaming: true,
+  });
+}
+
+/**
+ * Finalizes a streaming message after the user pressed Stop. Partial answers are kept and
+ * marked as stopped; a placeholder that never received text is removed.
+ * @param {Object[]} messages - Array of message objects
+ * @param {string} messageId - ID of the streaming assistant message
+ * @param {string} partialContent - Text received before the stream was aborted
+ * @returns {Object[]} - Updated messages
+ */
+export function finalizeStoppedMessage(messages, messageId, partialContent) {
+  const list = Array.isArray(messages) ? messages : [];
+  const text = typeof partialContent === 'string' ? partialContent.trim() : '';
+
+  if (!text) {
+    return list.filter((message) => message?.id !== messageId);
+  }
+
+  return upsertMessage(list, {
+    id: messageId,
+    role: 'assistant',
+    type: 'ai',
+    content: `${text}\n\n_Response stopped._`,
+    isStreaming: false,
+    stopped: true,
+  });
+}
+
+// Conversation branches. Editing a user message or regenerating an answer adds a sibling that
+// shares the original's parent, so a thread is a tree kept as a flat list. `parentId` is the id of
+// the message before it on its branch, or null for the first message of a conversation; messages
+// saved before branching existed have no `parentId` and follow the message listed before them.
+// An edited first message has no parent to share, so `branchRootId` names the message it is an
+// alternative to. Of a set of siblings, the one selected (`branchSelectedAt`) or created most
+// recently is shown.
+
+const hasExplicitParent = (message) => message?.parentId !== undefined;
+
+const getBranchNodeId = (message, index) => message?.id || `index:${index}`;
+
+const buildBranchTree = (messages) => {
+  const list = Array.isArray(messages)
+    ? messages.filter((message) => message && typeof message === 'object')
+    : [];
+  const nodes = new Map();
+  const groups = new Map();
+
+  list.forEach((message, index) => {
+    const id = getBranchNodeId(message, index);
+    let parentId;
+    if (hasExplicitParent(message)) {
+      parentId = message.parentId || null;
+    } else {
+      parentId = index > 0 ? getBranchNodeId(list[index - 1], index - 1) : null;
+    }
+
+    const groupKey = parentId ? `parent:${parentId}` : `root:${message.branchRootId || id}`;
+    const selectedAt = getTimestampValue(message.branchSelectedAt) ?? getTimestampValue(message.timestamp) ?? 0;
+    const node = { id, index, message, parentId, groupKey, selectedAt };
+
+    nodes.set(id, node);
+    groups.set(groupKey, [...(groups.get(groupKey) || []), node]);
+  });
+
+  const activeByGroup = new Map();
+  groups.forEach((siblings, groupKey) => {
+    const active = siblings.reduce((best, node) => (node.selectedAt >= best.selectedAt ? node : best));
+    activeByGroup.set(groupKey, active.id);
+  });
+
+  const visibility = new Map();
+  const isVisible = (id) => {
+    // Walk up to the nearest ancestor whose visibility is known, then resolve back down
+    const chain = [];
+    let currentId = id;
+    while (currentId && nodes.has(currentId) && !visibility.has(currentId) && !chain.includes(currentId)) {
+      chain.push(currentId);
+      currentId = nodes.get(currentId).parentId;
+    }
+
+    let parentVisible = currentId && visibility.has(currentId) ? visibility.get(currentId) : true;
+    for (let position = chain.length - 1; position >= 0; position -= 1) {
+      const node = nodes.get(chain[position]);
+      parentVisible = parentVisible && activeByGroup.get(node.groupKey) === node.id;
+      visibility.set(node.id, parentVisible);
+    }
+
+    return visibility.get(id);
+  };
+
+  return { list, nodes, groups, isVisible };
+};
+
+/**
+ * Returns the messages on the selected branch of each conversation, in their original order.
+ * Messages without branches are returned unchanged.
+ * @param {Object[]} messages - Array of message objects, including every branch
+ * @returns {Object[]} - Messages on the selected branches
+ */
+export function getActiveBranch(messages) {
+  const { list, isVisible } = buildBranchTree(messages);
+  return list.filter((message, index) => isVisible(getBranchNodeId(message, index)));
+}
+
+/**
+ * Describes where each shown message sits among its siblings, for the ‹ 2/3 › navigator
+ * @param {Object[]} messages - Array of message objects, including every branch
+ * @returns {Object} - Map of message ID to { position, total, previousId, nextId } for shown
+ * messages that have alternatives
+ */
+export function getBranchNavigation(messages) {
+  const { list, groups, nodes, isVisible } = buildBranchTree(messages);
+
+  return list.reduce((acc, message, index) => {
+    const id = getBranchNodeId(message, index);
+    const siblings = groups.get(nodes.get(id).groupKey);
+    if (!message.id || siblings.length < 2 || !isVisible(id)) return acc;
+
+    const position = siblings.findIndex((node) => node.id === id);
+    acc[id] = {
+      position: position + 1,
+      total: siblings.length,
+      previousId: position > 0 ? siblings[position - 1].id : null,
+      nextId: position < siblings.length - 1 ? siblings[position + 1].id : null,
+    };
+    return acc;
+  }, {});
+}
+
+/**
+ * Shows the branch containing a message by marking it as the latest selection among its siblings.
+ * Branches further down keep whichever reply was selected last time they were shown.
+ * @param {Object[]} messages - Array of message objects, including every branch
+ * @param {string} messageId - ID of the sibling to show
+ * @returns {Object[]} - Updated messages
+ */
+export function selectBranch(messages, messageId) {
+  const { list, nodes, groups } = buildBranchTree(messages);
+  const node = nodes.get(messageId);
+  if (!node) return list;
+
+  const latestSelection = Math.max(...groups.get(node.groupKey).map((sibling) => sibling.selectedAt));
+  const branchSelectedAt = Math.max(Date.now(), latestSelection + 1);
+
+  return list.map((message) => (message.id === messageId ? { ...message, branchSelectedAt } : message));
+}
+
+/**
+ * Returns the messages shown before a message on its branch, i.e. the context it was written in
+ * @param {Object[]} messages - Array of message objects, including every branch
+ * @param {string} messageId - ID of a shown message
+ * @returns {Object[]} - Earlier messages on the same branch
+ */
+export function getBranchContext(messages, messageId) {
+  const activeMessages = getActiveBranch(messages);
+  const index = activeMessages.findIndex((message) => message.id === messageId);
+  return index === -1 ? [] : activeMessages.slice(0, index);
+}
+
+/**
+ * Places a new message as an alternative to an existing one (an edited question or a regenerated
+ * answer). It shares the sibling's parent and thread, and becomes the shown branch once added.
+ * @param {Object[]} messages - Array of message objects, including every branch
+ * @param {string} siblingId - ID of the message being edited or regenerated
+ * @param {Object} message - The new message
+ * @returns {Object} - The message with its branch fields set
+ */
+export function createBranchMessage(messages, siblingId, message) {
+  const { nodes } = buildBranchTree(messages);
+  const sibling = nodes.get(siblingId);
+  if (!sibling) {
+    throw new Error('The message to branch from was not found');
+  }
+
+  const threadFields = ['threadId', 'conversationId', 'conversationThreadId'].reduce((acc, field) => {
+    if (sibling.message[field]) acc[field] = sibling.message[field];
+    return acc;
+  }, {});
+
+  return {
+    ...threadFields,
+    ...message,
+    parentId: sibling.parentId,
+    ...(sibling.parentId ? {} : { branchRootId: sibling.message.branchRootId || sibling.id }),
+  };
+}
+
+/**
+ * Appends a message to the end of the shown branch
+ * @param {Object[]} messages - Array of message objects, including every branch
+ * @param {Object} message - Message to append; an explicit `parentId` is kept
+ * @returns {Object[]} - Updated messages
+ */
+export function appendMessage(messages, message) {
+  const list = Array.isArray(messages) ? messages : [];
+  if (hasExplicitParent(message)) return [...list, message];
+
+  const activeMessages = getActiveBranch(list);
+  const leaf = activeMessages[activeMessages.length - 1];
+  return [...list, { ...message, parentId: leaf?.id || null }];
+}
+
 /**
  * Gets conversations that match the current session
  * @param {Object[]} conversations - Array of conversation objects
@@ -1,9 +1,19 @@
 import {
+  appendMessage,
   buildChatHistory,
   combineMessagesIntoConversations,
+  createBranchMessage,
+  deriveThreadIdAssignments,
   expandConversationThread,
+  finalizeStoppedMessage,
+  getActiveBranch,
+  getBranchContext,
+  getBranchNavigation,
   groupConversationsByThread,
   mergeCurrentAndStoredMessages,
+  selectBranch,
+  updateStreamingMessage,
+  upsertMessage,
 } from './messageUtils';
 
 describe('buildChatHistory', () => {
@@ -552,3 +562,113 @@ describe('expandConversationThread', () => {
     expect(grouped[0].threadMessages[1].conversationId).toBe('thread-1');
   });
 });
+
+describe('streaming message helpers', () => {
+  const userMessage = { id: 'u1', role: 'user', type: 'user', content: 'Question' };
+
+  it('creates the placeholder on the first token and updates it in place', () => {
+    let messages = updateStreamingMessage([userMessage], 'a1', 'Par');
+    messages = updateStreamingMessage(messages, 'a1', 'Partial');
+
+    expect(messages).toHaveLength(2);
+    expect(messages[1]).toEqual(
+      expect.objectContaining({ id: 'a1', role: 'assistant', content: 'Partial', isStreaming: true })
+    );
+  });
+
+  it('leaves streaming placeholders out of the chat history', () => {
+    const messages = updateStreamingMessage([userMessage], 'a1', 'Partial');
+
+    expect(buildChatHistory(messages)).toEqual([{ role: 'user', content: 'Question' }]);
+  });
+
+  it('replaces the placeholder with the final message', () => {
+    const streaming = updateStreamingMessage([userMessage], 'a1', 'Partial');
+    const messages = upsertMessage(streaming, { id: 'a1', content: 'Full answer', isStreaming: false });
+
+    expect(messages).toHaveLength(2);
+    expect(messages[1]).toEqual(expect.objectContaining({ content: 'Full answer', isStreaming: false }));
+  });
+
+  it('keeps partial text when stopped and drops empty placeholders', () => {
+    const streaming = updateStreamingMessage([userMessage], 'a1', 'Partial');
+
+    expect(finalizeStoppedMessage(streaming, 'a1', 'Partial')[1]).toEqual(
+      expect.objectContaining({ content: 'Partial\n\n_Response stopped._', stopped: true, isStreaming: false })
+    );
+    expect(finalizeStoppedMessage(streaming, 'a1', '')).toEqual([userMessage]);
+  });
+});
+
+describe('conversation branches', () => {
+  // A legacy thread (no parentId) where the second question was edited and its answer regenerated
+  const base = Date.parse('2026-10-19T09:00:00Z');
+  const at = (minutes) => base + minutes * 60 * 1000;
+  const legacy = [
+    { id: 'u1', role: 'user', type: 'user', content: 'What is CAPA?', timestamp: at(0) },
+    { id: 'a1', role: 'assistant', type: 'ai', content: 'Corrective and preventive action.', timestamp: at(1) },
+    { id: 'u2', role: 'user', type: 'user', content: 'Who approves it?', timestamp: at(2) },
+    { id: 'a2', role: 'assistant', type: 'ai', content: 'QA approves it.', timestamp: at(3) },
+  ];
+  const edited = [
+    ...legacy,
+    createBranchMessage(legacy, 'u2', { id: 'u2b', role: 'user', type: 'user', content: 'Who closes it?', timestamp: at(60) }),
+  ];
+  const tree = [
+    ...edited,
+    { id: 'a2b', role: 'assistant', type: 'ai', content: 'The CAPA owner.', parentId: 'u2b', timestamp: at(61) },
+    { id: 'a2c', role: 'assistant', type: 'ai', content: 'The process owner, after QA review.', parentId: 'u2b', timestamp: at(62) },
+  ];
+  const ids = (messages) => messages.map((message) => message.id);
+
+  it('leaves conversations without branches unchanged', () => {
+    expect(getActiveBranch(legacy)).toEqual(legacy);
+    expect(getBranchNavigation(legacy)).toEqual({});
+  });
+
+  it('shows the newest sibling and numbers the alternatives', () => {
+    expect(edited[4]).toEqual(expect.objectContaining({ parentId: 'a1' }));
+    expect(ids(getActiveBranch(tree))).toEqual(['u1', 'a1', 'u2b', 'a2c']);
+    expect(getBranchNavigation(tree)).toEqual({
+      u2b: { position: 2, total: 2, previousId: 'u2', nextId: null },
+      a2c: { position: 2, total: 2, previousId: 'a2b', nextId: null },
+    });
+  });
+
+  it('switches branches and remembers the answer chosen further down', () => {
+    const withFirstAnswer = selectBranch(tree, 'a2b');
+    expect(ids(getActiveBranch(withFirstAnswer))).toEqual(['u1', 'a1', 'u2b', 'a2b']);
+
+    const original = selectBranch(withFirstAnswer, 'u2');
+    expect(ids(getActiveBranch(original))).toEqual(['u1', 'a1', 'u2', 'a2']);
+    expect(ids(getActiveBranch(selectBranch(original, 'u2b')))).toEqual(['u1', 'a1', 'u2b', 'a2b']);
+  });
+
+  it('edits the opening question as an alternative root', () => {
+    const reworded = createBranchMessage(legacy, 'u1', { id: 'u1b', role: 'user', type: 'user', content: 'Define CAPA', timestamp: at(5) });
+
+    expect(reworded).toEqual(expect.objectContaining({ parentId: null, branchRootId: 'u1' }));
+    expect(ids(getActiveBranch([...legacy, reworded]))).toEqual(['u1b']);
+  });
+
+  it('builds the context before a message and appends to the shown branch', () => {
+    expect(ids(getBranchContext(tree, 'a2c'))).toEqual(['u1', 'a1', 'u2b']);
+    expect(buildChatHistory(getBranchContext(tree, 'u2b'))).toHaveLength(2);
+
+    const notes = { id: 'n1', role: 'assistant', type: 'ai', content: 'Notes', timestamp: at(70) };
+    expect(appendMessage(selectBranch(tree, 'u2'), notes).pop()).toEqual({ ...notes, parentId: 'a2' });
+  });
+
+  it('keeps late branches in the thread of the message they replace', () => {
+    const { byMessageId } = deriveThreadIdAssignments(tree);
+
+    expect(byMessageId.u2b).toBe(byMessageId.u1);
+    expect(byMessageId.a2c).toBe(byMessageId.u1);
+  });
+
+  it('pairs only the shown branch into conversations for study notes', () => {
+    const conversations = combineMessagesIntoConversations(getActiveBranch(tree));
+
+    expect(conversations.map((conversation) => conversation.id)).toEqual(['u1-a1', 'u2b-a2c']);
+  });
+});
@@ -0,0 +1,114 @@
+// OCR fallback for PDF pages without a text layer (scanned batch records, wet-signed SOPs).
+// Pages are rendered with pdf.js onto a canvas and recognised with Tesseract compiled to WASM,
+// which runs in a web worker and is only downloaded the first time a scanned page is found. The
+// worker, core and language data are served from public/tesseract (copied there by
+// scripts/copy-ocr-assets.mjs), so nothing is fetched from a CDN.
+
+export const OCR_ENGINE_NAME = 'tesseract.js';
+export const OCR_LANGUAGE = process.env.REACT_APP_OCR_LANGUAGE || 'eng';
+// Tesseract reports mean word confidence from 0 to 100; pages below this are flagged for review
+export const OCR_LOW_CONFIDENCE_THRESHOLD = 70;
+
+// A page whose text layer has fewer characters than this (a stamped page number, a stray
+// header) is treated as an image
+const MIN_TEXT_LAYER_CHARACTERS = 20;
+// pdf.js renders at 72 dpi; 2x gives Tesseract roughly 150 dpi, enough for typed records
+const OCR_RENDER_SCALE = 2;
+
+const OCR_ASSET_BASE = `${process.env.PUBLIC_URL || ''}/tesseract`;
+
+// Absolute URLs, because the core and language data are loaded from inside the worker
+export const getOcrAssetPaths = (origin = typeof window !== 'undefined' ? window.location.origin : '') => ({
+  workerPath: `${origin}${OCR_ASSET_BASE}/worker.min.js`,
+  corePath: `${origin}${OCR_ASSET_BASE}/core`,
+  langPath: `${origin}${OCR_ASSET_BASE}/lang`,
+});
+
+let ocrEngineFactoryOverride = null;
+
+export const __setOcrEngineFactoryOverride = (factory) => {
+  ocrEngineFactoryOverride = factory;
+};
+
+export const pageNeedsOcr = (pageText) =>
+  (typeof pageText === 'string' ? pageText.replace(/\s+/g, '').length : 0) < MIN_TEXT_LAYER_CHARACTERS;
+
+/**
+ * Start an OCR engine exposing `recognize(image) => { text, confidence }` and `terminate()`.
+ * The worker is expensive to start, so callers create one per document and terminate it when done.
+ */
+export async function createOcrEngine({ language = OCR_LANGUAGE } = {}) {
+  if (ocrEngineFactoryOverride) {
+    return ocrEngineFactoryOverride({ language });
+  }
+
+  const { createWorker, OEM } = await import('tesseract.js');
+  // Started straight from the served script, so the worker runs under worker-src 'self' and the site CSP
+  const worker = await createWorker(language, OEM.LSTM_ONLY, { ...getOcrAssetPaths(), workerBlobURL: false });
+
+  return {
+    name: OCR_ENGINE_NAME,
+    language,
+    recognize: async (image) => {
+      const { data } = await worker.recognize(image);
+      return { text: data?.text || '', confidence: Number(data?.confidence) || 0 };
+    },
+    terminate: () => worker.terminate(),
+  };
+}
+
+/**
+ * Render a pdf.js page to a canvas Tesseract can read. Throws when the environment has no 2D
+ * canvas (e.g. server-side rendering), which callers treat as "OCR unavailable".
+ */
+export async function renderPdfPageForOcr(page, { scale = OCR_RENDER_SCALE } = {}) {
+  if (typeof document === 'undefined' || typeof page?.getViewport !== 'function') {
+    throw new Error('PDF page rendering is not available in this environment');
+  }
+
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const canvasContext = canvas.getContext('2d');
+  if (!canvasContext) {
+    throw new Error('Canvas 2D context is not available for OCR rendering');
+  }
+
+  await page.render({ canvasContext, viewport }).promise;
+  return canvas;
+}
+
+/**
+ * Summarise per-page OCR results for the document metadata: which pages were recognised, their
+ * confidence, and which fell below the review threshold. Pages that came back empty are reported
+ * as blank rather than low confidence.
+ */
+export function buildOcrProvenance({ engine, language, totalPages, pages, performedAt = new Date() }) {
+  const recognisedPages = pages.map(page => {
+    const blank = !page.error && !page.text?.trim();
+    const confidence = page.error || blank ? null : Math.round(page.confidence * 10) / 10;
+    return {
+      pageNumber: page.pageNumber,
+      confidence,
+      lowConfidence: confidence != null && confidence < OCR_LOW_CONFIDENCE_THRESHOLD,
+      ...(blank ? { blank: true } : {}),
+      ...(page.error ? { error: page.error } : {}),
+    };
+  });
+
+  const scored = recognisedPages.filter(page => page.confidence != null);
+
+  return {
+    engine,
+    language,
+    performedAt: performedAt.toISOString(),
+    threshold: OCR_LOW_CONFIDENCE_THRESHOLD,
+    totalPages,
+    pages: recognisedPages,
+    averageConfidence: scored.length > 0
+      ? Math.round((scored.reduce((sum, page) => sum + page.confidence, 0) / scored.length) * 10) / 10
+      : null,
+    lowConfidencePages: recognisedPages.filter(page => page.lowConfidence).map(page => page.pageNumber),
+  };
+}
@@ -0,0 +1,64 @@
+import { OCR_LOW_CONFIDENCE_THRESHOLD, buildOcrProvenance, createOcrEngine, pageNeedsOcr } from './pdfOcr';
+
+const mockCreateWorker = jest.fn();
+
+jest.mock('tesseract.js', () => ({
+  createWorker: (...args) => mockCreateWorker(...args),
+  OEM: { LSTM_ONLY: 1 },
+}));
+
+describe('createOcrEngine', () => {
+  it('loads the worker, core and language data from the app origin', async () => {
+    const recognize = jest.fn().mockResolvedValue({ data: { text: 'Batch 42', confidence: '88.5' } });
+    mockCreateWorker.mockResolvedValue({ recognize, terminate: jest.fn() });
+
+    const engine = await createOcrEngine({ language: 'eng' });
+
+    expect(mockCreateWorker).toHaveBeenCalledWith('eng', 1, {
+      workerPath: 'http://localhost/tesseract/worker.min.js',
+      corePath: 'http://localhost/tesseract/core',
+      langPath: 'http://localhost/tesseract/lang',
+      workerBlobURL: false,
+    });
+    await expect(engine.recognize('canvas')).resolves.toEqual({ text: 'Batch 42', confidence: 88.5 });
+  });
+});
+
+describe('pageNeedsOcr', () => {
+  it('treats pages with only a stamp or page number as images', () => {
+    expect(pageNeedsOcr('')).toBe(true);
+    expect(pageNeedsOcr('  Page 3 of 12 ')).toBe(true);
+    expect(pageNeedsOcr('5.2 Cleaning\nWipe all surfaces with 70% IPA.')).toBe(false);
+  });
+});
+
+describe('buildOcrProvenance', () => {
+  it('records per-page confidence and lists pages below the review threshold', () => {
+    const provenance = buildOcrProvenance({
+      engine: 'tesseract.js',
+      language: 'eng',
+      totalPages: 4,
+      pages: [
+        { pageNumber: 1, text: 'Batch record', confidence: 91.26 },
+        { pageNumber: 2, text: 'Operator signature', confidence: OCR_LOW_CONFIDENCE_THRESHOLD - 12.5 },
+        { pageNumber: 4, text: '', confidence: 0 },
+      ],
+      performedAt: new Date('2026-10-01T00:00:00Z'),
+    });
+
+    expect(provenance).toEqual({
+      engine: 'tesseract.js',
+      language: 'eng',
+      performedAt: '2026-10-01T00:00:00.000Z',
+      threshold: OCR_LOW_CONFIDENCE_THRESHOLD,
+      totalPages: 4,
+      pages: [
+        { pageNumber: 1, confidence: 91.3, lowConfidence: false },
+        { pageNumber: 2, confidence: 57.5, lowConfidence: true },
+        { pageNumber: 4, confidence: null, lowConfidence: false, blank: true },
+      ],
+      averageConfidence: 74.4,
+      lowConfidencePages: [2],
+    });
+  });
+});
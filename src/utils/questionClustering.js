@@ -0,0 +1,85 @@
+import { tokenizeText } from './internalResourceUtils';
+
+const DEFAULT_MAX_CLUSTERS = 5;
+const DEFAULT_SIMILARITY_THRESHOLD = 0.2;
+const QUERY_TERM_COUNT = 6;
+
+// Words that appear in almost every question to the assistant and say nothing about the topic
+const QUESTION_NOISE = new Set([
+  'how', 'why', 'can', 'does', 'need', 'needs', 'should', 'please', 'explain', 'tell', 'give',
+  'example', 'examples', 'know', 'want', 'help', 'like', 'make', 'use', 'used', 'using', 'our', 'you',
+  'are', 'any', 'all', 'its', 'not', 'get', 'who', 'where', 'difference', 'between', 'more', 'again',
+  'thank', 'thanks', 'okay', 'sure',
+]);
+
+// Fold simple plurals so "deviations" and "deviation" land in the same cluster
+const stemTerm = (term) => (term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term);
+
+export const extractQuestionTerms = (text) =>
+  [...new Set(tokenizeText(text).filter(term => !QUESTION_NOISE.has(term)).map(stemTerm))];
+
+const jaccard = (left, right) => {
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  left.forEach(term => {
+    if (right.has(term)) shared += 1;
+  });
+  return shared / (left.size + right.size - shared);
+};
+
+/**
+ * Greedy single-pass clustering of user questions by shared terms. Each question joins the most
+ * similar existing cluster (Jaccard over terms, compared with the cluster's terms so far) or starts
+ * a new one. Clusters are returned largest first with their most frequent terms as a search query.
+ *
+ * @param {Array<{text: string, timestamp?: string|number}>} questions - Most recent first
+ * @param {Object} options
+ * @param {number} options.maxClusters - Number of clusters to return
+ * @param {number} options.threshold - Minimum similarity for a question to join a cluster
+ * @returns {Array<{terms: string[], query: string, questions: string[], size: number}>}
+ */
+export function clusterQuestions(questions = [], { maxClusters = DEFAULT_MAX_CLUSTERS, threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) {
+  const clusters = [];
+
+  questions.forEach((question, order) => {
+    const text = typeof question === 'string' ? question : question?.text;
+    const terms = new Set(extractQuestionTerms(text));
+    if (terms.size === 0) return;
+
+    let best = null;
+    let bestSimilarity = 0;
+    clusters.forEach(cluster => {
+      const similarity = jaccard(terms, cluster.termSet);
+      if (similarity > bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    });
+
+    if (!best || bestSimilarity < threshold) {
+      best = { termSet: new Set(), counts: new Map(), questions: [], firstSeen: order };
+      clusters.push(best);
+    }
+
+    terms.forEach(term => {
+      best.termSet.add(term);
+      best.counts.set(term, (best.counts.get(term) || 0) + 1);
+    });
+    best.questions.push(text.trim());
+  });
+
+  return clusters
+    .sort((a, b) => b.questions.length - a.questions.length || a.firstSeen - b.firstSeen)
+    .slice(0, maxClusters)
+    .map(cluster => {
+      const terms = Array.from(cluster.counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([term]) => term);
+      return {
+        terms,
+        query: terms.slice(0, QUERY_TERM_COUNT).join(' '),
+        questions: cluster.questions,
+        size: cluster.questions.length,
+      };
+    });
+}
@@ -0,0 +1,39 @@
+import { clusterQuestions, extractQuestionTerms } from './questionClustering';
+
+describe('extractQuestionTerms', () => {
+  it('drops question filler and folds plurals', () => {
+    expect(extractQuestionTerms('How should we explain deviations in batch records?')).toEqual([
+      'deviation',
+      'batch',
+      'record',
+    ]);
+  });
+});
+
+describe('clusterQuestions', () => {
+  it('groups questions that share topic terms and orders clusters by size', () => {
+    const clusters = clusterQuestions([
+      'How do I close a deviation investigation?',
+      'What is the cleaning validation acceptance limit?',
+      'Who approves a deviation investigation report?',
+      'When is a deviation investigation overdue?',
+      'How are cleaning validation limits calculated?',
+    ]);
+
+    expect(clusters).toHaveLength(2);
+    expect(clusters[0].size).toBe(3);
+    expect(clusters[0].terms.slice(0, 2)).toEqual(['deviation', 'investigation']);
+    expect(clusters[0].query.startsWith('deviation investigation')).toBe(true);
+    expect(clusters[1].questions).toHaveLength(2);
+  });
+
+  it('ignores questions with no topic terms and caps the cluster count', () => {
+    const clusters = clusterQuestions(
+      ['Thanks!', 'Tell me more', 'Stability protocol', 'Supplier audit', 'Label reconciliation'],
+      { maxClusters: 2 }
+    );
+
+    expect(clusters).toHaveLength(2);
+    expect(clusters.map(cluster => cluster.query)).toEqual(['stability protocol', 'supplier audit']);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Helpers for consuming `text/event-stream` responses with fetch. EventSource cannot send POST
+ * bodies or auth headers, so streamed chat responses are read from the fetch body instead.
+ */
+
+export const isEventStreamResponse = (response) => {
+  const contentType = response?.headers?.get?.('content-type') || '';
+  return contentType.includes('text/event-stream');
+};
+
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach((line) => {
+    if (!line || line.startsWith(':')) {
+      return;
+    }
+
+    const separatorIndex = line.indexOf(':');
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    let value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  const raw = dataLines.join('\n');
+  let data = raw;
+  if (raw !== '[DONE]') {
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      // Non-JSON payloads are passed through as text
+    }
+  }
+
+  return { event, data, raw };
+};
+
+/**
+ * Read a server-sent event stream and call `onEvent({ event, data, raw })` for each event.
+ * `data` is parsed as JSON when possible. Resolves when the stream ends; rejects with an
+ * AbortError if the request signal is aborted mid-stream. If `onEvent` throws, the stream is
+ * cancelled and the error is rethrown.
+ */
+export async function readServerSentEvents(response, onEvent) {
+  if (!response?.body?.getReader) {
+    throw new Error('Streaming responses are not supported in this browser');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  // A chunk ending in \r is held back until the next one shows whether a \n follows, so a \r\n
+  // split across chunks is not read as two line breaks
+  let pendingCarriageReturn = false;
+
+  const appendText = (text) => {
+    let joined = (pendingCarriageReturn ? '\r' : '') + text;
+    pendingCarriageReturn = joined.endsWith('\r');
+    if (pendingCarriageReturn) {
+      joined = joined.slice(0, -1);
+    }
+    buffer += joined.replace(/\r\n?/g, '\n');
+  };
+
+  const flushEvents = () => {
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const parsed = parseEventBlock(block);
+      if (parsed) {
+        onEvent(parsed);
+      }
+      boundary = buffer.indexOf('\n\n');
+    }
+  };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      appendText(decoder.decode(value, { stream: true }));
+      flushEvents();
+    }
+
+    appendText(decoder.decode());
+    if (pendingCarriageReturn) {
+      buffer += '\n';
+    }
+    if (buffer.trim()) {
+      buffer += '\n\n';
+      flushEvents();
+    }
+  } catch (error) {
+    // Stop the download when an event handler throws, rather than leaving the response open
+    await Promise.resolve(reader.cancel?.(error)).catch(() => {});
+    throw error;
+  } finally {
+    reader.releaseLock?.();
+  }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
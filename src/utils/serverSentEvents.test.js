@@ -0,0 +1,97 @@
+import { isAbortError, isEventStreamResponse, readServerSentEvents } from './serverSentEvents';
+
+if (typeof global.TextEncoder === 'undefined') {
+  // eslint-disable-next-line global-require
+  const { TextEncoder: PolyfillTextEncoder } = require('util');
+  global.TextEncoder = PolyfillTextEncoder;
+}
+
+if (typeof global.TextDecoder === 'undefined') {
+  // eslint-disable-next-line global-require
+  const { TextDecoder: PolyfillTextDecoder } = require('util');
+  global.TextDecoder = PolyfillTextDecoder;
+}
+
+const createStreamResponse = (chunks, reader = {}) => {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+
+  return {
+    headers: { get: () => 'text/event-stream; charset=utf-8' },
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length > 0 ? { value: queue.shift(), done: false } : { done: true }),
+        releaseLock: () => {},
+        ...reader,
+      }),
+    },
+  };
+};
+
+describe('readServerSentEvents', () => {
+  it('parses named events split across chunks', async () => {
+    const events = [];
+    const response = createStreamResponse([
+      'event: token\ndata: {"delta":"Hel',
+      'lo"}\n\nevent: token\r\ndata: {"delta":" world"}\r\n\r\n',
+      ': keep-alive\n\nevent: done\ndata: {"sources":[]}\n\n',
+    ]);
+
+    await readServerSentEvents(response, event => events.push(event));
+
+    expect(events.map(({ event, data }) => [event, data])).toEqual([
+      ['token', { delta: 'Hello' }],
+      ['token', { delta: ' world' }],
+      ['done', { sources: [] }],
+    ]);
+  });
+
+  it('passes through non-JSON payloads and flushes a trailing event', async () => {
+    const events = [];
+    await readServerSentEvents(createStreamResponse(['data: [DONE]']), event => events.push(event));
+
+    expect(events).toEqual([{ event: 'message', data: '[DONE]', raw: '[DONE]' }]);
+  });
+
+  it('keeps a CRLF split across chunks as one line break', async () => {
+    const events = [];
+    const response = createStreamResponse([
+      'event: token\r',
+      '\ndata: {"delta":"Hi"}\r\n\r',
+      '\nevent: done\r\ndata: {}\r',
+    ]);
+
+    await readServerSentEvents(response, event => events.push(event));
+
+    expect(events.map(({ event, data }) => [event, data])).toEqual([
+      ['token', { delta: 'Hi' }],
+      ['done', {}],
+    ]);
+  });
+
+  it('cancels the stream when the event handler throws', async () => {
+    const cancel = jest.fn(async () => {});
+    const failure = new Error('render failed');
+    const response = createStreamResponse(['data: {"delta":"a"}\n\n', 'data: {"delta":"b"}\n\n'], { cancel });
+    const onEvent = jest.fn(() => {
+      throw failure;
+    });
+
+    await expect(readServerSentEvents(response, onEvent)).rejects.toBe(failure);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(cancel).toHaveBeenCalledWith(failure);
+  });
+
+  it('rejects responses without a readable body', async () => {
+    await expect(readServerSentEvents({ body: null }, () => {})).rejects.toThrow(/not supported/);
+  });
+});
+
+describe('stream helpers', () => {
+  it('detects event-stream responses and abort errors', () => {
+    expect(isEventStreamResponse(createStreamResponse([]))).toBe(true);
+    expect(isEventStreamResponse({ headers: { get: () => 'application/json' } })).toBe(false);
+    expect(isAbortError(Object.assign(new Error('aborted'), { name: 'AbortError' }))).toBe(true);
+    expect(isAbortError(new Error('boom'))).toBe(false);
+  });
+});
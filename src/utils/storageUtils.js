@@ -244,6 +244,41 @@ export async function loadMessagesFromStorage(userId) {
   return [];
 }
 
+/**
+ * Reads the message history written by the former localStorage persistence, so it can be
+ * migrated to server-side storage. Does not modify the stored data.
+ * @param {string} userId - User identifier
+ * @returns {Object[]} - Valid legacy messages, or an empty array when none exist
+ */
+export function readLegacyMessageHistory(userId) {
+  if (!userId || !isStorageAvailable()) {
+    return [];
+  }
+
+  try {
+    const storedData = localStorage.getItem(getUserStorageKey(userId));
+    if (!storedData) {
+      return [];
+    }
+
+    const data = decompressData(storedData);
+    if (!validateStorageData(data)) {
+      return [];
+    }
+
+    const messages = Array.isArray(data.messages)
+      ? data.messages
+      : data.threads.flatMap(thread => (Array.isArray(thread?.messages) ? thread.messages : []));
+
+    return messages
+      .map(msg => (validateMessage(msg) ? msg : repairMessage(msg)))
+      .filter(msg => msg && validateMessage(msg));
+  } catch (error) {
+    console.error('Error reading legacy message history:', error);
+    return [];
+  }
+}
+
 /**
  * Validates and filters messages before storage - FIXED VERSION
  * @param {Object[]} messages - Messages to validate